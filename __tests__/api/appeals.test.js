@@ -0,0 +1,99 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { resolveAppeal } from '@telegram-moderator/shared/services/appeals.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/appeals.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Appeal Endpoints', () => {
+  const pendingAppeal = { id: 3, chatId: '-1001', userId: '444', strikeLogId: 9, message: 'It was a joke', status: 'pending' };
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+  });
+
+  it('should list a group\'s appeals filtered by status', async () => {
+    db.getAppeals.mockResolvedValue([pendingAppeal]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/appeals?status=pending')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.appeals).toEqual([pendingAppeal]);
+    expect(db.getAppeals).toHaveBeenCalledWith('-1001', { status: 'pending' });
+  });
+
+  it('should reject an unknown status filter', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/appeals?status=maybe')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+    expect(db.getAppeals).not.toHaveBeenCalled();
+  });
+
+  it('should refuse users who are not admins of the group', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/appeals/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(403);
+    expect(resolveAppeal).not.toHaveBeenCalled();
+  });
+
+  it('should approve a pending appeal', async () => {
+    db.getAppeal.mockResolvedValue(pendingAppeal);
+    resolveAppeal.mockResolvedValue({ ...pendingAppeal, status: 'approved', resolvedBy: '123', strikesRemoved: 1, unmuted: true });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/appeals/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'approved', strikesRemoved: 1, unmuted: true });
+    expect(resolveAppeal).toHaveBeenCalledWith('-1001', 3, { approved: true, admin: expect.objectContaining({ id: 123 }) });
+  });
+
+  it('should not decide an appeal twice', async () => {
+    db.getAppeal.mockResolvedValue({ ...pendingAppeal, status: 'rejected' });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/appeals/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(400);
+    expect(resolveAppeal).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown appeals and 400 for invalid decisions', async () => {
+    db.getAppeal.mockResolvedValue(undefined);
+
+    const missing = await request(app)
+      .put('/api/v1/groups/-1001/appeals/99')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'rejected' });
+    const invalid = await request(app)
+      .put('/api/v1/groups/-1001/appeals/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'pending' });
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
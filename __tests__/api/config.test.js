@@ -0,0 +1,113 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { exportGroupConfig, validateGroupConfig, diffGroupConfig, applyGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/groupConfig.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Configuration Endpoints', () => {
+  const config = { version: 1, settings: { spamThreshold: 0.7 }, rules: [] };
+  const changes = [{ key: 'spamThreshold', from: 0.85, to: 0.7 }];
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+    validateGroupConfig.mockReturnValue([]);
+  });
+
+  it('should export a group\'s configuration', async () => {
+    exportGroupConfig.mockResolvedValue(config);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/config')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(config);
+    expect(exportGroupConfig).toHaveBeenCalledWith('-1001');
+  });
+
+  it('should only compare an import when dryRun is set', async () => {
+    diffGroupConfig.mockResolvedValue(changes);
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/config/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ config, dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ groupId: '-1001', applied: false, changes });
+    expect(applyGroupConfig).not.toHaveBeenCalled();
+  });
+
+  it('should apply an import', async () => {
+    applyGroupConfig.mockResolvedValue({ errors: [], changes });
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/config/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ config });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ groupId: '-1001', applied: true, changes });
+    expect(applyGroupConfig).toHaveBeenCalledWith('-1001', config, { admin: expect.objectContaining({ id: 123 }), sourceChatId: undefined });
+  });
+
+  it('should reject an invalid configuration with the list of problems', async () => {
+    validateGroupConfig.mockReturnValue(['Invalid value for spamThreshold: 2']);
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/config/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ config: { version: 1, settings: { spamThreshold: 2 } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details).toEqual(['Invalid value for spamThreshold: 2']);
+    expect(applyGroupConfig).not.toHaveBeenCalled();
+  });
+
+  it('should copy from another group only for admins of both groups', async () => {
+    db.isUserGroupAdmin.mockImplementation(async (userId, groupId) => groupId === '-1001');
+
+    const refused = await request(app)
+      .post('/api/v1/groups/-1001/config/copy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sourceGroupId: '-1002' });
+
+    expect(refused.status).toBe(403);
+    expect(exportGroupConfig).not.toHaveBeenCalled();
+
+    db.isUserGroupAdmin.mockResolvedValue(true);
+    db.getGroup.mockResolvedValue({ chatId: '-1002', chatTitle: 'Side Group' });
+    exportGroupConfig.mockResolvedValue(config);
+    applyGroupConfig.mockResolvedValue({ errors: [], changes });
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/config/copy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sourceGroupId: '-1002' });
+
+    expect(response.status).toBe(200);
+    expect(exportGroupConfig).toHaveBeenCalledWith('-1002');
+    expect(applyGroupConfig).toHaveBeenCalledWith('-1001', config, expect.objectContaining({ sourceChatId: '-1002' }));
+  });
+
+  it('should refuse to copy a group into itself', async () => {
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/config/copy')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sourceGroupId: '-1001' });
+
+    expect(response.status).toBe(400);
+    expect(exportGroupConfig).not.toHaveBeenCalled();
+  });
+});
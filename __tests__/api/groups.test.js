@@ -177,6 +177,230 @@ describe('Group API Endpoints', () => {
 
       expect(response.status).toBe(400);
     });
+
+    it('should accept valid media policies', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({ mediaPolicies: { photo: 'strike' } });
+
+      const response = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { mediaPolicies: { photo: 'strike', sticker: 'delete' } } });
+
+      expect(response.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'mediaPolicies', { photo: 'strike', sticker: 'delete' });
+    });
+
+    it('should return 400 for unknown media types or policies', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+
+      const badType = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { mediaPolicies: { gif: 'delete' } } });
+      const badPolicy = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { mediaPolicies: { photo: 'explode' } } });
+
+      expect(badType.status).toBe(400);
+      expect(badPolicy.status).toBe(400);
+      expect(configService.updateSetting).not.toHaveBeenCalled();
+    });
+
+    it('should normalize domain lists and reject malformed domains', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { blockedDomains: [' Scam.IO '], telegramInvitePolicy: 'strike' } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'blockedDomains', ['scam.io']);
+
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { allowedDomains: ['not a domain'] } });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should validate the language policy', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { allowedLanguages: ['en', 'es'], allowedScripts: ['latin'], languageAction: 'warn', languageMinLetters: 15 } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'allowedLanguages', ['en', 'es']);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'languageAction', 'warn');
+
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { allowedScripts: ['klingon'], languageAction: 'mute' } });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should reject a duplicate user threshold of 1', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { duplicateUserThreshold: 5, duplicateWindowMinutes: 15 } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'duplicateUserThreshold', 5);
+
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { duplicateUserThreshold: 1 } });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should validate CAPTCHA settings', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { captchaEnabled: true, captchaType: 'emoji', captchaDelivery: 'dm', captchaTimeoutSeconds: 90 } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'captchaType', 'emoji');
+
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { captchaType: 'riddle', captchaTimeoutSeconds: 5 } });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should accept lockdown thresholds but not the lockdown state', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { raidJoinLimit: 10, raidJoinWindowSeconds: 60, lockdownSlowModeSeconds: 30, lockdownDurationMinutes: 0 } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'raidJoinLimit', 10);
+
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { lockdownStartedAt: '2026-01-01T00:00:00.000Z' } });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should validate per category penalty ladders', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+      const penaltyLadders = { links: { alertLevel: 0, muteLevel: 0, kickLevel: 2, banLevel: 0 } };
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { penaltyLadders, combinedStrikeCeiling: 10 } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'penaltyLadders', penaltyLadders);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'combinedStrikeCeiling', 10);
+
+      const badCategory = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { penaltyLadders: { media: { kickLevel: 2 } } } });
+      const badLevel = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { penaltyLadders: { spam: { banLevel: 11 } } } });
+      expect(badCategory.status).toBe(400);
+      expect(badLevel.status).toBe(400);
+    });
+
+    it('should validate the mute schedule', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { muteSchedule: [10, 60, 1440, 10080] } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'muteSchedule', [10, 60, 1440, 10080]);
+
+      const badEntry = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { muteSchedule: [10, 0] } });
+      const tooLong = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { muteSchedule: Array(11).fill(10) } });
+      expect(badEntry.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+    });
+
+    it('should validate the report chat ID', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { reportChatId: '-1009876543210' } });
+      const cleared = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { reportChatId: '' } });
+      const invalid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { reportChatId: '@admins' } });
+      expect(valid.status).toBe(200);
+      expect(cleared.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'reportChatId', '-1009876543210');
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should validate the moderation log chat and verbosity', async () => {
+      axios.post.mockResolvedValue({ data: { result: [{ user: { id: 123 } }] } });
+      configService.updateSetting.mockResolvedValue();
+      configService.getGroupSettings.mockResolvedValue({});
+
+      const valid = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { logChatId: '-1001122334455', logChatVerbosity: 'all' } });
+      const invalidChat = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { logChatId: '@modlog' } });
+      const invalidVerbosity = await request(app)
+        .put('/api/v1/groups/-1001/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ settings: { logChatVerbosity: 'everything' } });
+      expect(valid.status).toBe(200);
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'logChatId', '-1001122334455');
+      expect(configService.updateSetting).toHaveBeenCalledWith('-1001', 'logChatVerbosity', 'all');
+      expect(invalidChat.status).toBe(400);
+      expect(invalidVerbosity.status).toBe(400);
+    });
   });
 
   describe('GET /groups', () => {
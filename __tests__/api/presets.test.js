@@ -0,0 +1,111 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { listPresets, getPreset, savePreset, applyPreset } from '@telegram-moderator/shared/services/presets.js';
+import { validateGroupConfig, diffGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/presets.js');
+vi.mock('@telegram-moderator/shared/services/groupConfig.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Preset Endpoints', () => {
+  const preset = { id: 'strict_crypto', name: 'Strict crypto project', description: 'Low tolerance for spam.', settings: { spamThreshold: 0.6 }, builtIn: true };
+  const changes = [{ key: 'spamThreshold', from: 0.85, to: 0.6 }];
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+    validateGroupConfig.mockReturnValue([]);
+  });
+
+  it('should list the built-in and the user\'s saved presets', async () => {
+    listPresets.mockResolvedValue([preset]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/presets')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.presets).toEqual([preset]);
+    expect(listPresets).toHaveBeenCalledWith('123');
+  });
+
+  it('should only compare a preset when dryRun is set', async () => {
+    getPreset.mockResolvedValue(preset);
+    diffGroupConfig.mockResolvedValue(changes);
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/presets/apply')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ presetId: 'strict_crypto', dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ groupId: '-1001', presetId: 'strict_crypto', applied: false, changes });
+    expect(applyPreset).not.toHaveBeenCalled();
+  });
+
+  it('should apply a preset', async () => {
+    getPreset.mockResolvedValue(preset);
+    applyPreset.mockResolvedValue({ errors: [], changes });
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/presets/apply')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ presetId: 'strict_crypto' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.applied).toBe(true);
+    expect(applyPreset).toHaveBeenCalledWith('-1001', preset, { admin: expect.objectContaining({ id: 123 }) });
+  });
+
+  it('should return 404 for presets the user cannot use', async () => {
+    getPreset.mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/presets/apply')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ presetId: '99' });
+
+    expect(response.status).toBe(404);
+    expect(applyPreset).not.toHaveBeenCalled();
+  });
+
+  it('should save the group\'s settings as a preset, up to the limit', async () => {
+    savePreset.mockResolvedValueOnce({ id: '7', name: 'Our setup', settings: {}, builtIn: false });
+
+    const saved = await request(app)
+      .post('/api/v1/groups/-1001/presets')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Our setup' });
+
+    expect(saved.status).toBe(201);
+    expect(savePreset).toHaveBeenCalledWith('123', 'Our setup', '-1001');
+
+    savePreset.mockResolvedValueOnce(null);
+    const refused = await request(app)
+      .post('/api/v1/groups/-1001/presets')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'One more' });
+
+    expect(refused.status).toBe(400);
+  });
+
+  it('should delete only the user\'s own presets', async () => {
+    db.deleteSettingsPreset.mockResolvedValue(false);
+
+    const response = await request(app)
+      .delete('/api/v1/groups/-1001/presets/7')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(404);
+    expect(db.deleteSettingsPreset).toHaveBeenCalledWith('123', 7);
+  });
+});
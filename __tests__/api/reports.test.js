@@ -0,0 +1,56 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Report Endpoints', () => {
+  const openReport = { id: 4, chatId: '-1001', messageId: 90, reportedUserId: '555', reporterId: '777', reportCount: 2, status: 'open' };
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+  });
+
+  it('should list reports with the most reported members', async () => {
+    db.getReports.mockResolvedValue([openReport]);
+    db.getMostReportedUsers.mockResolvedValue([{ userId: '555', reports: 3, openReports: 1 }]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/reports?status=open')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reports).toEqual([openReport]);
+    expect(response.body.data.mostReported).toEqual([{ userId: '555', reports: 3, openReports: 1 }]);
+    expect(db.getReports).toHaveBeenCalledWith('-1001', { status: 'open' });
+  });
+
+  it('should reject an unknown status filter', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/reports?status=maybe')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+    expect(db.getReports).not.toHaveBeenCalled();
+  });
+
+  it('should refuse users who are not admins of the group', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/reports')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(403);
+    expect(db.getReports).not.toHaveBeenCalled();
+  });
+});
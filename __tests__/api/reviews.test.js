@@ -0,0 +1,90 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { resolveReview } from '@telegram-moderator/shared/services/reviews.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/reviews.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Review Endpoints', () => {
+  const pendingReview = { id: 12, chatId: '-1001', messageId: 45, userId: '444', messageExcerpt: 'DM me', spamScore: 0.72, status: 'pending', label: null };
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+  });
+
+  it('should list a group\'s reviews filtered by status', async () => {
+    db.getReviews.mockResolvedValue([pendingReview]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/reviews?status=pending')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reviews).toEqual([pendingReview]);
+    expect(db.getReviews).toHaveBeenCalledWith('-1001', { status: 'pending' });
+  });
+
+  it('should refuse users who are not admins of the group', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/reviews/12')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'removed' });
+
+    expect(response.status).toBe(403);
+    expect(resolveReview).not.toHaveBeenCalled();
+  });
+
+  it('should remove a pending message and strike its author', async () => {
+    db.getReview.mockResolvedValue(pendingReview);
+    resolveReview.mockResolvedValue({ ...pendingReview, status: 'removed', label: 'spam', decidedBy: '123', strikeCount: 2 });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/reviews/12')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'removed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'removed', label: 'spam', strikeCount: 2 });
+    expect(resolveReview).toHaveBeenCalledWith('-1001', 12, { remove: true, admin: expect.objectContaining({ id: 123 }) });
+  });
+
+  it('should not decide a review twice', async () => {
+    db.getReview.mockResolvedValue({ ...pendingReview, status: 'approved', label: 'clean' });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/reviews/12')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'removed' });
+
+    expect(response.status).toBe(400);
+    expect(resolveReview).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown reviews and 400 for invalid decisions', async () => {
+    db.getReview.mockResolvedValue(undefined);
+
+    const missing = await request(app)
+      .put('/api/v1/groups/-1001/reviews/99')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+    const invalid = await request(app)
+      .put('/api/v1/groups/-1001/reviews/12')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'pending' });
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
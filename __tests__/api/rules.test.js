@@ -0,0 +1,131 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Custom Rule Endpoints', () => {
+  const storedRule = { id: 4, chatId: '-1001', pattern: 'airdrop', isRegex: false, scope: 'text', action: 'delete', strikeWeight: 1, enabled: true };
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123 });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+  });
+
+  it('should list a group\'s rules', async () => {
+    db.getModerationRules.mockResolvedValue([storedRule]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/rules')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rules).toEqual([storedRule]);
+  });
+
+  it('should refuse users who are not admins of the group', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/rules')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should create a rule', async () => {
+    db.addModerationRule.mockResolvedValue({ ...storedRule, pattern: 'free\\s+crypto', isRegex: true, action: 'strike', strikeWeight: 2 });
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ pattern: 'free\\s+crypto', isRegex: true, scope: 'text', action: 'strike', strikeWeight: 2 });
+
+    expect(response.status).toBe(201);
+    expect(db.addModerationRule).toHaveBeenCalledWith('-1001', {
+      pattern: 'free\\s+crypto', isRegex: true, scope: 'text', action: 'strike', strikeWeight: 2, enabled: true
+    });
+  });
+
+  it('should reject unknown scopes and actions', async () => {
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ pattern: 'spam', scope: 'bio', action: 'explode' });
+
+    expect(response.status).toBe(400);
+    expect(db.addModerationRule).not.toHaveBeenCalled();
+  });
+
+  it('should reject regular expressions that could backtrack catastrophically', async () => {
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ pattern: '(a+)+$', isRegex: true, scope: 'text', action: 'delete' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(/Nested quantifiers/);
+    expect(db.addModerationRule).not.toHaveBeenCalled();
+  });
+
+  it('should re-check the pattern when a literal rule is turned into a regex', async () => {
+    db.getModerationRule.mockResolvedValue({ ...storedRule, pattern: '(a)\\1' });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/rules/4')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isRegex: true });
+
+    expect(response.status).toBe(400);
+    expect(db.updateModerationRule).not.toHaveBeenCalled();
+  });
+
+  it('should update a rule', async () => {
+    db.getModerationRule.mockResolvedValue(storedRule);
+    db.updateModerationRule.mockResolvedValue({ ...storedRule, enabled: false });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/rules/4')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ enabled: false });
+
+    expect(response.status).toBe(200);
+    expect(db.updateModerationRule).toHaveBeenCalledWith('-1001', 4, { enabled: false });
+    expect(response.body.data.enabled).toBe(false);
+  });
+
+  it('should return 404 for rules the group does not have', async () => {
+    db.getModerationRule.mockResolvedValue(undefined);
+    db.deleteModerationRule.mockResolvedValue(false);
+
+    const update = await request(app)
+      .put('/api/v1/groups/-1001/rules/99')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ enabled: false });
+    const remove = await request(app)
+      .delete('/api/v1/groups/-1001/rules/99')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(update.status).toBe(404);
+    expect(remove.status).toBe(404);
+  });
+
+  it('should delete a rule', async () => {
+    db.deleteModerationRule.mockResolvedValue(true);
+
+    const response = await request(app)
+      .delete('/api/v1/groups/-1001/rules/4')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(db.deleteModerationRule).toHaveBeenCalledWith('-1001', 4);
+  });
+});
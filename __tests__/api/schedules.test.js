@@ -0,0 +1,133 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Schedule Endpoints', () => {
+  const storedSchedule = {
+    id: 3, chatId: '-1001', name: 'Quiet nights', days: ['fri', 'sat'], startTime: '23:00', endTime: '07:00',
+    kind: 'permissions', payload: { can_send_photos: false }, enabled: true, appliedAt: null, revertData: null, deletedAt: null, createdAt: '2026-01-01T00:00:00.000Z'
+  };
+  const { revertData, deletedAt, ...publicSchedule } = storedSchedule;
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123 });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+    getGroupSettings.mockResolvedValue({ scheduleTimezone: 'Europe/Berlin' });
+  });
+
+  it('should list a group\'s schedules with its time zone', async () => {
+    db.getSchedules.mockResolvedValue([storedSchedule]);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/schedules')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ groupId: '-1001', timezone: 'Europe/Berlin', schedules: [publicSchedule] });
+  });
+
+  it('should refuse users who are not admins of the group', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/schedules')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should create a schedule', async () => {
+    db.getSchedules.mockResolvedValue([]);
+    db.addSchedule.mockResolvedValue({ ...storedSchedule, kind: 'settings', payload: { spamThreshold: 0.6 } });
+
+    const response = await request(app)
+      .post('/api/v1/groups/-1001/schedules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Quiet nights', days: ['fri', 'sat'], startTime: '23:00', endTime: '07:00', kind: 'settings', payload: { spamThreshold: 0.6 } });
+
+    expect(response.status).toBe(201);
+    expect(db.addSchedule).toHaveBeenCalledWith('-1001', expect.objectContaining({ kind: 'settings', payload: { spamThreshold: 0.6 }, enabled: true }));
+    expect(response.body.data).not.toHaveProperty('revertData');
+  });
+
+  it('should reject an invalid schedule', async () => {
+    db.getSchedules.mockResolvedValue([]);
+
+    const invalidPayload = await request(app)
+      .post('/api/v1/groups/-1001/schedules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Quiet nights', startTime: '23:00', endTime: '07:00', kind: 'settings', payload: { spamThreshold: 3 } });
+    const invalidTime = await request(app)
+      .post('/api/v1/groups/-1001/schedules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Quiet nights', startTime: '25:00', endTime: '07:00', kind: 'permissions', payload: { can_send_photos: false } });
+
+    expect(invalidPayload.status).toBe(400);
+    expect(invalidTime.status).toBe(400);
+    expect(db.addSchedule).not.toHaveBeenCalled();
+  });
+
+  it('should check an update against the whole entry', async () => {
+    db.getSchedule.mockResolvedValue(storedSchedule);
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/schedules/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ kind: 'settings' });
+
+    expect(response.status).toBe(400);
+    expect(db.updateSchedule).not.toHaveBeenCalled();
+  });
+
+  it('should update a schedule', async () => {
+    db.getSchedule.mockResolvedValue(storedSchedule);
+    db.updateSchedule.mockResolvedValue({ ...storedSchedule, enabled: false });
+
+    const response = await request(app)
+      .put('/api/v1/groups/-1001/schedules/3')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ enabled: false });
+
+    expect(response.status).toBe(200);
+    expect(db.updateSchedule).toHaveBeenCalledWith('-1001', 3, { enabled: false });
+    expect(response.body.data.enabled).toBe(false);
+  });
+
+  it('should return 404 for unknown schedules', async () => {
+    db.getSchedule.mockResolvedValue(undefined);
+    db.deleteSchedule.mockResolvedValue(false);
+
+    const update = await request(app)
+      .put('/api/v1/groups/-1001/schedules/99')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ enabled: false });
+    const removal = await request(app)
+      .delete('/api/v1/groups/-1001/schedules/99')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(update.status).toBe(404);
+    expect(removal.status).toBe(404);
+  });
+
+  it('should delete a schedule', async () => {
+    db.deleteSchedule.mockResolvedValue(true);
+
+    const response = await request(app)
+      .delete('/api/v1/groups/-1001/schedules/3')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(db.deleteSchedule).toHaveBeenCalledWith('-1001', 3);
+  });
+});
@@ -0,0 +1,90 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import app from 'apps/api/src/server.js';
+import * as tokenService from 'apps/api/src/services/tokenService.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+// --- MOCK SETUP ---
+vi.mock('axios');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Shadow Report Endpoint', () => {
+  const report = {
+    summary: { scanned: 120, deletions: 4, strikes: 3, warnings: 2, mutes: 1, kicks: 0, bans: 0, members: 3 },
+    byViolationType: { SPAM: 3, LINK: 1 },
+    entries: [{ id: 9, userId: '555', type: 'SHADOW_VIOLATION', action: 'message_deleted', violationType: 'SPAM', spamScore: 0.9 }]
+  };
+  let adminToken;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminToken = tokenService.generateToken({ id: 123, first_name: 'Admin' });
+    db.isUserGroupAdmin.mockResolvedValue(true);
+    db.getShadowReport.mockResolvedValue({ ...report, total: 120 });
+    getGroupSettings.mockResolvedValue({ shadowMode: true });
+  });
+
+  it('should return what shadow mode would have done', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ groupId: '-1001', shadowMode: true, ...report });
+    expect(db.getShadowReport).toHaveBeenCalledWith('-1001', { since: undefined, limit: 50, offset: 0 });
+    expect(response.body.meta.pagination).toEqual({ page: 1, limit: 50, total: 120, totalPages: 3, hasNext: true, hasPrev: false });
+  });
+
+  it('should return the requested page of entries', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report?page=3&limit=20')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(db.getShadowReport).toHaveBeenCalledWith('-1001', { since: undefined, limit: 20, offset: 40 });
+    expect(response.body.meta.pagination).toMatchObject({ page: 3, totalPages: 6, hasNext: true, hasPrev: true });
+  });
+
+  it('should reject a page size above 100', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report?limit=500')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+    expect(db.getShadowReport).not.toHaveBeenCalled();
+  });
+
+  it('should limit the report to the requested number of days', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report?days=7')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    const { since } = db.getShadowReport.mock.calls[0][1];
+    expect(Date.now() - new Date(since).getTime()).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    expect(Date.now() - new Date(since).getTime()).toBeLessThan(7 * 24 * 60 * 60 * 1000 + 60 * 1000);
+  });
+
+  it('should reject an out of range period', async () => {
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report?days=365')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+    expect(db.getShadowReport).not.toHaveBeenCalled();
+  });
+
+  it('should deny users who are not group admins', async () => {
+    db.isUserGroupAdmin.mockResolvedValue(false);
+
+    const response = await request(app)
+      .get('/api/v1/groups/-1001/shadow-report')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(403);
+    expect(db.getShadowReport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { handleAppealCallback, handleAppealMessage, isAwaitingAppeal, resetPendingAppeals } from 'apps/bot/src/handlers/appealHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { resolveAppeal } from '@telegram-moderator/shared/services/appeals.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/services/appeals.js');
+
+describe('Appeal Handler', () => {
+    const chatId = '-1001';
+    const member = { id: 777, first_name: 'Member' };
+    const admin = { id: 42, first_name: 'Admin' };
+    const strikeEntry = { id: 9, timestamp: '2025-08-07T10:30:00.000Z', logData: JSON.stringify({ type: 'STRIKE', violationType: 'SPAM', messageExcerpt: 'buy now' }) };
+    const privateMessage = (text) => ({ chat: { id: member.id, type: 'private' }, from: member, text });
+
+    const press = (from, data) => handleAppealCallback({
+        id: 'query-1',
+        from,
+        data,
+        message: { chat: { id: from.id }, message_id: 5, text: '📨 Appeal #1' }
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        resetPendingAppeals();
+        db.getLastStrikeEntry.mockResolvedValue(strikeEntry);
+        db.getAppealByStrike.mockResolvedValue(undefined);
+        db.getGroup.mockResolvedValue({ chatId, chatTitle: 'Test Group' });
+        db.getAuditEntry.mockResolvedValue(strikeEntry);
+        db.createAppeal.mockResolvedValue({ id: 1, chatId, userId: '777', strikeLogId: 9, message: 'It was a joke', status: 'pending' });
+        telegram.sendMessage.mockResolvedValue({ message_id: 1 });
+        telegram.getChatAdmins.mockResolvedValue([42]);
+    });
+
+    test('should only let the penalised member start an appeal', async () => {
+        await press({ id: 999 }, `appeal:${chatId}:${member.id}`);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only the member who received the strike can appeal it.' });
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a strike that was already appealed', async () => {
+        db.getAppealByStrike.mockResolvedValue({ id: 1, status: 'rejected' });
+
+        await press(member, `appeal:${chatId}:${member.id}`);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', expect.objectContaining({ text: 'Your latest strike has already been appealed.' }));
+        expect(isAwaitingAppeal(privateMessage('hi'))).toBe(false);
+    });
+
+    test('should ask the member to start a private chat when they cannot be messaged', async () => {
+        telegram.sendMessage.mockRejectedValue(new Error("Forbidden: bot can't initiate conversation with a user"));
+
+        await press(member, `appeal:${chatId}:${member.id}`);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', expect.objectContaining({ text: expect.stringContaining('start a private chat') }));
+        expect(isAwaitingAppeal(privateMessage('hi'))).toBe(false);
+    });
+
+    test('should store the explanation and send it to the admins', async () => {
+        await press(member, `appeal:${chatId}:${member.id}`);
+        expect(isAwaitingAppeal(privateMessage('It was a joke'))).toBe(true);
+
+        await handleAppealMessage(privateMessage('It was a joke'));
+
+        expect(db.createAppeal).toHaveBeenCalledWith(chatId, '777', { strikeLogId: 9, message: 'It was a joke' });
+        expect(db.logManualAction).toHaveBeenCalledWith(chatId, '777', expect.objectContaining({
+            type: 'APPEAL',
+            action: 'appeal_submitted',
+            appealId: 1
+        }));
+        expect(telegram.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('"buy now"'), {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Approve', callback_data: `appeal_approve:${chatId}:1` },
+                    { text: '❌ Reject', callback_data: `appeal_reject:${chatId}:1` }
+                ]]
+            }
+        });
+        expect(isAwaitingAppeal(privateMessage('again'))).toBe(false);
+    });
+
+    test('should only let group admins decide appeals', async () => {
+        await press({ id: 999, first_name: 'Someone' }, `appeal_approve:${chatId}:1`);
+
+        expect(resolveAppeal).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only group admins can decide appeals.' });
+    });
+
+    test('should approve an appeal and mark the admin message', async () => {
+        resolveAppeal.mockResolvedValue({ id: 1, status: 'approved', strikesRemoved: 1, unmuted: true });
+
+        await press(admin, `appeal_approve:${chatId}:1`);
+
+        expect(resolveAppeal).toHaveBeenCalledWith(chatId, 1, { approved: true, admin });
+        expect(telegram.editMessageText).toHaveBeenCalledWith('📨 Appeal #1\n\n✅ Approved by Admin.', { chat_id: 42, message_id: 5 });
+    });
+
+    test('should report appeals that were already decided', async () => {
+        resolveAppeal.mockResolvedValue(null);
+
+        await press(admin, `appeal_reject:${chatId}:1`);
+
+        expect(resolveAppeal).toHaveBeenCalledWith(chatId, 1, { approved: false, admin });
+        expect(telegram.editMessageText).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This appeal has already been decided.' });
+    });
+});
@@ -3,11 +3,15 @@ import { handleCallback } from 'apps/bot/src/handlers/callbackHandler'; // Adjus
 import * as db from 'packages/shared/services/database';
 import * as telegram from 'packages/shared/services/telegram';
 import * as config from 'packages/shared/config/index';
+import { getPreset, applyPreset } from 'packages/shared/services/presets';
+import { diffGroupConfig } from 'packages/shared/services/groupConfig';
 
 // Mock all dependencies
 vi.mock('packages/shared/services/database');
 vi.mock('packages/shared/services/telegram');
 vi.mock('packages/shared/config/index');
+vi.mock('packages/shared/services/presets');
+vi.mock('packages/shared/services/groupConfig');
 vi.mock('packages/shared/services/logger', () => ({
   default: {
     info: vi.fn(),
@@ -154,4 +158,54 @@ describe('callbackHandler', () => {
     );
     expect(telegram.editMessageText).not.toHaveBeenCalled();
   });
+
+  it('TC-06: should return a strike category to the default penalty levels', async () => {
+    const ladders = { spam: { alertLevel: 1, muteLevel: 2, kickLevel: 0, banLevel: 0 }, links: { alertLevel: 0, muteLevel: 0, kickLevel: 1, banLevel: 0 } };
+    config.getGroupSettings.mockResolvedValue({ ...mockGroupSettings, penaltyLadders: ladders });
+
+    await handleCallback(mockCallbackQuery(`clear_ladder:${MOCK_GROUP_ID}:spam`));
+
+    expect(config.updateSetting).toHaveBeenCalledWith(MOCK_GROUP_ID, 'penaltyLadders', { links: ladders.links });
+    expect(telegram.editMessageText).toHaveBeenCalledWith(
+      expect.stringContaining('penalty ladder'),
+      expect.any(Object)
+    );
+  });
+
+  it('TC-07: should reject unknown strike categories', async () => {
+    await handleCallback(mockCallbackQuery(`ladder_menu:${MOCK_GROUP_ID}:media`));
+
+    expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-id-1', { text: 'Unknown strike category.' });
+    expect(telegram.editMessageText).not.toHaveBeenCalled();
+  });
+
+  it('TC-08: should show what a preset changes before applying it', async () => {
+    const preset = { id: 'strict_crypto', name: 'Strict crypto project', description: 'Low tolerance for spam.', settings: { spamThreshold: 0.6 }, builtIn: true };
+    getPreset.mockResolvedValue(preset);
+    diffGroupConfig.mockResolvedValue([{ key: 'spamThreshold', from: 0.75, to: 0.6 }]);
+    applyPreset.mockResolvedValue({ errors: [], changes: [{ key: 'spamThreshold', from: 0.75, to: 0.6 }] });
+
+    await handleCallback(mockCallbackQuery(`preview_preset:${MOCK_GROUP_ID}:strict_crypto`));
+
+    expect(getPreset).toHaveBeenCalledWith(String(MOCK_USER_ID), 'strict_crypto');
+    expect(telegram.editMessageText).toHaveBeenCalledWith(
+      expect.stringContaining('spamThreshold: `0.75` → `0.6`'),
+      expect.any(Object)
+    );
+    expect(applyPreset).not.toHaveBeenCalled();
+
+    await handleCallback(mockCallbackQuery(`apply_preset:${MOCK_GROUP_ID}:strict_crypto`));
+
+    expect(applyPreset).toHaveBeenCalledWith(MOCK_GROUP_ID, preset, { admin: expect.objectContaining({ id: MOCK_USER_ID }) });
+    expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-id-1', { text: 'Strict crypto project applied: 1 setting(s) changed' });
+  });
+
+  it('TC-09: should not apply unknown presets', async () => {
+    getPreset.mockResolvedValue(null);
+
+    await handleCallback(mockCallbackQuery(`apply_preset:${MOCK_GROUP_ID}:99`));
+
+    expect(applyPreset).not.toHaveBeenCalled();
+    expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-id-1', { text: 'Preset not found.' });
+  });
 });
@@ -0,0 +1,189 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleNewMembers, handleCaptchaCallback, handleCaptchaTimeout, sendPrivateChallenge } from 'apps/bot/src/handlers/captchaHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { enqueueJob, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/jobQueue.js');
+
+describe('CAPTCHA Handler', () => {
+    const chat = { id: -1001, type: 'supergroup', title: 'Test Group' };
+    const member = { id: 777, first_name: 'Newbie', is_bot: false };
+    const botUser = { id: 1, username: 'test_mod_bot' };
+    const joinMsg = { chat, new_chat_members: [member] };
+
+    const captchaSettings = {
+        captchaEnabled: true,
+        captchaType: 'button',
+        captchaDelivery: 'chat',
+        captchaTimeoutSeconds: 60,
+        captchaWelcomeMessage: 'Welcome {user}!'
+    };
+
+    const pressButton = (userId, optionIndex) => handleCaptchaCallback({
+        id: 'query-1',
+        from: { id: userId },
+        data: `captcha:${chat.id}:${member.id}:${optionIndex}`
+    });
+
+    // Pending verifications as the database would store them, keyed by `chatId:userId`.
+    let stored;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers();
+        stored = new Map();
+        db.saveCaptchaVerification.mockImplementation(async (verification) => {
+            stored.set(`${verification.chatId}:${verification.user.id}`, structuredClone(verification));
+        });
+        db.getCaptchaVerification.mockImplementation(async (chatId, userId) => structuredClone(stored.get(`${chatId}:${userId}`)));
+        db.deleteCaptchaVerification.mockImplementation(async (chatId, userId) => stored.delete(`${chatId}:${userId}`));
+        db.addCaptchaMessage.mockImplementation(async (chatId, userId, message) => {
+            stored.get(`${chatId}:${userId}`)?.messages.push(message);
+        });
+        getGroupSettings.mockResolvedValue(captchaSettings);
+        telegram.sendMessage.mockResolvedValue({ message_id: 55 });
+        telegram.restrictUser.mockResolvedValue(true);
+        telegram.restoreDefaultPermissions.mockResolvedValue(true);
+        telegram.getChatMember.mockResolvedValue({ status: 'restricted', until_date: 0 });
+        telegram.kickUser.mockResolvedValue(true);
+        telegram.deleteMessage.mockResolvedValue(true);
+        db.logManualAction.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('should do nothing when CAPTCHA is disabled', async () => {
+        getGroupSettings.mockResolvedValue({ ...captchaSettings, captchaEnabled: false });
+
+        await handleNewMembers(joinMsg, botUser);
+
+        expect(telegram.restrictUser).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should skip bots that join', async () => {
+        await handleNewMembers({ chat, new_chat_members: [{ id: 2, first_name: 'OtherBot', is_bot: true }] }, botUser);
+
+        expect(telegram.restrictUser).not.toHaveBeenCalled();
+    });
+
+    test('should restrict new members and post the challenge in the group', async () => {
+        await handleNewMembers(joinMsg, botUser);
+
+        expect(telegram.restrictUser).toHaveBeenCalledWith(chat.id, member.id);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(chat.id, expect.stringContaining('Welcome Newbie!'), expect.objectContaining({
+            reply_markup: { inline_keyboard: [[expect.objectContaining({ callback_data: `captcha:${chat.id}:${member.id}:0` })]] }
+        }));
+    });
+
+    test('should give the member the default permissions and log when they pass', async () => {
+        await handleNewMembers(joinMsg, botUser);
+        await pressButton(member.id, 0);
+
+        expect(telegram.restoreDefaultPermissions).toHaveBeenCalledWith('-1001', member.id);
+        expect(db.deleteCaptchaVerification).toHaveBeenCalledWith('-1001', '777');
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(chat.id, 55);
+        expect(telegram.kickUser).not.toHaveBeenCalled();
+        expect(cancelJobs).toHaveBeenCalledWith('captcha_timeout', '-1001:777');
+        expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({
+            type: 'CAPTCHA',
+            action: 'captcha_passed'
+        }));
+    });
+
+    test('should kick the member on a wrong answer', async () => {
+        await handleNewMembers(joinMsg, botUser);
+        await pressButton(member.id, 3);
+
+        expect(telegram.kickUser).toHaveBeenCalledWith('-1001', member.id);
+        expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ action: 'captcha_failed' }));
+    });
+
+    test('should ignore presses from other users', async () => {
+        await handleNewMembers(joinMsg, botUser);
+        await pressButton(999, 0);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This check is not for you.' });
+        expect(telegram.restoreDefaultPermissions).not.toHaveBeenCalled();
+    });
+
+    test('should keep a mute given during verification when the member passes', async () => {
+        await handleNewMembers(joinMsg, botUser);
+        telegram.getChatMember.mockResolvedValue({ status: 'restricted', until_date: Math.floor(Date.now() / 1000) + 3600 });
+
+        await pressButton(member.id, 0);
+
+        expect(telegram.restoreDefaultPermissions).not.toHaveBeenCalled();
+        expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ action: 'captcha_passed' }));
+    });
+
+    test('should store the challenge so answers still match it after a restart', async () => {
+        await handleNewMembers(joinMsg, botUser);
+
+        expect(db.saveCaptchaVerification).toHaveBeenCalledWith({
+            chatId: '-1001',
+            user: member,
+            captchaType: 'button',
+            challenge: expect.objectContaining({ answerIndex: 0 }),
+            messages: [{ chatId: chat.id, messageId: 55 }]
+        });
+        await pressButton(member.id, 0);
+
+        expect(telegram.restoreDefaultPermissions).toHaveBeenCalledWith('-1001', member.id);
+    });
+
+    test('should kick the member when the challenge times out', async () => {
+        await handleNewMembers(joinMsg, botUser);
+
+        expect(enqueueJob).toHaveBeenCalledWith('captcha_timeout', { chatId: '-1001', userId: '777' }, { delayMs: 60 * 1000, key: '-1001:777' });
+
+        await handleCaptchaTimeout(enqueueJob.mock.calls[0][1]);
+
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(chat.id, 55);
+        expect(telegram.kickUser).toHaveBeenCalledWith('-1001', member.id);
+        expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ action: 'captcha_timeout' }));
+    });
+
+    test('should leave a member alone whose timeout job runs after they passed', async () => {
+        await handleNewMembers(joinMsg, botUser);
+        const [, payload] = enqueueJob.mock.calls[0];
+        await pressButton(member.id, 0);
+        // Restricted again meanwhile, e.g. by a lockdown or an admin.
+        telegram.getChatMember.mockResolvedValue({ status: 'restricted', until_date: 0 });
+
+        await handleCaptchaTimeout(payload);
+
+        expect(telegram.kickUser).not.toHaveBeenCalled();
+        expect(db.logManualAction).not.toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ action: 'captcha_timeout' }));
+    });
+
+    test('should link to a private chat and send the challenge there for DM delivery', async () => {
+        getGroupSettings.mockResolvedValue({ ...captchaSettings, captchaDelivery: 'dm' });
+
+        await handleNewMembers(joinMsg, botUser);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(chat.id, expect.any(String), {
+            reply_markup: { inline_keyboard: [[{ text: '✅ Verify', url: 'https://t.me/test_mod_bot?start=verify_-1001' }]] }
+        });
+
+        await sendPrivateChallenge(member, '-1001');
+        expect(telegram.sendMessage).toHaveBeenLastCalledWith(member.id, expect.any(String), expect.objectContaining({
+            reply_markup: { inline_keyboard: [[expect.objectContaining({ callback_data: `captcha:-1001:${member.id}:0` })]] }
+        }));
+        expect(db.addCaptchaMessage).toHaveBeenCalledWith('-1001', '777', { chatId: member.id, messageId: 55 });
+    });
+
+    test('should skip verification when the member cannot be restricted', async () => {
+        telegram.restrictUser.mockRejectedValue(new Error('not enough rights'));
+
+        await handleNewMembers(joinMsg, botUser);
+
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+});
@@ -10,12 +10,18 @@ vi.mock('packages/shared/services/telegram.js', () => ({
   getChatAdmins: vi.fn(),
   deleteMessage: vi.fn(),
   getChatMember: vi.fn(),
+  muteUser: vi.fn(),
+  unrestrictUser: vi.fn(),
+  kickUser: vi.fn(),
+  banUser: vi.fn(),
+  unbanUser: vi.fn(),
 }));
 
 vi.mock('@telegram-moderator/shared/services/database.js', () => ({
   upsertUser: vi.fn(),
   findUserByUsernameInDb: vi.fn(),
   getStrikes: vi.fn(),
+  getCategoryStrikes: vi.fn(),
   getStrikeHistory: vi.fn(),
   addGroup: vi.fn(),
   getGroup: vi.fn(),
@@ -29,6 +35,7 @@ vi.mock('@telegram-moderator/shared/services/database.js', () => ({
 
 vi.mock('packages/shared/config/index.js', () => ({
   getGroupSettings: vi.fn(),
+  default: {},
 }));
 
 // Import mocks for easy reference
@@ -68,6 +75,18 @@ describe('Command Handler', () => {
                 expect(telegram.sendMessage).toHaveBeenCalledWith(USER_ID, expect.stringContaining('Your Strike Report'), expect.any(Object));
                 expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, `I've sent your strike report to you in a private message, ${mockUser.first_name}.`);
             });
+
+            test('should break the strike count down by category', async () => {
+                db.getStrikes.mockResolvedValue({ count: 3 });
+                db.getCategoryStrikes.mockResolvedValue({ links: 1, spam: 2 });
+                db.getStrikeHistory.mockResolvedValue([]);
+                const msg = { from: mockUser, chat: mockChat, text: '/mystrikes', message_id: 1 };
+
+                await handleCommand(msg);
+
+                expect(db.getCategoryStrikes).toHaveBeenCalledWith(CHAT_ID, USER_ID);
+                expect(telegram.sendMessage).toHaveBeenCalledWith(USER_ID, expect.stringContaining('*By Category:* links 1, spam 2'), expect.any(Object));
+            });
         });
 
         // --- ADMIN COMMANDS ---
@@ -131,6 +150,93 @@ describe('Command Handler', () => {
                 expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, 'Strikes for @targetuser set from 3 -> 0.');
             });
         });
+
+        describe('Reply-based Moderation Commands', () => {
+            const mockTargetFrom = { id: TARGET_USER_ID, first_name: 'TargetUser', username: 'targetuser' };
+            const replyTo = { message_id: 50, from: mockTargetFrom, text: 'buy cheap followers' };
+
+            test('/mute with a duration should mute the member, log it and delete the replied message', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/mute 2h spamming links', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.muteUser).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, 120);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({
+                    type: 'MANUAL-MUTE', admin: mockAdmin, durationMinutes: 120, reason: 'spamming links', messageExcerpt: 'buy cheap followers'
+                }));
+                expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, expect.stringContaining('muted for 2 hours'));
+                expect(telegram.deleteMessage).toHaveBeenCalledWith(CHAT_ID, 50);
+                expect(telegram.deleteMessage).toHaveBeenCalledWith(CHAT_ID, 1);
+            });
+
+            test('/mute without a duration should use the group mute duration', async () => {
+                const { getGroupSettings } = await import('packages/shared/config/index.js');
+                getGroupSettings.mockResolvedValue({ muteDurationMinutes: 30 });
+                const msg = { from: mockAdmin, chat: mockChat, text: '/mute', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.muteUser).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, 30);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({ reason: 'No reason provided.' }));
+            });
+
+            test('/ban without a duration should ban permanently', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/ban scam links', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.banUser).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, 0);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({ type: 'MANUAL-BAN', reason: 'scam links' }));
+                expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, expect.stringContaining('banned permanently'));
+            });
+
+            test('/ban with a duration should ban temporarily', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/ban 7d', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.banUser).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, 10080);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({ type: 'MANUAL-BAN', durationMinutes: 10080 }));
+            });
+
+            test('/warn should add a strike and log the acting admin', async () => {
+                db.addStrikes.mockResolvedValue(2);
+                const msg = { from: mockAdmin, chat: mockChat, text: '/warn stay on topic', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(db.addStrikes).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, 1);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({ type: 'MANUAL-WARN', admin: mockAdmin, amount: 1 }));
+                expect(telegram.deleteMessage).toHaveBeenCalledWith(CHAT_ID, 50);
+            });
+
+            test('/unban should lift the ban and keep the replied message', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/unban', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.unbanUser).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID);
+                expect(db.logManualAction).toHaveBeenCalledWith(CHAT_ID, TARGET_USER_ID, expect.objectContaining({ type: 'MANUAL-UNBAN' }));
+                expect(telegram.deleteMessage).not.toHaveBeenCalledWith(CHAT_ID, 50);
+            });
+
+            test('should require the command to be a reply', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/kick', message_id: 1 };
+
+                await handleCommand(msg);
+                expect(telegram.kickUser).not.toHaveBeenCalled();
+                expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, expect.stringContaining('Reply to a member'), expect.any(Object));
+            });
+
+            test('should reject an invalid duration', async () => {
+                const msg = { from: mockAdmin, chat: mockChat, text: '/mute 5x', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.muteUser).not.toHaveBeenCalled();
+                expect(telegram.sendMessage).toHaveBeenCalledWith(CHAT_ID, expect.stringContaining('Invalid duration'), expect.any(Object));
+            });
+
+            test('should block non-admins', async () => {
+                const msg = { from: mockUser, chat: mockChat, text: '/ban', message_id: 1, reply_to_message: replyTo };
+
+                await handleCommand(msg);
+                expect(telegram.banUser).not.toHaveBeenCalled();
+            });
+        });
     });
 
     describe('Private Chat Commands', () => {
@@ -0,0 +1,88 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { handleConfigCommand, handleConfigCallback } from 'apps/bot/src/handlers/configHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { exportGroupConfig, validateGroupConfig, diffGroupConfig, applyGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/services/groupConfig.js');
+
+describe('Config Handler', () => {
+    const chat = { id: -1001, type: 'supergroup', title: 'Main Group' };
+    const admin = { id: 42, first_name: 'Admin' };
+    const config = { version: 1, settings: { spamThreshold: 0.7 } };
+    const changes = [{ key: 'spamThreshold', from: 0.85, to: 0.7 }];
+
+    const command = (text, extra = {}) => handleConfigCommand({ message_id: 9, chat, from: admin, text, ...extra });
+    const press = (data) => handleConfigCallback({ id: 'cb1', from: admin, data, message: { chat: { id: 42 }, message_id: 20, text: 'Changes' } });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        telegram.sendMessage.mockResolvedValue({ message_id: 10 });
+        telegram.getChatAdmins.mockResolvedValue([42]);
+        exportGroupConfig.mockResolvedValue(config);
+        validateGroupConfig.mockReturnValue([]);
+        diffGroupConfig.mockResolvedValue(changes);
+        applyGroupConfig.mockResolvedValue({ errors: [], changes });
+    });
+
+    test('should send the export privately as a JSON file', async () => {
+        await command('/exportconfig');
+
+        expect(telegram.sendDocument).toHaveBeenCalledWith(
+            42,
+            Buffer.from(JSON.stringify(config, null, 2)),
+            expect.objectContaining({ caption: expect.stringContaining('Main Group') }),
+            { filename: 'group--1001-config.json', contentType: 'application/json' }
+        );
+    });
+
+    test('should show the changes of a replied-to file and apply them on confirmation', async () => {
+        telegram.getFileContent.mockResolvedValue(Buffer.from(JSON.stringify(config)));
+
+        await command('/importconfig', { reply_to_message: { document: { file_id: 'f1', file_name: 'main.json', file_size: 500 } } });
+
+        expect(diffGroupConfig).toHaveBeenCalledWith('-1001', config);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('spamThreshold: 0.85 → 0.7'), expect.anything());
+        expect(applyGroupConfig).not.toHaveBeenCalled();
+
+        await press('config_apply:-1001');
+
+        expect(applyGroupConfig).toHaveBeenCalledWith('-1001', config, { admin, sourceChatId: undefined });
+        expect(telegram.editMessageText).toHaveBeenCalledWith(expect.stringContaining('Applied 1 change(s)'), { chat_id: 42, message_id: 20 });
+    });
+
+    test('should list validation errors and not offer an invalid file', async () => {
+        telegram.getFileContent.mockResolvedValue(Buffer.from('{"version": 99}'));
+        validateGroupConfig.mockReturnValue(['Unsupported configuration version 99; expected 1']);
+
+        await command('/importconfig', { reply_to_message: { document: { file_id: 'f1', file_name: 'old.json', file_size: 20 } } });
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('Unsupported configuration version 99'));
+        expect(diffGroupConfig).not.toHaveBeenCalled();
+    });
+
+    test('should only copy from groups the sender administers', async () => {
+        db.getGroup.mockResolvedValue({ chatId: '-1002', chatTitle: 'Side Group' });
+        telegram.getChatAdmins.mockResolvedValue([7]);
+
+        await command('/copyconfig -1002');
+
+        expect(exportGroupConfig).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, 'You must be an admin of "Side Group" to copy its configuration.');
+    });
+
+    test('should drop a copy when it is cancelled', async () => {
+        db.getGroup.mockResolvedValue({ chatId: '-1002', chatTitle: 'Side Group' });
+
+        await command('/copyconfig -1002');
+        expect(exportGroupConfig).toHaveBeenCalledWith('-1002');
+
+        await press('config_cancel:-1001');
+        await press('config_apply:-1001');
+
+        expect(applyGroupConfig).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenLastCalledWith('cb1', { text: 'This import has expired.' });
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { handleFederationCommand, handleJoinsForFederation } from 'apps/bot/src/handlers/federationHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { federationBan, federationUnban, enforceFederationBan } from '@telegram-moderator/shared/services/federations.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/services/federations.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Federation Handler', () => {
+    const chat = { id: -1001, type: 'supergroup', title: 'Main Group' };
+    const owner = { id: 42, first_name: 'Owner' };
+    const federation = { id: 3, name: 'Crypto Groups', ownerId: '42' };
+    const spammer = { id: 555, first_name: 'Spammer' };
+
+    const command = (text, from = owner, extra = {}) => handleFederationCommand({ message_id: 9, chat, from, text, ...extra }, [42, 43]);
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        telegram.sendMessage.mockResolvedValue({ message_id: 10 });
+        telegram.getChatMember.mockResolvedValue({ status: 'creator' });
+        db.getGroupFederation.mockResolvedValue(federation);
+        db.getFederation.mockResolvedValue(federation);
+        getGroupSettings.mockResolvedValue({ shadowMode: false });
+    });
+
+    test('should let the group owner create a federation and add the group to it', async () => {
+        db.getGroupFederation.mockResolvedValue(undefined);
+        db.createFederation.mockResolvedValue(federation);
+
+        await command('/newfed Crypto Groups');
+
+        expect(db.createFederation).toHaveBeenCalledWith('Crypto Groups', '42');
+        expect(db.joinFederation).toHaveBeenCalledWith(3, '-1001');
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('/joinfed 3'));
+    });
+
+    test('should only let group owners create federations', async () => {
+        db.getGroupFederation.mockResolvedValue(undefined);
+        telegram.getChatMember.mockResolvedValue({ status: 'administrator' });
+
+        await command('/newfed Crypto Groups', { id: 43, first_name: 'Admin' });
+
+        expect(db.createFederation).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, 'Only the owner of this group can create a federation.');
+    });
+
+    test('should only let the federation owner add groups', async () => {
+        db.getGroupFederation.mockResolvedValue(undefined);
+
+        await command('/joinfed 3', { id: 43, first_name: 'Admin' });
+        expect(db.joinFederation).not.toHaveBeenCalled();
+
+        await command('/joinfed 3');
+        expect(db.joinFederation).toHaveBeenCalledWith(3, '-1001');
+    });
+
+    test('should only add a group for its owner or an admin who can ban there', async () => {
+        db.getGroupFederation.mockResolvedValue(undefined);
+        telegram.getChatMember.mockResolvedValue({ status: 'administrator', can_restrict_members: false });
+
+        await command('/joinfed 3');
+        expect(db.joinFederation).not.toHaveBeenCalled();
+        expect(telegram.getChatMember).toHaveBeenCalledWith(-1001, 42);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, 'Only the owner of this group or an admin who can ban members can add it to a federation.');
+
+        telegram.getChatMember.mockResolvedValue({ status: 'administrator', can_restrict_members: true });
+        await command('/joinfed 3');
+        expect(db.joinFederation).toHaveBeenCalledWith(3, '-1001');
+    });
+
+    test('should ban the replied-to author across the federation', async () => {
+        federationBan.mockResolvedValue({ bannedIn: ['-1001', '-1002'], failedIn: [], skippedIn: [] });
+
+        await command('/fban Scam links', owner, { reply_to_message: { message_id: 8, from: spammer } });
+
+        expect(federationBan).toHaveBeenCalledWith(federation, spammer, { admin: owner, sourceChatId: '-1001', reason: 'Scam links' });
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('banned from the federation "Crypto Groups" by Owner (2 group(s))'));
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(-1001, 8);
+    });
+
+    test('should report the groups the user was left in as an admin', async () => {
+        federationBan.mockResolvedValue({ bannedIn: ['-1001'], failedIn: [], skippedIn: ['-1002'] });
+
+        await command('/fban Scam links', owner, { reply_to_message: { message_id: 8, from: spammer } });
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('(1 group(s), not in 1 where they are an admin)'));
+    });
+
+    test('should unban a user given by ID', async () => {
+        db.getUser.mockResolvedValue({ userId: '555', firstName: 'Spammer' });
+        federationUnban.mockResolvedValue({ unbannedIn: ['-1001'], failedIn: [] });
+
+        await command('/funban 555');
+
+        expect(federationUnban).toHaveBeenCalledWith(federation, { id: 555, first_name: 'Spammer', username: undefined }, { admin: owner, sourceChatId: '-1001' });
+    });
+
+    test('should refuse to fban admins or outside a federation', async () => {
+        await command('/fban', owner, { reply_to_message: { message_id: 8, from: { id: 43, first_name: 'Admin' } } });
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, '/fban cannot be used on admins or bots.');
+
+        db.getGroupFederation.mockResolvedValue(undefined);
+        await command('/fban 555');
+        expect(federationBan).not.toHaveBeenCalled();
+    });
+
+    test('should ban federation-banned users when they join and report them', async () => {
+        enforceFederationBan.mockImplementation(async (chatId, member) => (member.id === 555 ? { federationId: 3 } : null));
+
+        const banned = await handleJoinsForFederation({ chat, new_chat_members: [spammer, { id: 777, first_name: 'Member' }, { id: 1, is_bot: true }] });
+
+        expect(banned).toEqual([555]);
+        expect(enforceFederationBan).toHaveBeenCalledTimes(2);
+        expect(enforceFederationBan).toHaveBeenCalledWith('-1001', spammer, { shadowMode: false });
+    });
+});
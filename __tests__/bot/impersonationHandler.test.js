@@ -0,0 +1,158 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { checkForImpersonation, handleJoinsForImpersonation, handleImpersonationCallback, resetImpersonationState } from 'apps/bot/src/handlers/impersonationHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Impersonation Handler', () => {
+    const chat = { id: -1001, type: 'supergroup', title: 'Test Group' };
+    const admin = { id: 42, first_name: 'Alice', last_name: 'Johnson', is_bot: false };
+    const botAdmin = { id: 1, first_name: 'Mod Bot', is_bot: true };
+    const impostor = { id: 777, first_name: 'Alice', last_name: 'Johns0n', is_bot: false };
+    const member = { id: 778, first_name: 'Bob', is_bot: false };
+
+    const settings = {
+        impersonationEnabled: true,
+        impersonationKeywords: ['support'],
+        moderatorIds: [],
+        reportChatId: ''
+    };
+
+    const auditEntry = {
+        id: 7,
+        userId: '777',
+        logData: JSON.stringify({ type: 'IMPERSONATION', user: { id: 777, first_name: 'Alice' }, reason: 'Name imitates an admin', nameKey: 'name:allcejohnson' })
+    };
+
+    const press = (action, from = admin) => handleImpersonationCallback({
+        id: 'query-1',
+        from,
+        data: `impersonation_${action}:-1001:7`,
+        message: { chat: { id: 42 }, message_id: 90, text: '🎭 Possible impersonator in Test Group' }
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        resetImpersonationState();
+        getGroupSettings.mockResolvedValue(settings);
+        telegram.getChatAdminUsers.mockResolvedValue([admin, botAdmin]);
+        telegram.getChatAdmins.mockResolvedValue([42, 1]);
+        telegram.restrictUser.mockResolvedValue(true);
+        telegram.unrestrictUser.mockResolvedValue(true);
+        telegram.banUser.mockResolvedValue(true);
+        telegram.sendMessage.mockResolvedValue({ message_id: 90 });
+        telegram.getChatMember.mockResolvedValue({ status: 'restricted' });
+        db.isImpersonationCleared.mockResolvedValue(false);
+        db.logManualAction.mockResolvedValue({ lastID: 7 });
+        db.getAuditEntry.mockResolvedValue(auditEntry);
+        db.claimReversal.mockResolvedValue(true);
+    });
+
+    describe('Detection', () => {
+        test('should restrict a member imitating an admin and alert the human admins', async () => {
+            const restricted = await checkForImpersonation(chat, impostor, settings);
+
+            expect(restricted).toBe(true);
+            expect(telegram.restrictUser).toHaveBeenCalledWith(-1001, 777);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({
+                type: 'IMPERSONATION',
+                action: 'user_restricted',
+                matchedField: 'name',
+                imitatedAdminId: 42,
+                executedBy: 'AUTO_MODERATOR'
+            }));
+            expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+            expect(telegram.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('imitates the admin Alice Johnson [42]'), expect.objectContaining({
+                reply_markup: { inline_keyboard: [[
+                    expect.objectContaining({ callback_data: 'impersonation_clear:-1001:7' }),
+                    expect.objectContaining({ callback_data: 'impersonation_ban:-1001:7' })
+                ]] }
+            }));
+        });
+
+        test('should send the alert to the report chat when one is set', async () => {
+            await checkForImpersonation(chat, { id: 779, first_name: 'Support Team' }, { ...settings, reportChatId: '-100999' });
+
+            expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+            expect(telegram.sendMessage).toHaveBeenCalledWith('-100999', expect.stringContaining('contains the protected word "support"'), expect.any(Object));
+        });
+
+        test('should leave admins, moderators, bots and ordinary names alone', async () => {
+            expect(await checkForImpersonation(chat, admin, settings)).toBe(false);
+            expect(await checkForImpersonation(chat, impostor, { ...settings, moderatorIds: ['777'] })).toBe(false);
+            expect(await checkForImpersonation(chat, { ...impostor, is_bot: true }, settings)).toBe(false);
+            expect(await checkForImpersonation(chat, member, settings)).toBe(false);
+            expect(await checkForImpersonation(chat, impostor, { ...settings, impersonationEnabled: false })).toBe(false);
+
+            expect(telegram.restrictUser).not.toHaveBeenCalled();
+        });
+
+        test('should leave a cleared member alone while their names are unchanged', async () => {
+            db.isImpersonationCleared.mockResolvedValue(true);
+
+            expect(await checkForImpersonation(chat, impostor, settings)).toBe(false);
+            expect(db.isImpersonationCleared).toHaveBeenCalledWith('-1001', '777', 'name:allcejohnson');
+            expect(telegram.restrictUser).not.toHaveBeenCalled();
+        });
+
+        test('should only log the restriction once in shadow mode', async () => {
+            const shadow = { ...settings, shadowMode: true };
+
+            expect(await checkForImpersonation(chat, impostor, shadow)).toBe(false);
+            await checkForImpersonation(chat, impostor, shadow);
+
+            expect(telegram.restrictUser).not.toHaveBeenCalled();
+            expect(telegram.sendMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledTimes(1);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ type: 'SHADOW_IMPERSONATION', shadowAction: 'user_restricted' }));
+        });
+
+        test('should return the joining members it restricted', async () => {
+            const restricted = await handleJoinsForImpersonation({ chat, new_chat_members: [impostor, member] });
+
+            expect(restricted).toEqual([777]);
+        });
+    });
+
+    describe('Admin decisions', () => {
+        test('should clear and unrestrict the member', async () => {
+            await press('clear');
+
+            expect(telegram.unrestrictUser).toHaveBeenCalledWith('-1001', '777');
+            expect(db.clearImpersonation).toHaveBeenCalledWith('-1001', '777', 'name:allcejohnson', '42');
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ type: 'MANUAL-IMPERSONATION-CLEAR', undoes: 7 }));
+            expect(telegram.editMessageText).toHaveBeenCalledWith(expect.stringContaining('Cleared and unrestricted by Alice.'), { chat_id: 42, message_id: 90 });
+        });
+
+        test('should not clear a member who was banned meanwhile', async () => {
+            telegram.getChatMember.mockResolvedValue({ status: 'kicked' });
+
+            await press('clear');
+
+            expect(telegram.unrestrictUser).not.toHaveBeenCalled();
+            expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', expect.objectContaining({ show_alert: true }));
+        });
+
+        test('should ban the member', async () => {
+            await press('ban');
+
+            expect(telegram.banUser).toHaveBeenCalledWith('-1001', '777');
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '777', expect.objectContaining({ type: 'MANUAL-BAN', reason: 'Impersonation: Name imitates an admin', undoes: 7 }));
+        });
+
+        test('should only let admins decide, and only once', async () => {
+            await press('ban', { id: 5, first_name: 'Member' });
+            expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only group admins can decide this.' });
+
+            db.claimReversal.mockResolvedValue(false);
+            await press('ban');
+            expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This member has already been handled.' });
+
+            expect(telegram.banUser).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { registerJobHandlers } from 'apps/bot/src/handlers/jobHandler.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { registerJobHandler } from '@telegram-moderator/shared/services/jobQueue.js';
+import { JobType } from '@telegram-moderator/shared/utils/enums.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/jobQueue.js');
+
+describe('Job Handler', () => {
+    const handlerFor = (type) => registerJobHandler.mock.calls.find(([registered]) => registered === type)[1];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        registerJobHandlers();
+    });
+
+    test('should register a handler for every job type', () => {
+        expect(registerJobHandler.mock.calls.map(([type]) => type).sort()).toEqual(Object.values(JobType).sort());
+    });
+
+    test('should finish a deletion once the message is gone', async () => {
+        // `deleteMessage` also resolves to true when the message was already deleted.
+        telegram.deleteMessage.mockResolvedValue(true);
+
+        await expect(handlerFor(JobType.DELETE_MESSAGE)({ chatId: '-1001', messageId: 42 })).resolves.toBeUndefined();
+        expect(telegram.deleteMessage).toHaveBeenCalledWith('-1001', 42);
+    });
+
+    test('should fail a deletion so it is retried when the message is still there', async () => {
+        telegram.deleteMessage.mockResolvedValue(false);
+
+        await expect(handlerFor(JobType.DELETE_MESSAGE)({ chatId: '-1001', messageId: 42 })).rejects.toThrow('could not be deleted');
+    });
+
+    test('should send a delayed message with its options', async () => {
+        await handlerFor(JobType.SEND_MESSAGE)({ chatId: '-1001', text: 'Done', options: { parse_mode: 'Markdown' } });
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith('-1001', 'Done', { parse_mode: 'Markdown' });
+    });
+});
@@ -0,0 +1,199 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { startLockdown, endLockdown, handleJoinsForLockdown, handleLockdownEnd, isSlowModeViolation, resetLockdownState } from 'apps/bot/src/handlers/lockdownHandler.js';
+import { resetJoinTracking } from '@telegram-moderator/shared/services/joinSurge.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+import { enqueueJob, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+vi.mock('@telegram-moderator/shared/services/jobQueue.js');
+
+describe('Lockdown Handler', () => {
+    const chat = { id: -1001, type: 'supergroup', title: 'Test Group' };
+    const admin = { id: 42, first_name: 'Admin' };
+    let settings;
+
+    const joinMsg = (...ids) => ({ chat, new_chat_members: ids.map(id => ({ id, first_name: `User${id}`, is_bot: false })) });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers();
+        resetLockdownState();
+        resetJoinTracking();
+        settings = {
+            raidJoinLimit: 2,
+            raidJoinWindowSeconds: 60,
+            lockdownSlowModeSeconds: 0,
+            lockdownDurationMinutes: 30,
+            lockdownStartedAt: null
+        };
+        getGroupSettings.mockImplementation(async () => ({ ...settings }));
+        updateSetting.mockImplementation(async (chatId, key, value) => { settings[key] = value; });
+        telegram.getChatAdmins.mockResolvedValue([admin.id]);
+        telegram.sendMessage.mockResolvedValue({ message_id: 1 });
+        telegram.restrictUser.mockResolvedValue(true);
+        telegram.unrestrictUser.mockResolvedValue(true);
+        db.logManualAction.mockResolvedValue();
+        db.getMembersJoinedSince.mockResolvedValue([]);
+        db.hasOpenImpersonation.mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('should leave joins alone while the rate is below the limit', async () => {
+        const inLockdown = await handleJoinsForLockdown(joinMsg(1, 2));
+
+        expect(inLockdown).toBe(false);
+        expect(telegram.restrictUser).not.toHaveBeenCalled();
+        expect(settings.lockdownStartedAt).toBeNull();
+    });
+
+    test('should not track joins when automatic lockdown is disabled', async () => {
+        settings.raidJoinLimit = 0;
+
+        expect(await handleJoinsForLockdown(joinMsg(1, 2, 3, 4))).toBe(false);
+        expect(updateSetting).not.toHaveBeenCalled();
+    });
+
+    test('should start a lockdown on a join surge and restrict the joiners', async () => {
+        await handleJoinsForLockdown(joinMsg(1, 2));
+        const inLockdown = await handleJoinsForLockdown(joinMsg(3));
+
+        expect(inLockdown).toBe(true);
+        expect(settings.lockdownStartedAt).not.toBeNull();
+        expect(telegram.restrictUser).toHaveBeenCalledWith(chat.id, 3);
+        expect(db.logManualAction).toHaveBeenCalledWith('-1001', '0', expect.objectContaining({
+            type: 'LOCKDOWN',
+            action: 'lockdown_started',
+            joinCount: 3,
+            executedBy: 'AUTO_MODERATOR'
+        }));
+        expect(telegram.sendMessage).toHaveBeenCalledWith(admin.id, expect.stringContaining('Lockdown started'), {
+            reply_markup: { inline_keyboard: [[{ text: '🔓 End Lockdown', callback_data: 'end_lockdown:-1001' }]] }
+        });
+    });
+
+    test('should restrict every human who joins during a lockdown', async () => {
+        settings.lockdownStartedAt = new Date().toISOString();
+
+        const inLockdown = await handleJoinsForLockdown({ chat, new_chat_members: [{ id: 5, is_bot: false }, { id: 6, is_bot: true }] });
+
+        expect(inLockdown).toBe(true);
+        expect(telegram.restrictUser).toHaveBeenCalledTimes(1);
+        expect(telegram.restrictUser).toHaveBeenCalledWith(chat.id, 5);
+    });
+
+    test('should not start a second lockdown while one is active', async () => {
+        await startLockdown(chat, { admin });
+
+        expect(await startLockdown(chat, { admin })).toBe(false);
+        expect(db.logManualAction).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release members who joined during the lockdown and log the end', async () => {
+        await startLockdown(chat, { admin, reason: 'Raid' });
+        const startedAt = settings.lockdownStartedAt;
+        db.getMembersJoinedSince.mockResolvedValue(['5', '6']);
+
+        const ended = await endLockdown(chat, { admin });
+
+        expect(ended).toBe(true);
+        expect(settings.lockdownStartedAt).toBeNull();
+        expect(db.getMembersJoinedSince).toHaveBeenCalledWith('-1001', startedAt);
+        expect(telegram.unrestrictUser).toHaveBeenCalledWith(chat.id, 5);
+        expect(telegram.unrestrictUser).toHaveBeenCalledWith(chat.id, 6);
+        expect(db.logManualAction).toHaveBeenLastCalledWith('-1001', '42', expect.objectContaining({
+            type: 'LOCKDOWN',
+            action: 'lockdown_ended',
+            membersReleased: 2,
+            executedBy: 'ADMIN'
+        }));
+    });
+
+    test('should send members who joined during the lockdown through the CAPTCHA when it ends', async () => {
+        Object.assign(settings, { captchaEnabled: true, captchaType: 'math', captchaDelivery: 'chat', captchaTimeoutSeconds: 120, captchaWelcomeMessage: 'Welcome {user}!' });
+        await startLockdown(chat, { admin, reason: 'Raid' });
+        await handleJoinsForLockdown(joinMsg(5, 6));
+        db.getMembersJoinedSince.mockResolvedValue(['5', '6']);
+        telegram.getChatMember.mockImplementation(async (chatId, userId) => (userId === 5
+            ? { status: 'restricted', user: { id: 5, first_name: 'User5', is_bot: false } }
+            : { status: 'left', user: { id: 6, first_name: 'User6', is_bot: false } }));
+
+        await endLockdown(chat, { admin });
+
+        expect(telegram.unrestrictUser).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).toHaveBeenCalledWith(chat.id, expect.stringContaining('Welcome User5!'), expect.objectContaining({ reply_markup: expect.any(Object) }));
+        expect(db.saveCaptchaVerification).toHaveBeenCalledTimes(1);
+        expect(db.saveCaptchaVerification).toHaveBeenCalledWith(expect.objectContaining({ chatId: '-1001', user: expect.objectContaining({ id: 5 }) }));
+        expect(enqueueJob).toHaveBeenCalledWith('captcha_timeout', { chatId: '-1001', userId: '5' }, { delayMs: 120 * 1000, key: '-1001:5' });
+    });
+
+    test('should keep members restricted as impersonators restricted when the lockdown ends', async () => {
+        await startLockdown(chat, { admin, reason: 'Raid' });
+        db.getMembersJoinedSince.mockResolvedValue(['5', '6']);
+        db.hasOpenImpersonation.mockImplementation(async (chatId, userId) => userId === '6');
+
+        await endLockdown(chat, { admin });
+
+        expect(db.hasOpenImpersonation).toHaveBeenCalledWith('-1001', '6');
+        expect(telegram.unrestrictUser).toHaveBeenCalledWith(chat.id, 5);
+        expect(telegram.unrestrictUser).not.toHaveBeenCalledWith(chat.id, 6);
+        expect(db.logManualAction).toHaveBeenLastCalledWith('-1001', '42', expect.objectContaining({ membersReleased: 1 }));
+    });
+
+    test('should do nothing when ending a lockdown that is not active', async () => {
+        expect(await endLockdown(chat, { admin })).toBe(false);
+        expect(db.logManualAction).not.toHaveBeenCalled();
+    });
+
+    test('should end an automatic lockdown after the configured duration', async () => {
+        await startLockdown(chat, { reason: 'Raid' });
+        const startedAt = settings.lockdownStartedAt;
+
+        expect(enqueueJob).toHaveBeenCalledWith('lockdown_end', { chatId: -1001, startedAt }, { delayMs: 30 * 60 * 1000, key: '-1001' });
+
+        await handleLockdownEnd(enqueueJob.mock.calls[0][1]);
+
+        expect(settings.lockdownStartedAt).toBeNull();
+        expect(db.logManualAction).toHaveBeenLastCalledWith('-1001', '0', expect.objectContaining({
+            action: 'lockdown_ended',
+            reason: 'Lockdown duration elapsed'
+        }));
+    });
+
+    test('should cancel the end job when an admin ends the lockdown first', async () => {
+        await startLockdown(chat, { reason: 'Raid' });
+        const [, payload] = enqueueJob.mock.calls[0];
+        await endLockdown(chat, { admin });
+
+        expect(cancelJobs).toHaveBeenCalledWith('lockdown_end', '-1001');
+
+        // A job that ran anyway, e.g. after a restart, leaves a later lockdown alone.
+        settings.lockdownStartedAt = new Date(Date.now() + 1000).toISOString();
+        await handleLockdownEnd(payload);
+
+        expect(settings.lockdownStartedAt).not.toBeNull();
+        expect(db.logManualAction).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep a manual lockdown until an admin ends it', async () => {
+        await startLockdown(chat, { admin });
+
+        expect(enqueueJob).not.toHaveBeenCalled();
+        expect(settings.lockdownStartedAt).not.toBeNull();
+    });
+
+    test('should flag messages sent faster than the slow mode allows', () => {
+        const start = 1_700_000_000_000;
+
+        expect(isSlowModeViolation('-1001', '7', 30, start)).toBe(false);
+        expect(isSlowModeViolation('-1001', '7', 30, start + 10_000)).toBe(true);
+        expect(isSlowModeViolation('-1001', '8', 30, start + 10_000)).toBe(false);
+        expect(isSlowModeViolation('-1001', '7', 30, start + 31_000)).toBe(false);
+    });
+});
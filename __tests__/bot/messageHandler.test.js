@@ -1,11 +1,14 @@
 // __tests__/messageHandler.test.js
 
 import { describe, test, expect, vi, beforeEach } from 'vitest';
-import { handleMessage } from 'apps/bot/src/handlers/messageHandler.js';
+import { handleMessage, handleUnmuteReminder } from 'apps/bot/src/handlers/messageHandler.js';
 import * as nlp from 'packages/shared/services/nlp.js';
 import * as db from '@telegram-moderator/shared/services/database.js';
 import * as telegram from 'packages/shared/services/telegram.js';
 import { getGroupSettings } from 'packages/shared/config/index.js';
+import { resetFloodTracking } from 'packages/shared/services/floodControl.js';
+import { resetDuplicateTracking } from 'packages/shared/services/duplicateDetection.js';
+import { resetLockdownState } from 'apps/bot/src/handlers/lockdownHandler.js';
 
 // Mock the modules using Vitest's API
 vi.mock('packages/shared/services/nlp.js');
@@ -54,6 +57,7 @@ describe('Message Handler', () => {
         db.getStrikes.mockResolvedValue({ count: 0, timestamp: null });
         db.upsertUser.mockResolvedValue(true);
         db.removeStrike.mockResolvedValue(0);
+        db.getModerationRules.mockResolvedValue([]);
         telegram.getChatAdmins.mockResolvedValue([]);
         telegram.deleteMessage.mockResolvedValue(true);
         telegram.sendMessage.mockResolvedValue({ message_id: 'mock_message_id' });
@@ -126,6 +130,21 @@ describe('Message Handler', () => {
             expect(telegram.muteUser).toHaveBeenCalled();
         });
 
+        test('should offer an appeal button with the warning', async () => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.9, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 1 });
+            db.recordStrike.mockResolvedValue(1);
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.sendMessage).toHaveBeenCalledWith(mockMsg.chat.id, expect.any(String), expect.objectContaining({
+                reply_markup: { inline_keyboard: [[{ text: '📨 Appeal', callback_data: `appeal:${mockMsg.chat.id}:${mockMsg.from.id}` }]] }
+            }));
+        });
+
         test('should kick user when kickLevel is reached', async () => {
             nlp.analyzeMessage.mockResolvedValue({
                 spam: { score: 0.9, isSpam: true },
@@ -138,31 +157,890 @@ describe('Message Handler', () => {
             expect(telegram.kickUser).toHaveBeenCalled();
             expect(db.resetStrikes).toHaveBeenCalled();
         });
+
+        test('should judge a category with its own ladder by its own strike count', async () => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.1, isSpam: false },
+                profanity: { hasProfanity: true, severity: 0.8, type: 'explicit' }
+            });
+            getGroupSettings.mockResolvedValue({
+                ...fullMockSettings,
+                alertLevel: 0,
+                kickLevel: 3,
+                penaltyLadders: { profanity: { alertLevel: 0, muteLevel: 0, kickLevel: 0, banLevel: 5 } }
+            });
+            // Three strikes in total, but only the first profanity strike.
+            db.recordStrike.mockResolvedValue(3);
+            db.getCategoryStrikes.mockResolvedValue({ spam: 2, profanity: 1 });
+
+            await handleMessage(mockMsg);
+
+            expect(db.getCategoryStrikes).toHaveBeenCalledWith('-1001', '12345');
+            expect(telegram.kickUser).not.toHaveBeenCalled();
+            expect(telegram.banUser).not.toHaveBeenCalled();
+        });
+
+        test('should apply the category ladder once the category count reaches a level', async () => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.9, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+            getGroupSettings.mockResolvedValue({
+                ...fullMockSettings,
+                alertLevel: 0,
+                penaltyLadders: { spam: { alertLevel: 0, muteLevel: 2, kickLevel: 0, banLevel: 0 } }
+            });
+            db.recordStrike.mockResolvedValue(2);
+            db.getCategoryStrikes.mockResolvedValue({ spam: 2 });
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.muteUser).toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                action: 'user_muted',
+                strikeCategory: 'spam',
+                categoryStrikeCount: 2
+            }));
+        });
+
+        test('should ban once the combined strike ceiling is reached', async () => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.9, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+            getGroupSettings.mockResolvedValue({
+                ...fullMockSettings,
+                combinedStrikeCeiling: 4,
+                penaltyLadders: { spam: { alertLevel: 1, muteLevel: 0, kickLevel: 0, banLevel: 0 } }
+            });
+            db.recordStrike.mockResolvedValue(4);
+            db.getCategoryStrikes.mockResolvedValue({ spam: 1, links: 3 });
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.banUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                action: 'user_banned',
+                reason: 'Combined strike ceiling reached'
+            }));
+            expect(db.resetStrikes).toHaveBeenCalled();
+        });
+    });
+
+    describe('Mute Schedule', () => {
+        beforeEach(() => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.9, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+            db.recordStrike.mockResolvedValue(1);
+        });
+
+        test('should mute repeat offenders for the next step of the schedule', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 0, muteLevel: 1, muteSchedule: [10, 60, 1440] });
+            db.countUserMutes.mockResolvedValue(1);
+            db.getLastStrikeEntry.mockResolvedValueOnce({ id: 31 });
+
+            await handleMessage(mockMsg);
+
+            expect(db.countUserMutes).toHaveBeenCalledWith('-1001', '12345');
+            expect(telegram.muteUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id, 60);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                action: 'user_muted',
+                muteDuration: 60,
+                strikeLogId: 31
+            }));
+        });
+
+        test('should state the applied duration in the warning', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 0, muteLevel: 1, muteSchedule: [10, 60, 1440] });
+            db.countUserMutes.mockResolvedValue(5);
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.muteUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id, 1440);
+            expect(telegram.sendMessage).toHaveBeenCalledWith(mockMsg.chat.id, expect.stringContaining('Muted for 1 day'), expect.anything());
+        });
+
+        test('should fall back to the fixed duration without a schedule', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 0, muteLevel: 1, muteSchedule: [] });
+            db.countUserMutes.mockResolvedValue(3);
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.muteUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id, fullMockSettings.muteDurationMinutes);
+        });
+
+        test('should queue a reminder for when the mute ends, replacing an earlier one', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 0, muteLevel: 1, muteSchedule: [10, 60, 1440] });
+            db.countUserMutes.mockResolvedValue(0);
+            const before = Date.now();
+
+            await handleMessage(mockMsg);
+
+            expect(db.cancelJobs).toHaveBeenCalledWith('unmute_reminder', '-1001:12345');
+            expect(db.addJob).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'unmute_reminder',
+                payload: { chatId: mockMsg.chat.id, user: { id: 12345, first_name: 'Test' } },
+                jobKey: '-1001:12345'
+            }));
+            const { runAt } = db.addJob.mock.calls.find(([job]) => job.type === 'unmute_reminder')[0];
+            expect(new Date(runAt).getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+        });
+
+        test('should not queue a reminder in shadow mode', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, alertLevel: 0, muteLevel: 1, shadowMode: true });
+            db.getShadowCounts.mockResolvedValue({ strikes: 0, categoryStrikes: {}, mutes: 0 });
+
+            await handleMessage(mockMsg);
+
+            expect(db.addJob).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'unmute_reminder' }));
+        });
+    });
+
+    describe('Unmute Reminder', () => {
+        const payload = { chatId: -1001, user: { id: 12345, first_name: 'Test' } };
+
+        beforeEach(() => {
+            getGroupSettings.mockResolvedValue(fullMockSettings);
+            telegram.sendMessage.mockResolvedValue({ message_id: 99 });
+        });
+
+        test('should tell the member their mute has ended', async () => {
+            telegram.getChatMember.mockResolvedValue({ status: 'member' });
+
+            await handleUnmuteReminder(payload);
+
+            expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('Test, your mute has ended'));
+        });
+
+        test('should remove the reminder like a warning', async () => {
+            telegram.getChatMember.mockResolvedValue({ status: 'member' });
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, warningMessageDeleteSeconds: 30 });
+
+            await handleUnmuteReminder(payload);
+
+            expect(db.addJob).toHaveBeenCalledWith(expect.objectContaining({ type: 'delete_message', payload: { chatId: -1001, messageId: 99 } }));
+        });
+
+        test('should stay quiet while the member is still muted or restricted', async () => {
+            telegram.getChatMember.mockResolvedValueOnce({ status: 'restricted', until_date: Math.floor(Date.now() / 1000) + 3600 });
+            await handleUnmuteReminder(payload);
+            telegram.getChatMember.mockResolvedValueOnce({ status: 'restricted', until_date: 0 });
+            await handleUnmuteReminder(payload);
+
+            expect(telegram.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('should stay quiet when the member left', async () => {
+            telegram.getChatMember.mockResolvedValue({ status: 'left' });
+
+            await handleUnmuteReminder(payload);
+
+            expect(telegram.sendMessage).not.toHaveBeenCalled();
+        });
     });
 
     describe('Good Behavior Forgiveness', () => {
-        test('should remove one strike for good behavior', async () => {
+        test('should leave forgiveness to the strike decay job', async () => {
             const tenDaysAgo = new Date();
             tenDaysAgo.setDate(tenDaysAgo.getDate() - 10);
-            
+
             getGroupSettings.mockResolvedValue({ ...fullMockSettings, goodBehaviorDays: 7 });
             db.getStrikes.mockResolvedValue({ count: 2, timestamp: tenDaysAgo.toISOString() });
 
             await handleMessage(mockMsg);
 
-            expect(db.removeStrike).toHaveBeenCalledWith(mockMsg.chat.id.toString(), mockMsg.from.id.toString(), 1);
-            expect(telegram.sendMessage).toHaveBeenCalledWith(mockMsg.from.id, expect.stringContaining("Your good behavior has been noticed"));
+            expect(db.removeStrike).not.toHaveBeenCalled();
+            expect(telegram.sendMessage).not.toHaveBeenCalledWith(mockMsg.from.id, expect.stringContaining("Your good behavior has been noticed"));
         });
+    });
 
-        test('should not remove a strike if behavior period is not met', async () => {
-            const twoDaysAgo = new Date();
-            twoDaysAgo.setDate(twoDaysAgo.getDate() - 2);
+    describe('Media and Captions', () => {
+        const photoMsg = {
+            message_id: 2,
+            chat: { id: -1001, type: 'group', title: 'Test Group' },
+            from: { id: 12345, first_name: 'Test', is_bot: false },
+            photo: [{ file_id: 'photo-1' }],
+            caption: 'Buy cheap followers now!',
+        };
 
-            getGroupSettings.mockResolvedValue({ ...fullMockSettings, goodBehaviorDays: 7 });
-            db.getStrikes.mockResolvedValue({ count: 2, timestamp: twoDaysAgo.toISOString() });
+        test('should run photo captions through the NLP pipeline', async () => {
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.9, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+
+            await handleMessage(photoMsg);
+
+            expect(nlp.analyzeMessage).toHaveBeenCalledWith(photoMsg.caption, []);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(photoMsg.chat.id, photoMsg.message_id);
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'SPAM',
+                mediaType: 'photo'
+            }));
+        });
+
+        test('should ignore uncaptioned media when the policy allows it', async () => {
+            await handleMessage({ ...photoMsg, caption: undefined });
+
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        });
+
+        test('should delete media without a strike under the delete policy', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, mediaPolicies: { sticker: 'delete' } });
+            const stickerMsg = { ...photoMsg, photo: undefined, caption: undefined, sticker: { file_id: 's-1' } };
+
+            await handleMessage(stickerMsg);
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(stickerMsg.chat.id, stickerMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'MEDIA',
+                mediaType: 'sticker',
+                messageExcerpt: '[sticker]'
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+        });
+
+        test('should delete media and record a strike under the strike policy', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, mediaPolicies: { document: 'strike' } });
+            const documentMsg = { ...photoMsg, photo: undefined, document: { file_id: 'd-1' } };
+
+            await handleMessage(documentMsg);
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(documentMsg.chat.id, documentMsg.message_id);
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'MEDIA',
+                mediaType: 'document'
+            }));
+            expect(telegram.sendMessage).toHaveBeenCalled();
+        });
+    });
+
+    describe('Edited Messages', () => {
+        const editedMsg = { ...mockMsg, text: 'Join my channel for free crypto', edit_date: 1700000000 };
+
+        beforeEach(() => {
+            db.getLastMessageExcerpt.mockResolvedValue('Hello world');
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.95, isSpam: true },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+        });
+
+        test('should log the edit with before and after excerpts', async () => {
+            await handleMessage(editedMsg, { isEdit: true });
+
+            expect(db.getLastMessageExcerpt).toHaveBeenCalledWith('-1001', editedMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'MESSAGE_EDITED',
+                previousExcerpt: 'Hello world',
+                messageExcerpt: editedMsg.text
+            }));
+        });
+
+        test('should log the previous excerpt when an edit breaks a policy before the NLP check', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, mediaPolicies: { photo: 'delete' } });
+            const editedPhoto = { ...editedMsg, text: undefined, caption: 'New caption', photo: [{ file_id: 'p-1' }] };
+
+            await handleMessage(editedPhoto, { isEdit: true });
+
+            expect(db.getLastMessageExcerpt).toHaveBeenCalledTimes(1);
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'MEDIA',
+                edited: true,
+                previousExcerpt: 'Hello world'
+            }));
+        });
+
+        test('should issue a strike for a violating edit by default', async () => {
+            await handleMessage(editedMsg, { isEdit: true });
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(editedMsg.chat.id, editedMsg.message_id);
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ edited: true }));
+        });
+
+        test('should only delete a violating edit when edit strikes are disabled', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, strikeOnEditedViolation: false });
+
+            await handleMessage(editedMsg, { isEdit: true });
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(editedMsg.chat.id, editedMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                edited: true
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Link Policy', () => {
+        test('should strike blocked domains without calling the NLP service', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, blockedDomains: ['scam.io'] });
+
+            await handleMessage({ ...mockMsg, text: 'Free airdrop at hxxps://claim.scam[.]io' });
+
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.message_id);
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'LINK',
+                domain: 'claim.scam.io'
+            }));
+        });
+
+        test('should only delete invite links under the delete policy', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, telegramInvitePolicy: 'delete' });
+
+            await handleMessage({ ...mockMsg, text: 'join my group t.me/+AbCdEf' });
+
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'LINK',
+                reason: 'Telegram invite link'
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+
+        test('should fall through to NLP when links are allowed', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, allowedDomains: ['example.com'] });
+
+            await handleMessage({ ...mockMsg, text: 'docs: https://docs.example.com/start' });
+
+            expect(nlp.analyzeMessage).toHaveBeenCalled();
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Language Policy', () => {
+        const russian = 'Привет всем, кто знает когда будет листинг этого токена?';
+        const languageSettings = { ...fullMockSettings, allowedLanguages: ['en'], languageMinLetters: 20, languageAction: 'delete' };
+
+        test('should delete messages in other languages without calling the NLP service', async () => {
+            getGroupSettings.mockResolvedValue(languageSettings);
+
+            await handleMessage({ ...mockMsg, text: russian });
+
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'LANGUAGE',
+                language: 'ru',
+                script: 'cyrillic'
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+
+        test('should remind the sender under the warn action and strike under the strike action', async () => {
+            getGroupSettings.mockResolvedValue({ ...languageSettings, languageAction: 'warn' });
+            await handleMessage({ ...mockMsg, text: russian });
+
+            expect(telegram.sendMessage).toHaveBeenCalledWith(mockMsg.chat.id, expect.stringContaining('only accepts messages in English'), expect.anything());
+            expect(db.recordStrike).not.toHaveBeenCalled();
+
+            getGroupSettings.mockResolvedValue({ ...languageSettings, languageAction: 'strike' });
+            await handleMessage({ ...mockMsg, text: russian });
+
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ violationType: 'LANGUAGE' }));
+        });
+
+        test('should exempt short messages and messages with a whitelisted keyword', async () => {
+            getGroupSettings.mockResolvedValue({ ...languageSettings, whitelistedKeywords: ['листинг'], keywordWhitelistBypass: false });
+
+            await handleMessage({ ...mockMsg, text: 'Привет всем' });
+            await handleMessage({ ...mockMsg, text: russian });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(nlp.analyzeMessage).toHaveBeenCalledTimes(2);
+        });
+
+        test('should record the detected language on scanned messages', async () => {
+            await handleMessage({ ...mockMsg, text: 'Hello everyone, is this the right group for the launch?' });
+
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'SCANNED',
+                language: 'en',
+                script: 'latin'
+            }));
+        });
+    });
+
+    describe('Flood Control', () => {
+        const floodSettings = { ...fullMockSettings, floodMessageLimit: 2, floodWindowSeconds: 10 };
+        const sendBurst = async (count) => {
+            for (let id = 1; id <= count; id++) {
+                await handleMessage({ ...mockMsg, message_id: id });
+            }
+        };
+
+        beforeEach(() => {
+            resetFloodTracking();
+        });
+
+        test('should delete the whole burst when the limit is exceeded', async () => {
+            getGroupSettings.mockResolvedValue({ ...floodSettings, floodAction: 'delete' });
+
+            await sendBurst(3);
+
+            expect(telegram.deleteMessage).toHaveBeenCalledTimes(3);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'FLOOD',
+                burstSize: 3
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+            expect(telegram.muteUser).not.toHaveBeenCalled();
+        });
+
+        test('should mute the user when the flood action is mute', async () => {
+            getGroupSettings.mockResolvedValue({ ...floodSettings, floodAction: 'mute' });
+
+            await sendBurst(3);
+
+            expect(telegram.muteUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id, 60);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'PENALTY',
+                action: 'user_muted',
+                violationType: 'FLOOD'
+            }));
+        });
+
+        test('should record a FLOOD strike when the flood action is strike', async () => {
+            getGroupSettings.mockResolvedValue({ ...floodSettings, floodAction: 'strike' });
+
+            await sendBurst(3);
+
+            expect(db.recordStrike).toHaveBeenCalledTimes(1);
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ violationType: 'FLOOD' }));
+        });
+
+        test('should not track messages when flood detection is disabled', async () => {
+            await sendBurst(5);
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Duplicate Waves', () => {
+        const duplicateSettings = { ...fullMockSettings, duplicateUserThreshold: 3, duplicateWindowMinutes: 10 };
+        const waveText = 'Claim your free airdrop tokens now before the offer ends';
+        const sendFrom = (userId, messageId) => handleMessage({
+            ...mockMsg,
+            message_id: messageId,
+            from: { id: userId, first_name: `User ${userId}`, is_bot: false },
+            text: waveText
+        });
+
+        beforeEach(() => {
+            resetDuplicateTracking();
+            getGroupSettings.mockResolvedValue(duplicateSettings);
+            telegram.getChatAdmins.mockResolvedValue([999]);
+        });
+
+        test('should remove copies once enough users posted the same text, without calling NLP', async () => {
+            await sendFrom(1, 1);
+            await sendFrom(2, 2);
+            expect(nlp.analyzeMessage).toHaveBeenCalledTimes(2);
+
+            await sendFrom(3, 3);
+            await sendFrom(4, 4);
+
+            expect(nlp.analyzeMessage).toHaveBeenCalledTimes(2);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 3);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 4);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '3', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'DUPLICATE',
+                userCount: 3
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+
+        test('should also remove the copies posted before the wave was recognised', async () => {
+            await sendFrom(1, 1);
+            await sendFrom(2, 2);
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+
+            await sendFrom(3, 3);
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 1);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 2);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '1', expect.objectContaining({
+                type: 'VIOLATION',
+                violationType: 'DUPLICATE',
+                messageId: 1,
+                earlierCopy: true
+            }));
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '2', expect.objectContaining({
+                messageId: 2,
+                earlierCopy: true
+            }));
+
+            telegram.deleteMessage.mockClear();
+            await sendFrom(4, 4);
+            expect(telegram.deleteMessage).toHaveBeenCalledTimes(1);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 4);
+        });
+
+        test('should only log the earlier copies in shadow mode', async () => {
+            getGroupSettings.mockResolvedValue({ ...duplicateSettings, shadowMode: true });
+
+            for (let id = 1; id <= 3; id++) {
+                await sendFrom(id, id);
+            }
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '1', expect.objectContaining({
+                type: 'SHADOW_VIOLATION',
+                earlierCopy: true
+            }));
+        });
+
+        test('should send admins a single summarized alert per wave', async () => {
+            for (let id = 1; id <= 5; id++) {
+                await sendFrom(id, id);
+            }
+
+            const alerts = telegram.sendMessage.mock.calls.filter(([chatId]) => chatId === 999);
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0][1]).toContain('3 different users');
+        });
+
+        test('should not track messages when duplicate detection is disabled', async () => {
+            getGroupSettings.mockResolvedValue(fullMockSettings);
+
+            for (let id = 1; id <= 4; id++) {
+                await sendFrom(id, id);
+            }
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(nlp.analyzeMessage).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('Probation', () => {
+        const probationSettings = {
+            ...fullMockSettings,
+            probationHours: 24,
+            probationMessages: 10,
+            probationSpamThreshold: 0.5,
+            probationMuteOnViolation: false
+        };
+        const joinedHoursAgo = (hours, messageCount = 0) => ({
+            joinedAt: new Date(Date.now() - hours * 3600 * 1000).toISOString(),
+            messageCount
+        });
+
+        beforeEach(() => {
+            getGroupSettings.mockResolvedValue(probationSettings);
+        });
+
+        test('should delete links from members on probation and count the message', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+
+            await handleMessage({ ...mockMsg, text: 'check out example.com', entities: [{ type: 'url', offset: 10, length: 11 }] });
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'LINK',
+                reason: 'Links are not allowed during probation'
+            }));
+            expect(db.incrementMemberMessageCount).toHaveBeenCalledWith('-1001', '12345');
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+
+        test('should delete links with a scheme or www. from members on probation', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+
+            await handleMessage({ ...mockMsg, text: 'claim at www.free-tokens.info' });
+
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                reason: 'Links are not allowed during probation',
+                url: 'www.free-tokens.info'
+            }));
+        });
+
+        test('should keep messages from members on probation that only look like domains', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+
+            await handleMessage({ ...mockMsg, text: 'I use node.js, ok.so what about google.com' });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.incrementMemberMessageCount).toHaveBeenCalledWith('-1001', '12345');
+        });
+
+        test('should delete media from members on probation', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+
+            await handleMessage({ ...mockMsg, text: undefined, photo: [{ file_id: 'abc' }] });
+
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'MEDIA',
+                reason: 'Media is not allowed during probation'
+            }));
+        });
+
+        test('should use the lower probation spam threshold', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.6, isSpam: false },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
 
             await handleMessage(mockMsg);
-            expect(db.removeStrike).not.toHaveBeenCalled();
+
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'SPAM',
+                thresholdExceeded: 0.5
+            }));
+        });
+
+        test('should mute straight away when escalation is enabled', async () => {
+            getGroupSettings.mockResolvedValue({ ...probationSettings, probationMuteOnViolation: true });
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1));
+
+            await handleMessage({ ...mockMsg, text: 'join t.me/somechannel now', entities: [{ type: 'url', offset: 5, length: 16 }] });
+
+            expect(telegram.muteUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id, 60);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'PENALTY',
+                reason: 'Violation during probation'
+            }));
+        });
+
+        test('should end probation once either limit is reached', async () => {
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(30));
+            await handleMessage({ ...mockMsg, text: 'check out example.com' });
+
+            db.getMemberJoin.mockResolvedValue(joinedHoursAgo(1, 10));
+            await handleMessage({ ...mockMsg, text: 'check out example.com' });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.incrementMemberMessageCount).not.toHaveBeenCalled();
+        });
+
+        test('should not apply probation to members whose join was never recorded', async () => {
+            db.getMemberJoin.mockResolvedValue(undefined);
+
+            await handleMessage({ ...mockMsg, text: 'check out example.com' });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Lockdown Slow Mode', () => {
+        const lockdownSettings = {
+            ...fullMockSettings,
+            lockdownStartedAt: new Date().toISOString(),
+            lockdownSlowModeSeconds: 30
+        };
+
+        beforeEach(() => {
+            resetLockdownState();
+            getGroupSettings.mockResolvedValue(lockdownSettings);
+        });
+
+        test('should delete a second message sent within the slow mode interval without a strike', async () => {
+            await handleMessage({ ...mockMsg, message_id: 1 });
+            await handleMessage({ ...mockMsg, message_id: 2 });
+
+            expect(telegram.deleteMessage).toHaveBeenCalledTimes(1);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, 2);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'SLOW_MODE'
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+        });
+
+        test('should not apply slow mode when no lockdown is active', async () => {
+            getGroupSettings.mockResolvedValue({ ...lockdownSettings, lockdownStartedAt: null });
+
+            await handleMessage({ ...mockMsg, message_id: 1 });
+            await handleMessage({ ...mockMsg, message_id: 2 });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Custom Rules', () => {
+        const customRule = (overrides) => ({ id: 7, pattern: 'airdrop', isRegex: false, scope: 'text', action: 'delete', strikeWeight: 1, enabled: true, ...overrides });
+
+        beforeEach(() => {
+            getGroupSettings.mockResolvedValue(fullMockSettings);
+        });
+
+        test('should delete a matching message without a strike or an NLP call', async () => {
+            db.getModerationRules.mockResolvedValue([customRule()]);
+
+            await handleMessage({ ...mockMsg, text: 'Claim your AIRDROP today' });
+
+            expect(db.getModerationRules).toHaveBeenCalledWith('-1001', { enabledOnly: true });
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.message_id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'RULE',
+                ruleId: 7,
+                matchedText: 'AIRDROP'
+            }));
+            expect(db.recordStrike).not.toHaveBeenCalled();
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+        });
+
+        test('should issue the rule\'s strike weight', async () => {
+            db.getModerationRules.mockResolvedValue([customRule({ action: 'strike', strikeWeight: 3 })]);
+
+            await handleMessage({ ...mockMsg, text: 'airdrop' });
+
+            expect(db.recordStrike).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                violationType: 'RULE',
+                amount: 3
+            }));
+        });
+
+        test('should ban the sender for a ban rule', async () => {
+            db.getModerationRules.mockResolvedValue([customRule({ action: 'ban' })]);
+
+            await handleMessage({ ...mockMsg, text: 'airdrop' });
+
+            expect(telegram.banUser).toHaveBeenCalledWith(mockMsg.chat.id, mockMsg.from.id);
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'PENALTY',
+                action: 'user_banned',
+                violationType: 'RULE'
+            }));
+        });
+
+        test('should only log a match for a log rule and keep scanning the message', async () => {
+            db.getModerationRules.mockResolvedValue([customRule({ action: 'log' })]);
+
+            await handleMessage({ ...mockMsg, text: 'airdrop' });
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'RULE_MATCH',
+                ruleId: 7
+            }));
+            expect(nlp.analyzeMessage).toHaveBeenCalled();
+        });
+    });
+
+    describe('Shadow Mode', () => {
+        const spam = () => nlp.analyzeMessage.mockResolvedValue({
+            spam: { score: 0.9, isSpam: true },
+            profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+        });
+
+        beforeEach(() => {
+            db.getShadowCounts.mockResolvedValue({ strikes: 0, categoryStrikes: {}, mutes: 0 });
+            db.countUserMutes.mockResolvedValue(0);
+        });
+
+        test('should only log what it would do with a violation', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, shadowMode: true });
+            // The shadow strike just logged is counted back
+            db.getShadowCounts.mockResolvedValue({ strikes: 1, categoryStrikes: { spam: 1 }, mutes: 0 });
+            spam();
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(telegram.sendMessage).not.toHaveBeenCalled();
+            expect(db.recordStrike).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ type: 'SHADOW_VIOLATION', shadowAction: 'message_deleted', violationType: 'SPAM' }));
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ type: 'SHADOW_STRIKE', violationType: 'SPAM', strikeCategory: 'spam' }));
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ type: 'SHADOW_PENALTY', shadowAction: 'user_warned', strikeCount: 1 }));
+            expect(db.logManualAction).not.toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ type: 'VIOLATION' }));
+        });
+
+        test('should escalate with the shadow strikes and mutes so far without muting', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, shadowMode: true, alertLevel: 0, muteLevel: 3, muteSchedule: [10, 60, 1440] });
+            db.getStrikes.mockResolvedValue({ count: 1, timestamp: null });
+            db.getShadowCounts.mockResolvedValue({ strikes: 2, categoryStrikes: { spam: 2 }, mutes: 1 });
+            spam();
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.muteUser).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'SHADOW_PENALTY',
+                shadowAction: 'user_muted',
+                strikeCount: 3,
+                muteDuration: 60
+            }));
+        });
+
+        test('should not ban for a ban rule', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, shadowMode: true });
+            db.getModerationRules.mockResolvedValue([{ id: 7, pattern: 'airdrop', isRegex: false, scope: 'text', action: 'ban', strikeWeight: 1, enabled: true }]);
+
+            await handleMessage({ ...mockMsg, text: 'airdrop' });
+
+            expect(telegram.banUser).not.toHaveBeenCalled();
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({ type: 'SHADOW_PENALTY', shadowAction: 'user_banned', ruleId: 7 }));
+        });
+    });
+
+    describe('Federation Bans', () => {
+        test('should ban users on the federation ban list when they post', async () => {
+            getGroupSettings.mockResolvedValue(fullMockSettings);
+            db.getFederationBan.mockResolvedValueOnce({ federationId: 3, federationName: 'Crypto Groups', reason: 'Scam links' });
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.banUser).toHaveBeenCalledWith('-1001', 12345);
+            expect(telegram.deleteMessage).toHaveBeenCalledWith(-1001, 1);
+            expect(nlp.analyzeMessage).not.toHaveBeenCalled();
+        });
+
+        test('should only log the ban and keep moderating in shadow mode', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, shadowMode: true });
+            db.getFederationBan.mockResolvedValueOnce({ federationId: 3, federationName: 'Crypto Groups', reason: 'Scam links' });
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.banUser).not.toHaveBeenCalled();
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.logManualAction).toHaveBeenCalledWith('-1001', '12345', expect.objectContaining({
+                type: 'SHADOW_PENALTY',
+                shadowAction: 'user_banned',
+                violationType: 'FEDERATION_BAN'
+            }));
+            expect(nlp.analyzeMessage).toHaveBeenCalled();
+        });
+    });
+
+    describe('Review Band', () => {
+        beforeEach(() => {
+            db.createReview.mockResolvedValue({ id: 12 });
+            nlp.analyzeMessage.mockResolvedValue({
+                spam: { score: 0.7, isSpam: false },
+                profanity: { hasProfanity: false, severity: 0.1, type: 'clean' }
+            });
+        });
+
+        test('should keep borderline messages and queue them for review', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, reviewBandMin: 0.6, logChatId: '-1009' });
+
+            await handleMessage(mockMsg);
+
+            expect(telegram.deleteMessage).not.toHaveBeenCalled();
+            expect(db.recordStrike).not.toHaveBeenCalled();
+            expect(db.createReview).toHaveBeenCalledWith('-1001', expect.objectContaining({ messageId: 1, userId: '12345', spamScore: 0.7 }));
+            expect(telegram.sendMessage).toHaveBeenCalledWith('-1009', expect.stringContaining('Review #12'), expect.anything());
+        });
+
+        test('should not queue anything while the review band is off', async () => {
+            getGroupSettings.mockResolvedValue({ ...fullMockSettings, reviewBandMin: 0 });
+
+            await handleMessage(mockMsg);
+
+            expect(db.createReview).not.toHaveBeenCalled();
         });
     });
 });
@@ -0,0 +1,127 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mirrorAuditEntry, handleModLogCallback, formatLogCard } from 'apps/bot/src/handlers/modLogHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Moderation Log Handler', () => {
+    const chatId = '-1001';
+    const logChatId = '-1009';
+    const admin = { id: 42, first_name: 'Admin' };
+    const member = { id: 555, first_name: 'Spammer', username: 'spammer' };
+
+    const strike = {
+        id: 7,
+        chatId,
+        userId: '555',
+        logData: { type: 'STRIKE', violationType: 'SPAM', amount: 1, strikeCount: 2, user: member, messageExcerpt: 'cheap followers', spamScore: 0.91, profanityScore: 0.02 }
+    };
+    const violation = { id: 6, chatId, userId: '555', logData: { type: 'VIOLATION', violationType: 'SPAM', user: member, messageExcerpt: 'cheap followers' } };
+    const mute = { id: 8, chatId, userId: '555', logData: { type: 'MANUAL-MUTE', admin, targetUser: member, durationMinutes: 60 } };
+
+    const press = (data, from = admin) => handleModLogCallback({
+        id: 'query-1',
+        from,
+        data,
+        message: { chat: { id: -1009 }, message_id: 3, text: '⚠️ Strike (spam)' }
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        getGroupSettings.mockResolvedValue({ logChatId, logChatVerbosity: 'penalties' });
+        db.getGroup.mockResolvedValue({ chatId, chatTitle: 'Test Group' });
+        db.claimReversal.mockResolvedValue(true);
+        telegram.getChatAdmins.mockResolvedValue([42]);
+        telegram.sendMessage.mockResolvedValue({ message_id: 3 });
+    });
+
+    test('should post strikes to the log chat with a pardon button', async () => {
+        await mirrorAuditEntry(strike);
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith(logChatId, expect.stringContaining('Strike (spam)'), {
+            reply_markup: { inline_keyboard: [[{ text: '😇 Pardon Strike', callback_data: 'modlog_pardon:-1001:7' }]] }
+        });
+        const card = telegram.sendMessage.mock.calls[0][1];
+        expect(card).toContain('Group: Test Group');
+        expect(card).toContain('User: Spammer (@spammer) [555]');
+        expect(card).toContain('Message: "cheap followers"');
+        expect(card).toContain('Scores: spam 0.91, profanity 0.02');
+        expect(card).toContain('Entry #7');
+    });
+
+    test('should only post deleted messages when the verbosity is all', async () => {
+        await mirrorAuditEntry(violation);
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+
+        getGroupSettings.mockResolvedValue({ logChatId, logChatVerbosity: 'all' });
+        await mirrorAuditEntry(violation);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(logChatId, expect.stringContaining('Message deleted (spam)'), {});
+    });
+
+    test('should not post anything without a log chat', async () => {
+        getGroupSettings.mockResolvedValue({ logChatId: '', logChatVerbosity: 'all' });
+
+        await mirrorAuditEntry(strike);
+
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should name the admin on cards for manual actions', () => {
+        const card = formatLogCard(mute, 'Test Group');
+
+        expect(card).toContain('Admin: Admin');
+        expect(card).toContain('User: Spammer (@spammer) [555]');
+    });
+
+    test('should pardon a strike and record the reversal', async () => {
+        db.getAuditEntry.mockResolvedValue({ ...strike, logData: JSON.stringify(strike.logData) });
+
+        await press('modlog_pardon:-1001:7');
+
+        expect(db.removeStrike).toHaveBeenCalledWith(chatId, '555', 1, 'spam');
+        expect(db.logManualAction).toHaveBeenCalledWith(chatId, '555', expect.objectContaining({ type: 'MANUAL-STRIKE-REMOVE', amount: 1, undoes: 7 }));
+        expect(telegram.editMessageText).toHaveBeenCalledWith(expect.stringContaining('Strike pardoned by Admin'), { chat_id: -1009, message_id: 3 });
+    });
+
+    test('should lift a mute from the log chat', async () => {
+        db.getAuditEntry.mockResolvedValue({ ...mute, logData: JSON.stringify(mute.logData) });
+
+        await press('modlog_unmute:-1001:8');
+
+        expect(telegram.unrestrictUser).toHaveBeenCalledWith(chatId, '555');
+        expect(db.cancelJobs).toHaveBeenCalledWith('unmute_reminder', '-1001:555');
+        expect(db.logManualAction).toHaveBeenCalledWith(chatId, '555', expect.objectContaining({ type: 'MANUAL-UNMUTE', undoes: 8 }));
+    });
+
+    test('should not reverse the same entry twice', async () => {
+        db.getAuditEntry.mockResolvedValue({ ...strike, logData: JSON.stringify(strike.logData) });
+        db.claimReversal.mockResolvedValue(false);
+
+        await press('modlog_pardon:-1001:7');
+
+        expect(db.claimReversal).toHaveBeenCalledWith(chatId, 7, '42');
+        expect(db.removeStrike).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This action was already reversed.' });
+    });
+
+    test('should give up the claim when the reversal fails, so it can be retried', async () => {
+        db.getAuditEntry.mockResolvedValue({ ...mute, logData: JSON.stringify(mute.logData) });
+        telegram.unrestrictUser.mockRejectedValueOnce(new Error('not enough rights'));
+
+        await press('modlog_unmute:-1001:8');
+
+        expect(db.releaseReversal).toHaveBeenCalledWith(chatId, 8);
+        expect(db.logManualAction).not.toHaveBeenCalled();
+    });
+
+    test('should refuse members who are not admins of the group', async () => {
+        await press('modlog_pardon:-1001:7', { id: 777, first_name: 'Member' });
+
+        expect(db.getAuditEntry).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only admins of the group can do this.' });
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { handleReportCommand, handleReportCallback } from 'apps/bot/src/handlers/reportHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Report Handler', () => {
+    const chatId = '-1001';
+    const chat = { id: -1001, type: 'supergroup', title: 'Test Group' };
+    const reporter = { id: 777, first_name: 'Reporter' };
+    const author = { id: 555, first_name: 'Spammer' };
+    const admin = { id: 42, first_name: 'Admin' };
+    const reported = { message_id: 90, from: author, text: 'cheap followers here' };
+    const openReport = { id: 4, chatId, messageId: 90, reportedUserId: '555', reporterId: '777', reason: 'spam', messageExcerpt: 'cheap followers here', status: 'open' };
+
+    const report = (text = '/report spam', from = reporter, replyTo = reported) =>
+        handleReportCommand({ chat, from, text, message_id: 100, reply_to_message: replyTo }, [42]);
+
+    const press = (from, data) => handleReportCallback({
+        id: 'query-1',
+        from,
+        data,
+        message: { chat: { id: from.id }, message_id: 5, text: '🚩 Report #4' }
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        db.getLastReportTime.mockResolvedValue(null);
+        db.getReportByMessage.mockResolvedValue(undefined);
+        db.createReport.mockResolvedValue(openReport);
+        db.countUserReports.mockResolvedValue(1);
+        db.getReport.mockResolvedValue(openReport);
+        db.resolveReport.mockResolvedValue(true);
+        db.getUser.mockResolvedValue({ userId: '555', firstName: 'Spammer' });
+        telegram.sendMessage.mockResolvedValue({ message_id: 1 });
+        telegram.getChatAdmins.mockResolvedValue([42]);
+        getGroupSettings.mockResolvedValue({ reportChatId: '', muteDurationMinutes: 60 });
+    });
+
+    test('should store the report and forward the message to each admin', async () => {
+        await report();
+
+        expect(db.createReport).toHaveBeenCalledWith(chatId, expect.objectContaining({ messageId: 90, reportedUserId: '555', reporterId: '777', reason: 'spam', messageExcerpt: 'cheap followers here' }));
+        expect(telegram.forwardMessage).toHaveBeenCalledWith(42, -1001, 90);
+        expect(telegram.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('Report #4'), expect.objectContaining({ reply_markup: expect.any(Object) }));
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, 'Thanks, Reporter. The admins have been notified.');
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(-1001, 100);
+    });
+
+    test('should send reports to the configured report chat instead of the admins', async () => {
+        getGroupSettings.mockResolvedValue({ reportChatId: '-1009' });
+
+        await report();
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith('-1009', expect.stringContaining('Report #4'), expect.any(Object));
+        expect(telegram.sendMessage).not.toHaveBeenCalledWith(42, expect.anything(), expect.anything());
+    });
+
+    test('should count repeated reports of the same message without escalating again', async () => {
+        db.getReportByMessage.mockResolvedValue(openReport);
+
+        await report();
+
+        expect(db.addReportToExisting).toHaveBeenCalledWith(chatId, 4, '777');
+        expect(db.createReport).not.toHaveBeenCalled();
+        expect(telegram.forwardMessage).not.toHaveBeenCalled();
+    });
+
+    test('should make a member wait after their last stored report', async () => {
+        db.getLastReportTime.mockResolvedValue(new Date(Date.now() - 30 * 1000).toISOString());
+
+        await report('/report again', reporter, { ...reported, message_id: 91 });
+
+        expect(db.getLastReportTime).toHaveBeenCalledWith(chatId, '777');
+        expect(db.createReport).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).toHaveBeenCalledWith(-1001, expect.stringContaining('please wait 90 seconds'));
+    });
+
+    test('should let a member report again once the cooldown is over', async () => {
+        db.getLastReportTime.mockResolvedValue(new Date(Date.now() - 3 * 60 * 1000).toISOString());
+
+        await report();
+
+        expect(db.createReport).toHaveBeenCalled();
+    });
+
+    test('should not let members report admins or themselves', async () => {
+        await report('/report', reporter, { ...reported, from: admin });
+        await report('/report', reporter, { ...reported, from: reporter });
+
+        expect(db.createReport).not.toHaveBeenCalled();
+    });
+
+    test('should only let group admins act on a report', async () => {
+        await press(reporter, `report_ban:${chatId}:4`);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only group admins can act on reports.' });
+        expect(telegram.banUser).not.toHaveBeenCalled();
+    });
+
+    test('should mute the author, delete the message and log the admin', async () => {
+        await press(admin, `report_mute:${chatId}:4`);
+
+        expect(db.resolveReport).toHaveBeenCalledWith(chatId, 4, 'resolved', 'mute', '42');
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(chatId, 90);
+        expect(telegram.muteUser).toHaveBeenCalledWith(chatId, '555', 60);
+        expect(db.logManualAction).toHaveBeenCalledWith(chatId, '555', expect.objectContaining({
+            type: 'MANUAL-MUTE', reportId: 4, durationMinutes: 60, admin: expect.objectContaining({ id: 42 })
+        }));
+        expect(telegram.editMessageText).toHaveBeenCalledWith(expect.stringContaining('muted for 1 hour by Admin'), expect.any(Object));
+    });
+
+    test('should dismiss a report without touching the message', async () => {
+        await press(admin, `report_dismiss:${chatId}:4`);
+
+        expect(db.resolveReport).toHaveBeenCalledWith(chatId, 4, 'dismissed', 'dismiss', '42');
+        expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        expect(db.logManualAction).not.toHaveBeenCalled();
+    });
+
+    test('should ignore reports another admin already handled', async () => {
+        db.resolveReport.mockResolvedValue(false);
+
+        await press(admin, `report_strike:${chatId}:4`);
+
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This report has already been handled.' });
+        expect(db.addStrikes).not.toHaveBeenCalled();
+    });
+});
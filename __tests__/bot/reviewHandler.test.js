@@ -0,0 +1,100 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { queueForReview, handleReviewCallback } from 'apps/bot/src/handlers/reviewHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { resolveReview } from '@telegram-moderator/shared/services/reviews.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/services/reviews.js');
+
+describe('Review Handler', () => {
+    const chatId = '-1001';
+    const admin = { id: 42, first_name: 'Admin' };
+    const msg = {
+        message_id: 45,
+        chat: { id: -1001, title: 'Test Group' },
+        from: { id: 555, first_name: 'Borderline', username: 'borderline' },
+        text: 'DM me for a great opportunity'
+    };
+    const scores = { spamScore: 0.72, profanityScore: 0.01 };
+    const review = { id: 12, chatId, messageId: 45, userId: '555', status: 'pending' };
+
+    const press = (data, from = admin) => handleReviewCallback({
+        id: 'query-1',
+        from,
+        data,
+        message: { chat: { id: -1009 }, message_id: 3, text: '🔍 Review #12 in Test Group' }
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        db.createReview.mockResolvedValue(review);
+        telegram.sendMessage.mockResolvedValue({ message_id: 3 });
+        telegram.getChatAdmins.mockResolvedValue([42]);
+    });
+
+    test('should send held messages to the log chat with decision buttons', async () => {
+        await queueForReview(msg, scores, { spamThreshold: 0.85, logChatId: '-1009' }, [42, 43]);
+
+        expect(db.createReview).toHaveBeenCalledWith(chatId, { messageId: 45, userId: '555', messageExcerpt: msg.text, ...scores });
+        expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+        expect(telegram.sendMessage).toHaveBeenCalledWith('-1009', expect.stringContaining('Spam score: 0.72 (deleted from 0.85)'), {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Clean', callback_data: 'review_approve:-1001:12' },
+                    { text: '🗑️ Remove + Strike', callback_data: 'review_remove:-1001:12' }
+                ]]
+            }
+        });
+    });
+
+    test('should send held messages to each admin without a log chat', async () => {
+        await queueForReview(msg, scores, { spamThreshold: 0.85, logChatId: '' }, [42, 43]);
+
+        expect(telegram.sendMessage).toHaveBeenCalledWith(42, expect.stringContaining('Review #12'), expect.anything());
+        expect(telegram.sendMessage).toHaveBeenCalledWith(43, expect.stringContaining('Review #12'), expect.anything());
+    });
+
+    test('should not send a message that is already queued', async () => {
+        db.createReview.mockResolvedValue(null);
+
+        await queueForReview(msg, scores, { spamThreshold: 0.85, logChatId: '-1009' }, [42]);
+
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should remove a message and report the strike', async () => {
+        resolveReview.mockResolvedValue({ ...review, status: 'removed', strikeCount: 2 });
+
+        await press('review_remove:-1001:12');
+
+        expect(resolveReview).toHaveBeenCalledWith(chatId, 12, { remove: true, admin });
+        expect(telegram.editMessageText).toHaveBeenCalledWith(expect.stringContaining('Removed, strike 2 given by Admin'), { chat_id: -1009, message_id: 3 });
+    });
+
+    test('should mark a message clean', async () => {
+        resolveReview.mockResolvedValue({ ...review, status: 'approved' });
+
+        await press('review_approve:-1001:12');
+
+        expect(resolveReview).toHaveBeenCalledWith(chatId, 12, { remove: false, admin });
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Marked clean.' });
+    });
+
+    test('should say when a review was already decided', async () => {
+        resolveReview.mockResolvedValue(null);
+
+        await press('review_remove:-1001:12');
+
+        expect(telegram.editMessageText).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This review has already been decided.' });
+    });
+
+    test('should refuse members who are not admins of the group', async () => {
+        await press('review_remove:-1001:12', { id: 777, first_name: 'Member' });
+
+        expect(resolveReview).not.toHaveBeenCalled();
+        expect(telegram.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Only group admins can decide reviews.' });
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { runSchedules } from 'apps/bot/src/handlers/scheduleHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Schedule Handler', () => {
+    // Friday, 2026-01-16, in UTC.
+    const night = new Date('2026-01-16T23:30:00Z');
+    const morning = new Date('2026-01-17T08:00:00Z');
+    let settings;
+    let permissions;
+
+    const entry = (overrides = {}) => ({
+        id: 1,
+        chatId: '-1001',
+        name: 'Quiet nights',
+        days: [],
+        startTime: '23:00',
+        endTime: '07:00',
+        kind: 'permissions',
+        payload: { can_send_photos: false },
+        enabled: true,
+        appliedAt: null,
+        revertData: null,
+        deletedAt: null,
+        ...overrides
+    });
+
+    const auditActions = () => db.logManualAction.mock.calls.map(([, , logData]) => logData);
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        settings = { scheduleTimezone: 'UTC', spamThreshold: 0.85 };
+        permissions = { can_send_messages: true };
+        getGroupSettings.mockImplementation(async () => ({ ...settings }));
+        updateSetting.mockImplementation(async (chatId, key, value) => { settings[key] = value; });
+        telegram.getChat.mockImplementation(async () => ({ permissions: { ...permissions } }));
+        telegram.setChatPermissions.mockImplementation(async (chatId, next) => { permissions = next; });
+        db.logManualAction.mockResolvedValue();
+    });
+
+    test('should apply a permission entry when its window opens and log it', async () => {
+        db.getPendingSchedules.mockResolvedValue([entry()]);
+
+        await runSchedules(night);
+
+        expect(telegram.setChatPermissions).toHaveBeenCalledWith('-1001', { can_send_messages: true, can_send_photos: false });
+        expect(db.markScheduleApplied).toHaveBeenCalledWith(1, { kind: 'permissions', payload: { can_send_photos: false }, previous: { can_send_photos: true } }, night.toISOString());
+        expect(auditActions()[0]).toMatchObject({ type: 'SCHEDULE', action: 'schedule_applied', changes: { can_send_photos: false }, executedBy: 'AUTO_MODERATOR' });
+    });
+
+    test('should leave entries alone outside their window', async () => {
+        db.getPendingSchedules.mockResolvedValue([entry()]);
+
+        await runSchedules(morning);
+
+        expect(telegram.setChatPermissions).not.toHaveBeenCalled();
+        expect(db.markScheduleApplied).not.toHaveBeenCalled();
+    });
+
+    test('should revert an applied entry when its window closes', async () => {
+        permissions = { can_send_messages: true, can_send_photos: false };
+        db.getPendingSchedules.mockResolvedValue([entry({
+            appliedAt: night.toISOString(),
+            revertData: { kind: 'permissions', payload: { can_send_photos: false }, previous: { can_send_photos: true } }
+        })]);
+
+        await runSchedules(morning);
+
+        expect(permissions).toEqual({ can_send_messages: true, can_send_photos: true });
+        expect(db.markScheduleReverted).toHaveBeenCalledWith(1);
+        expect(auditActions()[0]).toMatchObject({ action: 'schedule_reverted', restored: { can_send_photos: true }, kept: [], reason: 'Window ended' });
+    });
+
+    test('should keep settings that were changed while the entry was applied', async () => {
+        settings = { scheduleTimezone: 'UTC', spamThreshold: 0.7, profanityEnabled: true };
+        db.getPendingSchedules.mockResolvedValue([entry({
+            kind: 'settings',
+            payload: { spamThreshold: 0.6, profanityEnabled: true },
+            appliedAt: night.toISOString(),
+            revertData: { kind: 'settings', payload: { spamThreshold: 0.6, profanityEnabled: true }, previous: { spamThreshold: 0.85, profanityEnabled: false } }
+        })]);
+
+        await runSchedules(morning);
+
+        expect(settings).toMatchObject({ spamThreshold: 0.7, profanityEnabled: false });
+        expect(auditActions()[0]).toMatchObject({ restored: { profanityEnabled: false }, kept: ['spamThreshold'] });
+    });
+
+    test('should revert a deleted entry even while its window is open', async () => {
+        settings.spamThreshold = 0.6;
+        db.getPendingSchedules.mockResolvedValue([entry({
+            kind: 'settings',
+            payload: { spamThreshold: 0.6 },
+            enabled: false,
+            deletedAt: night.toISOString(),
+            appliedAt: night.toISOString(),
+            revertData: { kind: 'settings', payload: { spamThreshold: 0.6 }, previous: { spamThreshold: 0.85 } }
+        })]);
+
+        await runSchedules(night);
+
+        expect(settings.spamThreshold).toBe(0.85);
+        expect(db.markScheduleApplied).not.toHaveBeenCalled();
+        expect(auditActions()[0]).toMatchObject({ action: 'schedule_reverted', reason: 'Entry deleted' });
+    });
+
+    test('should revert and reapply an applied entry whose values changed', async () => {
+        settings.spamThreshold = 0.6;
+        db.getPendingSchedules.mockResolvedValue([entry({
+            kind: 'settings',
+            payload: { spamThreshold: 0.5 },
+            appliedAt: night.toISOString(),
+            revertData: { kind: 'settings', payload: { spamThreshold: 0.6 }, previous: { spamThreshold: 0.85 } }
+        })]);
+
+        await runSchedules(night);
+
+        expect(settings.spamThreshold).toBe(0.5);
+        expect(db.markScheduleApplied).toHaveBeenCalledWith(1, { kind: 'settings', payload: { spamThreshold: 0.5 }, previous: { spamThreshold: 0.85 } }, night.toISOString());
+        expect(auditActions().map(logData => logData.action)).toEqual(['schedule_reverted', 'schedule_applied']);
+    });
+
+    describe('overlapping entries', () => {
+        let entries;
+
+        // Keeps the entries as the database would between runs.
+        beforeEach(() => {
+            db.getPendingSchedules.mockImplementation(async () => entries.map(schedule => ({ ...schedule })));
+            db.markScheduleApplied.mockImplementation(async (id, revertData, appliedAt) => {
+                Object.assign(entries.find(schedule => schedule.id === id), { revertData, appliedAt });
+            });
+            db.markScheduleReverted.mockImplementation(async (id) => {
+                Object.assign(entries.find(schedule => schedule.id === id), { revertData: null, appliedAt: null });
+            });
+        });
+
+        test('should restore the value from before the first entry once the last one ends', async () => {
+            entries = [
+                entry({ id: 1, name: 'Evening', startTime: '22:00', endTime: '02:00', kind: 'settings', payload: { spamThreshold: 0.6 } }),
+                entry({ id: 2, name: 'Night', startTime: '23:00', endTime: '07:00', kind: 'settings', payload: { spamThreshold: 0.5 } })
+            ];
+
+            await runSchedules(new Date('2026-01-16T22:30:00Z'));
+            expect(settings.spamThreshold).toBe(0.6);
+
+            await runSchedules(new Date('2026-01-16T23:30:00Z'));
+            expect(settings.spamThreshold).toBe(0.5);
+            expect(entries[1].revertData.previous).toEqual({ spamThreshold: 0.85 });
+
+            await runSchedules(new Date('2026-01-17T02:30:00Z'));
+            expect(settings.spamThreshold).toBe(0.5);
+
+            await runSchedules(new Date('2026-01-17T07:30:00Z'));
+            expect(settings.spamThreshold).toBe(0.85);
+            expect(entries.every(schedule => !schedule.appliedAt)).toBe(true);
+        });
+
+        test('should hand a value back to the entry still open when the later one ends first', async () => {
+            entries = [
+                entry({ id: 1, name: 'Night', startTime: '23:00', endTime: '07:00', payload: { can_send_photos: false } }),
+                entry({ id: 2, name: 'Late', startTime: '23:30', endTime: '01:00', payload: { can_send_photos: false, can_send_videos: false } })
+            ];
+
+            await runSchedules(new Date('2026-01-16T23:45:00Z'));
+            expect(permissions).toEqual({ can_send_messages: true, can_send_photos: false, can_send_videos: false });
+
+            await runSchedules(new Date('2026-01-17T01:30:00Z'));
+            expect(permissions).toEqual({ can_send_messages: true, can_send_photos: false, can_send_videos: true });
+            expect(auditActions().at(-1)).toMatchObject({ action: 'schedule_reverted', scheduleId: 2, restored: { can_send_photos: false, can_send_videos: true }, kept: [] });
+
+            await runSchedules(new Date('2026-01-17T07:30:00Z'));
+            expect(permissions).toEqual({ can_send_messages: true, can_send_photos: true, can_send_videos: true });
+        });
+    });
+
+    test('should keep going when one group fails', async () => {
+        db.getPendingSchedules.mockResolvedValue([entry({ chatId: '-1001' }), entry({ id: 2, chatId: '-1002' })]);
+        telegram.getChat.mockRejectedValueOnce(new Error('chat not found'));
+
+        await runSchedules(night);
+
+        expect(db.markScheduleApplied).toHaveBeenCalledTimes(1);
+        expect(db.markScheduleApplied).toHaveBeenCalledWith(2, expect.any(Object), night.toISOString());
+    });
+});
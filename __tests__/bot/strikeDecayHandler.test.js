@@ -0,0 +1,118 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { runStrikeDecay } from 'apps/bot/src/handlers/strikeDecayHandler.js';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+
+vi.mock('@telegram-moderator/shared/services/database.js');
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+vi.mock('@telegram-moderator/shared/config/index.js');
+
+describe('Strike Decay Handler', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const holder = (overrides = {}) => ({
+        chatId: '-1001',
+        chatTitle: 'Main Group',
+        userId: '555',
+        firstName: 'Sam',
+        username: 'sam',
+        count: 2,
+        timestamp: daysAgo(10),
+        forgivenAt: null,
+        ...overrides
+    });
+
+    const auditEntries = () => db.logManualAction.mock.calls.map(([chatId, userId, logData]) => ({ chatId, userId, ...logData }));
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        getGroupSettings.mockResolvedValue({ strikeExpirationDays: 30, goodBehaviorDays: 7 });
+        db.getStrikes.mockImplementation(async (chatId, userId) => ({ count: 2, timestamp: daysAgo(10), chatId, userId }));
+        db.removeStrike.mockResolvedValue(1);
+        db.logManualAction.mockResolvedValue({ lastID: 1 });
+        telegram.sendMessage.mockResolvedValue({ message_id: 1 });
+    });
+
+    test('should forgive one strike after a period of good behavior and log it', async () => {
+        db.getStrikeHolders.mockResolvedValue([holder()]);
+
+        await runStrikeDecay(now);
+
+        expect(db.removeStrike).toHaveBeenCalledWith('-1001', '555', 1);
+        expect(db.markStrikeForgiven).toHaveBeenCalledWith('-1001', '555', now.toISOString());
+        expect(auditEntries()).toEqual([expect.objectContaining({
+            chatId: '-1001',
+            userId: '555',
+            type: 'AUTO-STRIKE-DECAY',
+            action: 'strike_forgiven',
+            amount: 1,
+            newCount: 1,
+            user: { id: 555, first_name: 'Sam', username: 'sam' },
+            executedBy: 'AUTO_MODERATOR'
+        })]);
+        expect(telegram.sendMessage).toHaveBeenCalledWith('555', expect.stringContaining('Main Group: 1 strike forgiven for good behavior (1 left)'));
+    });
+
+    test('should count the next period from the last forgiveness', async () => {
+        db.getStrikeHolders.mockResolvedValue([holder({ forgivenAt: daysAgo(3) })]);
+
+        await runStrikeDecay(now);
+
+        expect(db.removeStrike).not.toHaveBeenCalled();
+        expect(db.logManualAction).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should log strikes that expired', async () => {
+        db.getStrikeHolders.mockResolvedValue([holder({ count: 3, timestamp: daysAgo(40) })]);
+        db.getStrikes.mockResolvedValue({ count: 0, timestamp: null });
+
+        await runStrikeDecay(now);
+
+        expect(db.getStrikes).toHaveBeenCalledWith('-1001', '555');
+        expect(db.removeStrike).not.toHaveBeenCalled();
+        expect(auditEntries()).toEqual([expect.objectContaining({ type: 'AUTO-STRIKE-DECAY', action: 'strikes_expired', amount: 3, newCount: 0, reason: 'No new strike in 30 days' })]);
+        expect(telegram.sendMessage).toHaveBeenCalledWith('555', expect.stringContaining('Main Group: 3 strike(s) expired (0 left)'));
+    });
+
+    test('should leave members with recent strikes alone', async () => {
+        db.getStrikeHolders.mockResolvedValue([holder({ timestamp: daysAgo(2) })]);
+
+        await runStrikeDecay(now);
+
+        expect(db.removeStrike).not.toHaveBeenCalled();
+        expect(db.logManualAction).not.toHaveBeenCalled();
+    });
+
+    test('should send each member one message for all their groups', async () => {
+        db.getStrikeHolders.mockResolvedValue([
+            holder(),
+            holder({ chatId: '-1002', chatTitle: 'Second Group' }),
+            holder({ userId: '556', firstName: 'Kim', username: null })
+        ]);
+
+        await runStrikeDecay(now);
+
+        expect(db.logManualAction).toHaveBeenCalledTimes(3);
+        expect(telegram.sendMessage).toHaveBeenCalledTimes(2);
+        const [, text] = telegram.sendMessage.mock.calls.find(([userId]) => userId === '555');
+        expect(text).toContain('Main Group: 1 strike forgiven');
+        expect(text).toContain('Second Group: 1 strike forgiven');
+    });
+
+    test('should carry on when a member can\'t be messaged or a group fails', async () => {
+        db.getStrikeHolders.mockResolvedValue([holder(), holder({ chatId: '-1002', userId: '556' })]);
+        getGroupSettings.mockImplementation(async (chatId) => {
+            if (chatId === '-1001') throw new Error('settings unavailable');
+            return { strikeExpirationDays: 30, goodBehaviorDays: 7 };
+        });
+        telegram.sendMessage.mockRejectedValue(new Error('Forbidden: bot was blocked by the user'));
+
+        await expect(runStrikeDecay(now)).resolves.toBeUndefined();
+
+        expect(db.removeStrike).toHaveBeenCalledTimes(1);
+        expect(db.removeStrike).toHaveBeenCalledWith('-1002', '556', 1);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tests for storing and deciding strike appeals
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { resolveAppeal } from '@telegram-moderator/shared/services/appeals.js';
+
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Appeals', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+    const admin = { id: 42, first_name: 'Admin', username: 'admin' };
+
+    const strike = async (violationType, amount = 1) => {
+        await db.recordStrike(chatId, userId, {
+            type: 'STRIKE',
+            violationType,
+            amount,
+            timestamp: new Date().toISOString(),
+            user: { id: userId }
+        });
+        return db.getLastStrikeEntry(chatId, userId);
+    };
+
+    const appealAgainst = (strikeEntry) => db.createAppeal(chatId, userId, { strikeLogId: strikeEntry.id, message: 'It was a mistake' });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        telegram.sendMessage.mockResolvedValue({ message_id: 1 });
+        telegram.restoreDefaultPermissions.mockResolvedValue(true);
+        telegram.getChatMember.mockResolvedValue({ status: 'member' });
+    });
+
+    it('should store appeals as pending and filter them by status', async () => {
+        const appeal = await appealAgainst(await strike('SPAM'));
+
+        expect(appeal).toMatchObject({ chatId, userId, status: 'pending', message: 'It was a mistake' });
+        expect(await db.getAppeals(chatId, { status: 'pending' })).toHaveLength(1);
+        expect(await db.getAppeals(chatId, { status: 'approved' })).toHaveLength(0);
+    });
+
+    it('should find the latest automatic strike and the appeal made against it', async () => {
+        await strike('SPAM');
+        const latest = await strike('LINK');
+        await db.logManualAction(chatId, userId, { type: 'PENALTY', action: 'user_muted' });
+
+        expect(JSON.parse((await db.getLastStrikeEntry(chatId, userId)).logData).violationType).toBe('LINK');
+        await appealAgainst(latest);
+        expect(await db.getAppealByStrike(chatId, latest.id)).toMatchObject({ strikeLogId: latest.id });
+    });
+
+    it('should reverse the appealed strike and its category count when approved', async () => {
+        await strike('SPAM');
+        const appeal = await appealAgainst(await strike('RULE', 2));
+
+        const result = await resolveAppeal(chatId, appeal.id, { approved: true, admin });
+
+        expect(result).toMatchObject({ status: 'approved', resolvedBy: '42', strikesRemoved: 2, unmuted: false });
+        expect((await db.getStrikes(chatId, userId)).count).toBe(1);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({ spam: 1 });
+        expect(telegram.restoreDefaultPermissions).not.toHaveBeenCalled();
+        expect(telegram.sendMessage).toHaveBeenCalledWith(userId, expect.stringContaining('approved'));
+    });
+
+    const muteFor = (strikeEntry, muteDuration = 60) => db.logManualAction(chatId, userId, { type: 'PENALTY', action: 'user_muted', muteDuration, strikeLogId: strikeEntry?.id });
+    const restrictedUntil = (minutesFromNow) => telegram.getChatMember.mockResolvedValue({ status: 'restricted', until_date: Math.floor(Date.now() / 1000) + minutesFromNow * 60 });
+
+    it('should lift the running mute the appealed strike led to', async () => {
+        const appealed = await strike('SPAM');
+        const appeal = await appealAgainst(appealed);
+        await muteFor(appealed);
+        restrictedUntil(60);
+
+        const result = await resolveAppeal(chatId, appeal.id, { approved: true, admin });
+
+        expect(result.unmuted).toBe(true);
+        expect(telegram.restoreDefaultPermissions).toHaveBeenCalledWith(chatId, userId);
+    });
+
+    it('should leave later mutes and other restrictions in place', async () => {
+        const appealed = await strike('SPAM');
+        const appeal = await appealAgainst(appealed);
+        await muteFor(appealed);
+        // A later strike led to a longer mute that replaced the first one.
+        await muteFor(await strike('LINK'), 240);
+        restrictedUntil(240);
+
+        expect((await resolveAppeal(chatId, appeal.id, { approved: true, admin })).unmuted).toBe(false);
+
+        // A restriction without an end, e.g. a pending CAPTCHA or a lockdown.
+        const other = await appealAgainst(await strike('SPAM'));
+        await muteFor(await db.getLastStrikeEntry(chatId, userId));
+        telegram.getChatMember.mockResolvedValue({ status: 'restricted', until_date: 0 });
+
+        expect((await resolveAppeal(chatId, other.id, { approved: true, admin })).unmuted).toBe(false);
+        expect(telegram.restoreDefaultPermissions).not.toHaveBeenCalled();
+    });
+
+    it('should not lift anything when the strike led to no mute or the mute is over', async () => {
+        const unmutedAppeal = await appealAgainst(await strike('SPAM'));
+        await muteFor(null);
+        restrictedUntil(60);
+
+        expect((await resolveAppeal(chatId, unmutedAppeal.id, { approved: true, admin })).unmuted).toBe(false);
+
+        const appealed = await strike('SPAM');
+        const appeal = await appealAgainst(appealed);
+        await muteFor(appealed, 0);
+
+        expect((await resolveAppeal(chatId, appeal.id, { approved: true, admin })).unmuted).toBe(false);
+        expect(telegram.restoreDefaultPermissions).not.toHaveBeenCalled();
+    });
+
+    it('should keep the strike when rejected and only accept the first decision', async () => {
+        const appeal = await appealAgainst(await strike('SPAM'));
+
+        const rejected = await resolveAppeal(chatId, appeal.id, { approved: false, admin });
+        const approvedLater = await resolveAppeal(chatId, appeal.id, { approved: true, admin });
+
+        expect(rejected.status).toBe('rejected');
+        expect(approvedLater).toBeNull();
+        expect((await db.getStrikes(chatId, userId)).count).toBe(1);
+
+        const log = await db.getStrikeHistory(chatId, userId, 10);
+        const appealEntries = log.map(row => JSON.parse(row.logData)).filter(entry => entry.type === 'APPEAL');
+        expect(appealEntries).toEqual([expect.objectContaining({ action: 'appeal_rejected', appealId: appeal.id })]);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests for audit log listeners and claiming the reversal of an entry
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Audit Log Listeners', () => {
+    const chatId = '-1001234567890';
+    let stop;
+
+    beforeEach(async () => {
+        stop?.();
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should pass manual actions and strikes to listeners with their entry IDs', async () => {
+        const listener = vi.fn();
+        stop = db.onAuditEntry(listener);
+
+        const manual = await db.logManualAction(chatId, '555', { type: 'MANUAL-WARN', admin: { id: 42, first_name: 'Admin' } });
+        await db.recordStrike(chatId, '555', { type: 'STRIKE', violationType: 'SPAM', amount: 1, timestamp: new Date().toISOString() });
+        await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(2));
+
+        expect(listener).toHaveBeenCalledWith({ id: manual.lastID, chatId, userId: '555', logData: expect.objectContaining({ type: 'MANUAL-WARN' }) });
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ chatId, userId: '555', logData: expect.objectContaining({ type: 'STRIKE' }) }));
+    });
+
+    it('should stop calling a listener once it is unsubscribed', async () => {
+        const listener = vi.fn();
+        db.onAuditEntry(listener)();
+
+        await db.logManualAction(chatId, '555', { type: 'MANUAL-WARN' });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of several simultaneous claims reverse an entry', async () => {
+        const strike = await db.logManualAction(chatId, '555', { type: 'MANUAL-STRIKE-ADD', amount: 1 });
+
+        const claims = await Promise.all([
+            db.claimReversal(chatId, strike.lastID, '42'),
+            db.claimReversal(chatId, strike.lastID, '43')
+        ]);
+
+        expect(claims.filter(Boolean)).toHaveLength(1);
+        expect(await db.claimReversal(chatId, strike.lastID, '42')).toBe(false);
+    });
+
+    it('should allow a new claim once the previous one was given up', async () => {
+        const strike = await db.logManualAction(chatId, '555', { type: 'MANUAL-STRIKE-ADD', amount: 1 });
+        await db.claimReversal(chatId, strike.lastID, '42');
+
+        await db.releaseReversal(chatId, strike.lastID);
+
+        expect(await db.claimReversal(chatId, strike.lastID, '43')).toBe(true);
+    });
+});
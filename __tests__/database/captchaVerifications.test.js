@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Tests for the pending CAPTCHA verification database functions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('CAPTCHA Verifications', () => {
+    const chatId = '-1001234567890';
+    const user = { id: 123456789, first_name: 'Newbie' };
+    const challenge = { question: 'What is 2 + 3?', options: ['5', '4', '6'], answerIndex: 0 };
+
+    const save = (overrides = {}) => db.saveCaptchaVerification({
+        chatId,
+        user,
+        captchaType: 'math',
+        challenge,
+        messages: [{ chatId, messageId: 10 }],
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should return undefined when no verification is pending', async () => {
+        expect(await db.getCaptchaVerification(chatId, '123456789')).toBeUndefined();
+    });
+
+    it('should store a verification with its user, challenge and messages', async () => {
+        await save();
+
+        expect(await db.getCaptchaVerification(chatId, '123456789')).toEqual(expect.objectContaining({
+            chatId,
+            userId: '123456789',
+            user,
+            captchaType: 'math',
+            challenge,
+            messages: [{ chatId, messageId: 10 }]
+        }));
+    });
+
+    it('should replace the verification when the member joins again', async () => {
+        await save();
+        await save({ captchaType: 'button', messages: [{ chatId, messageId: 20 }] });
+
+        const verification = await db.getCaptchaVerification(chatId, '123456789');
+        expect(verification.captchaType).toBe('button');
+        expect(verification.messages).toEqual([{ chatId, messageId: 20 }]);
+    });
+
+    it('should add messages to a pending verification only', async () => {
+        await save();
+
+        await db.addCaptchaMessage(chatId, '123456789', { chatId: 123456789, messageId: 11 });
+        await db.addCaptchaMessage(chatId, '555', { chatId: 555, messageId: 12 });
+
+        expect((await db.getCaptchaVerification(chatId, '123456789')).messages).toEqual([
+            { chatId, messageId: 10 },
+            { chatId: 123456789, messageId: 11 }
+        ]);
+        expect(await db.getCaptchaVerification(chatId, '555')).toBeUndefined();
+    });
+
+    it('should report whether a verification was still pending when deleting it', async () => {
+        await save();
+
+        expect(await db.deleteCaptchaVerification(chatId, '123456789')).toBe(true);
+        expect(await db.deleteCaptchaVerification(chatId, '123456789')).toBe(false);
+        expect(await db.getCaptchaVerification(chatId, '123456789')).toBeUndefined();
+    });
+});
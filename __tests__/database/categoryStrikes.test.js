@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Tests for per category strike counters
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Category Strikes', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+    const strike = (violationType, extra = {}) => ({
+        type: 'STRIKE',
+        violationType,
+        timestamp: new Date().toISOString(),
+        user: { id: userId },
+        ...extra
+    });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should count categorised strikes per category and in the combined total', async () => {
+        await db.recordStrike(chatId, userId, strike('SPAM'));
+        await db.recordStrike(chatId, userId, strike('LINK'));
+        const total = await db.recordStrike(chatId, userId, strike('RULE', { amount: 2 }));
+
+        expect(total).toBe(4);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({ links: 1, rules: 2, spam: 1 });
+    });
+
+    it('should count uncategorised strikes only in the combined total', async () => {
+        const total = await db.recordStrike(chatId, userId, strike('MEDIA'));
+
+        expect(total).toBe(1);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({});
+    });
+
+    it('should clear category counts when strikes are reset', async () => {
+        await db.recordStrike(chatId, userId, strike('SPAM'));
+        await db.resetStrikes(chatId, userId);
+
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({});
+    });
+
+    it('should keep category counts within a lowered combined total', async () => {
+        await db.recordStrike(chatId, userId, strike('SPAM'));
+        await db.recordStrike(chatId, userId, strike('SPAM'));
+        await db.recordStrike(chatId, userId, strike('FLOOD'));
+
+        await db.removeStrike(chatId, userId, 2);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({ flood: 1, spam: 1 });
+
+        await db.setStrikes(chatId, userId, 0);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({});
+    });
+});
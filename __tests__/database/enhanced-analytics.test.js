@@ -248,6 +248,59 @@ describe('Enhanced Database Analytics', () => {
             expect(stats.deletedMessages).toBeGreaterThanOrEqual(1);
         });
 
+        it('should count FLOOD violations separately and in the total', async () => {
+            const timestamp = new Date('2025-08-01T11:00:00Z').toISOString();
+            await testDb.run(
+                'INSERT INTO audit_log (timestamp, chatId, userId, logData) VALUES (?, ?, ?, ?)',
+                timestamp,
+                testGroupId,
+                testUserId2,
+                JSON.stringify({
+                    type: 'VIOLATION',
+                    action: 'message_deleted',
+                    timestamp,
+                    violationType: 'FLOOD',
+                    burstSize: 6
+                })
+            );
+
+            const stats = await db.getGroupStats(testGroupId, new Date('2025-08-01T09:00:00Z'), new Date('2025-08-01T12:00:00Z'));
+
+            expect(stats.flaggedMessages.flood).toBe(1);
+            expect(stats.flaggedMessages.total).toBe(6);
+            expect(stats.topViolationTypes).toEqual(expect.arrayContaining([{ type: 'FLOOD', count: 1 }]));
+        });
+
+        it('should count LANGUAGE violations and break scanned messages down by language', async () => {
+            const timestamp = new Date('2025-08-01T11:00:00Z').toISOString();
+            const entries = [
+                { type: 'SCANNED', action: 'message_analyzed', language: 'en', script: 'latin' },
+                { type: 'SCANNED', action: 'message_analyzed', language: 'en', script: 'latin' },
+                { type: 'SCANNED', action: 'message_analyzed', language: null, script: 'latin' },
+                { type: 'VIOLATION', action: 'message_deleted', violationType: 'LANGUAGE', language: 'ru', script: 'cyrillic' }
+            ];
+            for (const entry of entries) {
+                await testDb.run(
+                    'INSERT INTO audit_log (timestamp, chatId, userId, logData) VALUES (?, ?, ?, ?)',
+                    timestamp, testGroupId, testUserId2, JSON.stringify({ ...entry, timestamp })
+                );
+            }
+
+            const stats = await db.getGroupStats(testGroupId, new Date('2025-08-01T09:00:00Z'), new Date('2025-08-01T12:00:00Z'));
+
+            expect(stats.flaggedMessages.language).toBe(1);
+            expect(stats.flaggedMessages.total).toBe(6);
+            expect(stats.languageBreakdown).toEqual([
+                { language: 'en', script: 'latin', count: 2 },
+                expect.objectContaining({ count: 1 }),
+                expect.objectContaining({ count: 1 })
+            ]);
+            expect(stats.languageBreakdown).toEqual(expect.arrayContaining([
+                { language: null, script: 'latin', count: 1 },
+                { language: 'ru', script: 'cyrillic', count: 1 }
+            ]));
+        });
+
         it('should return zero stats for empty date range', async () => {
             const startDate = new Date('2025-07-01T00:00:00Z');
             const endDate = new Date('2025-07-01T01:00:00Z');
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests for federations and their shared ban list
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { federationBan, federationUnban, enforceFederationBan } from '@telegram-moderator/shared/services/federations.js';
+
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Federations', () => {
+    const owner = '42';
+    const admin = { id: 42, first_name: 'Admin' };
+    const spammer = { id: 555, first_name: 'Spammer', username: 'spammer' };
+
+    let federation;
+
+    const auditTypes = async (chatId) => (await db.getAuditLog(chatId, 10)).map(row => JSON.parse(row.logData).type);
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        vi.clearAllMocks();
+        telegram.banUser.mockResolvedValue(true);
+        telegram.unbanUser.mockResolvedValue(true);
+        telegram.getChatAdmins.mockResolvedValue([]);
+
+        await db.addGroup('-1001', 'Main Group');
+        await db.addGroup('-1002', 'Second Group');
+        federation = await db.createFederation('Crypto Groups', owner);
+        await db.joinFederation(federation.id, '-1001');
+        await db.joinFederation(federation.id, '-1002');
+    });
+
+    it('should keep each group in one federation at a time', async () => {
+        const other = await db.createFederation('Other', '7');
+        await db.joinFederation(other.id, '-1002');
+
+        expect(await db.getGroupFederation('-1001')).toMatchObject({ id: federation.id, name: 'Crypto Groups', ownerId: owner });
+        expect((await db.getGroupFederation('-1002')).id).toBe(other.id);
+        expect(await db.getFederationGroups(federation.id)).toEqual([expect.objectContaining({ chatId: '-1001', chatTitle: 'Main Group' })]);
+
+        expect(await db.leaveFederation('-1002')).toBe(true);
+        expect(await db.getGroupFederation('-1002')).toBeUndefined();
+    });
+
+    it('should ban a user from every member group and log it in each', async () => {
+        const result = await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1001' });
+
+        expect(result).toEqual({ bannedIn: ['-1001', '-1002'], failedIn: [], skippedIn: [] });
+        expect(telegram.banUser).toHaveBeenCalledWith('-1001', 555);
+        expect(telegram.banUser).toHaveBeenCalledWith('-1002', 555);
+        expect(await db.getFederationBan('-1002', '555')).toMatchObject({ reason: 'Scam links', bannedBy: '42', sourceChatId: '-1001', federationName: 'Crypto Groups' });
+        expect(await auditTypes('-1002')).toEqual(['MANUAL-FBAN']);
+    });
+
+    it('should keep going when a group cannot ban the user', async () => {
+        telegram.banUser.mockImplementation(async (chatId) => {
+            if (chatId === '-1001') throw new Error('not enough rights');
+            return true;
+        });
+
+        const result = await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1002' });
+
+        expect(result).toEqual({ bannedIn: ['-1002'], failedIn: ['-1001'], skippedIn: [] });
+        expect(await db.getFederationBan('-1001', '555')).toBeDefined();
+    });
+
+    it('should not ban the user from groups they are an admin of', async () => {
+        telegram.getChatAdmins.mockImplementation(async (chatId) => (chatId === '-1002' ? [555] : []));
+
+        const result = await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1001' });
+
+        expect(result).toEqual({ bannedIn: ['-1001'], failedIn: [], skippedIn: ['-1002'] });
+        expect(telegram.banUser).not.toHaveBeenCalledWith('-1002', 555);
+        expect(await auditTypes('-1002')).toEqual([]);
+    });
+
+    it('should lift a ban everywhere and only once', async () => {
+        await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1001' });
+
+        const result = await federationUnban(federation, spammer, { admin, sourceChatId: '-1002' });
+        const again = await federationUnban(federation, spammer, { admin, sourceChatId: '-1002' });
+
+        expect(result).toEqual({ unbannedIn: ['-1001', '-1002'], failedIn: [] });
+        expect(again).toBeNull();
+        expect(telegram.unbanUser).toHaveBeenCalledWith('-1001', 555);
+        expect(await db.getFederationBan('-1001', '555')).toBeUndefined();
+    });
+
+    it('should enforce the ban in groups that joined later', async () => {
+        await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1001' });
+        await db.joinFederation(federation.id, '-1003');
+        vi.clearAllMocks();
+
+        const ban = await enforceFederationBan('-1003', spammer);
+
+        expect(ban).toMatchObject({ federationId: federation.id });
+        expect(telegram.banUser).toHaveBeenCalledWith('-1003', 555);
+        const entry = JSON.parse((await db.getAuditLog('-1003', 1))[0].logData);
+        expect(entry).toMatchObject({ type: 'PENALTY', action: 'user_banned', violationType: 'FEDERATION_BAN' });
+        expect(await enforceFederationBan('-1003', { id: 777, first_name: 'Member' })).toBeNull();
+        expect(await enforceFederationBan('-1009', spammer)).toBeNull();
+    });
+
+    it('should only log the ban in shadow mode', async () => {
+        await federationBan(federation, spammer, { reason: 'Scam links', admin, sourceChatId: '-1001' });
+        await db.joinFederation(federation.id, '-1003');
+        vi.clearAllMocks();
+
+        expect(await enforceFederationBan('-1003', spammer, { shadowMode: true })).toBeNull();
+
+        expect(telegram.banUser).not.toHaveBeenCalled();
+        const entry = JSON.parse((await db.getAuditLog('-1003', 1))[0].logData);
+        expect(entry).toMatchObject({ type: 'SHADOW_PENALTY', shadowAction: 'user_banned', violationType: 'FEDERATION_BAN' });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for exporting, validating, comparing and importing group configurations
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+import { CONFIG_VERSION, exportGroupConfig, validateGroupConfig, diffGroupConfig, applyGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Group Configuration', () => {
+    const admin = { id: 42, first_name: 'Admin' };
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+
+        await db.addGroup('-1001', 'Main Group');
+        await db.addGroup('-1002', 'Side Group');
+        await updateSetting('-1001', 'spamThreshold', 0.7);
+        await updateSetting('-1001', 'captchaEnabled', true);
+        await updateSetting('-1001', 'moderatorIds', ['777']);
+        await db.setWhitelistKeywords('-1001', ['giveaway']);
+        await db.addModerationRule('-1001', { pattern: 'free crypto', scope: 'text', action: 'delete', strikeWeight: 2 });
+    });
+
+    it('should export settings, whitelist, moderators and portable rules', async () => {
+        const config = await exportGroupConfig('-1001');
+
+        expect(config).toMatchObject({
+            version: CONFIG_VERSION,
+            group: { chatId: '-1001', title: 'Main Group' },
+            whitelistedKeywords: ['giveaway'],
+            moderatorIds: ['777'],
+            rules: [{ pattern: 'free crypto', isRegex: false, scope: 'text', action: 'delete', strikeWeight: 2, enabled: true }]
+        });
+        expect(config.settings).toMatchObject({ spamThreshold: 0.7, captchaEnabled: true });
+        expect(config.settings).not.toHaveProperty('lockdownStartedAt');
+        expect(validateGroupConfig(config)).toEqual([]);
+    });
+
+    it('should reject unknown versions, unknown settings and out-of-range values', () => {
+        expect(validateGroupConfig([])).toEqual(['The configuration must be a JSON object']);
+
+        const errors = validateGroupConfig({
+            version: 99,
+            settings: { spamThreshold: 2, madeUp: true },
+            moderatorIds: ['not-an-id'],
+            rules: [{ pattern: '(', isRegex: true, scope: 'text', action: 'delete' }]
+        });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('Unsupported configuration version 99'),
+            'Invalid value for spamThreshold: 2',
+            'Unknown setting: madeUp',
+            expect.stringContaining('moderatorIds'),
+            expect.stringMatching(/^Rule 1: /)
+        ]));
+    });
+
+    it('should list only what would change', async () => {
+        const config = await exportGroupConfig('-1001');
+
+        expect(await diffGroupConfig('-1001', config)).toEqual([]);
+
+        const changes = await diffGroupConfig('-1002', config);
+        const keys = changes.map(change => change.key);
+        expect(keys).toEqual(expect.arrayContaining(['spamThreshold', 'captchaEnabled', 'whitelistedKeywords', 'moderatorIds', 'rules']));
+        expect(keys).not.toContain('muteDurationMinutes');
+        expect(changes.find(change => change.key === 'spamThreshold')).toMatchObject({ to: 0.7 });
+    });
+
+    it('should copy a configuration into another group and record it in the audit log', async () => {
+        const { errors, changes } = await applyGroupConfig('-1002', await exportGroupConfig('-1001'), { admin, sourceChatId: '-1001' });
+
+        expect(errors).toEqual([]);
+        expect(changes.length).toBeGreaterThan(0);
+        const settings = await getGroupSettings('-1002');
+        expect(settings).toMatchObject({ spamThreshold: 0.7, captchaEnabled: true, moderatorIds: ['777'], whitelistedKeywords: ['giveaway'] });
+        expect(await db.getModerationRules('-1002')).toEqual([
+            expect.objectContaining({ chatId: '-1002', pattern: 'free crypto', strikeWeight: 2 })
+        ]);
+
+        const [entry] = await db.getAuditLog('-1002', 1);
+        expect(JSON.parse(entry.logData)).toMatchObject({ type: 'CONFIG', action: 'config_copied', sourceChatId: '-1001' });
+        expect(await diffGroupConfig('-1002', await exportGroupConfig('-1001'))).toEqual([]);
+    });
+
+    it('should leave sections the import leaves out and apply nothing when it is invalid', async () => {
+        await applyGroupConfig('-1001', { version: CONFIG_VERSION, rules: [] }, { admin });
+
+        expect(await db.getModerationRules('-1001')).toEqual([]);
+        expect((await getGroupSettings('-1001')).spamThreshold).toBe(0.7);
+
+        const { errors, changes } = await applyGroupConfig('-1001', { version: CONFIG_VERSION, settings: { spamThreshold: 0.5, banLevel: -1 } }, { admin });
+        expect(errors).toEqual(['Invalid value for banLevel: -1']);
+        expect(changes).toEqual([]);
+        expect((await getGroupSettings('-1001')).spamThreshold).toBe(0.7);
+    });
+});
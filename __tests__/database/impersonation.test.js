@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Tests for impersonation clearances
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Impersonation Clearances', () => {
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should only hold while the member keeps the names they were cleared with', async () => {
+        await db.clearImpersonation('-1001', '777', 'name:allcejohnson', '42');
+
+        expect(await db.isImpersonationCleared('-1001', '777', 'name:allcejohnson')).toBe(true);
+        expect(await db.isImpersonationCleared('-1001', '777', 'name:allcejohnson|username:support')).toBe(false);
+        expect(await db.isImpersonationCleared('-1002', '777', 'name:allcejohnson')).toBe(false);
+    });
+
+    it('should replace an earlier clearance of the same member', async () => {
+        await db.clearImpersonation('-1001', '777', 'name:allcejohnson', '42');
+        await db.clearImpersonation('-1001', '777', 'name:supportteam', '43');
+
+        expect(await db.isImpersonationCleared('-1001', '777', 'name:allcejohnson')).toBe(false);
+        expect(await db.isImpersonationCleared('-1001', '777', 'name:supportteam')).toBe(true);
+    });
+
+    it('should report a restriction as open until an admin decides on it', async () => {
+        const { lastID } = await db.logManualAction('-1001', '777', { type: 'IMPERSONATION', action: 'user_restricted' });
+        await db.logManualAction('-1001', '778', { type: 'SHADOW_IMPERSONATION', shadowAction: 'user_restricted' });
+
+        expect(await db.hasOpenImpersonation('-1001', '777')).toBe(true);
+        expect(await db.hasOpenImpersonation('-1001', '778')).toBe(false);
+        expect(await db.hasOpenImpersonation('-1002', '777')).toBe(false);
+
+        await db.claimReversal('-1001', lastID, '42');
+
+        expect(await db.hasOpenImpersonation('-1001', '777')).toBe(false);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Tests for the chat membership (join timestamp) database functions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Chat Membership', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should return undefined for members whose join was never recorded', async () => {
+        expect(await db.getMemberJoin(chatId, userId)).toBeUndefined();
+    });
+
+    it('should record a join with a message count of zero', async () => {
+        await db.recordMemberJoin(chatId, userId, '2026-01-01T00:00:00.000Z');
+
+        expect(await db.getMemberJoin(chatId, userId)).toEqual({ joinedAt: '2026-01-01T00:00:00.000Z', messageCount: 0 });
+    });
+
+    it('should count messages per member and chat', async () => {
+        await db.recordMemberJoin(chatId, userId);
+        await db.recordMemberJoin('-100999', userId);
+
+        await db.incrementMemberMessageCount(chatId, userId);
+        await db.incrementMemberMessageCount(chatId, userId);
+
+        expect((await db.getMemberJoin(chatId, userId)).messageCount).toBe(2);
+        expect((await db.getMemberJoin('-100999', userId)).messageCount).toBe(0);
+    });
+
+    it('should reset the join time and message count when a member rejoins', async () => {
+        await db.recordMemberJoin(chatId, userId, '2026-01-01T00:00:00.000Z');
+        await db.incrementMemberMessageCount(chatId, userId);
+
+        await db.recordMemberJoin(chatId, userId, '2026-02-01T00:00:00.000Z');
+
+        expect(await db.getMemberJoin(chatId, userId)).toEqual({ joinedAt: '2026-02-01T00:00:00.000Z', messageCount: 0 });
+    });
+});
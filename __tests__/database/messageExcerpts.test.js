@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Tests for looking up the last scanned text of a message
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Message Excerpts', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should return null for messages that were never scanned', async () => {
+        expect(await db.getLastMessageExcerpt(chatId, 42)).toBeNull();
+    });
+
+    it('should return the text the message was last scanned with', async () => {
+        await db.logManualAction(chatId, userId, { type: 'SCANNED', messageId: 42, messageExcerpt: 'Hello world' });
+        await db.logManualAction(chatId, userId, { type: 'MESSAGE_EDITED', messageId: 42, messageExcerpt: 'Hello there' });
+        await db.logManualAction(chatId, userId, { type: 'VIOLATION', messageId: 42, messageExcerpt: 'Ignored' });
+        await db.logManualAction(chatId, userId, { type: 'SCANNED', messageId: 43, messageExcerpt: 'Other message' });
+        await db.logManualAction('-100999', userId, { type: 'SCANNED', messageId: 42, messageExcerpt: 'Other chat' });
+
+        expect(await db.getLastMessageExcerpt(chatId, 42)).toBe('Hello there');
+    });
+
+    it('should find the message through the index rather than scanning the audit log', async () => {
+        const plan = await db.getDb().all(
+            `EXPLAIN QUERY PLAN SELECT JSON_EXTRACT(logData, '$.messageExcerpt') as excerpt FROM audit_log
+             WHERE chatId = ? AND JSON_EXTRACT(logData, '$.messageId') = ?
+             AND JSON_EXTRACT(logData, '$.type') IN ('SCANNED', 'MESSAGE_EDITED')
+             ORDER BY id DESC LIMIT 1`,
+            chatId, 42
+        );
+
+        expect(plan.map(step => step.detail).join('\n')).toContain('idx_audit_log_message');
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Tests for the custom moderation rule database functions and weighted strikes
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Moderation Rules', () => {
+    const chatId = '-1001234567890';
+    const rule = { pattern: 'free\\s+crypto', isRegex: true, scope: 'text', action: 'strike', strikeWeight: 2 };
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should store a rule and return it with its new ID', async () => {
+        const stored = await db.addModerationRule(chatId, rule);
+
+        expect(stored).toEqual(expect.objectContaining({ ...rule, id: expect.any(Number), chatId, enabled: true }));
+        expect(await db.getModerationRules(chatId)).toEqual([stored]);
+    });
+
+    it('should keep rules of different groups apart', async () => {
+        await db.addModerationRule(chatId, rule);
+
+        expect(await db.getModerationRules('-100999')).toEqual([]);
+    });
+
+    it('should list rules in creation order and filter disabled ones on request', async () => {
+        const first = await db.addModerationRule(chatId, rule);
+        const second = await db.addModerationRule(chatId, { ...rule, pattern: 'spam', isRegex: false, enabled: false });
+
+        expect((await db.getModerationRules(chatId)).map(r => r.id)).toEqual([first.id, second.id]);
+        expect((await db.getModerationRules(chatId, { enabledOnly: true })).map(r => r.id)).toEqual([first.id]);
+    });
+
+    it('should update only the given fields', async () => {
+        const stored = await db.addModerationRule(chatId, rule);
+
+        const updated = await db.updateModerationRule(chatId, stored.id, { enabled: false, action: 'delete', unknown: 'ignored' });
+
+        expect(updated).toEqual({ ...stored, enabled: false, action: 'delete' });
+    });
+
+    it('should not update or delete another group\'s rule', async () => {
+        const stored = await db.addModerationRule(chatId, rule);
+
+        expect(await db.updateModerationRule('-100999', stored.id, { enabled: false })).toBeUndefined();
+        expect(await db.deleteModerationRule('-100999', stored.id)).toBe(false);
+        expect(await db.getModerationRule(chatId, stored.id)).toEqual(stored);
+    });
+
+    it('should delete a rule', async () => {
+        const stored = await db.addModerationRule(chatId, rule);
+
+        expect(await db.deleteModerationRule(chatId, stored.id)).toBe(true);
+        expect(await db.getModerationRules(chatId)).toEqual([]);
+    });
+
+    it('should add the strike amount given on the log entry', async () => {
+        const userId = '123456789';
+        await db.recordStrike(chatId, userId, { type: 'STRIKE', timestamp: new Date().toISOString() });
+
+        const count = await db.recordStrike(chatId, userId, { type: 'STRIKE', timestamp: new Date().toISOString(), amount: 3 });
+
+        expect(count).toBe(4);
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Tests for counting a member's past mutes
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Mute History', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+    const logAction = (action, targetChatId = chatId) => db.logManualAction(targetChatId, userId, {
+        type: 'PENALTY',
+        action,
+        timestamp: new Date().toISOString(),
+        user: { id: userId }
+    });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should count only mutes in the given chat', async () => {
+        await logAction('user_muted');
+        await logAction('user_muted');
+        await logAction('user_kicked');
+        await logAction('user_muted', '-1009999999999');
+
+        expect(await db.countUserMutes(chatId, userId)).toBe(2);
+    });
+
+    it('should return 0 for a member who was never muted', async () => {
+        expect(await db.countUserMutes(chatId, userId)).toBe(0);
+    });
+});
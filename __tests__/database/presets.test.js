@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for built-in and saved settings presets
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+import { validateGroupConfig, diffGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+import { BUILT_IN_PRESETS, MAX_CUSTOM_PRESETS, listPresets, getPreset, savePreset, applyPreset, presetToConfig } from '@telegram-moderator/shared/services/presets.js';
+
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Settings Presets', () => {
+    const admin = { id: 42, first_name: 'Admin' };
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        await db.addGroup('-1001', 'Main Group');
+        await db.addGroup('-1002', 'Side Group');
+    });
+
+    it('should only ship valid built-in presets that set the same settings', () => {
+        const keys = Object.keys(BUILT_IN_PRESETS[0].settings).sort();
+        for (const preset of BUILT_IN_PRESETS) {
+            expect(validateGroupConfig(presetToConfig(preset))).toEqual([]);
+            expect(Object.keys(preset.settings).sort()).toEqual(keys);
+        }
+    });
+
+    it('should apply a built-in preset and record it in the audit log', async () => {
+        const preset = await getPreset('42', 'strict_crypto');
+
+        const { errors, changes } = await applyPreset('-1001', preset, { admin });
+
+        expect(errors).toEqual([]);
+        expect(changes.length).toBeGreaterThan(0);
+        expect(await getGroupSettings('-1001')).toMatchObject({ spamThreshold: 0.6, banLevel: 3, captchaEnabled: true, strikeExpirationDays: 90 });
+        expect(await diffGroupConfig('-1001', presetToConfig(preset))).toEqual([]);
+
+        const [entry] = await db.getAuditLog('-1001', 1);
+        expect(JSON.parse(entry.logData)).toMatchObject({ type: 'CONFIG', action: 'preset_applied', presetName: 'Strict crypto project' });
+    });
+
+    it('should save a group\'s settings as a preset without its log chat', async () => {
+        await updateSetting('-1001', 'spamThreshold', 0.66);
+        await updateSetting('-1001', 'logChatId', '-1009');
+
+        const saved = await savePreset('42', '  Our setup  ', '-1001');
+
+        expect(saved).toMatchObject({ name: 'Our setup', builtIn: false });
+        expect(saved.settings.spamThreshold).toBe(0.66);
+        expect(saved.settings).not.toHaveProperty('logChatId');
+
+        const presets = await listPresets('42');
+        expect(presets.map(preset => preset.id)).toEqual([...BUILT_IN_PRESETS.map(preset => preset.id), saved.id]);
+
+        await applyPreset('-1002', await getPreset('42', saved.id), { admin });
+        expect(await getGroupSettings('-1002')).toMatchObject({ spamThreshold: 0.66, logChatId: '' });
+    });
+
+    it('should keep saved presets private to their owner', async () => {
+        const saved = await savePreset('42', 'Mine', '-1001');
+
+        expect(await getPreset('7', saved.id)).toBeNull();
+        expect(await listPresets('7')).toHaveLength(BUILT_IN_PRESETS.length);
+        expect(await db.deleteSettingsPreset('7', Number(saved.id))).toBe(false);
+        expect(await db.deleteSettingsPreset('42', Number(saved.id))).toBe(true);
+        expect(await getPreset('42', saved.id)).toBeNull();
+    });
+
+    it('should limit how many presets an admin can save', async () => {
+        for (let i = 0; i < MAX_CUSTOM_PRESETS; i++) {
+            await db.addSettingsPreset('42', `Preset ${i}`, {});
+        }
+
+        expect(await savePreset('42', 'One more', '-1001')).toBeNull();
+    });
+});
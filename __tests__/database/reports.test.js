@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Tests for storing member reports and counting them per member
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Reports', () => {
+    const chatId = '-1001234567890';
+
+    const file = (messageId, reportedUserId = '555') => db.createReport(chatId, {
+        messageId,
+        reportedUserId,
+        reporterId: '777',
+        reason: 'spam',
+        messageExcerpt: 'cheap followers'
+    });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should store a report as open and find it by message', async () => {
+        const report = await file(90);
+
+        expect(report).toMatchObject({ chatId, messageId: 90, reportedUserId: '555', status: 'open', reportCount: 1 });
+        expect((await db.getReportByMessage(chatId, 90)).id).toBe(report.id);
+        expect(await db.getReportByMessage(chatId, 91)).toBeUndefined();
+    });
+
+    it('should refuse a second report row for the same message and count repeats instead', async () => {
+        const report = await file(90);
+
+        await expect(file(90)).rejects.toThrow();
+        await db.addReportToExisting(chatId, report.id, '888');
+
+        expect((await db.getReport(chatId, report.id)).reportCount).toBe(2);
+    });
+
+    it('should remember when each member last reported, including repeats', async () => {
+        expect(await db.getLastReportTime(chatId, '777')).toBeNull();
+
+        const report = await file(90);
+        const filedAt = await db.getLastReportTime(chatId, '777');
+        expect(filedAt).toBe(report.createdAt);
+        expect(await db.getLastReportTime(chatId, '888')).toBeNull();
+        expect(await db.getLastReportTime('-100999', '777')).toBeNull();
+
+        await db.addReportToExisting(chatId, report.id, '888');
+        expect(await db.getLastReportTime(chatId, '888')).not.toBeNull();
+        expect(await db.getLastReportTime(chatId, '777')).toBe(filedAt);
+    });
+
+    it('should only close a report once', async () => {
+        const report = await file(90);
+
+        expect(await db.resolveReport(chatId, report.id, 'resolved', 'ban', '42')).toBe(true);
+        expect(await db.resolveReport(chatId, report.id, 'dismissed', 'dismiss', '43')).toBe(false);
+        expect(await db.getReport(chatId, report.id)).toMatchObject({ status: 'resolved', resolution: 'ban', resolvedBy: '42' });
+        expect(await db.getReports(chatId, { status: 'open' })).toHaveLength(0);
+    });
+
+    it('should count reports per member and rank the most reported', async () => {
+        await db.upsertUser({ id: 555, first_name: 'Spammer', username: 'spammer' });
+        await file(90);
+        await file(91);
+        const other = await file(92, '666');
+        await db.resolveReport(chatId, other.id, 'dismissed', 'dismiss', '42');
+
+        expect(await db.countUserReports(chatId, '555')).toBe(2);
+        expect(await db.getMostReportedUsers(chatId)).toEqual([
+            { userId: '555', firstName: 'Spammer', username: 'spammer', reports: 2, openReports: 2 },
+            { userId: '666', firstName: null, username: null, reports: 1, openReports: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Tests for storing and deciding messages held for review
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import * as telegram from '@telegram-moderator/shared/services/telegram.js';
+import { resolveReview, isInReviewBand } from '@telegram-moderator/shared/services/reviews.js';
+
+vi.mock('@telegram-moderator/shared/services/telegram.js');
+
+describe('Review Queue', () => {
+    const chatId = '-1001234567890';
+    const userId = '123456789';
+    const admin = { id: 42, first_name: 'Admin', username: 'admin' };
+
+    const hold = (messageId = 10) => db.createReview(chatId, {
+        messageId,
+        userId,
+        messageExcerpt: 'DM me for a great opportunity',
+        spamScore: 0.72,
+        profanityScore: 0.01
+    });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        telegram.deleteMessage.mockResolvedValue(true);
+    });
+
+    it('should only hold scores between the band start and the spam threshold', () => {
+        const settings = { reviewBandMin: 0.6, spamThreshold: 0.85 };
+
+        expect(isInReviewBand(0.6, settings)).toBe(true);
+        expect(isInReviewBand(0.84, settings)).toBe(true);
+        expect(isInReviewBand(0.59, settings)).toBe(false);
+        expect(isInReviewBand(0.85, settings)).toBe(false);
+        expect(isInReviewBand(0.7, settings, 0.65)).toBe(false);
+        expect(isInReviewBand(0.7, { reviewBandMin: 0, spamThreshold: 0.85 })).toBe(false);
+    });
+
+    it('should store reviews as pending once per message and filter them by status', async () => {
+        const review = await hold();
+
+        expect(review).toMatchObject({ chatId, userId, messageId: 10, spamScore: 0.72, status: 'pending', label: null });
+        expect(await hold()).toBeNull();
+        expect(await db.getReviews(chatId, { status: 'pending' })).toHaveLength(1);
+        expect(await db.getReviews(chatId, { status: 'removed' })).toHaveLength(0);
+    });
+
+    it('should label approved messages clean without a strike', async () => {
+        const review = await hold();
+
+        const result = await resolveReview(chatId, review.id, { remove: false, admin });
+
+        expect(result).toMatchObject({ status: 'approved', label: 'clean', decidedBy: '42' });
+        expect(result.strikeCount).toBeUndefined();
+        expect(telegram.deleteMessage).not.toHaveBeenCalled();
+        expect((await db.getStrikes(chatId, userId)).count).toBe(0);
+    });
+
+    it('should delete removed messages and strike their author', async () => {
+        const review = await hold();
+
+        const result = await resolveReview(chatId, review.id, { remove: true, admin });
+
+        expect(result).toMatchObject({ status: 'removed', label: 'spam', strikeCount: 1 });
+        expect(telegram.deleteMessage).toHaveBeenCalledWith(chatId, 10);
+        expect(await db.getCategoryStrikes(chatId, userId)).toEqual({ spam: 1 });
+    });
+
+    it('should only accept the first decision and log it', async () => {
+        const review = await hold();
+
+        await resolveReview(chatId, review.id, { remove: false, admin });
+        const removedLater = await resolveReview(chatId, review.id, { remove: true, admin });
+
+        expect(removedLater).toBeNull();
+        expect((await db.getStrikes(chatId, userId)).count).toBe(0);
+
+        const log = await db.getStrikeHistory(chatId, userId, 10);
+        const reviewEntries = log.map(row => JSON.parse(row.logData)).filter(entry => entry.type === 'REVIEW');
+        expect(reviewEntries).toEqual([expect.objectContaining({ action: 'review_approved', label: 'clean', reviewId: review.id })]);
+    });
+});
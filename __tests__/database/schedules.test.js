@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Tests for storing scheduled group restrictions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Group Schedules', () => {
+    const quietNights = { name: 'Quiet nights', days: ['fri', 'sat'], startTime: '23:00', endTime: '07:00', kind: 'permissions', payload: { can_send_photos: false } };
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should store entries with parsed days and payload', async () => {
+        const schedule = await db.addSchedule('-1001', quietNights);
+
+        expect(schedule).toMatchObject({ ...quietNights, chatId: '-1001', enabled: true, appliedAt: null, revertData: null });
+        expect(await db.getSchedules('-1001')).toEqual([schedule]);
+        expect(await db.getSchedules('-1002')).toEqual([]);
+    });
+
+    it('should update only the given fields of the group\'s own entry', async () => {
+        const { id } = await db.addSchedule('-1001', quietNights);
+
+        const updated = await db.updateSchedule('-1001', id, { enabled: false, payload: { can_send_photos: false, can_send_videos: false }, chatId: '-1002' });
+
+        expect(updated).toMatchObject({ chatId: '-1001', enabled: false, payload: { can_send_photos: false, can_send_videos: false }, name: 'Quiet nights' });
+        expect(await db.updateSchedule('-1002', id, { enabled: true })).toBeUndefined();
+    });
+
+    it('should hand the scheduler enabled and still applied entries', async () => {
+        const enabled = await db.addSchedule('-1001', quietNights);
+        const disabled = await db.addSchedule('-1001', { ...quietNights, enabled: false });
+        const appliedThenDisabled = await db.addSchedule('-1002', quietNights);
+        await db.markScheduleApplied(appliedThenDisabled.id, { kind: 'permissions', payload: quietNights.payload, previous: { can_send_photos: true } });
+        await db.updateSchedule('-1002', appliedThenDisabled.id, { enabled: false });
+
+        const pending = await db.getPendingSchedules();
+
+        expect(pending.map(schedule => schedule.id)).toEqual([enabled.id, appliedThenDisabled.id]);
+        expect(pending[1].revertData).toEqual({ kind: 'permissions', payload: quietNights.payload, previous: { can_send_photos: true } });
+        expect(pending.map(schedule => schedule.id)).not.toContain(disabled.id);
+    });
+
+    it('should keep a deleted applied entry until the scheduler reverts it', async () => {
+        const { id } = await db.addSchedule('-1001', quietNights);
+        await db.markScheduleApplied(id, { kind: 'permissions', payload: quietNights.payload, previous: { can_send_photos: true } });
+
+        expect(await db.deleteSchedule('-1001', id)).toBe(true);
+        expect(await db.getSchedules('-1001')).toEqual([]);
+        expect(await db.getPendingSchedules()).toEqual([expect.objectContaining({ id, enabled: false, deletedAt: expect.any(String) })]);
+
+        await db.markScheduleReverted(id);
+        expect(await db.getPendingSchedules()).toEqual([]);
+    });
+
+    it('should remove an entry that isn\'t applied right away', async () => {
+        const { id } = await db.addSchedule('-1001', quietNights);
+        await db.markScheduleApplied(id, { kind: 'permissions', payload: quietNights.payload, previous: {} });
+        await db.markScheduleReverted(id);
+
+        expect(await db.getSchedule('-1001', id)).toMatchObject({ appliedAt: null, revertData: null });
+        expect(await db.deleteSchedule('-1002', id)).toBe(false);
+        expect(await db.deleteSchedule('-1001', id)).toBe(true);
+        expect(await db.getPendingSchedules()).toEqual([]);
+    });
+});
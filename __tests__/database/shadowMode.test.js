@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for adding up shadow mode decisions and summarising them for the dashboard
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Shadow Mode', () => {
+    const chatId = '-1001234567890';
+    const user = { id: 555, first_name: 'Spammer', username: 'spammer' };
+
+    const log = (userId, logData) => db.logManualAction(chatId, userId, { timestamp: new Date().toISOString(), user, ...logData });
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+    });
+
+    it('should add up shadow strikes and mutes and clear the strikes after a shadow ban', async () => {
+        await log('555', { type: 'SHADOW_STRIKE', violationType: 'SPAM', strikeCategory: 'spam' });
+        await log('555', { type: 'SHADOW_STRIKE', violationType: 'RULE', amount: 2 });
+        await log('555', { type: 'SHADOW_PENALTY', shadowAction: 'user_muted' });
+
+        expect(await db.getShadowCounts(chatId, '555')).toEqual({ strikes: 3, categoryStrikes: { spam: 1 }, mutes: 1 });
+
+        await log('555', { type: 'SHADOW_PENALTY', shadowAction: 'user_banned' });
+        await log('555', { type: 'SHADOW_STRIKE', violationType: 'SPAM', strikeCategory: 'spam' });
+
+        expect(await db.getShadowCounts(chatId, '555')).toEqual({ strikes: 1, categoryStrikes: { spam: 1 }, mutes: 1 });
+    });
+
+    it('should keep shadow mutes out of the real mute history', async () => {
+        await log('555', { type: 'SHADOW_PENALTY', shadowAction: 'user_muted' });
+
+        expect(await db.countUserMutes(chatId, '555')).toBe(0);
+    });
+
+    it('should summarise what would have been done', async () => {
+        await log('555', { type: 'SCANNED', action: 'message_analyzed' });
+        await log('555', { type: 'SCANNED', action: 'message_analyzed' });
+        await log('555', { type: 'SHADOW_VIOLATION', shadowAction: 'message_deleted', violationType: 'SPAM', spamScore: 0.9 });
+        await log('555', { type: 'SHADOW_STRIKE', violationType: 'SPAM' });
+        await log('555', { type: 'SHADOW_PENALTY', shadowAction: 'user_warned' });
+        await log('666', { type: 'SHADOW_VIOLATION', shadowAction: 'message_deleted', violationType: 'LINK' });
+        await log('555', { type: 'VIOLATION', action: 'message_deleted', violationType: 'SPAM' });
+
+        const report = await db.getShadowReport(chatId);
+
+        expect(report.summary).toEqual({ scanned: 2, deletions: 2, strikes: 1, warnings: 1, mutes: 0, kicks: 0, bans: 0, members: 2 });
+        expect(report.byViolationType).toEqual({ SPAM: 1, LINK: 1 });
+        expect(report.total).toBe(4);
+        expect(report.entries).toHaveLength(4);
+        expect(report.entries[0]).toMatchObject({ userId: '666', type: 'SHADOW_VIOLATION', action: 'message_deleted', violationType: 'LINK' });
+        expect(report.entries[3]).toMatchObject({ userId: '555', firstName: 'Spammer', spamScore: 0.9 });
+    });
+
+    it('should page through the entries while the totals cover them all', async () => {
+        for (let i = 0; i < 5; i++) {
+            await log('555', { type: 'SHADOW_VIOLATION', shadowAction: 'message_deleted', violationType: 'SPAM', messageExcerpt: `Spam ${i}` });
+        }
+        await log('555', { type: 'SHADOW_STRIKE', violationType: 'RULE', amount: 2 });
+
+        const report = await db.getShadowReport(chatId, { limit: 2, offset: 2 });
+
+        expect(report.summary).toMatchObject({ deletions: 5, strikes: 2, members: 1 });
+        expect(report.byViolationType).toEqual({ SPAM: 5 });
+        expect(report.total).toBe(6);
+        expect(report.entries.map(entry => entry.messageExcerpt)).toEqual(['Spam 3', 'Spam 2']);
+    });
+
+    it('should only include entries since the given time', async () => {
+        await db.getDb().run(
+            'INSERT INTO audit_log (timestamp, chatId, userId, logData) VALUES (?, ?, ?, ?)',
+            '2020-01-01T00:00:00.000Z', chatId, '555', JSON.stringify({ type: 'SHADOW_VIOLATION', violationType: 'SPAM' })
+        );
+        await log('555', { type: 'SHADOW_VIOLATION', violationType: 'LINK' });
+
+        const report = await db.getShadowReport(chatId, { since: new Date(Date.now() - 60 * 1000).toISOString() });
+
+        expect(report.byViolationType).toEqual({ LINK: 1 });
+    });
+});
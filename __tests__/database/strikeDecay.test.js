@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests for the queries behind the strike decay job
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+
+describe('Strike Decay', () => {
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        await db.addGroup('-1001', 'Main Group');
+        await db.upsertUser({ id: 555, first_name: 'Sam', username: 'sam' });
+    });
+
+    it('should list members holding strikes with their group, names and last forgiveness', async () => {
+        await db.recordStrike('-1001', '555', { timestamp: new Date().toISOString(), violationType: 'SPAM' });
+        await db.recordStrike('-1001', '556', { timestamp: new Date().toISOString(), violationType: 'SPAM' });
+        await db.setStrikes('-1001', '556', 0);
+        await db.markStrikeForgiven('-1001', '555', '2026-01-01T00:00:00.000Z');
+
+        const holders = await db.getStrikeHolders();
+
+        expect(holders).toEqual([expect.objectContaining({
+            chatId: '-1001',
+            chatTitle: 'Main Group',
+            userId: '555',
+            firstName: 'Sam',
+            username: 'sam',
+            count: 1,
+            forgivenAt: '2026-01-01T00:00:00.000Z'
+        })]);
+    });
+
+    it('should keep only the latest forgiveness of a member', async () => {
+        await db.recordStrike('-1001', '555', { timestamp: new Date().toISOString() });
+        await db.markStrikeForgiven('-1001', '555', '2026-01-01T00:00:00.000Z');
+        await db.markStrikeForgiven('-1001', '555', '2026-01-08T00:00:00.000Z');
+
+        const [holder] = await db.getStrikeHolders();
+        expect(holder.forgivenAt).toBe('2026-01-08T00:00:00.000Z');
+    });
+
+    it('should let strikes added by hand, e.g. with /warn, expire', async () => {
+        await db.addStrikes('-1001', '555', 1);
+
+        const [holder] = await db.getStrikeHolders();
+        expect(holder).toMatchObject({ userId: '555', count: 1, timestamp: expect.any(String) });
+
+        const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+        await db.getDb().run('UPDATE strikes SET timestamp = ? WHERE chatId = ? AND userId = ?', longAgo, '-1001', '555');
+
+        expect((await db.getStrikes('-1001', '555')).count).toBe(0);
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { createChallenge } from 'packages/shared/services/captcha.js';
+import { CaptchaType } from 'packages/shared/utils/enums.js';
+
+describe('CAPTCHA Service', () => {
+  it('should create a single-button challenge', () => {
+    const challenge = createChallenge(CaptchaType.BUTTON);
+
+    expect(challenge.options).toHaveLength(1);
+    expect(challenge.answerIndex).toBe(0);
+  });
+
+  it('should fall back to a button challenge for unknown types', () => {
+    expect(createChallenge('riddle').options).toHaveLength(1);
+  });
+
+  it('should create a math challenge whose answer is among the options', () => {
+    for (let i = 0; i < 20; i++) {
+      const challenge = createChallenge(CaptchaType.MATH);
+      const [, a, b] = challenge.question.match(/(\d+) \+ (\d+)/);
+
+      expect(challenge.options).toHaveLength(4);
+      expect(new Set(challenge.options).size).toBe(4);
+      expect(challenge.options[challenge.answerIndex]).toBe(String(Number(a) + Number(b)));
+    }
+  });
+
+  it('should create an emoji challenge with one correct option', () => {
+    const challenge = createChallenge(CaptchaType.EMOJI);
+
+    expect(challenge.options).toHaveLength(6);
+    expect(new Set(challenge.options).size).toBe(6);
+    expect(challenge.answerIndex).toBeGreaterThanOrEqual(0);
+    expect(challenge.question).toMatch(/^Tap the \w+\.$/);
+  });
+
+  it('should be deterministic for a given random source', () => {
+    const seeded = () => {
+      let seed = 42;
+      return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    };
+
+    expect(createChallenge(CaptchaType.EMOJI, seeded())).toEqual(createChallenge(CaptchaType.EMOJI, seeded()));
+  });
+});
@@ -32,10 +32,13 @@ describe('Configuration Service', () => {
 
       expect(settings).toEqual({
         spamThreshold: 0.85,
+        reviewBandMin: 0,
         alertLevel: 1,
         kickLevel: 3,
         banLevel: 0,
         muteLevel: 2,
+        penaltyLadders: {},
+        combinedStrikeCeiling: 0,
         moderatorIds: [],
         whitelistedKeywords: undefined, // This comes from getWhitelistKeywords which is mocked
         keywordWhitelistBypass: true,
@@ -46,7 +49,52 @@ describe('Configuration Service', () => {
         warningMessageDeleteSeconds: 15,
         goodBehaviorDays: 7,
         muteDurationMinutes: 60,
-        strikeExpirationDays: 30
+        muteSchedule: [],
+        strikeExpirationDays: 30,
+        strikeOnEditedViolation: true,
+        allowedDomains: [],
+        blockedDomains: [],
+        telegramInvitePolicy: 'allow',
+        allowedScripts: [],
+        allowedLanguages: [],
+        languageAction: 'delete',
+        languageMinLetters: 20,
+        floodMessageLimit: 0,
+        floodWindowSeconds: 10,
+        floodAction: 'delete',
+        duplicateUserThreshold: 0,
+        duplicateWindowMinutes: 10,
+        probationHours: 0,
+        probationMessages: 0,
+        probationSpamThreshold: 0.5,
+        probationMuteOnViolation: false,
+        raidJoinLimit: 0,
+        raidJoinWindowSeconds: 60,
+        lockdownSlowModeSeconds: 0,
+        lockdownDurationMinutes: 30,
+        lockdownStartedAt: null,
+        captchaEnabled: false,
+        captchaType: 'button',
+        captchaDelivery: 'chat',
+        captchaTimeoutSeconds: 120,
+        captchaWelcomeMessage: "👋 Welcome {user}! Please complete the check below to start chatting.",
+        impersonationEnabled: false,
+        impersonationKeywords: ['admin', 'support', 'official', 'moderator', 'helpdesk'],
+        reportChatId: '',
+        logChatId: '',
+        logChatVerbosity: 'penalties',
+        scheduleTimezone: 'UTC',
+        shadowMode: false,
+        mediaPolicies: {
+          photo: 'allow',
+          video: 'allow',
+          document: 'allow',
+          sticker: 'allow',
+          voice: 'allow',
+          contact: 'allow',
+          location: 'allow',
+          poll: 'allow'
+        }
       });
     });
 
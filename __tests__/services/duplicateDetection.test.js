@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { checkDuplicate, normalizeText, resetDuplicateTracking } from 'packages/shared/services/duplicateDetection.js';
+
+describe('Duplicate Detection Service', () => {
+  const options = { userThreshold: 3, windowMinutes: 10 };
+  const start = 1_700_000_000_000;
+  const spam = 'Join our VIP crypto signals group for guaranteed profits today!';
+
+  beforeEach(() => {
+    resetDuplicateTracking();
+  });
+
+  it('should normalize case, punctuation, digits and spacing', () => {
+    expect(normalizeText('  Héllo,   WORLD!! 123 ')).toBe('hello world');
+  });
+
+  it('should ignore messages that are too short to fingerprint', () => {
+    expect(checkDuplicate('chat', 'user', 1, 'gm everyone', options, start)).toBeNull();
+  });
+
+  it('should flag the message once the user threshold is reached', () => {
+    expect(checkDuplicate('chat', 'u1', 2, spam, options, start).isDuplicate).toBe(false);
+    expect(checkDuplicate('chat', 'u2', 3, spam, options, start + 1000).isDuplicate).toBe(false);
+
+    expect(checkDuplicate('chat', 'u3', 4, spam, options, start + 2000)).toEqual({
+      isDuplicate: true,
+      shouldAlert: true,
+      userCount: 3,
+      excerpt: spam,
+      earlierCopies: [{ userId: 'u1', messageId: 2 }, { userId: 'u2', messageId: 3 }]
+    });
+  });
+
+  it('should hand over every earlier copy once, including repeats by one user', () => {
+    checkDuplicate('chat', 'u1', 1, spam, options, start);
+    checkDuplicate('chat', 'u1', 2, spam, options, start);
+    checkDuplicate('chat', 'u2', 3, spam, options, start);
+
+    expect(checkDuplicate('chat', 'u3', 4, spam, options, start).earlierCopies).toEqual([
+      { userId: 'u1', messageId: 1 },
+      { userId: 'u1', messageId: 2 },
+      { userId: 'u2', messageId: 3 }
+    ]);
+    expect(checkDuplicate('chat', 'u4', 5, spam, options, start).earlierCopies).toEqual([]);
+  });
+
+  it('should alert only once per wave', () => {
+    ['u1', 'u2', 'u3'].forEach((user, i) => checkDuplicate('chat', user, i + 1, spam, options, start + i * 1000));
+
+    const result = checkDuplicate('chat', 'u4', 6, spam, options, start + 4000);
+    expect(result.isDuplicate).toBe(true);
+    expect(result.shouldAlert).toBe(false);
+  });
+
+  it('should match near-duplicates with small variations', () => {
+    checkDuplicate('chat', 'u1', 7, spam, options, start);
+    checkDuplicate('chat', 'u2', 8, 'join our VIP crypto signals group for guaranteed profits today!!! 🚀', options, start);
+
+    expect(checkDuplicate('chat', 'u3', 9, 'Join our vip crypto signal group for guaranteed profits today', options, start).isDuplicate).toBe(true);
+  });
+
+  it('should count distinct users only', () => {
+    ['u1', 'u1', 'u1', 'u2'].forEach((user, i) => checkDuplicate('chat', user, i + 1, spam, options, start));
+
+    expect(checkDuplicate('chat', 'u2', 11, spam, options, start).isDuplicate).toBe(false);
+  });
+
+  it('should forget messages that fall outside the window', () => {
+    checkDuplicate('chat', 'u1', 12, spam, options, start);
+    checkDuplicate('chat', 'u2', 13, spam, options, start);
+
+    expect(checkDuplicate('chat', 'u3', 14, spam, options, start + 11 * 60 * 1000).isDuplicate).toBe(false);
+  });
+
+  it('should not add up a slow trickle of the same text across several windows', () => {
+    const minutes = (n) => start + n * 60 * 1000;
+    ['u1', 'u2', 'u3', 'u4', 'u5', 'u6'].forEach((user, i) => {
+      const result = checkDuplicate('chat', user, 20 + i, spam, options, minutes(i * 6));
+      expect(result.isDuplicate).toBe(false);
+      expect(result.userCount).toBeLessThanOrEqual(2);
+    });
+  });
+
+  it('should only hand over the earlier copies that are still inside the window', () => {
+    const minutes = (n) => start + n * 60 * 1000;
+    checkDuplicate('chat', 'u1', 30, spam, options, minutes(0));
+    checkDuplicate('chat', 'u2', 31, spam, options, minutes(8));
+    checkDuplicate('chat', 'u3', 32, spam, options, minutes(12));
+
+    const result = checkDuplicate('chat', 'u4', 33, spam, options, minutes(13));
+    expect(result).toMatchObject({ isDuplicate: true, shouldAlert: true, userCount: 3 });
+    expect(result.earlierCopies).toEqual([{ userId: 'u2', messageId: 31 }, { userId: 'u3', messageId: 32 }]);
+  });
+
+  it('should keep different texts and chats apart', () => {
+    checkDuplicate('chat', 'u1', 15, spam, options, start);
+    checkDuplicate('chat', 'u2', 16, 'Does anyone know when the next community call is scheduled?', options, start);
+    checkDuplicate('other-chat', 'u3', 17, spam, options, start);
+
+    expect(checkDuplicate('chat', 'u4', 18, spam, options, start).userCount).toBe(2);
+  });
+});
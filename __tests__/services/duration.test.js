@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { parseDuration } from 'packages/shared/utils/duration.js';
+
+describe('Duration Parsing', () => {
+  it('should convert each unit to minutes', () => {
+    expect(parseDuration('30m')).toBe(30);
+    expect(parseDuration('2h')).toBe(120);
+    expect(parseDuration('7d')).toBe(10080);
+    expect(parseDuration('1w')).toBe(10080);
+  });
+
+  it('should accept upper-case units', () => {
+    expect(parseDuration('3H')).toBe(180);
+  });
+
+  it('should reject anything that is not a duration', () => {
+    expect(parseDuration('spamming')).toBeNull();
+    expect(parseDuration('5x')).toBeNull();
+    expect(parseDuration('10')).toBeNull();
+    expect(parseDuration('0h')).toBeNull();
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { trackMessage, resetFloodTracking } from 'packages/shared/services/floodControl.js';
+
+describe('Flood Control Service', () => {
+  const limits = { limit: 3, windowSeconds: 10 };
+  const start = 1_700_000_000_000;
+
+  beforeEach(() => {
+    resetFloodTracking();
+  });
+
+  it('should allow messages up to the limit', () => {
+    expect(trackMessage('chat', 'user', 1, limits, start)).toBeNull();
+    expect(trackMessage('chat', 'user', 2, limits, start + 1000)).toBeNull();
+    expect(trackMessage('chat', 'user', 3, limits, start + 2000)).toBeNull();
+  });
+
+  it('should return the whole burst once the limit is exceeded', () => {
+    [1, 2, 3].forEach((id, i) => trackMessage('chat', 'user', id, limits, start + i * 1000));
+
+    expect(trackMessage('chat', 'user', 4, limits, start + 3000)).toEqual({ messageIds: [1, 2, 3, 4], continued: false });
+  });
+
+  it('should report follow-up messages inside the window as continued', () => {
+    [1, 2, 3, 4].forEach((id, i) => trackMessage('chat', 'user', id, limits, start + i * 1000));
+
+    expect(trackMessage('chat', 'user', 5, limits, start + 5000)).toEqual({ messageIds: [5], continued: true });
+  });
+
+  it('should forget messages that fall outside the window', () => {
+    [1, 2, 3].forEach((id, i) => trackMessage('chat', 'user', id, limits, start + i * 1000));
+
+    expect(trackMessage('chat', 'user', 4, limits, start + 11_500)).toBeNull();
+  });
+
+  it('should track users and chats independently', () => {
+    [1, 2, 3].forEach((id) => trackMessage('chat', 'user', id, limits, start));
+
+    expect(trackMessage('chat', 'other-user', 4, limits, start)).toBeNull();
+    expect(trackMessage('other-chat', 'user', 5, limits, start)).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { toSkeleton, editDistance, getNameKey, findImpersonation } from 'packages/shared/services/impersonation.js';
+
+describe('Impersonation Service', () => {
+  const admins = [
+    { id: 1, first_name: 'Alice', last_name: 'Johnson', username: 'alice_j' },
+    { id: 2, first_name: 'Satoshi', last_name: 'Nakamoto' },
+    { id: 3, first_name: 'Bo' }
+  ];
+  const keywords = ['admin', 'support', 'official'];
+
+  describe('skeletons', () => {
+    it('should fold accents, separators and case', () => {
+      expect(toSkeleton('Álice_Jöhnson')).toBe(toSkeleton('alice johnson'));
+      expect(toSkeleton('  ')).toBe('');
+    });
+
+    it('should fold lookalike letters from other scripts, digits and letter pairs', () => {
+      expect(toSkeleton('Аdmіn Suрроrt')).toBe(toSkeleton('Admin Support'));
+      expect(toSkeleton('0ff1c1al')).toBe(toSkeleton('official'));
+      expect(toSkeleton('Adrnin')).toBe(toSkeleton('Admin'));
+    });
+
+    it('should count single character edits', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('abc', 'abc')).toBe(0);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should key users by both their names', () => {
+      expect(getNameKey({ first_name: 'Alice', username: 'alice_j' })).toBe('name:allce|username:allcej');
+      expect(getNameKey({ first_name: 'Alice' })).toBe('name:allce');
+    });
+  });
+
+  describe('admins', () => {
+    it('should match copies of an admin\'s name or username', () => {
+      expect(findImpersonation({ id: 9, first_name: 'Alice', last_name: 'Johnsοn' }, admins)).toMatchObject({ field: 'name', admin: admins[0] });
+      expect(findImpersonation({ id: 9, first_name: 'Bob', username: 'alice__j' }, admins)).toMatchObject({ field: 'username', admin: admins[0] });
+      expect(findImpersonation({ id: 9, first_name: 'Alice', last_name: 'Jonhson' }, admins)).toMatchObject({ admin: admins[0] });
+    });
+
+    it('should match longer names containing an admin\'s name', () => {
+      expect(findImpersonation({ id: 9, first_name: 'Satoshi Nakamoto', last_name: 'Team' }, admins)).toMatchObject({ admin: admins[1] });
+    });
+
+    it('should not match the admin themselves, short names or different names', () => {
+      expect(findImpersonation(admins[0], admins)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Bo' }, admins)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Alice', last_name: 'Cooper' }, admins)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Maria' }, admins)).toBeNull();
+    });
+  });
+
+  describe('protected words', () => {
+    it('should match names containing a protected word, in any disguise', () => {
+      expect(findImpersonation({ id: 9, first_name: 'Аdmіn Suрроrt' }, admins, keywords)).toMatchObject({ field: 'name', word: 'admin' });
+      expect(findImpersonation({ id: 9, first_name: 'Tom', username: 'help_supp0rt' }, admins, keywords)).toMatchObject({ field: 'username', word: 'support' });
+      expect(findImpersonation({ id: 9, first_name: 'Offical Team' }, admins, keywords)).toMatchObject({ word: 'official' });
+    });
+
+    it('should match protected words written together with other words', () => {
+      expect(findImpersonation({ id: 9, first_name: 'AdminSupport' }, admins, keywords)).toMatchObject({ word: 'admin' });
+      expect(findImpersonation({ id: 9, first_name: 'Ad Min' }, admins, keywords)).toMatchObject({ word: 'admin' });
+      expect(findImpersonation({ id: 9, first_name: 'Tom', username: 'support24' }, admins, keywords)).toMatchObject({ word: 'support' });
+      expect(findImpersonation({ id: 9, first_name: 'Help Desk' }, admins, ['helpdesk'])).toMatchObject({ word: 'helpdesk' });
+    });
+
+    it('should not match ordinary names that only contain a protected word', () => {
+      const defaults = ['admin', 'support', 'official', 'moderator', 'helpdesk'];
+      expect(findImpersonation({ id: 9, first_name: 'Badminton', last_name: 'Fan' }, admins, defaults)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Supporter' }, admins, defaults)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Officially', last_name: 'Sam' }, admins, defaults)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Tom', username: 'badminton_club' }, admins, defaults)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Moderatorless' }, admins, defaults)).toBeNull();
+    });
+
+    it('should require short words to appear unchanged', () => {
+      expect(findImpersonation({ id: 9, first_name: 'Adrian' }, admins, keywords)).toBeNull();
+      expect(findImpersonation({ id: 9, first_name: 'Dennis' }, admins, ['admin'])).toBeNull();
+    });
+
+    it('should ignore blank words', () => {
+      expect(findImpersonation({ id: 9, first_name: 'Anyone' }, [], ['', ' '])).toBeNull();
+    });
+  });
+});
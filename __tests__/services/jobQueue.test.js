@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Tests for the persistent job queue
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { registerJobHandler, enqueueJob, cancelJobs, deleteMessageLater, processDueJobs, startJobQueue, stopJobQueue, resetJobHandlers } from '@telegram-moderator/shared/services/jobQueue.js';
+import { JobType } from '@telegram-moderator/shared/utils/enums.js';
+
+describe('Job Queue', () => {
+    const now = new Date('2026-03-01T12:00:00.000Z');
+    const seconds = s => new Date(now.getTime() + s * 1000);
+
+    beforeEach(async () => {
+        db.setDb(null);
+        await db.initializeDatabase(true);
+        resetJobHandlers();
+    });
+
+    afterEach(() => {
+        stopJobQueue();
+    });
+
+    it('should run a due job with its payload and remove it', async () => {
+        const handler = vi.fn();
+        registerJobHandler(JobType.DELETE_MESSAGE, handler);
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId: '-1001', messageId: 42 }, { runAt: now });
+
+        expect(await processDueJobs(now)).toBe(1);
+
+        expect(handler).toHaveBeenCalledWith({ chatId: '-1001', messageId: 42 }, expect.objectContaining({ type: JobType.DELETE_MESSAGE, attempts: 1 }));
+        expect(await db.getJobs()).toEqual([]);
+    });
+
+    it('should not run a job before it is due', async () => {
+        const handler = vi.fn();
+        registerJobHandler(JobType.SEND_MESSAGE, handler);
+        await enqueueJob(JobType.SEND_MESSAGE, { chatId: '-1001', text: 'Later' }, { runAt: seconds(10) });
+
+        await processDueJobs(now);
+        expect(handler).not.toHaveBeenCalled();
+
+        await processDueJobs(seconds(10));
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should queue delayed deletions relative to the current time', async () => {
+        const before = Date.now();
+        await deleteMessageLater('-1001', 42, 5000);
+
+        const [job] = await db.getJobs(JobType.DELETE_MESSAGE);
+        expect(job.payload).toEqual({ chatId: '-1001', messageId: 42 });
+        expect(new Date(job.runAt).getTime()).toBeGreaterThanOrEqual(before + 5000);
+    });
+
+    it('should retry a failed job with a growing delay', async () => {
+        const handler = vi.fn()
+            .mockRejectedValueOnce(new Error('Too Many Requests'))
+            .mockRejectedValueOnce(new Error('Too Many Requests'))
+            .mockResolvedValueOnce();
+        registerJobHandler(JobType.DELETE_MESSAGE, handler);
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId: '-1001', messageId: 42 }, { runAt: now });
+
+        await processDueJobs(now);
+        let [job] = await db.getJobs();
+        expect(job).toEqual(expect.objectContaining({ attempts: 1, lastError: 'Too Many Requests', runAt: seconds(30).toISOString() }));
+
+        await processDueJobs(seconds(30));
+        [job] = await db.getJobs();
+        expect(job).toEqual(expect.objectContaining({ attempts: 2, runAt: seconds(90).toISOString() }));
+
+        await processDueJobs(seconds(89));
+        expect(handler).toHaveBeenCalledTimes(2);
+
+        await processDueJobs(seconds(90));
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(await db.getJobs()).toEqual([]);
+    });
+
+    it('should drop a job once it has used up its attempts', async () => {
+        const handler = vi.fn().mockRejectedValue(new Error('Bad Request'));
+        registerJobHandler(JobType.SEND_MESSAGE, handler);
+        await enqueueJob(JobType.SEND_MESSAGE, { chatId: '-1001', text: 'Hi' }, { runAt: now, maxAttempts: 2 });
+
+        await processDueJobs(now);
+        await processDueJobs(seconds(30));
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(await db.getJobs()).toEqual([]);
+    });
+
+    it('should retry jobs whose type has no handler yet', async () => {
+        await enqueueJob(JobType.LOCKDOWN_END, { chatId: '-1001' }, { runAt: now });
+
+        await processDueJobs(now);
+
+        const [job] = await db.getJobs();
+        expect(job.attempts).toBe(1);
+        expect(job.lastError).toContain('No handler');
+    });
+
+    it('should cancel only the pending jobs of a type with the given key', async () => {
+        await enqueueJob(JobType.CAPTCHA_TIMEOUT, { key: '-1001:555' }, { runAt: seconds(60), key: '-1001:555' });
+        await enqueueJob(JobType.CAPTCHA_TIMEOUT, { key: '-1001:556' }, { runAt: seconds(60), key: '-1001:556' });
+        await enqueueJob(JobType.LOCKDOWN_END, { chatId: '-1001' }, { runAt: seconds(60), key: '-1001:555' });
+
+        expect(await cancelJobs(JobType.CAPTCHA_TIMEOUT, '-1001:555')).toBe(1);
+
+        const remaining = await db.getJobs();
+        expect(remaining.map(job => [job.type, job.jobKey])).toEqual([
+            [JobType.CAPTCHA_TIMEOUT, '-1001:556'],
+            [JobType.LOCKDOWN_END, '-1001:555']
+        ]);
+    });
+
+    it('should not hand a claimed job to a second run until its claim runs out', async () => {
+        const handler = vi.fn();
+        registerJobHandler(JobType.DELETE_MESSAGE, handler);
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId: '-1001', messageId: 42 }, { runAt: now });
+        // Claim the job as a run that crashes before finishing it would.
+        await db.claimDueJobs(now.toISOString(), seconds(60).toISOString(), 10);
+
+        await processDueJobs(seconds(1));
+        expect(handler).not.toHaveBeenCalled();
+
+        await processDueJobs(seconds(61));
+        expect(handler).toHaveBeenCalledWith({ chatId: '-1001', messageId: 42 }, expect.objectContaining({ attempts: 2 }));
+    });
+
+    it('should run overdue and interrupted jobs as soon as the queue starts', async () => {
+        const handler = vi.fn();
+        registerJobHandler(JobType.DELETE_MESSAGE, handler);
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId: '-1001', messageId: 1 }, { runAt: new Date(Date.now() - 60 * 60 * 1000) });
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId: '-1001', messageId: 2 }, { runAt: new Date(Date.now() - 1000) });
+        await db.claimDueJobs(new Date().toISOString(), new Date(Date.now() + 60 * 1000).toISOString(), 1);
+
+        await startJobQueue();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(await db.getJobs()).toEqual([]);
+    });
+});
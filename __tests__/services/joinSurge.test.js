@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { recordJoins, clearJoins, resetJoinTracking } from 'packages/shared/services/joinSurge.js';
+
+describe('Join Surge Service', () => {
+  const limits = { limit: 3, windowSeconds: 60 };
+  const start = 1_700_000_000_000;
+
+  beforeEach(() => {
+    resetJoinTracking();
+  });
+
+  it('should not report a surge while joins stay within the limit', () => {
+    expect(recordJoins('chat', 2, limits, start)).toBeNull();
+    expect(recordJoins('chat', 1, limits, start + 1000)).toBeNull();
+  });
+
+  it('should report the join count once the limit is exceeded', () => {
+    recordJoins('chat', 3, limits, start);
+    expect(recordJoins('chat', 1, limits, start + 1000)).toBe(4);
+  });
+
+  it('should forget joins that fall outside the window', () => {
+    recordJoins('chat', 3, limits, start);
+    expect(recordJoins('chat', 1, limits, start + 61_000)).toBeNull();
+  });
+
+  it('should track each chat separately', () => {
+    recordJoins('chat-a', 3, limits, start);
+    expect(recordJoins('chat-b', 1, limits, start)).toBeNull();
+  });
+
+  it('should start counting again after the joins are cleared', () => {
+    recordJoins('chat', 3, limits, start);
+    clearJoins('chat');
+    expect(recordJoins('chat', 1, limits, start + 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, checkLanguage, SCRIPTS, LANGUAGES } from 'packages/shared/services/languageDetector.js';
+
+describe('Language Detector Service', () => {
+  const policy = (overrides) => ({ allowedScripts: [], allowedLanguages: [], languageMinLetters: 20, ...overrides });
+
+  describe('detection', () => {
+    it('should tell apart languages written in the Latin script', () => {
+      expect(detectLanguage('Hello everyone, is this the right group for the launch?')).toMatchObject({ script: 'latin', language: 'en' });
+      expect(detectLanguage('Hola a todos, ¿cómo están? Esto es muy bueno para el proyecto')).toMatchObject({ language: 'es' });
+      expect(detectLanguage('Bonjour à tous, est-ce que vous avez des nouvelles pour le projet?')).toMatchObject({ language: 'fr' });
+      expect(detectLanguage('Hallo zusammen, ist das die richtige Gruppe für das Projekt?')).toMatchObject({ language: 'de' });
+    });
+
+    it('should tell apart languages sharing the Cyrillic and Arabic scripts', () => {
+      expect(detectLanguage('Привет всем, это группа для обсуждения проекта?')).toMatchObject({ script: 'cyrillic', language: 'ru' });
+      expect(detectLanguage('Привіт усім, це група для обговорення проекту, що тут є?')).toMatchObject({ language: 'uk' });
+      expect(detectLanguage('مرحبا بالجميع كيف حالكم')).toMatchObject({ script: 'arabic', language: 'ar' });
+      expect(detectLanguage('سلام به همه، چطور هستید؟ گروه خوبی است')).toMatchObject({ language: 'fa' });
+    });
+
+    it('should map scripts used by a single language', () => {
+      expect(detectLanguage('这个项目什么时候上线')).toMatchObject({ script: 'han', language: 'zh' });
+      expect(detectLanguage('今日は天気がいいですね')).toMatchObject({ language: 'ja' });
+      expect(detectLanguage('안녕하세요 여러분')).toMatchObject({ script: 'hangul', language: 'ko' });
+    });
+
+    it('should ignore links, mentions and hashtags and leave unclear text undecided', () => {
+      expect(detectLanguage('https://пример.рф @канал #новости ok')).toMatchObject({ script: 'latin', letters: 2 });
+      expect(detectLanguage('gm gm wagmi')).toMatchObject({ script: 'latin', language: null });
+      expect(detectLanguage('12345 !!! 🚀')).toEqual({ script: null, language: null, letters: 0, scripts: {} });
+    });
+
+    it('should only report scripts and languages it supports', () => {
+      expect(SCRIPTS).toContain('latin');
+      expect(LANGUAGES).toEqual(expect.arrayContaining(['en', 'ru', 'zh']));
+    });
+  });
+
+  describe('policy', () => {
+    it('should allow anything without a policy', () => {
+      expect(checkLanguage('Привет всем, это группа для обсуждения проекта?', policy()).violation).toBeNull();
+    });
+
+    it('should flag messages mostly written in a script that is not allowed', () => {
+      const { violation, detection } = checkLanguage('Привет всем, это группа для обсуждения проекта?', policy({ allowedScripts: ['latin'] }));
+
+      expect(violation.reason).toContain('cyrillic');
+      expect(detection.script).toBe('cyrillic');
+      expect(checkLanguage('Please check the Привет docs before asking in the group', policy({ allowedScripts: ['latin'] })).violation).toBeNull();
+    });
+
+    it('should flag recognised languages that are not allowed and let unrecognised ones through', () => {
+      expect(checkLanguage('Hola a todos, ¿cómo están? Esto es muy bueno', policy({ allowedLanguages: ['en'] })).violation.reason).toContain('Spanish');
+      expect(checkLanguage('Hello everyone, this is the best group for the launch', policy({ allowedLanguages: ['en'] })).violation).toBeNull();
+      expect(checkLanguage('wagmi ser, lfg moon soon fren hodl', policy({ allowedLanguages: ['en'] })).violation).toBeNull();
+    });
+
+    it('should exempt messages with fewer letters than the minimum', () => {
+      expect(checkLanguage('Привет всем', policy({ allowedScripts: ['latin'] })).violation).toBeNull();
+      expect(checkLanguage('Привет всем', policy({ allowedScripts: ['latin'], languageMinLetters: 0 })).violation).not.toBeNull();
+    });
+  });
+});
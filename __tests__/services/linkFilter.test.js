@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { extractUrls, getDomain, isTelegramInvite, checkLinks, deobfuscate } from 'packages/shared/services/linkFilter.js';
+
+describe('Link Filter Service', () => {
+  describe('URL extraction', () => {
+    it('should extract URLs with and without a scheme', () => {
+      const urls = extractUrls('Check https://example.com/path and www.binance.com/en, also google.com.');
+      expect(urls).toEqual(['https://example.com/path', 'www.binance.com/en', 'google.com']);
+    });
+
+    it('should extract URLs from url and text_link entities', () => {
+      const text = 'Click here or visit site.io';
+      const entities = [
+        { type: 'text_link', offset: 0, length: 10, url: 'https://hidden.xyz/promo' },
+        { type: 'url', offset: 20, length: 7 }
+      ];
+      expect(extractUrls(text, entities)).toEqual(expect.arrayContaining(['https://hidden.xyz/promo', 'site.io']));
+    });
+
+    it('should restore obfuscated links', () => {
+      expect(deobfuscate('hxxps://scam[.]io')).toBe('https://scam.io');
+      expect(extractUrls('visit www dot free-tokens dot com today')).toEqual(['www.free-tokens.com']);
+      expect(extractUrls('claim at hxxps://free-tokens dot com/airdrop')).toEqual(['https://free-tokens.com/airdrop']);
+      expect(extractUrls('hxxp://evil(.)xyz/claim')).toEqual(['http://evil.xyz/claim']);
+    });
+
+    it('should not treat file names or abbreviations as links', () => {
+      expect(extractUrls('See report.pdf, e.g. the notes.txt file. Thanks.')).toEqual([]);
+    });
+
+    it('should not treat ordinary prose as links', () => {
+      expect(extractUrls('I use node.js for the backend')).toEqual([]);
+      expect(extractUrls('I tried a lot.It works now')).toEqual([]);
+      expect(extractUrls('ok.so what now?')).toEqual([]);
+      expect(extractUrls('put the dot in the middle')).toEqual([]);
+      expect(deobfuscate('put the dot in the middle')).toBe('put the dot in the middle');
+      expect(extractUrls('visit free-tokens dot com today')).toEqual([]);
+    });
+
+    it('should only extract unmistakable links when asked to', () => {
+      const text = 'see example.com, bit.ly/x, www.shop.it and https://a.io or site.io';
+      const entities = [{ type: 'url', offset: 59, length: 7 }];
+      expect(extractUrls(text, entities, { explicitOnly: true })).toEqual(['site.io', 'https://a.io', 'www.shop.it']);
+    });
+
+    it('should accept any TLD once the domain has www. or a path', () => {
+      expect(extractUrls('see www.example.me and shop.example.it/deals')).toEqual(['www.example.me', 'shop.example.it/deals']);
+    });
+  });
+
+  describe('Domain helpers', () => {
+    it('should normalize domains', () => {
+      expect(getDomain('https://WWW.Example.com/path')).toBe('example.com');
+      expect(getDomain('sub.example.com')).toBe('sub.example.com');
+      expect(getDomain('http://')).toBeNull();
+    });
+
+    it('should detect Telegram invite links', () => {
+      expect(isTelegramInvite('t.me/+AbCdEf')).toBe(true);
+      expect(isTelegramInvite('https://t.me/joinchat/AAAA')).toBe(true);
+      expect(isTelegramInvite('tg://join?invite=AAAA')).toBe(true);
+      expect(isTelegramInvite('https://t.me/some_channel')).toBe(false);
+    });
+  });
+
+  describe('Policy evaluation', () => {
+    it('should allow everything with an empty policy', () => {
+      expect(checkLinks('go to https://anything.com', [], {}).violation).toBeNull();
+    });
+
+    it('should flag blocked domains and their subdomains', () => {
+      const { violation } = checkLinks('claim at app.scam.io now', [], { blockedDomains: ['scam.io'] });
+      expect(violation).toEqual(expect.objectContaining({ domain: 'app.scam.io', action: 'strike' }));
+    });
+
+    it('should flag domains missing from a non-empty allowlist', () => {
+      const policy = { allowedDomains: ['example.com'] };
+      expect(checkLinks('I use node.js', [], policy).violation).toBeNull();
+      expect(checkLinks('docs at https://docs.example.com', [], policy).violation).toBeNull();
+      expect(checkLinks('buy at https://other.net', [], policy).violation).toEqual(
+        expect.objectContaining({ reason: 'Domain not on allowlist: other.net' })
+      );
+    });
+
+    it('should apply the invite link policy independently of the domain lists', () => {
+      const text = 'join us t.me/+secret';
+      expect(checkLinks(text, [], { allowedDomains: ['t.me'], telegramInvitePolicy: 'delete' }).violation)
+        .toEqual(expect.objectContaining({ reason: 'Telegram invite link', action: 'delete' }));
+      expect(checkLinks(text, [], { allowedDomains: ['t.me'], telegramInvitePolicy: 'allow' }).violation).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { getScheduledMuteMinutes, formatMuteDuration, parseMuteSchedule } from 'packages/shared/services/muteSchedule.js';
+
+describe('Mute Schedule Service', () => {
+  describe('getScheduledMuteMinutes', () => {
+    const settings = { muteDurationMinutes: 60, muteSchedule: [10, 60, 1440, 10080] };
+
+    it('should use the fixed mute duration without a schedule', () => {
+      expect(getScheduledMuteMinutes({ muteDurationMinutes: 60, muteSchedule: [] }, 3)).toBe(60);
+      expect(getScheduledMuteMinutes({ muteDurationMinutes: 60 })).toBe(60);
+    });
+
+    it('should pick the step for the number of previous mutes', () => {
+      expect(getScheduledMuteMinutes(settings, 0)).toBe(10);
+      expect(getScheduledMuteMinutes(settings, 1)).toBe(60);
+      expect(getScheduledMuteMinutes(settings, 3)).toBe(10080);
+    });
+
+    it('should repeat the last step once the schedule runs out', () => {
+      expect(getScheduledMuteMinutes(settings, 9)).toBe(10080);
+    });
+  });
+
+  describe('formatMuteDuration', () => {
+    it('should use the largest whole unit', () => {
+      expect(formatMuteDuration(1)).toBe('1 minute');
+      expect(formatMuteDuration(90)).toBe('90 minutes');
+      expect(formatMuteDuration(60)).toBe('1 hour');
+      expect(formatMuteDuration(10080)).toBe('7 days');
+    });
+
+    it('should support compact labels', () => {
+      expect(formatMuteDuration(10, { short: true })).toBe('10m');
+      expect(formatMuteDuration(120, { short: true })).toBe('2h');
+      expect(formatMuteDuration(1440, { short: true })).toBe('1d');
+    });
+  });
+
+  describe('parseMuteSchedule', () => {
+    it('should accept comma or space separated minutes', () => {
+      expect(parseMuteSchedule('10, 60 1440,10080')).toEqual([10, 60, 1440, 10080]);
+    });
+
+    it('should reject invalid or out of range entries', () => {
+      expect(parseMuteSchedule('10, 1h')).toBeNull();
+      expect(parseMuteSchedule('0, 60')).toBeNull();
+      expect(parseMuteSchedule('525601')).toBeNull();
+      expect(parseMuteSchedule('1 2 3 4 5 6 7 8 9 10 11')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { getStrikeCategory, resolvePenaltyLadder, isValidPenaltyLadders } from 'packages/shared/services/penaltyLadder.js';
+
+describe('Penalty Ladder Service', () => {
+  const settings = { alertLevel: 1, muteLevel: 2, kickLevel: 3, banLevel: 0, penaltyLadders: {} };
+
+  describe('getStrikeCategory', () => {
+    it('should map violation types to strike categories', () => {
+      expect(getStrikeCategory('SPAM')).toBe('spam');
+      expect(getStrikeCategory('PROFANITY')).toBe('profanity');
+      expect(getStrikeCategory('LINK')).toBe('links');
+      expect(getStrikeCategory('FLOOD')).toBe('flood');
+      expect(getStrikeCategory('RULE')).toBe('rules');
+    });
+
+    it('should leave other violations uncategorised', () => {
+      expect(getStrikeCategory('MEDIA')).toBeNull();
+      expect(getStrikeCategory(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolvePenaltyLadder', () => {
+    it('should use the default levels when the category has no ladder', () => {
+      expect(resolvePenaltyLadder(settings, 'spam')).toEqual({ levels: settings, category: null });
+      expect(resolvePenaltyLadder({ alertLevel: 1 }, 'spam')).toEqual({ levels: { alertLevel: 1 }, category: null });
+      expect(resolvePenaltyLadder(settings, null).category).toBeNull();
+    });
+
+    it('should use the category ladder when one is configured', () => {
+      const withLadder = { ...settings, penaltyLadders: { links: { alertLevel: 0, muteLevel: 1, kickLevel: 2 } } };
+
+      expect(resolvePenaltyLadder(withLadder, 'links')).toEqual({
+        levels: { alertLevel: 0, muteLevel: 1, kickLevel: 2, banLevel: 0 },
+        category: 'links'
+      });
+      expect(resolvePenaltyLadder(withLadder, 'spam').category).toBeNull();
+    });
+  });
+
+  describe('isValidPenaltyLadders', () => {
+    it('should accept known categories and levels', () => {
+      expect(isValidPenaltyLadders({})).toBe(true);
+      expect(isValidPenaltyLadders({ spam: { alertLevel: 1, banLevel: 10 }, flood: {} })).toBe(true);
+    });
+
+    it('should reject unknown categories, unknown levels and out of range values', () => {
+      expect(isValidPenaltyLadders({ media: { alertLevel: 1 } })).toBe(false);
+      expect(isValidPenaltyLadders({ spam: { warnLevel: 1 } })).toBe(false);
+      expect(isValidPenaltyLadders({ spam: { alertLevel: 11 } })).toBe(false);
+      expect(isValidPenaltyLadders({ spam: { alertLevel: '1' } })).toBe(false);
+      expect(isValidPenaltyLadders({ spam: [] })).toBe(false);
+      expect(isValidPenaltyLadders([])).toBe(false);
+    });
+  });
+});
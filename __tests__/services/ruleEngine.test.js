@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { validateRulePattern, evaluateRules, resetRuleCache } from 'packages/shared/services/ruleEngine.js';
+
+describe('Rule Engine Service', () => {
+  const rule = (overrides) => ({ id: 1, pattern: 'crypto', isRegex: false, scope: 'text', action: 'delete', strikeWeight: 1, enabled: true, ...overrides });
+  const msg = (overrides) => ({ from: { id: 1, first_name: 'Alice', username: 'alice' }, text: 'Hello world', ...overrides });
+
+  beforeEach(() => {
+    resetRuleCache();
+  });
+
+  describe('validateRulePattern', () => {
+    it('should accept plain phrases and ordinary regular expressions', () => {
+      expect(validateRulePattern('free crypto', false)).toBeNull();
+      expect(validateRulePattern('free\\s+crypto|airdrop', true)).toBeNull();
+      expect(validateRulePattern('(buy|sell)\\s\\w+', true)).toBeNull();
+      expect(validateRulePattern('[a+]+', true)).toBeNull();
+    });
+
+    it('should reject empty and overly long patterns', () => {
+      expect(validateRulePattern('  ', false)).toMatch(/empty/);
+      expect(validateRulePattern('a'.repeat(201), false)).toMatch(/at most 200/);
+    });
+
+    it('should reject patterns that do not compile', () => {
+      expect(validateRulePattern('(unclosed', true)).toMatch(/Invalid regular expression/);
+    });
+
+    it('should reject nested quantifiers that can backtrack exponentially', () => {
+      expect(validateRulePattern('(a+)+$', true)).toMatch(/Nested quantifiers/);
+      expect(validateRulePattern('(\\w*)*x', true)).toMatch(/Nested quantifiers/);
+      expect(validateRulePattern('((ab)+c)*', true)).toMatch(/Nested quantifiers/);
+      expect(validateRulePattern('(?:x+y){2,}', true)).toMatch(/Nested quantifiers/);
+    });
+
+    it('should reject repeated groups with alternatives that can match the same text', () => {
+      expect(validateRulePattern('(a|a)*$', true)).toMatch(/Repeated alternatives/);
+      expect(validateRulePattern('(a|ab)*c', true)).toMatch(/Repeated alternatives/);
+      expect(validateRulePattern('(?:x(y|yz))+', true)).toMatch(/Repeated alternatives/);
+      expect(validateRulePattern('(buy|sell){2,}', true)).toMatch(/Repeated alternatives/);
+      expect(validateRulePattern('((a|b))+?', true)).toMatch(/Repeated alternatives/);
+    });
+
+    it('should allow alternatives that are not repeated', () => {
+      expect(validateRulePattern('(a|ab)?c', true)).toBeNull();
+      expect(validateRulePattern('(a|ab){1}c', true)).toBeNull();
+      expect(validateRulePattern('[a|b]+', true)).toBeNull();
+      expect(validateRulePattern('a\\|b+', true)).toBeNull();
+    });
+
+    it('should reject backreferences', () => {
+      expect(validateRulePattern('(a)\\1', true)).toMatch(/Backreferences/);
+      expect(validateRulePattern('(?<w>a)\\k<w>', true)).toMatch(/Backreferences/);
+    });
+
+    it('should not treat regex syntax as unsafe in literal phrases', () => {
+      expect(validateRulePattern('(a+)+', false)).toBeNull();
+    });
+  });
+
+  describe('evaluateRules', () => {
+    it('should match literal phrases case-insensitively', () => {
+      const result = evaluateRules([rule()], msg({ text: 'Buy CRYPTO now' }));
+
+      expect(result).toEqual({ rule: rule(), match: 'CRYPTO' });
+    });
+
+    it('should match regular expressions', () => {
+      const regexRule = rule({ pattern: 'free\\s+\\w+', isRegex: true });
+
+      expect(evaluateRules([regexRule], msg({ text: 'get FREE   tokens' })).match).toBe('FREE   tokens');
+    });
+
+    it('should skip disabled rules and return the first enabled match', () => {
+      const rules = [rule({ id: 1, enabled: false }), rule({ id: 2, pattern: 'world' }), rule({ id: 3, pattern: 'hello' })];
+
+      expect(evaluateRules(rules, msg()).rule.id).toBe(2);
+    });
+
+    it('should only look at the rule\'s scope', () => {
+      const captionRule = rule({ scope: 'caption', pattern: 'promo' });
+
+      expect(evaluateRules([captionRule], msg({ text: 'promo' }))).toBeNull();
+      expect(evaluateRules([captionRule], msg({ text: undefined, caption: 'promo code', photo: [{}] }))).not.toBeNull();
+    });
+
+    it('should match the sender name in the username scope', () => {
+      const nameRule = rule({ scope: 'username', pattern: 'support', isRegex: false });
+
+      expect(evaluateRules([nameRule], msg({ from: { id: 2, first_name: 'Official', last_name: 'Support' } }))).not.toBeNull();
+    });
+
+    it('should match extracted links in the link scope', () => {
+      const linkRule = rule({ scope: 'link', pattern: 'bit\\.ly/', isRegex: true });
+
+      expect(evaluateRules([linkRule], msg({ text: 'see bit.ly/abc' }))).not.toBeNull();
+      expect(evaluateRules([linkRule], msg({ text: 'bit ly is a word' }))).toBeNull();
+    });
+
+    it('should skip stored patterns that are no longer considered safe', () => {
+      const unsafeRule = rule({ pattern: '(a|a)*$', isRegex: true });
+
+      expect(evaluateRules([unsafeRule], msg({ text: `${'a'.repeat(40)}!` }))).toBeNull();
+    });
+
+    it('should return null when nothing matches or there are no rules', () => {
+      expect(evaluateRules([rule()], msg())).toBeNull();
+      expect(evaluateRules(undefined, msg())).toBeNull();
+    });
+  });
+});
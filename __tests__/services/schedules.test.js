@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { isScheduleActive, getLocalTime, parseDays, validateSchedule } from 'packages/shared/services/schedules.js';
+
+describe('Schedules Service', () => {
+  // Wednesday, 2026-01-14, in UTC.
+  const at = (time, day = 14) => new Date(`2026-01-${day}T${time}:00Z`);
+
+  describe('getLocalTime', () => {
+    it('should read the day and time in the given time zone', () => {
+      expect(getLocalTime(at('12:30'), 'UTC')).toEqual({ day: 'wed', minutes: 750 });
+      expect(getLocalTime(at('23:30'), 'Europe/Berlin')).toEqual({ day: 'thu', minutes: 30 });
+      expect(getLocalTime(at('03:00'), 'America/New_York')).toEqual({ day: 'tue', minutes: 22 * 60 });
+    });
+  });
+
+  describe('isScheduleActive', () => {
+    it('should be active inside a same-day window only', () => {
+      const schedule = { days: [], startTime: '09:00', endTime: '17:00' };
+      expect(isScheduleActive(schedule, 'UTC', at('08:59'))).toBe(false);
+      expect(isScheduleActive(schedule, 'UTC', at('09:00'))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('16:59'))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('17:00'))).toBe(false);
+    });
+
+    it('should run an overnight window into the day after its start day', () => {
+      const schedule = { days: ['wed'], startTime: '23:00', endTime: '07:00' };
+      expect(isScheduleActive(schedule, 'UTC', at('23:30'))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('06:00', 15))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('07:00', 15))).toBe(false);
+      // Tuesday night isn't part of the entry.
+      expect(isScheduleActive(schedule, 'UTC', at('06:00'))).toBe(false);
+    });
+
+    it('should treat equal start and end times as a whole day', () => {
+      const schedule = { days: ['sat', 'sun'], startTime: '00:00', endTime: '00:00' };
+      expect(isScheduleActive(schedule, 'UTC', at('12:00', 17))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('23:59', 18))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('00:00', 19))).toBe(false);
+    });
+
+    it('should read the window in the group\'s time zone', () => {
+      const schedule = { days: ['thu'], startTime: '00:00', endTime: '02:00' };
+      expect(isScheduleActive(schedule, 'Europe/Berlin', at('23:30'))).toBe(true);
+      expect(isScheduleActive(schedule, 'UTC', at('23:30'))).toBe(false);
+    });
+  });
+
+  describe('parseDays', () => {
+    it('should parse lists, ranges and every day', () => {
+      expect(parseDays('mon-fri')).toEqual(['mon', 'tue', 'wed', 'thu', 'fri']);
+      expect(parseDays('sun, sat')).toEqual(['sun', 'sat']);
+      expect(parseDays('Friday-Mon')).toEqual(['sun', 'mon', 'fri', 'sat']);
+      expect(parseDays('daily')).toEqual([]);
+      expect(parseDays('mon-sun')).toEqual([]);
+    });
+
+    it('should reject text that isn\'t a list of days', () => {
+      expect(parseDays('weekends')).toBeNull();
+      expect(parseDays(' ')).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    const valid = { name: 'Quiet nights', days: ['fri'], startTime: '23:00', endTime: '07:00', kind: 'permissions', payload: { can_send_photos: false } };
+
+    it('should accept valid permission and setting entries', () => {
+      expect(validateSchedule(valid)).toBeNull();
+      expect(validateSchedule({ ...valid, kind: 'settings', payload: { spamThreshold: 0.6, profanityEnabled: true } })).toBeNull();
+    });
+
+    it('should reject invalid entries', () => {
+      expect(validateSchedule({ ...valid, name: ' ' })).toMatch(/name/);
+      expect(validateSchedule({ ...valid, days: ['funday'] })).toMatch(/Days/);
+      expect(validateSchedule({ ...valid, startTime: '24:00' })).toMatch(/HH:MM/);
+      expect(validateSchedule({ ...valid, payload: {} })).toMatch(/at least one/);
+      expect(validateSchedule({ ...valid, payload: { can_fly: false } })).toMatch(/can_fly/);
+      expect(validateSchedule({ ...valid, payload: { can_send_photos: 'no' } })).toMatch(/can_send_photos/);
+      expect(validateSchedule({ ...valid, kind: 'settings', payload: { spamThreshold: 2 } })).toMatch(/spamThreshold/);
+      expect(validateSchedule({ ...valid, kind: 'settings', payload: { scheduleTimezone: 'UTC' } })).toMatch(/scheduleTimezone/);
+      expect(validateSchedule({ ...valid, kind: 'weather' })).toMatch(/kind/);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { resolveAppeal } from '@telegram-moderator/shared/services/appeals.js';
+import { AppealStatus } from '@telegram-moderator/shared/utils/enums.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/appeals
+ * List a group's strike appeals
+ */
+export const listAppeals = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const appeals = await db.getAppeals(req.params.groupId, { status: req.query.status });
+        res.json(successResponse({ groupId: req.params.groupId, appeals }, 'Appeals retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * PUT /api/v1/groups/{groupId}/appeals/{appealId}
+ * Approve or reject a pending appeal
+ */
+export const decideAppeal = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, appealId } = req.params;
+    const existing = await db.getAppeal(groupId, Number(appealId));
+    if (!existing) {
+        throw ApiError.notFound('Appeal not found');
+    }
+    if (existing.status !== AppealStatus.PENDING) {
+        throw ApiError.badRequest(`Appeal has already been ${existing.status}`);
+    }
+
+    const approved = req.body.status === AppealStatus.APPROVED;
+    const appeal = await resolveAppeal(groupId, existing.id, {
+        approved,
+        admin: { id: req.user.id, first_name: req.user.first_name, username: req.user.username }
+    });
+    // Another admin may have decided it in the meantime.
+    if (!appeal) {
+        throw ApiError.badRequest('Appeal has already been decided');
+    }
+
+    logger.info('Appeal decided', { groupId, appealId: appeal.id, status: appeal.status, userId: req.user.id });
+    res.json(successResponse(appeal, `Appeal ${appeal.status} successfully`));
+});
@@ -18,7 +18,7 @@ export const getAuditLog = async (req, res, next) => {
             page = 1, 
             limit = 50, 
             userId = null,
-            type = null, // 'AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET'
+            type = null, // 'AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET', 'AUTO-STRIKE-DECAY'
             startDate = null,
             endDate = null
         } = req.query;
@@ -327,6 +327,8 @@ function getActionDescription(logData) {
             return `Removed ${logData.amount || 1} strike(s)`;
         case 'MANUAL-STRIKE-SET':
             return `Set strikes to ${logData.amount || 0}`;
+        case 'AUTO-STRIKE-DECAY':
+            return logData.action === 'strikes_expired' ? `${logData.amount} strike(s) expired` : 'Strike forgiven for good behavior';
         default:
             return logData.type;
     }
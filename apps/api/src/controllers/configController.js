@@ -0,0 +1,64 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { exportGroupConfig, validateGroupConfig, diffGroupConfig, applyGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * Shows or applies a configuration to the group in the request, depending on `dryRun`.
+ */
+const previewOrApply = async (req, res, config, sourceChatId) => {
+    const { groupId } = req.params;
+    const errors = validateGroupConfig(config);
+    if (errors.length > 0) {
+        throw ApiError.badRequest('Invalid configuration', errors);
+    }
+
+    if (req.body.dryRun) {
+        const changes = await diffGroupConfig(groupId, config);
+        return res.json(successResponse({ groupId, applied: false, changes }, 'Configuration compared successfully'));
+    }
+
+    const admin = { id: req.user.id, first_name: req.user.first_name, username: req.user.username };
+    const { changes } = await applyGroupConfig(groupId, config, { admin, sourceChatId });
+    logger.info('Group configuration imported', { groupId, sourceChatId, changes: changes.length, userId: req.user.id });
+    res.json(successResponse({ groupId, applied: true, changes }, `Configuration applied with ${changes.length} change(s)`));
+};
+
+/**
+ * GET /api/v1/groups/{groupId}/config
+ * Export a group's settings, keyword whitelist, moderators and rules
+ */
+export const exportConfig = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const config = await exportGroupConfig(req.params.groupId);
+    res.json(successResponse(config, 'Configuration exported successfully'));
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/config/import
+ * Compare (dryRun) or apply an exported configuration
+ */
+export const importConfig = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    await previewOrApply(req, res, req.body.config);
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/config/copy
+ * Compare (dryRun) or apply another group's configuration; the user must administer both groups
+ */
+export const copyConfig = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+    const { sourceGroupId } = req.body;
+    await assertGroupAdmin(req, sourceGroupId);
+
+    if (!(await db.getGroup(sourceGroupId))) {
+        throw ApiError.notFound('Source group not found');
+    }
+    const config = await exportGroupConfig(sourceGroupId);
+    await previewOrApply(req, res, config, sourceGroupId);
+});
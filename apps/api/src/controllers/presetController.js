@@ -0,0 +1,85 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { listPresets as listAvailablePresets, getPreset, savePreset, applyPreset, presetToConfig, MAX_CUSTOM_PRESETS } from '@telegram-moderator/shared/services/presets.js';
+import { validateGroupConfig, diffGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/presets
+ * List the built-in presets and the ones the user saved
+ */
+export const listPresets = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const presets = await listAvailablePresets(req.user.id.toString());
+        res.json(successResponse({ groupId: req.params.groupId, presets }, 'Presets retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/presets/apply
+ * Compare (dryRun) or apply a preset to the group
+ */
+export const applyGroupPreset = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId } = req.params;
+    const preset = await getPreset(req.user.id.toString(), req.body.presetId);
+    if (!preset) {
+        throw ApiError.notFound('Preset not found');
+    }
+    // Saved presets can predate a change in what settings accept
+    const errors = validateGroupConfig(presetToConfig(preset));
+    if (errors.length > 0) {
+        throw ApiError.badRequest('This preset is no longer valid', errors);
+    }
+
+    if (req.body.dryRun) {
+        const changes = await diffGroupConfig(groupId, presetToConfig(preset));
+        return res.json(successResponse({ groupId, presetId: preset.id, applied: false, changes }, 'Preset compared successfully'));
+    }
+
+    const admin = { id: req.user.id, first_name: req.user.first_name, username: req.user.username };
+    const { changes } = await applyPreset(groupId, preset, { admin });
+    logger.info('Settings preset applied', { groupId, presetId: preset.id, changes: changes.length, userId: req.user.id });
+    res.json(successResponse({ groupId, presetId: preset.id, applied: true, changes }, `Preset applied with ${changes.length} change(s)`));
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/presets
+ * Save the group's current settings as one of the user's presets
+ */
+export const createPreset = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId } = req.params;
+    const preset = await savePreset(req.user.id.toString(), req.body.name, groupId);
+    if (!preset) {
+        throw ApiError.badRequest(`You can save at most ${MAX_CUSTOM_PRESETS} presets. Delete one first.`);
+    }
+
+    logger.info('Settings preset saved', { groupId, presetId: preset.id, userId: req.user.id });
+    res.status(201).json(successResponse(preset, 'Preset saved successfully'));
+});
+
+/**
+ * DELETE /api/v1/groups/{groupId}/presets/{presetId}
+ * Delete one of the user's presets
+ */
+export const deletePreset = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { presetId } = req.params;
+    const deleted = await db.deleteSettingsPreset(req.user.id.toString(), Number(presetId));
+    if (!deleted) {
+        throw ApiError.notFound('Preset not found');
+    }
+
+    logger.info('Settings preset deleted', { presetId, userId: req.user.id });
+    res.json(successResponse({ presetId }, 'Preset deleted successfully'));
+});
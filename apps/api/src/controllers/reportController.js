@@ -0,0 +1,20 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/reports
+ * List the messages members reported with /report, and the most reported members
+ */
+export const listReports = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const { groupId } = req.params;
+        const reports = await db.getReports(groupId, { status: req.query.status });
+        const mostReported = await db.getMostReportedUsers(groupId);
+        res.json(successResponse({ groupId, reports, mostReported }, 'Reports retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
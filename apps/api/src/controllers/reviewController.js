@@ -0,0 +1,51 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { resolveReview } from '@telegram-moderator/shared/services/reviews.js';
+import { ReviewStatus } from '@telegram-moderator/shared/utils/enums.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/reviews
+ * List the messages held for review in a group
+ */
+export const listReviews = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const reviews = await db.getReviews(req.params.groupId, { status: req.query.status });
+        res.json(successResponse({ groupId: req.params.groupId, reviews }, 'Reviews retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * PUT /api/v1/groups/{groupId}/reviews/{reviewId}
+ * Mark a held message clean, or remove it and strike its author
+ */
+export const decideReview = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, reviewId } = req.params;
+    const existing = await db.getReview(groupId, Number(reviewId));
+    if (!existing) {
+        throw ApiError.notFound('Review not found');
+    }
+    if (existing.status !== ReviewStatus.PENDING) {
+        throw ApiError.badRequest(`Review has already been ${existing.status}`);
+    }
+
+    const review = await resolveReview(groupId, existing.id, {
+        remove: req.body.status === ReviewStatus.REMOVED,
+        admin: { id: req.user.id, first_name: req.user.first_name, username: req.user.username }
+    });
+    // Another admin may have decided it in the meantime.
+    if (!review) {
+        throw ApiError.badRequest('Review has already been decided');
+    }
+
+    logger.info('Review decided', { groupId, reviewId: review.id, status: review.status, userId: req.user.id });
+    res.json(successResponse(review, `Review ${review.status} successfully`));
+});
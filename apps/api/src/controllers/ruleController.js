@@ -0,0 +1,93 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { validateRulePattern } from '@telegram-moderator/shared/services/ruleEngine.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/rules
+ * List a group's custom moderation rules
+ */
+export const listRules = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const rules = await db.getModerationRules(req.params.groupId);
+        res.json(successResponse({ groupId: req.params.groupId, rules }, 'Rules retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/rules
+ * Add a custom moderation rule
+ */
+export const createRule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId } = req.params;
+    const { pattern, isRegex = false, scope, action, strikeWeight = 1, enabled = true } = req.body;
+
+    const patternError = validateRulePattern(pattern, isRegex);
+    if (patternError) {
+        throw ApiError.badRequest(patternError);
+    }
+
+    try {
+        const rule = await db.addModerationRule(groupId, { pattern, isRegex, scope, action, strikeWeight, enabled });
+        logger.info('Moderation rule created', { groupId, ruleId: rule.id, userId: req.user.id });
+        res.status(201).json(successResponse(rule, 'Rule created successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * PUT /api/v1/groups/{groupId}/rules/{ruleId}
+ * Change a custom moderation rule
+ */
+export const updateRule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, ruleId } = req.params;
+    const existing = await db.getModerationRule(groupId, Number(ruleId));
+    if (!existing) {
+        throw ApiError.notFound('Rule not found');
+    }
+
+    // The pattern is re-checked whenever it or its type changes.
+    const changes = req.body;
+    if (changes.pattern !== undefined || changes.isRegex !== undefined) {
+        const patternError = validateRulePattern(changes.pattern ?? existing.pattern, changes.isRegex ?? existing.isRegex);
+        if (patternError) {
+            throw ApiError.badRequest(patternError);
+        }
+    }
+
+    try {
+        const rule = await db.updateModerationRule(groupId, existing.id, changes);
+        logger.info('Moderation rule updated', { groupId, ruleId: rule.id, userId: req.user.id, updatedFields: Object.keys(changes) });
+        res.json(successResponse(rule, 'Rule updated successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * DELETE /api/v1/groups/{groupId}/rules/{ruleId}
+ * Delete a custom moderation rule
+ */
+export const deleteRule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, ruleId } = req.params;
+    const deleted = await db.deleteModerationRule(groupId, Number(ruleId));
+    if (!deleted) {
+        throw ApiError.notFound('Rule not found');
+    }
+
+    logger.info('Moderation rule deleted', { groupId, ruleId, userId: req.user.id });
+    res.json(successResponse({ groupId, ruleId: Number(ruleId) }, 'Rule deleted successfully'));
+});
@@ -0,0 +1,102 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { validateSchedule, MAX_SCHEDULES } from '@telegram-moderator/shared/services/schedules.js';
+import ApiError from '../utils/apiError.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * Leaves out the scheduler's bookkeeping, which only the bot uses.
+ */
+const toPublicSchedule = ({ revertData, deletedAt, ...schedule }) => schedule;
+
+/**
+ * GET /api/v1/groups/{groupId}/schedules
+ * List a group's scheduled restrictions
+ */
+export const listSchedules = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const { groupId } = req.params;
+        const schedules = await db.getSchedules(groupId);
+        const { scheduleTimezone } = await getGroupSettings(groupId);
+        res.json(successResponse({ groupId, timezone: scheduleTimezone, schedules: schedules.map(toPublicSchedule) }, 'Schedules retrieved successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * POST /api/v1/groups/{groupId}/schedules
+ * Add a scheduled restriction
+ */
+export const createSchedule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId } = req.params;
+    const { name, days = [], startTime, endTime, kind, payload, enabled = true } = req.body;
+
+    const scheduleError = validateSchedule({ name, days, startTime, endTime, kind, payload });
+    if (scheduleError) {
+        throw ApiError.badRequest(scheduleError);
+    }
+    if ((await db.getSchedules(groupId)).length >= MAX_SCHEDULES) {
+        throw ApiError.badRequest(`A group can have at most ${MAX_SCHEDULES} schedule entries`);
+    }
+
+    try {
+        const schedule = await db.addSchedule(groupId, { name, days, startTime, endTime, kind, payload, enabled });
+        logger.info('Schedule created', { groupId, scheduleId: schedule.id, userId: req.user.id });
+        res.status(201).json(successResponse(toPublicSchedule(schedule), 'Schedule created successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * PUT /api/v1/groups/{groupId}/schedules/{scheduleId}
+ * Change a scheduled restriction
+ */
+export const updateSchedule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, scheduleId } = req.params;
+    const existing = await db.getSchedule(groupId, Number(scheduleId));
+    if (!existing) {
+        throw ApiError.notFound('Schedule not found');
+    }
+
+    // The entry is checked as a whole, as e.g. a new kind needs a matching payload.
+    const changes = req.body;
+    const scheduleError = validateSchedule({ ...existing, ...changes });
+    if (scheduleError) {
+        throw ApiError.badRequest(scheduleError);
+    }
+
+    try {
+        const schedule = await db.updateSchedule(groupId, existing.id, changes);
+        logger.info('Schedule updated', { groupId, scheduleId: schedule.id, userId: req.user.id, updatedFields: Object.keys(changes) });
+        res.json(successResponse(toPublicSchedule(schedule), 'Schedule updated successfully'));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
+
+/**
+ * DELETE /api/v1/groups/{groupId}/schedules/{scheduleId}
+ * Delete a scheduled restriction
+ */
+export const deleteSchedule = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    const { groupId, scheduleId } = req.params;
+    const deleted = await db.deleteSchedule(groupId, Number(scheduleId));
+    if (!deleted) {
+        throw ApiError.notFound('Schedule not found');
+    }
+
+    logger.info('Schedule deleted', { groupId, scheduleId, userId: req.user.id });
+    res.json(successResponse({ groupId, scheduleId: Number(scheduleId) }, 'Schedule deleted successfully'));
+});
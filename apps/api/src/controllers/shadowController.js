@@ -0,0 +1,28 @@
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { asyncHandler, successResponse, handleDatabaseError } from '../utils/errorHelpers.js';
+import { assertGroupAdmin } from '../utils/groupAccess.js';
+
+/**
+ * GET /api/v1/groups/{groupId}/shadow-report
+ * Summarise what moderation would have done while the group was in shadow mode
+ */
+export const getShadowReport = asyncHandler(async (req, res) => {
+    await assertGroupAdmin(req);
+
+    try {
+        const { groupId } = req.params;
+        const days = req.query.days ? parseInt(req.query.days, 10) : null;
+        const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : undefined;
+        const page = req.query.page ? parseInt(req.query.page, 10) : 1;
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+        const settings = await getGroupSettings(groupId);
+        const { total, ...report } = await db.getShadowReport(groupId, { since, limit, offset: (page - 1) * limit });
+        const totalPages = Math.ceil(total / limit);
+        res.json(successResponse({ groupId, shadowMode: settings.shadowMode, ...report }, 'Shadow report retrieved successfully', {
+            pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+        }));
+    } catch (error) {
+        throw handleDatabaseError(error);
+    }
+});
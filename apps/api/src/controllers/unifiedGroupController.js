@@ -91,13 +91,19 @@ export const getSettings = asyncHandler(async (req, res) => {
                 muteLevel: settings.muteLevel,
                 kickLevel: settings.kickLevel,
                 banLevel: settings.banLevel,
+
+                // Per category penalty ladders
+                penaltyLadders: settings.penaltyLadders || {},
+                combinedStrikeCeiling: settings.combinedStrikeCeiling,
                 
                 // Thresholds
                 spamThreshold: settings.spamThreshold,
+                reviewBandMin: settings.reviewBandMin || 0,
                 profanityThreshold: settings.profanityThreshold || 0.8,
                 
                 // Timing settings
                 muteDurationMinutes: settings.muteDurationMinutes,
+                muteSchedule: settings.muteSchedule || [],
                 strikeExpirationDays: settings.strikeExpirationDays,
                 goodBehaviorDays: settings.goodBehaviorDays,
                 
@@ -107,7 +113,69 @@ export const getSettings = asyncHandler(async (req, res) => {
                 
                 // Advanced features
                 keywordWhitelistBypass: settings.keywordWhitelistBypass,
-                whitelistedKeywords: settings.whitelistedKeywords || []
+                whitelistedKeywords: settings.whitelistedKeywords || [],
+
+                strikeOnEditedViolation: settings.strikeOnEditedViolation,
+
+                // Link policy
+                allowedDomains: settings.allowedDomains || [],
+                blockedDomains: settings.blockedDomains || [],
+                telegramInvitePolicy: settings.telegramInvitePolicy,
+
+                // Language policy
+                allowedScripts: settings.allowedScripts || [],
+                allowedLanguages: settings.allowedLanguages || [],
+                languageAction: settings.languageAction,
+                languageMinLetters: settings.languageMinLetters,
+
+                // Flood control
+                floodMessageLimit: settings.floodMessageLimit,
+                floodWindowSeconds: settings.floodWindowSeconds,
+                floodAction: settings.floodAction,
+
+                // Duplicate wave (raid) detection
+                duplicateUserThreshold: settings.duplicateUserThreshold,
+                duplicateWindowMinutes: settings.duplicateWindowMinutes,
+
+                // Anti-raid lockdown
+                raidJoinLimit: settings.raidJoinLimit,
+                raidJoinWindowSeconds: settings.raidJoinWindowSeconds,
+                lockdownSlowModeSeconds: settings.lockdownSlowModeSeconds,
+                lockdownDurationMinutes: settings.lockdownDurationMinutes,
+                lockdownStartedAt: settings.lockdownStartedAt,
+
+                // New member probation
+                probationHours: settings.probationHours,
+                probationMessages: settings.probationMessages,
+                probationSpamThreshold: settings.probationSpamThreshold,
+                probationMuteOnViolation: settings.probationMuteOnViolation,
+
+                // New member verification
+                captchaEnabled: settings.captchaEnabled,
+                captchaType: settings.captchaType,
+                captchaDelivery: settings.captchaDelivery,
+                captchaTimeoutSeconds: settings.captchaTimeoutSeconds,
+                captchaWelcomeMessage: settings.captchaWelcomeMessage,
+
+                // Impersonation detection
+                impersonationEnabled: settings.impersonationEnabled,
+                impersonationKeywords: settings.impersonationKeywords || [],
+
+                // Reports
+                reportChatId: settings.reportChatId || '',
+
+                // Moderation log
+                logChatId: settings.logChatId || '',
+                logChatVerbosity: settings.logChatVerbosity,
+
+                // Scheduled restrictions
+                scheduleTimezone: settings.scheduleTimezone,
+
+                // Shadow mode
+                shadowMode: settings.shadowMode,
+
+                // Media handling
+                mediaPolicies: settings.mediaPolicies
             }
         };
 
@@ -140,11 +208,21 @@ export const updateSettings = asyncHandler(async (req, res) => {
 
         // Validate settings
         const validSettings = [
-            'alertLevel', 'muteLevel', 'kickLevel', 'banLevel',
-            'spamThreshold', 'profanityThreshold', 'muteDurationMinutes',
+            'alertLevel', 'muteLevel', 'kickLevel', 'banLevel', 'penaltyLadders', 'combinedStrikeCeiling',
+            'spamThreshold', 'reviewBandMin', 'profanityThreshold', 'muteDurationMinutes', 'muteSchedule',
             'warningMessage', 'warningMessageDeleteSeconds',
             'keywordWhitelistBypass', 'strikeExpirationDays',
-            'goodBehaviorDays', 'whitelistedKeywords'
+            'goodBehaviorDays', 'whitelistedKeywords', 'mediaPolicies',
+            'strikeOnEditedViolation', 'allowedDomains', 'blockedDomains',
+            'telegramInvitePolicy', 'allowedScripts', 'allowedLanguages',
+            'languageAction', 'languageMinLetters', 'floodMessageLimit', 'floodWindowSeconds',
+            'floodAction', 'duplicateUserThreshold', 'duplicateWindowMinutes',
+            'captchaEnabled', 'captchaType', 'captchaDelivery', 'captchaTimeoutSeconds',
+            'captchaWelcomeMessage', 'impersonationEnabled', 'impersonationKeywords',
+            'probationHours', 'probationMessages',
+            'probationSpamThreshold', 'probationMuteOnViolation', 'raidJoinLimit',
+            'raidJoinWindowSeconds', 'lockdownSlowModeSeconds', 'lockdownDurationMinutes',
+            'reportChatId', 'logChatId', 'logChatVerbosity', 'scheduleTimezone', 'shadowMode'
         ];
 
         const invalidSettings = Object.keys(settings).filter(key => !validSettings.includes(key));
@@ -241,7 +319,9 @@ export const getStats = asyncHandler(async (req, res) => {
                 flaggedMessages: stats.flaggedMessages || { 
                     total: 0, 
                     spam: 0, 
-                    profanity: 0 
+                    profanity: 0,
+                    flood: 0,
+                    language: 0
                 },
                 deletedMessages: stats.deletedMessages || 0,
                 
@@ -269,8 +349,12 @@ export const getStats = asyncHandler(async (req, res) => {
                 // Top violation types
                 topViolationTypes: stats.topViolationTypes || [
                     { type: 'SPAM', count: 0 },
-                    { type: 'PROFANITY', count: 0 }
-                ]
+                    { type: 'PROFANITY', count: 0 },
+                    { type: 'FLOOD', count: 0 }
+                ],
+
+                // Languages of the messages seen in the period
+                languageBreakdown: stats.languageBreakdown || []
             }
         };
 
@@ -298,7 +298,10 @@ export const getGroupStats = async (req, res, next) => {
                     },
                     
                     // Top violation types
-                    topViolationTypes: stats.topViolationTypes || []
+                    topViolationTypes: stats.topViolationTypes || [],
+
+                    // Languages of the messages seen in the period
+                    languageBreakdown: stats.languageBreakdown || []
                 }
             }
         });
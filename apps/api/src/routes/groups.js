@@ -305,7 +305,7 @@ router.get('/:groupId/stats',
  *         name: type
  *         schema:
  *           type: string
- *           enum: [AUTO, MANUAL-STRIKE-ADD, MANUAL-STRIKE-REMOVE, MANUAL-STRIKE-SET]
+ *           enum: [AUTO, MANUAL-STRIKE-ADD, MANUAL-STRIKE-REMOVE, MANUAL-STRIKE-SET, AUTO-STRIKE-DECAY]
  *         description: Filter by action type
  *       - in: query
  *         name: startDate
@@ -378,7 +378,7 @@ router.get('/:groupId/audit',
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 200 }),
     query('userId').optional().isString(),
-    query('type').optional().isIn(['AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET']),
+    query('type').optional().isIn(['AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET', 'AUTO-STRIKE-DECAY']),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
     checkGroupAdmin,
@@ -416,7 +416,7 @@ router.get('/:groupId/audit',
  *         name: type
  *         schema:
  *           type: string
- *           enum: [AUTO, MANUAL-STRIKE-ADD, MANUAL-STRIKE-REMOVE, MANUAL-STRIKE-SET]
+ *           enum: [AUTO, MANUAL-STRIKE-ADD, MANUAL-STRIKE-REMOVE, MANUAL-STRIKE-SET, AUTO-STRIKE-DECAY]
  *         description: Filter by action type
  *       - in: query
  *         name: startDate
@@ -454,7 +454,7 @@ router.get('/:groupId/audit/export',
     param('groupId').isString().notEmpty(),
     query('format').optional().isIn(['csv', 'json']),
     query('userId').optional().isString(),
-    query('type').optional().isIn(['AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET']),
+    query('type').optional().isIn(['AUTO', 'MANUAL-STRIKE-ADD', 'MANUAL-STRIKE-REMOVE', 'MANUAL-STRIKE-SET', 'AUTO-STRIKE-DECAY']),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
     checkGroupAdmin,
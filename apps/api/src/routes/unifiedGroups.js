@@ -1,9 +1,23 @@
 import express from 'express';
 import * as groupController from '../controllers/unifiedGroupController.js';
 import * as strikeController from '../controllers/strikeController.js';
+import * as ruleController from '../controllers/ruleController.js';
+import * as appealController from '../controllers/appealController.js';
+import * as reportController from '../controllers/reportController.js';
+import * as shadowController from '../controllers/shadowController.js';
+import * as reviewController from '../controllers/reviewController.js';
+import * as configController from '../controllers/configController.js';
+import * as presetController from '../controllers/presetController.js';
+import * as scheduleController from '../controllers/scheduleController.js';
 import { unifiedAuth } from '../middleware/unifiedAuth.js';
 import { checkGroupAdmin } from '../middleware/checkGroupAdmin.js';
 import { body, param, query } from 'express-validator';
+import { MediaType, ContentPolicy, FloodAction, LanguageAction, CaptchaType, CaptchaDelivery, RuleScope, RuleAction, ScheduleKind, AppealStatus, ReportStatus, LogVerbosity, ReviewStatus } from '@telegram-moderator/shared/utils/enums.js';
+import { isValidPenaltyLadders } from '@telegram-moderator/shared/services/penaltyLadder.js';
+import { MAX_MUTE_SCHEDULE_STEPS, MAX_MUTE_MINUTES } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { SCRIPTS, LANGUAGES } from '@telegram-moderator/shared/services/languageDetector.js';
+import { isValidSettingValue } from '@telegram-moderator/shared/services/groupConfig.js';
+import { SCHEDULE_DAYS, MAX_SCHEDULE_NAME_LENGTH } from '@telegram-moderator/shared/services/schedules.js';
 
 const router = express.Router();
 
@@ -139,12 +153,23 @@ router.get('/', groupController.listGroups);
  *                           type: integer
  *                         banLevel:
  *                           type: integer
+ *                         penaltyLadders:
+ *                           type: object
+ *                           description: Per strike category ladders (spam, profanity, links, flood, rules)
+ *                         combinedStrikeCeiling:
+ *                           type: integer
  *                         spamThreshold:
  *                           type: number
+ *                         reviewBandMin:
+ *                           type: number
  *                         profanityThreshold:
  *                           type: number
  *                         muteDurationMinutes:
  *                           type: integer
+ *                         muteSchedule:
+ *                           type: array
+ *                           items:
+ *                             type: integer
  *                         strikeExpirationDays:
  *                           type: integer
  *                         goodBehaviorDays:
@@ -159,6 +184,102 @@ router.get('/', groupController.listGroups);
  *                           type: array
  *                           items:
  *                             type: string
+ *                         strikeOnEditedViolation:
+ *                           type: boolean
+ *                         allowedDomains:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         blockedDomains:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         telegramInvitePolicy:
+ *                           type: string
+ *                           enum: [allow, delete, strike]
+ *                         allowedScripts:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         allowedLanguages:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         languageAction:
+ *                           type: string
+ *                           enum: [delete, warn, strike]
+ *                         languageMinLetters:
+ *                           type: integer
+ *                         floodMessageLimit:
+ *                           type: integer
+ *                         floodWindowSeconds:
+ *                           type: integer
+ *                         floodAction:
+ *                           type: string
+ *                           enum: [delete, mute, strike]
+ *                         duplicateUserThreshold:
+ *                           type: integer
+ *                         duplicateWindowMinutes:
+ *                           type: integer
+ *                         raidJoinLimit:
+ *                           type: integer
+ *                         raidJoinWindowSeconds:
+ *                           type: integer
+ *                         lockdownSlowModeSeconds:
+ *                           type: integer
+ *                         lockdownDurationMinutes:
+ *                           type: integer
+ *                         lockdownStartedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                           description: Start time of the current lockdown (read-only)
+ *                         probationHours:
+ *                           type: integer
+ *                         probationMessages:
+ *                           type: integer
+ *                         probationSpamThreshold:
+ *                           type: number
+ *                         probationMuteOnViolation:
+ *                           type: boolean
+ *                         captchaEnabled:
+ *                           type: boolean
+ *                         captchaType:
+ *                           type: string
+ *                           enum: [button, math, emoji]
+ *                         captchaDelivery:
+ *                           type: string
+ *                           enum: [chat, dm]
+ *                         captchaTimeoutSeconds:
+ *                           type: integer
+ *                         captchaWelcomeMessage:
+ *                           type: string
+ *                         impersonationEnabled:
+ *                           type: boolean
+ *                         impersonationKeywords:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         reportChatId:
+ *                           type: string
+ *                           description: Chat that receives /report escalations; empty sends them to each admin privately
+ *                         logChatId:
+ *                           type: string
+ *                           description: Channel or chat that mirrors moderation actions; empty turns the log off
+ *                         logChatVerbosity:
+ *                           type: string
+ *                           enum: [penalties, all]
+ *                         scheduleTimezone:
+ *                           type: string
+ *                           description: IANA time zone the group's schedule entries are read in
+ *                         shadowMode:
+ *                           type: boolean
+ *                           description: Only log what moderation would have done, without enforcing it
+ *                         mediaPolicies:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: string
+ *                             enum: [allow, delete, strike]
  *       401:
  *         description: Unauthorized
  *       403:
@@ -219,11 +340,39 @@ router.get('/:groupId/settings',
  *                     type: integer
  *                     minimum: 0
  *                     maximum: 10
+ *                   penaltyLadders:
+ *                     type: object
+ *                     description: |
+ *                       Maps a strike category (spam, profanity, links, flood, rules) to its own
+ *                       alertLevel/muteLevel/kickLevel/banLevel (0-10), judged against the member's
+ *                       strikes in that category. Categories left out use the levels above.
+ *                     additionalProperties:
+ *                       type: object
+ *                       properties:
+ *                         alertLevel:
+ *                           type: integer
+ *                         muteLevel:
+ *                           type: integer
+ *                         kickLevel:
+ *                           type: integer
+ *                         banLevel:
+ *                           type: integer
+ *                   combinedStrikeCeiling:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 100
+ *                     description: Ban once a member's strikes across all categories reach this (0 = no ceiling)
  *                   spamThreshold:
  *                     type: number
  *                     format: float
  *                     minimum: 0
  *                     maximum: 1
+ *                   reviewBandMin:
+ *                     type: number
+ *                     format: float
+ *                     minimum: 0
+ *                     maximum: 1
+ *                     description: Spam scores from this up to spamThreshold are held for admin review (0 = off)
  *                   profanityThreshold:
  *                     type: number
  *                     format: float
@@ -233,6 +382,14 @@ router.get('/:groupId/settings',
  *                     type: integer
  *                     minimum: 1
  *                     maximum: 10080
+ *                   muteSchedule:
+ *                     type: array
+ *                     maxItems: 10
+ *                     description: Minutes for a member's 1st, 2nd, ... automatic mute; the last entry repeats. Empty uses muteDurationMinutes.
+ *                     items:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 525600
  *                   strikeExpirationDays:
  *                     type: integer
  *                     minimum: 1
@@ -255,6 +412,150 @@ router.get('/:groupId/settings',
  *                     items:
  *                       type: string
  *                     maxItems: 100
+ *                   strikeOnEditedViolation:
+ *                     type: boolean
+ *                     description: Whether a violating edit earns a strike (true) or is only deleted (false)
+ *                   allowedDomains:
+ *                     type: array
+ *                     description: When non-empty, links to any other domain are violations
+ *                     items:
+ *                       type: string
+ *                     maxItems: 200
+ *                   blockedDomains:
+ *                     type: array
+ *                     description: Links to these domains or their subdomains are violations
+ *                     items:
+ *                       type: string
+ *                     maxItems: 200
+ *                   telegramInvitePolicy:
+ *                     type: string
+ *                     enum: [allow, delete, strike]
+ *                   allowedScripts:
+ *                     type: array
+ *                     description: When non-empty, messages mostly written in other scripts are violations
+ *                     items:
+ *                       type: string
+ *                       enum: [latin, cyrillic, greek, armenian, georgian, hebrew, arabic, devanagari, bengali, tamil, thai, hangul, kana, han, ethiopic]
+ *                   allowedLanguages:
+ *                     type: array
+ *                     description: ISO 639-1 codes; when non-empty, messages recognised as another language are violations
+ *                     items:
+ *                       type: string
+ *                   languageAction:
+ *                     type: string
+ *                     enum: [delete, warn, strike]
+ *                   languageMinLetters:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 200
+ *                     description: Messages with fewer letters are not language checked
+ *                   floodMessageLimit:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 100
+ *                     description: Max messages per user within floodWindowSeconds (0 = disabled)
+ *                   floodWindowSeconds:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 3600
+ *                   floodAction:
+ *                     type: string
+ *                     enum: [delete, mute, strike]
+ *                   duplicateUserThreshold:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 1000
+ *                     description: Distinct users posting similar text before its copies are removed (0 = disabled, otherwise at least 2)
+ *                   duplicateWindowMinutes:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 1440
+ *                   raidJoinLimit:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 10000
+ *                     description: Maximum joins within the window before an automatic lockdown starts (0 = disabled)
+ *                   raidJoinWindowSeconds:
+ *                     type: integer
+ *                     minimum: 5
+ *                     maximum: 3600
+ *                   lockdownSlowModeSeconds:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 3600
+ *                     description: Minimum seconds between a member's messages during lockdown (0 = off)
+ *                   lockdownDurationMinutes:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 10080
+ *                     description: Automatic lockdowns end after this many minutes (0 = until ended by an admin)
+ *                   probationHours:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 720
+ *                     description: Hours after joining that new members are on probation (0 = no time limit)
+ *                   probationMessages:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 1000
+ *                     description: Number of first messages that are on probation (0 = no message limit)
+ *                   probationSpamThreshold:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 1
+ *                   probationMuteOnViolation:
+ *                     type: boolean
+ *                   captchaEnabled:
+ *                     type: boolean
+ *                     description: Restrict new members until they pass a challenge
+ *                   captchaType:
+ *                     type: string
+ *                     enum: [button, math, emoji]
+ *                   captchaDelivery:
+ *                     type: string
+ *                     enum: [chat, dm]
+ *                   captchaTimeoutSeconds:
+ *                     type: integer
+ *                     minimum: 30
+ *                     maximum: 3600
+ *                   captchaWelcomeMessage:
+ *                     type: string
+ *                     maxLength: 500
+ *                   impersonationEnabled:
+ *                     type: boolean
+ *                     description: Restrict members whose name or username imitates an admin or contains a protected word, and alert the admins
+ *                   impersonationKeywords:
+ *                     type: array
+ *                     maxItems: 50
+ *                     description: Protected words no member may use in their name or username, e.g. support
+ *                     items:
+ *                       type: string
+ *                       maxLength: 64
+ *                   reportChatId:
+ *                     type: string
+ *                     pattern: '^(-?\d+)?$'
+ *                     description: Chat that receives /report escalations; empty sends them to each admin privately
+ *                   logChatId:
+ *                     type: string
+ *                     pattern: '^(-?\d+)?$'
+ *                     description: Channel or chat that mirrors moderation actions; empty turns the log off
+ *                   logChatVerbosity:
+ *                     type: string
+ *                     enum: [penalties, all]
+ *                     description: Log strikes, penalties and admin actions only, or every deleted message too
+ *                   scheduleTimezone:
+ *                     type: string
+ *                     example: Europe/Berlin
+ *                     description: IANA time zone the group's schedule entries are read in
+ *                   shadowMode:
+ *                     type: boolean
+ *                     description: Classify and decide as usual, but only record SHADOW_* audit entries instead of deleting, muting or warning
+ *                   mediaPolicies:
+ *                     type: object
+ *                     description: Policy per media type (photo, video, document, sticker, voice, contact, location, poll)
+ *                     additionalProperties:
+ *                       type: string
+ *                       enum: [allow, delete, strike]
  *     responses:
  *       200:
  *         description: Settings updated successfully
@@ -272,15 +573,65 @@ router.put('/:groupId/settings',
     body('settings.muteLevel').optional().isInt({ min: 0, max: 10 }),
     body('settings.kickLevel').optional().isInt({ min: 0, max: 10 }),
     body('settings.banLevel').optional().isInt({ min: 0, max: 10 }),
+    body('settings.penaltyLadders').optional().isObject()
+        .custom(ladders => isValidPenaltyLadders(ladders))
+        .withMessage('Penalty ladders must map spam, profanity, links, flood or rules to alert, mute, kick and ban levels between 0 and 10'),
+    body('settings.combinedStrikeCeiling').optional().isInt({ min: 0, max: 100 }),
     body('settings.spamThreshold').optional().isFloat({ min: 0, max: 1 }),
+    body('settings.reviewBandMin').optional().isFloat({ min: 0, max: 1 }),
     body('settings.profanityThreshold').optional().isFloat({ min: 0, max: 1 }),
     body('settings.muteDurationMinutes').optional().isInt({ min: 1, max: 10080 }),
+    body('settings.muteSchedule').optional().isArray({ max: MAX_MUTE_SCHEDULE_STEPS }),
+    body('settings.muteSchedule.*').isInt({ min: 1, max: MAX_MUTE_MINUTES }),
     body('settings.strikeExpirationDays').optional().isInt({ min: 1, max: 365 }),
     body('settings.goodBehaviorDays').optional().isInt({ min: 1, max: 365 }),
     body('settings.warningMessage').optional().isLength({ max: 500 }),
     body('settings.warningMessageDeleteSeconds').optional().isInt({ min: 5, max: 300 }),
     body('settings.keywordWhitelistBypass').optional().isBoolean(),
     body('settings.whitelistedKeywords').optional().isArray({ max: 100 }),
+    body('settings.strikeOnEditedViolation').optional().isBoolean(),
+    body(['settings.allowedDomains', 'settings.blockedDomains']).optional().isArray({ max: 200 }),
+    body(['settings.allowedDomains.*', 'settings.blockedDomains.*']).isString().trim().toLowerCase()
+        .matches(/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/).withMessage('Domains must look like example.com'),
+    body('settings.telegramInvitePolicy').optional().isIn(Object.values(ContentPolicy)),
+    body('settings.allowedScripts').optional().isArray({ max: SCRIPTS.length }),
+    body('settings.allowedScripts.*').isIn(SCRIPTS).withMessage(`Scripts must be one of ${SCRIPTS.join(', ')}`),
+    body('settings.allowedLanguages').optional().isArray({ max: LANGUAGES.length }),
+    body('settings.allowedLanguages.*').isIn(LANGUAGES).withMessage('Languages must be supported ISO 639-1 codes'),
+    body('settings.languageAction').optional().isIn(Object.values(LanguageAction)),
+    body('settings.languageMinLetters').optional().isInt({ min: 0, max: 200 }),
+    body('settings.floodMessageLimit').optional().isInt({ min: 0, max: 100 }),
+    body('settings.floodWindowSeconds').optional().isInt({ min: 1, max: 3600 }),
+    body('settings.floodAction').optional().isIn(Object.values(FloodAction)),
+    body('settings.duplicateUserThreshold').optional().isInt({ min: 0, max: 1000 })
+        .custom(value => Number(value) !== 1).withMessage('Duplicate user threshold must be 0 (disabled) or at least 2'),
+    body('settings.duplicateWindowMinutes').optional().isInt({ min: 1, max: 1440 }),
+    body('settings.raidJoinLimit').optional().isInt({ min: 0, max: 10000 }),
+    body('settings.raidJoinWindowSeconds').optional().isInt({ min: 5, max: 3600 }),
+    body('settings.lockdownSlowModeSeconds').optional().isInt({ min: 0, max: 3600 }),
+    body('settings.lockdownDurationMinutes').optional().isInt({ min: 0, max: 10080 }),
+    body('settings.probationHours').optional().isInt({ min: 0, max: 720 }),
+    body('settings.probationMessages').optional().isInt({ min: 0, max: 1000 }),
+    body('settings.probationSpamThreshold').optional().isFloat({ min: 0, max: 1 }),
+    body('settings.probationMuteOnViolation').optional().isBoolean(),
+    body('settings.captchaEnabled').optional().isBoolean(),
+    body('settings.captchaType').optional().isIn(Object.values(CaptchaType)),
+    body('settings.captchaDelivery').optional().isIn(Object.values(CaptchaDelivery)),
+    body('settings.captchaTimeoutSeconds').optional().isInt({ min: 30, max: 3600 }),
+    body('settings.captchaWelcomeMessage').optional().isLength({ max: 500 }),
+    body('settings.impersonationEnabled').optional().isBoolean(),
+    body('settings.impersonationKeywords').optional().isArray({ max: 50 }),
+    body('settings.impersonationKeywords.*').isString().trim().isLength({ min: 1, max: 64 }).withMessage('Protected words must be 1 to 64 characters'),
+    body('settings.reportChatId').optional().matches(/^(-?\d+)?$/).withMessage('Report chat ID must be a numeric chat ID or empty'),
+    body('settings.logChatId').optional().matches(/^(-?\d+)?$/).withMessage('Log chat ID must be a numeric chat ID or empty'),
+    body('settings.logChatVerbosity').optional().isIn(Object.values(LogVerbosity)),
+    body('settings.scheduleTimezone').optional().custom(timeZone => isValidSettingValue('scheduleTimezone', timeZone))
+        .withMessage('Schedule time zone must be an IANA time zone such as Europe/Berlin'),
+    body('settings.shadowMode').optional().isBoolean(),
+    body('settings.mediaPolicies').optional().isObject()
+        .custom(policies => Object.entries(policies).every(([type, policy]) =>
+            Object.values(MediaType).includes(type) && Object.values(ContentPolicy).includes(policy)))
+        .withMessage('Media policies must map known media types to allow, delete or strike'),
     groupController.updateSettings
 );
 
@@ -511,6 +862,1190 @@ router.get('/:groupId/audit/export',
     groupController.exportAuditLog
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModerationRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chatId:
+ *           type: string
+ *         pattern:
+ *           type: string
+ *           maxLength: 200
+ *           description: A phrase, or a regular expression when isRegex is true
+ *         isRegex:
+ *           type: boolean
+ *         scope:
+ *           type: string
+ *           enum: [text, caption, username, link]
+ *         action:
+ *           type: string
+ *           enum: [delete, strike, mute, ban, log]
+ *         strikeWeight:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           description: Strikes issued by the strike action
+ *         enabled:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/rules:
+ *   get:
+ *     summary: List custom moderation rules
+ *     description: Get a group's admin-defined keyword and regex rules in evaluation order
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ *   post:
+ *     summary: Add a custom moderation rule
+ *     description: |
+ *       Regular expressions are rejected if they do not compile, are longer than 200
+ *       characters, or contain nested quantifiers, repeated alternatives or backreferences.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModerationRule'
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       400:
+ *         description: Validation error or unsafe pattern
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/rules',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    ruleController.listRules
+);
+
+router.post('/:groupId/rules',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('pattern').isString().isLength({ min: 1, max: 200 }).withMessage('Pattern must be between 1 and 200 characters'),
+    body('isRegex').optional().isBoolean(),
+    body('scope').isIn(Object.values(RuleScope)).withMessage(`Scope must be one of: ${Object.values(RuleScope).join(', ')}`),
+    body('action').isIn(Object.values(RuleAction)).withMessage(`Action must be one of: ${Object.values(RuleAction).join(', ')}`),
+    body('strikeWeight').optional().isInt({ min: 1, max: 10 }),
+    body('enabled').optional().isBoolean(),
+    ruleController.createRule
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/rules/{ruleId}:
+ *   put:
+ *     summary: Change a custom moderation rule
+ *     description: Only the fields that are sent are changed
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModerationRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       400:
+ *         description: Validation error or unsafe pattern
+ *       404:
+ *         description: Rule not found
+ *   delete:
+ *     summary: Delete a custom moderation rule
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:groupId/rules/:ruleId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('ruleId').isInt({ min: 1 }).withMessage('Rule ID must be a positive integer'),
+    body('pattern').optional().isString().isLength({ min: 1, max: 200 }).withMessage('Pattern must be between 1 and 200 characters'),
+    body('isRegex').optional().isBoolean(),
+    body('scope').optional().isIn(Object.values(RuleScope)),
+    body('action').optional().isIn(Object.values(RuleAction)),
+    body('strikeWeight').optional().isInt({ min: 1, max: 10 }),
+    body('enabled').optional().isBoolean(),
+    ruleController.updateRule
+);
+
+router.delete('/:groupId/rules/:ruleId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('ruleId').isInt({ min: 1 }).withMessage('Rule ID must be a positive integer'),
+    ruleController.deleteRule
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chatId:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 64
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [sun, mon, tue, wed, thu, fri, sat]
+ *           description: Days the window starts on; empty means every day
+ *         startTime:
+ *           type: string
+ *           example: '23:00'
+ *           description: Start of the window (HH:MM) in the group's scheduleTimezone
+ *         endTime:
+ *           type: string
+ *           example: '07:00'
+ *           description: End of the window (HH:MM); earlier than startTime runs past midnight, equal to it lasts a whole day
+ *         kind:
+ *           type: string
+ *           enum: [permissions, settings]
+ *         payload:
+ *           type: object
+ *           description: |
+ *             For `permissions`, Telegram chat permissions mapped to booleans (e.g. `can_send_photos: false`).
+ *             For `settings`, group settings mapped to the values used while the window is open.
+ *           example:
+ *             can_send_photos: false
+ *             can_send_videos: false
+ *         enabled:
+ *           type: boolean
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: When the scheduler applied the entry; null while it is not in effect
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/schedules:
+ *   get:
+ *     summary: List scheduled restrictions
+ *     description: Get a group's schedule entries and the time zone they are read in
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ *   post:
+ *     summary: Add a scheduled restriction
+ *     description: |
+ *       The bot applies the entry within a minute of its window opening and reverts it when
+ *       the window closes. Both changes are written to the audit log with type `SCHEDULE`.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupSchedule'
+ *     responses:
+ *       201:
+ *         description: Schedule created successfully
+ *       400:
+ *         description: Validation error, invalid payload or too many entries
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/schedules',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    scheduleController.listSchedules
+);
+
+router.post('/:groupId/schedules',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('name').isString().trim().isLength({ min: 1, max: MAX_SCHEDULE_NAME_LENGTH }).withMessage(`Name must be between 1 and ${MAX_SCHEDULE_NAME_LENGTH} characters`),
+    body('days').optional().isArray().custom(days => days.every(day => SCHEDULE_DAYS.includes(day)))
+        .withMessage(`Days must be a list of: ${SCHEDULE_DAYS.join(', ')}`),
+    body('startTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be given as HH:MM'),
+    body('endTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be given as HH:MM'),
+    body('kind').isIn(Object.values(ScheduleKind)).withMessage(`Kind must be one of: ${Object.values(ScheduleKind).join(', ')}`),
+    body('payload').isObject().withMessage('Payload must be an object'),
+    body('enabled').optional().isBoolean(),
+    scheduleController.createSchedule
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/schedules/{scheduleId}:
+ *   put:
+ *     summary: Change a scheduled restriction
+ *     description: |
+ *       Only the fields that are sent are changed. An entry in effect is reverted and, if its
+ *       window is still open, applied again with the new values within a minute.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupSchedule'
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       400:
+ *         description: Validation error or invalid payload
+ *       404:
+ *         description: Schedule not found
+ *   delete:
+ *     summary: Delete a scheduled restriction
+ *     description: An entry in effect is reverted by the bot within a minute
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted successfully
+ *       404:
+ *         description: Schedule not found
+ */
+router.put('/:groupId/schedules/:scheduleId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('scheduleId').isInt({ min: 1 }).withMessage('Schedule ID must be a positive integer'),
+    body('name').optional().isString().trim().isLength({ min: 1, max: MAX_SCHEDULE_NAME_LENGTH }).withMessage(`Name must be between 1 and ${MAX_SCHEDULE_NAME_LENGTH} characters`),
+    body('days').optional().isArray().custom(days => days.every(day => SCHEDULE_DAYS.includes(day)))
+        .withMessage(`Days must be a list of: ${SCHEDULE_DAYS.join(', ')}`),
+    body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be given as HH:MM'),
+    body('endTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be given as HH:MM'),
+    body('kind').optional().isIn(Object.values(ScheduleKind)),
+    body('payload').optional().isObject().withMessage('Payload must be an object'),
+    body('enabled').optional().isBoolean(),
+    scheduleController.updateSchedule
+);
+
+router.delete('/:groupId/schedules/:scheduleId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('scheduleId').isInt({ min: 1 }).withMessage('Schedule ID must be a positive integer'),
+    scheduleController.deleteSchedule
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appeal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chatId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         username:
+ *           type: string
+ *         strikeLogId:
+ *           type: integer
+ *           description: Audit log ID of the appealed strike
+ *         message:
+ *           type: string
+ *           description: The member's explanation
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedBy:
+ *           type: string
+ *           description: ID of the admin who decided the appeal
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/appeals:
+ *   get:
+ *     summary: List strike appeals
+ *     description: Get the appeals members sent against their strikes, newest first
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Only return appeals with this status
+ *     responses:
+ *       200:
+ *         description: Appeals retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/appeals',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    query('status').optional().isIn(Object.values(AppealStatus)).withMessage(`Status must be one of: ${Object.values(AppealStatus).join(', ')}`),
+    appealController.listAppeals
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/appeals/{appealId}:
+ *   put:
+ *     summary: Decide a strike appeal
+ *     description: |
+ *       Approving removes the appealed strike and lifts the member's mute if they were
+ *       muted since that strike. The member is told the decision in a private message.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: appealId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Appeal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Appeal decided successfully
+ *       400:
+ *         description: Validation error or appeal already decided
+ *       404:
+ *         description: Appeal not found
+ */
+router.put('/:groupId/appeals/:appealId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('appealId').isInt({ min: 1 }).withMessage('Appeal ID must be a positive integer'),
+    body('status').isIn([AppealStatus.APPROVED, AppealStatus.REJECTED]).withMessage('Status must be approved or rejected'),
+    appealController.decideAppeal
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chatId:
+ *           type: string
+ *         messageId:
+ *           type: integer
+ *         userId:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         username:
+ *           type: string
+ *         messageExcerpt:
+ *           type: string
+ *         spamScore:
+ *           type: number
+ *         profanityScore:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, removed]
+ *         label:
+ *           type: string
+ *           enum: [clean, spam]
+ *           description: The admin's verdict, kept as classifier feedback
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *         decidedBy:
+ *           type: string
+ *           description: ID of the admin who decided the review
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/reviews:
+ *   get:
+ *     summary: List messages held for review
+ *     description: Get the messages whose spam score fell in the group's review band, newest first
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, removed]
+ *         description: Only return reviews with this status
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/reviews',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    query('status').optional().isIn(Object.values(ReviewStatus)).withMessage(`Status must be one of: ${Object.values(ReviewStatus).join(', ')}`),
+    reviewController.listReviews
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/reviews/{reviewId}:
+ *   put:
+ *     summary: Decide a held message
+ *     description: |
+ *       Approving marks the message clean and leaves it in the chat. Removing deletes it
+ *       and gives its author a spam strike. Either way the verdict is stored as the review's label.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, removed]
+ *     responses:
+ *       200:
+ *         description: Review decided successfully
+ *       400:
+ *         description: Validation error or review already decided
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:groupId/reviews/:reviewId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('reviewId').isInt({ min: 1 }).withMessage('Review ID must be a positive integer'),
+    body('status').isIn([ReviewStatus.APPROVED, ReviewStatus.REMOVED]).withMessage('Status must be approved or removed'),
+    reviewController.decideReview
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Report:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chatId:
+ *           type: string
+ *         messageId:
+ *           type: integer
+ *         reportedUserId:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *           description: First name of the reported member
+ *         username:
+ *           type: string
+ *         reporterId:
+ *           type: string
+ *           description: ID of the member who first reported the message
+ *         reason:
+ *           type: string
+ *         messageExcerpt:
+ *           type: string
+ *         reportCount:
+ *           type: integer
+ *           description: How many members reported the message
+ *         status:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *         resolution:
+ *           type: string
+ *           enum: [delete, strike, mute, ban, dismiss]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedBy:
+ *           type: string
+ *           description: ID of the admin who acted on the report
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/reports:
+ *   get:
+ *     summary: List reported messages
+ *     description: |
+ *       Get the messages members reported with /report, newest first, together with
+ *       the members whose messages were reported most often.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *         description: Only return reports with this status
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/reports',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    query('status').optional().isIn(Object.values(ReportStatus)).withMessage(`Status must be one of: ${Object.values(ReportStatus).join(', ')}`),
+    reportController.listReports
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/shadow-report:
+ *   get:
+ *     summary: Get the shadow mode report
+ *     description: |
+ *       Summarise what moderation would have done while the group was in shadow mode:
+ *       totals per action and violation type, and one page of the would-be actions with their
+ *       scores, newest first. `meta.pagination` describes the pages.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *         description: Only include the last N days (default all)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page of would-be actions
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of would-be actions per page
+ *     responses:
+ *       200:
+ *         description: Shadow report retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/shadow-report',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    shadowController.getShadowReport
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupConfig:
+ *       type: object
+ *       required: [version]
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 1
+ *         exportedAt:
+ *           type: string
+ *           format: date-time
+ *         group:
+ *           type: object
+ *           properties:
+ *             chatId:
+ *               type: string
+ *             title:
+ *               type: string
+ *         settings:
+ *           type: object
+ *           description: Any of the settings accepted by PUT /groups/{groupId}/settings
+ *         whitelistedKeywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *         moderatorIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         rules:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               pattern:
+ *                 type: string
+ *               isRegex:
+ *                 type: boolean
+ *               scope:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *               strikeWeight:
+ *                 type: integer
+ *               enabled:
+ *                 type: boolean
+ *     ConfigChanges:
+ *       type: object
+ *       properties:
+ *         groupId:
+ *           type: string
+ *         applied:
+ *           type: boolean
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/config:
+ *   get:
+ *     summary: Export the group's configuration
+ *     description: Get a versioned JSON document with the group's settings, keyword whitelist, moderators and custom rules
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Configuration exported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupConfig'
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/config',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    configController.exportConfig
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/config/import:
+ *   post:
+ *     summary: Import a configuration
+ *     description: |
+ *       Validate an exported configuration and list what it would change (dryRun), or apply it.
+ *       Settings and sections left out of the configuration are not changed.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [config]
+ *             properties:
+ *               config:
+ *                 $ref: '#/components/schemas/GroupConfig'
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Configuration compared or applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConfigChanges'
+ *       400:
+ *         description: Invalid configuration
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.post('/:groupId/config/import',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('config').isObject().withMessage('Config object is required'),
+    body('dryRun').optional().isBoolean(),
+    configController.importConfig
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/config/copy:
+ *   post:
+ *     summary: Copy another group's configuration
+ *     description: |
+ *       List what copying the configuration of another group would change (dryRun), or apply it.
+ *       The user must be an admin of both groups.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID to copy into
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sourceGroupId]
+ *             properties:
+ *               sourceGroupId:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Configuration compared or applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConfigChanges'
+ *       403:
+ *         description: Forbidden - Not an admin of both groups
+ *       404:
+ *         description: Source group not found
+ */
+router.post('/:groupId/config/copy',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('sourceGroupId').isString().notEmpty().withMessage('Source group ID is required')
+        .custom((sourceGroupId, { req }) => sourceGroupId !== req.params.groupId).withMessage('Choose a different group to copy from'),
+    body('dryRun').optional().isBoolean(),
+    configController.copyConfig
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SettingsPreset:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: A built-in preset's name, e.g. strict_crypto, or the numeric ID of a saved preset
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         settings:
+ *           type: object
+ *           description: The settings the preset applies
+ *         builtIn:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/presets:
+ *   get:
+ *     summary: List settings presets
+ *     description: Get the built-in presets and the presets the user saved
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Presets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupId:
+ *                   type: string
+ *                 presets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SettingsPreset'
+ *       403:
+ *         description: Forbidden - Not a group admin
+ *   post:
+ *     summary: Save the group's settings as a preset
+ *     description: Save the group's current settings, except its report and log chats, as one of the user's presets
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 64
+ *     responses:
+ *       201:
+ *         description: Preset saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SettingsPreset'
+ *       400:
+ *         description: Invalid name, or the user already has 20 presets
+ *       403:
+ *         description: Forbidden - Not a group admin
+ */
+router.get('/:groupId/presets',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    presetController.listPresets
+);
+
+router.post('/:groupId/presets',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('name').isString().trim().isLength({ min: 1, max: 64 }).withMessage('Name must be between 1 and 64 characters'),
+    presetController.createPreset
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/presets/apply:
+ *   post:
+ *     summary: Apply a settings preset
+ *     description: List what applying a preset would change (dryRun), or apply it
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [presetId]
+ *             properties:
+ *               presetId:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Preset compared or applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConfigChanges'
+ *       403:
+ *         description: Forbidden - Not a group admin
+ *       404:
+ *         description: Preset not found
+ */
+router.post('/:groupId/presets/apply',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    body('presetId').isString().notEmpty().withMessage('Preset ID is required'),
+    body('dryRun').optional().isBoolean(),
+    presetController.applyGroupPreset
+);
+
+/**
+ * @swagger
+ * /api/v1/groups/{groupId}/presets/{presetId}:
+ *   delete:
+ *     summary: Delete a saved preset
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *       - TelegramAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: presetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of one of the user's saved presets
+ *     responses:
+ *       200:
+ *         description: Preset deleted successfully
+ *       404:
+ *         description: Preset not found
+ */
+router.delete('/:groupId/presets/:presetId',
+    param('groupId').isString().notEmpty().withMessage('Group ID is required'),
+    param('presetId').isInt({ min: 1 }).withMessage('Preset ID must be a positive integer'),
+    presetController.deletePreset
+);
+
 // Strike management routes (existing implementation with unified auth)
 router.use('/:groupId/users/:userId/strikes', 
     param('groupId').isString().notEmpty(),
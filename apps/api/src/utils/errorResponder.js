@@ -1,5 +1,6 @@
 import logger from '@telegram-moderator/shared/services/logger.js';
 import { ERROR_TYPES, HTTP_STATUS_MESSAGES } from './errorTypes.js';
+import ApiError from './apiError.js';
 
 const errorResponder = (err, req, res, next) => {
     const isProduction = process.env.NODE_ENV === 'production';
@@ -12,7 +13,8 @@ const errorResponder = (err, req, res, next) => {
             code: err.code || `HTTP_${err.statusCode || 500}`,
             message: err.message || 'Internal Server Error',
             statusCode: err.statusCode || 500,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...(err instanceof ApiError && err.details && { details: err.details })
         }
     };
 
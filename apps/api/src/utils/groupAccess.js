@@ -0,0 +1,22 @@
+import { validationResult } from 'express-validator';
+import * as db from '@telegram-moderator/shared/services/database.js';
+import ApiError from './apiError.js';
+import { ERROR_TYPES } from './errorTypes.js';
+
+/**
+ * Throws unless the request is valid and the user administers the group.
+ *
+ * @param {import('express').Request} req - The request, after its validators have run.
+ * @param {string} [groupId] - The group to check, the one in the route by default.
+ */
+export const assertGroupAdmin = async (req, groupId = req.params.groupId) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw ApiError.badRequest('Validation error', errors.array());
+    }
+
+    const isAdmin = await db.isUserGroupAdmin(req.user.id, groupId);
+    if (!isAdmin) {
+        throw ApiError.fromType(ERROR_TYPES.FORBIDDEN, 'Access denied. User is not admin of this group');
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Lets members appeal a strike and group admins decide the appeal.
+ * Pressing "Appeal" under a warning or strike report asks the member, in a private chat,
+ * to explain why their latest strike should be removed. Their reply is stored as a
+ * pending appeal and sent to every group admin with approve/reject buttons. Each step
+ * is written to the audit log.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, editMessageText, answerCallbackQuery, getChatAdmins } from '@telegram-moderator/shared/services/telegram.js';
+import { resolveAppeal } from '@telegram-moderator/shared/services/appeals.js';
+import { appealReviewKeyboard } from '../keyboards/appealMenu.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// Longest explanation stored with an appeal; longer replies are cut off.
+const MAX_APPEAL_LENGTH = 1000;
+
+// Members who pressed "Appeal" and whose next private message is their explanation, keyed by user ID.
+// Each entry holds { chatId, strikeLogId }.
+const pendingExplanations = new Map();
+
+/**
+ * Checks that a member has a strike to appeal and asks them for their explanation.
+ *
+ * @param {object} user - The Telegram user object of the member.
+ * @param {string} chatId - The ID of the group the strike was given in.
+ * @returns {Promise<string>} The text to answer the button press with.
+ */
+const startAppeal = async (user, chatId) => {
+    const strike = await db.getLastStrikeEntry(chatId, user.id.toString());
+    if (!strike) {
+        return 'You have no strike to appeal.';
+    }
+    if (await db.getAppealByStrike(chatId, strike.id)) {
+        return 'Your latest strike has already been appealed.';
+    }
+
+    const group = await db.getGroup(chatId);
+    try {
+        await sendMessage(user.id, `📨 You are appealing your latest strike in ${group?.chatTitle || 'the group'}.\n\n`
+            + 'Please reply with one message explaining why it should be removed.');
+    } catch (error) {
+        return "I can't message you yet. Please start a private chat with me, then press Appeal again.";
+    }
+
+    pendingExplanations.set(user.id, { chatId, strikeLogId: strike.id });
+    return 'Please continue in our private chat.';
+};
+
+/**
+ * Sends a new appeal to every admin of the group.
+ *
+ * @param {object} appeal - The stored appeal.
+ * @param {object} user - The Telegram user object of the member.
+ * @param {object|undefined} strike - The `audit_log` row of the appealed strike.
+ */
+const notifyAdmins = async (appeal, user, strike) => {
+    const group = await db.getGroup(appeal.chatId);
+    const strikeData = strike ? JSON.parse(strike.logData) : {};
+    const summary = `📨 Appeal #${appeal.id} from ${user.first_name} (${user.id}) in ${group?.chatTitle || appeal.chatId}\n\n`
+        + `Strike: ${(strikeData.violationType || 'unknown').toLowerCase()}${strikeData.messageExcerpt ? ` for "${strikeData.messageExcerpt}"` : ''}\n\n`
+        + `Their explanation:\n"${appeal.message}"`;
+
+    const adminIds = await getChatAdmins(appeal.chatId);
+    for (const adminId of adminIds) {
+        try {
+            await sendMessage(adminId, summary, appealReviewKeyboard(appeal.chatId, appeal.id));
+        } catch (error) {
+            logger.warn(`Could not send appeal #${appeal.id} to admin ${adminId}`);
+        }
+    }
+};
+
+/**
+ * Whether a message is a member's explanation for an appeal they started.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @returns {boolean} True if `handleAppealMessage` should handle the message.
+ */
+export const isAwaitingAppeal = (msg) => msg.chat.type === 'private' && pendingExplanations.has(msg.from.id);
+
+/**
+ * Stores a member's explanation as a pending appeal and notifies the group admins.
+ *
+ * @param {object} msg - The Telegram message object from the private chat.
+ */
+export const handleAppealMessage = async (msg) => {
+    const { from, chat, text } = msg;
+    const pending = pendingExplanations.get(from.id);
+    if (!pending) return;
+
+    if (!text?.trim()) {
+        await sendMessage(chat.id, 'Please send your explanation as a text message.');
+        return;
+    }
+    pendingExplanations.delete(from.id);
+
+    try {
+        const { chatId, strikeLogId } = pending;
+        const appeal = await db.createAppeal(chatId, from.id.toString(), { strikeLogId, message: text.trim().substring(0, MAX_APPEAL_LENGTH) });
+        await db.logManualAction(chatId, from.id.toString(), {
+            type: 'APPEAL',
+            action: 'appeal_submitted',
+            timestamp: new Date().toISOString(),
+            user: from,
+            appealId: appeal.id,
+            strikeLogId,
+            message: appeal.message
+        });
+        logger.info(`Appeal #${appeal.id} submitted by user ${from.id} in chat ${chatId}.`);
+
+        await notifyAdmins(appeal, from, await db.getAuditEntry(chatId, strikeLogId));
+        await sendMessage(chat.id, '✅ Your appeal has been sent to the group admins. I will let you know their decision.');
+    } catch (error) {
+        logger.error(`Error submitting appeal for user ${from.id}: ${error.message}`, { stack: error.stack });
+        await sendMessage(chat.id, '❌ Your appeal could not be sent. Please try again later.');
+    }
+};
+
+/**
+ * Handles a press on an appeal button: `appeal:chatId:userId` from the member, or
+ * `appeal_approve:chatId:appealId` / `appeal_reject:chatId:appealId` from an admin.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleAppealCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [action, chatId, id] = data.split(':');
+
+    if (action === 'appeal') {
+        if (from.id.toString() !== id) {
+            await answerCallbackQuery(callbackQuery.id, { text: 'Only the member who received the strike can appeal it.' });
+            return;
+        }
+        const reply = await startAppeal(from, chatId);
+        await answerCallbackQuery(callbackQuery.id, { text: reply, show_alert: true });
+        return;
+    }
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.map(adminId => adminId.toString()).includes(from.id.toString())) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can decide appeals.' });
+        return;
+    }
+
+    const approved = action === 'appeal_approve';
+    const appeal = await resolveAppeal(chatId, Number(id), { approved, admin: from });
+    if (!appeal) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This appeal has already been decided.' });
+        return;
+    }
+
+    await editMessageText(`${message.text}\n\n${approved ? '✅ Approved' : '❌ Rejected'} by ${from.first_name}.`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+    await answerCallbackQuery(callbackQuery.id, { text: approved ? 'Appeal approved.' : 'Appeal rejected.' });
+};
+
+/**
+ * Forgets all appeals waiting for an explanation, e.g. when caches are cleared or between tests.
+ */
+export const resetPendingAppeals = () => {
+    pendingExplanations.clear();
+};
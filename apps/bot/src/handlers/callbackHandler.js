@@ -9,15 +9,46 @@ import * as telegram from '@telegram-moderator/shared/services/telegram.js';
 import { mainKeyboard } from '../keyboards/mainMenu.js';
 import { aiSensitivityKeyboard } from '../keyboards/aiSensitivityMenu.js';
 import { profanityKeyboard } from '../keyboards/profanityMenu.js';
-import { penaltyLevelsKeyboard } from '../keyboards/penaltyLevelsMenu.js';
+import { penaltyLevelsKeyboard, penaltyLadderKeyboard, CATEGORY_LABELS } from '../keyboards/penaltyLevelsMenu.js';
 import { miscKeyboard } from '../keyboards/miscMenu.js';
 import { whitelistKeyboard } from '../keyboards/whitelistMenu.js';
 import { keywordMenuKeyboard } from '../keyboards/keywordMenu.js';
 import { moderatorMenuKeyboard } from '../keyboards/moderatorMenu.js';
+import { mediaPolicyKeyboard } from '../keyboards/mediaPolicyMenu.js';
+import { linkPolicyKeyboard } from '../keyboards/linkPolicyMenu.js';
+import { languagePolicyKeyboard } from '../keyboards/languagePolicyMenu.js';
+import { floodKeyboard } from '../keyboards/floodMenu.js';
+import { duplicateKeyboard } from '../keyboards/duplicateMenu.js';
+import { captchaKeyboard } from '../keyboards/captchaMenu.js';
+import { impersonationKeyboard } from '../keyboards/impersonationMenu.js';
+import { probationKeyboard } from '../keyboards/probationMenu.js';
+import { lockdownKeyboard } from '../keyboards/lockdownMenu.js';
+import { rulesKeyboard } from '../keyboards/rulesMenu.js';
+import { schedulesKeyboard } from '../keyboards/schedulesMenu.js';
+import { modLogKeyboard } from '../keyboards/modLogMenu.js';
+import { appealKeyboard } from '../keyboards/appealMenu.js';
+import { presetsKeyboard, presetPreviewKeyboard } from '../keyboards/presetsMenu.js';
+import { getDomain } from '@telegram-moderator/shared/services/linkFilter.js';
+import { SCRIPTS, LANGUAGES } from '@telegram-moderator/shared/services/languageDetector.js';
+import { validateRulePattern } from '@telegram-moderator/shared/services/ruleEngine.js';
+import { LADDER_LEVELS } from '@telegram-moderator/shared/services/penaltyLadder.js';
+import { listPresets, getPreset, savePreset, applyPreset, presetToConfig, MAX_CUSTOM_PRESETS } from '@telegram-moderator/shared/services/presets.js';
+import { diffGroupConfig, isValidSettingValue } from '@telegram-moderator/shared/services/groupConfig.js';
+import { parseDays, validateSchedule, CHAT_PERMISSIONS, MAX_SCHEDULES } from '@telegram-moderator/shared/services/schedules.js';
+import { parseMuteSchedule, MAX_MUTE_SCHEDULE_STEPS, MAX_MUTE_MINUTES } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { MediaType, ContentPolicy, FloodAction, LanguageAction, CaptchaType, CaptchaDelivery, RuleScope, RuleAction, ScheduleKind, StrikeCategory, ReportAction, LogVerbosity } from '@telegram-moderator/shared/utils/enums.js';
 import { updateSetting, getGroupSettings } from '@telegram-moderator/shared/config/index.js';
 import * as db from '@telegram-moderator/shared/services/database.js';
 import bot from '@telegram-moderator/shared/services/telegram.js';
-import { escapeMarkdownV2 } from './commandHandler.js';
+import { escapeMarkdownV2, formatCategoryStrikes, describeStrikeDecay } from './commandHandler.js';
+import { handleCaptchaCallback } from './captchaHandler.js';
+import { handleAppealCallback } from './appealHandler.js';
+import { handleReportCallback } from './reportHandler.js';
+import { handleModLogCallback } from './modLogHandler.js';
+import { handleReviewCallback } from './reviewHandler.js';
+import { handleConfigCallback } from './configHandler.js';
+import { handleImpersonationCallback } from './impersonationHandler.js';
+import { startLockdown, endLockdown } from './lockdownHandler.js';
 
 // A simple in-memory store for tracking pending admin actions (e.g., waiting for text input).
 const userState = new Map();
@@ -30,6 +61,134 @@ let activeMenu = {
     keyboard: null,
 };
 
+// Highest strike weight a custom rule may carry.
+const MAX_RULE_STRIKE_WEIGHT = 10;
+// Highest strike count a penalty level may use, matching the settings API.
+const MAX_PENALTY_LEVEL = 10;
+
+const LANGUAGE_MENU_TEXT = 'Configure the language policy. Messages written in other languages or scripts are removed; short messages and messages with a whitelisted keyword are not checked. Empty lists allow anything.';
+
+const IMPERSONATION_MENU_TEXT = 'Configure the impersonation check. Members whose name or username looks like one of the admins\' or contains a protected word are restricted when they join or post, and the admins are alerted with buttons to clear or ban them. Lookalike letters and small typos are caught too.';
+
+const SCHEDULES_MENU_TEXT = 'Manage scheduled restrictions. Each entry changes chat permissions or settings during a time window and is reverted when the window ends. 🟢 marks entries in effect now. Tap an entry to turn it on or off.';
+
+const PRESETS_MENU_TEXT = 'Apply a preset to set thresholds, penalties, the profanity filter, strike expiration, messages and join protection in one step. 🎛️ presets are built in, 💾 presets are the ones you saved. Tap one to see what it would change.';
+
+// Longest setting value shown in a preset preview; longer ones are cut off.
+const MAX_PREVIEW_VALUE_LENGTH = 40;
+
+/**
+ * Builds the menu text for one strike category's penalty ladder.
+ */
+const ladderMenuText = (category) => `Configure the penalty ladder for *${CATEGORY_LABELS[category]}* strikes. `
+    + 'Levels count only strikes in this category; every strike still counts toward the combined ceiling. 0 disables a level.';
+
+/**
+ * Describes what applying a preset would change, one setting per line.
+ *
+ * @param {object} preset - The preset.
+ * @param {Array<{key: string, from: *, to: *}>} changes - The changes, as returned by `diffGroupConfig`.
+ * @returns {string} The menu text (Markdown).
+ */
+const describePresetChanges = (preset, changes) => {
+    const format = (value) => {
+        const text = Array.isArray(value) ? value.join(', ') || '—'
+            : value && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '—') || '—';
+        const short = text.length > MAX_PREVIEW_VALUE_LENGTH ? `${text.substring(0, MAX_PREVIEW_VALUE_LENGTH)}…` : text;
+        return `\`${short.replace(/`/g, "'")}\``;
+    };
+    const name = preset.name.replace(/[_*`[\]]/g, '');
+    const header = `*${name}*${preset.description ? `\n${preset.description}` : ''}\n\n`;
+    if (changes.length === 0) {
+        return `${header}This group already uses these settings.`;
+    }
+    return `${header}Applying it changes ${changes.length} setting(s):\n`
+        + changes.map(({ key, from, to }) => `• ${key}: ${format(from)} → ${format(to)}`).join('\n');
+};
+
+/**
+ * Parses a custom rule sent as `pattern | scope | action`, e.g. `/free\s+crypto/ | text | strike 2`.
+ * The pattern may itself contain `|`, so scope and action are taken from the end.
+ *
+ * @param {string} input - The admin's message.
+ * @returns {{rule?: object, error?: string}} The parsed rule, or an error to show the admin.
+ */
+const parseRuleInput = (input) => {
+    const parts = input.split('|');
+    if (parts.length < 3) {
+        return { error: 'Please use the format `pattern | scope | action`.' };
+    }
+    const [action, weightText] = parts.pop().trim().toLowerCase().split(/\s+/);
+    const scope = parts.pop().trim().toLowerCase();
+    const rawPattern = parts.join('|').trim();
+
+    if (!Object.values(RuleScope).includes(scope)) {
+        return { error: `Unknown scope. Use one of: ${Object.values(RuleScope).join(', ')}.` };
+    }
+    if (!Object.values(RuleAction).includes(action)) {
+        return { error: `Unknown action. Use one of: ${Object.values(RuleAction).join(', ')}.` };
+    }
+    const strikeWeight = action === RuleAction.STRIKE && weightText ? parseInt(weightText, 10) : 1;
+    if (isNaN(strikeWeight) || strikeWeight < 1 || strikeWeight > MAX_RULE_STRIKE_WEIGHT) {
+        return { error: `Strike weight must be between 1 and ${MAX_RULE_STRIKE_WEIGHT}.` };
+    }
+
+    const regexMatch = /^\/(.+)\/$/.exec(rawPattern);
+    const pattern = regexMatch ? regexMatch[1] : rawPattern;
+    const patternError = validateRulePattern(pattern, Boolean(regexMatch));
+    if (patternError) {
+        return { error: patternError };
+    }
+    return { rule: { pattern, isRegex: Boolean(regexMatch), scope, action, strikeWeight } };
+};
+
+/**
+ * Parses a schedule entry sent as `name | days | start-end | kind | changes`, e.g.
+ * `Quiet night | daily | 23:00-07:00 | permissions | can_send_photos=off, can_send_videos=off`.
+ * Setting values are read as JSON where possible, so `allowedLanguages=["en"]` works too.
+ *
+ * @param {string} input - The admin's message.
+ * @returns {{schedule?: object, error?: string}} The parsed entry, or an error to show the admin.
+ */
+const parseScheduleInput = (input) => {
+    const parts = input.split('|').map(part => part.trim());
+    if (parts.length !== 5) {
+        return { error: 'Please use the format `name | days | start-end | kind | changes`.' };
+    }
+    const [name, daysText, windowText, kindText, changesText] = parts;
+
+    const days = parseDays(daysText);
+    if (!days) {
+        return { error: 'Unknown days. Use e.g. `daily`, `mon-fri` or `sat, sun`.' };
+    }
+    const [startTime, endTime] = windowText.split('-').map(time => time.trim().padStart(5, '0'));
+    const kind = kindText.toLowerCase();
+
+    const payload = {};
+    for (const change of changesText.split(/,\s*(?=\w+\s*=)/)) {
+        const [key, ...rest] = change.split('=');
+        const rawValue = rest.join('=').trim();
+        if (!key.trim() || !rawValue) {
+            return { error: 'Please list the changes as `name=value`, separated by commas.' };
+        }
+        let value;
+        if (/^(on|yes)$/i.test(rawValue)) value = true;
+        else if (/^(off|no)$/i.test(rawValue)) value = false;
+        else {
+            try {
+                value = JSON.parse(rawValue);
+            } catch {
+                value = rawValue;
+            }
+        }
+        payload[key.trim()] = value;
+    }
+
+    const schedule = { name, days, startTime, endTime, kind, payload };
+    const error = validateSchedule(schedule);
+    return error ? { error } : { schedule };
+};
+
 /**
  * Sets or updates the state of the currently active menu message.
  */
@@ -50,6 +209,41 @@ export const handleCallback = async (callbackQuery) => {
 
     logger.info(`Callback received from ${from.id}: ${data}`);
 
+    // CAPTCHA answers come from new members, not admins, and are handled separately.
+    if (action === 'captcha') {
+        return handleCaptchaCallback(callbackQuery);
+    }
+
+    // Appeal buttons are pressed by the penalised member or by admins deciding the appeal.
+    if (['appeal', 'appeal_approve', 'appeal_reject'].includes(action)) {
+        return handleAppealCallback(callbackQuery);
+    }
+
+    // Report buttons are sent to admins together with a reported message.
+    if (Object.values(ReportAction).map(reportAction => `report_${reportAction}`).includes(action)) {
+        return handleReportCallback(callbackQuery);
+    }
+
+    // Undo/pardon buttons are pressed in the log chat, so the admin check happens there.
+    if (['modlog_pardon', 'modlog_unmute', 'modlog_unban'].includes(action)) {
+        return handleModLogCallback(callbackQuery);
+    }
+
+    // Review buttons are sent with borderline messages to the log chat or the admins.
+    if (['review_approve', 'review_remove'].includes(action)) {
+        return handleReviewCallback(callbackQuery);
+    }
+
+    // Clear/ban buttons are sent with impersonation alerts to the report chat or the admins.
+    if (['impersonation_clear', 'impersonation_ban'].includes(action)) {
+        return handleImpersonationCallback(callbackQuery);
+    }
+
+    // Apply/cancel buttons are sent privately with the changes an import or copy would make.
+    if (['config_apply', 'config_cancel'].includes(action)) {
+        return handleConfigCallback(callbackQuery);
+    }
+
     // Optimization: Fail-fast if the essential targetChatId is missing for most actions.
     if (action !== 'select_group' && !targetChatId) {
         logger.warn(`Callback handler invoked without a targetChatId for user ${from.id}. Data: ${data}`);
@@ -80,8 +274,10 @@ export const handleCallback = async (callbackQuery) => {
             } else if (nextAction === 'mystrikes') {
                 isMenuNavigation = false;
                 const strikes = await db.getStrikes(targetChatId, from.id.toString());
+                const categoryStrikes = await db.getCategoryStrikes(targetChatId, from.id.toString());
                 const history = await db.getStrikeHistory(targetChatId, from.id.toString(), 10);
                 let report = `⚖️ *Your Strike Report*\n*Group:* ${escapeMarkdownV2(group.chatTitle)}\n*Current Strikes:* ${strikes.count}\n`;
+                report += formatCategoryStrikes(categoryStrikes);
                 if (history.length > 0) {
                     report += `\n*Recent History:*\n\\(Showing last ${history.length} actions\\)\n`;
                     for (const record of history) {
@@ -98,6 +294,12 @@ export const handleCallback = async (callbackQuery) => {
                             report += `👮 *Admin:* ${escapeMarkdownV2(logData.admin.first_name)}\n`;
                             report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                             report += `💬 *Reason:* "${escapeMarkdownV2(logData.reason)}"\n`;
+                        } else if (actionType === 'APPEAL') {
+                            report += `📨 *Action:* ${escapeMarkdownV2(logData.action.replace('appeal_', 'Appeal '))}\n`;
+                            report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
+                        } else if (actionType === 'AUTO-STRIKE-DECAY') {
+                            report += `⏳ *Action:* ${escapeMarkdownV2(describeStrikeDecay(logData))}\n`;
+                            report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                         } else {
                             report += `🔥 *Action:* AUTO\\-STRIKE\n`;
                             report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
@@ -107,7 +309,12 @@ export const handleCallback = async (callbackQuery) => {
                 } else {
                     report += "\n_You have no strike history in the audit log\\._\n";
                 }
-                await telegram.editMessageText(report, { chat_id: message.chat.id, message_id: message.message_id, parse_mode: 'MarkdownV2' });
+                await telegram.editMessageText(report, {
+                    chat_id: message.chat.id,
+                    message_id: message.message_id,
+                    parse_mode: 'MarkdownV2',
+                    ...(strikes.count > 0 ? appealKeyboard(targetChatId, from.id) : {})
+                });
             } else { // Default to settings
                  text = `Managing settings for **${group.chatTitle}**. Please choose a category.`;
                  keyboard = mainKeyboard(targetChatId);
@@ -122,6 +329,42 @@ export const handleCallback = async (callbackQuery) => {
                     text = `Managing settings for **${group.chatTitle}**. Please choose a category.`;
                     keyboard = mainKeyboard(targetChatId);
                     break;
+                case 'settings_presets':
+                    text = PRESETS_MENU_TEXT;
+                    keyboard = presetsKeyboard(await listPresets(from.id.toString()), targetChatId);
+                    break;
+                case 'preview_preset':
+                case 'apply_preset': {
+                    const preset = await getPreset(from.id.toString(), params[0]);
+                    if (!preset) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Preset not found.' });
+                        return;
+                    }
+                    if (action === 'preview_preset') {
+                        const changes = await diffGroupConfig(targetChatId, presetToConfig(preset));
+                        text = describePresetChanges(preset, changes);
+                        keyboard = presetPreviewKeyboard(targetChatId, preset.id, changes.length > 0);
+                        break;
+                    }
+                    const { errors, changes } = await applyPreset(targetChatId, preset, { admin: from });
+                    if (errors.length > 0) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `This preset is no longer valid: ${errors[0]}`, show_alert: true });
+                        return;
+                    }
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `${preset.name} applied: ${changes.length} setting(s) changed` });
+                    text = PRESETS_MENU_TEXT;
+                    keyboard = presetsKeyboard(await listPresets(from.id.toString()), targetChatId);
+                    break;
+                }
+                case 'delete_preset':
+                    if (await db.deleteSettingsPreset(from.id.toString(), Number(params[0]))) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Preset deleted' });
+                    } else {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Preset not found.' });
+                    }
+                    text = PRESETS_MENU_TEXT;
+                    keyboard = presetsKeyboard(await listPresets(from.id.toString()), targetChatId);
+                    break;
                 case 'settings_ai_sensitivity':
                     text = 'Configure AI sensitivity settings:';
                     keyboard = aiSensitivityKeyboard(groupSettings, targetChatId);
@@ -134,10 +377,78 @@ export const handleCallback = async (callbackQuery) => {
                     text = 'Configure penalty level settings:';
                     keyboard = penaltyLevelsKeyboard(groupSettings, targetChatId);
                     break;
+                case 'ladder_menu':
+                case 'clear_ladder':
+                    const ladderCategory = params[0];
+                    if (!Object.values(StrikeCategory).includes(ladderCategory)) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Unknown strike category.' });
+                        return;
+                    }
+                    let ladderSettings = groupSettings;
+                    if (action === 'clear_ladder') {
+                        const { [ladderCategory]: _removed, ...remainingLadders } = groupSettings.penaltyLadders || {};
+                        await updateSetting(targetChatId, 'penaltyLadders', remainingLadders);
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `${ladderCategory} strikes now use the default levels` });
+                        ladderSettings = await getGroupSettings(targetChatId);
+                    }
+                    text = ladderMenuText(ladderCategory);
+                    keyboard = penaltyLadderKeyboard(ladderSettings, targetChatId, ladderCategory);
+                    break;
+                case 'settings_flood':
+                    text = 'Configure flood control. Users who send more than the limit within the window are actioned.';
+                    keyboard = floodKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_duplicates':
+                    text = 'Configure duplicate wave detection. Once similar text is posted by this many different users within the window, the copies so far and any further ones are removed and admins are alerted once.';
+                    keyboard = duplicateKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_rules':
+                    text = 'Manage custom rules. Each rule matches a phrase or `/regex/` against the message text, caption, sender name or links and is checked before the AI scan. Tap a rule to turn it on or off.';
+                    keyboard = rulesKeyboard(await db.getModerationRules(targetChatId), targetChatId);
+                    break;
+                case 'settings_schedules':
+                    text = SCHEDULES_MENU_TEXT;
+                    keyboard = schedulesKeyboard(await db.getSchedules(targetChatId), groupSettings, targetChatId);
+                    break;
+                case 'settings_lockdown':
+                    text = 'Configure anti-raid lockdown. When more members join inside the window than the limit allows, the group is locked: new members are restricted and slow mode applies until the lockdown ends.';
+                    keyboard = lockdownKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_probation':
+                    text = 'Configure probation for new members. Until they pass both limits, they cannot post links or media and a stricter spam threshold applies. Both limits at 0 turns probation off.';
+                    keyboard = probationKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_captcha':
+                    text = 'Configure new member verification. New members are restricted until they pass the challenge and kicked if they fail or time out.';
+                    keyboard = captchaKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_links':
+                    text = 'Configure link and domain policies. Allowlisted domains are the only ones permitted when the list is not empty.';
+                    keyboard = linkPolicyKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_language':
+                    text = LANGUAGE_MENU_TEXT;
+                    keyboard = languagePolicyKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'settings_media':
+                    text = 'Choose what happens to each type of media message:';
+                    keyboard = mediaPolicyKeyboard(groupSettings, targetChatId);
+                    break;
                 case 'settings_whitelist':
                     text = 'Manage keyword and user whitelists:';
                     keyboard = whitelistKeyboard(targetChatId);
                     break;
+                case 'settings_modlog':
+                    text = 'Configure the moderation log. Strikes, penalties and admin actions are posted as they happen to a channel or chat of your choice, with buttons to pardon strikes and undo mutes and bans. I must be able to post there.';
+                    keyboard = modLogKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'toggle_log_verbosity':
+                    const newVerbosity = groupSettings.logChatVerbosity === LogVerbosity.ALL ? LogVerbosity.PENALTIES : LogVerbosity.ALL;
+                    await updateSetting(targetChatId, 'logChatVerbosity', newVerbosity);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: newVerbosity === LogVerbosity.ALL ? 'Every deleted message will now be logged' : 'Only strikes, penalties and admin actions will now be logged' });
+                    text = 'Configure the moderation log. Strikes, penalties and admin actions are posted as they happen to a channel or chat of your choice, with buttons to pardon strikes and undo mutes and bans. I must be able to post there.';
+                    keyboard = modLogKeyboard(await getGroupSettings(targetChatId), targetChatId);
+                    break;
                 case 'settings_misc':
                     text = 'Configure miscellaneous settings:';
                     keyboard = miscKeyboard(groupSettings, targetChatId);
@@ -161,6 +472,146 @@ export const handleCallback = async (callbackQuery) => {
                     await telegram.answerCallbackQuery(callbackQuery.id);
                     return;
 
+                case 'list_domains':
+                    isMenuNavigation = false;
+                    const formatDomains = (domains) => domains?.length > 0 ? domains.map(domain => `- \`${domain}\``).join('\n') : '_None_';
+                    await telegram.sendMessage(message.chat.id, `**🚫 Blocked Domains**\n${formatDomains(groupSettings.blockedDomains)}\n\n**✅ Allowed Domains**\n${formatDomains(groupSettings.allowedDomains)}`, { parse_mode: 'Markdown' });
+                    await telegram.answerCallbackQuery(callbackQuery.id);
+                    return;
+
+                case 'cycle_flood_action':
+                    const floodActions = Object.values(FloodAction);
+                    const nextFloodAction = floodActions[(floodActions.indexOf(groupSettings.floodAction) + 1) % floodActions.length];
+                    await updateSetting(targetChatId, 'floodAction', nextFloodAction);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Flood action is now ${nextFloodAction.toUpperCase()}` });
+                    const updatedSettingsForFlood = await getGroupSettings(targetChatId);
+                    text = 'Configure flood control. Users who send more than the limit within the window are actioned.';
+                    keyboard = floodKeyboard(updatedSettingsForFlood, targetChatId);
+                    break;
+
+                case 'cycle_language_action':
+                    const languageActions = Object.values(LanguageAction);
+                    const nextLanguageAction = languageActions[(languageActions.indexOf(groupSettings.languageAction) + 1) % languageActions.length];
+                    await updateSetting(targetChatId, 'languageAction', nextLanguageAction);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Language action is now ${nextLanguageAction.toUpperCase()}` });
+                    text = LANGUAGE_MENU_TEXT;
+                    keyboard = languagePolicyKeyboard(await getGroupSettings(targetChatId), targetChatId);
+                    break;
+
+                case 'settings_impersonation':
+                    text = IMPERSONATION_MENU_TEXT;
+                    keyboard = impersonationKeyboard(groupSettings, targetChatId);
+                    break;
+                case 'toggle_impersonation':
+                    const newImpersonationValue = !groupSettings.impersonationEnabled;
+                    await updateSetting(targetChatId, 'impersonationEnabled', newImpersonationValue);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Impersonation check is now ${newImpersonationValue ? 'ON' : 'OFF'}` });
+                    text = IMPERSONATION_MENU_TEXT;
+                    keyboard = impersonationKeyboard(await getGroupSettings(targetChatId), targetChatId);
+                    break;
+                case 'toggle_captcha':
+                    const newCaptchaValue = !groupSettings.captchaEnabled;
+                    await updateSetting(targetChatId, 'captchaEnabled', newCaptchaValue);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `CAPTCHA is now ${newCaptchaValue ? 'ON' : 'OFF'}` });
+                    const updatedSettingsForCaptcha = await getGroupSettings(targetChatId);
+                    text = 'Configure new member verification. New members are restricted until they pass the challenge and kicked if they fail or time out.';
+                    keyboard = captchaKeyboard(updatedSettingsForCaptcha, targetChatId);
+                    break;
+
+                case 'toggle_rule':
+                case 'delete_rule':
+                    const rule = await db.getModerationRule(targetChatId, Number(params[0]));
+                    if (!rule) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Rule not found.' });
+                    } else if (action === 'toggle_rule') {
+                        await db.updateModerationRule(targetChatId, rule.id, { enabled: !rule.enabled });
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `Rule #${rule.id} is now ${rule.enabled ? 'OFF' : 'ON'}` });
+                    } else {
+                        await db.deleteModerationRule(targetChatId, rule.id);
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `Rule #${rule.id} deleted` });
+                    }
+                    text = 'Manage custom rules. Each rule matches a phrase or `/regex/` against the message text, caption, sender name or links and is checked before the AI scan. Tap a rule to turn it on or off.';
+                    keyboard = rulesKeyboard(await db.getModerationRules(targetChatId), targetChatId);
+                    break;
+
+                case 'toggle_schedule':
+                case 'delete_schedule':
+                    const schedule = await db.getSchedule(targetChatId, Number(params[0]));
+                    if (!schedule) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Schedule not found.' });
+                    } else if (action === 'toggle_schedule') {
+                        await db.updateSchedule(targetChatId, schedule.id, { enabled: !schedule.enabled });
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `${schedule.name} is now ${schedule.enabled ? 'OFF' : 'ON'}` });
+                    } else {
+                        await db.deleteSchedule(targetChatId, schedule.id);
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: `${schedule.name} deleted${schedule.appliedAt ? '; its changes are reverted within a minute' : ''}` });
+                    }
+                    text = SCHEDULES_MENU_TEXT;
+                    keyboard = schedulesKeyboard(await db.getSchedules(targetChatId), groupSettings, targetChatId);
+                    break;
+
+                case 'toggle_lockdown':
+                    const lockdownGroup = await db.getGroup(targetChatId);
+                    const lockdownChat = { id: targetChatId, title: lockdownGroup?.chatTitle || targetChatId };
+                    if (groupSettings.lockdownStartedAt) {
+                        await endLockdown(lockdownChat, { admin: from, reason: `Ended by ${from.first_name}` });
+                    } else {
+                        await startLockdown(lockdownChat, { admin: from, reason: `Started by ${from.first_name}` });
+                    }
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Lockdown ${groupSettings.lockdownStartedAt ? 'ended' : 'started'}` });
+                    const updatedSettingsForLockdown = await getGroupSettings(targetChatId);
+                    text = 'Configure anti-raid lockdown. When more members join inside the window than the limit allows, the group is locked: new members are restricted and slow mode applies until the lockdown ends.';
+                    keyboard = lockdownKeyboard(updatedSettingsForLockdown, targetChatId);
+                    break;
+
+                case 'end_lockdown':
+                    // Sent from the lockdown alert in an admin's private chat.
+                    isMenuNavigation = false;
+                    const alertAdminIds = await telegram.getChatAdmins(targetChatId);
+                    if (!alertAdminIds.includes(from.id)) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can end a lockdown.' });
+                        return;
+                    }
+                    const ended = await endLockdown({ id: targetChatId }, { admin: from, reason: `Ended by ${from.first_name}` });
+                    await telegram.editMessageText(ended ? `🔓 Lockdown ended by ${from.first_name}.` : 'This lockdown has already ended.', {
+                        chat_id: message.chat.id,
+                        message_id: message.message_id,
+                        reply_markup: { inline_keyboard: [] }
+                    });
+                    break;
+
+                case 'toggle_probation_mute':
+                    const newProbationMuteValue = !groupSettings.probationMuteOnViolation;
+                    await updateSetting(targetChatId, 'probationMuteOnViolation', newProbationMuteValue);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Mute on first probation violation is now ${newProbationMuteValue ? 'ON' : 'OFF'}` });
+                    const updatedSettingsForProbation = await getGroupSettings(targetChatId);
+                    text = 'Configure probation for new members. Until they pass both limits, they cannot post links or media and a stricter spam threshold applies. Both limits at 0 turns probation off.';
+                    keyboard = probationKeyboard(updatedSettingsForProbation, targetChatId);
+                    break;
+
+                case 'cycle_captcha_type':
+                case 'cycle_captcha_delivery':
+                    const captchaSettingKey = action === 'cycle_captcha_type' ? 'captchaType' : 'captchaDelivery';
+                    const captchaOptions = Object.values(action === 'cycle_captcha_type' ? CaptchaType : CaptchaDelivery);
+                    const nextCaptchaOption = captchaOptions[(captchaOptions.indexOf(groupSettings[captchaSettingKey]) + 1) % captchaOptions.length];
+                    await updateSetting(targetChatId, captchaSettingKey, nextCaptchaOption);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `CAPTCHA ${action === 'cycle_captcha_type' ? 'challenge' : 'delivery'} is now ${nextCaptchaOption.toUpperCase()}` });
+                    const updatedSettingsForCaptchaCycle = await getGroupSettings(targetChatId);
+                    text = 'Configure new member verification. New members are restricted until they pass the challenge and kicked if they fail or time out.';
+                    keyboard = captchaKeyboard(updatedSettingsForCaptchaCycle, targetChatId);
+                    break;
+
+                case 'cycle_invite_policy':
+                    const invitePolicies = Object.values(ContentPolicy);
+                    const currentInvitePolicy = groupSettings.telegramInvitePolicy || ContentPolicy.ALLOW;
+                    const nextInvitePolicy = invitePolicies[(invitePolicies.indexOf(currentInvitePolicy) + 1) % invitePolicies.length];
+                    await updateSetting(targetChatId, 'telegramInvitePolicy', nextInvitePolicy);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Invite link policy is now ${nextInvitePolicy.toUpperCase()}` });
+                    const updatedSettingsForInvites = await getGroupSettings(targetChatId);
+                    text = 'Configure link and domain policies. Allowlisted domains are the only ones permitted when the list is not empty.';
+                    keyboard = linkPolicyKeyboard(updatedSettingsForInvites, targetChatId);
+                    break;
+
                 case 'toggle_bypass':
                     const newBypassValue = !groupSettings.keywordWhitelistBypass;
                     await updateSetting(targetChatId, 'keywordWhitelistBypass', newBypassValue);
@@ -179,13 +630,87 @@ export const handleCallback = async (callbackQuery) => {
                     keyboard = profanityKeyboard(updatedSettingsForProfanity, targetChatId);
                     break;
 
+                case 'toggle_edit_strike':
+                    const newEditStrikeValue = groupSettings.strikeOnEditedViolation === false;
+                    await updateSetting(targetChatId, 'strikeOnEditedViolation', newEditStrikeValue);
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `Violating edits will now ${newEditStrikeValue ? 'receive a strike' : 'only be deleted'}` });
+                    const updatedSettingsForEdits = await getGroupSettings(targetChatId);
+                    text = 'Configure miscellaneous settings:';
+                    keyboard = miscKeyboard(updatedSettingsForEdits, targetChatId);
+                    break;
+
+                case 'toggle_shadow_mode':
+                    const newShadowValue = !groupSettings.shadowMode;
+                    await updateSetting(targetChatId, 'shadowMode', newShadowValue);
+                    await telegram.answerCallbackQuery(callbackQuery.id, {
+                        text: newShadowValue
+                            ? 'Shadow mode is ON: violations are only logged, nothing is deleted or punished.'
+                            : 'Shadow mode is OFF: moderation is enforced again.',
+                        show_alert: true
+                    });
+                    const updatedSettingsForShadow = await getGroupSettings(targetChatId);
+                    text = 'Configure miscellaneous settings:';
+                    keyboard = miscKeyboard(updatedSettingsForShadow, targetChatId);
+                    break;
+
+                case 'cycle_media':
+                    const mediaType = params[0];
+                    if (!Object.values(MediaType).includes(mediaType)) {
+                        await telegram.answerCallbackQuery(callbackQuery.id, { text: 'Unknown media type.' });
+                        return;
+                    }
+                    const policyCycle = Object.values(ContentPolicy);
+                    const currentPolicy = groupSettings.mediaPolicies?.[mediaType] || ContentPolicy.ALLOW;
+                    const nextPolicy = policyCycle[(policyCycle.indexOf(currentPolicy) + 1) % policyCycle.length];
+                    await updateSetting(targetChatId, 'mediaPolicies', { ...groupSettings.mediaPolicies, [mediaType]: nextPolicy });
+                    await telegram.answerCallbackQuery(callbackQuery.id, { text: `${mediaType} policy is now ${nextPolicy.toUpperCase()}` });
+                    const updatedSettingsForMedia = await getGroupSettings(targetChatId);
+                    text = 'Choose what happens to each type of media message:';
+                    keyboard = mediaPolicyKeyboard(updatedSettingsForMedia, targetChatId);
+                    break;
+
                 default:
                     isMenuNavigation = false;
                     userState.set(from.id, { action: data, targetChatId });
                     
                     let promptText = `Please send the new value.`;
-                    if (action.startsWith('set_')) {
+                    if (action === 'set_ladder_level') {
+                        const [ladderCategoryToSet, ladderLevel] = params;
+                        promptText = `Please send the number of *${ladderCategoryToSet}* strikes for the ${ladderLevel.replace('Level', '')} level (0 to ${MAX_PENALTY_LEVEL}, 0 disables it).`;
+                    } else if (action === 'set_mute_schedule') {
+                        promptText = `Please send the mute durations in minutes for a member's 1st, 2nd, ... mute, separated by commas (e.g. \`10, 60, 1440, 10080\`). The last one repeats. Send \`0\` to always use the mute duration.`;
+                    } else if (action === 'set_review_band') {
+                        promptText = `Please send the lowest spam score to hold for review, below the spam threshold of ${groupSettings.spamThreshold} (e.g. \`0.6\`). Messages scoring from there up to the threshold stay in the chat and are sent to the admins to decide. Send \`0\` to turn reviews off.`;
+                    } else if (action === 'set_log_chat') {
+                        promptText = `Please send the ID of the channel or chat for the moderation log (e.g. \`-1001234567890\`). I must be able to post there. Send \`0\` to turn the log off.`;
+                    } else if (action === 'set_report_chat') {
+                        promptText = `Please send the ID of the chat that should receive reports (e.g. \`-1001234567890\`). I must be a member there. Send \`0\` to send reports to each admin privately.`;
+                    } else if (action === 'set_allowed_languages') {
+                        promptText = `Please send the allowed language codes separated by commas (e.g. \`en, es\`). Supported: ${LANGUAGES.join(', ')}. Send \`0\` to allow any language.`;
+                    } else if (action === 'set_allowed_scripts') {
+                        promptText = `Please send the allowed scripts separated by commas (e.g. \`latin\`). Supported: ${SCRIPTS.join(', ')}. Send \`0\` to allow any script.`;
+                    } else if (action === 'set_impersonation_keywords') {
+                        promptText = `Please send the protected words separated by commas (e.g. \`admin, support, official\`). Members may not use them in their name or username. Send \`0\` to protect only the admins' names.`;
+                    } else if (action === 'set_schedule_timezone') {
+                        promptText = `Please send the time zone schedule entries are read in, as an IANA name (e.g. \`Europe/Berlin\` or \`America/New_York\`). Send \`UTC\` to use UTC.`;
+                    } else if (action.startsWith('set_')) {
                         promptText = `Please send the new value for **${action.replace(/_/g, ' ')}**.`;
+                    } else if (action === 'add_rule') {
+                        promptText = "Please send the rule as `pattern | scope | action`.\n\n"
+                            + "• *pattern*: a phrase, or `/regex/` for a regular expression\n"
+                            + `• *scope*: ${Object.values(RuleScope).join(', ')}\n`
+                            + `• *action*: ${Object.values(RuleAction).join(', ')} (e.g. \`strike 2\` for two strikes)\n\n`
+                            + "Example: `/free\\s+crypto/ | text | strike 2`";
+                    } else if (action === 'add_schedule') {
+                        promptText = "Please send the entry as `name | days | start-end | kind | changes`.\n\n"
+                            + "• *days*: `daily`, `mon-fri`, `sat, sun`, ...\n"
+                            + `• *start-end*: 24-hour times in \`${groupSettings.scheduleTimezone}\`; an end before the start runs past midnight\n`
+                            + `• *kind*: ${Object.values(ScheduleKind).join(' or ')}\n`
+                            + `• *changes*: \`name=value\` pairs. Permissions: ${CHAT_PERMISSIONS.map(permission => `\`${permission}\``).join(', ')}. Settings use the names from the API, e.g. \`spamThreshold=0.6\`.\n\n`
+                            + "Examples:\n`No media at night | daily | 23:00-07:00 | permissions | can_send_photos=off, can_send_videos=off`\n"
+                            + "`Strict weekends | sat, sun | 00:00-00:00 | settings | spamThreshold=0.6`";
+                    } else if (action === 'save_preset') {
+                        promptText = `Please send a name for the preset. It saves this group's current settings, except the report and log chats and the schedule time zone, so you can apply them to any group you manage (up to ${MAX_CUSTOM_PRESETS} presets).`;
                     } else if (action === 'add_keyword') {
                         promptText = "Please send the keyword you want to add to the whitelist.";
                     } else if (action === 'remove_keyword') {
@@ -194,6 +719,9 @@ export const handleCallback = async (callbackQuery) => {
                         promptText = "Please send the numeric User ID of the moderator to add.";
                     } else if (action === 'remove_mod') {
                         promptText = "Please send the numeric User ID of the moderator to remove.";
+                    } else if (action.endsWith('_domain')) {
+                        const listName = action.includes('blocked') ? 'blocked' : 'allowed';
+                        promptText = `Please send the domain to ${action.startsWith('add_') ? 'add to' : 'remove from'} the ${listName} list (e.g. \`example.com\`).`;
                     }
                 
                     await telegram.editMessageText(promptText, {
@@ -275,6 +803,17 @@ bot.on('text', async (msg) => {
                          value = result.value;
                     }
                     break;
+                case 'set_review_band': {
+                    result = handleFloatInput(text);
+                    const { spamThreshold } = await getGroupSettings(targetChatId);
+                    if (!result.valid || result.value < 0 || (result.value > 0 && result.value >= spamThreshold)) {
+                        responseMessage = `❌ Invalid value. Send a score between 0 and the spam threshold (${spamThreshold}), or 0 to turn reviews off.`;
+                    } else {
+                        settingKey = 'reviewBandMin';
+                        value = result.value;
+                    }
+                    break;
+                }
                 case 'set_profanity_threshold':
                     result = handleFloatInput(text);
                     if (result.valid && (result.value < 0 || result.value > 1)) {
@@ -304,6 +843,42 @@ bot.on('text', async (msg) => {
                     value = result.value;
                     if (!result.valid) responseMessage = `❌ Invalid value. Timer must be a positive number.`;
                     break;
+                case 'set_mute_schedule':
+                    if (/^(0|off)$/i.test(text.trim())) {
+                        settingKey = 'muteSchedule';
+                        value = [];
+                    } else {
+                        const schedule = parseMuteSchedule(text);
+                        if (!schedule || schedule.length === 0) {
+                            responseMessage = `❌ Invalid schedule. Send up to ${MAX_MUTE_SCHEDULE_STEPS} durations between 1 and ${MAX_MUTE_MINUTES} minutes, separated by commas.`;
+                        } else {
+                            settingKey = 'muteSchedule';
+                            value = schedule;
+                        }
+                    }
+                    break;
+                case 'set_log_chat':
+                    if (/^(0|off)$/i.test(text.trim())) {
+                        settingKey = 'logChatId';
+                        value = '';
+                    } else if (/^-?\d+$/.test(text.trim())) {
+                        settingKey = 'logChatId';
+                        value = text.trim();
+                    } else {
+                        responseMessage = `❌ Invalid chat ID. Send a numeric ID such as -1001234567890, or 0 to turn the log off.`;
+                    }
+                    break;
+                case 'set_report_chat':
+                    if (/^(0|off)$/i.test(text.trim())) {
+                        settingKey = 'reportChatId';
+                        value = '';
+                    } else if (/^-?\d+$/.test(text.trim())) {
+                        settingKey = 'reportChatId';
+                        value = text.trim();
+                    } else {
+                        responseMessage = `❌ Invalid chat ID. Send a numeric ID such as -1001234567890, or 0 to use admin DMs.`;
+                    }
+                    break;
                 case 'set_strike_expiration':
                 case 'set_good_behavior':
                      result = handleNumericInput(text, true);
@@ -315,6 +890,159 @@ bot.on('text', async (msg) => {
                     settingKey = 'warningMessage';
                     value = text;
                     break;
+                case 'set_flood_limit':
+                    result = handleNumericInput(text, true);
+                    settingKey = 'floodMessageLimit';
+                    value = result.value;
+                    if (!result.valid) responseMessage = `❌ Invalid value. Limit must be a positive number (0 disables flood detection).`;
+                    break;
+                case 'set_flood_window':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && (result.value < 1 || result.value > 3600)) {
+                        responseMessage = `❌ Invalid value. Window must be between 1 and 3600 seconds.`;
+                    } else {
+                        settingKey = 'floodWindowSeconds';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Window must be a positive number.`;
+                    }
+                    break;
+                case 'set_duplicate_users':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && result.value === 1) {
+                        responseMessage = `❌ Invalid value. At least 2 users are needed to detect a wave (0 disables detection).`;
+                    } else {
+                        settingKey = 'duplicateUserThreshold';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Threshold must be a positive number (0 disables detection).`;
+                    }
+                    break;
+                case 'set_raid_join_limit':
+                    result = handleNumericInput(text, true);
+                    settingKey = 'raidJoinLimit';
+                    value = result.value;
+                    if (!result.valid) responseMessage = `❌ Invalid value. Limit must be a positive number (0 disables automatic lockdown).`;
+                    break;
+                case 'set_raid_join_window':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && (result.value < 5 || result.value > 3600)) {
+                        responseMessage = `❌ Invalid value. Window must be between 5 and 3600 seconds.`;
+                    } else {
+                        settingKey = 'raidJoinWindowSeconds';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Window must be a positive number.`;
+                    }
+                    break;
+                case 'set_lockdown_slow':
+                case 'set_lockdown_duration':
+                    result = handleNumericInput(text, true);
+                    settingKey = action === 'set_lockdown_slow' ? 'lockdownSlowModeSeconds' : 'lockdownDurationMinutes';
+                    value = result.value;
+                    if (!result.valid) responseMessage = `❌ Invalid value. Please send a positive number (0 turns it off).`;
+                    break;
+                case 'set_probation_hours':
+                case 'set_probation_messages':
+                    result = handleNumericInput(text, true);
+                    settingKey = action === 'set_probation_hours' ? 'probationHours' : 'probationMessages';
+                    value = result.value;
+                    if (!result.valid) responseMessage = `❌ Invalid value. Please send a positive number (0 removes this limit).`;
+                    break;
+                case 'set_probation_threshold':
+                    result = handleFloatInput(text);
+                    if (result.valid && (result.value < 0 || result.value > 1)) {
+                        responseMessage = `❌ Invalid value. Probation spam threshold must be between 0 and 1.`;
+                    } else {
+                        settingKey = 'probationSpamThreshold';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Please send a number between 0 and 1.`;
+                    }
+                    break;
+                case 'set_captcha_timeout':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && (result.value < 30 || result.value > 3600)) {
+                        responseMessage = `❌ Invalid value. Timeout must be between 30 and 3600 seconds.`;
+                    } else {
+                        settingKey = 'captchaTimeoutSeconds';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Timeout must be a positive number.`;
+                    }
+                    break;
+                case 'set_captcha_welcome':
+                    settingKey = 'captchaWelcomeMessage';
+                    value = text;
+                    break;
+                case 'set_duplicate_window':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && (result.value < 1 || result.value > 1440)) {
+                        responseMessage = `❌ Invalid value. Window must be between 1 and 1440 minutes.`;
+                    } else {
+                        settingKey = 'duplicateWindowMinutes';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Window must be a positive number.`;
+                    }
+                    break;
+                case 'set_allowed_languages':
+                case 'set_allowed_scripts': {
+                    const supported = action === 'set_allowed_languages' ? LANGUAGES : SCRIPTS;
+                    const entries = /^(0|off|any)$/i.test(text.trim()) ? [] : [...new Set(text.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+                    const unknown = entries.filter(entry => !supported.includes(entry));
+                    if (unknown.length > 0) {
+                        responseMessage = `❌ Unknown ${action === 'set_allowed_languages' ? 'language' : 'script'}: ${unknown.join(', ')}. Supported: ${supported.join(', ')}.`;
+                    } else {
+                        settingKey = action === 'set_allowed_languages' ? 'allowedLanguages' : 'allowedScripts';
+                        value = entries;
+                    }
+                    break;
+                }
+                case 'set_language_min_letters':
+                    result = handleNumericInput(text, true);
+                    if (result.valid && result.value > 200) {
+                        responseMessage = `❌ Invalid value. Minimum letters must be between 0 and 200.`;
+                    } else {
+                        settingKey = 'languageMinLetters';
+                        value = result.value;
+                        if (!result.valid) responseMessage = `❌ Invalid value. Minimum letters must be a positive number.`;
+                    }
+                    break;
+                case 'set_impersonation_keywords': {
+                    const words = /^(0|off|none)$/i.test(text.trim()) ? [] : [...new Set(text.split(',').map(word => word.trim().toLowerCase()).filter(Boolean))];
+                    if (isValidSettingValue('impersonationKeywords', words)) {
+                        settingKey = 'impersonationKeywords';
+                        value = words;
+                    } else {
+                        responseMessage = '❌ Invalid value. Send up to 50 words of at most 64 characters each, separated by commas.';
+                    }
+                    break;
+                }
+                case 'set_schedule_timezone':
+                    if (isValidSettingValue('scheduleTimezone', text.trim())) {
+                        settingKey = 'scheduleTimezone';
+                        value = text.trim();
+                    } else {
+                        responseMessage = `❌ Unknown time zone. Send an IANA name such as Europe/Berlin or UTC.`;
+                    }
+                    break;
+                case 'set_strike_ceiling':
+                    result = handleNumericInput(text, true);
+                    settingKey = 'combinedStrikeCeiling';
+                    value = result.value;
+                    if (!result.valid) responseMessage = `❌ Invalid value. Ceiling must be a positive number (0 disables it).`;
+                    break;
+                case 'set_ladder_level':
+                    const [, , ladderCategory, ladderLevel] = data.split(':');
+                    result = handleNumericInput(text, true);
+                    if (!Object.values(StrikeCategory).includes(ladderCategory) || !LADDER_LEVELS.includes(ladderLevel)) {
+                        responseMessage = `❌ Unknown penalty ladder.`;
+                    } else if (!result.valid || result.value > MAX_PENALTY_LEVEL) {
+                        responseMessage = `❌ Invalid value. Strike level must be between 0 and ${MAX_PENALTY_LEVEL}.`;
+                    } else {
+                        // A category without a ladder starts from a copy of the default levels.
+                        const currentSettings = await getGroupSettings(targetChatId);
+                        const ladders = currentSettings.penaltyLadders || {};
+                        const ladder = ladders[ladderCategory] || Object.fromEntries(LADDER_LEVELS.map(level => [level, currentSettings[level]]));
+                        settingKey = 'penaltyLadders';
+                        value = { ...ladders, [ladderCategory]: { ...ladder, [ladderLevel]: result.value } };
+                    }
+                    break;
                 default: // Penalty Levels
                     result = handleNumericInput(text, true);
                     const levelType = action.substring(4, action.lastIndexOf('_level'));
@@ -328,6 +1056,47 @@ bot.on('text', async (msg) => {
                 await updateSetting(targetChatId, settingKey, value);
                 responseMessage = `✅ **${settingKey.replace(/([A-Z])/g, ' $1').trim()}** updated successfully.`;
             }
+        } else if (action === 'add_rule') {
+            const { rule, error } = parseRuleInput(text);
+            if (error) {
+                responseMessage = `❌ ${error}`;
+            } else {
+                const newRule = await db.addModerationRule(targetChatId, rule);
+                responseMessage = `✅ Rule #${newRule.id} added.`;
+            }
+        } else if (action === 'add_schedule') {
+            const { schedule, error } = parseScheduleInput(text);
+            if (error) {
+                responseMessage = `❌ ${error}`;
+            } else if ((await db.getSchedules(targetChatId)).length >= MAX_SCHEDULES) {
+                responseMessage = `❌ A group can have at most ${MAX_SCHEDULES} schedule entries. Delete one first.`;
+            } else {
+                await db.addSchedule(targetChatId, schedule);
+                responseMessage = `✅ Schedule **${schedule.name.replace(/[_*`[\]]/g, '')}** added. It takes effect within a minute of its window opening.`;
+            }
+        } else if (action === 'save_preset') {
+            const name = text.trim().replace(/[_*`[\]]/g, '');
+            if (!name) {
+                responseMessage = `❌ Please send a name for the preset.`;
+            } else {
+                const preset = await savePreset(from.id.toString(), name, targetChatId);
+                responseMessage = preset
+                    ? `✅ Saved the current settings as preset **${preset.name}**.`
+                    : `❌ You can save at most ${MAX_CUSTOM_PRESETS} presets. Delete one first.`;
+            }
+        } else if (action.endsWith('_domain')) {
+            const domain = getDomain(text.trim());
+            if (!domain || !domain.includes('.')) {
+                responseMessage = `❌ Invalid domain. Please send something like \`example.com\`.`;
+            } else {
+                const listKey = action.includes('blocked') ? 'blockedDomains' : 'allowedDomains';
+                const groupSettings = await getGroupSettings(targetChatId);
+                let domains = [...(groupSettings[listKey] || [])];
+                if (action.startsWith('add_') && !domains.includes(domain)) domains.push(domain);
+                else if (action.startsWith('remove_')) domains = domains.filter(d => d !== domain);
+                await updateSetting(targetChatId, listKey, domains);
+                responseMessage = `✅ Domain **${domain}** action completed.`;
+            }
         } else if (action.includes('keyword')) {
             const keyword = text.toLowerCase().trim();
             if (action === 'add_keyword') await db.addWhitelistKeyword(targetChatId, keyword);
@@ -353,18 +1122,58 @@ bot.on('text', async (msg) => {
         const group = await db.getGroup(targetChatId);
         let menuText, keyboard;
 
-        if (['set_threshold', 'toggle_bypass', 'set_spam_warning'].includes(action)) {
+        if (['set_threshold', 'set_review_band', 'toggle_bypass', 'set_spam_warning'].includes(action)) {
             menuText = 'Configure AI sensitivity settings:';
             keyboard = aiSensitivityKeyboard(updatedSettings, targetChatId);
         } else if (['set_profanity_threshold', 'set_profanity_warning', 'toggle_profanity'].includes(action)) {
             menuText = 'Configure profanity filter settings:';
             keyboard = profanityKeyboard(updatedSettings, targetChatId);
-        } else if (['set_mute_duration', 'set_warning_delete_seconds', 'set_strike_expiration', 'set_good_behavior'].includes(action)) {
+        } else if (['set_mute_duration', 'set_mute_schedule', 'set_warning_delete_seconds', 'set_strike_expiration', 'set_good_behavior', 'set_report_chat'].includes(action)) {
             menuText = 'Configure miscellaneous settings:';
             keyboard = miscKeyboard(updatedSettings, targetChatId);
-        } else if (action.startsWith('set_') && action.includes('level')) {
+        } else if (action === 'set_log_chat') {
+            menuText = 'Configure the moderation log. Strikes, penalties and admin actions are posted as they happen to a channel or chat of your choice, with buttons to pardon strikes and undo mutes and bans. I must be able to post there.';
+            keyboard = modLogKeyboard(updatedSettings, targetChatId);
+        } else if (['set_flood_limit', 'set_flood_window'].includes(action)) {
+            menuText = 'Configure flood control. Users who send more than the limit within the window are actioned.';
+            keyboard = floodKeyboard(updatedSettings, targetChatId);
+        } else if (['set_raid_join_limit', 'set_raid_join_window', 'set_lockdown_slow', 'set_lockdown_duration'].includes(action)) {
+            menuText = 'Configure anti-raid lockdown. When more members join inside the window than the limit allows, the group is locked: new members are restricted and slow mode applies until the lockdown ends.';
+            keyboard = lockdownKeyboard(updatedSettings, targetChatId);
+        } else if (['set_probation_hours', 'set_probation_messages', 'set_probation_threshold'].includes(action)) {
+            menuText = 'Configure probation for new members. Until they pass both limits, they cannot post links or media and a stricter spam threshold applies. Both limits at 0 turns probation off.';
+            keyboard = probationKeyboard(updatedSettings, targetChatId);
+        } else if (['set_allowed_languages', 'set_allowed_scripts', 'set_language_min_letters'].includes(action)) {
+            menuText = LANGUAGE_MENU_TEXT;
+            keyboard = languagePolicyKeyboard(updatedSettings, targetChatId);
+        } else if (['set_captcha_timeout', 'set_captcha_welcome'].includes(action)) {
+            menuText = 'Configure new member verification. New members are restricted until they pass the challenge and kicked if they fail or time out.';
+            keyboard = captchaKeyboard(updatedSettings, targetChatId);
+        } else if (['set_duplicate_users', 'set_duplicate_window'].includes(action)) {
+            menuText = 'Configure duplicate wave detection. Once similar text is posted by this many different users within the window, the copies so far and any further ones are removed and admins are alerted once.';
+            keyboard = duplicateKeyboard(updatedSettings, targetChatId);
+        } else if (action === 'set_ladder_level' && Object.values(StrikeCategory).includes(data.split(':')[2])) {
+            const ladderCategory = data.split(':')[2];
+            menuText = ladderMenuText(ladderCategory);
+            keyboard = penaltyLadderKeyboard(updatedSettings, targetChatId, ladderCategory);
+        } else if (action === 'set_strike_ceiling' || (action.startsWith('set_') && action.includes('level'))) {
             menuText = 'Configure penalty level settings:';
             keyboard = penaltyLevelsKeyboard(updatedSettings, targetChatId);
+        } else if (action === 'set_impersonation_keywords') {
+            menuText = IMPERSONATION_MENU_TEXT;
+            keyboard = impersonationKeyboard(updatedSettings, targetChatId);
+        } else if (['add_schedule', 'set_schedule_timezone'].includes(action)) {
+            menuText = SCHEDULES_MENU_TEXT;
+            keyboard = schedulesKeyboard(await db.getSchedules(targetChatId), updatedSettings, targetChatId);
+        } else if (action === 'save_preset') {
+            menuText = PRESETS_MENU_TEXT;
+            keyboard = presetsKeyboard(await listPresets(from.id.toString()), targetChatId);
+        } else if (action === 'add_rule') {
+            menuText = 'Manage custom rules. Each rule matches a phrase or `/regex/` against the message text, caption, sender name or links and is checked before the AI scan. Tap a rule to turn it on or off.';
+            keyboard = rulesKeyboard(await db.getModerationRules(targetChatId), targetChatId);
+        } else if (action.endsWith('_domain')) {
+            menuText = 'Configure link and domain policies. Allowlisted domains are the only ones permitted when the list is not empty.';
+            keyboard = linkPolicyKeyboard(updatedSettings, targetChatId);
         } else if (action.includes('keyword')) {
             menuText = 'Manage whitelisted keywords that bypass AI checks.';
             keyboard = keywordMenuKeyboard(targetChatId);
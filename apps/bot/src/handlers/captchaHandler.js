@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Verifies new human members with a CAPTCHA before they can post.
+ * New members are restricted on join and sent a challenge, either in the group or in a
+ * private chat with the bot. Passing gives the member the group's default permissions; a
+ * wrong answer or a timeout kicks the member. Pending challenges are stored in the database
+ * and the timeout is a job in the persistent queue, so answers and timeouts still work after
+ * a restart. Every outcome is written to the audit log.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, deleteMessage, kickUser, restrictUser, restoreDefaultPermissions, getChatMember, answerCallbackQuery } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { createChallenge } from '@telegram-moderator/shared/services/captcha.js';
+import { enqueueJob, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
+import { CaptchaDelivery, JobType } from '@telegram-moderator/shared/utils/enums.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+/**
+ * Builds the inline keyboard for a challenge. Buttons carry the group and member IDs so
+ * answers work the same whether the challenge was posted in the group or in a DM.
+ *
+ * @param {string} chatId - The ID of the group the member joined.
+ * @param {number} userId - The ID of the member being verified.
+ * @param {{options: string[]}} challenge - The challenge from `createChallenge`.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+const challengeKeyboard = (chatId, userId, challenge) => {
+    const buttons = challenge.options.map((option, index) => ({ text: option, callback_data: `captcha:${chatId}:${userId}:${index}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+        rows.push(buttons.slice(i, i + 3));
+    }
+    return { reply_markup: { inline_keyboard: rows } };
+};
+
+/**
+ * Gives a member who passed the group's default permissions, unless they were muted while
+ * being verified: the mute outlasts the check and ends on its own.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {number} userId - The ID of the member.
+ */
+const admitMember = async (chatId, userId) => {
+    const member = await getChatMember(chatId, userId);
+    if (member?.status === 'restricted' && member.until_date > Date.now() / 1000) {
+        logger.info(`User ${userId} passed the CAPTCHA in chat ${chatId} but stays muted until the mute ends.`);
+        return;
+    }
+    await restoreDefaultPermissions(chatId, userId);
+};
+
+/**
+ * Ends a verification: removes the challenge messages, admits or kicks the member, and
+ * records the outcome in the audit log.
+ *
+ * @param {{chatId: string, user: object, captchaType: string, messages: object[]}} verification - The stored verification.
+ * @param {'passed'|'failed'|'timeout'} outcome - How the verification ended.
+ */
+const endVerification = async (verification, outcome) => {
+    const { chatId, user } = verification;
+    try {
+        for (const message of verification.messages) {
+            await deleteMessage(message.chatId, message.messageId);
+        }
+
+        if (outcome === 'passed') {
+            await admitMember(chatId, user.id);
+        } else {
+            await kickUser(chatId, user.id);
+        }
+
+        await db.logManualAction(chatId, user.id.toString(), {
+            type: 'CAPTCHA',
+            action: `captcha_${outcome}`,
+            timestamp: new Date().toISOString(),
+            user,
+            captchaType: verification.captchaType,
+            reason: { passed: 'Verification passed', failed: 'Wrong answer', timeout: 'Verification timed out' }[outcome],
+            executedBy: 'AUTO_MODERATOR'
+        });
+        logger.info(`CAPTCHA ${outcome} for user ${user.id} in chat ${chatId}.`);
+    } catch (error) {
+        logger.error(`Error finishing CAPTCHA for user ${user.id} in chat ${chatId}: ${error.message}`, { stack: error.stack });
+    }
+};
+
+/**
+ * Ends a pending verification on an answer and cancels its timeout. Does nothing if the
+ * verification already ended, e.g. through its timeout.
+ *
+ * @param {object} verification - The stored verification.
+ * @param {'passed'|'failed'} outcome - How the verification ended.
+ */
+const finishVerification = async (verification, outcome) => {
+    const userId = verification.user.id.toString();
+    if (!(await db.deleteCaptchaVerification(verification.chatId, userId))) return;
+    try {
+        await cancelJobs(JobType.CAPTCHA_TIMEOUT, `${verification.chatId}:${userId}`);
+    } catch (error) {
+        // The timeout job finds no pending verification and does nothing.
+        logger.warn(`Could not cancel the CAPTCHA timeout for user ${userId} in chat ${verification.chatId}: ${error.message}`);
+    }
+    await endVerification(verification, outcome);
+};
+
+/**
+ * Starts verification for a single new member.
+ *
+ * @param {object} chat - The Telegram chat object of the group.
+ * @param {object} member - The Telegram user object of the new member.
+ * @param {object} settings - The settings object for the group.
+ * @param {string} botUsername - The bot's username, used for the DM deep link.
+ */
+const startVerification = async (chat, member, settings, botUsername) => {
+    const chatId = chat.id.toString();
+    const userId = member.id.toString();
+    const key = `${chatId}:${userId}`;
+
+    // A member who rejoins during a pending check starts over with a fresh challenge.
+    const previous = await db.getCaptchaVerification(chatId, userId);
+    if (previous) {
+        await cancelJobs(JobType.CAPTCHA_TIMEOUT, key);
+        for (const message of previous.messages) {
+            await deleteMessage(message.chatId, message.messageId);
+        }
+        await db.deleteCaptchaVerification(chatId, userId);
+    }
+
+    try {
+        await restrictUser(chat.id, member.id);
+    } catch (error) {
+        logger.warn(`Could not restrict new member ${member.id} in chat ${chatId}; skipping CAPTCHA. ${error.response?.body?.description || error.message}`);
+        return;
+    }
+
+    const challenge = createChallenge(settings.captchaType);
+    const welcome = (settings.captchaWelcomeMessage || '').replace(/\{user\}/g, member.first_name);
+    const timeoutNote = `⏱️ You have ${settings.captchaTimeoutSeconds} seconds.`;
+
+    let sentMessage;
+    if (settings.captchaDelivery === CaptchaDelivery.DM && botUsername) {
+        sentMessage = await sendMessage(chat.id, `${welcome}\n\nPlease verify in a private chat with me. ${timeoutNote}`, {
+            reply_markup: { inline_keyboard: [[{ text: '✅ Verify', url: `https://t.me/${botUsername}?start=verify_${chatId}` }]] }
+        });
+    } else {
+        sentMessage = await sendMessage(chat.id, `${welcome}\n\n${challenge.question}\n${timeoutNote}`, challengeKeyboard(chatId, member.id, challenge));
+    }
+
+    await db.saveCaptchaVerification({
+        chatId,
+        user: member,
+        captchaType: settings.captchaType,
+        challenge,
+        messages: sentMessage ? [{ chatId: chat.id, messageId: sentMessage.message_id }] : []
+    });
+    await enqueueJob(JobType.CAPTCHA_TIMEOUT, { chatId, userId }, { delayMs: settings.captchaTimeoutSeconds * 1000, key });
+};
+
+/**
+ * Handles `new_chat_members` updates: every new human member of a group with CAPTCHA
+ * enabled is restricted and challenged.
+ *
+ * @param {object} msg - The Telegram message object carrying `new_chat_members`.
+ * @param {object} botUser - The bot's own user object.
+ */
+export const handleNewMembers = async (msg, botUser) => {
+    const { chat } = msg;
+    if (chat.type === 'private') return;
+
+    const settings = await getGroupSettings(chat.id.toString());
+    if (!settings.captchaEnabled) return;
+
+    for (const member of msg.new_chat_members) {
+        if (member.is_bot) continue;
+        try {
+            await startVerification(chat, member, settings, botUser?.username);
+        } catch (error) {
+            logger.error(`Error starting CAPTCHA for user ${member.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+        }
+    }
+};
+
+/**
+ * Sends a member's pending challenge to them in a private chat.
+ * Called when they open the bot through the deep link posted in the group.
+ *
+ * @param {object} user - The Telegram user object of the member.
+ * @param {string} chatId - The ID of the group being verified for.
+ */
+export const sendPrivateChallenge = async (user, chatId) => {
+    const pending = await db.getCaptchaVerification(chatId, user.id.toString());
+    if (!pending) {
+        await sendMessage(user.id, 'There is no pending verification for you. It may have expired.');
+        return;
+    }
+
+    const sentMessage = await sendMessage(user.id, pending.challenge.question, challengeKeyboard(chatId, user.id, pending.challenge));
+    await db.addCaptchaMessage(chatId, user.id.toString(), { chatId: user.id, messageId: sentMessage.message_id });
+};
+
+/**
+ * Handles a press on a challenge button (`captcha:chatId:userId:optionIndex`).
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleCaptchaCallback = async (callbackQuery) => {
+    const { from, data } = callbackQuery;
+    const [, chatId, userId, choice] = data.split(':');
+
+    if (from.id.toString() !== userId) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This check is not for you.' });
+        return;
+    }
+
+    const pending = await db.getCaptchaVerification(chatId, userId);
+    if (!pending) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This check has expired.' });
+        return;
+    }
+
+    const passed = Number(choice) === pending.challenge.answerIndex;
+    await finishVerification(pending, passed ? 'passed' : 'failed');
+    await answerCallbackQuery(callbackQuery.id, { text: passed ? '✅ Verified, welcome!' : '❌ Wrong answer.' });
+};
+
+/**
+ * Runs a `CAPTCHA_TIMEOUT` job: kicks the member if their verification is still pending.
+ * Members who answered meanwhile no longer have one and are left alone.
+ *
+ * @param {object} payload - The job payload: the group's `chatId` and the member's `userId`.
+ */
+export const handleCaptchaTimeout = async ({ chatId, userId }) => {
+    const verification = await db.getCaptchaVerification(chatId, userId);
+    if (!verification || !(await db.deleteCaptchaVerification(chatId, userId))) return;
+    await endVerification(verification, 'timeout');
+};
@@ -4,17 +4,36 @@
  */
 
 import 'dotenv/config';
-import { sendMessage, getChatAdmins, deleteMessage, getChatMember, sendDocument } from '@telegram-moderator/shared/services/telegram.js';
+import { sendMessage, getChatAdmins, deleteMessage, getChatMember, sendDocument, muteUser, unrestrictUser, kickUser, banUser, unbanUser } from '@telegram-moderator/shared/services/telegram.js';
 import * as db from '@telegram-moderator/shared/services/database.js';
+import { deleteMessageLater, sendMessageLater, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
 import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { formatMuteDuration, MAX_MUTE_MINUTES } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { parseDuration } from '@telegram-moderator/shared/utils/duration.js';
 import logger from '@telegram-moderator/shared/services/logger.js';
 import { mainKeyboard } from '../keyboards/mainMenu.js';
+import { appealKeyboard } from '../keyboards/appealMenu.js';
 import { setActiveMenu } from './callbackHandler.js';
+import { sendPrivateChallenge } from './captchaHandler.js';
+import { startLockdown, endLockdown } from './lockdownHandler.js';
+import { handleReportCommand } from './reportHandler.js';
+import { handleFederationCommand } from './federationHandler.js';
+import { handleConfigCommand } from './configHandler.js';
+import { JobType } from '@telegram-moderator/shared/utils/enums.js';
 import { Buffer } from 'buffer';
 
 // The global "Super Admin" for bot-wide diagnostics.
 const SUPER_ADMIN_USER_ID = process.env.ADMIN_USER_ID;
 
+// Admin commands that act on the author of the message they reply to.
+const REPLY_COMMANDS = ['/warn', '/mute', '/kick', '/ban', '/unmute', '/unban'];
+
+// Admin commands that manage the group's federation and its shared ban list.
+const FEDERATION_COMMANDS = ['/newfed', '/joinfed', '/leavefed', '/fedinfo', '/fban', '/funban'];
+
+// Admin commands that export, import or copy the group's configuration.
+const CONFIG_COMMANDS = ['/exportconfig', '/importconfig', '/copyconfig'];
+
 // Validate super admin configuration
 if (!SUPER_ADMIN_USER_ID) {
     logger.warn('ADMIN_USER_ID not set in environment variables. Super admin commands will be disabled.');
@@ -32,6 +51,50 @@ export const escapeMarkdownV2 = (text) => {
     return text.replace(/[_*[\]()~`>#+\-=|{}.!]/g, '\\$&');
 };
 
+/**
+ * Formats a member's per category strike counts as a MarkdownV2 line for strike reports.
+ * @param {object} categoryStrikes - The counts from `getCategoryStrikes`, e.g. `{ spam: 2, links: 1 }`.
+ * @returns {string} The escaped line, or an empty string if no category has strikes.
+ */
+export const formatCategoryStrikes = (categoryStrikes) => {
+    const entries = Object.entries(categoryStrikes || {});
+    if (entries.length === 0) return '';
+    return `*By Category:* ${escapeMarkdownV2(entries.map(([category, count]) => `${category} ${count}`).join(', '))}\n`;
+};
+
+/**
+ * Describes an `AUTO-STRIKE-DECAY` audit log entry, e.g. "2 strike(s) expired".
+ * @param {object} logData - The parsed `logData` of the entry.
+ * @returns {string} A short description.
+ */
+export const describeStrikeDecay = (logData) => (logData.action === 'strikes_expired'
+    ? `${logData.amount} strike(s) expired`
+    : 'Strike forgiven for good behavior');
+
+/**
+ * Describes an admin's action from its `MANUAL-*` audit log entry, e.g. "Muted for 2 hours".
+ * @param {object} logData - The parsed `logData` of the entry.
+ * @returns {string} A short description, or the entry type if it is not known.
+ */
+export const describeManualAction = (logData) => {
+    switch (logData.type) {
+        case 'MANUAL-STRIKE-ADD': return `Added ${logData.amount} strike(s)`;
+        case 'MANUAL-STRIKE-REMOVE': return `Removed ${logData.amount} strike(s)`;
+        case 'MANUAL-STRIKE-SET': return `Set strikes to ${logData.amount}`;
+        case 'MANUAL-WARN': return 'Warned (+1 strike)';
+        case 'MANUAL-MUTE': return `Muted for ${formatMuteDuration(logData.durationMinutes)}`;
+        case 'MANUAL-KICK': return 'Kicked';
+        case 'MANUAL-BAN': return logData.durationMinutes ? `Banned for ${formatMuteDuration(logData.durationMinutes)}` : 'Banned permanently';
+        case 'MANUAL-UNMUTE': return 'Unmuted';
+        case 'MANUAL-UNBAN': return 'Unbanned';
+        case 'MANUAL-DELETE': return 'Deleted a reported message';
+        case 'MANUAL-FBAN': return `Banned from the federation "${logData.federationName}"`;
+        case 'MANUAL-FUNBAN': return `Unbanned from the federation "${logData.federationName}"`;
+        case 'MANUAL-IMPERSONATION-CLEAR': return 'Cleared of impersonation';
+        default: return logData.type;
+    }
+};
+
 /**
  * Handles command usage errors by sending a temporary message and deleting both it and the original command.
  * @param {object} originalMessage - The user's original message object.
@@ -41,15 +104,27 @@ const handleCommandError = async (originalMessage, errorText) => {
     try {
         const escapedErrorText = escapeMarkdownV2(errorText);
         const errorMsg = await sendMessage(originalMessage.chat.id, escapedErrorText, { parse_mode: 'MarkdownV2' });
-        setTimeout(() => {
-            deleteMessage(originalMessage.chat.id, originalMessage.message_id).catch(() => {});
-            deleteMessage(originalMessage.chat.id, errorMsg.message_id).catch(() => {});
-        }, 5000);
+        await deleteMessageLater(originalMessage.chat.id, originalMessage.message_id, 5000);
+        await deleteMessageLater(originalMessage.chat.id, errorMsg.message_id, 5000);
     } catch (error) {
         logger.error(`Failed to handle command error in chat ${originalMessage.chat.id}`, error);
     }
 };
 
+/**
+ * Posts a short-lived reply in the group, so the command leaves no trace once answered.
+ * Unlike `handleCommandError` the text is sent as is and the command itself is kept.
+ *
+ * @param {object} chat - The Telegram chat object of the group.
+ * @param {string} text - The text to post.
+ */
+export const replyBriefly = async (chat, text) => {
+    const sent = await sendMessage(chat.id, text);
+    if (sent) {
+        await deleteMessageLater(chat.id, sent.message_id, 5000);
+    }
+};
+
 
 /**
  * Processes and responds to recognized commands.
@@ -74,10 +149,15 @@ export const handleCommand = async (msg) => {
  */
 const handlePrivateCommand = async (msg) => {
     const { from, chat, text } = msg;
-    const command = text.split(/\s+/)[0];
+    const [command, payload] = text.split(/\s+/);
 
     switch (command) {
         case '/start':
+            // Deep link from a group's CAPTCHA message: /start verify_<chatId>
+            if (payload?.startsWith('verify_')) {
+                await sendPrivateChallenge(from, payload.substring('verify_'.length));
+                break;
+            }
             const welcomeMessage = `
 Hello\\! I am the AI Moderator Bot 🤖
 
@@ -106,6 +186,9 @@ Hello\\! Here is a complete list of my commands\\.
 \`/mystrikes\`
 _Check your own strike count privately\\._
 
+\`/report [reason...]\`
+_Reply to a message with this in a group to report it to the admins\\._
+
 \`/help\`
 _Shows this help message\\._
 
@@ -133,6 +216,51 @@ _Sets a user's strike count to a specific number\\._
 \`/auditlog\`
 _View recent moderation actions\\._
 
+\`/lockdown <on|off>\`
+_Starts or ends an anti\\-raid lockdown\\._
+
+*Reply to a member's message with:*
+\`/warn [reason...]\`
+_Warns the member and adds 1 strike\\._
+
+\`/mute [duration] [reason...]\`
+_Mutes the member, e\\.g\\. /mute 2h spamming\\. Defaults to the group's mute duration\\._
+
+\`/kick [reason...]\`
+_Removes the member; they can rejoin\\._
+
+\`/ban [duration] [reason...]\`
+_Bans the member, permanently unless a duration such as 7d is given\\._
+
+\`/unmute\` and \`/unban\`
+_Lift a mute or ban\\._
+
+*Federations \\(groups sharing one ban list\\):*
+\`/newfed <name>\`
+_Creates a federation with this group in it\\. Group owner only\\._
+
+\`/joinfed <id>\`
+_Adds this group to your federation\\. Federation owner only, who must own this group or be able to ban here\\._
+
+\`/leavefed\` and \`/fedinfo\`
+_Leave the federation, or show its groups and ban count\\._
+
+\`/fban [user] [reason...]\`
+_Bans a user from every group in the federation where they are not an admin\\. Reply to their message or give an ID or @username\\._
+
+\`/funban [user]\`
+_Lifts a federation ban\\._
+
+*Configuration:*
+\`/exportconfig\`
+_Sends you this group's settings, whitelist, moderators and rules as a JSON file\\._
+
+\`/importconfig\`
+_Reply to such a file to apply it here, after confirming the changes privately\\._
+
+\`/copyconfig <group ID>\`
+_Copies the configuration of another group you administer, after confirming the changes\\._
+
 ─────────────────────
 
 ${SUPER_ADMIN_USER_ID && from.id.toString() === SUPER_ADMIN_USER_ID ? `👑 *Super Administrator Commands*
@@ -202,8 +330,12 @@ const handleGroupCommand = async (msg) => {
         return handlePublicGroupCommand(msg, isAdmin);
     }
 
+    if (command === '/report') {
+        return handleReportCommand(msg, adminIds);
+    }
+
     // --- Admin-only Commands ---
-    const adminCommands = ['/register', '/status', '/removestrike', '/addstrike', '/setstrike', '/checkstrikes', '/auditlog'];
+    const adminCommands = ['/register', '/status', '/removestrike', '/addstrike', '/setstrike', '/checkstrikes', '/auditlog', '/lockdown'];
     if (adminCommands.includes(command)) {
         if (!isAdmin) {
             return handleCommandError(msg, 'You must be an admin to use this command.');
@@ -211,6 +343,30 @@ const handleGroupCommand = async (msg) => {
         return handleAdminCommand(msg);
     }
 
+    // --- Reply-based Moderation Commands ---
+    if (REPLY_COMMANDS.includes(command)) {
+        if (!isAdmin) {
+            return handleCommandError(msg, 'You must be an admin to use this command.');
+        }
+        return handleReplyCommand(msg, adminIds);
+    }
+
+    // --- Federation Commands ---
+    if (FEDERATION_COMMANDS.includes(command)) {
+        if (!isAdmin) {
+            return handleCommandError(msg, 'You must be an admin to use this command.');
+        }
+        return handleFederationCommand(msg, adminIds);
+    }
+
+    // --- Configuration Commands ---
+    if (CONFIG_COMMANDS.includes(command)) {
+        if (!isAdmin) {
+            return handleCommandError(msg, 'You must be an admin to use this command.');
+        }
+        return handleConfigCommand(msg);
+    }
+
     // --- Super Admin Commands ---
     const superAdminCommands = ['/globalstats', '/maintenance', '/broadcast', '/forceupdate', '/clearcache'];
     if (superAdminCommands.includes(command)) {
@@ -241,8 +397,10 @@ const handlePublicGroupCommand = async (msg, isAdmin) => {
     if (command === '/mystrikes') {
         try {
             const strikes = await db.getStrikes(chat.id.toString(), from.id.toString());
+            const categoryStrikes = await db.getCategoryStrikes(chat.id.toString(), from.id.toString());
             const history = await db.getStrikeHistory(chat.id.toString(), from.id.toString(), 10);
             let report = `⚖️ *Your Strike Report*\n*Group:* ${escapeMarkdownV2(chat.title)}\n*Current Strikes:* ${strikes.count}\n`;
+            report += formatCategoryStrikes(categoryStrikes);
             if (history.length > 0) {
                 report += `\n*Recent History:*\n\\(Showing last ${history.length} actions\\)\n`;
                 for (const record of history) {
@@ -259,6 +417,12 @@ const handlePublicGroupCommand = async (msg, isAdmin) => {
                         report += `👮 *Admin:* ${escapeMarkdownV2(logData.admin.first_name)}\n`;
                         report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                         report += `💬 *Reason:* "${escapeMarkdownV2(logData.reason)}"\n`;
+                    } else if (actionType === 'APPEAL') {
+                        report += `📨 *Action:* ${escapeMarkdownV2(logData.action.replace('appeal_', 'Appeal '))}\n`;
+                        report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
+                    } else if (actionType === 'AUTO-STRIKE-DECAY') {
+                        report += `⏳ *Action:* ${escapeMarkdownV2(describeStrikeDecay(logData))}\n`;
+                        report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                     } else {
                         report += `🔥 *Action:* AUTO\\-STRIKE\n`;
                         report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
@@ -268,21 +432,22 @@ const handlePublicGroupCommand = async (msg, isAdmin) => {
             } else {
                 report += "\n_You have no strike history in the audit log\\._\n";
             }
-            await sendMessage(from.id, report, { parse_mode: 'MarkdownV2' });
+            // Members with strikes can appeal the latest one from the report.
+            await sendMessage(from.id, report, { parse_mode: 'MarkdownV2', ...(strikes.count > 0 ? appealKeyboard(chat.id.toString(), from.id) : {}) });
             const confirmationMsg = await sendMessage(chat.id, `I've sent your strike report to you in a private message, ${from.first_name}.`);
-            setTimeout(() => deleteMessage(chat.id, confirmationMsg.message_id), 3000);
+            await deleteMessageLater(chat.id, confirmationMsg.message_id, 3000);
         } catch (error) {
             if (error.response?.body.description.includes("bot can't initiate conversation")) {
                 const errorMsg = await sendMessage(chat.id, `${from.first_name}, I can't send you a private message. Please start a chat with me first!`);
-                setTimeout(() => deleteMessage(chat.id, errorMsg.message_id), 5000);
+                await deleteMessageLater(chat.id, errorMsg.message_id, 5000);
             } else {
                 logger.error(`Failed to send /mystrikes info to user ${from.id}`, error);
             }
         }
     } else if (command === '/help') {
-        let helpText = `Hello\\! Here is a list of commands available to you\\.\n\n\`<required>\` brackets mean a value must be provided\\.\n\`[optional]\` brackets mean a value is not required\\.\n\n─────────────────────\n\n👤 *Public Commands*\n\`/mystrikes\`\n_Check your own strike count privately\\._\n\n\`/help\`\n_Shows this help message\\._`;
+        let helpText = `Hello\\! Here is a list of commands available to you\\.\n\n\`<required>\` brackets mean a value must be provided\\.\n\`[optional]\` brackets mean a value is not required\\.\n\n─────────────────────\n\n👤 *Public Commands*\n\`/mystrikes\`\n_Check your own strike count privately\\._\n\n\`/report [reason...]\`\n_Reply to a message with this to report it to the admins\\._\n\n\`/help\`\n_Shows this help message\\._`;
         if (isAdmin) {
-            helpText += `\n\n─────────────────────\n\n🛡️ *Administrator Commands*\n\`/status\`\n_Displays the bot's current settings\\._\n\n\`/checkstrikes <@user>\`\n_View a user's strike history\\._\n\n\`/addstrike <@user> <amount> [reason...]\`\n_Adds a number of strikes to a user\\._\n\n\`/removestrike <@user> [amount] [reason...]\`\n_Removes strikes from a user\\. Amount defaults to 1\\._\n\n\`/setstrike <@user> <amount> [reason...]\`\n_Sets a user's strike count to a specific number\\._\n\n\`/auditlog\`\n_View recent moderation actions\\._`;
+            helpText += `\n\n─────────────────────\n\n🛡️ *Administrator Commands*\n\`/status\`\n_Displays the bot's current settings\\._\n\n\`/checkstrikes <@user>\`\n_View a user's strike history\\._\n\n\`/addstrike <@user> <amount> [reason...]\`\n_Adds a number of strikes to a user\\._\n\n\`/removestrike <@user> [amount] [reason...]\`\n_Removes strikes from a user\\. Amount defaults to 1\\._\n\n\`/setstrike <@user> <amount> [reason...]\`\n_Sets a user's strike count to a specific number\\._\n\n\`/auditlog\`\n_View recent moderation actions\\._\n\n\`/lockdown <on|off>\`\n_Starts or ends an anti\\-raid lockdown\\._\n\n*Reply to a member's message with:*\n\`/warn [reason...]\`\n_Warns the member and adds 1 strike\\._\n\n\`/mute [duration] [reason...]\`\n_Mutes the member, e\\.g\\. /mute 2h spamming\\._\n\n\`/kick [reason...]\`\n_Removes the member; they can rejoin\\._\n\n\`/ban [duration] [reason...]\`\n_Bans the member, permanently unless a duration such as 7d is given\\._\n\n\`/unmute\` and \`/unban\`\n_Lift a mute or ban\\._`;
         }
         helpText += `\n\n─────────────────────`;
         if (isAdmin) {
@@ -291,11 +456,11 @@ const handlePublicGroupCommand = async (msg, isAdmin) => {
         try {
             await sendMessage(from.id, helpText, { parse_mode: 'MarkdownV2' });
             const confirmationMsg = await sendMessage(chat.id, `I've sent you the command list in a private message, ${from.first_name}.`);
-            setTimeout(() => deleteMessage(chat.id, confirmationMsg.message_id), 3000);
+            await deleteMessageLater(chat.id, confirmationMsg.message_id, 3000);
         } catch (error) {
              if (error.response?.body.description.includes("bot can't initiate conversation")) {
                 const errorMsg = await sendMessage(chat.id, `${from.first_name}, I can't send you a private message. Please start a chat with me first!`);
-                setTimeout(() => deleteMessage(chat.id, errorMsg.message_id), 5000);
+                await deleteMessageLater(chat.id, errorMsg.message_id, 5000);
             } else {
                 logger.error(`Failed to send /help info to user ${from.id}`, error);
             }
@@ -328,10 +493,23 @@ const handleAdminCommand = async (msg) => {
             // This command leaves a permanent message, so we don't delete the original.
             const groupSettings = await getGroupSettings(chat.id.toString());
             const deletionsToday = await db.getTotalDeletionsToday(chat.id.toString());
-            const response = `**📊 Bot Status & Configuration for ${chat.title}**\n\n**⚖️ Penalty Levels** (\`0\` = disabled)\n- Alert on Strike: \`${groupSettings.alertLevel}\`\n- Mute on Strike: \`${groupSettings.muteLevel}\`\n- Kick on Strike: \`${groupSettings.kickLevel}\`\n- Ban on Strike: \`${groupSettings.banLevel}\`\n\n**🧠 AI & Content**\n- Spam Threshold: \`${groupSettings.spamThreshold}\`\n- Profanity Filter: \`${groupSettings.profanityEnabled ? 'ON' : 'OFF'}\`\n- Profanity Threshold: \`${groupSettings.profanityThreshold}\`\n- Keyword Bypass Mode: \`${groupSettings.keywordWhitelistBypass ? 'ON' : 'OFF'}\`\n\n**⚙️ Other Settings**\n- Mute Duration: \`${groupSettings.muteDurationMinutes} minutes\`\n- Whitelisted Keywords: \`${groupSettings.whitelistedKeywords.join(', ') || 'None'}\`\n- Manual User Whitelist: \`${groupSettings.moderatorIds.join(', ') || 'None'}\`\n\n**📈 Stats**\n- Deletions Today: \`${deletionsToday}\``;
+            const response = `**📊 Bot Status & Configuration for ${chat.title}**\n\n**⚖️ Penalty Levels** (\`0\` = disabled)\n- Alert on Strike: \`${groupSettings.alertLevel}\`\n- Mute on Strike: \`${groupSettings.muteLevel}\`\n- Kick on Strike: \`${groupSettings.kickLevel}\`\n- Ban on Strike: \`${groupSettings.banLevel}\`\n\n**🧠 AI & Content**\n- Spam Threshold: \`${groupSettings.spamThreshold}\`\n- Profanity Filter: \`${groupSettings.profanityEnabled ? 'ON' : 'OFF'}\`\n- Profanity Threshold: \`${groupSettings.profanityThreshold}\`\n- Keyword Bypass Mode: \`${groupSettings.keywordWhitelistBypass ? 'ON' : 'OFF'}\`\n\n**⚙️ Other Settings**\n- Mute Duration: \`${groupSettings.muteDurationMinutes} minutes\`\n- Whitelisted Keywords: \`${groupSettings.whitelistedKeywords.join(', ') || 'None'}\`\n- Manual User Whitelist: \`${groupSettings.moderatorIds.join(', ') || 'None'}\`\n- Shadow Mode: \`${groupSettings.shadowMode ? 'ON (violations are only logged)' : 'OFF'}\`\n\n**📈 Stats**\n- Deletions Today: \`${deletionsToday}\``;
             await sendMessage(chat.id, response, { parse_mode: 'Markdown' });
             break;
 
+        case '/lockdown':
+            await deleteMessage(chat.id, msg.message_id);
+            if (target === 'on') {
+                const started = await startLockdown(chat, { admin: from, reason: `Started by ${from.first_name}` });
+                if (!started) await handleCommandError(msg, 'This group is already in lockdown.');
+            } else if (target === 'off') {
+                const ended = await endLockdown(chat, { admin: from, reason: `Ended by ${from.first_name}` });
+                if (!ended) await handleCommandError(msg, 'This group is not in lockdown.');
+            } else {
+                await handleCommandError(msg, 'Invalid usage. Use /lockdown on or /lockdown off.');
+            }
+            break;
+
         case '/auditlog':
             try {
                 const logs = await db.getAuditLog(chat.id.toString(), 100);
@@ -350,13 +528,12 @@ const handleAdminCommand = async (msg) => {
                             logReport += `Date: ${timestamp}\n`;
                             if (actionType.startsWith('MANUAL')) {
                                 const admin = logData.admin;
-                                let actionDetail = logData.type;
-                                if (logData.type === 'MANUAL-STRIKE-ADD') actionDetail = `Added ${logData.amount} strike(s)`;
-                                else if (logData.type === 'MANUAL-STRIKE-REMOVE') actionDetail = `Removed ${logData.amount} strike(s)`;
-                                else if (logData.type === 'MANUAL-STRIKE-SET') actionDetail = `Set strikes to ${logData.amount}`;
-                                logReport += `Action: ${actionDetail}\n`;
+                                logReport += `Action: ${describeManualAction(logData)}\n`;
                                 logReport += `Admin: ${admin.first_name}\n`;
                                 logReport += `Reason: "${logData.reason}"\n`;
+                            } else if (actionType === 'AUTO-STRIKE-DECAY') {
+                                logReport += `Action: ${describeStrikeDecay(logData)} (${logData.newCount} left)\n`;
+                                logReport += `Reason: "${logData.reason}"\n`;
                             } else {
                                 logReport += `Action: AUTO-STRIKE (Score: ${logData.classificationScore.toFixed(2)})\n`;
                                 logReport += `Reason: "${logData.messageExcerpt}"\n`;
@@ -371,10 +548,8 @@ const handleAdminCommand = async (msg) => {
                     await sendDocument(from.id, logBuffer, {}, { filename: `audit_log_${chat.title}.txt`, contentType: 'text/plain' });
                 }
                 const confirmationMsg = await sendMessage(chat.id, `I've sent the group audit log to you privately as a file.`);
-                setTimeout(() => {
-                    deleteMessage(chat.id, msg.message_id).catch(() => {});
-                    deleteMessage(chat.id, confirmationMsg.message_id).catch(() => {});
-                }, 3000);
+                await deleteMessageLater(chat.id, msg.message_id, 3000);
+                await deleteMessageLater(chat.id, confirmationMsg.message_id, 3000);
             } catch (error) {
                 logger.error(`Failed to fetch or send audit log for chat ${chat.id}`, error);
                 await handleCommandError(msg, 'An error occurred while fetching the audit log.');
@@ -394,8 +569,10 @@ const handleAdminCommand = async (msg) => {
             if (command === '/checkstrikes') {
                 try {
                     const strikes = await db.getStrikes(chat.id.toString(), user.userId);
+                    const categoryStrikes = await db.getCategoryStrikes(chat.id.toString(), user.userId);
                     const history = await db.getStrikeHistory(chat.id.toString(), user.userId, 10);
                     let report = `⚖️ *Strike Report for ${escapeMarkdownV2(user.firstName)}*\n*Group:* ${escapeMarkdownV2(chat.title)}\n*Current Strikes:* ${strikes.count}\n`;
+                    report += formatCategoryStrikes(categoryStrikes);
                     if (history.length > 0) {
                         report += `\n*Recent History:*\n\\(Showing last ${history.length} actions\\)\n`;
                         for (const record of history) {
@@ -412,6 +589,12 @@ const handleAdminCommand = async (msg) => {
                                 report += `👮 *Admin:* ${escapeMarkdownV2(logData.admin.first_name)}\n`;
                                 report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                                 report += `💬 *Reason:* "${escapeMarkdownV2(logData.reason)}"\n`;
+                            } else if (actionType === 'APPEAL') {
+                                report += `📨 *Action:* ${escapeMarkdownV2(logData.action.replace('appeal_', 'Appeal '))}\n`;
+                                report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
+                            } else if (actionType === 'AUTO-STRIKE-DECAY') {
+                                report += `⏳ *Action:* ${escapeMarkdownV2(describeStrikeDecay(logData))}\n`;
+                                report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                             } else {
                                 report += `🔥 *Action:* AUTO\\-STRIKE\n`;
                                 report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
@@ -423,10 +606,8 @@ const handleAdminCommand = async (msg) => {
                     }
                     await sendMessage(from.id, report, { parse_mode: 'MarkdownV2' });
                     const confirmationMsg = await sendMessage(chat.id, `I've sent ${target}'s strike report to you privately.`);
-                    setTimeout(() => {
-                        deleteMessage(chat.id, msg.message_id).catch(() => {});
-                        deleteMessage(chat.id, confirmationMsg.message_id).catch(() => {});
-                    }, 3000);
+                    await deleteMessageLater(chat.id, msg.message_id, 3000);
+                    await deleteMessageLater(chat.id, confirmationMsg.message_id, 3000);
                 } catch (error) {
                      logger.error(`Failed to fetch/send strike history for user ${user.userId}`, error);
                      await handleCommandError(msg, 'An error occurred while fetching the strike history.');
@@ -466,6 +647,103 @@ const handleAdminCommand = async (msg) => {
     }
 };
 
+/**
+ * Handles /warn, /mute, /kick, /ban, /unmute and /unban sent as a reply to a member's message.
+ * /mute and /ban take an optional duration such as `30m`, `2h`, `7d` or `1w`; anything after it is
+ * the reason. The replied-to message is removed (except for /unmute and /unban) and the action is
+ * written to the audit log together with the acting admin.
+ *
+ * @param {object} msg - The Telegram message object of the command.
+ * @param {number[]} adminIds - The IDs of the group's admins.
+ */
+const handleReplyCommand = async (msg, adminIds) => {
+    const { from, chat, text } = msg;
+    const parts = text.split(/\s+/);
+    const command = parts[0];
+    const targetMessage = msg.reply_to_message;
+    const target = targetMessage?.from;
+
+    if (!target) {
+        return handleCommandError(msg, `Reply to a member's message with ${command} to use it. Use /help for details.`);
+    }
+    if (target.is_bot || adminIds.includes(target.id)) {
+        return handleCommandError(msg, `${command} cannot be used on admins or bots.`);
+    }
+
+    // /mute and /ban take an optional leading duration; everything else is the reason.
+    let args = parts.slice(1);
+    let durationMinutes = null;
+    if ((command === '/mute' || command === '/ban') && args.length > 0) {
+        durationMinutes = parseDuration(args[0]);
+        if (durationMinutes > MAX_MUTE_MINUTES) {
+            return handleCommandError(msg, 'Durations can be at most 365 days. Leave out the duration to ban permanently.');
+        } else if (durationMinutes !== null) {
+            args = args.slice(1);
+        } else if (/^\d+[a-z]*$/i.test(args[0])) {
+            return handleCommandError(msg, `Invalid duration "${args[0]}". Use a number followed by m, h, d or w, e.g. 30m or 7d.`);
+        }
+    }
+    const reason = args.join(' ') || 'No reason provided.';
+
+    const chatId = chat.id.toString();
+    const userId = target.id.toString();
+    const targetUserObject = { id: target.id, first_name: target.first_name, username: target.username };
+    const name = target.first_name;
+    const logEntry = { admin: from, targetUser: targetUserObject, reason, messageExcerpt: targetMessage.text?.substring(0, 100) };
+
+    try {
+        switch (command) {
+            case '/warn': {
+                const newCount = await db.addStrikes(chatId, userId, 1);
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-WARN', ...logEntry, amount: 1 });
+                await sendMessage(chat.id, `⚠️ ${name} has been warned by ${from.first_name} (${newCount} strike(s)). Reason: ${reason}`);
+                break;
+            }
+            case '/mute': {
+                if (durationMinutes === null) {
+                    durationMinutes = (await getGroupSettings(chatId))?.muteDurationMinutes || 60;
+                }
+                await muteUser(chatId, target.id, durationMinutes);
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-MUTE', ...logEntry, durationMinutes });
+                await sendMessage(chat.id, `🔇 ${name} has been muted for ${formatMuteDuration(durationMinutes)} by ${from.first_name}. Reason: ${reason}`);
+                break;
+            }
+            case '/kick':
+                if (!(await kickUser(chatId, target.id))) {
+                    return handleCommandError(msg, `I couldn't remove ${name}. Make sure I have permission to ban members.`);
+                }
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-KICK', ...logEntry });
+                await sendMessage(chat.id, `👢 ${name} has been removed by ${from.first_name}. Reason: ${reason}`);
+                break;
+            case '/ban':
+                await banUser(chatId, target.id, durationMinutes || 0);
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-BAN', ...logEntry, ...(durationMinutes ? { durationMinutes } : {}) });
+                await sendMessage(chat.id, `🚫 ${name} has been banned ${durationMinutes ? `for ${formatMuteDuration(durationMinutes)}` : 'permanently'} by ${from.first_name}. Reason: ${reason}`);
+                break;
+            case '/unmute':
+                await unrestrictUser(chatId, target.id);
+                await cancelJobs(JobType.UNMUTE_REMINDER, `${chatId}:${target.id}`);
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-UNMUTE', ...logEntry });
+                await sendMessage(chat.id, `🔊 ${name} can post again, unmuted by ${from.first_name}.`);
+                break;
+            case '/unban':
+                await unbanUser(chatId, target.id);
+                await db.logManualAction(chatId, userId, { type: 'MANUAL-UNBAN', ...logEntry });
+                await sendMessage(chat.id, `✅ ${name} has been unbanned by ${from.first_name} and may rejoin.`);
+                break;
+        }
+    } catch (error) {
+        logger.error(`Failed to run ${command} on user ${target.id} in chat ${chat.id}: ${error.response?.body?.description || error.message}`);
+        return handleCommandError(msg, `I couldn't ${command.substring(1)} ${name}. Make sure I have permission to restrict and ban members.`);
+    }
+
+    logger.info(`Admin ${from.id} used ${command} on user ${target.id} in chat ${chat.id}.`);
+    if (command !== '/unmute' && command !== '/unban') {
+        await deleteMessage(chat.id, targetMessage.message_id);
+    }
+    await deleteMessage(chat.id, msg.message_id);
+};
+
 /**
  * Displays a group selection menu to a user in a private chat.
  */
@@ -497,8 +775,10 @@ async function showGroupSelection(userId, chatId, nextAction = 'settings', requi
 
             if (nextAction === 'mystrikes') {
                 const strikes = await db.getStrikes(targetChatId, userId.toString());
+                const categoryStrikes = await db.getCategoryStrikes(targetChatId, userId.toString());
                 const history = await db.getStrikeHistory(targetChatId, userId.toString(), 10);
                 let report = `⚖️ *Your Strike Report*\n*Group:* ${escapeMarkdownV2(group.chatTitle)}\n*Current Strikes:* ${strikes.count}\n`;
+                report += formatCategoryStrikes(categoryStrikes);
                 if (history.length > 0) {
                     report += `\n*Recent History:*\n\\(Showing last ${history.length} actions\\)\n`;
                     for (const record of history) {
@@ -515,6 +795,12 @@ async function showGroupSelection(userId, chatId, nextAction = 'settings', requi
                             report += `👮 *Admin:* ${escapeMarkdownV2(logData.admin.first_name)}\n`;
                             report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                             report += `💬 *Reason:* "${escapeMarkdownV2(logData.reason)}"\n`;
+                        } else if (actionType === 'APPEAL') {
+                            report += `📨 *Action:* ${escapeMarkdownV2(logData.action.replace('appeal_', 'Appeal '))}\n`;
+                            report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
+                        } else if (actionType === 'AUTO-STRIKE-DECAY') {
+                            report += `⏳ *Action:* ${escapeMarkdownV2(describeStrikeDecay(logData))}\n`;
+                            report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
                         } else {
                             report += `🔥 *Action:* AUTO\\-STRIKE\n`;
                             report += `📅 *Date:* ${escapeMarkdownV2(timestamp)}\n`;
@@ -524,7 +810,7 @@ async function showGroupSelection(userId, chatId, nextAction = 'settings', requi
                 } else {
                     report += "\n_You have no strike history in the audit log\\._\n";
                 }
-                await sendMessage(chatId, report, { parse_mode: 'MarkdownV2' });
+                await sendMessage(chatId, report, { parse_mode: 'MarkdownV2', ...(strikes.count > 0 ? appealKeyboard(targetChatId, userId) : {}) });
             } else { // 'settings' or 'status'
                  const groupSettings = await getGroupSettings(targetChatId);
                  if (nextAction === 'status') {
@@ -660,9 +946,7 @@ const handleSuperAdminCommand = async (msg) => {
                 // Log the update
                 logger.info(`Super admin ${from.first_name} (${from.id}) triggered a force update`);
                 
-                setTimeout(async () => {
-                    await sendMessage(chat.id, '✅ **Update Complete**\nBot configurations have been refreshed.', { parse_mode: 'Markdown' });
-                }, 2000);
+                await sendMessageLater(chat.id, '✅ **Update Complete**\nBot configurations have been refreshed.', { parse_mode: 'Markdown' }, 2000);
                 
             } catch (error) {
                 logger.error('Error in /forceupdate:', error);
@@ -683,10 +967,8 @@ const handleSuperAdminCommand = async (msg) => {
                 
                 logger.info(`Super admin ${from.first_name} (${from.id}) cleared system caches`);
                 
-                setTimeout(async () => {
-                    const report = '✅ **Cache Clear Complete**\n\n' + clearActions.map(action => `• ${action}`).join('\n');
-                    await sendMessage(chat.id, report, { parse_mode: 'Markdown' });
-                }, 1500);
+                const report = '✅ **Cache Clear Complete**\n\n' + clearActions.map(action => `• ${action}`).join('\n');
+                await sendMessageLater(chat.id, report, { parse_mode: 'Markdown' }, 1500);
                 
             } catch (error) {
                 logger.error('Error in /clearcache:', error);
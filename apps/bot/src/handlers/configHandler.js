@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Handles the commands that move a group's configuration around: `/exportconfig`
+ * sends the admin a JSON file with the group's settings, whitelist, moderators and rules,
+ * `/importconfig` (in reply to such a file) and `/copyconfig <group ID>` show the admin what
+ * would change, privately, with buttons to apply or cancel it.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, sendDocument, deleteMessage, editMessageText, answerCallbackQuery, getChatAdmins, getFileContent } from '@telegram-moderator/shared/services/telegram.js';
+import { exportGroupConfig, validateGroupConfig, diffGroupConfig, applyGroupConfig } from '@telegram-moderator/shared/services/groupConfig.js';
+import { configImportKeyboard } from '../keyboards/configMenu.js';
+import { replyBriefly } from './commandHandler.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// Largest configuration file accepted by /importconfig.
+const MAX_FILE_BYTES = 256 * 1024;
+// How long an import waits for the admin to press Apply.
+const PENDING_TTL_MS = 15 * 60 * 1000;
+// Most changes and validation errors listed in one message; the rest are counted.
+const MAX_LISTED = 25;
+
+// Imports waiting for confirmation, keyed by `chatId:adminId`.
+const pendingImports = new Map();
+
+/**
+ * Shortens a setting value for the change list.
+ *
+ * @param {*} value - The value.
+ * @returns {string} A one-line description of it.
+ */
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return value.length === 0 ? '—' : `${value.length} item(s)`;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+};
+
+/**
+ * Lists at most `MAX_LISTED` lines, counting the ones left out.
+ *
+ * @param {string[]} lines - The lines.
+ * @returns {string} The lines joined, one per row.
+ */
+const listLines = (lines) => {
+    const listed = lines.slice(0, MAX_LISTED);
+    if (lines.length > MAX_LISTED) listed.push(`...and ${lines.length - MAX_LISTED} more`);
+    return listed.join('\n');
+};
+
+/**
+ * Validates a configuration and sends the admin, privately, what applying it would change.
+ *
+ * @param {object} msg - The command message.
+ * @param {object} config - The configuration.
+ * @param {string} label - Where it comes from, for the message.
+ * @param {string} [sourceChatId] - The group it is copied from, if any.
+ */
+const previewImport = async (msg, config, label, sourceChatId) => {
+    const { from, chat } = msg;
+    const chatId = chat.id.toString();
+
+    const errors = validateGroupConfig(config);
+    if (errors.length > 0) {
+        return replyBriefly(chat, `${label} can't be imported:\n${listLines(errors)}`);
+    }
+
+    const changes = await diffGroupConfig(chatId, config);
+    if (changes.length === 0) {
+        return replyBriefly(chat, `${label} matches this group's configuration; nothing would change.`);
+    }
+
+    const summary = `⚙️ ${label} → ${chat.title}\n\n${changes.length} change(s):\n`
+        + listLines(changes.map(({ key, from: before, to }) => `• ${key}: ${formatValue(before)} → ${formatValue(to)}`));
+    try {
+        await sendMessage(from.id, summary, configImportKeyboard(chatId));
+    } catch (error) {
+        return replyBriefly(chat, `${from.first_name}, start a private chat with me first so I can send you the changes to confirm.`);
+    }
+    pendingImports.set(`${chatId}:${from.id}`, { config, sourceChatId, createdAt: Date.now() });
+};
+
+/**
+ * Handles `/exportconfig`: sends the group's configuration to the admin as a JSON file.
+ */
+const exportConfigCommand = async (msg) => {
+    const { from, chat } = msg;
+    const config = await exportGroupConfig(chat.id.toString());
+    try {
+        await sendDocument(
+            from.id,
+            Buffer.from(JSON.stringify(config, null, 2)),
+            { caption: `⚙️ Configuration of ${chat.title}. Reply to this file with /importconfig in another group to apply it there.` },
+            { filename: `group-${chat.id}-config.json`, contentType: 'application/json' }
+        );
+    } catch (error) {
+        return replyBriefly(chat, `${from.first_name}, start a private chat with me first so I can send you the file.`);
+    }
+};
+
+/**
+ * Handles `/importconfig` sent in reply to a configuration file.
+ */
+const importConfigCommand = async (msg) => {
+    const { chat } = msg;
+    const document = msg.reply_to_message?.document;
+    if (!document) {
+        return replyBriefly(chat, 'Reply to a configuration file from /exportconfig with /importconfig.');
+    }
+    if (document.file_size > MAX_FILE_BYTES) {
+        return replyBriefly(chat, 'That file is too large to be a configuration.');
+    }
+
+    let config;
+    try {
+        config = JSON.parse((await getFileContent(document.file_id)).toString('utf8'));
+    } catch (error) {
+        logger.warn(`Could not read configuration file ${document.file_id} in chat ${chat.id}: ${error.message}`);
+        return replyBriefly(chat, `${document.file_name || 'That file'} is not a valid JSON configuration.`);
+    }
+    return previewImport(msg, config, document.file_name || 'The configuration');
+};
+
+/**
+ * Handles `/copyconfig <group ID>`: offers to copy another group's configuration into this one.
+ * The sender must administer both groups.
+ */
+const copyConfigCommand = async (msg, args) => {
+    const { from, chat } = msg;
+    const [sourceChatId] = args;
+    if (!sourceChatId || !/^-?\d+$/.test(sourceChatId)) {
+        return replyBriefly(chat, 'Give the ID of the group to copy from, e.g. /copyconfig -1001234567890.');
+    }
+    if (sourceChatId === chat.id.toString()) {
+        return replyBriefly(chat, 'Pick a different group to copy from.');
+    }
+
+    const source = await db.getGroup(sourceChatId);
+    if (!source) {
+        return replyBriefly(chat, 'I am not in that group.');
+    }
+    const sourceAdminIds = await getChatAdmins(sourceChatId);
+    if (!sourceAdminIds.includes(from.id)) {
+        return replyBriefly(chat, `You must be an admin of "${source.chatTitle}" to copy its configuration.`);
+    }
+
+    const config = await exportGroupConfig(sourceChatId);
+    return previewImport(msg, config, `Configuration of ${source.chatTitle}`, sourceChatId);
+};
+
+/**
+ * Handles an admin's press on Apply or Cancel under a pending import, `config_<apply|cancel>:chatId`.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleConfigCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [action, chatId] = data.split(':');
+    const key = `${chatId}:${from.id}`;
+    const pending = pendingImports.get(key);
+    pendingImports.delete(key);
+
+    const close = (outcome) => editMessageText(`${message.text}\n\n${outcome}`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+
+    if (!pending || Date.now() - pending.createdAt > PENDING_TTL_MS) {
+        await close('Expired. Run the command again.');
+        await answerCallbackQuery(callbackQuery.id, { text: 'This import has expired.' });
+        return;
+    }
+    if (action === 'config_cancel') {
+        await close('Cancelled.');
+        await answerCallbackQuery(callbackQuery.id, { text: 'Cancelled.' });
+        return;
+    }
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.includes(from.id)) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'You are no longer an admin of that group.' });
+        return;
+    }
+
+    try {
+        const { errors, changes } = await applyGroupConfig(chatId, pending.config, { admin: from, sourceChatId: pending.sourceChatId });
+        if (errors.length > 0) {
+            await close(`Not applied:\n${listLines(errors)}`);
+        } else {
+            await close(`✅ Applied ${changes.length} change(s).`);
+        }
+        await answerCallbackQuery(callbackQuery.id);
+    } catch (error) {
+        logger.error(`Failed to apply configuration to chat ${chatId}: ${error.message}`, { stack: error.stack });
+        await answerCallbackQuery(callbackQuery.id, { text: "That didn't work. Please try again.", show_alert: true });
+    }
+};
+
+/**
+ * Handles the configuration commands sent by a group admin: /exportconfig, /importconfig
+ * and /copyconfig.
+ *
+ * @param {object} msg - The Telegram message object of the command.
+ */
+export const handleConfigCommand = async (msg) => {
+    const [command, ...args] = msg.text.split(/\s+/);
+    await deleteMessage(msg.chat.id, msg.message_id);
+
+    try {
+        switch (command) {
+            case '/exportconfig':
+                return await exportConfigCommand(msg);
+            case '/importconfig':
+                return await importConfigCommand(msg);
+            case '/copyconfig':
+                return await copyConfigCommand(msg, args);
+        }
+    } catch (error) {
+        logger.error(`Failed to run ${command} in chat ${msg.chat.id}: ${error.message}`, { stack: error.stack });
+        return replyBriefly(msg.chat, `I couldn't run ${command}.`);
+    }
+};
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Handles the federation commands, which let a team share one ban list across
+ * the groups it runs. A group owner creates a federation with `/newfed <name>` and adds other
+ * groups they own, or administer with the right to ban members, with `/joinfed <id>`. Admins
+ * of any member group can then ban a user from all of them with `/fban` and lift the ban with
+ * `/funban`; groups the user is an admin of are left out. Federation bans are also enforced
+ * when a banned user joins or posts in a member group.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, deleteMessage, getChatMember } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { federationBan, federationUnban, enforceFederationBan } from '@telegram-moderator/shared/services/federations.js';
+import { replyBriefly } from './commandHandler.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// Longest federation name and ban reason accepted; longer ones are cut off.
+const MAX_NAME_LENGTH = 64;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Whether a user created the group. Only group owners may create federations.
+ *
+ * @param {string|number} chatId - The ID of the group.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if the user is the group's creator.
+ */
+const isGroupOwner = async (chatId, userId) => {
+    const member = await getChatMember(chatId, userId);
+    return member?.status === 'creator';
+};
+
+/**
+ * Whether a user may bring the group into a federation: its creator, or an admin who may
+ * ban members, since the federation's bans then apply to the group.
+ *
+ * @param {string|number} chatId - The ID of the group.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if the user may add the group to a federation.
+ */
+const canJoinFederation = async (chatId, userId) => {
+    const member = await getChatMember(chatId, userId);
+    return member?.status === 'creator' || (member?.status === 'administrator' && member.can_restrict_members === true);
+};
+
+/**
+ * Finds the user a `/fban` or `/funban` is aimed at: the author of the replied-to message,
+ * or a user named by ID or @username as the first argument.
+ *
+ * @param {object} msg - The command message.
+ * @param {string[]} args - The words after the command.
+ * @returns {Promise<{target: object|null, rest: string[]}>} The user, and the remaining words (the reason).
+ */
+const resolveTarget = async (msg, args) => {
+    if (msg.reply_to_message?.from) {
+        return { target: msg.reply_to_message.from, rest: args };
+    }
+    const [named, ...rest] = args;
+    if (!named) return { target: null, rest };
+
+    if (/^\d+$/.test(named)) {
+        const user = await db.getUser(named);
+        return { target: { id: Number(named), first_name: user?.firstName || named, username: user?.username }, rest };
+    }
+    const user = await db.findUserByUsernameInDb(named.replace('@', ''));
+    return { target: user ? { id: Number(user.userId), first_name: user.firstName, username: user.username } : null, rest };
+};
+
+/**
+ * Handles `/newfed <name>`: creates a federation owned by the sender and adds the group to it.
+ */
+const createFederationCommand = async (msg, args) => {
+    const { from, chat } = msg;
+    const name = args.join(' ').substring(0, MAX_NAME_LENGTH);
+    if (!name) {
+        return replyBriefly(chat, 'Give the federation a name, e.g. /newfed Crypto Groups.');
+    }
+    if (!(await isGroupOwner(chat.id, from.id))) {
+        return replyBriefly(chat, 'Only the owner of this group can create a federation.');
+    }
+    const current = await db.getGroupFederation(chat.id.toString());
+    if (current) {
+        return replyBriefly(chat, `This group is already in the federation "${current.name}". Use /leavefed first.`);
+    }
+
+    const federation = await db.createFederation(name, from.id.toString());
+    await db.joinFederation(federation.id, chat.id.toString());
+    logger.info(`Federation ${federation.id} "${name}" created by ${from.id} in chat ${chat.id}.`);
+    await sendMessage(chat.id, `🏛️ Federation "${federation.name}" created with ID ${federation.id}. Send /joinfed ${federation.id} in the other groups you run to add them. A /fban in any of them bans the user from all.`);
+};
+
+/**
+ * Handles `/joinfed <id>`: adds the group to a federation. The sender must own the federation,
+ * so a stranger cannot join and start banning members of the other groups, and must be the
+ * group's creator or an admin who may ban members, so a junior admin cannot hand the group's
+ * bans to a federation.
+ */
+const joinFederationCommand = async (msg, args) => {
+    const { from, chat } = msg;
+    const federation = /^\d+$/.test(args[0] || '') ? await db.getFederation(Number(args[0])) : null;
+    if (!federation) {
+        return replyBriefly(chat, 'Invalid usage. Use /joinfed <federation ID>.');
+    }
+    if (federation.ownerId !== from.id.toString()) {
+        return replyBriefly(chat, `Only the owner of the federation "${federation.name}" can add groups to it.`);
+    }
+    if (!(await canJoinFederation(chat.id, from.id))) {
+        return replyBriefly(chat, 'Only the owner of this group or an admin who can ban members can add it to a federation.');
+    }
+    const current = await db.getGroupFederation(chat.id.toString());
+    if (current?.id === federation.id) {
+        return replyBriefly(chat, `This group is already in the federation "${federation.name}".`);
+    }
+    if (current) {
+        return replyBriefly(chat, `This group is already in the federation "${current.name}". Use /leavefed first.`);
+    }
+
+    await db.joinFederation(federation.id, chat.id.toString());
+    logger.info(`Chat ${chat.id} joined federation ${federation.id}.`);
+    await sendMessage(chat.id, `🏛️ This group has joined the federation "${federation.name}". Users on its ban list are banned here when they join or post.`);
+};
+
+/**
+ * Handles `/leavefed`: removes the group from its federation. The group's owner or the
+ * federation's owner can do this.
+ */
+const leaveFederationCommand = async (msg) => {
+    const { from, chat } = msg;
+    const federation = await db.getGroupFederation(chat.id.toString());
+    if (!federation) {
+        return replyBriefly(chat, 'This group is not in a federation.');
+    }
+    if (federation.ownerId !== from.id.toString() && !(await isGroupOwner(chat.id, from.id))) {
+        return replyBriefly(chat, 'Only the owner of this group or of the federation can take the group out of it.');
+    }
+
+    await db.leaveFederation(chat.id.toString());
+    logger.info(`Chat ${chat.id} left federation ${federation.id}.`);
+    await sendMessage(chat.id, `🏛️ This group has left the federation "${federation.name}". Existing bans here stay in place.`);
+};
+
+/**
+ * Handles `/fedinfo`: shows the group's federation, its member groups and the size of its ban list.
+ */
+const federationInfoCommand = async (msg) => {
+    const { chat } = msg;
+    const federation = await db.getGroupFederation(chat.id.toString());
+    if (!federation) {
+        return replyBriefly(chat, 'This group is not in a federation. The group owner can create one with /newfed <name>.');
+    }
+
+    const groups = await db.getFederationGroups(federation.id);
+    const bans = await db.getFederationBans(federation.id);
+    const owner = await db.getUser(federation.ownerId);
+    await sendMessage(chat.id, `🏛️ Federation "${federation.name}" (ID ${federation.id})\n`
+        + `Owner: ${owner?.firstName || federation.ownerId}\n`
+        + `Banned users: ${bans.length}\n\n`
+        + `Groups (${groups.length}):\n${groups.map(group => `- ${group.chatTitle || group.chatId}`).join('\n')}`);
+};
+
+/**
+ * Handles `/fban` and `/funban`, aimed at the replied-to author or a user given by ID or @username.
+ */
+const federationBanCommand = async (msg, args, adminIds) => {
+    const { from, chat } = msg;
+    const command = msg.text.split(/\s+/)[0];
+    const federation = await db.getGroupFederation(chat.id.toString());
+    if (!federation) {
+        return replyBriefly(chat, 'This group is not in a federation. The group owner can create one with /newfed <name>.');
+    }
+
+    const { target, rest } = await resolveTarget(msg, args);
+    if (!target) {
+        return replyBriefly(chat, `Reply to a message with ${command}, or give a user ID or @username. The user must have sent a message I could see.`);
+    }
+    if (target.is_bot || adminIds.includes(target.id)) {
+        return replyBriefly(chat, `${command} cannot be used on admins or bots.`);
+    }
+
+    const options = { admin: from, sourceChatId: chat.id.toString() };
+    try {
+        if (command === '/fban') {
+            const reason = rest.join(' ').substring(0, MAX_REASON_LENGTH) || 'No reason provided.';
+            const { bannedIn, failedIn, skippedIn } = await federationBan(federation, target, { ...options, reason });
+            const skipped = skippedIn.length ? `, not in ${skippedIn.length} where they are an admin` : '';
+            await sendMessage(chat.id, `🏛️🚫 ${target.first_name} has been banned from the federation "${federation.name}" by ${from.first_name} (${bannedIn.length} group(s)${failedIn.length ? `, ${failedIn.length} failed` : ''}${skipped}). Reason: ${reason}`);
+        } else {
+            const result = await federationUnban(federation, target, options);
+            if (!result) {
+                return replyBriefly(chat, `${target.first_name} is not banned in the federation "${federation.name}".`);
+            }
+            await sendMessage(chat.id, `🏛️✅ ${target.first_name} has been unbanned from the federation "${federation.name}" by ${from.first_name} and may rejoin its groups.`);
+        }
+    } catch (error) {
+        logger.error(`Failed to run ${command} on user ${target.id} in federation ${federation.id}: ${error.message}`, { stack: error.stack });
+        return replyBriefly(chat, `I couldn't ${command.substring(1)} ${target.first_name}.`);
+    }
+
+    if (command === '/fban' && msg.reply_to_message) {
+        await deleteMessage(chat.id, msg.reply_to_message.message_id);
+    }
+};
+
+/**
+ * Handles the federation side of a `new_chat_members` update: bans members who are on the
+ * ban list of the group's federation. In shadow mode they are only logged and not reported
+ * as banned.
+ *
+ * @param {object} msg - The Telegram message object carrying `new_chat_members`.
+ * @returns {Promise<number[]>} The IDs of the members who were banned, so other join handling can skip them.
+ */
+export const handleJoinsForFederation = async (msg) => {
+    const { chat } = msg;
+    if (chat.type === 'private') return [];
+
+    const banned = [];
+    const settings = await getGroupSettings(chat.id.toString());
+    for (const member of msg.new_chat_members) {
+        if (member.is_bot) continue;
+        try {
+            if (await enforceFederationBan(chat.id.toString(), member, settings)) {
+                banned.push(member.id);
+            }
+        } catch (error) {
+            logger.error(`Error checking federation ban for user ${member.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+        }
+    }
+    return banned;
+};
+
+/**
+ * Handles the federation commands sent by a group admin: /newfed, /joinfed, /leavefed,
+ * /fedinfo, /fban and /funban.
+ *
+ * @param {object} msg - The Telegram message object of the command.
+ * @param {number[]} adminIds - The IDs of the group's admins.
+ */
+export const handleFederationCommand = async (msg, adminIds) => {
+    const [command, ...args] = msg.text.split(/\s+/);
+    await deleteMessage(msg.chat.id, msg.message_id);
+
+    switch (command) {
+        case '/newfed':
+            return createFederationCommand(msg, args);
+        case '/joinfed':
+            return joinFederationCommand(msg, args);
+        case '/leavefed':
+            return leaveFederationCommand(msg);
+        case '/fedinfo':
+            return federationInfoCommand(msg);
+        case '/fban':
+        case '/funban':
+            return federationBanCommand(msg, args, adminIds);
+    }
+};
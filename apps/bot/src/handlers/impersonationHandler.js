@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Restricts members who pose as a group's admins or as official staff.
+ * Joining members are checked right away and posting members on every message, so a rename
+ * after joining is caught too. A member whose display name or username imitates an admin
+ * or contains one of the group's protected words is restricted, and the admins are alerted
+ * in the report chat, or privately if the group has none, with buttons to clear or ban the
+ * member. A cleared member is left alone until they change their names.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { restrictUser, unrestrictUser, banUser, getChatMember, getChatAdminUsers, getChatAdmins, sendMessage, editMessageText, answerCallbackQuery } from '@telegram-moderator/shared/services/telegram.js';
+import { findImpersonation, getNameKey } from '@telegram-moderator/shared/services/impersonation.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { impersonationDecisionKeyboard } from '../keyboards/impersonationMenu.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// Members already logged in shadow mode, keyed by `chatId:userId:nameKey`, so each is logged once.
+const shadowFlagged = new Set();
+
+/**
+ * Formats a user for an alert, e.g. "Admin Support (@helpdesk) [12345]".
+ *
+ * @param {object} user - The Telegram user object.
+ * @returns {string} The user's names and ID.
+ */
+const describeUser = (user) => `${[user.first_name, user.last_name].filter(Boolean).join(' ')}${user.username ? ` (@${user.username})` : ''} [${user.id}]`;
+
+/**
+ * Sends the alert about a restricted member to the report chat, or to every admin.
+ *
+ * @param {object} chat - The Telegram chat object of the group.
+ * @param {object} user - The restricted member.
+ * @param {string} reason - Why the member was restricted.
+ * @param {number} logId - The ID of the restriction's audit log entry.
+ * @param {object} settings - The settings object for the group.
+ * @param {object[]} admins - The group's admins.
+ */
+const alertAdmins = async (chat, user, reason, logId, settings, admins) => {
+    const summary = `🎭 Possible impersonator in ${chat.title}\n\n`
+        + `Member: ${describeUser(user)}\n`
+        + `Reason: ${reason}\n\n`
+        + 'They have been restricted and can\'t post until an admin clears them.';
+
+    const destinations = settings.reportChatId ? [settings.reportChatId] : admins.filter(admin => !admin.is_bot).map(admin => admin.id);
+    for (const destination of destinations) {
+        try {
+            await sendMessage(destination, summary, impersonationDecisionKeyboard(chat.id.toString(), logId));
+        } catch (error) {
+            logger.warn(`Could not send impersonation alert for user ${user.id} to ${destination}`);
+        }
+    }
+};
+
+/**
+ * Checks a member's names and restricts them if they imitate an admin or contain a
+ * protected word. In shadow mode the restriction is only logged.
+ *
+ * @param {object} chat - The Telegram chat object of the group.
+ * @param {object} user - The Telegram user object of the member.
+ * @param {object} settings - The settings object for the group.
+ * @returns {Promise<boolean>} True if the member was restricted.
+ */
+export const checkForImpersonation = async (chat, user, settings) => {
+    if (!settings.impersonationEnabled || user.is_bot) return false;
+    const chatId = chat.id.toString();
+    const userId = user.id.toString();
+
+    try {
+        const admins = await getChatAdminUsers(chat.id);
+        if (admins.some(admin => admin.id === user.id) || (settings.moderatorIds || []).map(String).includes(userId)) {
+            return false;
+        }
+        const match = findImpersonation(user, admins, settings.impersonationKeywords);
+        const nameKey = getNameKey(user);
+        if (!match || await db.isImpersonationCleared(chatId, userId, nameKey)) {
+            return false;
+        }
+
+        const label = match.field === 'username' ? `Username ${match.value}` : `Name "${match.value}"`;
+        const reason = match.admin
+            ? `${label} imitates the admin ${describeUser(match.admin)}`
+            : `${label} contains the protected word "${match.word}"`;
+        const logData = {
+            timestamp: new Date().toISOString(),
+            user: { id: user.id, first_name: user.first_name, last_name: user.last_name, username: user.username },
+            reason,
+            matchedField: match.field,
+            imitatedAdminId: match.admin?.id,
+            protectedWord: match.word,
+            nameKey,
+            executedBy: 'AUTO_MODERATOR'
+        };
+
+        if (settings.shadowMode) {
+            const key = `${chatId}:${userId}:${nameKey}`;
+            if (!shadowFlagged.has(key)) {
+                shadowFlagged.add(key);
+                await db.logManualAction(chatId, userId, { type: 'SHADOW_IMPERSONATION', shadowAction: 'user_restricted', ...logData });
+            }
+            return false;
+        }
+
+        await db.upsertUser(user);
+        await restrictUser(chat.id, user.id);
+        const { lastID } = await db.logManualAction(chatId, userId, { type: 'IMPERSONATION', action: 'user_restricted', ...logData });
+        logger.warn(`Restricted user ${user.id} in chat ${chatId} as a possible impersonator: ${reason}.`);
+        await alertAdmins(chat, user, reason, lastID, settings, admins);
+        return true;
+    } catch (error) {
+        logger.error(`Error checking user ${user.id} for impersonation in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Handles the impersonation side of a `new_chat_members` update.
+ *
+ * @param {object} msg - The Telegram message object carrying `new_chat_members`.
+ * @returns {Promise<number[]>} The IDs of the members who were restricted, so other join handling can skip them.
+ */
+export const handleJoinsForImpersonation = async (msg) => {
+    const { chat } = msg;
+    if (chat.type === 'private') return [];
+
+    const settings = await getGroupSettings(chat.id.toString());
+    if (!settings.impersonationEnabled) return [];
+
+    const restricted = [];
+    for (const member of msg.new_chat_members) {
+        if (await checkForImpersonation(chat, member, settings)) {
+            restricted.push(member.id);
+        }
+    }
+    return restricted;
+};
+
+/**
+ * Handles an admin's press on an impersonation alert button,
+ * `impersonation_<clear|ban>:chatId:logId`.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleImpersonationCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [action, chatId, logId] = data.split(':');
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.map(adminId => adminId.toString()).includes(from.id.toString())) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can decide this.' });
+        return;
+    }
+
+    const entry = await db.getAuditEntry(chatId, Number(logId));
+    const logData = entry ? JSON.parse(entry.logData) : null;
+    if (logData?.type !== 'IMPERSONATION') {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This alert is no longer available.' });
+        return;
+    }
+    // Only the first admin to act decides when the alert was sent to several of them.
+    if (!(await db.claimReversal(chatId, entry.id, from.id.toString()))) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This member has already been handled.' });
+        return;
+    }
+
+    const decision = {
+        admin: { id: from.id, first_name: from.first_name, username: from.username },
+        targetUser: logData.user,
+        undoes: entry.id
+    };
+
+    let outcome;
+    try {
+        if (action === 'impersonation_clear') {
+            const member = await getChatMember(chatId, entry.userId);
+            if (member?.status === 'kicked') {
+                await answerCallbackQuery(callbackQuery.id, { text: 'This member has been banned meanwhile.', show_alert: true });
+                return;
+            }
+            await unrestrictUser(chatId, entry.userId);
+            await db.clearImpersonation(chatId, entry.userId, logData.nameKey, from.id.toString());
+            await db.logManualAction(chatId, entry.userId, { type: 'MANUAL-IMPERSONATION-CLEAR', ...decision, reason: 'Not an impersonator' });
+            outcome = 'Cleared and unrestricted';
+        } else {
+            await banUser(chatId, entry.userId);
+            await db.logManualAction(chatId, entry.userId, { type: 'MANUAL-BAN', ...decision, reason: `Impersonation: ${logData.reason}` });
+            outcome = 'Banned';
+        }
+    } catch (error) {
+        logger.error(`Failed to ${action} for audit entry ${entry.id} in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+        await db.releaseReversal(chatId, entry.id);
+        await answerCallbackQuery(callbackQuery.id, { text: "That didn't work. Make sure I am still an admin of the group.", show_alert: true });
+        return;
+    }
+    logger.info(`Impersonation alert ${entry.id} in chat ${chatId} handled by admin ${from.id}: ${outcome}.`);
+
+    await editMessageText(`${message.text}\n\n${outcome} by ${from.first_name}.`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+    await answerCallbackQuery(callbackQuery.id, { text: `${outcome}.` });
+};
+
+/**
+ * Forgets which members were logged in shadow mode, e.g. between tests.
+ */
+export const resetImpersonationState = () => {
+    shadowFlagged.clear();
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Registers the bot's handlers for the delayed jobs in the persistent queue.
+ * Message deletions and sends are retried when Telegram fails, except for deleting a message
+ * that is already gone; unmute reminders, CAPTCHA timeouts and lockdown ends are handled by
+ * their own modules.
+ */
+
+import { registerJobHandler } from '@telegram-moderator/shared/services/jobQueue.js';
+import { deleteMessage, sendMessage } from '@telegram-moderator/shared/services/telegram.js';
+import { JobType } from '@telegram-moderator/shared/utils/enums.js';
+import { handleCaptchaTimeout } from './captchaHandler.js';
+import { handleLockdownEnd } from './lockdownHandler.js';
+import { handleUnmuteReminder } from './messageHandler.js';
+
+/**
+ * Registers a handler for every `JobType`. Must run before the queue starts.
+ */
+export const registerJobHandlers = () => {
+    registerJobHandler(JobType.DELETE_MESSAGE, async ({ chatId, messageId }) => {
+        // `deleteMessage` also reports success when the message was already deleted.
+        if (!(await deleteMessage(chatId, messageId))) {
+            throw new Error(`Message ${messageId} in chat ${chatId} could not be deleted`);
+        }
+    });
+    registerJobHandler(JobType.SEND_MESSAGE, async ({ chatId, text, options }) => {
+        await sendMessage(chatId, text, options);
+    });
+    registerJobHandler(JobType.UNMUTE_REMINDER, handleUnmuteReminder);
+    registerJobHandler(JobType.CAPTCHA_TIMEOUT, handleCaptchaTimeout);
+    registerJobHandler(JobType.LOCKDOWN_END, handleLockdownEnd);
+};
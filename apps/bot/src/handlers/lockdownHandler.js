@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Anti-raid lockdown. Watches the join rate of each group and locks the group
+ * when too many accounts join at once. While locked, new members are restricted and an
+ * optional bot-enforced slow mode applies to everyone else. When the lockdown ends, those
+ * members are released, or sent through the CAPTCHA if the group uses one. Lockdowns are started
+ * automatically or with `/lockdown on`, ended with `/lockdown off`, the admin alert button
+ * or a job in the persistent queue, and both transitions are recorded in the audit log.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, getChatAdmins, getChatMember, getBotUser, restrictUser, unrestrictUser } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+import { recordJoins, clearJoins } from '@telegram-moderator/shared/services/joinSurge.js';
+import { enqueueJob, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
+import { JobType } from '@telegram-moderator/shared/utils/enums.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+import { handleNewMembers } from './captchaHandler.js';
+
+// Time of each user's last message during slow mode, keyed by `${chatId}:${userId}`.
+const lastMessageTimes = new Map();
+
+// Stand-in actor for audit entries written when the bot acts on its own.
+const AUTO_MODERATOR = { id: 0, first_name: 'Auto-Moderator' };
+
+/**
+ * Puts a group into lockdown and alerts its admins with an "end lockdown" button.
+ * Does nothing if the group is already locked.
+ *
+ * @param {object} chat - The Telegram chat object (needs `id` and `title`).
+ * @param {object} [options]
+ * @param {object} [options.admin] - The admin who started it; omitted for automatic lockdowns.
+ * @param {string} [options.reason] - Why the lockdown started.
+ * @param {number} [options.joinCount] - The join count that triggered an automatic lockdown.
+ * @returns {Promise<boolean>} True if a new lockdown was started.
+ */
+export const startLockdown = async (chat, { admin, reason = 'Started manually', joinCount } = {}) => {
+    const chatId = chat.id.toString();
+    const settings = await getGroupSettings(chatId);
+    if (settings.lockdownStartedAt) {
+        return false;
+    }
+
+    const startedAt = new Date().toISOString();
+    await updateSetting(chatId, 'lockdownStartedAt', startedAt);
+    clearJoins(chatId);
+
+    const actor = admin || AUTO_MODERATOR;
+    await db.logManualAction(chatId, actor.id.toString(), {
+        type: 'LOCKDOWN',
+        action: 'lockdown_started',
+        timestamp: startedAt,
+        user: actor,
+        reason,
+        joinCount,
+        slowModeSeconds: settings.lockdownSlowModeSeconds,
+        executedBy: admin ? 'ADMIN' : 'AUTO_MODERATOR'
+    });
+    logger.warn(`Lockdown started in chat ${chatId}: ${reason}`);
+
+    const slowModeNote = settings.lockdownSlowModeSeconds > 0 ? ` Slow mode: one message every ${settings.lockdownSlowModeSeconds}s.` : '';
+    try {
+        await sendMessage(chat.id, `🔒 This group is in lockdown. New members are restricted until it ends.${slowModeNote}`);
+    } catch (error) {
+        logger.warn(`Could not post lockdown notice in chat ${chatId}`);
+    }
+
+    const alert = `🔒 Lockdown started in ${chat.title}.\nReason: ${reason}`;
+    const endButton = { reply_markup: { inline_keyboard: [[{ text: '🔓 End Lockdown', callback_data: `end_lockdown:${chatId}` }]] } };
+    for (const adminId of await getChatAdmins(chat.id)) {
+        try {
+            await sendMessage(adminId, alert, endButton);
+        } catch (error) {
+            logger.warn(`Could not send lockdown alert to admin ${adminId}`);
+        }
+    }
+
+    if (!admin && settings.lockdownDurationMinutes > 0) {
+        await enqueueJob(JobType.LOCKDOWN_END, { chatId: chat.id, startedAt }, { delayMs: settings.lockdownDurationMinutes * 60 * 1000, key: chatId });
+    }
+    return true;
+};
+
+/**
+ * Sends members who joined during a lockdown through the CAPTCHA the lockdown held back.
+ * Members who left or were banned in the meantime are skipped.
+ *
+ * @param {object} chat - The Telegram chat object (needs `id`).
+ * @param {string[]} userIds - The IDs of the members to verify.
+ */
+const challengeReleasedMembers = async (chat, userIds) => {
+    const members = [];
+    for (const userId of userIds) {
+        const member = await getChatMember(chat.id, Number(userId));
+        if (member && !['left', 'kicked'].includes(member.status)) {
+            members.push(member.user);
+        }
+    }
+    let botUser;
+    try {
+        botUser = await getBotUser();
+    } catch (error) {
+        // Without the bot's username the challenges are posted in the group instead of by DM.
+        logger.warn(`Could not look up the bot user for CAPTCHA links in chat ${chat.id}: ${error.message}`);
+    }
+    await handleNewMembers({ chat, new_chat_members: members }, botUser);
+};
+
+/**
+ * Ends a group's lockdown and lifts the restriction on members who joined during it, or
+ * sends them through the CAPTCHA if the group uses one. Members restricted as
+ * impersonators stay restricted until an admin decides on them.
+ * Does nothing if the group is not locked.
+ *
+ * @param {object} chat - The Telegram chat object (needs `id`).
+ * @param {object} [options]
+ * @param {object} [options.admin] - The admin who ended it; omitted when it ends on its own.
+ * @param {string} [options.reason] - Why the lockdown ended.
+ * @returns {Promise<boolean>} True if a lockdown was ended.
+ */
+export const endLockdown = async (chat, { admin, reason = 'Ended manually' } = {}) => {
+    const chatId = chat.id.toString();
+    const settings = await getGroupSettings(chatId);
+    if (!settings.lockdownStartedAt) {
+        return false;
+    }
+
+    await updateSetting(chatId, 'lockdownStartedAt', null);
+    try {
+        await cancelJobs(JobType.LOCKDOWN_END, chatId);
+    } catch (error) {
+        // The job finds the lockdown it was queued for already ended and does nothing.
+        logger.warn(`Could not cancel the lockdown end job for chat ${chatId}: ${error.message}`);
+    }
+
+    const restrictedMembers = [];
+    for (const userId of await db.getMembersJoinedSince(chatId, settings.lockdownStartedAt)) {
+        if (!(await db.hasOpenImpersonation(chatId, userId))) {
+            restrictedMembers.push(userId);
+        }
+    }
+    if (settings.captchaEnabled) {
+        await challengeReleasedMembers(chat, restrictedMembers);
+    } else {
+        for (const userId of restrictedMembers) {
+            try {
+                await unrestrictUser(chat.id, Number(userId));
+            } catch (error) {
+                logger.warn(`Could not lift lockdown restriction for user ${userId} in chat ${chatId}`);
+            }
+        }
+    }
+
+    const actor = admin || AUTO_MODERATOR;
+    await db.logManualAction(chatId, actor.id.toString(), {
+        type: 'LOCKDOWN',
+        action: 'lockdown_ended',
+        timestamp: new Date().toISOString(),
+        user: actor,
+        reason,
+        startedAt: settings.lockdownStartedAt,
+        membersReleased: restrictedMembers.length,
+        executedBy: admin ? 'ADMIN' : 'AUTO_MODERATOR'
+    });
+    logger.info(`Lockdown ended in chat ${chatId}: ${reason}`);
+
+    try {
+        await sendMessage(chat.id, '🔓 The lockdown has ended. Welcome, new members!');
+    } catch (error) {
+        logger.warn(`Could not post lockdown end notice in chat ${chatId}`);
+    }
+    return true;
+};
+
+/**
+ * Runs a `LOCKDOWN_END` job: ends the automatic lockdown it was queued for, unless that
+ * lockdown has already ended.
+ *
+ * @param {object} payload - The job payload: the group's `chatId` and the lockdown's `startedAt`.
+ */
+export const handleLockdownEnd = async ({ chatId, startedAt }) => {
+    const settings = await getGroupSettings(chatId.toString());
+    if (settings.lockdownStartedAt !== startedAt) return;
+    await endLockdown({ id: chatId }, { reason: 'Lockdown duration elapsed' });
+};
+
+/**
+ * Handles the lockdown side of a `new_chat_members` update: starts a lockdown when the
+ * join rate exceeds the group's limit and restricts human members who join while the
+ * group is locked.
+ *
+ * @param {object} msg - The Telegram message object carrying `new_chat_members`.
+ * @returns {Promise<boolean>} True if the group is in lockdown, so other join handling (e.g. CAPTCHA) should be skipped.
+ */
+export const handleJoinsForLockdown = async (msg) => {
+    const { chat } = msg;
+    const chatId = chat.id.toString();
+    const humans = msg.new_chat_members.filter(member => !member.is_bot);
+    if (chat.type === 'private' || humans.length === 0) return false;
+
+    try {
+        let settings = await getGroupSettings(chatId);
+
+        if (!settings.lockdownStartedAt && settings.raidJoinLimit > 0) {
+            const joinCount = recordJoins(chatId, humans.length, {
+                limit: settings.raidJoinLimit,
+                windowSeconds: settings.raidJoinWindowSeconds
+            });
+            if (joinCount) {
+                await startLockdown(chat, { reason: `${joinCount} members joined within ${settings.raidJoinWindowSeconds} seconds`, joinCount });
+                settings = await getGroupSettings(chatId);
+            }
+        }
+
+        if (!settings.lockdownStartedAt) return false;
+
+        for (const member of humans) {
+            try {
+                await restrictUser(chat.id, member.id);
+            } catch (error) {
+                logger.warn(`Could not restrict member ${member.id} during lockdown in chat ${chatId}`);
+            }
+        }
+        return true;
+    } catch (error) {
+        logger.error(`Error handling joins for lockdown in chat ${chatId}: ${error.message}`, { stack: error.stack });
+        return false;
+    }
+};
+
+/**
+ * Checks a message against the lockdown slow mode and records it.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the sender.
+ * @param {number} slowModeSeconds - The minimum gap between a user's messages.
+ * @param {number} [now=Date.now()] - The current time, injectable for tests.
+ * @returns {boolean} True if the user posted again too soon.
+ */
+export const isSlowModeViolation = (chatId, userId, slowModeSeconds, now = Date.now()) => {
+    const key = `${chatId}:${userId}`;
+    const last = lastMessageTimes.get(key);
+    if (last && now - last < slowModeSeconds * 1000) {
+        return true;
+    }
+    lastMessageTimes.set(key, now);
+    return false;
+};
+
+/**
+ * Clears slow mode tracking, e.g. when caches are cleared or between tests.
+ */
+export const resetLockdownState = () => {
+    lastMessageTimes.clear();
+};
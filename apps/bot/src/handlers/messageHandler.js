@@ -1,14 +1,34 @@
 /**
  * @fileoverview This is the core message processor for the moderation bot.
- * It handles all non-command messages in groups, analyzes them for spam and profanity,
- * and applies penalties based on the configured rules for each specific group.
+ * It handles all non-command messages in groups (including media and captions), enforces
+ * flood limits, admin-defined rules and per-group media and link policies, removes coordinated
+ * duplicate-message waves, applies stricter probation rules to new members, analyzes text for
+ * spam and profanity, and applies penalties based on the configured rules for each specific group.
+ * Messages scoring just below the spam threshold are held for admin review instead.
+ * Users on the ban list of the group's federation are banned as soon as they post.
+ * In shadow mode every decision is still made, but only recorded as a `SHADOW_*` audit entry.
  */
 
 import { isPromotional, hasProfanity, analyzeMessage } from '@telegram-moderator/shared/services/nlp.js';
 import * as db from '@telegram-moderator/shared/services/database.js';
-import { deleteMessage, kickUser, banUser, muteUser, sendMessage, getChatAdmins } from '@telegram-moderator/shared/services/telegram.js';
+import { deleteMessage, kickUser, banUser, muteUser, sendMessage, getChatAdmins, getChatMember } from '@telegram-moderator/shared/services/telegram.js';
+import { deleteMessageLater, enqueueJob, cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
 import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
 import logger from '@telegram-moderator/shared/services/logger.js';
+import { checkLinks, extractUrls } from '@telegram-moderator/shared/services/linkFilter.js';
+import { checkLanguage, LANGUAGE_NAMES } from '@telegram-moderator/shared/services/languageDetector.js';
+import { trackMessage } from '@telegram-moderator/shared/services/floodControl.js';
+import { checkDuplicate } from '@telegram-moderator/shared/services/duplicateDetection.js';
+import { evaluateRules } from '@telegram-moderator/shared/services/ruleEngine.js';
+import { getStrikeCategory, resolvePenaltyLadder } from '@telegram-moderator/shared/services/penaltyLadder.js';
+import { getScheduledMuteMinutes, formatMuteDuration } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { isInReviewBand } from '@telegram-moderator/shared/services/reviews.js';
+import { enforceFederationBan } from '@telegram-moderator/shared/services/federations.js';
+import { isSlowModeViolation } from './lockdownHandler.js';
+import { checkForImpersonation } from './impersonationHandler.js';
+import { queueForReview } from './reviewHandler.js';
+import { appealKeyboard } from '../keyboards/appealMenu.js';
+import { MediaType, ContentPolicy, FloodAction, RuleAction, LanguageAction, JobType } from '@telegram-moderator/shared/utils/enums.js';
 // Removed the obsolete userCache import
 
 /**
@@ -24,19 +44,105 @@ const escapeMarkdownV2 = (text) => {
 };
 
 
+/**
+ * Returns the moderated media type carried by a message, if any.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @returns {string|null} One of the `MediaType` values, or null for plain text messages.
+ */
+const getMediaType = (msg) => Object.values(MediaType).find(type => msg[type]) || null;
+
+/**
+ * Writes the audit entry for an action the bot took or, in shadow mode, would have taken.
+ * Shadow entries get a `SHADOW_` type and keep the action as `shadowAction`, so they stay out
+ * of the statistics and the mute history that real entries feed.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {string|number} userId - The ID of the user.
+ * @param {object} logData - The entry, with its real `type` and `action`.
+ * @param {object} settings - The settings object for the specific group.
+ */
+const logAction = (chatId, userId, { type, action, ...logData }, settings) => {
+    const entry = settings.shadowMode
+        ? { type: `SHADOW_${type}`, shadowAction: action, ...logData }
+        : { type, action, ...logData };
+    return db.logManualAction(chatId.toString(), userId.toString(), entry);
+};
+
+/**
+ * Records a strike and returns the user's new total. In shadow mode the strike is only
+ * logged, and the total adds the shadow strikes so far to the user's real strikes.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @param {object} logData - The strike's audit entry.
+ * @param {object} settings - The settings object for the specific group.
+ * @returns {Promise<number>} The (would-be) strike count.
+ */
+const recordStrike = async (chatId, userId, logData, settings) => {
+    if (!settings.shadowMode) {
+        return db.recordStrike(chatId, userId, logData);
+    }
+    await db.logManualAction(chatId, userId, { ...logData, type: 'SHADOW_STRIKE', strikeCategory: getStrikeCategory(logData.violationType) || undefined });
+    const [{ count }, shadow] = await Promise.all([db.getStrikes(chatId, userId), db.getShadowCounts(chatId, userId)]);
+    return count + shadow.strikes;
+};
+
+/**
+ * Checks whether a user is still in the group's probation period and, for new messages,
+ * counts the message towards it. Probation lasts while the user is inside both configured
+ * limits (first `probationHours` hours and first `probationMessages` messages); a limit of 0
+ * is ignored, and probation is off when both are 0. Users whose join was never recorded
+ * (e.g. members from before the bot was added) are not on probation.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the sender.
+ * @param {object} settings - The settings object for the specific group.
+ * @param {boolean} isEdit - Whether the message is an edit (edits are not counted).
+ * @returns {Promise<boolean>} True if the user is on probation.
+ */
+const checkProbation = async (chatId, userId, settings, isEdit) => {
+    const probationHours = settings.probationHours || 0;
+    const probationMessages = settings.probationMessages || 0;
+    if (probationHours <= 0 && probationMessages <= 0) {
+        return false;
+    }
+
+    const membership = await db.getMemberJoin(chatId, userId);
+    if (!membership) {
+        return false;
+    }
+
+    const hoursSinceJoin = (Date.now() - new Date(membership.joinedAt).getTime()) / (1000 * 3600);
+    const onProbation = (probationHours <= 0 || hoursSinceJoin < probationHours)
+        && (probationMessages <= 0 || membership.messageCount < probationMessages);
+
+    if (onProbation && !isEdit) {
+        await db.incrementMemberMessageCount(chatId, userId);
+    }
+    return onProbation;
+};
+
 /**
  * Main handler for incoming messages.
+ * Edited messages are passed through the same pipeline with `isEdit` set, so content
+ * that is edited into a violation after posting is still caught.
  *
  * @param {object} msg - The Telegram message object.
+ * @param {object} [options]
+ * @param {boolean} [options.isEdit=false] - Whether `msg` is an `edited_message` update.
  */
-export const handleMessage = async (msg) => {
-    const { chat, from, text, message_id } = msg;
+export const handleMessage = async (msg, { isEdit = false } = {}) => {
+    const { chat, from, message_id } = msg;
+    // Captions on photos, videos and documents go through the same pipeline as plain text.
+    const text = msg.text || msg.caption || '';
+    const mediaType = getMediaType(msg);
 
     // Persist the user who sent the message to the database for future lookups.
     await db.upsertUser(from);
 
-    // IMPORTANT: Ignore all messages in private chats and non-text messages. This bot is for group moderation only.
-    if (chat.type === 'private' || !text) {
+    // IMPORTANT: Ignore all messages in private chats and messages with nothing to moderate. This bot is for group moderation only.
+    if (chat.type === 'private' || (!text && !mediaType)) {
         return;
     }
 
@@ -53,33 +159,175 @@ export const handleMessage = async (msg) => {
     if (whitelist.includes(from.id.toString())) {
         return;
     }
+
+    // Users on the ban list of the group's federation are banned on sight, e.g. if they were
+    // already in the group when it joined the federation.
+    if (!isEdit) {
+        try {
+            if (await enforceFederationBan(chat.id.toString(), from, groupSettings)) {
+                await deleteMessage(chat.id, message_id);
+                return;
+            }
+        } catch (error) {
+            logger.warn(`Could not enforce the federation ban on user ${from.id} in chat ${chat.id}: ${error.message}`);
+        }
+    }
+
+    // Members whose name imitates an admin or a protected word are restricted, e.g. after renaming themselves.
+    if (!isEdit && await checkForImpersonation(chat, from, groupSettings)) {
+        await deleteMessage(chat.id, message_id);
+        return;
+    }
     
-    // Good behavior forgiveness
-    if (groupSettings.goodBehaviorDays > 0) {
-        const strikes = await db.getStrikes(chat.id.toString(), from.id.toString());
-        if (strikes.count > 0 && strikes.timestamp) {
-            const lastStrikeDate = new Date(strikes.timestamp);
-            const now = new Date();
-            const diffDays = (now.getTime() - lastStrikeDate.getTime()) / (1000 * 3600 * 24);
-
-            if (diffDays > groupSettings.goodBehaviorDays) {
-                await db.removeStrike(chat.id.toString(), from.id.toString(), 1);
-                try {
-                    await sendMessage(from.id, "Your good behavior has been noticed, and one of your strikes in " + chat.title + " has been removed. Keep it up!");
-                } catch (error) {
-                    logger.warn(`Could not send good behavior forgiveness PM to user ${from.id}`);
-                }
+    // Whether a violation in this message should cost the sender a strike or only be deleted.
+    const issueStrike = !isEdit || groupSettings.strikeOnEditedViolation !== false;
+
+    // Edits are logged with what the message said before, so admins can see what changed.
+    const previousExcerpt = isEdit ? await db.getLastMessageExcerpt(chat.id.toString(), message_id) : undefined;
+
+    // New members on probation get a lower spam threshold and may not post links or media.
+    const onProbation = await checkProbation(chat.id.toString(), from.id.toString(), groupSettings, isEdit);
+    const spamThreshold = onProbation
+        ? Math.min(groupSettings.spamThreshold, groupSettings.probationSpamThreshold ?? groupSettings.spamThreshold)
+        : groupSettings.spamThreshold;
+    // Called after every violation so probation members can be escalated straight to a mute.
+    const escalateProbation = async (violationType) => {
+        if (onProbation && groupSettings.probationMuteOnViolation) {
+            await muteForProbation(msg, violationType, groupSettings);
+        }
+    };
+
+    // During a lockdown the bot enforces slow mode itself (the Bot API cannot change a group's slow mode).
+    if (!isEdit && groupSettings.lockdownStartedAt && groupSettings.lockdownSlowModeSeconds > 0
+        && isSlowModeViolation(chat.id.toString(), from.id.toString(), groupSettings.lockdownSlowModeSeconds)) {
+        await enforceViolation(msg, {
+            violationType: 'SLOW_MODE',
+            reason: `Slow mode: one message every ${groupSettings.lockdownSlowModeSeconds} seconds during lockdown`,
+            strike: false
+        }, groupSettings);
+        return;
+    }
+
+    // Flood detection counts every new message, whatever its content.
+    if (!isEdit && groupSettings.floodMessageLimit > 0) {
+        const burst = trackMessage(chat.id.toString(), from.id.toString(), message_id, {
+            limit: groupSettings.floodMessageLimit,
+            windowSeconds: groupSettings.floodWindowSeconds
+        });
+        if (burst) {
+            await enforceFlood(msg, burst, groupSettings);
+            return;
+        }
+    }
+
+    // Admin-defined rules are deterministic, so they run before any policy or NLP check.
+    const ruleMatch = evaluateRules(await db.getModerationRules(chat.id.toString(), { enabledOnly: true }), msg);
+    if (ruleMatch) {
+        const removed = await enforceRule(msg, ruleMatch, groupSettings, { issueStrike, isEdit, previousExcerpt, probation: onProbation });
+        if (removed) {
+            // Rules that already mute or ban need no further escalation.
+            if (ruleMatch.rule.action === RuleAction.DELETE || ruleMatch.rule.action === RuleAction.STRIKE) {
+                await escalateProbation('RULE');
             }
+            return;
+        }
+    }
+
+    // Apply the group's policy for this media type before any text analysis.
+    if (mediaType) {
+        const policy = groupSettings.mediaPolicies?.[mediaType] || ContentPolicy.ALLOW;
+        if (policy !== ContentPolicy.ALLOW || onProbation) {
+            await enforceViolation(msg, {
+                violationType: 'MEDIA',
+                reason: policy === ContentPolicy.ALLOW
+                    ? 'Media is not allowed during probation'
+                    : `Media type "${mediaType}" is not allowed`,
+                strike: policy === ContentPolicy.STRIKE && issueStrike,
+                details: { mediaType, mediaPolicy: policy, edited: isEdit, previousExcerpt, probation: onProbation }
+            }, groupSettings);
+            await escalateProbation('MEDIA');
+            return;
         }
     }
 
+    // Media without a caption has no text left to analyze.
+    if (!text) {
+        return;
+    }
 
     // If keyword bypass is enabled, check if the message contains any whitelisted keywords.
-    if (groupSettings.keywordWhitelistBypass && groupSettings.whitelistedKeywords.some(kw => text.toLowerCase().includes(kw.toLowerCase()))) {
+    const hasWhitelistedKeyword = (groupSettings.whitelistedKeywords || []).some(kw => text.toLowerCase().includes(kw.toLowerCase()));
+    if (groupSettings.keywordWhitelistBypass && hasWhitelistedKeyword) {
         logger.info(`Ignoring message from ${from.id} in chat ${chat.id} due to whitelisted keyword bypass.`);
         return;
     }
 
+    // Deterministic link policy runs before the NLP call so known-bad links never depend on the AI score.
+    const { urls, violation: linkViolation } = checkLinks(text, msg.entities || msg.caption_entities, groupSettings);
+    if (linkViolation) {
+        await enforceViolation(msg, {
+            violationType: 'LINK',
+            reason: linkViolation.reason,
+            strike: linkViolation.action === ContentPolicy.STRIKE && issueStrike,
+            details: { url: linkViolation.url, domain: linkViolation.domain, mediaType, edited: isEdit, previousExcerpt, probation: onProbation }
+        }, groupSettings);
+        await escalateProbation('LINK');
+        return;
+    }
+    // Probation only removes unmistakable links, so a newcomer's "node.js" is not deleted.
+    const probationUrls = onProbation && urls.length > 0 ? extractUrls(text, msg.entities || msg.caption_entities, { explicitOnly: true }) : [];
+    if (probationUrls.length > 0) {
+        await enforceViolation(msg, {
+            violationType: 'LINK',
+            reason: 'Links are not allowed during probation',
+            strike: false,
+            details: { url: probationUrls[0], mediaType, edited: isEdit, previousExcerpt, probation: true }
+        }, groupSettings);
+        await escalateProbation('LINK');
+        return;
+    }
+
+    // The language policy is detected locally; whitelisted keywords exempt a message even without the bypass.
+    const { detection, violation: languageViolation } = checkLanguage(text, groupSettings);
+    if (languageViolation && !hasWhitelistedKeyword) {
+        const action = groupSettings.languageAction || LanguageAction.DELETE;
+        await enforceViolation(msg, {
+            violationType: 'LANGUAGE',
+            reason: languageViolation.reason,
+            strike: action === LanguageAction.STRIKE && issueStrike,
+            details: { language: detection.language, script: detection.script, languageAction: action, mediaType, edited: isEdit, previousExcerpt, probation: onProbation }
+        }, groupSettings);
+        if (action === LanguageAction.WARN) {
+            await remindLanguagePolicy(msg, groupSettings);
+        }
+        await escalateProbation('LANGUAGE');
+        return;
+    }
+
+    // Copies of a message already posted by many distinct users are removed without an NLP call.
+    if (!isEdit && groupSettings.duplicateUserThreshold > 0) {
+        const wave = checkDuplicate(chat.id.toString(), from.id.toString(), message_id, text, {
+            userThreshold: groupSettings.duplicateUserThreshold,
+            windowMinutes: groupSettings.duplicateWindowMinutes
+        });
+        if (wave?.isDuplicate) {
+            await enforceViolation(msg, {
+                violationType: 'DUPLICATE',
+                reason: `Similar message posted by ${wave.userCount} users within ${groupSettings.duplicateWindowMinutes} minutes`,
+                strike: false,
+                details: { userCount: wave.userCount, mediaType }
+            }, groupSettings);
+            if (wave.earlierCopies.length > 0) {
+                await removeEarlierCopies(chat, wave, groupSettings);
+            }
+            if (wave.shouldAlert && !groupSettings.shadowMode) {
+                await alertAdminsOfWave(chat, adminIds, wave, groupSettings);
+            }
+            await escalateProbation('DUPLICATE');
+            return;
+        }
+    }
+
     try {
         // Use combined analysis for better performance when both spam and profanity checks are needed
         const shouldCheckProfanity = groupSettings.profanityEnabled && groupSettings.profanityThreshold > 0;
@@ -97,44 +345,61 @@ export const handleMessage = async (msg) => {
             profanityResult = { hasProfanity: false, severity: 0, type: 'disabled' };
         }
 
-        // Log ALL scanned messages for comprehensive stats
+        // Log ALL scanned messages for comprehensive stats (edits get their own type so they aren't counted twice)
         await db.logManualAction(chat.id.toString(), from.id.toString(), {
-            type: 'SCANNED',
-            action: 'message_analyzed',
+            type: isEdit ? 'MESSAGE_EDITED' : 'SCANNED',
+            action: isEdit ? 'message_edited' : 'message_analyzed',
             timestamp: new Date().toISOString(),
             user: from,
+            messageId: message_id,
             messageExcerpt: text.substring(0, 150),
+            previousExcerpt,
             spamScore: spamResult.score,
             profanityScore: profanityResult.severity,
             profanityType: profanityResult.type || 'none',
-            messageLength: text.length
+            messageLength: text.length,
+            language: detection.language,
+            script: detection.script,
+            mediaType
         });
 
         logger.debug(`Message analysis - Spam: ${spamResult.score.toFixed(2)}, Profanity: ${profanityResult.severity.toFixed(2)}`);
 
         // Determine which violation occurred (spam takes precedence for logging)
-        const isSpamViolation = spamResult.score >= groupSettings.spamThreshold;
+        const isSpamViolation = spamResult.score >= spamThreshold;
         const isProfanityViolation = shouldCheckProfanity && profanityResult.severity >= groupSettings.profanityThreshold;
         
         if (isSpamViolation || isProfanityViolation) {
             // 1. Delete the offending message.
-            await deleteMessage(chat.id, message_id);
+            if (!groupSettings.shadowMode) {
+                await deleteMessage(chat.id, message_id);
+            }
             
             // Log the message deletion with detailed violation info
-            await db.logManualAction(chat.id.toString(), from.id.toString(), {
+            await logAction(chat.id, from.id, {
                 type: 'VIOLATION',
                 action: 'message_deleted',
                 timestamp: new Date().toISOString(),
                 user: from,
                 messageExcerpt: text.substring(0, 150),
-                reason: 'Violation detected',
+                reason: isEdit ? 'Violation detected in edited message' : 'Violation detected',
                 violationType: isSpamViolation ? 'SPAM' : 'PROFANITY',
+                edited: isEdit,
+                previousExcerpt,
                 spamScore: spamResult.score,
                 profanityScore: profanityResult.severity,
                 profanityType: profanityResult.type || 'unknown',
                 messageLength: text.length,
-                thresholdExceeded: isSpamViolation ? groupSettings.spamThreshold : groupSettings.profanityThreshold
-            });
+                mediaType,
+                probation: onProbation,
+                thresholdExceeded: isSpamViolation ? spamThreshold : groupSettings.profanityThreshold
+            }, groupSettings);
+            await escalateProbation(isSpamViolation ? 'SPAM' : 'PROFANITY');
+
+            if (!issueStrike) {
+                logger.info(`Deleted violating edit from ${from.id} in chat ${chat.id} without a strike.`);
+                return;
+            }
 
             // 2. Prepare the log data for the strike (prioritize spam over profanity for logging)
             const violationType = isSpamViolation ? 'SPAM' : 'PROFANITY';
@@ -150,23 +415,377 @@ export const handleMessage = async (msg) => {
                 profanityScore: profanityResult.severity,
                 profanityType: profanityResult.type || 'unknown',
                 messageLength: text.length,
-                thresholdExceeded: isSpamViolation ? groupSettings.spamThreshold : groupSettings.profanityThreshold
+                mediaType,
+                edited: isEdit,
+                thresholdExceeded: isSpamViolation ? spamThreshold : groupSettings.profanityThreshold
             };
 
             // 3. Record the strike in the database.
-            const newStrikeCount = await db.recordStrike(chat.id.toString(), from.id.toString(), logData);
+            const newStrikeCount = await recordStrike(chat.id.toString(), from.id.toString(), logData, groupSettings);
             logger.info(`User ${from.id} in chat ${chat.id} committed ${violationType} strike #${newStrikeCount}.`);
 
             // 4. Apply the appropriate penalty with updated logData for more detailed alerts.
             await applyPenalty(chat.id, from, newStrikeCount, groupSettings, logData);
+        } else if (isInReviewBand(spamResult.score, groupSettings, spamThreshold)) {
+            // Borderline messages stay in the chat until an admin decides on them.
+            await queueForReview(msg, { spamScore: spamResult.score, profanityScore: profanityResult.severity }, groupSettings, adminIds);
         }
     } catch (error) {
         logger.error(`Error processing message from ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
     }
 };
 
+/**
+ * Deletes a message that broke a deterministic group rule (media policy, link policy, ...)
+ * and, when `strike` is set, records a strike and applies the resulting penalty.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @param {object} violation - Describes the rule that was broken.
+ * @param {string} violation.violationType - The audit log violation type (e.g. `MEDIA`, `LINK`).
+ * @param {string} violation.reason - Human readable reason stored with the violation.
+ * @param {boolean} violation.strike - Whether the sender receives a strike.
+ * @param {object} [violation.details] - Extra fields stored on both audit entries.
+ * @param {number[]} [violation.messageIds] - Messages to delete; defaults to `msg` alone.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function enforceViolation(msg, { violationType, reason, strike, details = {}, messageIds }, settings) {
+    const { chat, from, message_id } = msg;
+    const messageExcerpt = (msg.text || msg.caption || `[${getMediaType(msg)}]`).substring(0, 150);
+
+    try {
+        if (!settings.shadowMode) {
+            for (const id of messageIds || [message_id]) {
+                await deleteMessage(chat.id, id);
+            }
+        }
+
+        await logAction(chat.id, from.id, {
+            type: 'VIOLATION',
+            action: 'message_deleted',
+            timestamp: new Date().toISOString(),
+            user: from,
+            messageExcerpt,
+            reason,
+            violationType,
+            ...details
+        }, settings);
+
+        if (!strike) {
+            logger.info(`Deleted message from ${from.id} in chat ${chat.id} (${violationType}) without a strike.`);
+            return;
+        }
+
+        const logData = {
+            type: 'STRIKE',
+            violationType,
+            timestamp: new Date().toISOString(),
+            user: from,
+            messageExcerpt,
+            ...details
+        };
+
+        const newStrikeCount = await recordStrike(chat.id.toString(), from.id.toString(), logData, settings);
+        logger.info(`User ${from.id} in chat ${chat.id} committed ${violationType} strike #${newStrikeCount}.`);
+
+        await applyPenalty(chat.id, from, newStrikeCount, settings, logData);
+    } catch (error) {
+        logger.error(`Error enforcing ${violationType} rule for ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Reminds the sender of a message removed by the language policy which languages or scripts
+ * the group accepts. The reminder is removed after `warningMessageDeleteSeconds`.
+ *
+ * @param {object} msg - The Telegram message object that broke the policy.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function remindLanguagePolicy(msg, settings) {
+    if (settings.shadowMode) return;
+    const { chat, from } = msg;
+    const accepted = settings.allowedLanguages?.length > 0
+        ? settings.allowedLanguages.map(code => LANGUAGE_NAMES[code] || code).join(', ')
+        : `${settings.allowedScripts.join(', ')} script`;
+    const userTag = `[${escapeMarkdownV2(from.first_name)}](tg://user?id=${from.id})`;
+
+    try {
+        const sentMsg = await sendMessage(chat.id, `🌐 ${userTag}${escapeMarkdownV2(`, this group only accepts messages in ${accepted}.`)}`, { parse_mode: 'MarkdownV2' });
+        if (settings.warningMessageDeleteSeconds > 0) {
+            await deleteMessageLater(chat.id, sentMsg.message_id, settings.warningMessageDeleteSeconds * 1000);
+        }
+    } catch (error) {
+        logger.error(`Error sending language reminder to ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Handles a user who exceeded the group's flood limit: deletes the burst and then
+ * mutes or strikes the user according to `floodAction`. Messages that continue an
+ * already handled burst are only deleted.
+ *
+ * @param {object} msg - The Telegram message object that triggered the check.
+ * @param {{messageIds: number[], continued: boolean}} burst - The result from `trackMessage`.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function enforceFlood(msg, burst, settings) {
+    const { chat, from } = msg;
+    const action = burst.continued ? FloodAction.DELETE : (settings.floodAction || FloodAction.DELETE);
+
+    await enforceViolation(msg, {
+        violationType: 'FLOOD',
+        reason: burst.continued
+            ? 'Flood continued'
+            : `Sent more than ${settings.floodMessageLimit} messages in ${settings.floodWindowSeconds} seconds`,
+        strike: action === FloodAction.STRIKE,
+        messageIds: burst.messageIds,
+        details: { burstSize: burst.messageIds.length, floodAction: action }
+    }, settings);
+
+    if (action !== FloodAction.MUTE) {
+        return;
+    }
+
+    try {
+        const muteDuration = await muteWithSchedule(chat.id, from, settings);
+        await logAction(chat.id, from.id, {
+            type: 'PENALTY',
+            action: 'user_muted',
+            timestamp: new Date().toISOString(),
+            user: from,
+            reason: 'Flood limit exceeded',
+            muteDuration,
+            violationType: 'FLOOD',
+            executedBy: 'AUTO_MODERATOR',
+            severity: 'LOW'
+        }, settings);
+        logger.warn(`Muted user ${from.id} in chat ${chat.id} for flooding.`);
+    } catch (error) {
+        logger.error(`Error muting flooding user ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Applies the action of a matching custom rule. `log` rules only record the match, so the
+ * message continues through the rest of the pipeline; every other action deletes it.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @param {{rule: object, match: string}} ruleMatch - The result from `evaluateRules`.
+ * @param {object} settings - The settings object for the specific group.
+ * @param {object} context
+ * @param {boolean} context.issueStrike - Whether strikes apply to this message (false for edits when disabled).
+ * @param {boolean} context.isEdit - Whether the message is an edit.
+ * @param {string|null} [context.previousExcerpt] - The text an edited message replaced, if it was scanned before.
+ * @param {boolean} context.probation - Whether the sender is on probation.
+ * @returns {Promise<boolean>} True if the message was removed.
+ */
+async function enforceRule(msg, { rule, match }, settings, { issueStrike, isEdit, previousExcerpt, probation }) {
+    const { chat, from } = msg;
+    const details = {
+        ruleId: rule.id,
+        rulePattern: rule.pattern,
+        ruleScope: rule.scope,
+        ruleAction: rule.action,
+        matchedText: match.substring(0, 100),
+        mediaType: getMediaType(msg),
+        edited: isEdit,
+        previousExcerpt,
+        probation
+    };
+
+    if (rule.action === RuleAction.LOG) {
+        await db.logManualAction(chat.id.toString(), from.id.toString(), {
+            type: 'RULE_MATCH',
+            action: 'rule_matched',
+            timestamp: new Date().toISOString(),
+            user: from,
+            messageExcerpt: (msg.text || msg.caption || '').substring(0, 150),
+            ...details
+        });
+        logger.info(`Message from ${from.id} in chat ${chat.id} matched logging rule #${rule.id}.`);
+        return false;
+    }
+
+    const strike = rule.action === RuleAction.STRIKE && issueStrike;
+    await enforceViolation(msg, {
+        violationType: 'RULE',
+        reason: `Matched rule #${rule.id}`,
+        strike,
+        details: strike ? { ...details, amount: rule.strikeWeight } : details
+    }, settings);
+
+    if (rule.action !== RuleAction.MUTE && rule.action !== RuleAction.BAN) {
+        return true;
+    }
+
+    const banned = rule.action === RuleAction.BAN;
+    try {
+        let muteDuration;
+        if (!banned) {
+            muteDuration = await muteWithSchedule(chat.id, from, settings);
+        } else if (!settings.shadowMode) {
+            await banUser(chat.id, from.id);
+        }
+        await logAction(chat.id, from.id, {
+            type: 'PENALTY',
+            action: banned ? 'user_banned' : 'user_muted',
+            timestamp: new Date().toISOString(),
+            user: from,
+            reason: `Matched rule #${rule.id}`,
+            muteDuration,
+            violationType: 'RULE',
+            ruleId: rule.id,
+            executedBy: 'AUTO_MODERATOR',
+            severity: banned ? 'HIGH' : 'LOW'
+        }, settings);
+        logger.warn(`${banned ? 'Banned' : 'Muted'} user ${from.id} in chat ${chat.id} for matching rule #${rule.id}.`);
+    } catch (error) {
+        logger.error(`Error applying rule #${rule.id} penalty to ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+    }
+    return true;
+}
+
+/**
+ * Mutes a member for the next duration in the group's mute schedule, based on how many
+ * times they have been muted in this chat before, and queues a reminder telling them when
+ * the mute ends. In shadow mode the member is not muted and the shadow mutes so far count
+ * towards the schedule.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {object} user - The Telegram user object of the member to mute.
+ * @param {object} settings - The settings object for the specific group.
+ * @returns {Promise<number>} The mute duration that was applied, in minutes.
+ */
+async function muteWithSchedule(chatId, user, settings) {
+    let previousMutes = await db.countUserMutes(chatId.toString(), user.id.toString());
+    if (settings.shadowMode) {
+        previousMutes += (await db.getShadowCounts(chatId.toString(), user.id.toString())).mutes;
+        return getScheduledMuteMinutes(settings, previousMutes);
+    }
+    const muteDuration = getScheduledMuteMinutes(settings, previousMutes);
+    await muteUser(chatId, user.id, muteDuration);
+
+    const key = `${chatId}:${user.id}`;
+    try {
+        await cancelJobs(JobType.UNMUTE_REMINDER, key);
+        await enqueueJob(JobType.UNMUTE_REMINDER, { chatId, user: { id: user.id, first_name: user.first_name } }, { delayMs: muteDuration * 60 * 1000, key });
+    } catch (error) {
+        logger.warn(`Could not queue the unmute reminder for user ${user.id} in chat ${chatId}: ${error.message}`);
+    }
+    return muteDuration;
+}
+
+/**
+ * Tells a member in the group that their automatic mute has ended. Runs from the job
+ * queue; nothing is sent if the member left or is still restricted, e.g. because an
+ * admin extended the mute.
+ *
+ * @param {{chatId: (string|number), user: object}} payload - The chat and the muted member.
+ */
+export const handleUnmuteReminder = async ({ chatId, user }) => {
+    const member = await getChatMember(chatId, user.id);
+    const stillRestricted = member?.status === 'restricted' && (!member.until_date || member.until_date * 1000 > Date.now());
+    if (!member || ['left', 'kicked'].includes(member.status) || stillRestricted) {
+        return;
+    }
+
+    const settings = await getGroupSettings(chatId.toString());
+    const sent = await sendMessage(chatId, `🔊 ${user.first_name}, your mute has ended and you can post again. Please keep to the group rules.`);
+    if (settings.warningMessageDeleteSeconds > 0) {
+        await deleteMessageLater(chatId, sent.message_id, settings.warningMessageDeleteSeconds * 1000);
+    }
+};
+
+/**
+ * Mutes a member who broke a rule during their probation period, without waiting for
+ * the strike ladder to reach the mute level.
+ *
+ * @param {object} msg - The Telegram message object that broke the rule.
+ * @param {string} violationType - The violation type, stored on the audit entry.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function muteForProbation(msg, violationType, settings) {
+    const { chat, from } = msg;
+    try {
+        const muteDuration = await muteWithSchedule(chat.id, from, settings);
+        await logAction(chat.id, from.id, {
+            type: 'PENALTY',
+            action: 'user_muted',
+            timestamp: new Date().toISOString(),
+            user: from,
+            reason: 'Violation during probation',
+            muteDuration,
+            violationType,
+            probation: true,
+            executedBy: 'AUTO_MODERATOR',
+            severity: 'LOW'
+        }, settings);
+        logger.warn(`Muted probation member ${from.id} in chat ${chat.id} after a ${violationType} violation.`);
+    } catch (error) {
+        logger.error(`Error muting probation member ${from.id} in chat ${chat.id}: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Removes the copies of a duplicate-message wave that were posted before it reached the
+ * threshold. They were let through at the time, so each one is deleted and logged now.
+ *
+ * @param {object} chat - The Telegram chat object.
+ * @param {{userCount: number, excerpt: string, earlierCopies: {userId: string, messageId: number}[]}} wave - The result from `checkDuplicate`.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function removeEarlierCopies(chat, wave, settings) {
+    for (const { userId, messageId } of wave.earlierCopies) {
+        try {
+            if (!settings.shadowMode) {
+                await deleteMessage(chat.id, messageId);
+            }
+            await logAction(chat.id, userId, {
+                type: 'VIOLATION',
+                action: 'message_deleted',
+                timestamp: new Date().toISOString(),
+                messageId,
+                messageExcerpt: wave.excerpt,
+                reason: `Similar message posted by ${wave.userCount} users within ${settings.duplicateWindowMinutes} minutes`,
+                violationType: 'DUPLICATE',
+                userCount: wave.userCount,
+                earlierCopy: true
+            }, settings);
+        } catch (error) {
+            logger.warn(`Could not remove earlier duplicate ${messageId} in chat ${chat.id}`);
+        }
+    }
+}
+
+/**
+ * Sends each chat admin a single summary when a duplicate-message wave is first detected.
+ * Later copies of the same wave are removed silently.
+ *
+ * @param {object} chat - The Telegram chat object.
+ * @param {number[]} adminIds - The IDs of the chat's administrators.
+ * @param {{userCount: number, excerpt: string}} wave - The result from `checkDuplicate`.
+ * @param {object} settings - The settings object for the specific group.
+ */
+async function alertAdminsOfWave(chat, adminIds, wave, settings) {
+    const summary = `🚨 Possible raid in ${chat.title}: ${wave.userCount} different users posted a similar message within ${settings.duplicateWindowMinutes} minutes.\n\n`
+        + `"${wave.excerpt}"\n\n`
+        + 'The copies posted so far have been removed, and further copies will be removed automatically while the wave continues.';
+
+    logger.warn(`Duplicate message wave detected in chat ${chat.id} (${wave.userCount} users).`);
+    for (const adminId of adminIds) {
+        try {
+            await sendMessage(adminId, summary);
+        } catch (error) {
+            logger.warn(`Could not send duplicate wave alert to admin ${adminId}`);
+        }
+    }
+}
+
 /**
  * Determines and applies the most severe, applicable penalty for a given strike count.
+ * Strikes in a category with its own ladder are judged against the member's count in
+ * that category; all others use the default levels and the combined total. Reaching the
+ * group's combined strike ceiling bans the member whatever the ladder says. In shadow mode
+ * the penalty is only logged, and the shadow strikes so far count towards the ladder.
  *
  * @param {string|number} chatId - The ID of the chat where the offense occurred.
  * @param {object} user - The Telegram user object for the offender.
@@ -175,109 +794,141 @@ export const handleMessage = async (msg) => {
  * @param {object} [logData] - Optional log data, used for detailed alerts.
  */
 async function applyPenalty(chatId, user, strikeCount, settings, logData) {
+    const { levels, category } = resolvePenaltyLadder(settings, getStrikeCategory(logData?.violationType));
+    let ladderCount = category
+        ? (await db.getCategoryStrikes(chatId.toString(), user.id.toString()))[category] || 0
+        : strikeCount;
+    if (category && settings.shadowMode) {
+        ladderCount += (await db.getShadowCounts(chatId.toString(), user.id.toString())).categoryStrikes[category] || 0;
+    }
+    const ceilingReached = settings.combinedStrikeCeiling > 0 && strikeCount >= settings.combinedStrikeCeiling;
+
+    // Posts the group's warning message for this strike, followed by `outcome` (e.g. the mute duration).
+    const sendWarning = async (outcome = '') => {
+        if (settings.shadowMode) return;
+        const escapedName = escapeMarkdownV2(user.first_name);
+        const userTag = `[${escapedName}](tg://user?id=${user.id})`;
+
+        // Choose appropriate warning message based on violation type
+        const violationType = logData?.violationType || 'SPAM';
+        const warningMessage = violationType === 'PROFANITY' ? settings.profanityWarningMessage : settings.warningMessage;
+        const messageParts = warningMessage.split('{user}');
+        const strikePart = category
+            ? ` \\(${escapeMarkdownV2(category)} strike ${ladderCount}, ${strikeCount} in total\\)`
+            : ` \\(Strike ${strikeCount}\\)`;
+        
+        // Add the reason (message excerpt) if available
+        const violationEmoji = { PROFANITY: '🤬', MEDIA: '🖼️', LINK: '🔗', FLOOD: '🌊', RULE: '📏', LANGUAGE: '🌐' }[violationType] || '📢';
+        const reason = logData ? ` for ${violationEmoji} ${violationType.toLowerCase()}: "*${escapeMarkdownV2(logData.messageExcerpt)}*"` : '';
+
+        let finalMessage = escapeMarkdownV2(messageParts[0]);
+        if (messageParts.length > 1) {
+            finalMessage += userTag;
+            finalMessage += escapeMarkdownV2(messageParts.slice(1).join('{user}'));
+        }
+        finalMessage += reason;
+        finalMessage += strikePart;
+        finalMessage += escapeMarkdownV2(outcome);
+
+        const sentMsg = await sendMessage(chatId, finalMessage, { parse_mode: 'MarkdownV2', ...appealKeyboard(chatId, user.id) });
+
+        if (settings.warningMessageDeleteSeconds > 0) {
+            await deleteMessageLater(chatId, sentMsg.message_id, settings.warningMessageDeleteSeconds * 1000);
+        }
+    };
+
     const actions = [
-        { level: settings.banLevel, name: 'BAN', execute: async () => {
-            await banUser(chatId, user.id);
+        { level: levels.banLevel, name: 'BAN', execute: async () => {
+            if (!settings.shadowMode) await banUser(chatId, user.id);
             // Log the ban action
-            await db.logManualAction(chatId.toString(), user.id.toString(), {
+            await logAction(chatId, user.id, {
                 type: 'PENALTY',
                 action: 'user_banned',
                 timestamp: new Date().toISOString(),
                 user: user,
                 strikeCount: strikeCount,
-                reason: 'Strike limit reached',
+                strikeCategory: category || undefined,
+                categoryStrikeCount: category ? ladderCount : undefined,
+                reason: ceilingReached ? 'Combined strike ceiling reached' : 'Strike limit reached',
                 violationType: logData?.violationType || 'UNKNOWN',
                 executedBy: 'AUTO_MODERATOR',
                 severity: 'HIGH'
-            });
+            }, settings);
         }},
-        { level: settings.kickLevel, name: 'KICK', execute: async () => {
-            await kickUser(chatId, user.id);
+        { level: levels.kickLevel, name: 'KICK', execute: async () => {
+            if (!settings.shadowMode) await kickUser(chatId, user.id);
             // Log the kick action
-            await db.logManualAction(chatId.toString(), user.id.toString(), {
+            await logAction(chatId, user.id, {
                 type: 'PENALTY',
                 action: 'user_kicked',
                 timestamp: new Date().toISOString(),
                 user: user,
                 strikeCount: strikeCount,
+                strikeCategory: category || undefined,
+                categoryStrikeCount: category ? ladderCount : undefined,
                 reason: 'Strike limit reached',
                 violationType: logData?.violationType || 'UNKNOWN',
                 executedBy: 'AUTO_MODERATOR',
                 severity: 'MEDIUM'
-            });
+            }, settings);
         }},
-        { level: settings.muteLevel, name: 'MUTE', execute: async () => {
-            await muteUser(chatId, user.id, settings.muteDurationMinutes);
+        { level: levels.muteLevel, name: 'MUTE', execute: async () => {
+            const muteDuration = await muteWithSchedule(chatId, user, settings);
+            // Linked to the strike, so an approved appeal against it lifts this mute and no other.
+            const strikeEntry = settings.shadowMode ? undefined : await db.getLastStrikeEntry(chatId.toString(), user.id.toString());
             // Log the mute action
-            await db.logManualAction(chatId.toString(), user.id.toString(), {
+            await logAction(chatId, user.id, {
                 type: 'PENALTY',
                 action: 'user_muted',
                 timestamp: new Date().toISOString(),
                 user: user,
                 strikeCount: strikeCount,
+                strikeCategory: category || undefined,
+                categoryStrikeCount: category ? ladderCount : undefined,
                 reason: 'Strike limit reached',
-                muteDuration: settings.muteDurationMinutes,
+                muteDuration,
+                strikeLogId: strikeEntry?.id,
                 violationType: logData?.violationType || 'UNKNOWN',
                 executedBy: 'AUTO_MODERATOR',
                 severity: 'LOW'
-            });
+            }, settings);
+            await sendWarning(` 🔇 Muted for ${formatMuteDuration(muteDuration)}.`);
         }},
-        { level: settings.alertLevel, name: 'ALERT', execute: async () => {
-            const escapedName = escapeMarkdownV2(user.first_name);
-            const userTag = `[${escapedName}](tg://user?id=${user.id})`;
-
-            // Choose appropriate warning message based on violation type
-            const violationType = logData?.violationType || 'SPAM';
-            const warningMessage = violationType === 'PROFANITY' ? settings.profanityWarningMessage : settings.warningMessage;
-            const messageParts = warningMessage.split('{user}');
-            const strikePart = ` \\(Strike ${strikeCount}\\)`;
-            
-            // Add the reason (message excerpt) if available
-            const violationEmoji = violationType === 'PROFANITY' ? '🤬' : '📢';
-            const reason = logData ? ` for ${violationEmoji} ${violationType.toLowerCase()}: "*${escapeMarkdownV2(logData.messageExcerpt)}*"` : '';
-
-            let finalMessage = escapeMarkdownV2(messageParts[0]);
-            if (messageParts.length > 1) {
-                finalMessage += userTag;
-                finalMessage += escapeMarkdownV2(messageParts.slice(1).join('{user}'));
-            }
-            finalMessage += reason;
-            finalMessage += strikePart;
-
-            const sentMsg = await sendMessage(chatId, finalMessage, { parse_mode: 'MarkdownV2' });
-
-            if (settings.warningMessageDeleteSeconds > 0) {
-                setTimeout(() => deleteMessage(chatId, sentMsg.message_id), settings.warningMessageDeleteSeconds * 1000);
-            }
+        { level: levels.alertLevel, name: 'ALERT', execute: async () => {
+            await sendWarning();
             
             // Log the alert/warning action
-            await db.logManualAction(chatId.toString(), user.id.toString(), {
+            await logAction(chatId, user.id, {
                 type: 'PENALTY',
                 action: 'user_warned',
                 timestamp: new Date().toISOString(),
                 user: user,
                 strikeCount: strikeCount,
+                strikeCategory: category || undefined,
+                categoryStrikeCount: category ? ladderCount : undefined,
                 reason: 'Strike warning',
                 violationType: logData?.violationType || 'UNKNOWN',
                 executedBy: 'AUTO_MODERATOR',
                 severity: 'WARNING'
-            });
+            }, settings);
         }},
     ];
 
-    const triggeredActions = actions.filter(action => action.level > 0 && strikeCount >= action.level);
+    const triggeredActions = ceilingReached
+        ? actions.filter(action => action.name === 'BAN')
+        : actions.filter(action => action.level > 0 && ladderCount >= action.level);
 
     if (triggeredActions.length === 0) {
-        logger.info(`No action configured for strike #${strikeCount} in chat ${chatId}.`);
+        logger.info(`No action configured for ${category ? `${category} strike #${ladderCount}` : `strike #${strikeCount}`} in chat ${chatId}.`);
         return;
     }
 
     const actionToExecute = triggeredActions.reduce((prev, current) => (prev.level > current.level) ? prev : current);
 
-    logger.warn(`Executing penalty: ${actionToExecute.name} for user ${user.id} in chat ${chatId} at strike #${strikeCount}.`);
+    logger.warn(`${settings.shadowMode ? 'Shadow mode, not executing' : 'Executing'} penalty: ${actionToExecute.name} for user ${user.id} in chat ${chatId} at strike #${strikeCount}${category ? ` (${category} #${ladderCount})` : ''}.`);
     await actionToExecute.execute();
 
-    if (actionToExecute.name === 'KICK' || actionToExecute.name === 'BAN') {
+    if (!settings.shadowMode && (actionToExecute.name === 'KICK' || actionToExecute.name === 'BAN')) {
         await db.resetStrikes(chatId.toString(), user.id.toString());
         logger.info(`Strikes reset for user ${user.id} in chat ${chatId}.`);
     }
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Mirrors moderation actions to a group's log chat.
+ * Every strike, penalty, impersonation restriction and admin action written to the audit
+ * log is posted as a card to the group's `logChatId`, a channel or chat the bot can post
+ * in. With the `all` verbosity
+ * every deleted message is posted as well. Cards for strikes, mutes and bans carry a button
+ * that lets a group admin pardon the strike or undo the restriction from the log chat.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, editMessageText, answerCallbackQuery, getChatAdmins, unrestrictUser, unbanUser } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { formatMuteDuration } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { getStrikeCategory } from '@telegram-moderator/shared/services/penaltyLadder.js';
+import { cancelJobs } from '@telegram-moderator/shared/services/jobQueue.js';
+import { LogVerbosity, JobType } from '@telegram-moderator/shared/utils/enums.js';
+import { modLogEntryKeyboard } from '../keyboards/modLogMenu.js';
+import { describeManualAction } from './commandHandler.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+const PENALTY_TITLES = {
+    user_warned: '📢 Warned',
+    user_muted: '🔇 Muted',
+    user_kicked: '👢 Kicked',
+    user_banned: '🚫 Banned'
+};
+
+/**
+ * Whether an audit log entry belongs in the log chat at the group's verbosity.
+ *
+ * @param {object} logData - The parsed `logData` of the entry.
+ * @param {string} verbosity - The group's `LogVerbosity`.
+ * @returns {boolean} True if a card should be posted.
+ */
+export const isMirrored = (logData, verbosity) => {
+    const type = logData.type || '';
+    if (type === 'VIOLATION') return verbosity === LogVerbosity.ALL;
+    return type === 'STRIKE' || type === 'PENALTY' || type === 'IMPERSONATION' || type.startsWith('MANUAL');
+};
+
+/**
+ * Works out which button can reverse a logged action.
+ *
+ * @param {object} logData - The parsed `logData` of the entry.
+ * @returns {string|null} `pardon` for strikes, `unmute` for mutes, `unban` for bans, or null.
+ */
+const reversalFor = (logData) => {
+    if (['STRIKE', 'MANUAL-WARN', 'MANUAL-STRIKE-ADD'].includes(logData.type)) return 'pardon';
+    if (logData.action === 'user_muted' || logData.type === 'MANUAL-MUTE') return 'unmute';
+    if (logData.action === 'user_banned' || logData.type === 'MANUAL-BAN') return 'unban';
+    return null;
+};
+
+/**
+ * Formats the headline of a log card, e.g. "⚠️ Strike (spam)" or "🔇 Muted for 1 hour".
+ *
+ * @param {object} logData - The parsed `logData` of the entry.
+ * @returns {string} The headline.
+ */
+const describeEntry = (logData) => {
+    const violation = (logData.violationType || 'unknown').toLowerCase();
+    switch (logData.type) {
+        case 'VIOLATION':
+            return `🗑️ Message deleted (${violation})`;
+        case 'STRIKE':
+            return `⚠️ Strike (${violation})${logData.amount > 1 ? ` x${logData.amount}` : ''}`;
+        case 'PENALTY': {
+            const title = PENALTY_TITLES[logData.action] || `🔨 ${logData.action}`;
+            return logData.muteDuration ? `${title} for ${formatMuteDuration(logData.muteDuration)}` : title;
+        }
+        case 'IMPERSONATION':
+            return '🎭 Restricted as a possible impersonator';
+        default:
+            return `👮 ${describeManualAction(logData)}`;
+    }
+};
+
+/**
+ * Formats the text of a log card.
+ *
+ * @param {object} entry - The audit log entry passed to the listener.
+ * @param {string} groupTitle - The name of the group.
+ * @returns {string} The plain text card.
+ */
+export const formatLogCard = ({ id, userId, logData }, groupTitle) => {
+    const user = logData.targetUser || logData.user || {};
+    const lines = [
+        describeEntry(logData),
+        `Group: ${groupTitle}`,
+        `User: ${user.first_name || 'Unknown'}${user.username ? ` (@${user.username})` : ''} [${userId}]`
+    ];
+    if (logData.reason) lines.push(`Reason: ${logData.reason}`);
+    if (logData.messageExcerpt) lines.push(`Message: "${logData.messageExcerpt}"`);
+    if (typeof logData.spamScore === 'number') {
+        lines.push(`Scores: spam ${logData.spamScore.toFixed(2)}${typeof logData.profanityScore === 'number' ? `, profanity ${logData.profanityScore.toFixed(2)}` : ''}`);
+    }
+    if (logData.strikeCount) lines.push(`Strikes: ${logData.strikeCount}`);
+    if (logData.admin) lines.push(`Admin: ${logData.admin.first_name}`);
+    lines.push(`Entry #${id}`);
+    return lines.join('\n');
+};
+
+/**
+ * Posts a card for a new audit log entry to the group's log chat, if it has one and the
+ * entry is covered by its verbosity. Registered as an audit log listener.
+ *
+ * @param {object} entry - The entry written, `{ id, chatId, userId, logData }`.
+ */
+export const mirrorAuditEntry = async (entry) => {
+    const { chatId, logData } = entry;
+    if (!isMirrored(logData, LogVerbosity.ALL)) return;
+
+    const settings = await getGroupSettings(chatId);
+    if (!settings?.logChatId || !isMirrored(logData, settings.logChatVerbosity)) return;
+
+    const group = await db.getGroup(chatId);
+    try {
+        await sendMessage(settings.logChatId, formatLogCard(entry, group?.chatTitle || chatId), modLogEntryKeyboard(chatId, entry.id, reversalFor(logData)));
+    } catch (error) {
+        logger.warn(`Could not post audit entry ${entry.id} of chat ${chatId} to log chat ${settings.logChatId}: ${error.response?.body?.description || error.message}`);
+    }
+};
+
+/**
+ * Starts mirroring new audit log entries to the log chats.
+ *
+ * @returns {function(): void} Stops mirroring again.
+ */
+export const registerModerationLog = () => db.onAuditEntry(mirrorAuditEntry);
+
+/**
+ * Handles a press on a log card button, `modlog_<pardon|unmute|unban>:chatId:logId`.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleModLogCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [action, chatId, logId] = data.split(':');
+    const reversal = action.replace('modlog_', '');
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.map(adminId => adminId.toString()).includes(from.id.toString())) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'Only admins of the group can do this.' });
+        return;
+    }
+
+    const entry = await db.getAuditEntry(chatId, Number(logId));
+    const logData = entry ? JSON.parse(entry.logData) : null;
+    if (!logData || reversalFor(logData) !== reversal) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This action cannot be reversed.' });
+        return;
+    }
+    if (!(await db.claimReversal(chatId, entry.id, from.id.toString()))) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This action was already reversed.' });
+        return;
+    }
+
+    const user = logData.targetUser || logData.user || {};
+    const undo = {
+        admin: { id: from.id, first_name: from.first_name, username: from.username },
+        targetUser: { id: user.id || entry.userId, first_name: user.first_name, username: user.username },
+        reason: `Reversed from the moderation log (entry #${entry.id})`,
+        undoes: entry.id
+    };
+
+    let outcome;
+    try {
+        if (reversal === 'pardon') {
+            const amount = logData.amount || 1;
+            await db.removeStrike(chatId, entry.userId, amount, logData.type === 'STRIKE' ? getStrikeCategory(logData.violationType) : null);
+            await db.logManualAction(chatId, entry.userId, { type: 'MANUAL-STRIKE-REMOVE', ...undo, amount });
+            outcome = 'Strike pardoned';
+        } else if (reversal === 'unmute') {
+            await unrestrictUser(chatId, entry.userId);
+            await cancelJobs(JobType.UNMUTE_REMINDER, `${chatId}:${entry.userId}`);
+            await db.logManualAction(chatId, entry.userId, { type: 'MANUAL-UNMUTE', ...undo });
+            outcome = 'Unmuted';
+        } else {
+            await unbanUser(chatId, entry.userId);
+            await db.logManualAction(chatId, entry.userId, { type: 'MANUAL-UNBAN', ...undo });
+            outcome = 'Unbanned';
+        }
+    } catch (error) {
+        logger.error(`Failed to ${reversal} audit entry ${entry.id} in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+        await db.releaseReversal(chatId, entry.id);
+        await answerCallbackQuery(callbackQuery.id, { text: "That didn't work. Make sure I am still an admin of the group.", show_alert: true });
+        return;
+    }
+    logger.info(`Admin ${from.id} reversed audit entry ${entry.id} in chat ${chatId} (${reversal}).`);
+
+    await editMessageText(`${message.text}\n\n✅ ${outcome} by ${from.first_name}.`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+    await answerCallbackQuery(callbackQuery.id, { text: `${outcome}.` });
+};
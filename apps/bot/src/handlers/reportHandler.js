@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Lets members flag a message the bot missed and group admins act on it.
+ * A member replies to the message with `/report [reason]`. The message and its context
+ * are forwarded to the group's report chat, or to every admin privately if none is set,
+ * with buttons to delete it, strike, mute or ban its author, or dismiss the report.
+ * A message is only escalated once; later reports of it are counted instead. Members
+ * must wait between reports so the command cannot be used to flood the admins.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, forwardMessage, deleteMessage, editMessageText, answerCallbackQuery, getChatAdmins, muteUser, banUser } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import { formatMuteDuration } from '@telegram-moderator/shared/services/muteSchedule.js';
+import { ReportStatus, ReportAction } from '@telegram-moderator/shared/utils/enums.js';
+import { reportReviewKeyboard } from '../keyboards/reportMenu.js';
+import { replyBriefly } from './commandHandler.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// How long a member must wait after reporting before they can report again.
+const REPORT_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Longest reason and message excerpt stored with a report; longer ones are cut off.
+const MAX_REASON_LENGTH = 200;
+const MAX_EXCERPT_LENGTH = 200;
+
+/**
+ * Sends a new report to the group's report chat, or to every admin if none is configured.
+ *
+ * @param {object} report - The stored report.
+ * @param {object} msg - The /report command message.
+ * @param {number[]} adminIds - The IDs of the group's admins.
+ * @returns {Promise<number>} How many chats the report was delivered to.
+ */
+const escalateReport = async (report, msg, adminIds) => {
+    const { from, chat } = msg;
+    const author = msg.reply_to_message.from;
+    const settings = await getGroupSettings(report.chatId);
+    const timesReported = await db.countUserReports(report.chatId, report.reportedUserId);
+
+    const summary = `🚩 Report #${report.id} in ${chat.title}\n\n`
+        + `Author: ${author.first_name} (${author.id})${timesReported > 1 ? `, reported ${timesReported} times` : ''}\n`
+        + `Reported by: ${from.first_name} (${from.id})\n`
+        + `Reason: ${report.reason || 'none given'}\n\n`
+        + (report.messageExcerpt ? `Message:\n"${report.messageExcerpt}"` : 'The message has no text.');
+
+    const destinations = settings?.reportChatId ? [settings.reportChatId] : adminIds;
+    let delivered = 0;
+    for (const destination of destinations) {
+        try {
+            await forwardMessage(destination, chat.id, report.messageId);
+        } catch (error) {
+            // Groups with protected content can't forward messages; the summary still carries the excerpt.
+        }
+        try {
+            await sendMessage(destination, summary, reportReviewKeyboard(report.chatId, report.id));
+            delivered++;
+        } catch (error) {
+            logger.warn(`Could not send report #${report.id} to ${destination}`);
+        }
+    }
+    return delivered;
+};
+
+/**
+ * Handles `/report [reason]` sent in a group as a reply to the message being reported.
+ *
+ * @param {object} msg - The Telegram message object of the command.
+ * @param {number[]} adminIds - The IDs of the group's admins.
+ */
+export const handleReportCommand = async (msg, adminIds) => {
+    const { from, chat, text } = msg;
+    const target = msg.reply_to_message;
+    await deleteMessage(chat.id, msg.message_id);
+
+    if (!target?.from) {
+        return replyBriefly(chat, `${from.first_name}, reply to the message you want to report with /report.`);
+    }
+    if (target.from.id === from.id || target.from.is_bot || adminIds.includes(target.from.id)) {
+        return replyBriefly(chat, `${from.first_name}, that message can't be reported.`);
+    }
+
+    const chatId = chat.id.toString();
+    const reporterId = from.id.toString();
+    try {
+        const lastReportAt = await db.getLastReportTime(chatId, reporterId);
+        const waitMs = lastReportAt ? new Date(lastReportAt).getTime() + REPORT_COOLDOWN_MS - Date.now() : 0;
+        if (waitMs > 0) {
+            return replyBriefly(chat, `${from.first_name}, please wait ${Math.ceil(waitMs / 1000)} seconds before reporting again.`);
+        }
+
+        const existing = await db.getReportByMessage(chatId, target.message_id);
+        if (existing) {
+            if (existing.status === ReportStatus.OPEN) {
+                await db.addReportToExisting(chatId, existing.id, reporterId);
+            }
+            return replyBriefly(chat, `Thanks, ${from.first_name}. This message has already been reported to the admins.`);
+        }
+
+        await db.upsertUser(target.from);
+        const report = await db.createReport(chatId, {
+            messageId: target.message_id,
+            reportedUserId: target.from.id.toString(),
+            reporterId,
+            reason: text.split(/\s+/).slice(1).join(' ').substring(0, MAX_REASON_LENGTH) || null,
+            messageExcerpt: (target.text || target.caption || '').substring(0, MAX_EXCERPT_LENGTH) || null
+        });
+        logger.info(`Report #${report.id} of message ${target.message_id} filed by user ${from.id} in chat ${chatId}.`);
+
+        const delivered = await escalateReport(report, msg, adminIds);
+        await replyBriefly(chat, delivered > 0
+            ? `Thanks, ${from.first_name}. The admins have been notified.`
+            : `Thanks, ${from.first_name}. Your report was saved, but I couldn't reach the admins right now.`);
+    } catch (error) {
+        logger.error(`Error filing report in chat ${chatId}: ${error.message}`, { stack: error.stack });
+        await replyBriefly(chat, `Sorry ${from.first_name}, your report could not be sent. Please try again later.`);
+    }
+};
+
+/**
+ * Carries out what an admin chose for a report and records it in the audit log.
+ *
+ * @param {object} report - The report being acted on.
+ * @param {string} action - The chosen `ReportAction`.
+ * @param {object} admin - The acting admin's Telegram user object.
+ * @returns {Promise<string>} A short description of what was done.
+ */
+const applyReportAction = async (report, action, admin) => {
+    const { chatId, reportedUserId: userId } = report;
+    if (action === ReportAction.DISMISS) {
+        return 'Dismissed';
+    }
+
+    await deleteMessage(chatId, report.messageId);
+    const user = await db.getUser(userId);
+    const logEntry = {
+        admin: { id: admin.id, first_name: admin.first_name, username: admin.username },
+        targetUser: { id: userId, first_name: user?.firstName || userId, username: user?.username },
+        reason: `Report #${report.id}${report.reason ? `: ${report.reason}` : ''}`,
+        messageExcerpt: report.messageExcerpt,
+        reportId: report.id
+    };
+
+    switch (action) {
+        case ReportAction.STRIKE:
+            await db.addStrikes(chatId, userId, 1);
+            await db.logManualAction(chatId, userId, { type: 'MANUAL-WARN', ...logEntry, amount: 1 });
+            return 'Message deleted and strike added';
+        case ReportAction.MUTE: {
+            const durationMinutes = (await getGroupSettings(chatId))?.muteDurationMinutes || 60;
+            await muteUser(chatId, userId, durationMinutes);
+            await db.logManualAction(chatId, userId, { type: 'MANUAL-MUTE', ...logEntry, durationMinutes });
+            return `Message deleted and author muted for ${formatMuteDuration(durationMinutes)}`;
+        }
+        case ReportAction.BAN:
+            await banUser(chatId, userId);
+            await db.logManualAction(chatId, userId, { type: 'MANUAL-BAN', ...logEntry });
+            return 'Message deleted and author banned';
+        default:
+            await db.logManualAction(chatId, userId, { type: 'MANUAL-DELETE', ...logEntry });
+            return 'Message deleted';
+    }
+};
+
+/**
+ * Handles an admin's press on a report button, `report_<action>:chatId:reportId`.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleReportCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [callbackAction, chatId, id] = data.split(':');
+    const action = callbackAction.replace('report_', '');
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.map(adminId => adminId.toString()).includes(from.id.toString())) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can act on reports.' });
+        return;
+    }
+
+    const report = await db.getReport(chatId, Number(id));
+    const status = action === ReportAction.DISMISS ? ReportStatus.DISMISSED : ReportStatus.RESOLVED;
+    // Only the first admin to act closes the report when it was sent to several of them.
+    if (!report || !(await db.resolveReport(chatId, report.id, status, action, from.id.toString()))) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This report has already been handled.' });
+        return;
+    }
+
+    let outcome;
+    try {
+        outcome = await applyReportAction(report, action, from);
+    } catch (error) {
+        logger.error(`Failed to ${action} for report #${report.id} in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+        await answerCallbackQuery(callbackQuery.id, { text: "That didn't work. Make sure I can still delete messages and restrict members.", show_alert: true });
+        return;
+    }
+    logger.info(`Report #${report.id} in chat ${chatId} handled by admin ${from.id}: ${action}.`);
+
+    await editMessageText(`${message.text}\n\n${outcome} by ${from.first_name}.`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+    await answerCallbackQuery(callbackQuery.id, { text: `${outcome}.` });
+};
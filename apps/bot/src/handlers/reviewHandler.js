@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Sends messages held for human review to the admins and handles their decisions.
+ * A message whose spam score falls in the group's review band stays in the chat and is queued.
+ * The admins get it in the moderation log chat, or privately if the group has none, with
+ * buttons to mark it clean or remove it. The same queue can be worked from the dashboard.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage, editMessageText, answerCallbackQuery, getChatAdmins } from '@telegram-moderator/shared/services/telegram.js';
+import { resolveReview } from '@telegram-moderator/shared/services/reviews.js';
+import { reviewDecisionKeyboard } from '../keyboards/reviewMenu.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// Longest message excerpt stored with a review; longer ones are cut off.
+const MAX_EXCERPT_LENGTH = 200;
+
+/**
+ * Queues a borderline message for review and sends it to the admins.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @param {{spamScore: number, profanityScore: number}} scores - The message's classification scores.
+ * @param {object} settings - The settings object for the specific group.
+ * @param {number[]} adminIds - The IDs of the group's admins.
+ * @returns {Promise<object|null>} The new review, or null if the message was already queued.
+ */
+export const queueForReview = async (msg, { spamScore, profanityScore }, settings, adminIds) => {
+    const { chat, from, message_id } = msg;
+    const chatId = chat.id.toString();
+    const messageExcerpt = (msg.text || msg.caption || '').substring(0, MAX_EXCERPT_LENGTH);
+
+    const review = await db.createReview(chatId, { messageId: message_id, userId: from.id.toString(), messageExcerpt, spamScore, profanityScore });
+    if (!review) return null;
+    logger.info(`Message ${message_id} from ${from.id} in chat ${chatId} queued for review #${review.id} (spam ${spamScore.toFixed(2)}).`);
+
+    const summary = `🔍 Review #${review.id} in ${chat.title}\n\n`
+        + `Author: ${from.first_name}${from.username ? ` (@${from.username})` : ''} [${from.id}]\n`
+        + `Spam score: ${spamScore.toFixed(2)} (deleted from ${settings.spamThreshold.toFixed(2)})\n\n`
+        + `Message:\n"${messageExcerpt}"`;
+
+    const destinations = settings.logChatId ? [settings.logChatId] : adminIds;
+    for (const destination of destinations) {
+        try {
+            await sendMessage(destination, summary, reviewDecisionKeyboard(chatId, review.id));
+        } catch (error) {
+            logger.warn(`Could not send review #${review.id} to ${destination}`);
+        }
+    }
+    return review;
+};
+
+/**
+ * Handles an admin's press on a review button, `review_<approve|remove>:chatId:reviewId`.
+ *
+ * @param {object} callbackQuery - The Telegram callback query object.
+ */
+export const handleReviewCallback = async (callbackQuery) => {
+    const { from, message, data } = callbackQuery;
+    const [action, chatId, id] = data.split(':');
+
+    const adminIds = await getChatAdmins(chatId);
+    if (!adminIds.map(adminId => adminId.toString()).includes(from.id.toString())) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'Only group admins can decide reviews.' });
+        return;
+    }
+
+    const remove = action === 'review_remove';
+    let review;
+    try {
+        review = await resolveReview(chatId, Number(id), { remove, admin: from });
+    } catch (error) {
+        logger.error(`Failed to decide review #${id} in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+        await answerCallbackQuery(callbackQuery.id, { text: "That didn't work. Make sure I can still delete messages in the group.", show_alert: true });
+        return;
+    }
+    if (!review) {
+        await answerCallbackQuery(callbackQuery.id, { text: 'This review has already been decided.' });
+        return;
+    }
+
+    const outcome = remove ? `Removed, strike ${review.strikeCount} given` : 'Marked clean';
+    await editMessageText(`${message.text}\n\n${outcome} by ${from.first_name}.`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id
+    });
+    await answerCallbackQuery(callbackQuery.id, { text: `${outcome}.` });
+};
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Applies and reverts scheduled group restrictions. Once a minute the scheduler
+ * checks every group's schedule entries in the group's time zone: entries whose window has
+ * opened are applied, and applied entries whose window has closed, or that were disabled,
+ * changed or deleted meanwhile, are reverted. Values someone else changed while an entry
+ * was applied are left alone on revert. When entries overlap on a permission or setting, the
+ * one applied last decides its value, and all of them share the value from before the first,
+ * which comes back once the last of them is reverted. Every change is recorded in the audit log.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { getChat, setChatPermissions } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings, updateSetting } from '@telegram-moderator/shared/config/index.js';
+import { isScheduleActive } from '@telegram-moderator/shared/services/schedules.js';
+import { ScheduleKind } from '@telegram-moderator/shared/utils/enums.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// How often the schedules are checked.
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Stand-in actor for audit entries written when the bot acts on its own.
+const AUTO_MODERATOR = { id: 0, first_name: 'Auto-Moderator' };
+
+let checkTimer = null;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Lists the applied entries of a group that set a permission or setting, the one applied
+ * last first.
+ *
+ * @param {object[]} schedules - The group's entries.
+ * @param {string} kind - The `ScheduleKind` of the key.
+ * @param {string} key - The permission or setting.
+ * @returns {object[]} The applied entries whose payload sets the key.
+ */
+const appliedEntriesFor = (schedules, kind, key) => schedules
+    .filter(schedule => schedule.appliedAt && schedule.revertData.kind === kind && key in schedule.revertData.payload)
+    .sort((a, b) => b.appliedAt.localeCompare(a.appliedAt) || b.id - a.id);
+
+/**
+ * Applies a schedule entry to its group. Keys another applied entry already set keep that
+ * entry's value from before it, so overlapping entries revert to the same value.
+ *
+ * @param {object} schedule - The entry.
+ * @param {object} settings - The group's current settings.
+ * @param {object[]} schedules - The group's entries.
+ * @returns {Promise<object>} The values to restore once no entry sets them any more, keyed like its payload.
+ */
+const applySchedule = async (schedule, settings, schedules) => {
+    const { chatId, kind, payload } = schedule;
+    const isPermissions = kind === ScheduleKind.PERMISSIONS;
+    const current = isPermissions ? (await getChat(chatId)).permissions || {} : settings;
+    const previous = Object.fromEntries(Object.keys(payload).map((key) => {
+        const [overlapping] = appliedEntriesFor(schedules, kind, key);
+        // Telegram leaves out permissions that are on.
+        return [key, overlapping ? overlapping.revertData.previous[key] : isPermissions ? current[key] ?? true : current[key]];
+    }));
+
+    if (isPermissions) {
+        await setChatPermissions(chatId, { ...current, ...payload });
+    } else {
+        for (const [key, value] of Object.entries(payload)) {
+            await updateSetting(chatId, key, value);
+        }
+    }
+    return previous;
+};
+
+/**
+ * Reverts an applied schedule entry. Each value that still holds what the scheduler set
+ * goes back to the value of the last applied entry that still sets it, or to the value from
+ * before the entries when there is none. Values someone else changed are left alone.
+ *
+ * @param {object} schedule - The entry, with the `revertData` stored when it was applied.
+ * @param {object} settings - The group's current settings.
+ * @param {object[]} schedules - The group's entries.
+ * @returns {Promise<{restored: object, kept: string[]}>} The values restored, and the keys left alone.
+ */
+const revertSchedule = async (schedule, settings, schedules) => {
+    const { chatId } = schedule;
+    const { kind, payload, previous } = schedule.revertData;
+
+    const isPermissions = kind === ScheduleKind.PERMISSIONS;
+    const current = isPermissions ? (await getChat(chatId)).permissions || {} : settings;
+    // Telegram leaves out permissions that are on, as `applySchedule` assumes too.
+    const currentValue = key => (isPermissions ? current[key] ?? true : current[key]);
+
+    const restored = {};
+    const kept = [];
+    for (const key of Object.keys(payload)) {
+        const [last, ...others] = appliedEntriesFor(schedules, kind, key);
+        const remaining = last === schedule ? others : [last, ...others].filter(entry => entry !== schedule);
+        if (!sameValue(currentValue(key), last.revertData.payload[key])) {
+            kept.push(key);
+        } else if (last === schedule) {
+            restored[key] = remaining.length > 0 ? remaining[0].revertData.payload[key] : previous[key];
+        }
+    }
+
+    if (isPermissions) {
+        if (Object.keys(restored).length > 0) {
+            await setChatPermissions(chatId, { ...current, ...restored });
+        }
+    } else {
+        for (const [key, value] of Object.entries(restored)) {
+            await updateSetting(chatId, key, value);
+        }
+    }
+    return { restored, kept };
+};
+
+/**
+ * Writes an audit log entry for a schedule change.
+ */
+const logScheduleChange = (schedule, action, details) => db.logManualAction(schedule.chatId, AUTO_MODERATOR.id.toString(), {
+    type: 'SCHEDULE',
+    action,
+    timestamp: new Date().toISOString(),
+    user: AUTO_MODERATOR,
+    scheduleId: schedule.id,
+    name: schedule.name,
+    ...details,
+    executedBy: 'AUTO_MODERATOR'
+});
+
+/**
+ * Applies and reverts one group's schedule entries. All reverts happen before any entry is
+ * applied, so back-to-back windows hand over cleanly.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object[]} schedules - The group's entries that need a look.
+ * @param {Date} now - The current time.
+ */
+const runGroupSchedules = async (chatId, schedules, now) => {
+    const settings = await getGroupSettings(chatId);
+    const timeZone = settings.scheduleTimezone || 'UTC';
+    const due = new Set(schedules.filter(schedule => schedule.enabled && !schedule.deletedAt && isScheduleActive(schedule, timeZone, now)));
+    // An applied entry that was edited is reverted and applied again with its new values.
+    const changed = (schedule) => schedule.revertData.kind !== schedule.kind || !sameValue(schedule.revertData.payload, schedule.payload);
+
+    const toRevert = schedules.filter(schedule => schedule.appliedAt && (!due.has(schedule) || changed(schedule)));
+    for (const schedule of toRevert) {
+        try {
+            const { restored, kept } = await revertSchedule(schedule, await getGroupSettings(chatId), schedules);
+            await db.markScheduleReverted(schedule.id);
+            await logScheduleChange(schedule, 'schedule_reverted', {
+                kind: schedule.revertData.kind,
+                restored,
+                kept,
+                reason: schedule.deletedAt ? 'Entry deleted' : !schedule.enabled ? 'Entry disabled' : due.has(schedule) ? 'Entry changed' : 'Window ended'
+            });
+            logger.info(`Schedule "${schedule.name}" reverted in chat ${chatId}.`);
+            schedule.appliedAt = null;
+        } catch (error) {
+            logger.error(`Could not revert schedule ${schedule.id} in chat ${chatId}: ${error.message}`);
+        }
+    }
+
+    for (const schedule of due) {
+        if (schedule.appliedAt) continue;
+        try {
+            const previous = await applySchedule(schedule, await getGroupSettings(chatId), schedules);
+            const revertData = { kind: schedule.kind, payload: schedule.payload, previous };
+            await db.markScheduleApplied(schedule.id, revertData, now.toISOString());
+            Object.assign(schedule, { appliedAt: now.toISOString(), revertData });
+            await logScheduleChange(schedule, 'schedule_applied', {
+                kind: schedule.kind,
+                changes: schedule.payload,
+                previous,
+                window: `${schedule.startTime}-${schedule.endTime} ${timeZone}`
+            });
+            logger.info(`Schedule "${schedule.name}" applied in chat ${chatId}.`);
+        } catch (error) {
+            logger.error(`Could not apply schedule ${schedule.id} in chat ${chatId}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Checks every group's schedule entries once.
+ *
+ * @param {Date} [now=new Date()] - The current time, injectable for tests.
+ */
+export const runSchedules = async (now = new Date()) => {
+    let pending;
+    try {
+        pending = await db.getPendingSchedules();
+    } catch (error) {
+        logger.error(`Error loading group schedules: ${error.message}`, { stack: error.stack });
+        return;
+    }
+
+    const byChat = new Map();
+    for (const schedule of pending) {
+        if (!byChat.has(schedule.chatId)) byChat.set(schedule.chatId, []);
+        byChat.get(schedule.chatId).push(schedule);
+    }
+    for (const [chatId, schedules] of byChat) {
+        try {
+            await runGroupSchedules(chatId, schedules, now);
+        } catch (error) {
+            logger.error(`Error running schedules in chat ${chatId}: ${error.message}`, { stack: error.stack });
+        }
+    }
+};
+
+/**
+ * Starts checking the schedules every minute, beginning right away.
+ */
+export const startScheduler = () => {
+    if (checkTimer) return;
+    runSchedules();
+    checkTimer = setInterval(() => runSchedules(), CHECK_INTERVAL_MS);
+};
+
+/**
+ * Stops the scheduler, e.g. between tests.
+ */
+export const stopScheduler = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Lets strikes decay without waiting for the member to post again. Once an hour
+ * the job goes through every member holding strikes: strikes older than the group's
+ * `strikeExpirationDays` expire, and a member with no new strike for `goodBehaviorDays` is
+ * forgiven one strike, then another after each further period. Every decay is written to
+ * the audit log as `AUTO-STRIKE-DECAY`, and each member gets a single message per run that
+ * lists their decays in all groups.
+ */
+
+import * as db from '@telegram-moderator/shared/services/database.js';
+import { sendMessage } from '@telegram-moderator/shared/services/telegram.js';
+import { getGroupSettings } from '@telegram-moderator/shared/config/index.js';
+import logger from '@telegram-moderator/shared/services/logger.js';
+
+// How often strikes are checked.
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Pause between notification messages, to stay well below Telegram's rate limits.
+const NOTIFY_DELAY_MS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Applies expiration and good behavior forgiveness to one group's members.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object[]} members - The group's members holding strikes, from `getStrikeHolders`.
+ * @param {Date} now - The current time.
+ * @param {Map<string, string[]>} notices - Collects the lines to send each member, keyed by user ID.
+ */
+const decayGroupStrikes = async (chatId, members, now, notices) => {
+    const { strikeExpirationDays, goodBehaviorDays } = await getGroupSettings(chatId);
+    const groupTitle = members[0].chatTitle || chatId;
+
+    for (const member of members) {
+        if (!member.timestamp) continue;
+        try {
+            let decay = null;
+            // Reading the strikes drops those past `strikeExpirationDays`.
+            const { count } = await db.getStrikes(chatId, member.userId);
+            if (count < member.count) {
+                decay = { action: 'strikes_expired', amount: member.count - count, newCount: count, reason: `No new strike in ${strikeExpirationDays} days` };
+            } else if (goodBehaviorDays > 0) {
+                // Each period without a strike forgives one, counted from the later of the last strike and the last forgiveness.
+                const since = Math.max(new Date(member.timestamp).getTime(), member.forgivenAt ? new Date(member.forgivenAt).getTime() : 0);
+                if (now.getTime() - since > goodBehaviorDays * DAY_MS) {
+                    const newCount = await db.removeStrike(chatId, member.userId, 1);
+                    await db.markStrikeForgiven(chatId, member.userId, now.toISOString());
+                    decay = { action: 'strike_forgiven', amount: 1, newCount, reason: `No new strike in ${goodBehaviorDays} days` };
+                }
+            }
+            if (!decay) continue;
+
+            await db.logManualAction(chatId, member.userId, {
+                type: 'AUTO-STRIKE-DECAY',
+                timestamp: now.toISOString(),
+                user: { id: Number(member.userId), first_name: member.firstName, username: member.username },
+                ...decay,
+                executedBy: 'AUTO_MODERATOR'
+            });
+            logger.info(`Strike decay for user ${member.userId} in chat ${chatId}: ${decay.action}, ${decay.amount} strike(s), ${decay.newCount} left.`);
+
+            const line = decay.action === 'strikes_expired'
+                ? `${groupTitle}: ${decay.amount} strike(s) expired`
+                : `${groupTitle}: 1 strike forgiven for good behavior`;
+            if (!notices.has(member.userId)) notices.set(member.userId, []);
+            notices.get(member.userId).push(`${line} (${decay.newCount} left)`);
+        } catch (error) {
+            logger.error(`Could not decay the strikes of user ${member.userId} in chat ${chatId}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Sends each member one message listing their decayed strikes.
+ *
+ * @param {Map<string, string[]>} notices - The lines to send, keyed by user ID.
+ */
+const sendNotices = async (notices) => {
+    let first = true;
+    for (const [userId, lines] of notices) {
+        if (!first) await delay(NOTIFY_DELAY_MS);
+        first = false;
+        try {
+            await sendMessage(userId, `Your good behavior has been noticed! Some of your strikes have been removed:\n\n${lines.map(line => `• ${line}`).join('\n')}\n\nKeep it up!`);
+        } catch (error) {
+            logger.warn(`Could not send strike decay notice to user ${userId}`);
+        }
+    }
+};
+
+/**
+ * Expires and forgives strikes in every group once.
+ *
+ * @param {Date} [now=new Date()] - The current time, injectable for tests.
+ */
+export const runStrikeDecay = async (now = new Date()) => {
+    // A slow run, e.g. with many notices to send, must not overlap the next one.
+    if (running) return;
+    running = true;
+    try {
+        let holders;
+        try {
+            holders = await db.getStrikeHolders();
+        } catch (error) {
+            logger.error(`Error loading strike holders: ${error.message}`, { stack: error.stack });
+            return;
+        }
+
+        const byChat = new Map();
+        for (const holder of holders) {
+            if (!byChat.has(holder.chatId)) byChat.set(holder.chatId, []);
+            byChat.get(holder.chatId).push(holder);
+        }
+        const notices = new Map();
+        for (const [chatId, members] of byChat) {
+            try {
+                await decayGroupStrikes(chatId, members, now, notices);
+            } catch (error) {
+                logger.error(`Error decaying strikes in chat ${chatId}: ${error.message}`, { stack: error.stack });
+            }
+        }
+        await sendNotices(notices);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts checking strikes every hour, beginning right away.
+ */
+export const startStrikeDecay = () => {
+    if (checkTimer) return;
+    runStrikeDecay();
+    checkTimer = setInterval(() => runStrikeDecay(), CHECK_INTERVAL_MS);
+};
+
+/**
+ * Stops the strike decay job, e.g. between tests.
+ */
+export const stopStrikeDecay = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+};
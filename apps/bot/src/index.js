@@ -8,6 +8,16 @@ import * as db from '@telegram-moderator/shared/services/database.js';
 import { handleMessage } from './handlers/messageHandler.js';
 import { handleCommand } from './handlers/commandHandler.js';
 import { handleCallback } from './handlers/callbackHandler.js';
+import { handleNewMembers } from './handlers/captchaHandler.js';
+import { handleJoinsForLockdown } from './handlers/lockdownHandler.js';
+import { handleJoinsForFederation } from './handlers/federationHandler.js';
+import { handleJoinsForImpersonation } from './handlers/impersonationHandler.js';
+import { isAwaitingAppeal, handleAppealMessage } from './handlers/appealHandler.js';
+import { registerModerationLog } from './handlers/modLogHandler.js';
+import { startScheduler } from './handlers/scheduleHandler.js';
+import { startStrikeDecay } from './handlers/strikeDecayHandler.js';
+import { registerJobHandlers } from './handlers/jobHandler.js';
+import { startJobQueue } from '@telegram-moderator/shared/services/jobQueue.js';
 import logger from '@telegram-moderator/shared/services/logger.js';
 
 /**
@@ -18,6 +28,7 @@ const registerBotCommands = async () => {
         const publicCommands = [
             { command: 'help', description: 'Show help information' },
             { command: 'mystrikes', description: 'Check your own strike count' },
+            { command: 'report', description: 'Report the message you reply to' },
             { command: 'settings', description: 'Open settings menu privately' }
         ];
 
@@ -28,7 +39,23 @@ const registerBotCommands = async () => {
             { command: 'addstrike', description: 'Add strikes to a user' },
             { command: 'removestrike', description: 'Remove strikes from a user' },
             { command: 'setstrike', description: 'Set a user\'s strike count' },
-            { command: 'auditlog', description: 'View recent moderation actions' }
+            { command: 'auditlog', description: 'View recent moderation actions' },
+            { command: 'lockdown', description: 'Start or end an anti-raid lockdown' },
+            { command: 'warn', description: 'Warn the member you reply to' },
+            { command: 'mute', description: 'Mute the member you reply to' },
+            { command: 'kick', description: 'Remove the member you reply to' },
+            { command: 'ban', description: 'Ban the member you reply to' },
+            { command: 'unmute', description: 'Unmute the member you reply to' },
+            { command: 'unban', description: 'Unban the member you reply to' },
+            { command: 'fban', description: 'Ban a user from every group in the federation' },
+            { command: 'funban', description: 'Lift a federation ban' },
+            { command: 'fedinfo', description: 'Show this group\'s federation' },
+            { command: 'newfed', description: 'Create a federation with this group' },
+            { command: 'joinfed', description: 'Add this group to your federation' },
+            { command: 'leavefed', description: 'Take this group out of its federation' },
+            { command: 'exportconfig', description: 'Get this group\'s configuration as a file' },
+            { command: 'importconfig', description: 'Apply the configuration file you reply to' },
+            { command: 'copyconfig', description: 'Copy another group\'s configuration' }
         ];
 
         const superAdminCommands = [
@@ -76,6 +103,12 @@ const main = async () => {
     await db.initializeDatabase();
     logger.info('Database initialized.');
 
+    // Mirror moderation actions to each group's log chat as they are written to the audit log
+    registerModerationLog();
+
+    // Tell the persistent job queue how to run delayed actions such as message deletions
+    registerJobHandlers();
+
     // 2. Get the bot's identity
     const botUser = await bot.getMe();
 
@@ -83,11 +116,30 @@ const main = async () => {
     await registerBotCommands();
 
     // 4. Group join/leave events
-    bot.on('new_chat_members', (msg) => {
+    bot.on('new_chat_members', async (msg) => {
         if (msg.new_chat_members.some(member => member.id === botUser.id)) {
             logger.info(`Bot added to new group: "${msg.chat.title}" (${msg.chat.id})`);
             db.addGroup(msg.chat.id.toString(), msg.chat.title);
         }
+        // Ban users on the federation's ban list first; the rest of the join handling skips them
+        const banned = await handleJoinsForFederation(msg);
+        const joined = { ...msg, new_chat_members: msg.new_chat_members.filter(member => !banned.includes(member.id)) };
+        // Restrict members posing as admins; they skip the CAPTCHA, which would lift the restriction
+        const impersonators = await handleJoinsForImpersonation(joined);
+        // Check the join rate: members who join during a lockdown stay restricted until it ends
+        const inLockdown = await handleJoinsForLockdown(joined);
+        // Remember when human members joined (used for probation and lockdown release)
+        try {
+            await Promise.all(joined.new_chat_members
+                .filter(member => !member.is_bot)
+                .map(member => db.recordMemberJoin(msg.chat.id.toString(), member.id.toString())));
+        } catch (error) {
+            logger.error(`Could not record new members in chat ${msg.chat.id}: ${error.message}`, { stack: error.stack });
+        }
+        // Verify them if CAPTCHA is enabled; during a lockdown that waits until it ends
+        if (!inLockdown) {
+            handleNewMembers({ ...joined, new_chat_members: joined.new_chat_members.filter(member => !impersonators.includes(member.id)) }, botUser);
+        }
     });
 
     bot.on('left_chat_member', (msg) => {
@@ -97,16 +149,23 @@ const main = async () => {
         }
     });
 
-    // 5. Handle messages
+    // 5. Handle messages (text, captions and media alike; the handler decides what to moderate)
     bot.on('message', (msg) => {
-        if (!msg.text) return;
-        if (msg.text.startsWith('/')) {
+        if (msg.text?.startsWith('/')) {
             handleCommand(msg);
+        } else if (isAwaitingAppeal(msg)) {
+            handleAppealMessage(msg);
         } else {
             handleMessage(msg);
         }
     });
 
+    // Edited messages are re-scanned so harmless posts can't be edited into violations later
+    bot.on('edited_message', (msg) => {
+        if (msg.text?.startsWith('/')) return;
+        handleMessage(msg, { isEdit: true });
+    });
+
     // 6. Handle inline keyboard callbacks
     bot.on('callback_query', handleCallback);
 
@@ -121,6 +180,15 @@ const main = async () => {
     bot.startPolling();
     
     logger.info('Bot is now polling for updates.');
+
+    // 8. Apply and revert scheduled group restrictions every minute
+    startScheduler();
+
+    // 9. Expire and forgive strikes every hour
+    startStrikeDecay();
+
+    // 10. Run delayed jobs, starting with those that fell due while the bot was down
+    await startJobQueue();
 };
 
 // Execute the main function and handle fatal startup errors
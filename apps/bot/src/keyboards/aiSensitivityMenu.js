@@ -16,6 +16,8 @@ export const aiSensitivityKeyboard = (settings, chatId) => ({
         inline_keyboard: [
             // Button to set the spam detection threshold.
             [{ text: `🎯 Threshold (current: ${(settings.spamThreshold * 100).toFixed(0)}%)`, callback_data: `set_threshold:${chatId}` }],
+            // Scores from the review band up to the threshold are held for an admin to decide.
+            [{ text: `🔍 Review Band (current: ${settings.reviewBandMin > 0 ? `${(settings.reviewBandMin * 100).toFixed(0)}–${(settings.spamThreshold * 100).toFixed(0)}%` : 'OFF'})`, callback_data: `set_review_band:${chatId}` }],
             // Button to toggle the keyword bypass feature.
             [{ text: `${settings.keywordWhitelistBypass ? '✅' : '❌'} Keyword Bypass (${settings.keywordWhitelistBypass ? 'ON' : 'OFF'})`, callback_data: `toggle_bypass:${chatId}` }],
             // Set spam warning message
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Defines the inline keyboards for strike appeals: the button members use
+ * to appeal, and the approve/reject buttons sent to group admins.
+ */
+
+/**
+ * Generates the keyboard that lets a member appeal their latest strike.
+ *
+ * @param {string} chatId - The ID of the group the strike was given in.
+ * @param {number|string} userId - The ID of the member who may appeal.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const appealKeyboard = (chatId, userId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [{ text: '📨 Appeal', callback_data: `appeal:${chatId}:${userId}` }],
+        ],
+    },
+});
+
+/**
+ * Generates the keyboard group admins use to decide an appeal.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {number} appealId - The ID of the appeal.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const appealReviewKeyboard = (chatId, appealId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [
+                { text: '✅ Approve', callback_data: `appeal_approve:${chatId}:${appealId}` },
+                { text: '❌ Reject', callback_data: `appeal_reject:${chatId}:${appealId}` },
+            ],
+        ],
+    },
+});
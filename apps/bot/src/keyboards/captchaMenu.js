@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Defines the inline keyboard for the New Member CAPTCHA settings menu.
+ */
+
+const CAPTCHA_TYPE_LABELS = {
+    button: '🔘 Button',
+    math: '➕ Simple Math',
+    emoji: '🍎 Pick the Emoji',
+};
+
+const CAPTCHA_DELIVERY_LABELS = {
+    chat: '👥 In Group',
+    dm: '✉️ Private Chat',
+};
+
+/**
+ * Generates the CAPTCHA settings keyboard layout.
+ * This function ensures that the labels reflect the current CAPTCHA configuration.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const captchaKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Toggle verification of new members on or off.
+            [{ text: `🛂 CAPTCHA: ${settings.captchaEnabled ? 'ON' : 'OFF'}`, callback_data: `toggle_captcha:${chatId}` }],
+            // Cycle the challenge type.
+            [{ text: `🧩 Challenge: ${CAPTCHA_TYPE_LABELS[settings.captchaType] || CAPTCHA_TYPE_LABELS.button}`, callback_data: `cycle_captcha_type:${chatId}` }],
+            // Cycle where the challenge is shown.
+            [{ text: `📍 Delivery: ${CAPTCHA_DELIVERY_LABELS[settings.captchaDelivery] || CAPTCHA_DELIVERY_LABELS.chat}`, callback_data: `cycle_captcha_delivery:${chatId}` }],
+            // Set how long new members have to answer.
+            [{ text: `⏱️ Timeout (current: ${settings.captchaTimeoutSeconds}s)`, callback_data: `set_captcha_timeout:${chatId}` }],
+            // Set the welcome text shown with the challenge.
+            [{ text: '👋 Set Welcome Message', callback_data: `set_captcha_welcome:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
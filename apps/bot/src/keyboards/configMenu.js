@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Defines the inline keyboard sent with the changes an import or copy would make.
+ */
+
+/**
+ * Generates the keyboard an admin uses to apply or drop a pending configuration import.
+ *
+ * @param {string} chatId - The ID of the group the configuration would be applied to.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const configImportKeyboard = (chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [
+                { text: '✅ Apply', callback_data: `config_apply:${chatId}` },
+                { text: '❌ Cancel', callback_data: `config_cancel:${chatId}` },
+            ],
+        ],
+    },
+});
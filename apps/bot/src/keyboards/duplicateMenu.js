@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Duplicate Wave (raid) detection settings menu.
+ */
+
+/**
+ * Generates the duplicate wave detection keyboard layout.
+ * This function ensures that the labels reflect the current user threshold and window.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const duplicateKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Set how many distinct users must post similar text before copies are removed (0 disables detection).
+            [{ text: `👥 User Threshold (current: ${settings.duplicateUserThreshold > 0 ? settings.duplicateUserThreshold : 'OFF'})`, callback_data: `set_duplicate_users:${chatId}` }],
+            // Set how long messages are remembered for comparison.
+            [{ text: `⏱️ Window (current: ${settings.duplicateWindowMinutes} min)`, callback_data: `set_duplicate_window:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Flood Control settings menu.
+ */
+
+const FLOOD_ACTION_LABELS = {
+    delete: '🗑️ Delete Burst',
+    mute: '🔇 Delete + Mute',
+    strike: '⚖️ Delete + Strike',
+};
+
+/**
+ * Generates the flood control keyboard layout.
+ * This function ensures that the labels reflect the current flood limit, window and action.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const floodKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Set the maximum number of messages per window (0 disables flood detection).
+            [{ text: `🔢 Message Limit (current: ${settings.floodMessageLimit > 0 ? settings.floodMessageLimit : 'OFF'})`, callback_data: `set_flood_limit:${chatId}` }],
+            // Set the length of the sliding window.
+            [{ text: `⏱️ Window (current: ${settings.floodWindowSeconds}s)`, callback_data: `set_flood_window:${chatId}` }],
+            // Cycle the action applied when the limit is exceeded.
+            [{ text: `🎬 Action: ${FLOOD_ACTION_LABELS[settings.floodAction] || FLOOD_ACTION_LABELS.delete}`, callback_data: `cycle_flood_action:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
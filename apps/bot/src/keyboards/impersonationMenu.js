@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Defines the inline keyboards for the Impersonation settings menu and for the
+ * alerts sent to group admins when a member is restricted as a possible impersonator.
+ */
+
+/**
+ * Generates the impersonation settings keyboard layout.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const impersonationKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Toggle checking members' names against the admins and the protected words.
+            [{ text: `🎭 Impersonation Check: ${settings.impersonationEnabled ? 'ON' : 'OFF'}`, callback_data: `toggle_impersonation:${chatId}` }],
+            // Set the words no member may use in their name.
+            [{ text: `🛡️ Protected Words (current: ${settings.impersonationKeywords?.length > 0 ? settings.impersonationKeywords.join(', ') : 'NONE'})`, callback_data: `set_impersonation_keywords:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
+
+/**
+ * Generates the keyboard group admins use to decide about a restricted member.
+ *
+ * @param {string} chatId - The ID of the group the member was restricted in.
+ * @param {number} logId - The ID of the audit log entry of the restriction.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const impersonationDecisionKeyboard = (chatId, logId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [
+                { text: '✅ Not an Impersonator', callback_data: `impersonation_clear:${chatId}:${logId}` },
+                { text: '🚫 Ban', callback_data: `impersonation_ban:${chatId}:${logId}` },
+            ],
+        ],
+    },
+});
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Language Policy settings menu.
+ */
+
+import { LanguageAction } from '@telegram-moderator/shared/utils/enums.js';
+
+const LANGUAGE_ACTION_LABELS = {
+    [LanguageAction.DELETE]: '🗑️ Delete',
+    [LanguageAction.WARN]: '📢 Delete + Remind',
+    [LanguageAction.STRIKE]: '⚖️ Delete + Strike',
+};
+
+/**
+ * Generates the language policy keyboard layout.
+ * Shows the allowed languages and scripts, the minimum message length that is checked
+ * and the action taken on a violation.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const languagePolicyKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Set the allowed ISO 639-1 language codes (empty allows any language).
+            [{ text: `🗣️ Languages (current: ${settings.allowedLanguages?.length > 0 ? settings.allowedLanguages.join(', ') : 'ANY'})`, callback_data: `set_allowed_languages:${chatId}` }],
+            // Set the allowed writing systems (empty allows any script).
+            [{ text: `🔤 Scripts (current: ${settings.allowedScripts?.length > 0 ? settings.allowedScripts.join(', ') : 'ANY'})`, callback_data: `set_allowed_scripts:${chatId}` }],
+            // Set how many letters a message needs before it is checked.
+            [{ text: `📏 Minimum Letters (current: ${settings.languageMinLetters})`, callback_data: `set_language_min_letters:${chatId}` }],
+            // Cycle the action applied to messages in other languages.
+            [{ text: `🎬 Action: ${LANGUAGE_ACTION_LABELS[settings.languageAction] || LANGUAGE_ACTION_LABELS[LanguageAction.DELETE]}`, callback_data: `cycle_language_action:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
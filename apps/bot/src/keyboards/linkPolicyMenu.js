@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Link Policy settings menu.
+ */
+
+import { ContentPolicy } from '@telegram-moderator/shared/utils/enums.js';
+
+const INVITE_POLICY_LABELS = {
+    [ContentPolicy.ALLOW]: '✅ Allow',
+    [ContentPolicy.DELETE]: '🗑️ Delete',
+    [ContentPolicy.STRIKE]: '⚖️ Delete + Strike',
+};
+
+/**
+ * Generates the link policy keyboard layout.
+ * Shows the Telegram invite link policy and the size of the domain allowlist and
+ * denylist, and provides buttons to edit both lists.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const linkPolicyKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Cycle the policy applied to t.me/+ and t.me/joinchat invite links.
+            [{ text: `📨 Invite Links: ${INVITE_POLICY_LABELS[settings.telegramInvitePolicy || ContentPolicy.ALLOW]}`, callback_data: `cycle_invite_policy:${chatId}` }],
+            // Add or remove a domain on the denylist.
+            [
+                { text: `🚫 Block Domain (${(settings.blockedDomains || []).length})`, callback_data: `add_blocked_domain:${chatId}` },
+                { text: '♻️ Unblock', callback_data: `remove_blocked_domain:${chatId}` },
+            ],
+            // Add or remove a domain on the allowlist.
+            [
+                { text: `✅ Allow Domain (${(settings.allowedDomains || []).length})`, callback_data: `add_allowed_domain:${chatId}` },
+                { text: '➖ Remove', callback_data: `remove_allowed_domain:${chatId}` },
+            ],
+            // List both domain lists.
+            [{ text: '📋 List Domains', callback_data: `list_domains:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Anti-Raid Lockdown settings menu.
+ */
+
+/**
+ * Generates the lockdown settings keyboard layout.
+ * This function ensures that the labels reflect the current lockdown state and thresholds.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const lockdownKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Start or end a lockdown right now.
+            [{ text: settings.lockdownStartedAt ? '🔓 End Lockdown Now' : '🔒 Start Lockdown Now', callback_data: `toggle_lockdown:${chatId}` }],
+            // Set how many joins are allowed inside the window before an automatic lockdown (0 disables it).
+            [{ text: `👥 Join Limit (current: ${settings.raidJoinLimit > 0 ? settings.raidJoinLimit : 'OFF'})`, callback_data: `set_raid_join_limit:${chatId}` }],
+            // Set the length of the join-rate window.
+            [{ text: `⏱️ Join Window (current: ${settings.raidJoinWindowSeconds}s)`, callback_data: `set_raid_join_window:${chatId}` }],
+            // Set the slow mode applied during lockdown (0 disables it).
+            [{ text: `🐢 Slow Mode (current: ${settings.lockdownSlowModeSeconds > 0 ? `${settings.lockdownSlowModeSeconds}s` : 'OFF'})`, callback_data: `set_lockdown_slow:${chatId}` }],
+            // Set how long automatic lockdowns last (0 = until ended manually).
+            [{ text: `⌛ Auto-End (current: ${settings.lockdownDurationMinutes > 0 ? `${settings.lockdownDurationMinutes} min` : 'OFF'})`, callback_data: `set_lockdown_duration:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -12,14 +12,40 @@
 export const mainKeyboard = (chatId) => ({
     reply_markup: {
         inline_keyboard: [
+            // Navigate to the built-in and saved settings presets.
+            [{ text: '🎛️ Presets', callback_data: `settings_presets:${chatId}` }],
             // Navigate to AI sensitivity settings.
             [{ text: '🧠 AI Sensitivity', callback_data: `settings_ai_sensitivity:${chatId}` }],
             // Navigate to profanity filter settings.
             [{ text: '🤬 Profanity Filter', callback_data: `settings_profanity:${chatId}` }],
+            // Navigate to new member CAPTCHA settings.
+            [{ text: '🛂 New Member CAPTCHA', callback_data: `settings_captcha:${chatId}` }],
+            // Navigate to anti-raid lockdown settings.
+            [{ text: '🔒 Anti-Raid Lockdown', callback_data: `settings_lockdown:${chatId}` }],
+            // Navigate to impersonation detection settings.
+            [{ text: '🎭 Impersonation Check', callback_data: `settings_impersonation:${chatId}` }],
+            // Navigate to new member probation settings.
+            [{ text: '🐣 New Member Probation', callback_data: `settings_probation:${chatId}` }],
+            // Navigate to flood control settings.
+            [{ text: '🌊 Flood Control', callback_data: `settings_flood:${chatId}` }],
+            // Navigate to cross-user duplicate wave (raid) detection settings.
+            [{ text: '🚨 Duplicate Waves', callback_data: `settings_duplicates:${chatId}` }],
+            // Navigate to admin-defined keyword and regex rules.
+            [{ text: '📏 Custom Rules', callback_data: `settings_rules:${chatId}` }],
+            // Navigate to link and domain policy settings.
+            [{ text: '🔗 Link Policy', callback_data: `settings_links:${chatId}` }],
+            // Navigate to allowed language and script settings.
+            [{ text: '🌐 Language Policy', callback_data: `settings_language:${chatId}` }],
+            // Navigate to scheduled restrictions such as quiet hours.
+            [{ text: '🕒 Schedules', callback_data: `settings_schedules:${chatId}` }],
+            // Navigate to per media type policies.
+            [{ text: '🖼️ Media Policies', callback_data: `settings_media:${chatId}` }],
             // Navigate to penalty level settings.
             [{ text: '⚖️ Penalty Levels', callback_data: `settings_penalty_levels:${chatId}` }],
             // Navigate to whitelist management (keywords and moderators).
             [{ text: '� Whitelist Management', callback_data: `settings_whitelist:${chatId}` }],
+            // Navigate to the moderation log chat settings.
+            [{ text: '📜 Moderation Log', callback_data: `settings_modlog:${chatId}` }],
             // Navigate to miscellaneous settings.
             [{ text: '⚙️ Miscellaneous', callback_data: `settings_misc:${chatId}` }],
         ],
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Media Policies settings menu.
+ */
+
+import { MediaType, ContentPolicy } from '@telegram-moderator/shared/utils/enums.js';
+
+const POLICY_LABELS = {
+    [ContentPolicy.ALLOW]: '✅ Allow',
+    [ContentPolicy.DELETE]: '🗑️ Delete',
+    [ContentPolicy.STRIKE]: '⚖️ Delete + Strike',
+};
+
+const MEDIA_LABELS = {
+    [MediaType.PHOTO]: '🖼️ Photos',
+    [MediaType.VIDEO]: '🎬 Videos',
+    [MediaType.DOCUMENT]: '📄 Documents',
+    [MediaType.STICKER]: '🎭 Stickers',
+    [MediaType.VOICE]: '🎤 Voice Notes',
+    [MediaType.CONTACT]: '📇 Contacts',
+    [MediaType.LOCATION]: '📍 Locations',
+    [MediaType.POLL]: '📊 Polls',
+};
+
+/**
+ * Generates the media policies keyboard layout.
+ * Each button shows the current policy for one media type and cycles it
+ * (allow → delete → delete + strike) when pressed.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const mediaPolicyKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // One row per media type, showing and cycling its current policy.
+            ...Object.values(MediaType).map(type => {
+                const policy = settings.mediaPolicies?.[type] || ContentPolicy.ALLOW;
+                return [{ text: `${MEDIA_LABELS[type]}: ${POLICY_LABELS[policy]}`, callback_data: `cycle_media:${chatId}:${type}` }];
+            }),
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -2,6 +2,8 @@
  * @fileoverview Defines the inline keyboard for the Miscellaneous settings menu.
  */
 
+import { formatMuteDuration } from '@telegram-moderator/shared/services/muteSchedule.js';
+
 /**
  * Generates the miscellaneous settings keyboard layout.
  * This function ensures that the labels reflect the current configuration values.
@@ -14,9 +16,16 @@ export const miscKeyboard = (settings, chatId) => ({
     reply_markup: {
         inline_keyboard: [
             [{ text: `⏱️ Mute Duration (current: ${settings.muteDurationMinutes} mins)`, callback_data: `set_mute_duration:${chatId}` }],
+            // Escalating mute durations for repeat offenders, e.g. 10m → 1h → 1d → 7d.
+            [{ text: `⏳ Mute Schedule (current: ${settings.muteSchedule?.length ? settings.muteSchedule.map(minutes => formatMuteDuration(minutes, { short: true })).join(' → ') : 'OFF'})`, callback_data: `set_mute_schedule:${chatId}` }],
             [{ text: `⏰ Warning Delete Timer (current: ${settings.warningMessageDeleteSeconds}s)`, callback_data: `set_warning_delete_seconds:${chatId}` }],
             [{ text: `📅 Strike Expiration (current: ${settings.strikeExpirationDays} days)`, callback_data: `set_strike_expiration:${chatId}` }],
             [{ text: `😇 Good Behavior Reset (current: ${settings.goodBehaviorDays} days)`, callback_data: `set_good_behavior:${chatId}` }],
+            // Where /report escalations go: a dedicated admin chat, or each admin privately.
+            [{ text: `🚩 Report Destination (current: ${settings.reportChatId || 'Admin DMs'})`, callback_data: `set_report_chat:${chatId}` }],
+            [{ text: `✏️ Violating Edits: ${settings.strikeOnEditedViolation !== false ? 'Delete + Strike' : 'Delete Only'}`, callback_data: `toggle_edit_strike:${chatId}` }],
+            // Shadow mode: decide as usual but only log what would have happened.
+            [{ text: `👻 Shadow Mode: ${settings.shadowMode ? 'ON (nothing is enforced)' : 'OFF'}`, callback_data: `toggle_shadow_mode:${chatId}` }],
             [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
         ],
     },
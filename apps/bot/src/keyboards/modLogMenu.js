@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Defines the inline keyboards for the moderation log: the settings menu and
+ * the undo/pardon buttons under each card posted to the log chat.
+ */
+
+import { LogVerbosity } from '@telegram-moderator/shared/utils/enums.js';
+
+/**
+ * Generates the moderation log settings keyboard layout.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const modLogKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Set the channel or chat that receives the cards (0 turns the log off).
+            [{ text: `📜 Log Chat (current: ${settings.logChatId || 'OFF'})`, callback_data: `set_log_chat:${chatId}` }],
+            // Switch between penalties only and every deletion.
+            [{ text: `🔊 Verbosity: ${settings.logChatVerbosity === LogVerbosity.ALL ? 'Every Deletion' : 'Penalties Only'}`, callback_data: `toggle_log_verbosity:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
+
+/**
+ * Generates the button under a log card that reverses the logged action, if it can be reversed.
+ *
+ * @param {string} chatId - The ID of the group the action was taken in.
+ * @param {number} logId - The ID of the audit log entry.
+ * @param {string|null} reversal - `pardon`, `unmute` or `unban`, or null for no button.
+ * @returns {object} The keyboard options for the Telegram API, empty when there is nothing to reverse.
+ */
+export const modLogEntryKeyboard = (chatId, logId, reversal) => {
+    const labels = { pardon: '😇 Pardon Strike', unmute: '🔊 Undo Mute', unban: '↩️ Undo Ban' };
+    if (!labels[reversal]) return {};
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: labels[reversal], callback_data: `modlog_${reversal}:${chatId}:${logId}` }],
+            ],
+        },
+    };
+};
@@ -1,7 +1,25 @@
 /**
- * @fileoverview Defines the inline keyboard for the Penalty Levels settings menu.
+ * @fileoverview Defines the inline keyboards for the Penalty Levels settings menu
+ * and the per category penalty ladders reached from it.
  */
 
+import { StrikeCategory } from '@telegram-moderator/shared/utils/enums.js';
+
+export const CATEGORY_LABELS = {
+    [StrikeCategory.SPAM]: '📢 Spam',
+    [StrikeCategory.PROFANITY]: '🤬 Profanity',
+    [StrikeCategory.LINKS]: '🔗 Links',
+    [StrikeCategory.FLOOD]: '🌊 Flood',
+    [StrikeCategory.RULES]: '📏 Custom Rules',
+};
+
+const LEVEL_BUTTONS = [
+    { level: 'alertLevel', label: '🔔 Alert Level' },
+    { level: 'muteLevel', label: '🔇 Mute Level' },
+    { level: 'kickLevel', label: '👢 Kick Level' },
+    { level: 'banLevel', label: '🚫 Ban Level' },
+];
+
 /**
  * Generates the penalty levels keyboard layout.
  * This function is called each time the menu is displayed to ensure the
@@ -19,8 +37,44 @@ export const penaltyLevelsKeyboard = (settings, chatId) => ({
             [{ text: `🔇 Mute Level (current: ${settings.muteLevel})`, callback_data: `set_mute_level:${chatId}` }],
             [{ text: `👢 Kick Level (current: ${settings.kickLevel})`, callback_data: `set_kick_level:${chatId}` }],
             [{ text: `🚫 Ban Level (current: ${settings.banLevel})`, callback_data: `set_ban_level:${chatId}` }],
+            // Ban once the combined strikes across all categories reach this count (0 = no ceiling).
+            [{ text: `🧱 Combined Ceiling (current: ${settings.combinedStrikeCeiling > 0 ? settings.combinedStrikeCeiling : 'OFF'})`, callback_data: `set_strike_ceiling:${chatId}` }],
+            // One button per strike category, marked when it has its own ladder.
+            ...Object.values(StrikeCategory).map(category => [{
+                text: `${CATEGORY_LABELS[category]}: ${settings.penaltyLadders?.[category] ? 'own ladder' : 'default'}`,
+                callback_data: `ladder_menu:${chatId}:${category}`
+            }]),
             // Navigation button to return to the main menu.
             [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
         ],
     },
-});
\ No newline at end of file
+});
+
+/**
+ * Generates the keyboard for one strike category's penalty ladder.
+ * Until a level is set the category follows the default levels; setting one copies
+ * the default levels into a ladder of its own.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @param {string} category - The `StrikeCategory` being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const penaltyLadderKeyboard = (settings, chatId, category) => {
+    const ladder = settings.penaltyLadders?.[category];
+    return {
+        reply_markup: {
+            inline_keyboard: [
+                // Buttons to set the category's strike count for each penalty type.
+                ...LEVEL_BUTTONS.map(({ level, label }) => [{
+                    text: `${label} (current: ${ladder ? ladder[level] || 0 : `${settings[level]}, default`})`,
+                    callback_data: `set_ladder_level:${chatId}:${category}:${level}`
+                }]),
+                // Drop the category's own ladder so it follows the default levels again.
+                ...(ladder ? [[{ text: '↩️ Use Default Levels', callback_data: `clear_ladder:${chatId}:${category}` }]] : []),
+                // Navigation button to return to the penalty levels menu.
+                [{ text: '⬅️ Back', callback_data: `settings_penalty_levels:${chatId}` }],
+            ],
+        },
+    };
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Defines the inline keyboards for the settings presets menu.
+ */
+
+/**
+ * Generates the presets keyboard layout: one button per built-in or saved preset, which
+ * shows what it would change, and a button to save the group's settings as a new preset.
+ *
+ * @param {object[]} presets - The presets the admin can apply, as returned by `listPresets`.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const presetsKeyboard = (presets, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // One row per preset; saved presets are marked and can be deleted.
+            ...presets.map(preset => preset.builtIn
+                ? [{ text: `🎛️ ${preset.name}`, callback_data: `preview_preset:${chatId}:${preset.id}` }]
+                : [
+                    { text: `💾 ${preset.name}`, callback_data: `preview_preset:${chatId}:${preset.id}` },
+                    { text: '🗑️', callback_data: `delete_preset:${chatId}:${preset.id}` },
+                ]),
+            // Button to save the group's current settings as a preset.
+            [{ text: '➕ Save Current Settings as Preset', callback_data: `save_preset:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
+
+/**
+ * Generates the keyboard shown with what a preset would change.
+ *
+ * @param {string} chatId - The ID of the group being configured.
+ * @param {string} presetId - The ID of the preset.
+ * @param {boolean} hasChanges - Whether applying the preset would change anything.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const presetPreviewKeyboard = (chatId, presetId, hasChanges) => ({
+    reply_markup: {
+        inline_keyboard: [
+            ...(hasChanges ? [[{ text: '✅ Apply Preset', callback_data: `apply_preset:${chatId}:${presetId}` }]] : []),
+            [{ text: '⬅️ Back', callback_data: `settings_presets:${chatId}` }],
+        ],
+    },
+});
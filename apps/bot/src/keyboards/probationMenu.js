@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Defines the inline keyboard for the New Member Probation settings menu.
+ */
+
+/**
+ * Generates the probation settings keyboard layout.
+ * This function ensures that the labels reflect the current probation limits and rules.
+ *
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const probationKeyboard = (settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // Set how many hours after joining probation lasts (0 = no time limit).
+            [{ text: `🕐 Hours (current: ${settings.probationHours > 0 ? settings.probationHours : 'OFF'})`, callback_data: `set_probation_hours:${chatId}` }],
+            // Set how many messages probation lasts (0 = no message limit).
+            [{ text: `💬 Messages (current: ${settings.probationMessages > 0 ? settings.probationMessages : 'OFF'})`, callback_data: `set_probation_messages:${chatId}` }],
+            // Set the stricter spam threshold used during probation.
+            [{ text: `🎯 Spam Threshold (current: ${settings.probationSpamThreshold})`, callback_data: `set_probation_threshold:${chatId}` }],
+            // Toggle muting on the first violation during probation.
+            [{ text: `🔇 Mute on First Violation: ${settings.probationMuteOnViolation ? 'ON' : 'OFF'}`, callback_data: `toggle_probation_mute:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Defines the inline keyboard sent to group admins with a reported message.
+ */
+
+/**
+ * Generates the keyboard group admins use to act on a report.
+ *
+ * @param {string} chatId - The ID of the group the message was reported in.
+ * @param {number} reportId - The ID of the report.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const reportReviewKeyboard = (chatId, reportId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [
+                { text: '🗑️ Delete', callback_data: `report_delete:${chatId}:${reportId}` },
+                { text: '⚠️ Strike', callback_data: `report_strike:${chatId}:${reportId}` },
+            ],
+            [
+                { text: '🔇 Mute', callback_data: `report_mute:${chatId}:${reportId}` },
+                { text: '🚫 Ban', callback_data: `report_ban:${chatId}:${reportId}` },
+            ],
+            [{ text: '✅ Dismiss', callback_data: `report_dismiss:${chatId}:${reportId}` }],
+        ],
+    },
+});
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Defines the inline keyboard sent to group admins with a message held for review.
+ */
+
+/**
+ * Generates the keyboard group admins use to decide a review.
+ *
+ * @param {string} chatId - The ID of the group the message was posted in.
+ * @param {number} reviewId - The ID of the review.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const reviewDecisionKeyboard = (chatId, reviewId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            [
+                { text: '✅ Clean', callback_data: `review_approve:${chatId}:${reviewId}` },
+                { text: '🗑️ Remove + Strike', callback_data: `review_remove:${chatId}:${reviewId}` },
+            ],
+        ],
+    },
+});
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Custom Rules management menu.
+ */
+
+import { RuleAction } from '@telegram-moderator/shared/utils/enums.js';
+
+// Longest pattern excerpt shown on a rule button.
+const MAX_LABEL_PATTERN_LENGTH = 24;
+
+/**
+ * Generates the custom rules keyboard layout.
+ * Each rule gets a row with a button that enables or disables it and a button that deletes it.
+ *
+ * @param {object[]} rules - The group's rules, as returned by `getModerationRules`.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const rulesKeyboard = (rules, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // One row per rule: toggle it on or off, or delete it.
+            ...rules.map(rule => {
+                const pattern = rule.pattern.length > MAX_LABEL_PATTERN_LENGTH
+                    ? `${rule.pattern.substring(0, MAX_LABEL_PATTERN_LENGTH)}…`
+                    : rule.pattern;
+                const action = rule.action === RuleAction.STRIKE ? `strike ×${rule.strikeWeight}` : rule.action;
+                return [
+                    { text: `${rule.enabled ? '✅' : '⏸️'} #${rule.id} ${rule.isRegex ? `/${pattern}/` : `"${pattern}"`} (${rule.scope} → ${action})`, callback_data: `toggle_rule:${chatId}:${rule.id}` },
+                    { text: '🗑️', callback_data: `delete_rule:${chatId}:${rule.id}` },
+                ];
+            }),
+            // Button to initiate adding a new rule.
+            [{ text: '➕ Add Rule', callback_data: `add_rule:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
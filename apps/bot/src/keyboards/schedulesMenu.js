@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Defines the inline keyboard for the Schedules management menu.
+ */
+
+import { ScheduleKind } from '@telegram-moderator/shared/utils/enums.js';
+
+// Longest entry name shown on a schedule button.
+const MAX_LABEL_NAME_LENGTH = 20;
+
+/**
+ * Generates the schedules keyboard layout.
+ * Each entry gets a row with a button that enables or disables it and a button that deletes it.
+ *
+ * @param {object[]} schedules - The group's entries, as returned by `getSchedules`.
+ * @param {object} settings - The settings object for the group being configured.
+ * @param {string} chatId - The ID of the group being configured.
+ * @returns {object} The keyboard layout object for the Telegram API.
+ */
+export const schedulesKeyboard = (schedules, settings, chatId) => ({
+    reply_markup: {
+        inline_keyboard: [
+            // One row per entry: toggle it on or off, or delete it.
+            ...schedules.map(schedule => {
+                const name = schedule.name.length > MAX_LABEL_NAME_LENGTH
+                    ? `${schedule.name.substring(0, MAX_LABEL_NAME_LENGTH)}…`
+                    : schedule.name;
+                const days = schedule.days.length > 0 ? schedule.days.join(',') : 'daily';
+                const status = schedule.appliedAt ? '🟢' : schedule.enabled ? '✅' : '⏸️';
+                return [
+                    { text: `${status} ${name} (${days} ${schedule.startTime}-${schedule.endTime} ${schedule.kind === ScheduleKind.PERMISSIONS ? '🔐' : '⚙️'})`, callback_data: `toggle_schedule:${chatId}:${schedule.id}` },
+                    { text: '🗑️', callback_data: `delete_schedule:${chatId}:${schedule.id}` },
+                ];
+            }),
+            // Button to initiate adding a new entry.
+            [{ text: '➕ Add Schedule', callback_data: `add_schedule:${chatId}` }],
+            // Set the time zone the entries are read in.
+            [{ text: `🌍 Time Zone (current: ${settings.scheduleTimezone})`, callback_data: `set_schedule_timezone:${chatId}` }],
+            // Navigation button to return to the main menu.
+            [{ text: '⬅️ Back', callback_data: `settings_main:${chatId}` }],
+        ],
+    },
+});
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const Appeals = ({ groupId, groupTitle }) => {
+  const [appeals, setAppeals] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [decidingId, setDecidingId] = useState(null);
+
+  const loadAppeals = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.appeals.list(groupId, status || null);
+      setAppeals(response?.data?.data?.appeals || []);
+    } catch (err) {
+      console.error('Error loading appeals:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId, status]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadAppeals();
+    }
+  }, [groupId, loadAppeals]);
+
+  const handleDecide = async (appeal, decision) => {
+    setDecidingId(appeal.id);
+    try {
+      const response = await apiService.appeals.decide(groupId, appeal.id, decision);
+      const result = response?.data?.data || {};
+      if (decision === 'approved') {
+        toast.success(`✅ Appeal #${appeal.id} approved${result.unmuted ? ', member unmuted' : ''}`);
+      } else {
+        toast.success(`Appeal #${appeal.id} rejected`);
+      }
+      loadAppeals();
+    } catch (err) {
+      toast.error(`Failed to decide appeal: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const describeMember = (appeal) => {
+    const name = appeal.firstName || `User ${appeal.userId}`;
+    return appeal.username ? `${name} (@${appeal.username})` : name;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">📨 Strike Appeals</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Members of <strong>{groupTitle}</strong> can appeal their latest strike from the warning message or <code>/mystrikes</code>. Approving removes the strike and lifts any mute it led to.
+          </p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingCard title="Loading appeals..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load appeals" message={error} onRetry={loadAppeals} />
+      ) : appeals.length === 0 ? (
+        <EmptyState icon="📨" title="No appeals" description={status ? `There are no ${status} appeals.` : 'No member has appealed a strike yet.'} />
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {appeals.map(appeal => (
+            <li key={appeal.id} className="p-4 space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">
+                  #{appeal.id} {describeMember(appeal)}
+                </p>
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGES[appeal.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {appeal.status}
+                </span>
+              </div>
+              <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">"{appeal.message}"</p>
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  Sent {new Date(appeal.createdAt).toLocaleString()}
+                  {appeal.resolvedAt && ` · decided ${new Date(appeal.resolvedAt).toLocaleString()}`}
+                </p>
+                {appeal.status === 'pending' && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      disabled={decidingId === appeal.id}
+                      onClick={() => handleDecide(appeal, 'approved')}
+                      className="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      disabled={decidingId === appeal.id}
+                      onClick={() => handleDecide(appeal, 'rejected')}
+                      className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 disabled:opacity-50 rounded-lg transition-colors"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Appeals;
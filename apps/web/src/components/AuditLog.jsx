@@ -24,7 +24,8 @@ const AuditLog = ({ groupId, groupTitle }) => {
     'AUTO',
     'MANUAL-STRIKE-ADD',
     'MANUAL-STRIKE-REMOVE',
-    'MANUAL-STRIKE-SET'
+    'MANUAL-STRIKE-SET',
+    'AUTO-STRIKE-DECAY'
   ];
 
   const loadAuditLogs = useCallback(async () => {
@@ -218,7 +219,8 @@ const AuditLog = ({ groupId, groupTitle }) => {
       'AUTO': '🤖',
       'MANUAL-STRIKE-ADD': '➕',
       'MANUAL-STRIKE-REMOVE': '➖',
-      'MANUAL-STRIKE-SET': '📝'
+      'MANUAL-STRIKE-SET': '📝',
+      'AUTO-STRIKE-DECAY': '⏳'
     };
     return iconMap[action] || '📋';
   };
@@ -228,7 +230,8 @@ const AuditLog = ({ groupId, groupTitle }) => {
       'AUTO': '#17a2b8',
       'MANUAL-STRIKE-ADD': '#dc3545',
       'MANUAL-STRIKE-REMOVE': '#28a745',
-      'MANUAL-STRIKE-SET': '#007bff'
+      'MANUAL-STRIKE-SET': '#007bff',
+      'AUTO-STRIKE-DECAY': '#6f42c1'
     };
     return colorMap[action] || '#6c757d';
   };
@@ -238,7 +241,8 @@ const AuditLog = ({ groupId, groupTitle }) => {
       'AUTO': 'Automatic Action',
       'MANUAL-STRIKE-ADD': 'Manual Strike Added',
       'MANUAL-STRIKE-REMOVE': 'Manual Strike Removed',
-      'MANUAL-STRIKE-SET': 'Manual Strike Set'
+      'MANUAL-STRIKE-SET': 'Manual Strike Set',
+      'AUTO-STRIKE-DECAY': 'Strike Decay'
     };
     return nameMap[action] || action;
   };
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length === 0 ? '—' : `${value.length} item(s)`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ConfigTransfer = ({ groupId, groupTitle, otherGroups = [], onApplied }) => {
+  const [exporting, setExporting] = useState(false);
+  const [sourceGroupId, setSourceGroupId] = useState('');
+  // The import waiting for confirmation: { kind: 'file' | 'copy', label, config?, sourceGroupId?, changes }
+  const [pending, setPending] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [working, setWorking] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await apiService.config.export(groupId);
+      const config = response?.data?.data;
+      const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `group-${groupId}-config.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      toast.success('📤 Configuration exported');
+    } catch (err) {
+      toast.error(`Failed to export configuration: ${err.response?.data?.error?.message || err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Runs an import or copy, as a preview first (dryRun) and for real once confirmed
+  const runTransfer = async (transfer, dryRun) => {
+    setWorking(true);
+    setErrors([]);
+    try {
+      const response = transfer.kind === 'copy'
+        ? await apiService.config.copy(groupId, transfer.sourceGroupId, dryRun)
+        : await apiService.config.import(groupId, transfer.config, dryRun);
+      const changes = response?.data?.data?.changes || [];
+      if (dryRun) {
+        setPending({ ...transfer, changes });
+      } else {
+        setPending(null);
+        toast.success(`✅ ${changes.length} setting(s) updated`);
+        onApplied?.();
+      }
+    } catch (err) {
+      const details = err.response?.data?.error?.details;
+      setErrors(Array.isArray(details) && details.every(detail => typeof detail === 'string')
+        ? details
+        : [err.response?.data?.error?.message || err.message]);
+      setPending(null);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let config;
+    try {
+      config = JSON.parse(await file.text());
+    } catch {
+      setPending(null);
+      setErrors([`${file.name} is not valid JSON`]);
+      return;
+    }
+    runTransfer({ kind: 'file', label: file.name, config }, true);
+  };
+
+  const handleCopyPreview = () => {
+    const source = otherGroups.find(group => group.id === sourceGroupId);
+    runTransfer({ kind: 'copy', label: source?.title || sourceGroupId, sourceGroupId }, true);
+  };
+
+  return (
+    <div className="space-y-6 border-t border-gray-200 pt-8">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">📦 Export &amp; Import</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Save the settings, keyword whitelist, moderators and custom rules of <strong>{groupTitle}</strong> as a JSON file, load them from a file, or copy them from another group you manage. Changes are shown for confirmation before anything is applied.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          disabled={exporting}
+          onClick={handleExport}
+          className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          {exporting ? 'Exporting...' : 'Export JSON'}
+        </button>
+        <label className={`px-4 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 rounded-lg transition-colors cursor-pointer ${working ? 'opacity-50 pointer-events-none' : ''}`}>
+          Import JSON...
+          <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+        </label>
+        {otherGroups.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select
+              value={sourceGroupId}
+              onChange={(e) => setSourceGroupId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 text-sm"
+            >
+              <option value="">Copy from group...</option>
+              {otherGroups.map(group => (
+                <option key={group.id} value={group.id}>{group.title}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              disabled={!sourceGroupId || working}
+              onClick={handleCopyPreview}
+              className="px-4 py-2 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 rounded-lg transition-colors"
+            >
+              Preview
+            </button>
+          </div>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-red-800">The configuration can't be imported:</p>
+          <ul className="mt-2 text-sm text-red-700 list-disc list-inside">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {pending && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm font-medium text-gray-900">
+            {pending.kind === 'copy' ? `Copy from ${pending.label}` : `Import ${pending.label}`}: {pending.changes.length === 0 ? 'nothing would change.' : `${pending.changes.length} change(s)`}
+          </p>
+          {pending.changes.length > 0 && (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">Setting</th>
+                  <th className="py-1 pr-4 font-medium">Current</th>
+                  <th className="py-1 font-medium">New</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {pending.changes.map(change => (
+                  <tr key={change.key}>
+                    <td className="py-1 pr-4 font-mono text-gray-900">{change.key}</td>
+                    <td className="py-1 pr-4 text-gray-600 break-all">{formatValue(change.from)}</td>
+                    <td className="py-1 text-gray-900 break-all">{formatValue(change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="flex items-center space-x-2">
+            {pending.changes.length > 0 && (
+              <button
+                type="button"
+                disabled={working}
+                onClick={() => runTransfer(pending, false)}
+                className="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+              >
+                Apply
+              </button>
+            )}
+            <button
+              type="button"
+              disabled={working}
+              onClick={() => setPending(null)}
+              className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConfigTransfer;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const SCOPES = [
+  { value: 'text', label: 'Message text' },
+  { value: 'caption', label: 'Media caption' },
+  { value: 'username', label: 'Sender name' },
+  { value: 'link', label: 'Links' }
+];
+
+const ACTIONS = [
+  { value: 'delete', label: 'Delete' },
+  { value: 'strike', label: 'Delete + strike' },
+  { value: 'mute', label: 'Delete + mute' },
+  { value: 'ban', label: 'Delete + ban' },
+  { value: 'log', label: 'Log only' }
+];
+
+const EMPTY_RULE = { pattern: '', isRegex: false, scope: 'text', action: 'delete', strikeWeight: 1 };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900';
+
+const CustomRules = ({ groupId, groupTitle }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.rules.list(groupId);
+      setRules(response?.data?.data?.rules || []);
+    } catch (err) {
+      console.error('Error loading rules:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadRules();
+    }
+  }, [groupId, loadRules]);
+
+  const handleChange = (key, value) => {
+    setNewRule(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newRule.pattern.trim()) {
+      toast.error('Please enter a pattern');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await apiService.rules.create(groupId, { ...newRule, pattern: newRule.pattern.trim() });
+      toast.success('✅ Rule added');
+      setNewRule(EMPTY_RULE);
+      loadRules();
+    } catch (err) {
+      // Unsafe or invalid regular expressions are rejected by the API with a reason.
+      toast.error(`Failed to add rule: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await apiService.rules.update(groupId, rule.id, { enabled: !rule.enabled });
+      setRules(prev => prev.map(r => (r.id === rule.id ? { ...r, enabled: !rule.enabled } : r)));
+    } catch (err) {
+      toast.error(`Failed to update rule: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule #${rule.id}?`)) return;
+    try {
+      await apiService.rules.remove(groupId, rule.id);
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+      toast.success(`Rule #${rule.id} deleted`);
+    } catch (err) {
+      toast.error(`Failed to delete rule: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const describeAction = (rule) => {
+    const label = ACTIONS.find(a => a.value === rule.action)?.label || rule.action;
+    return rule.action === 'strike' ? `${label} ×${rule.strikeWeight}` : label;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">📏 Custom Rules</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Rules for <strong>{groupTitle}</strong> run before the AI scan, in the order shown. The first enabled rule that matches decides what happens to the message.
+        </p>
+      </div>
+
+      {/* New Rule */}
+      <form onSubmit={handleCreate} className="bg-gray-50 rounded-lg p-4 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Pattern</label>
+          <input
+            type="text"
+            maxLength={200}
+            value={newRule.pattern}
+            onChange={(e) => handleChange('pattern', e.target.value)}
+            placeholder={newRule.isRegex ? 'free\\s+crypto' : 'free crypto'}
+            className={inputClass}
+          />
+          <label className="flex items-center space-x-3 mt-2">
+            <input
+              type="checkbox"
+              checked={newRule.isRegex}
+              onChange={(e) => handleChange('isRegex', e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="text-sm text-gray-900">Regular expression (nested quantifiers, repeated alternatives and backreferences are not allowed)</span>
+          </label>
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Match Against</label>
+            <select value={newRule.scope} onChange={(e) => handleChange('scope', e.target.value)} className={inputClass}>
+              {SCOPES.map(scope => (
+                <option key={scope.value} value={scope.value}>{scope.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Action</label>
+            <select value={newRule.action} onChange={(e) => handleChange('action', e.target.value)} className={inputClass}>
+              {ACTIONS.map(action => (
+                <option key={action.value} value={action.value}>{action.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Strike Weight</label>
+            <input
+              type="number"
+              min="1"
+              max="10"
+              disabled={newRule.action !== 'strike'}
+              value={newRule.strikeWeight}
+              onChange={(e) => handleChange('strikeWeight', Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+              className={`${inputClass} disabled:bg-gray-100`}
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          {saving ? 'Adding...' : '➕ Add Rule'}
+        </button>
+      </form>
+
+      {/* Rule List */}
+      {loading ? (
+        <LoadingCard title="Loading rules..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load rules" message={error} onRetry={loadRules} />
+      ) : rules.length === 0 ? (
+        <EmptyState icon="📏" title="No custom rules yet" description="Add a phrase or regular expression above to start matching messages." />
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {rules.map(rule => (
+            <li key={rule.id} className="flex items-center justify-between p-4">
+              <div className="min-w-0">
+                <p className={`font-mono text-sm break-all ${rule.enabled ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  #{rule.id} {rule.isRegex ? `/${rule.pattern}/` : `"${rule.pattern}"`}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">
+                  {SCOPES.find(s => s.value === rule.scope)?.label || rule.scope} → {describeAction(rule)}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3 flex-shrink-0">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => handleToggle(rule)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Enabled</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(rule)}
+                  className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CustomRules;
@@ -5,6 +5,13 @@ import GroupSelector from './GroupSelector';
 import GroupStats from './GroupStats';
 import GroupSettings from './GroupSettings';
 import StrikeManagement from './StrikeManagement';
+import CustomRules from './CustomRules';
+import Schedules from './Schedules';
+import Appeals from './Appeals';
+import Reports from './Reports';
+import ShadowReport from './ShadowReport';
+import Reviews from './Reviews';
+import ConfigTransfer from './ConfigTransfer';
 import AuditLog from './AuditLog';
 import LoadingScreen from './common/LoadingScreen';
 import ErrorScreen from './common/ErrorScreen';
@@ -21,7 +28,7 @@ const GroupManagementDashboard = ({ user }) => {
   const [statsLoading, setStatsLoading] = useState(false);
   const [settingsLoading, setSettingsLoading] = useState(false);
   const [showDebugger, setShowDebugger] = useState(false);
-  const [activeTab, setActiveTab] = useState('statistics'); // statistics, settings, strikes, audit
+  const [activeTab, setActiveTab] = useState('statistics'); // statistics, settings, rules, strikes, appeals, reports, audit
   const [selectedPeriod, setSelectedPeriod] = useState('week'); // Default to week
   const [customStartDate, setCustomStartDate] = useState(null);
   const [customEndDate, setCustomEndDate] = useState(null);
@@ -611,6 +618,31 @@ const GroupManagementDashboard = ({ user }) => {
                       <span>⚙️</span>
                       <span>Settings</span>
                     </button>
+                    <button
+                      onClick={() => setActiveTab('rules')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'rules'
+                          ? '!bg-white !text-blue-600 !border-blue-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>📏</span>
+                      <span className="hidden sm:inline">Custom Rules</span>
+                      <span className="sm:hidden">Rules</span>
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('schedules')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'schedules'
+                          ? '!bg-white !text-blue-600 !border-blue-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>🕒</span>
+                      <span>Schedules</span>
+                    </button>
                     <button
                       onClick={() => setActiveTab('strikes')}
                       className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
@@ -624,6 +656,54 @@ const GroupManagementDashboard = ({ user }) => {
                       <span className="hidden sm:inline">Strike Management</span>
                       <span className="sm:hidden">Strikes</span>
                     </button>
+                    <button
+                      onClick={() => setActiveTab('appeals')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'appeals'
+                          ? '!bg-white !text-green-600 !border-green-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>📨</span>
+                      <span>Appeals</span>
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('reports')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'reports'
+                          ? '!bg-white !text-red-600 !border-red-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>🚩</span>
+                      <span>Reports</span>
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('reviews')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'reviews'
+                          ? '!bg-white !text-amber-600 !border-amber-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>🔍</span>
+                      <span>Review</span>
+                    </button>
+                    <button
+                      onClick={() => setActiveTab('shadow')}
+                      className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
+                        activeTab === 'shadow'
+                          ? '!bg-white !text-slate-700 !border-slate-500 !shadow-sm !z-10'
+                          : '!text-slate-600 !border-transparent hover:!text-slate-900 hover:!bg-white/60'
+                      }`}
+                      type="button"
+                    >
+                      <span>👻</span>
+                      <span>Shadow</span>
+                    </button>
                     <button
                       onClick={() => setActiveTab('audit')}
                       className={`!relative !px-4 !py-3 !font-medium !text-sm !transition-all !duration-200 !rounded-lg !border-b-3 !flex-shrink-0 !inline-flex !items-center !gap-2 !border-none !outline-none !cursor-pointer ${
@@ -659,6 +739,34 @@ const GroupManagementDashboard = ({ user }) => {
                         settings={groupSettings}
                         loading={settingsLoading}
                         onUpdate={handleSettingsUpdate}
+                        groupId={selectedGroup.id}
+                        onPresetApplied={() => loadGroupData(selectedGroup.id)}
+                      />
+                      <div className="mt-8">
+                        <ConfigTransfer
+                          groupId={selectedGroup.id}
+                          groupTitle={selectedGroup.title}
+                          otherGroups={groups.filter(group => group.id !== selectedGroup.id)}
+                          onApplied={() => loadGroupData(selectedGroup.id)}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {activeTab === 'rules' && (
+                    <div className="p-8">
+                      <CustomRules
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
+                      />
+                    </div>
+                  )}
+
+                  {activeTab === 'schedules' && (
+                    <div className="p-8">
+                      <Schedules
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
                       />
                     </div>
                   )}
@@ -672,6 +780,42 @@ const GroupManagementDashboard = ({ user }) => {
                     </div>
                   )}
 
+                  {activeTab === 'appeals' && (
+                    <div className="p-8">
+                      <Appeals
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
+                      />
+                    </div>
+                  )}
+
+                  {activeTab === 'reports' && (
+                    <div className="p-8">
+                      <Reports
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
+                      />
+                    </div>
+                  )}
+
+                  {activeTab === 'reviews' && (
+                    <div className="p-8">
+                      <Reviews
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
+                      />
+                    </div>
+                  )}
+
+                  {activeTab === 'shadow' && (
+                    <div className="p-8">
+                      <ShadowReport
+                        groupId={selectedGroup.id}
+                        groupTitle={selectedGroup.title}
+                      />
+                    </div>
+                  )}
+
                   {activeTab === 'audit' && (
                     <div className="p-8">
                       <AuditLog
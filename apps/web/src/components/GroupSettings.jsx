@@ -1,23 +1,345 @@
-import React, { useState, useEffect } from 'react';
-import { Save, RotateCcw, Plus, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Save, RotateCcw, Plus, X, Trash2 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
 import { LoadingCard, EmptyState } from './UXComponents';
 
-const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
+const MEDIA_TYPES = [
+  { key: 'photo', label: '🖼️ Photos' },
+  { key: 'video', label: '🎬 Videos' },
+  { key: 'document', label: '📄 Documents' },
+  { key: 'sticker', label: '🎭 Stickers' },
+  { key: 'voice', label: '🎤 Voice Notes' },
+  { key: 'contact', label: '📇 Contacts' },
+  { key: 'location', label: '📍 Locations' },
+  { key: 'poll', label: '📊 Polls' }
+];
+
+const STRIKE_CATEGORIES = [
+  { key: 'spam', label: '📢 Spam' },
+  { key: 'profanity', label: '🤬 Profanity' },
+  { key: 'links', label: '🔗 Links' },
+  { key: 'flood', label: '🌊 Flood' },
+  { key: 'rules', label: '📏 Custom Rules' }
+];
+
+const LANGUAGES = [
+  { key: 'en', label: 'English' }, { key: 'es', label: 'Spanish' }, { key: 'pt', label: 'Portuguese' },
+  { key: 'fr', label: 'French' }, { key: 'de', label: 'German' }, { key: 'it', label: 'Italian' },
+  { key: 'nl', label: 'Dutch' }, { key: 'tr', label: 'Turkish' }, { key: 'id', label: 'Indonesian' },
+  { key: 'pl', label: 'Polish' }, { key: 'ru', label: 'Russian' }, { key: 'uk', label: 'Ukrainian' },
+  { key: 'bg', label: 'Bulgarian' }, { key: 'ar', label: 'Arabic' }, { key: 'fa', label: 'Persian' },
+  { key: 'ur', label: 'Urdu' }, { key: 'el', label: 'Greek' }, { key: 'hy', label: 'Armenian' },
+  { key: 'ka', label: 'Georgian' }, { key: 'he', label: 'Hebrew' }, { key: 'hi', label: 'Hindi' },
+  { key: 'bn', label: 'Bengali' }, { key: 'ta', label: 'Tamil' }, { key: 'th', label: 'Thai' },
+  { key: 'ko', label: 'Korean' }, { key: 'ja', label: 'Japanese' }, { key: 'zh', label: 'Chinese' },
+  { key: 'am', label: 'Amharic' }
+];
+
+const SCRIPTS = [
+  { key: 'latin', label: 'Latin' }, { key: 'cyrillic', label: 'Cyrillic' }, { key: 'greek', label: 'Greek' },
+  { key: 'armenian', label: 'Armenian' }, { key: 'georgian', label: 'Georgian' }, { key: 'hebrew', label: 'Hebrew' },
+  { key: 'arabic', label: 'Arabic' }, { key: 'devanagari', label: 'Devanagari' }, { key: 'bengali', label: 'Bengali' },
+  { key: 'tamil', label: 'Tamil' }, { key: 'thai', label: 'Thai' }, { key: 'hangul', label: 'Hangul' },
+  { key: 'kana', label: 'Kana' }, { key: 'han', label: 'Han' }, { key: 'ethiopic', label: 'Ethiopic' }
+];
+
+const LADDER_LEVELS = [
+  { key: 'alertLevel', label: 'Alert' },
+  { key: 'muteLevel', label: 'Mute' },
+  { key: 'kickLevel', label: 'Kick' },
+  { key: 'banLevel', label: 'Ban' }
+];
+
+const normalizeDomain = (value) => value.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+
+const DomainList = ({ label, description, domains, onChange, chipClassName, placeholder = 'example.com', normalize = normalizeDomain }) => {
+  const [newDomain, setNewDomain] = useState('');
+
+  const addDomain = () => {
+    const domain = normalize(newDomain);
+    if (domain && !domains.includes(domain)) {
+      onChange([...domains, domain]);
+    }
+    setNewDomain('');
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700">{label}</label>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={newDomain}
+          onChange={(e) => setNewDomain(e.target.value)}
+          placeholder={placeholder}
+          onKeyPress={(e) => e.key === 'Enter' && addDomain()}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        />
+        <button
+          onClick={addDomain}
+          className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+      {domains.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {domains.map(domain => (
+            <div key={domain} className={`flex items-center space-x-1 px-3 py-1 rounded-full text-sm ${chipClassName}`}>
+              <span>{domain}</span>
+              <button onClick={() => onChange(domains.filter(d => d !== domain))}>
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 italic">{description}</p>
+      )}
+    </div>
+  );
+};
+
+const formatPresetValue = (value) => {
+  if (Array.isArray(value)) return value.length === 0 ? '—' : value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  if (value === '' || value === null || value === undefined) return '—';
+  return String(value);
+};
+
+// Applies a built-in or saved preset to the group, and saves the group's settings as a new preset.
+const PresetPicker = ({ groupId, hasUnsavedChanges, onApplied }) => {
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [changes, setChanges] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [newPresetName, setNewPresetName] = useState('');
+
+  const loadPresets = useCallback(async () => {
+    try {
+      const response = await apiService.presets.list(groupId);
+      setPresets(response?.data?.data?.presets || []);
+    } catch (err) {
+      console.error('Error loading presets:', err);
+    }
+  }, [groupId]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadPresets();
+    }
+  }, [groupId, loadPresets]);
+
+  const selected = presets.find(preset => preset.id === presetId);
+
+  const selectPreset = async (id) => {
+    setPresetId(id);
+    setChanges(null);
+    if (!id) return;
+    setWorking(true);
+    try {
+      const response = await apiService.presets.apply(groupId, id, true);
+      setChanges(response?.data?.data?.changes || []);
+    } catch (err) {
+      toast.error(`Failed to preview preset: ${err.response?.data?.error?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const applyPreset = async () => {
+    setWorking(true);
+    try {
+      const response = await apiService.presets.apply(groupId, presetId, false);
+      toast.success(`✅ ${selected.name} applied (${response?.data?.data?.changes?.length || 0} setting(s) changed)`);
+      setPresetId('');
+      setChanges(null);
+      onApplied?.();
+    } catch (err) {
+      toast.error(`Failed to apply preset: ${err.response?.data?.error?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const savePreset = async () => {
+    setWorking(true);
+    try {
+      await apiService.presets.save(groupId, newPresetName.trim());
+      toast.success(`💾 Saved the current settings as "${newPresetName.trim()}"`);
+      setNewPresetName('');
+      loadPresets();
+    } catch (err) {
+      toast.error(`Failed to save preset: ${err.response?.data?.error?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const deletePreset = async () => {
+    setWorking(true);
+    try {
+      await apiService.presets.remove(groupId, presetId);
+      toast.success(`🗑️ Preset "${selected.name}" deleted`);
+      setPresetId('');
+      setChanges(null);
+      loadPresets();
+    } catch (err) {
+      toast.error(`Failed to delete preset: ${err.response?.data?.error?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const builtIn = presets.filter(preset => preset.builtIn);
+  const saved = presets.filter(preset => !preset.builtIn);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">🎛️ Presets</h4>
+        <p className="text-sm text-gray-600">
+          Set thresholds, penalties, the profanity filter, strike expiration, messages and join protection in one step. Pick a preset to see what it would change.
+        </p>
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <select
+          value={presetId}
+          onChange={(e) => selectPreset(e.target.value)}
+          disabled={working}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          <option value="">Choose a preset...</option>
+          <optgroup label="Built-in">
+            {builtIn.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+          </optgroup>
+          {saved.length > 0 && (
+            <optgroup label="My presets">
+              {saved.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        {selected && !selected.builtIn && (
+          <button
+            type="button"
+            onClick={deletePreset}
+            disabled={working}
+            className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+            title="Delete this preset"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+
+      {selected && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          {selected.description && <p className="text-sm text-gray-600">{selected.description}</p>}
+          {changes && (
+            changes.length === 0 ? (
+              <p className="text-sm text-gray-500 italic">The group already uses these settings.</p>
+            ) : (
+              <ul className="text-sm text-gray-700 space-y-1">
+                {changes.map(change => (
+                  <li key={change.key} className="break-all">
+                    <span className="font-mono">{change.key}</span>: {formatPresetValue(change.from)} → <strong>{formatPresetValue(change.to)}</strong>
+                  </li>
+                ))}
+              </ul>
+            )
+          )}
+          {hasUnsavedChanges && (
+            <p className="text-xs text-yellow-700">Unsaved changes below will be discarded.</p>
+          )}
+          <button
+            type="button"
+            onClick={applyPreset}
+            disabled={working || !changes || changes.length === 0}
+            className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+          >
+            Apply {selected.name}
+          </button>
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={newPresetName}
+          maxLength={64}
+          onChange={(e) => setNewPresetName(e.target.value)}
+          placeholder="Save current settings as..."
+          onKeyPress={(e) => e.key === 'Enter' && newPresetName.trim() && savePreset()}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        />
+        <button
+          type="button"
+          onClick={savePreset}
+          disabled={working || !newPresetName.trim()}
+          className="px-3 py-2 bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700 rounded-lg transition-colors"
+          title="Save the group's stored settings as a preset"
+        >
+          <Save size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const GroupSettings = ({ settings = {}, loading, onUpdate, groupId, onPresetApplied }) => {
   const [formData, setFormData] = useState({
     alertLevel: 1,
     muteLevel: 2,
     kickLevel: 3,
     banLevel: 0,
+    penaltyLadders: {},
+    combinedStrikeCeiling: 0,
     spamThreshold: 0.7,
+    reviewBandMin: 0,
     profanityThreshold: 0.7,
     muteDurationMinutes: 60,
+    muteSchedule: [],
     warningMessage: 'Please follow the group rules.',
     warningMessageDeleteSeconds: 30,
     keywordWhitelistBypass: true,
     strikeExpirationDays: 7,
     goodBehaviorDays: 30,
-    whitelistedKeywords: []
+    whitelistedKeywords: [],
+    mediaPolicies: {},
+    strikeOnEditedViolation: true,
+    allowedDomains: [],
+    blockedDomains: [],
+    telegramInvitePolicy: 'allow',
+    allowedScripts: [],
+    allowedLanguages: [],
+    languageAction: 'delete',
+    languageMinLetters: 20,
+    floodMessageLimit: 0,
+    floodWindowSeconds: 10,
+    floodAction: 'delete',
+    duplicateUserThreshold: 0,
+    duplicateWindowMinutes: 10,
+    raidJoinLimit: 0,
+    raidJoinWindowSeconds: 60,
+    lockdownSlowModeSeconds: 0,
+    lockdownDurationMinutes: 30,
+    probationHours: 0,
+    probationMessages: 0,
+    probationSpamThreshold: 0.5,
+    probationMuteOnViolation: false,
+    captchaEnabled: false,
+    captchaType: 'button',
+    captchaDelivery: 'chat',
+    captchaTimeoutSeconds: 120,
+    captchaWelcomeMessage: '',
+    impersonationEnabled: false,
+    impersonationKeywords: [],
+    reportChatId: '',
+    logChatId: '',
+    logChatVerbosity: 'penalties',
+    shadowMode: false
   });
   const [isModified, setIsModified] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -33,15 +355,52 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
         muteLevel: settings.muteLevel !== undefined ? settings.muteLevel : 2,
         kickLevel: settings.kickLevel !== undefined ? settings.kickLevel : 3,
         banLevel: settings.banLevel !== undefined ? settings.banLevel : 0,
+        penaltyLadders: settings.penaltyLadders || {},
+        combinedStrikeCeiling: settings.combinedStrikeCeiling !== undefined ? settings.combinedStrikeCeiling : 0,
         spamThreshold: settings.spamThreshold !== undefined ? settings.spamThreshold : 0.7,
+        reviewBandMin: settings.reviewBandMin || 0,
         profanityThreshold: settings.profanityThreshold !== undefined ? settings.profanityThreshold : 0.7,
         muteDurationMinutes: settings.muteDurationMinutes !== undefined ? settings.muteDurationMinutes : 60,
+        muteSchedule: settings.muteSchedule || [],
         warningMessage: settings.warningMessage || 'Please follow the group rules.',
         warningMessageDeleteSeconds: settings.warningMessageDeleteSeconds !== undefined ? settings.warningMessageDeleteSeconds : 30,
         keywordWhitelistBypass: settings.keywordWhitelistBypass !== undefined ? settings.keywordWhitelistBypass : true,
         strikeExpirationDays: settings.strikeExpirationDays !== undefined ? settings.strikeExpirationDays : 7,
         goodBehaviorDays: settings.goodBehaviorDays !== undefined ? settings.goodBehaviorDays : 30,
-        whitelistedKeywords: settings.whitelistedKeywords || []
+        whitelistedKeywords: settings.whitelistedKeywords || [],
+        mediaPolicies: settings.mediaPolicies || {},
+        strikeOnEditedViolation: settings.strikeOnEditedViolation !== undefined ? settings.strikeOnEditedViolation : true,
+        allowedDomains: settings.allowedDomains || [],
+        blockedDomains: settings.blockedDomains || [],
+        telegramInvitePolicy: settings.telegramInvitePolicy || 'allow',
+        allowedScripts: settings.allowedScripts || [],
+        allowedLanguages: settings.allowedLanguages || [],
+        languageAction: settings.languageAction || 'delete',
+        languageMinLetters: settings.languageMinLetters !== undefined ? settings.languageMinLetters : 20,
+        floodMessageLimit: settings.floodMessageLimit !== undefined ? settings.floodMessageLimit : 0,
+        floodWindowSeconds: settings.floodWindowSeconds !== undefined ? settings.floodWindowSeconds : 10,
+        floodAction: settings.floodAction || 'delete',
+        duplicateUserThreshold: settings.duplicateUserThreshold !== undefined ? settings.duplicateUserThreshold : 0,
+        duplicateWindowMinutes: settings.duplicateWindowMinutes !== undefined ? settings.duplicateWindowMinutes : 10,
+        raidJoinLimit: settings.raidJoinLimit !== undefined ? settings.raidJoinLimit : 0,
+        raidJoinWindowSeconds: settings.raidJoinWindowSeconds !== undefined ? settings.raidJoinWindowSeconds : 60,
+        lockdownSlowModeSeconds: settings.lockdownSlowModeSeconds !== undefined ? settings.lockdownSlowModeSeconds : 0,
+        lockdownDurationMinutes: settings.lockdownDurationMinutes !== undefined ? settings.lockdownDurationMinutes : 30,
+        probationHours: settings.probationHours !== undefined ? settings.probationHours : 0,
+        probationMessages: settings.probationMessages !== undefined ? settings.probationMessages : 0,
+        probationSpamThreshold: settings.probationSpamThreshold !== undefined ? settings.probationSpamThreshold : 0.5,
+        probationMuteOnViolation: settings.probationMuteOnViolation || false,
+        captchaEnabled: settings.captchaEnabled || false,
+        captchaType: settings.captchaType || 'button',
+        captchaDelivery: settings.captchaDelivery || 'chat',
+        captchaTimeoutSeconds: settings.captchaTimeoutSeconds || 120,
+        captchaWelcomeMessage: settings.captchaWelcomeMessage || '',
+        impersonationEnabled: settings.impersonationEnabled || false,
+        impersonationKeywords: settings.impersonationKeywords || [],
+        reportChatId: settings.reportChatId || '',
+        logChatId: settings.logChatId || '',
+        logChatVerbosity: settings.logChatVerbosity || 'penalties',
+        shadowMode: settings.shadowMode === true
       };
       setFormData(newFormData);
       setIsModified(false);
@@ -69,6 +428,11 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
     handleChange(field, intValue);
   };
 
+  const handleListToggle = (field, key) => {
+    const list = formData[field] || [];
+    handleChange(field, list.includes(key) ? list.filter(item => item !== key) : [...list, key]);
+  };
+
   const addKeyword = () => {
     const currentKeywords = formData.whitelistedKeywords || [];
     if (newKeyword.trim() && !currentKeywords.includes(newKeyword.trim())) {
@@ -85,6 +449,43 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
     );
   };
 
+  const handleMediaPolicyChange = (mediaType, policy) => {
+    handleChange('mediaPolicies', { ...formData.mediaPolicies, [mediaType]: policy });
+  };
+
+  // A category without its own ladder follows the default levels; enabling one starts from a copy of them.
+  const toggleCategoryLadder = (category, enabled) => {
+    const { [category]: _removed, ...rest } = formData.penaltyLadders || {};
+    const ladder = Object.fromEntries(LADDER_LEVELS.map(({ key }) => [key, formData[key]]));
+    handleChange('penaltyLadders', enabled ? { ...rest, [category]: ladder } : rest);
+  };
+
+  const handleLadderLevelChange = (category, level, value) => {
+    const ladder = formData.penaltyLadders?.[category] || {};
+    handleChange('penaltyLadders', {
+      ...formData.penaltyLadders,
+      [category]: { ...ladder, [level]: Math.min(10, Math.max(0, parseInt(value) || 0)) }
+    });
+  };
+
+  // Each step is one more mute for a repeat offender; the last step repeats once the schedule runs out.
+  const addMuteStep = () => {
+    const schedule = formData.muteSchedule || [];
+    if (schedule.length < 10) {
+      handleChange('muteSchedule', [...schedule, schedule.length ? schedule[schedule.length - 1] : formData.muteDurationMinutes]);
+    }
+  };
+
+  const handleMuteStepChange = (index, value) => {
+    handleChange('muteSchedule', formData.muteSchedule.map((minutes, i) => (
+      i === index ? Math.min(525600, Math.max(1, parseInt(value) || 1)) : minutes
+    )));
+  };
+
+  const removeMuteStep = (index) => {
+    handleChange('muteSchedule', formData.muteSchedule.filter((_, i) => i !== index));
+  };
+
   const handleSave = async () => {
     setSaving(true);
     try {
@@ -105,15 +506,52 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
         muteLevel: settings.muteLevel !== undefined ? settings.muteLevel : 2,
         kickLevel: settings.kickLevel !== undefined ? settings.kickLevel : 3,
         banLevel: settings.banLevel !== undefined ? settings.banLevel : 0,
+        penaltyLadders: settings.penaltyLadders || {},
+        combinedStrikeCeiling: settings.combinedStrikeCeiling !== undefined ? settings.combinedStrikeCeiling : 0,
         spamThreshold: settings.spamThreshold !== undefined ? settings.spamThreshold : 0.7,
+        reviewBandMin: settings.reviewBandMin || 0,
         profanityThreshold: settings.profanityThreshold !== undefined ? settings.profanityThreshold : 0.7,
         muteDurationMinutes: settings.muteDurationMinutes !== undefined ? settings.muteDurationMinutes : 60,
+        muteSchedule: settings.muteSchedule || [],
         warningMessage: settings.warningMessage || 'Please follow the group rules.',
         warningMessageDeleteSeconds: settings.warningMessageDeleteSeconds !== undefined ? settings.warningMessageDeleteSeconds : 30,
         keywordWhitelistBypass: settings.keywordWhitelistBypass !== undefined ? settings.keywordWhitelistBypass : true,
         strikeExpirationDays: settings.strikeExpirationDays !== undefined ? settings.strikeExpirationDays : 7,
         goodBehaviorDays: settings.goodBehaviorDays !== undefined ? settings.goodBehaviorDays : 30,
-        whitelistedKeywords: settings.whitelistedKeywords || []
+        whitelistedKeywords: settings.whitelistedKeywords || [],
+        mediaPolicies: settings.mediaPolicies || {},
+        strikeOnEditedViolation: settings.strikeOnEditedViolation !== undefined ? settings.strikeOnEditedViolation : true,
+        allowedDomains: settings.allowedDomains || [],
+        blockedDomains: settings.blockedDomains || [],
+        telegramInvitePolicy: settings.telegramInvitePolicy || 'allow',
+        allowedScripts: settings.allowedScripts || [],
+        allowedLanguages: settings.allowedLanguages || [],
+        languageAction: settings.languageAction || 'delete',
+        languageMinLetters: settings.languageMinLetters !== undefined ? settings.languageMinLetters : 20,
+        floodMessageLimit: settings.floodMessageLimit !== undefined ? settings.floodMessageLimit : 0,
+        floodWindowSeconds: settings.floodWindowSeconds !== undefined ? settings.floodWindowSeconds : 10,
+        floodAction: settings.floodAction || 'delete',
+        duplicateUserThreshold: settings.duplicateUserThreshold !== undefined ? settings.duplicateUserThreshold : 0,
+        duplicateWindowMinutes: settings.duplicateWindowMinutes !== undefined ? settings.duplicateWindowMinutes : 10,
+        raidJoinLimit: settings.raidJoinLimit !== undefined ? settings.raidJoinLimit : 0,
+        raidJoinWindowSeconds: settings.raidJoinWindowSeconds !== undefined ? settings.raidJoinWindowSeconds : 60,
+        lockdownSlowModeSeconds: settings.lockdownSlowModeSeconds !== undefined ? settings.lockdownSlowModeSeconds : 0,
+        lockdownDurationMinutes: settings.lockdownDurationMinutes !== undefined ? settings.lockdownDurationMinutes : 30,
+        probationHours: settings.probationHours !== undefined ? settings.probationHours : 0,
+        probationMessages: settings.probationMessages !== undefined ? settings.probationMessages : 0,
+        probationSpamThreshold: settings.probationSpamThreshold !== undefined ? settings.probationSpamThreshold : 0.5,
+        probationMuteOnViolation: settings.probationMuteOnViolation || false,
+        captchaEnabled: settings.captchaEnabled || false,
+        captchaType: settings.captchaType || 'button',
+        captchaDelivery: settings.captchaDelivery || 'chat',
+        captchaTimeoutSeconds: settings.captchaTimeoutSeconds || 120,
+        captchaWelcomeMessage: settings.captchaWelcomeMessage || '',
+        impersonationEnabled: settings.impersonationEnabled || false,
+        impersonationKeywords: settings.impersonationKeywords || [],
+        reportChatId: settings.reportChatId || '',
+        logChatId: settings.logChatId || '',
+        logChatVerbosity: settings.logChatVerbosity || 'penalties',
+        shadowMode: settings.shadowMode === true
       });
       setIsModified(false);
       toast.info('Settings reset to saved values');
@@ -194,6 +632,10 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
       {/* Form Content */}
       <div className="flex-1 overflow-y-auto">
         <div className="p-6 space-y-8">
+          {groupId && (
+            <PresetPicker groupId={groupId} hasUnsavedChanges={isModified} onApplied={onPresetApplied} />
+          )}
+
           {/* Strike-Based Penalty Thresholds */}
           <div className="space-y-4">
             <div>
@@ -262,6 +704,65 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
             </div>
           </div>
 
+          {/* Per-Category Penalty Ladders */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">⚖️ Per-Category Penalty Ladders</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Give a category its own ladder to judge it only by the member's strikes in that category. Other categories use the levels above against all of the member's strikes.
+              </p>
+            </div>
+
+            <div className="space-y-3">
+              {STRIKE_CATEGORIES.map(({ key, label }) => {
+                const ladder = formData.penaltyLadders?.[key];
+                return (
+                  <div key={key} className="grid grid-cols-5 gap-3 items-center">
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(ladder)}
+                        onChange={(e) => toggleCategoryLadder(key, e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <span className="text-sm text-gray-900">{label}</span>
+                    </label>
+                    {LADDER_LEVELS.map(level => (
+                      <input
+                        key={level.key}
+                        type="number"
+                        min="0"
+                        max="10"
+                        step="1"
+                        title={`${level.label} level`}
+                        aria-label={`${label} ${level.label} level`}
+                        disabled={!ladder}
+                        value={ladder ? ladder[level.key] || 0 : formData[level.key]}
+                        onChange={(e) => handleLadderLevelChange(key, level.key, e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 disabled:bg-gray-100 disabled:text-gray-400"
+                      />
+                    ))}
+                  </div>
+                );
+              })}
+              <p className="text-xs text-gray-500">Columns: alert, mute, kick and ban level. 0 disables a level.</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Combined Strike Ceiling</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={formData.combinedStrikeCeiling}
+                onChange={(e) => handleIntegerChange('combinedStrikeCeiling', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+              <p className="text-xs text-gray-500 mt-1">Ban members once their strikes across all categories reach this number (0 = no ceiling)</p>
+            </div>
+          </div>
+
           {/* AI Detection Thresholds */}
           <div className="space-y-4">
             <div>
@@ -293,6 +794,27 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
                 <p className="text-xs text-gray-500 mt-1">AI confidence required to detect spam</p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Review Band Start
+                </label>
+                <div className="flex items-center space-x-4">
+                  <input
+                    type="range"
+                    min="0"
+                    max={formData.spamThreshold}
+                    step="0.01"
+                    value={Math.min(formData.reviewBandMin, formData.spamThreshold)}
+                    onChange={(e) => handleSliderChange('reviewBandMin', e.target.value)}
+                    className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <span className="px-2 py-1 bg-gray-100 rounded text-sm font-medium w-12 text-center text-gray-900">
+                    {formData.reviewBandMin > 0 ? `${(formData.reviewBandMin * 100).toFixed(0)}%` : 'Off'}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Spam scores from here up to the spam threshold stay in the chat and go to the Review tab for an admin to decide (0 = off)</p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Profanity Detection Threshold
@@ -378,6 +900,47 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
                 />
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                ⏳ Mute Schedule (minutes)
+              </label>
+              <div className="flex flex-wrap items-center gap-2">
+                {(formData.muteSchedule || []).map((minutes, index) => (
+                  <div key={index} className="flex items-center space-x-1">
+                    {index > 0 && <span className="text-gray-400">→</span>}
+                    <input
+                      type="number"
+                      min="1"
+                      max="525600"
+                      value={minutes}
+                      onChange={(e) => handleMuteStepChange(index, e.target.value)}
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    />
+                    <button
+                      onClick={() => removeMuteStep(index)}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                {(formData.muteSchedule || []).length < 10 && (
+                  <button
+                    onClick={addMuteStep}
+                    className="flex items-center px-3 py-1 text-sm text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Step
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {formData.muteSchedule?.length
+                  ? "A member's 1st, 2nd, ... mute in this group lasts the matching step; the last step repeats."
+                  : 'No schedule: every mute lasts the Mute Duration above.'}
+              </p>
+            </div>
           </div>
 
           {/* Warning Message */}
@@ -396,6 +959,501 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
             </div>
           </div>
 
+          {/* Anti-Raid Lockdown */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🔒 Anti-Raid Lockdown</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Lock the group when too many members join at once. Members who join during a lockdown stay restricted until it ends. Set the join limit to 0 to disable.
+              </p>
+              {settings.lockdownStartedAt && (
+                <p className="text-sm font-medium text-red-600 mb-4">
+                  Lockdown active since {new Date(settings.lockdownStartedAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Join Limit</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="10000"
+                  value={formData.raidJoinLimit}
+                  onChange={(e) => handleIntegerChange('raidJoinLimit', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Join Window (seconds)</label>
+                <input
+                  type="number"
+                  min="5"
+                  max="3600"
+                  value={formData.raidJoinWindowSeconds}
+                  onChange={(e) => handleIntegerChange('raidJoinWindowSeconds', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Slow Mode (seconds)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="3600"
+                  value={formData.lockdownSlowModeSeconds}
+                  onChange={(e) => handleIntegerChange('lockdownSlowModeSeconds', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Auto-End (minutes)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="10080"
+                  value={formData.lockdownDurationMinutes}
+                  onChange={(e) => handleIntegerChange('lockdownDurationMinutes', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* New Member Probation */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🐣 New Member Probation</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                New members cannot post links or media and face a stricter spam threshold until either limit runs out. Set both limits to 0 to disable.
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Hours After Joining</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="720"
+                  value={formData.probationHours}
+                  onChange={(e) => handleIntegerChange('probationHours', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">First Messages</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  value={formData.probationMessages}
+                  onChange={(e) => handleIntegerChange('probationMessages', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Probation Spam Threshold
+              </label>
+              <div className="flex items-center space-x-4">
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={formData.probationSpamThreshold}
+                  onChange={(e) => handleSliderChange('probationSpamThreshold', e.target.value)}
+                  className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                />
+                <span className="px-2 py-1 bg-gray-100 rounded text-sm font-medium w-12 text-center text-gray-900">
+                  {(formData.probationSpamThreshold * 100).toFixed(0)}%
+                </span>
+              </div>
+            </div>
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={formData.probationMuteOnViolation}
+                onChange={(e) => handleChange('probationMuteOnViolation', e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="text-sm text-gray-900">Mute on the first violation during probation</span>
+            </label>
+          </div>
+
+          {/* New Member CAPTCHA */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🛂 New Member CAPTCHA</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                New members are restricted until they pass a challenge. Members who answer wrongly or time out are kicked.
+              </p>
+            </div>
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={formData.captchaEnabled}
+                onChange={(e) => handleChange('captchaEnabled', e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="text-sm text-gray-900">Verify new members</span>
+            </label>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Challenge</label>
+                <select
+                  value={formData.captchaType}
+                  onChange={(e) => handleChange('captchaType', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  <option value="button">Button</option>
+                  <option value="math">Simple Math</option>
+                  <option value="emoji">Pick the Emoji</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Delivery</label>
+                <select
+                  value={formData.captchaDelivery}
+                  onChange={(e) => handleChange('captchaDelivery', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  <option value="chat">In Group</option>
+                  <option value="dm">Private Chat</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Timeout (seconds)</label>
+                <input
+                  type="number"
+                  min="30"
+                  max="3600"
+                  value={formData.captchaTimeoutSeconds}
+                  onChange={(e) => handleIntegerChange('captchaTimeoutSeconds', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Welcome Message</label>
+              <textarea
+                value={formData.captchaWelcomeMessage}
+                onChange={(e) => handleChange('captchaWelcomeMessage', e.target.value)}
+                placeholder="Use {user} for the member's name..."
+                rows="2"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+            </div>
+          </div>
+
+          {/* Impersonation */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🎭 Impersonation Check</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Members whose name or username imitates an admin, or contains a protected word, are restricted. Admins are alerted in the report chat, or privately, and can clear or ban the member.
+              </p>
+            </div>
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={formData.impersonationEnabled}
+                onChange={(e) => handleChange('impersonationEnabled', e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="text-sm text-gray-900">Restrict possible impersonators</span>
+            </label>
+            <DomainList
+              label="Protected Words"
+              description="No protected words. Only names imitating an admin are checked."
+              domains={formData.impersonationKeywords}
+              onChange={(words) => handleChange('impersonationKeywords', words)}
+              chipClassName="bg-purple-100 text-purple-800"
+              placeholder="e.g. support"
+              normalize={(value) => value.trim().toLowerCase()}
+            />
+          </div>
+
+          {/* Reports */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🚩 Member Reports</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Members report a message by replying to it with <code>/report</code>. Reports go to this chat, or to each admin privately when left empty. The bot must be a member of the chat.
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Report Chat ID</label>
+              <input
+                type="text"
+                value={formData.reportChatId}
+                onChange={(e) => handleChange('reportChatId', e.target.value.trim())}
+                placeholder="e.g. -1001234567890"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+            </div>
+          </div>
+
+          {/* Moderation Log */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">📜 Moderation Log</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Post every moderation action to a channel or chat as it happens, with buttons to pardon strikes and undo mutes and bans. Leave the chat ID empty to turn the log off.
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Log Chat ID</label>
+                <input
+                  type="text"
+                  value={formData.logChatId}
+                  onChange={(e) => handleChange('logChatId', e.target.value.trim())}
+                  placeholder="e.g. -1001234567890"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Verbosity</label>
+                <select
+                  value={formData.logChatVerbosity}
+                  onChange={(e) => handleChange('logChatVerbosity', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  <option value="penalties">Penalties only</option>
+                  <option value="all">Every deletion</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Shadow Mode */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">👻 Shadow Mode</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Classify messages and decide on actions as usual, but only log what would have happened. Nothing is deleted, no one is warned, muted, kicked or banned. The Shadow tab shows what would have been actioned.
+              </p>
+            </div>
+            <label className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={formData.shadowMode}
+                onChange={(e) => handleChange('shadowMode', e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="text-sm text-gray-900">Shadow mode (log only, enforce nothing)</span>
+            </label>
+          </div>
+
+          {/* Flood Control */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🌊 Flood Control</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Action users who send more than the message limit within the window. Set the limit to 0 to disable.
+              </p>
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Message Limit</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={formData.floodMessageLimit}
+                  onChange={(e) => handleIntegerChange('floodMessageLimit', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Window (seconds)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="3600"
+                  value={formData.floodWindowSeconds}
+                  onChange={(e) => handleIntegerChange('floodWindowSeconds', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Action</label>
+                <select
+                  value={formData.floodAction}
+                  onChange={(e) => handleChange('floodAction', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  <option value="delete">Delete Burst</option>
+                  <option value="mute">Delete + Mute</option>
+                  <option value="strike">Delete + Strike</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Duplicate Waves */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🚨 Duplicate Waves</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Once this many different users post the same or nearly the same message within the window, further copies are removed without AI analysis and admins are alerted once. Set the threshold to 0 to disable.
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">User Threshold</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  value={formData.duplicateUserThreshold}
+                  onChange={(e) => handleIntegerChange('duplicateUserThreshold', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Window (minutes)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="1440"
+                  value={formData.duplicateWindowMinutes}
+                  onChange={(e) => handleIntegerChange('duplicateWindowMinutes', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Link Policy */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🔗 Link Policy</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Links are checked before AI analysis. Blocked domains always earn a strike; when the allowlist is not empty, every other domain does too.
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Telegram Invite Links</label>
+              <select
+                value={formData.telegramInvitePolicy}
+                onChange={(e) => handleChange('telegramInvitePolicy', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              >
+                <option value="allow">Allow</option>
+                <option value="delete">Delete</option>
+                <option value="strike">Delete + Strike</option>
+              </select>
+            </div>
+            <DomainList
+              label="🚫 Blocked Domains"
+              description="No blocked domains."
+              domains={formData.blockedDomains}
+              onChange={(domains) => handleChange('blockedDomains', domains)}
+              chipClassName="bg-red-100 text-red-800"
+            />
+            <DomainList
+              label="✅ Allowed Domains"
+              description="No allowlist. Links to any domain that is not blocked are permitted."
+              domains={formData.allowedDomains}
+              onChange={(domains) => handleChange('allowedDomains', domains)}
+              chipClassName="bg-green-100 text-green-800"
+            />
+          </div>
+
+          {/* Language Policy */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🌐 Language Policy</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Languages and scripts are detected locally. Messages mostly in other scripts, or recognised as another language, are actioned. Short messages and messages with a whitelisted keyword are not checked. Leave both lists empty to allow anything.
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Allowed Languages</label>
+              <div className="flex flex-wrap gap-2">
+                {LANGUAGES.map(({ key, label }) => (
+                  <label key={key} className="inline-flex items-center gap-1 px-2 py-1 border border-gray-200 rounded-lg text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.allowedLanguages.includes(key)}
+                      onChange={() => handleListToggle('allowedLanguages', key)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Allowed Scripts</label>
+              <div className="flex flex-wrap gap-2">
+                {SCRIPTS.map(({ key, label }) => (
+                  <label key={key} className="inline-flex items-center gap-1 px-2 py-1 border border-gray-200 rounded-lg text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.allowedScripts.includes(key)}
+                      onChange={() => handleListToggle('allowedScripts', key)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Letters</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="200"
+                  value={formData.languageMinLetters}
+                  onChange={(e) => handleIntegerChange('languageMinLetters', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Action</label>
+                <select
+                  value={formData.languageAction}
+                  onChange={(e) => handleChange('languageAction', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  <option value="delete">Delete</option>
+                  <option value="warn">Delete + Remind</option>
+                  <option value="strike">Delete + Strike</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Media Policies */}
+          <div className="space-y-4">
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">🖼️ Media Policies</h4>
+              <p className="text-sm text-gray-600 mb-4">
+                Choose what happens to each type of media. Captions on allowed media are still scanned for spam and profanity.
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              {MEDIA_TYPES.map(({ key, label }) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                  <select
+                    value={formData.mediaPolicies?.[key] || 'allow'}
+                    onChange={(e) => handleMediaPolicyChange(key, e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                  >
+                    <option value="allow">Allow</option>
+                    <option value="delete">Delete</option>
+                    <option value="strike">Delete + Strike</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+
           {/* Whitelisted Keywords */}
           <div className="space-y-4">
             <div>
@@ -463,6 +1521,20 @@ const GroupSettings = ({ settings = {}, loading, onUpdate }) => {
                 When enabled, messages containing whitelisted keywords will bypass all moderation checks.
               </p>
             </div>
+            <div className="space-y-2">
+              <label className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  checked={formData.strikeOnEditedViolation}
+                  onChange={(e) => handleChange('strikeOnEditedViolation', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-900">Issue strikes for violating edits</span>
+              </label>
+              <p className="text-xs text-gray-500 ml-7">
+                Edited messages are always re-scanned. When disabled, a violating edit is deleted without a strike.
+              </p>
+            </div>
           </div>
         </div>
       </div>
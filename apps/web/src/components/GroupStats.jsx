@@ -2,6 +2,14 @@ import React, { useState } from 'react';
 import { RefreshCw, TrendingUp, Shield, AlertTriangle, Trash2, Calendar, Clock } from 'lucide-react';
 import { LoadingCard, EmptyState } from './UXComponents';
 
+const LANGUAGE_NAMES = {
+  en: 'English', es: 'Spanish', pt: 'Portuguese', fr: 'French', de: 'German', it: 'Italian',
+  nl: 'Dutch', tr: 'Turkish', id: 'Indonesian', pl: 'Polish', ru: 'Russian', uk: 'Ukrainian',
+  bg: 'Bulgarian', ar: 'Arabic', fa: 'Persian', ur: 'Urdu', el: 'Greek', hy: 'Armenian',
+  ka: 'Georgian', he: 'Hebrew', hi: 'Hindi', bn: 'Bengali', ta: 'Tamil', th: 'Thai',
+  ko: 'Korean', ja: 'Japanese', zh: 'Chinese', am: 'Amharic'
+};
+
 const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
   const [selectedPeriod, setSelectedPeriod] = useState('week');
   const [showCustomDates, setShowCustomDates] = useState(false);
@@ -169,6 +177,20 @@ const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
       icon: <Shield size={20} />,
       color: 'red'
     },
+    {
+      key: 'floodDetected',
+      label: 'Flood Bursts',
+      value: getStatValue('flaggedMessages', 'flood'),
+      icon: <TrendingUp size={20} />,
+      color: 'blue'
+    },
+    {
+      key: 'languageDetected',
+      label: 'Language Violations',
+      value: getStatValue('flaggedMessages', 'language'),
+      icon: <AlertTriangle size={20} />,
+      color: 'yellow'
+    },
     {
       key: 'averageSpamScore',
       label: 'Avg Spam Score',
@@ -192,6 +214,8 @@ const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
                  (safeStats?.penalties?.kickedUsers || 0) + 
                  (safeStats?.penalties?.bannedUsers || 0);
   
+  const totalLanguageMessages = (safeStats.languageBreakdown || []).reduce((sum, entry) => sum + entry.count, 0);
+
   const violationRate = totalMessages > 0 
     ? ((violations / totalMessages) * 100).toFixed(1)
     : '0';
@@ -436,7 +460,7 @@ const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
       {enhancedStatsItems.length > 0 && (
         <div className="mb-8">
           <h4 className="text-xl font-bold text-slate-900 mb-6">🔍 Advanced Analytics</h4>
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
             {enhancedStatsItems.map((item) => (
               <div key={item.key} className="group relative bg-gradient-to-br from-white to-slate-50 border border-slate-200 rounded-2xl p-6 hover:shadow-md hover:border-slate-300 transition-all duration-300">
                 <div className="flex items-center gap-4">
@@ -461,6 +485,32 @@ const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
         </div>
       )}
 
+      {/* Language Breakdown */}
+      {safeStats.languageBreakdown && safeStats.languageBreakdown.length > 0 && (
+        <div className="mb-8">
+          <h4 className="text-xl font-bold text-slate-900 mb-6">🌐 Languages</h4>
+          <div className="space-y-3">
+            {safeStats.languageBreakdown.map((entry) => {
+              const share = totalLanguageMessages > 0 ? (entry.count / totalLanguageMessages) * 100 : 0;
+              return (
+                <div key={`${entry.language}-${entry.script}`} className="bg-gradient-to-r from-slate-50 to-white rounded-2xl p-4 border border-slate-200">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="font-semibold text-slate-900">
+                      {entry.language ? (LANGUAGE_NAMES[entry.language] || entry.language) : 'Unrecognised'}
+                      <span className="ml-2 text-sm font-normal text-slate-500 capitalize">{entry.script}</span>
+                    </span>
+                    <span className="text-sm text-slate-600 font-medium">{entry.count} messages ({share.toFixed(1)}%)</span>
+                  </div>
+                  <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500" style={{ width: `${share}%` }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Violation Types Breakdown */}
       {safeStats.topViolationTypes && safeStats.topViolationTypes.length > 0 && (
         <div className="mb-8">
@@ -502,6 +552,7 @@ const GroupStats = ({ stats = {}, loading, onRefresh, onPeriodChange }) => {
               .filter(([key]) => !statItems.some(item => item.key === key))
               .filter(([key]) => key !== 'recentActivities') // Exclude recentActivities from additional stats
               .filter(([key]) => key !== 'topViolationTypes') // Exclude topViolationTypes as it has its own section
+              .filter(([key]) => key !== 'languageBreakdown') // Exclude languageBreakdown as it has its own section
               .map(([key, value]) => {
                 // Map specific keys to appropriate icons
                 const getIconForKey = (key) => {
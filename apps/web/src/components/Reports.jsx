@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: '', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  open: 'bg-yellow-100 text-yellow-800',
+  resolved: 'bg-green-100 text-green-800',
+  dismissed: 'bg-gray-100 text-gray-800'
+};
+
+const RESOLUTION_LABELS = {
+  delete: 'message deleted',
+  strike: 'strike added',
+  mute: 'author muted',
+  ban: 'author banned',
+  dismiss: 'dismissed'
+};
+
+const Reports = ({ groupId, groupTitle }) => {
+  const [reports, setReports] = useState([]);
+  const [mostReported, setMostReported] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.reports.list(groupId, status || null);
+      setReports(response?.data?.data?.reports || []);
+      setMostReported(response?.data?.data?.mostReported || []);
+    } catch (err) {
+      console.error('Error loading reports:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId, status]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadReports();
+    }
+  }, [groupId, loadReports]);
+
+  const describeMember = (member) => {
+    const name = member.firstName || `User ${member.reportedUserId || member.userId}`;
+    return member.username ? `${name} (@${member.username})` : name;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">🚩 Member Reports</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Messages members of <strong>{groupTitle}</strong> reported with <code>/report</code>. Admins act on them from the buttons sent with each report.
+          </p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingCard title="Loading reports..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load reports" message={error} onRetry={loadReports} />
+      ) : (
+        <>
+          {mostReported.length > 0 && (
+            <div className="border border-gray-200 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Most Reported Members</h4>
+              <ul className="space-y-1">
+                {mostReported.map(member => (
+                  <li key={member.userId} className="flex items-center justify-between text-sm text-gray-700">
+                    <span>{describeMember(member)}</span>
+                    <span>
+                      {member.reports} report{member.reports === 1 ? '' : 's'}
+                      {member.openReports > 0 && <span className="text-yellow-700"> · {member.openReports} open</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {reports.length === 0 ? (
+            <EmptyState icon="🚩" title="No reports" description={status ? `There are no ${status} reports.` : 'No member has reported a message yet.'} />
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {reports.map(report => (
+                <li key={report.id} className="p-4 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900">
+                      #{report.id} {describeMember(report)}
+                      {report.reportCount > 1 && <span className="text-gray-500 font-normal"> · reported by {report.reportCount} members</span>}
+                    </p>
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGES[report.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {report.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+                    {report.messageExcerpt ? `"${report.messageExcerpt}"` : <em>No text</em>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {report.reason ? `Reason: ${report.reason} · ` : ''}
+                    Reported {new Date(report.createdAt).toLocaleString()}
+                    {report.resolvedAt && ` · ${RESOLUTION_LABELS[report.resolution] || report.resolution} ${new Date(report.resolvedAt).toLocaleString()}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Reports;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Marked clean' },
+  { value: 'removed', label: 'Removed' },
+  { value: '', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800'
+};
+
+const Reviews = ({ groupId, groupTitle }) => {
+  const [reviews, setReviews] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [decidingId, setDecidingId] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.reviews.list(groupId, status || null);
+      setReviews(response?.data?.data?.reviews || []);
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId, status]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadReviews();
+    }
+  }, [groupId, loadReviews]);
+
+  const handleDecide = async (review, decision) => {
+    setDecidingId(review.id);
+    try {
+      const response = await apiService.reviews.decide(groupId, review.id, decision);
+      const result = response?.data?.data || {};
+      if (decision === 'removed') {
+        toast.success(`🗑️ Message #${review.id} removed${result.strikeCount ? `, member now has ${result.strikeCount} strike(s)` : ''}`);
+      } else {
+        toast.success(`✅ Message #${review.id} marked clean`);
+      }
+      loadReviews();
+    } catch (err) {
+      toast.error(`Failed to decide review: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const describeMember = (review) => {
+    const name = review.firstName || `User ${review.userId}`;
+    return review.username ? `${name} (@${review.username})` : name;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">🔍 Review Queue</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Messages in <strong>{groupTitle}</strong> with a spam score in the review band stay in the chat until an admin decides. Removing deletes the message and gives its author a strike. Each decision is kept as a label for tuning the classifier.
+          </p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingCard title="Loading reviews..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load reviews" message={error} onRetry={loadReviews} />
+      ) : reviews.length === 0 ? (
+        <EmptyState icon="🔍" title="Nothing to review" description={status ? `There are no ${status} reviews.` : 'No message has been held for review yet. Set a review band in the AI thresholds to start.'} />
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {reviews.map(review => (
+            <li key={review.id} className="p-4 space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">
+                  #{review.id} {describeMember(review)}
+                  <span className="ml-2 text-xs font-normal text-gray-500">spam score {Number(review.spamScore).toFixed(2)}</span>
+                </p>
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_BADGES[review.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {review.label ? `${review.status} · ${review.label}` : review.status}
+                </span>
+              </div>
+              <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">"{review.messageExcerpt}"</p>
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  Held {new Date(review.createdAt).toLocaleString()}
+                  {review.decidedAt && ` · decided ${new Date(review.decidedAt).toLocaleString()}`}
+                </p>
+                {review.status === 'pending' && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      disabled={decidingId === review.id}
+                      onClick={() => handleDecide(review, 'approved')}
+                      className="px-3 py-1 text-sm bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                    >
+                      Clean
+                    </button>
+                    <button
+                      type="button"
+                      disabled={decidingId === review.id}
+                      onClick={() => handleDecide(review, 'removed')}
+                      className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 disabled:opacity-50 rounded-lg transition-colors"
+                    >
+                      Remove + Strike
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const DAYS = [
+  { key: 'mon', label: 'Mon' }, { key: 'tue', label: 'Tue' }, { key: 'wed', label: 'Wed' },
+  { key: 'thu', label: 'Thu' }, { key: 'fri', label: 'Fri' }, { key: 'sat', label: 'Sat' },
+  { key: 'sun', label: 'Sun' }
+];
+
+const PERMISSIONS = [
+  { key: 'can_send_messages', label: '💬 Messages' },
+  { key: 'can_send_photos', label: '🖼️ Photos' },
+  { key: 'can_send_videos', label: '🎬 Videos' },
+  { key: 'can_send_video_notes', label: '📹 Video Notes' },
+  { key: 'can_send_audios', label: '🎵 Audio' },
+  { key: 'can_send_voice_notes', label: '🎤 Voice Notes' },
+  { key: 'can_send_documents', label: '📄 Documents' },
+  { key: 'can_send_polls', label: '📊 Polls' },
+  { key: 'can_send_other_messages', label: '🎭 Stickers & GIFs' },
+  { key: 'can_add_web_page_previews', label: '🔗 Link Previews' },
+  { key: 'can_invite_users', label: '➕ Invite Users' },
+  { key: 'can_pin_messages', label: '📌 Pin Messages' }
+];
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  days: [],
+  startTime: '23:00',
+  endTime: '07:00',
+  kind: 'permissions',
+  permissions: {},
+  settingsJson: '{\n  "spamThreshold": 0.6\n}'
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900';
+
+const Schedules = ({ groupId, groupTitle }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [timezone, setTimezone] = useState('UTC');
+  const [timezoneInput, setTimezoneInput] = useState('UTC');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [newSchedule, setNewSchedule] = useState(EMPTY_SCHEDULE);
+
+  const loadSchedules = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.schedules.list(groupId);
+      const data = response?.data?.data || {};
+      setSchedules(data.schedules || []);
+      setTimezone(data.timezone || 'UTC');
+      setTimezoneInput(data.timezone || 'UTC');
+    } catch (err) {
+      console.error('Error loading schedules:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadSchedules();
+    }
+  }, [groupId, loadSchedules]);
+
+  const handleChange = (key, value) => {
+    setNewSchedule(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleDayToggle = (day) => {
+    setNewSchedule(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day]
+    }));
+  };
+
+  // Each permission is left unchanged, allowed or blocked while the window is open.
+  const handlePermissionChange = (key, value) => {
+    setNewSchedule(prev => {
+      const { [key]: _removed, ...permissions } = prev.permissions;
+      return { ...prev, permissions: value === '' ? permissions : { ...permissions, [key]: value === 'allow' } };
+    });
+  };
+
+  const handleTimezoneSave = async () => {
+    try {
+      await apiService.groups.updateSettings(groupId, { scheduleTimezone: timezoneInput.trim() });
+      setTimezone(timezoneInput.trim());
+      toast.success('✅ Time zone updated');
+    } catch (err) {
+      toast.error(`Failed to update time zone: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newSchedule.name.trim()) {
+      toast.error('Please enter a name');
+      return;
+    }
+
+    let payload = newSchedule.permissions;
+    if (newSchedule.kind === 'settings') {
+      try {
+        payload = JSON.parse(newSchedule.settingsJson);
+      } catch {
+        toast.error('The setting overrides must be valid JSON');
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const { name, days, startTime, endTime, kind } = newSchedule;
+      await apiService.schedules.create(groupId, { name: name.trim(), days, startTime, endTime, kind, payload });
+      toast.success('✅ Schedule added');
+      setNewSchedule(EMPTY_SCHEDULE);
+      loadSchedules();
+    } catch (err) {
+      toast.error(`Failed to add schedule: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await apiService.schedules.update(groupId, schedule.id, { enabled: !schedule.enabled });
+      setSchedules(prev => prev.map(s => (s.id === schedule.id ? { ...s, enabled: !schedule.enabled } : s)));
+    } catch (err) {
+      toast.error(`Failed to update schedule: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+    try {
+      await apiService.schedules.remove(groupId, schedule.id);
+      setSchedules(prev => prev.filter(s => s.id !== schedule.id));
+      toast.success(schedule.appliedAt ? 'Schedule deleted; its changes are reverted within a minute' : 'Schedule deleted');
+    } catch (err) {
+      toast.error(`Failed to delete schedule: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const describePayload = (schedule) => Object.entries(schedule.payload)
+    .map(([key, value]) => {
+      if (schedule.kind === 'permissions') {
+        return `${PERMISSIONS.find(p => p.key === key)?.label || key}: ${value ? 'allowed' : 'blocked'}`;
+      }
+      return `${key} = ${JSON.stringify(value)}`;
+    })
+    .join(', ');
+
+  const describeDays = (days) => (days.length === 0 ? 'Every day' : DAYS.filter(d => days.includes(d.key)).map(d => d.label).join(', '));
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">🕒 Scheduled Restrictions</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Entries for <strong>{groupTitle}</strong> change chat permissions or settings during a time window, such as no media overnight or a stricter spam threshold on weekends. The bot applies them when the window opens and reverts them when it closes; both are recorded in the audit log.
+        </p>
+      </div>
+
+      {/* Time Zone */}
+      <div className="bg-gray-50 rounded-lg p-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Time Zone</label>
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={timezoneInput}
+            onChange={(e) => setTimezoneInput(e.target.value)}
+            placeholder="Europe/Berlin"
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={handleTimezoneSave}
+            disabled={!timezoneInput.trim() || timezoneInput.trim() === timezone}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+          >
+            Save
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">An IANA time zone such as Europe/Berlin or America/New_York. Every window below is read in it.</p>
+      </div>
+
+      {/* New Schedule */}
+      <form onSubmit={handleCreate} className="bg-gray-50 rounded-lg p-4 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            maxLength={64}
+            value={newSchedule.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            placeholder="No media at night"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Days</label>
+          <div className="flex flex-wrap gap-3">
+            {DAYS.map(day => (
+              <label key={day.key} className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={newSchedule.days.includes(day.key)}
+                  onChange={() => handleDayToggle(day.key)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-900">{day.label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">The days the window starts on. None selected runs every day.</p>
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Start</label>
+            <input type="time" value={newSchedule.startTime} onChange={(e) => handleChange('startTime', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">End</label>
+            <input type="time" value={newSchedule.endTime} onChange={(e) => handleChange('endTime', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Changes</label>
+            <select value={newSchedule.kind} onChange={(e) => handleChange('kind', e.target.value)} className={inputClass}>
+              <option value="permissions">Chat permissions</option>
+              <option value="settings">Moderation settings</option>
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">An end before the start runs past midnight; equal times last a whole day.</p>
+
+        {newSchedule.kind === 'permissions' ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {PERMISSIONS.map(permission => (
+              <div key={permission.key} className="flex items-center justify-between">
+                <span className="text-sm text-gray-900">{permission.label}</span>
+                <select
+                  value={permission.key in newSchedule.permissions ? (newSchedule.permissions[permission.key] ? 'allow' : 'block') : ''}
+                  onChange={(e) => handlePermissionChange(permission.key, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900"
+                >
+                  <option value="">Unchanged</option>
+                  <option value="allow">Allow</option>
+                  <option value="block">Block</option>
+                </select>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Setting Overrides (JSON)</label>
+            <textarea
+              rows={4}
+              value={newSchedule.settingsJson}
+              onChange={(e) => handleChange('settingsJson', e.target.value)}
+              className={`${inputClass} font-mono text-sm`}
+            />
+            <p className="text-xs text-gray-500 mt-1">Setting names and values as in the settings above, e.g. {'{"spamThreshold": 0.6, "floodMessageLimit": 3}'}.</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          {saving ? 'Adding...' : '➕ Add Schedule'}
+        </button>
+      </form>
+
+      {/* Schedule List */}
+      {loading ? (
+        <LoadingCard title="Loading schedules..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load schedules" message={error} onRetry={loadSchedules} />
+      ) : schedules.length === 0 ? (
+        <EmptyState icon="🕒" title="No schedules yet" description="Add an entry above to restrict the group at certain times." />
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {schedules.map(schedule => (
+            <li key={schedule.id} className="flex items-center justify-between p-4">
+              <div className="min-w-0">
+                <p className={`text-sm font-medium ${schedule.enabled ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  {schedule.name}
+                  {schedule.appliedAt && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">In effect</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">
+                  {describeDays(schedule.days)}, {schedule.startTime}–{schedule.endTime} ({timezone})
+                </p>
+                <p className="text-xs text-gray-600 mt-1 break-all">{describePayload(schedule)}</p>
+              </div>
+              <div className="flex items-center space-x-3 flex-shrink-0">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={() => handleToggle(schedule)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Enabled</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(schedule)}
+                  className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Schedules;
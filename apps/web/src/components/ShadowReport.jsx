@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { LoadingCard, ErrorCard, EmptyState } from './UXComponents';
+
+const PERIODS = [
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '', label: 'All time' }
+];
+
+const TOTALS = [
+  { key: 'deletions', label: 'Deletions' },
+  { key: 'strikes', label: 'Strikes' },
+  { key: 'warnings', label: 'Warnings' },
+  { key: 'mutes', label: 'Mutes' },
+  { key: 'kicks', label: 'Kicks' },
+  { key: 'bans', label: 'Bans' }
+];
+
+const ACTION_LABELS = {
+  message_deleted: 'would delete',
+  user_warned: 'would warn',
+  user_muted: 'would mute',
+  user_kicked: 'would kick',
+  user_banned: 'would ban'
+};
+
+const ShadowReport = ({ groupId, groupTitle }) => {
+  const [report, setReport] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [days, setDays] = useState('7');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.shadow.report(groupId, days || null, page);
+      setReport(response?.data?.data || null);
+      setPagination(response?.data?.meta?.pagination || null);
+    } catch (err) {
+      console.error('Error loading shadow report:', err);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [groupId, days, page]);
+
+  useEffect(() => {
+    if (groupId) {
+      loadReport();
+    }
+  }, [groupId, loadReport]);
+
+  const describeEntry = (entry) => {
+    if (entry.type === 'SHADOW_STRIKE') return 'would strike';
+    return ACTION_LABELS[entry.action] || entry.action;
+  };
+
+  const describeMember = (entry) => {
+    const name = entry.firstName || `User ${entry.userId}`;
+    return entry.username ? `${name} (@${entry.username})` : name;
+  };
+
+  const summary = report?.summary || {};
+  const byViolationType = Object.entries(report?.byViolationType || {}).sort((a, b) => b[1] - a[1]);
+  const entries = report?.entries || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">👻 Shadow Mode Report</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            What moderation would have done in <strong>{groupTitle}</strong> while shadow mode was on. Use it to tune thresholds and penalty levels before enforcing them.
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => {
+            setDays(e.target.value);
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          {PERIODS.map(period => (
+            <option key={period.value} value={period.value}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingCard title="Loading shadow report..." />
+      ) : error ? (
+        <ErrorCard title="Failed to load shadow report" message={error} onRetry={loadReport} />
+      ) : (
+        <>
+          <div className={`rounded-lg p-4 text-sm ${report?.shadowMode ? 'bg-slate-100 text-slate-800' : 'bg-yellow-50 text-yellow-800'}`}>
+            {report?.shadowMode
+              ? 'Shadow mode is on: nothing is deleted or punished, every decision is only logged.'
+              : 'Shadow mode is off: moderation is enforced. Turn it on in the settings to collect a new report.'}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4">
+            {TOTALS.map(total => (
+              <div key={total.key} className="border border-gray-200 rounded-lg p-4 text-center">
+                <p className="text-2xl font-semibold text-gray-900">{summary[total.key] || 0}</p>
+                <p className="text-xs text-gray-500">{total.label}</p>
+              </div>
+            ))}
+          </div>
+          <p className="text-sm text-gray-600">
+            {summary.members || 0} member{summary.members === 1 ? '' : 's'} would have been actioned
+            {summary.scanned > 0 && `, out of ${summary.scanned} scanned messages ${((summary.deletions || 0) / summary.scanned * 100).toFixed(1)}% would have been deleted`}.
+          </p>
+
+          {byViolationType.length > 0 && (
+            <div className="border border-gray-200 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Deletions by Violation Type</h4>
+              <ul className="space-y-1">
+                {byViolationType.map(([violationType, count]) => (
+                  <li key={violationType} className="flex items-center justify-between text-sm text-gray-700">
+                    <span>{violationType.toLowerCase()}</span>
+                    <span>{count}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <EmptyState icon="👻" title="Nothing would have been actioned" description="No shadow mode decisions were logged in this period." />
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {entries.map(entry => (
+                <li key={entry.id} className="p-4 space-y-1">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900">
+                      {describeMember(entry)} <span className="text-gray-500 font-normal">· {describeEntry(entry)}</span>
+                    </p>
+                    {entry.violationType && (
+                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">
+                        {entry.violationType.toLowerCase()}
+                      </span>
+                    )}
+                  </div>
+                  {entry.messageExcerpt && (
+                    <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">"{entry.messageExcerpt}"</p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {new Date(entry.timestamp).toLocaleString()}
+                    {typeof entry.spamScore === 'number' && ` · spam ${entry.spamScore.toFixed(2)}`}
+                    {typeof entry.profanityScore === 'number' && ` · profanity ${entry.profanityScore.toFixed(2)}`}
+                    {entry.strikeCount && ` · strike ${entry.strikeCount}`}
+                    {entry.reason && ` · ${entry.reason}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-3 text-sm">
+              <button
+                disabled={!pagination.hasPrev}
+                onClick={() => setPage(page - 1)}
+                className="px-4 py-2 bg-white text-gray-700 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ← Previous
+              </button>
+              <span className="text-gray-600">Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                disabled={!pagination.hasNext}
+                onClick={() => setPage(page + 1)}
+                className="px-4 py-2 bg-white text-gray-700 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ShadowReport;
@@ -599,6 +599,216 @@ export const apiService = {
     }
   },
 
+  // Custom Moderation Rules API
+  rules: {
+    // List a group's rules in evaluation order
+    list: (groupId) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/rules`),
+        () => ({ data: { success: true, data: { groupId, rules: [] } } }),
+        `groups/${groupId}/rules`
+      );
+    },
+
+    // Add a rule ({ pattern, isRegex, scope, action, strikeWeight, enabled })
+    create: (groupId, rule) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/rules`, rule),
+        () => ({ data: { success: true, data: { id: Date.now(), chatId: groupId, enabled: true, createdAt: new Date().toISOString(), ...rule } } }),
+        `groups/${groupId}/rules (CREATE)`
+      );
+    },
+
+    // Change some fields of a rule
+    update: (groupId, ruleId, changes) => {
+      return makeApiCall(
+        async () => api.put(`/groups/${groupId}/rules/${ruleId}`, changes),
+        () => ({ data: { success: true, data: { id: ruleId, chatId: groupId, ...changes } } }),
+        `groups/${groupId}/rules/${ruleId} (UPDATE)`
+      );
+    },
+
+    // Delete a rule
+    remove: (groupId, ruleId) => {
+      return makeApiCall(
+        async () => api.delete(`/groups/${groupId}/rules/${ruleId}`),
+        () => ({ data: { success: true, data: { groupId, ruleId } } }),
+        `groups/${groupId}/rules/${ruleId} (DELETE)`
+      );
+    }
+  },
+
+  // Scheduled Restrictions API
+  schedules: {
+    // List a group's schedule entries and the time zone they are read in
+    list: (groupId) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/schedules`),
+        () => ({ data: { success: true, data: { groupId, timezone: 'UTC', schedules: [] } } }),
+        `groups/${groupId}/schedules`
+      );
+    },
+
+    // Add an entry ({ name, days, startTime, endTime, kind, payload, enabled })
+    create: (groupId, schedule) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/schedules`, schedule),
+        () => ({ data: { success: true, data: { id: Date.now(), chatId: groupId, enabled: true, appliedAt: null, createdAt: new Date().toISOString(), ...schedule } } }),
+        `groups/${groupId}/schedules (CREATE)`
+      );
+    },
+
+    // Change some fields of an entry
+    update: (groupId, scheduleId, changes) => {
+      return makeApiCall(
+        async () => api.put(`/groups/${groupId}/schedules/${scheduleId}`, changes),
+        () => ({ data: { success: true, data: { id: scheduleId, chatId: groupId, ...changes } } }),
+        `groups/${groupId}/schedules/${scheduleId} (UPDATE)`
+      );
+    },
+
+    // Delete an entry
+    remove: (groupId, scheduleId) => {
+      return makeApiCall(
+        async () => api.delete(`/groups/${groupId}/schedules/${scheduleId}`),
+        () => ({ data: { success: true, data: { groupId, scheduleId } } }),
+        `groups/${groupId}/schedules/${scheduleId} (DELETE)`
+      );
+    }
+  },
+
+  // Strike Appeals API
+  appeals: {
+    // List a group's appeals, newest first (status: pending, approved or rejected)
+    list: (groupId, status = null) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/appeals${status ? `?status=${status}` : ''}`),
+        () => ({ data: { success: true, data: { groupId, appeals: [] } } }),
+        `groups/${groupId}/appeals`
+      );
+    },
+
+    // Approve or reject a pending appeal
+    decide: (groupId, appealId, status) => {
+      return makeApiCall(
+        async () => api.put(`/groups/${groupId}/appeals/${appealId}`, { status }),
+        () => ({ data: { success: true, data: { id: appealId, chatId: groupId, status, strikesRemoved: 0, unmuted: false } } }),
+        `groups/${groupId}/appeals/${appealId} (DECIDE)`
+      );
+    }
+  },
+
+  reports: {
+    // List messages reported with /report, newest first, and the most reported members (status: open, resolved or dismissed)
+    list: (groupId, status = null) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/reports${status ? `?status=${status}` : ''}`),
+        () => ({ data: { success: true, data: { groupId, reports: [], mostReported: [] } } }),
+        `groups/${groupId}/reports`
+      );
+    }
+  },
+
+  reviews: {
+    // List messages held for review, newest first (status: pending, approved or removed)
+    list: (groupId, status = null) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/reviews${status ? `?status=${status}` : ''}`),
+        () => ({ data: { success: true, data: { groupId, reviews: [] } } }),
+        `groups/${groupId}/reviews`
+      );
+    },
+
+    // Mark a held message clean (approved) or delete it and strike its author (removed)
+    decide: (groupId, reviewId, status) => {
+      return makeApiCall(
+        async () => api.put(`/groups/${groupId}/reviews/${reviewId}`, { status }),
+        () => ({ data: { success: true, data: { id: reviewId, chatId: groupId, status } } }),
+        `groups/${groupId}/reviews/${reviewId} (DECIDE)`
+      );
+    }
+  },
+
+  presets: {
+    // Built-in presets followed by the ones the user saved
+    list: (groupId) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/presets`),
+        () => ({ data: { success: true, data: { groupId, presets: [] } } }),
+        `groups/${groupId}/presets`
+      );
+    },
+
+    // List what a preset would change (dryRun) or apply it
+    apply: (groupId, presetId, dryRun = false) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/presets/apply`, { presetId, dryRun }),
+        () => ({ data: { success: true, data: { groupId, presetId, applied: !dryRun, changes: [] } } }),
+        `groups/${groupId}/presets/apply`
+      );
+    },
+
+    // Save the group's current settings as a preset of the user
+    save: (groupId, name) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/presets`, { name }),
+        () => ({ data: { success: true, data: { id: String(Date.now()), name, description: null, settings: {}, builtIn: false } } }),
+        `groups/${groupId}/presets (CREATE)`
+      );
+    },
+
+    remove: (groupId, presetId) => {
+      return makeApiCall(
+        async () => api.delete(`/groups/${groupId}/presets/${presetId}`),
+        () => ({ data: { success: true, data: { presetId } } }),
+        `groups/${groupId}/presets/${presetId} (DELETE)`
+      );
+    }
+  },
+
+  config: {
+    // Versioned JSON with the group's settings, keyword whitelist, moderators and rules
+    export: (groupId) => {
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/config`),
+        () => ({ data: { success: true, data: { version: 1, group: { chatId: groupId }, settings: {}, whitelistedKeywords: [], moderatorIds: [], rules: [] } } }),
+        `groups/${groupId}/config`
+      );
+    },
+
+    // Validate an exported configuration and list its changes (dryRun) or apply it
+    import: (groupId, config, dryRun = false) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/config/import`, { config, dryRun }),
+        () => ({ data: { success: true, data: { groupId, applied: !dryRun, changes: [] } } }),
+        `groups/${groupId}/config/import`
+      );
+    },
+
+    // Same as import, with the configuration of another group the user administers
+    copy: (groupId, sourceGroupId, dryRun = false) => {
+      return makeApiCall(
+        async () => api.post(`/groups/${groupId}/config/copy`, { sourceGroupId, dryRun }),
+        () => ({ data: { success: true, data: { groupId, applied: !dryRun, changes: [] } } }),
+        `groups/${groupId}/config/copy`
+      );
+    }
+  },
+
+  shadow: {
+    // What moderation would have done while the group was in shadow mode (days: only the last N days; page: page of entries)
+    report: (groupId, days = null, page = 1) => {
+      const params = new URLSearchParams();
+      if (days) params.append('days', days);
+      params.append('page', page);
+      return makeApiCall(
+        async () => api.get(`/groups/${groupId}/shadow-report?${params.toString()}`),
+        () => ({ data: { success: true, data: { groupId, shadowMode: false, summary: {}, byViolationType: {}, entries: [] } } }),
+        `groups/${groupId}/shadow-report`
+      );
+    }
+  },
+
   // Audit Log System API
   audit: {
     // Get paginated audit log with advanced filtering
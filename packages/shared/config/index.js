@@ -60,10 +60,16 @@ const defaultConfig = {
     muteLevel: 2,
     kickLevel: 3,
     banLevel: 0,
+    // Per strike category ladders, e.g. { links: { alertLevel: 1, muteLevel: 0, kickLevel: 2, banLevel: 0 } }.
+    // Categories without a ladder use the levels above against the combined strike count.
+    penaltyLadders: {},
+    combinedStrikeCeiling: 0, // Ban once a member's strikes across all categories reach this. 0 = no ceiling.
     spamThreshold: 0.85,
+    reviewBandMin: 0, // Spam scores from this up to spamThreshold are held for admin review instead of passing. 0 = off
     profanityThreshold: 0.7, // Threshold for profanity detection (0.0-1.0)
     profanityEnabled: true, // Enable/disable profanity filtering
     muteDurationMinutes: 60,
+    muteSchedule: [], // Minutes for a member's 1st, 2nd, ... automatic mute, e.g. [10, 60, 1440, 10080]. Empty = always muteDurationMinutes.
     warningMessage: "⚠️ {user}, please avoid posting promotional/banned content.",
     profanityWarningMessage: "⚠️ {user}, please keep your language appropriate and respectful.",
     warningMessageDeleteSeconds: 15, // How long the warning message stays in chat. 0 = forever.
@@ -72,6 +78,51 @@ const defaultConfig = {
     keywordWhitelistBypass: true,
     strikeExpirationDays: 30, // New setting
     goodBehaviorDays: 7, // New setting
+    strikeOnEditedViolation: true, // false = violating edits are only deleted
+    allowedDomains: [], // When non-empty, links to any other domain are violations
+    blockedDomains: [], // Links to these domains (or their subdomains) are always violations
+    telegramInvitePolicy: 'allow', // 'allow', 'delete' or 'strike' for t.me/+ and t.me/joinchat links
+    allowedScripts: [], // e.g. ['latin']. Messages mostly in other scripts are violations. Empty = any script.
+    allowedLanguages: [], // ISO 639-1 codes, e.g. ['en']. Messages recognised as another language are violations. Empty = any.
+    languageAction: 'delete', // 'delete', 'warn' or 'strike'
+    languageMinLetters: 20, // Messages with fewer letters are not language checked
+    floodMessageLimit: 0, // Max messages per user within floodWindowSeconds. 0 = flood detection disabled.
+    floodWindowSeconds: 10,
+    floodAction: 'delete', // 'delete', 'mute' or 'strike'
+    duplicateUserThreshold: 0, // Distinct users posting similar text before copies are removed. 0 = disabled.
+    duplicateWindowMinutes: 10,
+    probationHours: 0, // New members are on probation for this many hours after joining. 0 = no time limit.
+    probationMessages: 0, // ...and for their first this many messages. 0 = no message limit. Both 0 = probation off.
+    probationSpamThreshold: 0.5, // Spam threshold used while on probation (the lower of this and spamThreshold applies)
+    probationMuteOnViolation: false, // Mute probation members on their first violation
+    raidJoinLimit: 0, // More joins than this within raidJoinWindowSeconds trigger an automatic lockdown. 0 = disabled.
+    raidJoinWindowSeconds: 60,
+    lockdownSlowModeSeconds: 0, // Minimum seconds between a member's messages during lockdown. 0 = no slow mode.
+    lockdownDurationMinutes: 30, // Automatic lockdowns end after this long. 0 = until an admin ends them.
+    lockdownStartedAt: null, // Managed by the bot: ISO time the current lockdown started, null when not locked.
+    captchaEnabled: false, // Restrict new members until they pass a challenge
+    captchaType: 'button', // 'button', 'math' or 'emoji'
+    captchaDelivery: 'chat', // 'chat' (in the group) or 'dm' (link to a private chat with the bot)
+    captchaTimeoutSeconds: 120, // Members who don't answer in time are kicked
+    captchaWelcomeMessage: "👋 Welcome {user}! Please complete the check below to start chatting.",
+    impersonationEnabled: false, // Restrict members whose name or username imitates an admin or contains a protected word
+    impersonationKeywords: ['admin', 'support', 'official', 'moderator', 'helpdesk'], // Words no member may use in their name
+    reportChatId: '', // Chat (e.g. a private admin group) that receives /report escalations. Empty = DM every group admin.
+    logChatId: '', // Channel or chat that mirrors moderation actions as they happen. Empty = no log chat.
+    logChatVerbosity: 'penalties', // 'penalties' (strikes, penalties, admin actions) or 'all' (also every deletion)
+    scheduleTimezone: 'UTC', // IANA time zone the group's schedule entries are read in, e.g. 'Europe/Berlin'
+    shadowMode: false, // true = classify and decide as usual but only log SHADOW_* entries; nothing is deleted, muted or warned
+    // Per media type policy: 'allow' (scan caption only), 'delete' or 'strike'.
+    mediaPolicies: {
+        photo: 'allow',
+        video: 'allow',
+        document: 'allow',
+        sticker: 'allow',
+        voice: 'allow',
+        contact: 'allow',
+        location: 'allow',
+        poll: 'allow',
+    },
 };
 
 /**
@@ -85,10 +136,18 @@ const defaultConfig = {
 export const getGroupSettings = async (chatId) => {
     const settings = {};
     const keys = [
-        'alertLevel', 'muteLevel', 'kickLevel', 'banLevel',
-        'spamThreshold', 'profanityThreshold', 'profanityEnabled', 'muteDurationMinutes', 'warningMessage',
+        'alertLevel', 'muteLevel', 'kickLevel', 'banLevel', 'penaltyLadders', 'combinedStrikeCeiling',
+        'spamThreshold', 'reviewBandMin', 'profanityThreshold', 'profanityEnabled', 'muteDurationMinutes', 'muteSchedule', 'warningMessage',
         'profanityWarningMessage', 'warningMessageDeleteSeconds', 'moderatorIds', 'keywordWhitelistBypass',
-        'strikeExpirationDays', 'goodBehaviorDays'
+        'strikeExpirationDays', 'goodBehaviorDays', 'mediaPolicies',
+        'strikeOnEditedViolation', 'allowedDomains', 'blockedDomains', 'telegramInvitePolicy',
+        'allowedScripts', 'allowedLanguages', 'languageAction', 'languageMinLetters',
+        'floodMessageLimit', 'floodWindowSeconds', 'floodAction',
+        'duplicateUserThreshold', 'duplicateWindowMinutes', 'captchaEnabled', 'captchaType',
+        'captchaDelivery', 'captchaTimeoutSeconds', 'captchaWelcomeMessage', 'probationHours',
+        'probationMessages', 'probationSpamThreshold', 'probationMuteOnViolation', 'raidJoinLimit',
+        'raidJoinWindowSeconds', 'lockdownSlowModeSeconds', 'lockdownDurationMinutes', 'lockdownStartedAt',
+        'impersonationEnabled', 'impersonationKeywords', 'reportChatId', 'logChatId', 'logChatVerbosity', 'scheduleTimezone', 'shadowMode'
     ];
 
     for (const key of keys) {
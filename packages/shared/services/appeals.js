@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Decides members' appeals against strikes.
+ * Shared by the bot (approve/reject buttons sent to admins) and the API so both
+ * reverse strikes and mutes the same way. Approving an appeal removes the appealed
+ * strike, including from its category count, and lifts the mute that strike led to if
+ * it is still running. Every decision is written to the audit log and
+ * the member is told the outcome in a private message.
+ */
+
+import * as db from './database.js';
+import { sendMessage, getChatMember, restoreDefaultPermissions } from './telegram.js';
+import { getStrikeCategory } from './penaltyLadder.js';
+import { cancelJobs } from './jobQueue.js';
+import { AppealStatus, JobType } from '../utils/enums.js';
+import logger from './logger.js';
+
+// How far the end of a member's current restriction may be from the end of a mute for it
+// to still count as that mute.
+const MUTE_END_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Lifts the mute a strike led to, if it is still the restriction the member is under.
+ * Later mutes and other restrictions, e.g. a pending CAPTCHA, end at another time or
+ * never, and are left alone.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {string} userId - The ID of the member.
+ * @param {number} strikeLogId - The audit log ID of the strike.
+ * @returns {Promise<boolean>} True if the mute was lifted.
+ */
+const liftStrikeMute = async (chatId, userId, strikeLogId) => {
+    const mute = await db.getStrikeMute(chatId, strikeLogId);
+    if (!mute) return false;
+
+    const { muteDuration } = JSON.parse(mute.logData);
+    const endsAt = new Date(mute.timestamp).getTime() + muteDuration * 60 * 1000;
+    if (endsAt <= Date.now()) return false;
+
+    try {
+        const member = await getChatMember(chatId, userId);
+        if (member?.status !== 'restricted' || Math.abs(member.until_date * 1000 - endsAt) > MUTE_END_TOLERANCE_MS) {
+            return false;
+        }
+        await restoreDefaultPermissions(chatId, userId);
+        await cancelJobs(JobType.UNMUTE_REMINDER, `${chatId}:${userId}`);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not lift the mute of user ${userId} in chat ${chatId} after an appeal: ${error.response?.body?.description || error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Reverses the strike an appeal was made against.
+ *
+ * @param {object} appeal - The appeal row.
+ * @returns {Promise<{strikesRemoved: number, unmuted: boolean}>} What was reversed.
+ */
+const reverseStrike = async (appeal) => {
+    const { chatId, userId } = appeal;
+    const strike = appeal.strikeLogId ? await db.getAuditEntry(chatId, appeal.strikeLogId) : null;
+    if (!strike) {
+        return { strikesRemoved: 0, unmuted: false };
+    }
+
+    const logData = JSON.parse(strike.logData);
+    const { count: before } = await db.getStrikes(chatId, userId);
+    const after = await db.removeStrike(chatId, userId, logData.amount || 1, getStrikeCategory(logData.violationType));
+
+    const unmuted = await liftStrikeMute(chatId, userId, strike.id);
+    return { strikesRemoved: before - after, unmuted };
+};
+
+/**
+ * Approves or rejects a pending appeal.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {number} appealId - The ID of the appeal.
+ * @param {object} decision
+ * @param {boolean} decision.approved - True to approve, false to reject.
+ * @param {object} decision.admin - The deciding admin (`id`, `first_name`, `username`).
+ * @returns {Promise<object|null>} The decided appeal with `strikesRemoved` and `unmuted`, or null
+ * if the group has no such appeal or it was already decided.
+ */
+export const resolveAppeal = async (chatId, appealId, { approved, admin }) => {
+    const appeal = await db.getAppeal(chatId, appealId);
+    if (!appeal) return null;
+
+    const status = approved ? AppealStatus.APPROVED : AppealStatus.REJECTED;
+    // Only the first decision counts when several admins press a button at once.
+    if (!(await db.resolveAppealStatus(chatId, appeal.id, status, admin.id.toString()))) {
+        return null;
+    }
+
+    const { strikesRemoved, unmuted } = approved ? await reverseStrike(appeal) : { strikesRemoved: 0, unmuted: false };
+
+    await db.logManualAction(chatId, appeal.userId, {
+        type: 'APPEAL',
+        action: `appeal_${status}`,
+        timestamp: new Date().toISOString(),
+        appealId: appeal.id,
+        strikeLogId: appeal.strikeLogId,
+        admin: { id: admin.id, first_name: admin.first_name, username: admin.username },
+        strikesRemoved,
+        unmuted
+    });
+    logger.info(`Appeal #${appeal.id} in chat ${chatId} ${status} by admin ${admin.id}.`);
+
+    const group = await db.getGroup(chatId);
+    const groupName = group?.chatTitle || 'the group';
+    try {
+        await sendMessage(appeal.userId, approved
+            ? `✅ Your appeal in ${groupName} was approved. The strike has been removed${unmuted ? ' and you can post again' : ''}.`
+            : `❌ Your appeal in ${groupName} was rejected. The strike stands.`);
+    } catch (error) {
+        logger.warn(`Could not tell user ${appeal.userId} about the decision on appeal #${appeal.id}`);
+    }
+
+    return { ...(await db.getAppeal(chatId, appeal.id)), strikesRemoved, unmuted };
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Generates the challenges used to verify new group members.
+ * Challenges are plain data (a question, answer options and the index of the correct
+ * option) so the bot can render them as inline keyboards in the group or in a DM.
+ */
+
+import { CaptchaType } from '../utils/enums.js';
+
+const EMOJI_CHOICES = [
+    { emoji: '🍎', name: 'apple' },
+    { emoji: '🚗', name: 'car' },
+    { emoji: '🐶', name: 'dog' },
+    { emoji: '🌙', name: 'moon' },
+    { emoji: '⚽', name: 'football' },
+    { emoji: '🎸', name: 'guitar' },
+    { emoji: '🌲', name: 'tree' },
+    { emoji: '🐟', name: 'fish' },
+    { emoji: '🔑', name: 'key' },
+    { emoji: '☂️', name: 'umbrella' },
+    { emoji: '🍕', name: 'pizza' },
+    { emoji: '🚲', name: 'bicycle' },
+];
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates).
+ *
+ * @param {any[]} items - The items to shuffle.
+ * @param {function(): number} random - A `Math.random` compatible generator.
+ * @returns {any[]} The shuffled copy.
+ */
+const shuffle = (items, random) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/**
+ * Creates a new verification challenge.
+ *
+ * @param {string} type - A `CaptchaType` value; unknown types fall back to a button.
+ * @param {function(): number} [random=Math.random] - Random source, injectable for tests.
+ * @returns {{question: string, options: string[], answerIndex: number}} The challenge.
+ */
+export const createChallenge = (type, random = Math.random) => {
+    if (type === CaptchaType.MATH) {
+        const a = 1 + Math.floor(random() * 9);
+        const b = 1 + Math.floor(random() * 9);
+        const answer = a + b;
+        const wrongAnswers = shuffle([-3, -2, -1, 1, 2, 3].map(offset => answer + offset).filter(n => n > 0), random).slice(0, 3);
+        const options = shuffle([answer, ...wrongAnswers], random).map(String);
+        return { question: `What is ${a} + ${b}?`, options, answerIndex: options.indexOf(String(answer)) };
+    }
+
+    if (type === CaptchaType.EMOJI) {
+        const [target, ...others] = shuffle(EMOJI_CHOICES, random);
+        const options = shuffle([target, ...others.slice(0, 5)], random).map(choice => choice.emoji);
+        return { question: `Tap the ${target.name}.`, options, answerIndex: options.indexOf(target.emoji) };
+    }
+
+    return { question: 'Press the button below to confirm you are human.', options: ["✅ I'm human"], answerIndex: 0 };
+};
@@ -1,12 +1,14 @@
 /**
  * @fileoverview Manages all interactions with the SQLite database.
  * This includes initializing the database, managing tables for settings,
- * user strikes, audit logs, and whitelisted keywords.
+ * user strikes, audit logs, whitelisted keywords, group membership, appeals, reports, schedules,
+ * impersonation clearances, strike forgiveness and delayed jobs.
  */
 
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import logger from './logger.js';
+import { getStrikeCategory } from './penaltyLadder.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -72,6 +74,14 @@ export const initializeDatabase = async (isTest = false) => {
                 timestamp TEXT,
                 PRIMARY KEY (chatId, userId)
             );
+            CREATE TABLE IF NOT EXISTS category_strikes (
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                category TEXT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                timestamp TEXT,
+                PRIMARY KEY (chatId, userId, category)
+            );
             CREATE TABLE IF NOT EXISTS audit_log (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 timestamp TEXT NOT NULL,
@@ -79,6 +89,7 @@ export const initializeDatabase = async (isTest = false) => {
                 userId TEXT NOT NULL,
                 logData TEXT NOT NULL
             );
+            CREATE INDEX IF NOT EXISTS idx_audit_log_message ON audit_log (chatId, JSON_EXTRACT(logData, '$.messageId'));
             CREATE TABLE IF NOT EXISTS settings (
                 chatId TEXT NOT NULL,
                 key TEXT NOT NULL,
@@ -90,105 +101,1295 @@ export const initializeDatabase = async (isTest = false) => {
                 keyword TEXT NOT NULL COLLATE NOCASE,
                 PRIMARY KEY (chatId, keyword)
             );
+            CREATE TABLE IF NOT EXISTS chat_members (
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                joinedAt TEXT NOT NULL,
+                messageCount INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (chatId, userId)
+            );
+            CREATE TABLE IF NOT EXISTS moderation_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chatId TEXT NOT NULL,
+                pattern TEXT NOT NULL,
+                isRegex INTEGER NOT NULL DEFAULT 0,
+                scope TEXT NOT NULL,
+                action TEXT NOT NULL,
+                strikeWeight INTEGER NOT NULL DEFAULT 1,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                createdAt TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS appeals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                strikeLogId INTEGER,
+                message TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                createdAt TEXT NOT NULL,
+                resolvedAt TEXT,
+                resolvedBy TEXT
+            );
+            CREATE TABLE IF NOT EXISTS reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chatId TEXT NOT NULL,
+                messageId INTEGER NOT NULL,
+                reportedUserId TEXT NOT NULL,
+                reporterId TEXT NOT NULL,
+                reason TEXT,
+                messageExcerpt TEXT,
+                reportCount INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL DEFAULT 'open',
+                resolution TEXT,
+                createdAt TEXT NOT NULL,
+                resolvedAt TEXT,
+                resolvedBy TEXT,
+                UNIQUE (chatId, messageId)
+            );
+            CREATE TABLE IF NOT EXISTS report_submissions (
+                chatId TEXT NOT NULL,
+                reportId INTEGER NOT NULL,
+                reporterId TEXT NOT NULL,
+                createdAt TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_report_submissions_reporter ON report_submissions (chatId, reporterId, createdAt);
+            CREATE TABLE IF NOT EXISTS reviews (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chatId TEXT NOT NULL,
+                messageId INTEGER NOT NULL,
+                userId TEXT NOT NULL,
+                messageExcerpt TEXT,
+                spamScore REAL NOT NULL,
+                profanityScore REAL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                label TEXT,
+                createdAt TEXT NOT NULL,
+                decidedAt TEXT,
+                decidedBy TEXT,
+                UNIQUE (chatId, messageId)
+            );
+            CREATE TABLE IF NOT EXISTS federations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                ownerId TEXT NOT NULL,
+                createdAt TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS federation_groups (
+                chatId TEXT PRIMARY KEY,
+                federationId INTEGER NOT NULL,
+                joinedAt TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS federation_bans (
+                federationId INTEGER NOT NULL,
+                userId TEXT NOT NULL,
+                reason TEXT,
+                bannedBy TEXT NOT NULL,
+                sourceChatId TEXT,
+                createdAt TEXT NOT NULL,
+                PRIMARY KEY (federationId, userId)
+            );
+            CREATE TABLE IF NOT EXISTS settings_presets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ownerId TEXT NOT NULL,
+                name TEXT NOT NULL,
+                settings TEXT NOT NULL,
+                createdAt TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS group_schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chatId TEXT NOT NULL,
+                name TEXT NOT NULL,
+                days TEXT NOT NULL,
+                startTime TEXT NOT NULL,
+                endTime TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                appliedAt TEXT,
+                revertData TEXT,
+                deletedAt TEXT,
+                createdAt TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS captcha_verifications (
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                user TEXT NOT NULL,
+                captchaType TEXT NOT NULL,
+                challenge TEXT NOT NULL,
+                messages TEXT NOT NULL,
+                createdAt TEXT NOT NULL,
+                PRIMARY KEY (chatId, userId)
+            );
+            CREATE TABLE IF NOT EXISTS impersonation_clearances (
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                nameKey TEXT NOT NULL,
+                clearedBy TEXT NOT NULL,
+                createdAt TEXT NOT NULL,
+                PRIMARY KEY (chatId, userId)
+            );
+            CREATE TABLE IF NOT EXISTS audit_reversals (
+                chatId TEXT NOT NULL,
+                logId INTEGER NOT NULL,
+                reversedBy TEXT NOT NULL,
+                createdAt TEXT NOT NULL,
+                PRIMARY KEY (chatId, logId)
+            );
+            CREATE TABLE IF NOT EXISTS strike_forgiveness (
+                chatId TEXT NOT NULL,
+                userId TEXT NOT NULL,
+                forgivenAt TEXT NOT NULL,
+                PRIMARY KEY (chatId, userId)
+            );
+            CREATE TABLE IF NOT EXISTS jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                jobKey TEXT,
+                payload TEXT NOT NULL,
+                runAt TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                maxAttempts INTEGER NOT NULL,
+                lockedUntil TEXT,
+                lastError TEXT,
+                createdAt TEXT NOT NULL
+            );
         `);
+        // Strikes added by hand used to be stored without a time and would never decay; start their clock now.
+        await db.run('UPDATE strikes SET timestamp = ? WHERE timestamp IS NULL AND count > 0', new Date().toISOString());
+
+        if (!isTest) {
+            logger.info('Database initialized successfully.');
+        }
+    } catch (error) {
+        logger.error('Database initialization failed:', error);
+        throw error; // Rethrow the error to stop the application from starting
+    }
+};
+
+/**
+ * Returns the active database connection instance.
+ * Throws an error if the database has not been initialized.
+ */
+export const getDb = () => {
+    if (!db) {
+        throw new Error('Database not initialized. Call initializeDatabase first.');
+    }
+    return db;
+};
+
+/**
+ * Injects a database connection object. Used for testing purposes.
+ * @param {object} dbConnection - The database connection object from sqlite.open().
+ */
+export const setDb = (dbConnection) => {
+    db = dbConnection;
+};
+
+// --- User Management ---
+
+export const upsertUser = (user) => {
+    if (!user || !user.id) return;
+    return getDb().run(
+        `INSERT INTO users (userId, username, firstName, lastName) VALUES (?, ?, ?, ?)
+         ON CONFLICT(userId) DO UPDATE SET
+         username = excluded.username,
+         firstName = excluded.firstName,
+         lastName = excluded.lastName`,
+        user.id.toString(), user.username, user.first_name, user.last_name
+    );
+};
+
+export const findUserByUsernameInDb = (username) => {
+    if (!username) return null;
+    return getDb().get('SELECT * FROM users WHERE username = ? COLLATE NOCASE', username);
+};
+
+
+// --- Group Management ---
+
+export const addGroup = (chatId, chatTitle) => {
+    return getDb().run('INSERT OR REPLACE INTO groups (chatId, chatTitle) VALUES (?, ?)', chatId, chatTitle);
+};
+
+export const removeGroup = (chatId) => {
+    return getDb().run('DELETE FROM groups WHERE chatId = ?', chatId);
+};
+
+export const getAllGroups = () => {
+    return getDb().all('SELECT * FROM groups');
+};
+
+export const getGroup = (chatId) => {
+    return getDb().get('SELECT * FROM groups WHERE chatId = ?', chatId);
+};
+
+
+// --- Membership Logic ---
+
+/**
+ * Records that a user joined a chat. Rejoining resets the join time and message count,
+ * so a member who leaves and comes back starts a fresh probation period.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @param {string} [joinedAt] - ISO timestamp of the join, defaults to now.
+ */
+export const recordMemberJoin = (chatId, userId, joinedAt = new Date().toISOString()) => {
+    return getDb().run(
+        `INSERT INTO chat_members (chatId, userId, joinedAt, messageCount) VALUES (?, ?, ?, 0)
+         ON CONFLICT(chatId, userId) DO UPDATE SET joinedAt = excluded.joinedAt, messageCount = 0`,
+        chatId, userId, joinedAt
+    );
+};
+
+/**
+ * Gets when a user joined a chat and how many messages they have sent since.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{joinedAt: string, messageCount: number}|undefined>} Undefined when the join was never seen.
+ */
+export const getMemberJoin = (chatId, userId) => {
+    return getDb().get('SELECT joinedAt, messageCount FROM chat_members WHERE chatId = ? AND userId = ?', chatId, userId);
+};
+
+/**
+ * Increments the number of messages a member has sent since joining.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ */
+export const incrementMemberMessageCount = (chatId, userId) => {
+    return getDb().run('UPDATE chat_members SET messageCount = messageCount + 1 WHERE chatId = ? AND userId = ?', chatId, userId);
+};
+
+/**
+ * Lists the members who joined a chat at or after a given time.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} since - ISO timestamp to compare join times against.
+ * @returns {Promise<string[]>} The user IDs of those members.
+ */
+export const getMembersJoinedSince = async (chatId, since) => {
+    const rows = await getDb().all('SELECT userId FROM chat_members WHERE chatId = ? AND joinedAt >= ?', chatId, since);
+    return rows.map(row => row.userId);
+};
+
+// --- CAPTCHA Verification Logic ---
+
+/**
+ * Parses the stored JSON columns of a pending CAPTCHA verification.
+ */
+const toCaptchaVerification = (row) => row && {
+    ...row,
+    user: JSON.parse(row.user),
+    challenge: JSON.parse(row.challenge),
+    messages: JSON.parse(row.messages)
+};
+
+/**
+ * Stores a member's pending CAPTCHA verification, replacing any earlier one in the chat,
+ * so answers and timeouts can still be matched to it after a restart.
+ * @param {object} verification
+ * @param {string} verification.chatId - The ID of the chat.
+ * @param {object} verification.user - The Telegram user object of the member.
+ * @param {string} verification.captchaType - The `CaptchaType` of the challenge.
+ * @param {{question: string, options: string[], answerIndex: number}} verification.challenge - The challenge from `createChallenge`.
+ * @param {Array<{chatId: (string|number), messageId: number}>} verification.messages - The messages to remove once it ends.
+ */
+export const saveCaptchaVerification = async ({ chatId, user, captchaType, challenge, messages }) => {
+    await getDb().run(
+        `INSERT INTO captcha_verifications (chatId, userId, user, captchaType, challenge, messages, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(chatId, userId) DO UPDATE SET user = excluded.user, captchaType = excluded.captchaType,
+             challenge = excluded.challenge, messages = excluded.messages, createdAt = excluded.createdAt`,
+        chatId, user.id.toString(), JSON.stringify(user), captchaType, JSON.stringify(challenge), JSON.stringify(messages), new Date().toISOString()
+    );
+};
+
+/**
+ * Gets a member's pending CAPTCHA verification.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<object|undefined>} The verification with its user, challenge and messages parsed, or undefined if none is pending.
+ */
+export const getCaptchaVerification = async (chatId, userId) => {
+    const row = await getDb().get('SELECT * FROM captcha_verifications WHERE chatId = ? AND userId = ?', chatId, userId);
+    return toCaptchaVerification(row);
+};
+
+/**
+ * Adds a message to remove once a pending CAPTCHA verification ends, e.g. the challenge
+ * sent in a private chat.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @param {{chatId: (string|number), messageId: number}} message - The message.
+ */
+export const addCaptchaMessage = async (chatId, userId, message) => {
+    const verification = await getCaptchaVerification(chatId, userId);
+    if (!verification) return;
+    await getDb().run(
+        'UPDATE captcha_verifications SET messages = ? WHERE chatId = ? AND userId = ?',
+        JSON.stringify([...verification.messages, message]), chatId, userId
+    );
+};
+
+/**
+ * Removes a pending CAPTCHA verification once it ends.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<boolean>} True if it was still pending, so only the first of an answer and a timeout ends it.
+ */
+export const deleteCaptchaVerification = async (chatId, userId) => {
+    const result = await getDb().run('DELETE FROM captcha_verifications WHERE chatId = ? AND userId = ?', chatId, userId);
+    return result.changes > 0;
+};
+
+// --- Keyword Whitelist Logic ---
+
+export const addWhitelistKeyword = (chatId, keyword) => {
+    return getDb().run('INSERT OR IGNORE INTO keyword_whitelist (chatId, keyword) VALUES (?, ?)', chatId, keyword);
+};
+
+export const removeWhitelistKeyword = (chatId, keyword) => {
+    return getDb().run('DELETE FROM keyword_whitelist WHERE chatId = ? AND keyword = ?', chatId, keyword);
+};
+
+export const getWhitelistKeywords = async (chatId) => {
+    const rows = await getDb().all('SELECT keyword FROM keyword_whitelist WHERE chatId = ?', chatId);
+    return rows.map(row => row.keyword);
+};
+
+
+// --- Moderation Rules Logic ---
+
+// Fields of a rule that can be changed after it is created.
+const RULE_FIELDS = ['pattern', 'isRegex', 'scope', 'action', 'strikeWeight', 'enabled'];
+
+/**
+ * Converts a `moderation_rules` row into a rule object with real booleans.
+ * @param {object} row - The database row.
+ * @returns {object} The rule.
+ */
+const toRule = (row) => ({ ...row, isRegex: Boolean(row.isRegex), enabled: Boolean(row.enabled) });
+
+/**
+ * Lists a group's custom moderation rules, oldest first (the order they are evaluated in).
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} [options]
+ * @param {boolean} [options.enabledOnly=false] - Only return enabled rules.
+ * @returns {Promise<object[]>} The rules.
+ */
+export const getModerationRules = async (chatId, { enabledOnly = false } = {}) => {
+    const rows = await getDb().all(
+        `SELECT * FROM moderation_rules WHERE chatId = ?${enabledOnly ? ' AND enabled = 1' : ''} ORDER BY id`,
+        chatId
+    );
+    return rows.map(toRule);
+};
+
+/**
+ * Gets a single moderation rule of a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} ruleId - The ID of the rule.
+ * @returns {Promise<object|undefined>} The rule, or undefined if the group has no such rule.
+ */
+export const getModerationRule = async (chatId, ruleId) => {
+    const row = await getDb().get('SELECT * FROM moderation_rules WHERE chatId = ? AND id = ?', chatId, ruleId);
+    return row ? toRule(row) : undefined;
+};
+
+/**
+ * Adds a moderation rule to a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} rule - The rule (`pattern`, `isRegex`, `scope`, `action`, `strikeWeight`, `enabled`).
+ * @returns {Promise<object>} The stored rule, including its new ID.
+ */
+export const addModerationRule = async (chatId, { pattern, isRegex = false, scope, action, strikeWeight = 1, enabled = true }) => {
+    const result = await getDb().run(
+        `INSERT INTO moderation_rules (chatId, pattern, isRegex, scope, action, strikeWeight, enabled, createdAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        chatId, pattern, isRegex ? 1 : 0, scope, action, strikeWeight, enabled ? 1 : 0, new Date().toISOString()
+    );
+    return getModerationRule(chatId, result.lastID);
+};
+
+/**
+ * Changes some fields of a group's moderation rule. Unknown fields are ignored.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} ruleId - The ID of the rule.
+ * @param {object} changes - The fields to change.
+ * @returns {Promise<object|undefined>} The updated rule, or undefined if the group has no such rule.
+ */
+export const updateModerationRule = async (chatId, ruleId, changes) => {
+    const fields = RULE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+        const values = fields.map(field => (typeof changes[field] === 'boolean' ? (changes[field] ? 1 : 0) : changes[field]));
+        await getDb().run(
+            `UPDATE moderation_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE chatId = ? AND id = ?`,
+            ...values, chatId, ruleId
+        );
+    }
+    return getModerationRule(chatId, ruleId);
+};
+
+/**
+ * Deletes a group's moderation rule.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} ruleId - The ID of the rule.
+ * @returns {Promise<boolean>} True if a rule was deleted.
+ */
+export const deleteModerationRule = async (chatId, ruleId) => {
+    const result = await getDb().run('DELETE FROM moderation_rules WHERE chatId = ? AND id = ?', chatId, ruleId);
+    return result.changes > 0;
+};
+
+/**
+ * Replaces all of a group's moderation rules, e.g. when a configuration is imported.
+ * Either every rule is replaced or, if one cannot be stored, none are.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object[]} rules - The new rules (`pattern`, `isRegex`, `scope`, `action`, `strikeWeight`, `enabled`).
+ */
+export const replaceModerationRules = async (chatId, rules) => {
+    const dbInstance = getDb();
+    await dbInstance.run('BEGIN TRANSACTION');
+    try {
+        await dbInstance.run('DELETE FROM moderation_rules WHERE chatId = ?', chatId);
+        const createdAt = new Date().toISOString();
+        for (const { pattern, isRegex = false, scope, action, strikeWeight = 1, enabled = true } of rules) {
+            await dbInstance.run(
+                `INSERT INTO moderation_rules (chatId, pattern, isRegex, scope, action, strikeWeight, enabled, createdAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                chatId, pattern, isRegex ? 1 : 0, scope, action, strikeWeight, enabled ? 1 : 0, createdAt
+            );
+        }
+        await dbInstance.run('COMMIT');
+    } catch (error) {
+        await dbInstance.run('ROLLBACK');
+        logger.error('Failed to replace moderation rules:', error);
+        throw error;
+    }
+};
+
+
+// --- Appeals Logic ---
+
+/**
+ * Records a member's appeal against a strike.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member appealing.
+ * @param {object} appeal
+ * @param {number|null} appeal.strikeLogId - The audit log ID of the strike being appealed.
+ * @param {string} appeal.message - The member's explanation.
+ * @returns {Promise<object>} The stored appeal, including its new ID.
+ */
+export const createAppeal = async (chatId, userId, { strikeLogId, message }) => {
+    const result = await getDb().run(
+        'INSERT INTO appeals (chatId, userId, strikeLogId, message, status, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+        chatId, userId, strikeLogId, message, 'pending', new Date().toISOString()
+    );
+    return getAppeal(chatId, result.lastID);
+};
+
+/**
+ * Gets a single appeal of a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} appealId - The ID of the appeal.
+ * @returns {Promise<object|undefined>} The appeal, or undefined if the group has no such appeal.
+ */
+export const getAppeal = (chatId, appealId) => {
+    return getDb().get('SELECT * FROM appeals WHERE chatId = ? AND id = ?', chatId, appealId);
+};
+
+/**
+ * Lists a group's appeals, newest first, with the appealing member's name where known.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} [options]
+ * @param {string} [options.status] - Only return appeals with this `AppealStatus`.
+ * @returns {Promise<object[]>} The appeals.
+ */
+export const getAppeals = (chatId, { status } = {}) => {
+    return getDb().all(
+        `SELECT appeals.*, users.firstName, users.username FROM appeals
+         LEFT JOIN users ON users.userId = appeals.userId
+         WHERE appeals.chatId = ?${status ? ' AND appeals.status = ?' : ''} ORDER BY appeals.id DESC`,
+        ...[chatId, status].filter(Boolean)
+    );
+};
+
+/**
+ * Gets the appeal made against a strike, whatever its status.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} strikeLogId - The audit log ID of the strike.
+ * @returns {Promise<object|undefined>} The appeal.
+ */
+export const getAppealByStrike = (chatId, strikeLogId) => {
+    return getDb().get('SELECT * FROM appeals WHERE chatId = ? AND strikeLogId = ?', chatId, strikeLogId);
+};
+
+/**
+ * Decides a pending appeal. Appeals that were already decided are left unchanged.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} appealId - The ID of the appeal.
+ * @param {string} status - The new `AppealStatus` (approved or rejected).
+ * @param {string} resolvedBy - The ID of the admin who decided.
+ * @returns {Promise<boolean>} True if the appeal was pending and is now decided.
+ */
+export const resolveAppealStatus = async (chatId, appealId, status, resolvedBy) => {
+    const result = await getDb().run(
+        "UPDATE appeals SET status = ?, resolvedAt = ?, resolvedBy = ? WHERE chatId = ? AND id = ? AND status = 'pending'",
+        status, new Date().toISOString(), resolvedBy, chatId, appealId
+    );
+    return result.changes > 0;
+};
+
+
+// --- Reports Logic ---
+
+/**
+ * Records a member's report of a message. A message can only be reported once; see `addReportToExisting`.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} report
+ * @param {number} report.messageId - The ID of the reported message.
+ * @param {string} report.reportedUserId - The ID of the message's author.
+ * @param {string} report.reporterId - The ID of the member reporting it.
+ * @param {string|null} report.reason - The reason the member gave, if any.
+ * @param {string|null} report.messageExcerpt - The start of the reported message.
+ * @returns {Promise<object>} The stored report, including its new ID.
+ */
+export const createReport = async (chatId, { messageId, reportedUserId, reporterId, reason, messageExcerpt }) => {
+    const createdAt = new Date().toISOString();
+    const result = await getDb().run(
+        'INSERT INTO reports (chatId, messageId, reportedUserId, reporterId, reason, messageExcerpt, status, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        chatId, messageId, reportedUserId, reporterId, reason, messageExcerpt, 'open', createdAt
+    );
+    await getDb().run('INSERT INTO report_submissions (chatId, reportId, reporterId, createdAt) VALUES (?, ?, ?, ?)', chatId, result.lastID, reporterId, createdAt);
+    return getReport(chatId, result.lastID);
+};
+
+/**
+ * Gets a single report of a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} reportId - The ID of the report.
+ * @returns {Promise<object|undefined>} The report, or undefined if the group has no such report.
+ */
+export const getReport = (chatId, reportId) => {
+    return getDb().get('SELECT * FROM reports WHERE chatId = ? AND id = ?', chatId, reportId);
+};
+
+/**
+ * Gets the report of a message, whatever its status.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} messageId - The ID of the reported message.
+ * @returns {Promise<object|undefined>} The report.
+ */
+export const getReportByMessage = (chatId, messageId) => {
+    return getDb().get('SELECT * FROM reports WHERE chatId = ? AND messageId = ?', chatId, messageId);
+};
+
+/**
+ * Counts another member's report of a message that was already reported.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} reportId - The ID of the existing report.
+ * @param {string} reporterId - The ID of the member reporting it again.
+ * @returns {Promise<void>}
+ */
+export const addReportToExisting = async (chatId, reportId, reporterId) => {
+    await getDb().run('UPDATE reports SET reportCount = reportCount + 1 WHERE chatId = ? AND id = ?', chatId, reportId);
+    await getDb().run('INSERT INTO report_submissions (chatId, reportId, reporterId, createdAt) VALUES (?, ?, ?, ?)', chatId, reportId, reporterId, new Date().toISOString());
+};
+
+/**
+ * Gets when a member last reported a message in a chat, whether as a new report or a repeat.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} reporterId - The ID of the member.
+ * @returns {Promise<string|null>} The ISO timestamp of their latest report, or null if they never reported.
+ */
+export const getLastReportTime = async (chatId, reporterId) => {
+    const row = await getDb().get('SELECT MAX(createdAt) as createdAt FROM report_submissions WHERE chatId = ? AND reporterId = ?', chatId, reporterId);
+    return row?.createdAt || null;
+};
+
+/**
+ * Lists a group's reports, newest first, with the reported member's name where known.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} [options]
+ * @param {string} [options.status] - Only return reports with this `ReportStatus`.
+ * @returns {Promise<object[]>} The reports.
+ */
+export const getReports = (chatId, { status } = {}) => {
+    return getDb().all(
+        `SELECT reports.*, users.firstName, users.username FROM reports
+         LEFT JOIN users ON users.userId = reports.reportedUserId
+         WHERE reports.chatId = ?${status ? ' AND reports.status = ?' : ''} ORDER BY reports.id DESC`,
+        ...[chatId, status].filter(Boolean)
+    );
+};
+
+/**
+ * Counts how many of a member's messages were reported in a chat.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<number>} The number of reported messages.
+ */
+export const countUserReports = async (chatId, userId) => {
+    const row = await getDb().get('SELECT COUNT(*) as count FROM reports WHERE chatId = ? AND reportedUserId = ?', chatId, userId);
+    return row?.count || 0;
+};
+
+/**
+ * Lists the members whose messages were reported most often in a chat.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} [limit=10] - The maximum number of members to return.
+ * @returns {Promise<object[]>} Rows of `{ userId, firstName, username, reports, openReports }`, most reported first.
+ */
+export const getMostReportedUsers = (chatId, limit = 10) => {
+    return getDb().all(
+        `SELECT reports.reportedUserId as userId, users.firstName, users.username,
+                COUNT(*) as reports, SUM(CASE WHEN reports.status = 'open' THEN 1 ELSE 0 END) as openReports
+         FROM reports LEFT JOIN users ON users.userId = reports.reportedUserId
+         WHERE reports.chatId = ? GROUP BY reports.reportedUserId ORDER BY reports DESC LIMIT ?`,
+        chatId, limit
+    );
+};
+
+/**
+ * Closes an open report. Reports that were already closed are left unchanged.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} reportId - The ID of the report.
+ * @param {string} status - The new `ReportStatus` (resolved or dismissed).
+ * @param {string} resolution - The `ReportAction` the admin took.
+ * @param {string} resolvedBy - The ID of the admin who acted.
+ * @returns {Promise<boolean>} True if the report was open and is now closed.
+ */
+export const resolveReport = async (chatId, reportId, status, resolution, resolvedBy) => {
+    const result = await getDb().run(
+        "UPDATE reports SET status = ?, resolution = ?, resolvedAt = ?, resolvedBy = ? WHERE chatId = ? AND id = ? AND status = 'open'",
+        status, resolution, new Date().toISOString(), resolvedBy, chatId, reportId
+    );
+    return result.changes > 0;
+};
+
+
+// --- Review Queue Logic ---
+
+/**
+ * Queues a message whose spam score fell in the group's review band. A message is only
+ * queued once, so an edit of a queued message does not queue it again.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} review
+ * @param {number} review.messageId - The ID of the message.
+ * @param {string} review.userId - The ID of the message's author.
+ * @param {string} review.messageExcerpt - The start of the message.
+ * @param {number} review.spamScore - The message's spam score.
+ * @param {number} [review.profanityScore] - The message's profanity score.
+ * @returns {Promise<object|null>} The new review, or null if the message was already queued.
+ */
+export const createReview = async (chatId, { messageId, userId, messageExcerpt, spamScore, profanityScore = null }) => {
+    const result = await getDb().run(
+        'INSERT OR IGNORE INTO reviews (chatId, messageId, userId, messageExcerpt, spamScore, profanityScore, status, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        chatId, messageId, userId, messageExcerpt, spamScore, profanityScore, 'pending', new Date().toISOString()
+    );
+    return result.changes > 0 ? getReview(chatId, result.lastID) : null;
+};
+
+/**
+ * Gets a single review of a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} reviewId - The ID of the review.
+ * @returns {Promise<object|undefined>} The review, or undefined if the group has no such review.
+ */
+export const getReview = (chatId, reviewId) => {
+    return getDb().get('SELECT * FROM reviews WHERE chatId = ? AND id = ?', chatId, reviewId);
+};
+
+/**
+ * Lists a group's reviews, newest first, with the author's name where known.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} [options]
+ * @param {string} [options.status] - Only return reviews with this `ReviewStatus`.
+ * @returns {Promise<object[]>} The reviews.
+ */
+export const getReviews = (chatId, { status } = {}) => {
+    return getDb().all(
+        `SELECT reviews.*, users.firstName, users.username FROM reviews
+         LEFT JOIN users ON users.userId = reviews.userId
+         WHERE reviews.chatId = ?${status ? ' AND reviews.status = ?' : ''} ORDER BY reviews.id DESC`,
+        ...[chatId, status].filter(Boolean)
+    );
+};
+
+/**
+ * Records an admin's decision on a pending review, with the label it gives the message.
+ * Reviews that were already decided are left unchanged.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} reviewId - The ID of the review.
+ * @param {string} status - The new `ReviewStatus` (approved or removed).
+ * @param {string} label - The `ReviewLabel` the decision gives the message.
+ * @param {string} decidedBy - The ID of the admin who decided.
+ * @returns {Promise<boolean>} True if the review was pending and is now decided.
+ */
+export const decideReviewStatus = async (chatId, reviewId, status, label, decidedBy) => {
+    const result = await getDb().run(
+        "UPDATE reviews SET status = ?, label = ?, decidedAt = ?, decidedBy = ? WHERE chatId = ? AND id = ? AND status = 'pending'",
+        status, label, new Date().toISOString(), decidedBy, chatId, reviewId
+    );
+    return result.changes > 0;
+};
+
+
+// --- Federation Logic ---
+
+/**
+ * Creates a federation, a set of groups that share one ban list.
+ * @param {string} name - The name of the federation.
+ * @param {string} ownerId - The ID of the user who owns it.
+ * @returns {Promise<object>} The new federation.
+ */
+export const createFederation = async (name, ownerId) => {
+    const result = await getDb().run(
+        'INSERT INTO federations (name, ownerId, createdAt) VALUES (?, ?, ?)',
+        name, ownerId, new Date().toISOString()
+    );
+    return getFederation(result.lastID);
+};
+
+/**
+ * Gets a federation by its ID.
+ * @param {number} federationId - The ID of the federation.
+ * @returns {Promise<object|undefined>} The federation, or undefined if there is none.
+ */
+export const getFederation = (federationId) => {
+    return getDb().get('SELECT * FROM federations WHERE id = ?', federationId);
+};
+
+/**
+ * Gets the federation a group belongs to.
+ * @param {string} chatId - The ID of the chat.
+ * @returns {Promise<object|undefined>} The federation, or undefined if the group is in none.
+ */
+export const getGroupFederation = (chatId) => {
+    return getDb().get(
+        `SELECT federations.* FROM federations
+         JOIN federation_groups ON federation_groups.federationId = federations.id
+         WHERE federation_groups.chatId = ?`,
+        chatId
+    );
+};
+
+/**
+ * Adds a group to a federation. A group belongs to one federation at a time, so it leaves
+ * any other federation it was in.
+ * @param {number} federationId - The ID of the federation.
+ * @param {string} chatId - The ID of the chat.
+ */
+export const joinFederation = (federationId, chatId) => {
+    return getDb().run(
+        'INSERT OR REPLACE INTO federation_groups (chatId, federationId, joinedAt) VALUES (?, ?, ?)',
+        chatId, federationId, new Date().toISOString()
+    );
+};
+
+/**
+ * Removes a group from its federation.
+ * @param {string} chatId - The ID of the chat.
+ * @returns {Promise<boolean>} True if the group was in a federation.
+ */
+export const leaveFederation = async (chatId) => {
+    const result = await getDb().run('DELETE FROM federation_groups WHERE chatId = ?', chatId);
+    return result.changes > 0;
+};
+
+/**
+ * Lists the groups in a federation, with their titles where known.
+ * @param {number} federationId - The ID of the federation.
+ * @returns {Promise<Array<{chatId: string, chatTitle: string|null, joinedAt: string}>>} The member groups.
+ */
+export const getFederationGroups = (federationId) => {
+    return getDb().all(
+        `SELECT federation_groups.chatId, groups.chatTitle, federation_groups.joinedAt FROM federation_groups
+         LEFT JOIN groups ON groups.chatId = federation_groups.chatId
+         WHERE federation_groups.federationId = ? ORDER BY federation_groups.joinedAt`,
+        federationId
+    );
+};
+
+/**
+ * Adds a user to a federation's ban list, or updates the reason if they are already on it.
+ * @param {number} federationId - The ID of the federation.
+ * @param {string} userId - The ID of the banned user.
+ * @param {object} ban
+ * @param {string} ban.reason - Why the user was banned.
+ * @param {string} ban.bannedBy - The ID of the admin who banned them.
+ * @param {string} ban.sourceChatId - The ID of the group the ban was issued in.
+ */
+export const addFederationBan = (federationId, userId, { reason, bannedBy, sourceChatId }) => {
+    return getDb().run(
+        'INSERT OR REPLACE INTO federation_bans (federationId, userId, reason, bannedBy, sourceChatId, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+        federationId, userId, reason, bannedBy, sourceChatId, new Date().toISOString()
+    );
+};
+
+/**
+ * Removes a user from a federation's ban list.
+ * @param {number} federationId - The ID of the federation.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} True if the user was banned.
+ */
+export const removeFederationBan = async (federationId, userId) => {
+    const result = await getDb().run('DELETE FROM federation_bans WHERE federationId = ? AND userId = ?', federationId, userId);
+    return result.changes > 0;
+};
+
+/**
+ * Gets the ban that keeps a user out of a group through the group's federation.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object|undefined>} The ban with the federation's `federationName`, or undefined if there is none.
+ */
+export const getFederationBan = (chatId, userId) => {
+    return getDb().get(
+        `SELECT federation_bans.*, federations.name AS federationName FROM federation_bans
+         JOIN federation_groups ON federation_groups.federationId = federation_bans.federationId
+         JOIN federations ON federations.id = federation_bans.federationId
+         WHERE federation_groups.chatId = ? AND federation_bans.userId = ?`,
+        chatId, userId
+    );
+};
 
-        if (!isTest) {
-            logger.info('Database initialized successfully.');
-        }
-    } catch (error) {
-        logger.error('Database initialization failed:', error);
-        throw error; // Rethrow the error to stop the application from starting
-    }
+/**
+ * Lists a federation's ban list, newest first, with the banned users' names where known.
+ * @param {number} federationId - The ID of the federation.
+ * @returns {Promise<object[]>} The bans.
+ */
+export const getFederationBans = (federationId) => {
+    return getDb().all(
+        `SELECT federation_bans.*, users.firstName, users.username FROM federation_bans
+         LEFT JOIN users ON users.userId = federation_bans.userId
+         WHERE federation_bans.federationId = ? ORDER BY federation_bans.createdAt DESC`,
+        federationId
+    );
 };
 
+
+// --- Settings Presets Logic ---
+
 /**
- * Returns the active database connection instance.
- * Throws an error if the database has not been initialized.
+ * Parses the stored settings of a preset row.
+ * @param {object|undefined} row - The row from `settings_presets`.
+ * @returns {object|undefined} The preset with `settings` as an object.
  */
-export const getDb = () => {
-    if (!db) {
-        throw new Error('Database not initialized. Call initializeDatabase first.');
-    }
-    return db;
+const toSettingsPreset = (row) => row && { ...row, settings: JSON.parse(row.settings) };
+
+/**
+ * Saves a preset of settings an admin can apply to any group they manage.
+ * @param {string} ownerId - The ID of the admin who owns the preset.
+ * @param {string} name - The name of the preset.
+ * @param {object} settings - The settings it applies.
+ * @returns {Promise<object>} The new preset.
+ */
+export const addSettingsPreset = async (ownerId, name, settings) => {
+    const result = await getDb().run(
+        'INSERT INTO settings_presets (ownerId, name, settings, createdAt) VALUES (?, ?, ?, ?)',
+        ownerId, name, JSON.stringify(settings), new Date().toISOString()
+    );
+    return getSettingsPreset(ownerId, result.lastID);
 };
 
 /**
- * Injects a database connection object. Used for testing purposes.
- * @param {object} dbConnection - The database connection object from sqlite.open().
+ * Gets one of an admin's presets.
+ * @param {string} ownerId - The ID of the admin.
+ * @param {number} presetId - The ID of the preset.
+ * @returns {Promise<object|undefined>} The preset, or undefined if the admin has no such preset.
  */
-export const setDb = (dbConnection) => {
-    db = dbConnection;
+export const getSettingsPreset = async (ownerId, presetId) => {
+    const row = await getDb().get('SELECT * FROM settings_presets WHERE ownerId = ? AND id = ?', ownerId, presetId);
+    return toSettingsPreset(row);
 };
 
-// --- User Management ---
+/**
+ * Gets an admin's presets, oldest first.
+ * @param {string} ownerId - The ID of the admin.
+ * @returns {Promise<object[]>} The presets.
+ */
+export const getSettingsPresets = async (ownerId) => {
+    const rows = await getDb().all('SELECT * FROM settings_presets WHERE ownerId = ? ORDER BY id', ownerId);
+    return rows.map(toSettingsPreset);
+};
 
-export const upsertUser = (user) => {
-    if (!user || !user.id) return;
-    return getDb().run(
-        `INSERT INTO users (userId, username, firstName, lastName) VALUES (?, ?, ?, ?)
-         ON CONFLICT(userId) DO UPDATE SET
-         username = excluded.username,
-         firstName = excluded.firstName,
-         lastName = excluded.lastName`,
-        user.id.toString(), user.username, user.first_name, user.last_name
+/**
+ * Deletes one of an admin's presets.
+ * @param {string} ownerId - The ID of the admin.
+ * @param {number} presetId - The ID of the preset.
+ * @returns {Promise<boolean>} True if a preset was deleted.
+ */
+export const deleteSettingsPreset = async (ownerId, presetId) => {
+    const result = await getDb().run('DELETE FROM settings_presets WHERE ownerId = ? AND id = ?', ownerId, presetId);
+    return result.changes > 0;
+};
+
+
+// --- Group Schedules Logic ---
+
+// Fields of a schedule entry that can be changed after it is created.
+const SCHEDULE_FIELDS = ['name', 'days', 'startTime', 'endTime', 'kind', 'payload', 'enabled'];
+
+/**
+ * Converts a `group_schedules` row into a schedule entry with parsed lists and real booleans.
+ * @param {object|undefined} row - The database row.
+ * @returns {object|undefined} The entry.
+ */
+const toSchedule = (row) => row && {
+    ...row,
+    days: JSON.parse(row.days),
+    payload: JSON.parse(row.payload),
+    enabled: Boolean(row.enabled),
+    revertData: row.revertData ? JSON.parse(row.revertData) : null
+};
+
+/**
+ * Lists a group's schedule entries, oldest first. Deleted entries the scheduler still
+ * has to revert are left out.
+ * @param {string} chatId - The ID of the chat.
+ * @returns {Promise<object[]>} The entries.
+ */
+export const getSchedules = async (chatId) => {
+    const rows = await getDb().all('SELECT * FROM group_schedules WHERE chatId = ? AND deletedAt IS NULL ORDER BY id', chatId);
+    return rows.map(toSchedule);
+};
+
+/**
+ * Gets a single schedule entry of a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} scheduleId - The ID of the entry.
+ * @returns {Promise<object|undefined>} The entry, or undefined if the group has no such entry.
+ */
+export const getSchedule = async (chatId, scheduleId) => {
+    const row = await getDb().get('SELECT * FROM group_schedules WHERE chatId = ? AND id = ? AND deletedAt IS NULL', chatId, scheduleId);
+    return toSchedule(row);
+};
+
+/**
+ * Adds a schedule entry to a group.
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} schedule - The entry (`name`, `days`, `startTime`, `endTime`, `kind`, `payload`, `enabled`).
+ * @returns {Promise<object>} The stored entry, including its new ID.
+ */
+export const addSchedule = async (chatId, { name, days = [], startTime, endTime, kind, payload, enabled = true }) => {
+    const result = await getDb().run(
+        `INSERT INTO group_schedules (chatId, name, days, startTime, endTime, kind, payload, enabled, createdAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        chatId, name, JSON.stringify(days), startTime, endTime, kind, JSON.stringify(payload), enabled ? 1 : 0, new Date().toISOString()
     );
+    return getSchedule(chatId, result.lastID);
 };
 
-export const findUserByUsernameInDb = (username) => {
-    if (!username) return null;
-    return getDb().get('SELECT * FROM users WHERE username = ? COLLATE NOCASE', username);
+/**
+ * Changes some fields of a group's schedule entry. Unknown fields are ignored.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} scheduleId - The ID of the entry.
+ * @param {object} changes - The fields to change.
+ * @returns {Promise<object|undefined>} The updated entry, or undefined if the group has no such entry.
+ */
+export const updateSchedule = async (chatId, scheduleId, changes) => {
+    const fields = SCHEDULE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+        const values = fields.map(field => {
+            const value = changes[field];
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            return typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+        await getDb().run(
+            `UPDATE group_schedules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE chatId = ? AND id = ? AND deletedAt IS NULL`,
+            ...values, chatId, scheduleId
+        );
+    }
+    return getSchedule(chatId, scheduleId);
 };
 
+/**
+ * Deletes a group's schedule entry. An entry that is currently applied is only disabled and
+ * marked as deleted, so the scheduler can still revert it; it is removed once reverted.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} scheduleId - The ID of the entry.
+ * @returns {Promise<boolean>} True if an entry was deleted.
+ */
+export const deleteSchedule = async (chatId, scheduleId) => {
+    const dbInstance = getDb();
+    const marked = await dbInstance.run(
+        'UPDATE group_schedules SET enabled = 0, deletedAt = ? WHERE chatId = ? AND id = ? AND deletedAt IS NULL AND appliedAt IS NOT NULL',
+        new Date().toISOString(), chatId, scheduleId
+    );
+    if (marked.changes > 0) return true;
+    const result = await dbInstance.run('DELETE FROM group_schedules WHERE chatId = ? AND id = ? AND deletedAt IS NULL', chatId, scheduleId);
+    return result.changes > 0;
+};
 
-// --- Group Management ---
+/**
+ * Lists the schedule entries the scheduler has to look at across all groups: enabled
+ * entries, and entries that are still applied although they were disabled or deleted.
+ * @returns {Promise<object[]>} The entries, grouped by chat and oldest first.
+ */
+export const getPendingSchedules = async () => {
+    const rows = await getDb().all(
+        `SELECT * FROM group_schedules
+         WHERE (enabled = 1 AND deletedAt IS NULL) OR appliedAt IS NOT NULL
+         ORDER BY chatId, id`
+    );
+    return rows.map(toSchedule);
+};
 
-export const addGroup = (chatId, chatTitle) => {
-    return getDb().run('INSERT OR REPLACE INTO groups (chatId, chatTitle) VALUES (?, ?)', chatId, chatTitle);
+/**
+ * Records that the scheduler applied a schedule entry.
+ * @param {number} scheduleId - The ID of the entry.
+ * @param {object} revertData - What the scheduler needs to revert it (`kind`, `payload`, `previous`).
+ * @param {string} [appliedAt=new Date().toISOString()] - When it was applied.
+ */
+export const markScheduleApplied = async (scheduleId, revertData, appliedAt = new Date().toISOString()) => {
+    await getDb().run('UPDATE group_schedules SET appliedAt = ?, revertData = ? WHERE id = ?', appliedAt, JSON.stringify(revertData), scheduleId);
 };
 
-export const removeGroup = (chatId) => {
-    return getDb().run('DELETE FROM groups WHERE chatId = ?', chatId);
+/**
+ * Records that the scheduler reverted a schedule entry, removing it if it was deleted meanwhile.
+ * @param {number} scheduleId - The ID of the entry.
+ */
+export const markScheduleReverted = async (scheduleId) => {
+    const dbInstance = getDb();
+    await dbInstance.run('DELETE FROM group_schedules WHERE id = ? AND deletedAt IS NOT NULL', scheduleId);
+    await dbInstance.run('UPDATE group_schedules SET appliedAt = NULL, revertData = NULL WHERE id = ?', scheduleId);
 };
 
-export const getAllGroups = () => {
-    return getDb().all('SELECT * FROM groups');
+
+// --- Impersonation Clearance Logic ---
+
+/**
+ * Records that an admin found a member flagged as an impersonator to be genuine. The
+ * clearance only holds while the member keeps the names they had, so a later rename to
+ * an admin's name is caught again.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @param {string} nameKey - The key of the member's names when they were cleared, from `getNameKey`.
+ * @param {string} clearedBy - The ID of the admin.
+ */
+export const clearImpersonation = async (chatId, userId, nameKey, clearedBy) => {
+    await getDb().run(
+        `INSERT INTO impersonation_clearances (chatId, userId, nameKey, clearedBy, createdAt) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(chatId, userId) DO UPDATE SET nameKey = excluded.nameKey, clearedBy = excluded.clearedBy, createdAt = excluded.createdAt`,
+        chatId, userId, nameKey, clearedBy, new Date().toISOString()
+    );
 };
 
-export const getGroup = (chatId) => {
-    return getDb().get('SELECT * FROM groups WHERE chatId = ?', chatId);
+/**
+ * Checks whether a member was cleared of impersonation under their current names.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @param {string} nameKey - The key of the member's current names, from `getNameKey`.
+ * @returns {Promise<boolean>} True if an admin cleared the member with these names.
+ */
+export const isImpersonationCleared = async (chatId, userId, nameKey) => {
+    const row = await getDb().get('SELECT 1 FROM impersonation_clearances WHERE chatId = ? AND userId = ? AND nameKey = ?', chatId, userId, nameKey);
+    return Boolean(row);
 };
 
+/**
+ * Checks whether a member is restricted as an impersonator and no admin has decided on
+ * the alert yet.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @returns {Promise<boolean>} True if the member has an impersonation restriction that was neither cleared nor turned into a ban.
+ */
+export const hasOpenImpersonation = async (chatId, userId) => {
+    const row = await getDb().get(
+        `SELECT 1 FROM audit_log a
+         WHERE a.chatId = ? AND a.userId = ? AND JSON_EXTRACT(a.logData, '$.type') = 'IMPERSONATION'
+           AND NOT EXISTS (SELECT 1 FROM audit_reversals r WHERE r.chatId = a.chatId AND r.logId = a.id)
+         LIMIT 1`,
+        chatId, userId
+    );
+    return Boolean(row);
+};
 
-// --- Keyword Whitelist Logic ---
+// --- Strike Decay Logic ---
 
-export const addWhitelistKeyword = (chatId, keyword) => {
-    return getDb().run('INSERT OR IGNORE INTO keyword_whitelist (chatId, keyword) VALUES (?, ?)', chatId, keyword);
+/**
+ * Lists every member who holds strikes, for the strike decay job.
+ * @returns {Promise<Array<{chatId: string, chatTitle: string|null, userId: string, firstName: string|null, username: string|null, count: number, timestamp: string|null, forgivenAt: string|null}>>}
+ *   The members ordered by group, with the time of their latest strike and of their latest good behavior forgiveness.
+ */
+export const getStrikeHolders = () => {
+    return getDb().all(
+        `SELECT s.chatId, g.chatTitle, s.userId, u.firstName, u.username, s.count, s.timestamp, f.forgivenAt FROM strikes s
+         LEFT JOIN groups g ON g.chatId = s.chatId
+         LEFT JOIN users u ON u.userId = s.userId
+         LEFT JOIN strike_forgiveness f ON f.chatId = s.chatId AND f.userId = s.userId
+         WHERE s.count > 0
+         ORDER BY s.chatId, s.userId`
+    );
 };
 
-export const removeWhitelistKeyword = (chatId, keyword) => {
-    return getDb().run('DELETE FROM keyword_whitelist WHERE chatId = ? AND keyword = ?', chatId, keyword);
+/**
+ * Records when a member was last forgiven a strike for good behavior, so the next one is
+ * only forgiven after another full period without strikes.
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the member.
+ * @param {string} forgivenAt - The time of the forgiveness as an ISO string.
+ */
+export const markStrikeForgiven = async (chatId, userId, forgivenAt) => {
+    await getDb().run(
+        `INSERT INTO strike_forgiveness (chatId, userId, forgivenAt) VALUES (?, ?, ?)
+         ON CONFLICT(chatId, userId) DO UPDATE SET forgivenAt = excluded.forgivenAt`,
+        chatId, userId, forgivenAt
+    );
 };
 
-export const getWhitelistKeywords = async (chatId) => {
-    const rows = await getDb().all('SELECT keyword FROM keyword_whitelist WHERE chatId = ?', chatId);
-    return rows.map(row => row.keyword);
+// --- Job Queue Logic ---
+
+/**
+ * Parses the stored payload of a job row.
+ */
+const toJob = (row) => ({ ...row, payload: JSON.parse(row.payload) });
+
+/**
+ * Stores a job to run at a later time. See `jobQueue.js`.
+ * @param {object} job
+ * @param {string} job.type - What to do, a `JobType`.
+ * @param {object} job.payload - The data the job's handler needs.
+ * @param {string} job.runAt - When to run the job, as an ISO string.
+ * @param {number} job.maxAttempts - How often the job is tried before it is dropped.
+ * @param {string} [job.jobKey] - Identifies the job for `cancelJobs`, e.g. `chatId:userId`.
+ * @returns {Promise<number>} The ID of the new job.
+ */
+export const addJob = async ({ type, payload, runAt, maxAttempts, jobKey = null }) => {
+    const result = await getDb().run(
+        'INSERT INTO jobs (type, jobKey, payload, runAt, maxAttempts, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+        type, jobKey, JSON.stringify(payload), runAt, maxAttempts, new Date().toISOString()
+    );
+    return result.lastID;
+};
+
+/**
+ * Claims the jobs that are due and not claimed by a run still in progress. Each claim counts
+ * as an attempt and holds until `lockedUntil`, after which the job is due again unless it
+ * was completed or rescheduled meanwhile.
+ * @param {string} now - The current time as an ISO string.
+ * @param {string} lockedUntil - When the claim runs out, as an ISO string.
+ * @param {number} limit - The most jobs to claim.
+ * @returns {Promise<object[]>} The claimed jobs, oldest due first, with their payloads parsed.
+ */
+export const claimDueJobs = async (now, lockedUntil, limit) => {
+    const rows = await getDb().all(
+        'SELECT * FROM jobs WHERE runAt <= ? AND (lockedUntil IS NULL OR lockedUntil <= ?) ORDER BY runAt, id LIMIT ?',
+        now, now, limit
+    );
+    const claimed = [];
+    for (const row of rows) {
+        const result = await getDb().run(
+            'UPDATE jobs SET lockedUntil = ?, attempts = attempts + 1 WHERE id = ? AND (lockedUntil IS NULL OR lockedUntil <= ?)',
+            lockedUntil, row.id, now
+        );
+        if (result.changes === 1) {
+            claimed.push(toJob({ ...row, lockedUntil, attempts: row.attempts + 1 }));
+        }
+    }
+    return claimed;
+};
+
+/**
+ * Removes a job that ran, or that is given up on.
+ * @param {number} jobId - The ID of the job.
+ */
+export const completeJob = async (jobId) => {
+    await getDb().run('DELETE FROM jobs WHERE id = ?', jobId);
+};
+
+/**
+ * Releases a failed job's claim and sets when to try it again.
+ * @param {number} jobId - The ID of the job.
+ * @param {string} runAt - When to try again, as an ISO string.
+ * @param {string} lastError - Why the last attempt failed.
+ */
+export const retryJob = async (jobId, runAt, lastError) => {
+    await getDb().run('UPDATE jobs SET runAt = ?, lockedUntil = NULL, lastError = ? WHERE id = ?', runAt, lastError, jobId);
+};
+
+/**
+ * Removes the pending jobs of a type with the given key, e.g. a CAPTCHA timeout once the
+ * member answered.
+ * @param {string} type - The `JobType` of the jobs.
+ * @param {string} jobKey - The key the jobs were added with.
+ * @returns {Promise<number>} The number of jobs removed.
+ */
+export const cancelJobs = async (type, jobKey) => {
+    const result = await getDb().run('DELETE FROM jobs WHERE type = ? AND jobKey = ?', type, jobKey);
+    return result.changes;
+};
+
+/**
+ * Releases every claim, so jobs a stopped process was running become due again right away.
+ * Only safe while no job is running, i.e. when the queue starts.
+ */
+export const releaseJobClaims = async () => {
+    await getDb().run('UPDATE jobs SET lockedUntil = NULL WHERE lockedUntil IS NOT NULL');
 };
 
+/**
+ * Lists the pending jobs, soonest first.
+ * @param {string} [type] - Only list the jobs of this `JobType`.
+ * @returns {Promise<object[]>} The jobs, with their payloads parsed.
+ */
+export const getJobs = async (type) => {
+    const rows = type
+        ? await getDb().all('SELECT * FROM jobs WHERE type = ? ORDER BY runAt, id', type)
+        : await getDb().all('SELECT * FROM jobs ORDER BY runAt, id');
+    return rows.map(toJob);
+};
 
 // --- Strike and Audit Logic ---
 
+// Callbacks told about each entry `recordStrike` and `logManualAction` write, e.g. to mirror it to a log chat.
+const auditListeners = [];
+
+/**
+ * Registers a callback that runs after `recordStrike` or `logManualAction` writes an audit log entry.
+ * Listeners run in the background: they never delay or fail the write, and their errors are only logged.
+ * @param {function({id: number, chatId: string, userId: string, logData: object}): (void|Promise<void>)} listener
+ * @returns {function(): void} Removes the listener again.
+ */
+export const onAuditEntry = (listener) => {
+    auditListeners.push(listener);
+    return () => {
+        const index = auditListeners.indexOf(listener);
+        if (index !== -1) auditListeners.splice(index, 1);
+    };
+};
+
+const notifyAuditListeners = (entry) => {
+    for (const listener of auditListeners) {
+        Promise.resolve()
+            .then(() => listener(entry))
+            .catch(error => logger.error(`Audit log listener failed for entry ${entry.id}: ${error.message}`));
+    }
+};
+
 export const recordStrike = async (chatId, userId, logData) => {
     const dbInstance = getDb();
+    // Custom rules can weigh more than one strike; the weight is stored on the log entry as `amount`.
+    const amount = logData.amount || 1;
+    // `strikes` holds the combined total; categorised violations are also counted per category.
+    const category = getStrikeCategory(logData.violationType);
     await dbInstance.run('BEGIN TRANSACTION');
     try {
         await dbInstance.run(
-            'INSERT INTO strikes (chatId, userId, count, timestamp) VALUES (?, ?, 1, ?) ON CONFLICT(chatId, userId) DO UPDATE SET count = count + 1, timestamp = ?',
+            'INSERT INTO strikes (chatId, userId, count, timestamp) VALUES (?, ?, ?, ?) ON CONFLICT(chatId, userId) DO UPDATE SET count = count + excluded.count, timestamp = ?',
             chatId,
             userId,
+            amount,
             new Date().toISOString(),
             new Date().toISOString()
         );
-        await dbInstance.run(
+        if (category) {
+            await dbInstance.run(
+                `INSERT INTO category_strikes (chatId, userId, category, count, timestamp) VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT(chatId, userId, category) DO UPDATE SET count = count + excluded.count, timestamp = excluded.timestamp`,
+                chatId, userId, category, amount, new Date().toISOString()
+            );
+        }
+        const entry = await dbInstance.run(
             'INSERT INTO audit_log (timestamp, chatId, userId, logData) VALUES (?, ?, ?, ?)',
             logData.timestamp,
             chatId,
@@ -196,6 +1397,7 @@ export const recordStrike = async (chatId, userId, logData) => {
             JSON.stringify(logData)
         );
         await dbInstance.run('COMMIT');
+        notifyAuditListeners({ id: entry.lastID, chatId, userId, logData });
 
         const { count } = await getStrikes(chatId, userId);
         return count;
@@ -206,14 +1408,34 @@ export const recordStrike = async (chatId, userId, logData) => {
     }
 };
 
-export const logManualAction = (chatId, userId, logData) => {
-    return getDb().run(
+export const logManualAction = async (chatId, userId, logData) => {
+    const result = await getDb().run(
         'INSERT INTO audit_log (timestamp, chatId, userId, logData) VALUES (?, ?, ?, ?)',
         new Date().toISOString(),
         chatId,
         userId,
         JSON.stringify(logData)
     );
+    notifyAuditListeners({ id: result.lastID, chatId, userId, logData });
+    return result;
+};
+
+/**
+ * Gets the text of a message as it was last scanned, so an edit can be logged with what
+ * it replaced. The lookup uses the `idx_audit_log_message` index.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} messageId - The ID of the message.
+ * @returns {Promise<string|null>} The excerpt, or null if the message was never scanned.
+ */
+export const getLastMessageExcerpt = async (chatId, messageId) => {
+    const row = await getDb().get(
+        `SELECT JSON_EXTRACT(logData, '$.messageExcerpt') as excerpt FROM audit_log
+         WHERE chatId = ? AND JSON_EXTRACT(logData, '$.messageId') = ?
+         AND JSON_EXTRACT(logData, '$.type') IN ('SCANNED', 'MESSAGE_EDITED')
+         ORDER BY id DESC LIMIT 1`,
+        chatId, messageId
+    );
+    return row?.excerpt ?? null;
 };
 
 export const getStrikes = async (chatId, userId) => {
@@ -221,25 +1443,62 @@ export const getStrikes = async (chatId, userId) => {
     return await getDb().get('SELECT count, timestamp FROM strikes WHERE chatId = ? AND userId = ?', chatId, userId) || { count: 0, timestamp: null };
 };
 
-export const resetStrikes = (chatId, userId) => {
+/**
+ * Returns a member's strikes in each category, e.g. `{ spam: 2, links: 1 }`.
+ * Categories without strikes are left out.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} The strike count per `StrikeCategory`.
+ */
+export const getCategoryStrikes = async (chatId, userId) => {
+    await recalculateStrikes(chatId, userId);
+    const rows = await getDb().all(
+        'SELECT category, count FROM category_strikes WHERE chatId = ? AND userId = ? AND count > 0 ORDER BY category',
+        chatId, userId
+    );
+    return Object.fromEntries(rows.map(row => [row.category, row.count]));
+};
+
+export const resetStrikes = async (chatId, userId) => {
+    await getDb().run('DELETE FROM category_strikes WHERE chatId = ? AND userId = ?', chatId, userId);
     return getDb().run('UPDATE strikes SET count = 0, timestamp = NULL WHERE chatId = ? AND userId = ?', chatId, userId);
 };
 
+/**
+ * Keeps each category count within the combined total after an admin lowers it.
+ */
+const capCategoryStrikes = (chatId, userId, total) => {
+    return getDb().run(
+        'UPDATE category_strikes SET count = MIN(count, ?) WHERE chatId = ? AND userId = ?',
+        total, chatId, userId
+    );
+};
+
 export const addStrikes = async (chatId, userId, amount) => {
+    // Stamped like automatic strikes, so manual ones expire and are forgiven too.
     await getDb().run(
-        `INSERT INTO strikes (chatId, userId, count) VALUES (?, ?, ?)
-         ON CONFLICT(chatId, userId) DO UPDATE SET count = count + excluded.count`,
-        chatId, userId, amount
+        `INSERT INTO strikes (chatId, userId, count, timestamp) VALUES (?, ?, ?, ?)
+         ON CONFLICT(chatId, userId) DO UPDATE SET count = count + excluded.count, timestamp = excluded.timestamp`,
+        chatId, userId, amount, new Date().toISOString()
     );
     const { count } = await getStrikes(chatId, userId);
     return count;
 };
 
-export const removeStrike = async (chatId, userId, amount) => {
+export const removeStrike = async (chatId, userId, amount, category = null) => {
     const currentStrikes = await getStrikes(chatId, userId);
     if (currentStrikes.count === 0) return 0;
     const newCount = Math.max(0, currentStrikes.count - amount);
     await getDb().run('UPDATE strikes SET count = ? WHERE chatId = ? AND userId = ?', newCount, chatId, userId);
+    // Reversing a specific strike also takes it off the category it was counted in.
+    if (category) {
+        await getDb().run(
+            'UPDATE category_strikes SET count = MAX(0, count - ?) WHERE chatId = ? AND userId = ? AND category = ?',
+            amount, chatId, userId, category
+        );
+    }
+    await capCategoryStrikes(chatId, userId, newCount);
     return newCount;
 };
 
@@ -250,6 +1509,7 @@ export const setStrikes = async (chatId, userId, amount) => {
          ON CONFLICT(chatId, userId) DO UPDATE SET count = excluded.count`,
         chatId, userId, amount, amount, new Date().toISOString()
     );
+    await capCategoryStrikes(chatId, userId, amount);
     const { count } = await getStrikes(chatId, userId);
     return count;
 };
@@ -268,6 +1528,200 @@ export const getStrikeHistory = (chatId, userId, limit = 10) => {
     return getDb().all('SELECT * FROM audit_log WHERE chatId = ? AND userId = ? ORDER BY timestamp DESC LIMIT ?', chatId, userId, limit);
 };
 
+/**
+ * Counts how many times a user has been muted in a chat, from `user_muted` audit entries.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @param {string} [since] - Only count mutes at or after this ISO timestamp.
+ * @returns {Promise<number>} The number of past mutes.
+ */
+export const countUserMutes = async (chatId, userId, since = null) => {
+    const row = await getDb().get(
+        `SELECT COUNT(*) as count FROM audit_log
+         WHERE chatId = ? AND userId = ? AND JSON_EXTRACT(logData, '$.action') = 'user_muted'${since ? ' AND timestamp >= ?' : ''}`,
+        ...[chatId, userId, since].filter(Boolean)
+    );
+    return row?.count || 0;
+};
+
+/**
+ * Gets a user's most recent automatic strike in a chat.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object|undefined>} The `audit_log` row of the strike.
+ */
+export const getLastStrikeEntry = (chatId, userId) => {
+    return getDb().get(
+        `SELECT * FROM audit_log WHERE chatId = ? AND userId = ? AND JSON_EXTRACT(logData, '$.type') = 'STRIKE'
+         ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        chatId, userId
+    );
+};
+
+/**
+ * Gets the automatic mute a strike led to, from the `strikeLogId` on the mute's audit entry.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} strikeLogId - The audit log ID of the strike.
+ * @returns {Promise<object|undefined>} The `audit_log` row of the mute.
+ */
+export const getStrikeMute = (chatId, strikeLogId) => {
+    return getDb().get(
+        `SELECT * FROM audit_log WHERE chatId = ? AND JSON_EXTRACT(logData, '$.action') = 'user_muted'
+         AND JSON_EXTRACT(logData, '$.strikeLogId') = ? ORDER BY id DESC LIMIT 1`,
+        chatId, strikeLogId
+    );
+};
+
+/**
+ * Gets a single audit log entry of a chat.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} logId - The ID of the entry.
+ * @returns {Promise<object|undefined>} The `audit_log` row.
+ */
+export const getAuditEntry = (chatId, logId) => {
+    return getDb().get('SELECT * FROM audit_log WHERE chatId = ? AND id = ?', chatId, logId);
+};
+
+/**
+ * Claims the reversal of an audit log entry, e.g. a pardon of a strike. Only the first
+ * claim succeeds, so two admins pressing the same button can't both reverse it.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} logId - The ID of the entry to reverse.
+ * @param {string} reversedBy - The ID of the admin who reverses it.
+ * @returns {Promise<boolean>} True if the entry was not reversed yet and is now claimed.
+ */
+export const claimReversal = async (chatId, logId, reversedBy) => {
+    const result = await getDb().run(
+        'INSERT OR IGNORE INTO audit_reversals (chatId, logId, reversedBy, createdAt) VALUES (?, ?, ?, ?)',
+        chatId, logId, reversedBy, new Date().toISOString()
+    );
+    return result.changes > 0;
+};
+
+/**
+ * Gives up a claimed reversal, e.g. when the action it stood for failed, so it can be retried.
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} logId - The ID of the entry.
+ */
+export const releaseReversal = (chatId, logId) => {
+    return getDb().run('DELETE FROM audit_reversals WHERE chatId = ? AND logId = ?', chatId, logId);
+};
+
+// --- Shadow Mode Logic ---
+
+/**
+ * Adds up the strikes and mutes a user would have collected from shadow mode entries, so
+ * shadow decisions escalate the way real ones would. A shadow kick or ban clears the
+ * shadow strikes, as a real one resets the strike count.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{strikes: number, categoryStrikes: object, mutes: number}>} The shadow totals.
+ */
+export const getShadowCounts = async (chatId, userId) => {
+    const rows = await getDb().all(
+        `SELECT logData FROM audit_log
+         WHERE chatId = ? AND userId = ? AND JSON_EXTRACT(logData, '$.type') IN ('SHADOW_STRIKE', 'SHADOW_PENALTY')
+         ORDER BY id`,
+        chatId, userId
+    );
+    const counts = { strikes: 0, categoryStrikes: {}, mutes: 0 };
+    for (const row of rows) {
+        const logData = JSON.parse(row.logData);
+        if (logData.type === 'SHADOW_STRIKE') {
+            const amount = logData.amount || 1;
+            counts.strikes += amount;
+            if (logData.strikeCategory) {
+                counts.categoryStrikes[logData.strikeCategory] = (counts.categoryStrikes[logData.strikeCategory] || 0) + amount;
+            }
+        } else if (logData.shadowAction === 'user_muted') {
+            counts.mutes += 1;
+        } else if (logData.shadowAction === 'user_kicked' || logData.shadowAction === 'user_banned') {
+            counts.strikes = 0;
+            counts.categoryStrikes = {};
+        }
+    }
+    return counts;
+};
+
+/**
+ * Summarises what the bot would have done in a chat while shadow mode was on. The totals
+ * are added up in SQL, so only one page of entries is read.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {object} [options]
+ * @param {string} [options.since] - Only include entries at or after this ISO timestamp.
+ * @param {number} [options.limit=50] - How many entries to return.
+ * @param {number} [options.offset=0] - How many of the latest entries to skip.
+ * @returns {Promise<{summary: object, byViolationType: object, entries: object[], total: number}>} Totals per
+ * action and violation type, one page of shadow entries, newest first, and the number of shadow entries.
+ */
+export const getShadowReport = async (chatId, { since, limit = 50, offset = 0 } = {}) => {
+    const where = `chatId = ? AND JSON_EXTRACT(logData, '$.type') LIKE 'SHADOW_%'${since ? ' AND timestamp >= ?' : ''}`;
+    const params = [chatId, since].filter(Boolean);
+    const groups = await getDb().all(
+        `SELECT JSON_EXTRACT(logData, '$.type') as type, JSON_EXTRACT(logData, '$.shadowAction') as action,
+                JSON_EXTRACT(logData, '$.violationType') as violationType,
+                COUNT(*) as count, SUM(COALESCE(JSON_EXTRACT(logData, '$.amount'), 1)) as amount
+         FROM audit_log WHERE ${where}
+         GROUP BY type, action, violationType`,
+        ...params
+    );
+    const { members, total } = await getDb().get(
+        `SELECT COUNT(DISTINCT userId) as members, COUNT(*) as total FROM audit_log WHERE ${where}`,
+        ...params
+    );
+    const scanned = await getDb().get(
+        `SELECT COUNT(*) as count FROM audit_log WHERE chatId = ? AND JSON_EXTRACT(logData, '$.type') = 'SCANNED'${since ? ' AND timestamp >= ?' : ''}`,
+        ...params
+    );
+
+    const penalties = { user_warned: 'warnings', user_muted: 'mutes', user_kicked: 'kicks', user_banned: 'bans' };
+    const summary = { scanned: scanned?.count || 0, deletions: 0, strikes: 0, warnings: 0, mutes: 0, kicks: 0, bans: 0, members };
+    const byViolationType = {};
+    for (const group of groups) {
+        if (group.type === 'SHADOW_VIOLATION') {
+            summary.deletions += group.count;
+            byViolationType[group.violationType] = (byViolationType[group.violationType] || 0) + group.count;
+        } else if (group.type === 'SHADOW_STRIKE') {
+            summary.strikes += group.amount;
+        } else if (penalties[group.action]) {
+            summary[penalties[group.action]] += group.count;
+        }
+    }
+
+    const rows = await getDb().all(
+        `SELECT id, timestamp, userId, logData FROM audit_log WHERE ${where}
+         ORDER BY id DESC LIMIT ? OFFSET ?`,
+        ...params, limit, offset
+    );
+    const entries = rows.map(row => {
+        const logData = JSON.parse(row.logData);
+        return {
+            id: row.id,
+            timestamp: row.timestamp,
+            userId: row.userId,
+            firstName: logData.user?.first_name,
+            username: logData.user?.username,
+            type: logData.type,
+            action: logData.shadowAction,
+            violationType: logData.violationType,
+            reason: logData.reason,
+            messageExcerpt: logData.messageExcerpt,
+            spamScore: logData.spamScore,
+            profanityScore: logData.profanityScore,
+            strikeCount: logData.strikeCount,
+            muteDuration: logData.muteDuration
+        };
+    });
+
+    return { summary, byViolationType, entries, total };
+};
+
 // --- Settings Logic ---
 
 export const getSetting = async (chatId, key, defaultValue) => {
@@ -290,6 +1744,7 @@ export const recalculateStrikes = async (chatId, userId) => {
         const expirationDate = new Date();
         expirationDate.setDate(expirationDate.getDate() - strikeExpirationDays);
         await getDb().run('DELETE FROM strikes WHERE chatId = ? AND userId = ? AND timestamp < ?', chatId, userId, expirationDate.toISOString());
+        await getDb().run('DELETE FROM category_strikes WHERE chatId = ? AND userId = ? AND timestamp < ?', chatId, userId, expirationDate.toISOString());
     }
 };
 
@@ -409,6 +1864,37 @@ export const getGroupStats = async (groupId, startDate, endDate) => {
             AND JSON_EXTRACT(logData, '$.violationType') = 'PROFANITY'
         `, groupId, startDate.toISOString(), endDate.toISOString());
 
+        const floodMessages = await dbInstance.get(`
+            SELECT COUNT(*) as count 
+            FROM audit_log 
+            WHERE chatId = ? AND timestamp BETWEEN ? AND ? 
+            AND JSON_EXTRACT(logData, '$.type') = 'VIOLATION'
+            AND JSON_EXTRACT(logData, '$.violationType') = 'FLOOD'
+        `, groupId, startDate.toISOString(), endDate.toISOString());
+
+        const languageMessages = await dbInstance.get(`
+            SELECT COUNT(*) as count 
+            FROM audit_log 
+            WHERE chatId = ? AND timestamp BETWEEN ? AND ? 
+            AND JSON_EXTRACT(logData, '$.type') = 'VIOLATION'
+            AND JSON_EXTRACT(logData, '$.violationType') = 'LANGUAGE'
+        `, groupId, startDate.toISOString(), endDate.toISOString());
+
+        // Languages of the messages that were scanned or removed by the language policy
+        const languages = await dbInstance.all(`
+            SELECT 
+                JSON_EXTRACT(logData, '$.language') as language, 
+                JSON_EXTRACT(logData, '$.script') as script, 
+                COUNT(*) as count 
+            FROM audit_log 
+            WHERE chatId = ? AND timestamp BETWEEN ? AND ? 
+            AND JSON_EXTRACT(logData, '$.script') IS NOT NULL
+            AND (JSON_EXTRACT(logData, '$.type') = 'SCANNED'
+                OR (JSON_EXTRACT(logData, '$.type') = 'VIOLATION' AND JSON_EXTRACT(logData, '$.violationType') = 'LANGUAGE'))
+            GROUP BY language, script
+            ORDER BY count DESC
+        `, groupId, startDate.toISOString(), endDate.toISOString());
+
         // Legacy compatibility: count old AUTO entries
         const legacyAutoEntries = await dbInstance.get(`
             SELECT COUNT(*) as count 
@@ -419,6 +1905,9 @@ export const getGroupStats = async (groupId, startDate, endDate) => {
 
         const spamCount = (spamMessages?.count || 0) + (legacyAutoEntries?.count || 0);
         const profanityCount = profanityMessages?.count || 0;
+        const floodCount = floodMessages?.count || 0;
+        const languageCount = languageMessages?.count || 0;
+        const flaggedCount = spamCount + profanityCount + floodCount + languageCount;
 
         // Count deleted messages (new and legacy)
         const deletedMessagesNew = await dbInstance.get(`
@@ -516,9 +2005,11 @@ export const getGroupStats = async (groupId, startDate, endDate) => {
         return {
             totalMessages: totalScanned,
             flaggedMessages: {
-                total: spamCount + profanityCount,
+                total: flaggedCount,
                 spam: spamCount,
-                profanity: profanityCount
+                profanity: profanityCount,
+                flood: floodCount,
+                language: languageCount
             },
             deletedMessages: totalDeleted,
             mutedUsers: mutedUsers?.count || 0,
@@ -529,11 +2020,16 @@ export const getGroupStats = async (groupId, startDate, endDate) => {
                 type: row.type, 
                 count: row.count 
             })).sort((a, b) => b.count - a.count),
+            languageBreakdown: languages.map(row => ({
+                language: row.language,
+                script: row.script,
+                count: row.count
+            })),
             flaggedRate: totalScanned > 0 ? 
-                Math.round((spamCount + profanityCount) / totalScanned * 10000) / 100 : 0,
+                Math.round(flaggedCount / totalScanned * 10000) / 100 : 0,
             autoModerationEfficiency: {
                 messagesScanned: totalScanned,
-                violationsDetected: spamCount + profanityCount,
+                violationsDetected: flaggedCount,
                 usersActioned: (mutedUsers?.count || 0) + (kickedUsers?.count || 0) + (bannedUsers?.count || 0)
             }
         };
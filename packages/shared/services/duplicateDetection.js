@@ -0,0 +1,140 @@
+/**
+ * @fileoverview In-memory near-duplicate detection for coordinated spam waves.
+ * Keeps a rolling store of message fingerprints per chat and reports when similar
+ * text has been posted by a configured number of distinct users within a time window.
+ * The copies posted before a wave is recognised are remembered, so they can be removed
+ * along with the one that reaches the threshold.
+ */
+
+// Messages shorter than this (after normalization) are never treated as a wave, so
+// greetings like "gm" or "thanks!" from many users are not removed.
+const MIN_LENGTH = 15;
+// Jaccard similarity of character trigrams above which two messages count as the same.
+const SIMILARITY_THRESHOLD = 0.8;
+// Upper bound on tracked clusters per chat; the least recently seen are evicted first.
+const MAX_CLUSTERS_PER_CHAT = 200;
+// Upper bound on remembered copies per cluster before its wave is recognised; the oldest are dropped first.
+const MAX_COPIES_PER_CLUSTER = 50;
+
+// chatId -> array of { shingles, users, copies, firstSeen, lastSeen, alerted, excerpt },
+// where `users` maps each sender's ID to when they last posted the text.
+const clustersByChat = new Map();
+
+/**
+ * Normalizes text so trivial variations (case, punctuation, spacing, digits) don't
+ * defeat the comparison.
+ *
+ * @param {string} text - The raw message text.
+ * @returns {string} The normalized text.
+ */
+export const normalizeText = (text) => (typeof text === 'string' ? text : '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\d\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Builds the set of character trigrams for a normalized string.
+ *
+ * @param {string} normalized - Text returned by `normalizeText`.
+ * @returns {Set<string>} The trigram set.
+ */
+const toShingles = (normalized) => {
+    const shingles = new Set();
+    for (let i = 0; i <= normalized.length - 3; i++) {
+        shingles.add(normalized.slice(i, i + 3));
+    }
+    return shingles;
+};
+
+/**
+ * Computes the Jaccard similarity between two trigram sets.
+ *
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} A value between 0 and 1.
+ */
+export const similarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const shingle of a) {
+        if (b.has(shingle)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+};
+
+/**
+ * Records a message and checks whether it belongs to a wave of near-identical messages.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the sender.
+ * @param {number} messageId - The ID of the message.
+ * @param {string} text - The message text or caption.
+ * @param {object} options - The group's duplicate detection settings.
+ * @param {number} options.userThreshold - Distinct users after which copies are removed.
+ * @param {number} options.windowMinutes - How long a message stays in the rolling store; only
+ *   users who posted the text within this window are counted.
+ * @param {number} [now=Date.now()] - The current time, injectable for tests.
+ * @returns {{isDuplicate: boolean, shouldAlert: boolean, userCount: number, excerpt: string, earlierCopies: Array<{userId: string, messageId: number}>}|null}
+ *   Null when the message is too short to fingerprint. `shouldAlert` is true only for the
+ *   message that first reaches the threshold, so each wave produces a single alert; only
+ *   that message lists the `earlierCopies` of the wave, which are then forgotten.
+ */
+export const checkDuplicate = (chatId, userId, messageId, text, { userThreshold, windowMinutes }, now = Date.now()) => {
+    const normalized = normalizeText(text);
+    if (normalized.length < MIN_LENGTH) {
+        return null;
+    }
+
+    const shingles = toShingles(normalized);
+    const windowStart = now - windowMinutes * 60 * 1000;
+    const clusters = (clustersByChat.get(chatId) || []).filter(cluster => cluster.lastSeen >= windowStart);
+
+    let cluster = clusters.find(candidate => similarity(candidate.shingles, shingles) >= SIMILARITY_THRESHOLD);
+    if (!cluster) {
+        cluster = { shingles, users: new Map(), copies: [], firstSeen: now, lastSeen: now, alerted: false, excerpt: text.substring(0, 150) };
+        clusters.push(cluster);
+        if (clusters.length > MAX_CLUSTERS_PER_CHAT) {
+            clusters.sort((a, b) => b.lastSeen - a.lastSeen).splice(MAX_CLUSTERS_PER_CHAT);
+        }
+    }
+
+    // A slow trickle of a common phrase must not add up to a wave, so senders and their
+    // copies are forgotten once they fall out of the window.
+    for (const [knownUserId, seenAt] of cluster.users) {
+        if (seenAt < windowStart) cluster.users.delete(knownUserId);
+    }
+    cluster.copies = cluster.copies.filter(copy => copy.seenAt >= windowStart);
+    cluster.users.set(userId, now);
+    cluster.lastSeen = now;
+    clustersByChat.set(chatId, clusters);
+
+    const isDuplicate = cluster.users.size >= userThreshold;
+    if (!isDuplicate) {
+        // The wave, if there was one, has died down; a new one is alerted again.
+        cluster.alerted = false;
+    }
+    const shouldAlert = isDuplicate && !cluster.alerted;
+    let earlierCopies = [];
+    if (shouldAlert) {
+        cluster.alerted = true;
+        earlierCopies = cluster.copies.map(copy => ({ userId: copy.userId, messageId: copy.messageId }));
+        cluster.copies = [];
+    } else if (!isDuplicate) {
+        cluster.copies.push({ userId, messageId, seenAt: now });
+        if (cluster.copies.length > MAX_COPIES_PER_CLUSTER) {
+            cluster.copies.shift();
+        }
+    }
+
+    return { isDuplicate, shouldAlert, userCount: cluster.users.size, excerpt: cluster.excerpt, earlierCopies };
+};
+
+/**
+ * Clears all stored fingerprints, e.g. when caches are cleared or between tests.
+ */
+export const resetDuplicateTracking = () => {
+    clustersByChat.clear();
+};
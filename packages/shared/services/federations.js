@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Shares bans across a federation of groups.
+ * A federation is a set of groups run by the same team. A ban issued in any member group
+ * (`/fban`) puts the user on the federation's ban list and bans them from every member group
+ * where they are not an admin;
+ * lifting it (`/funban`) unbans them everywhere. Users on the list who join or post in a member
+ * group later, e.g. one that joined the federation after the ban, are banned there on sight.
+ */
+
+import * as db from './database.js';
+import { banUser, unbanUser, getChatAdmins } from './telegram.js';
+import logger from './logger.js';
+
+/**
+ * Runs a ban or unban in every group of a federation, one group at a time.
+ *
+ * @param {number} federationId - The ID of the federation.
+ * @param {function(string): Promise<boolean|void>} action - Called with each member group's chat ID.
+ *   Returns false if it skipped the group.
+ * @returns {Promise<{succeeded: string[], failed: string[], skipped: string[]}>} The groups where the action worked,
+ * where it failed and where it was skipped.
+ */
+const forEachMemberGroup = async (federationId, action) => {
+    const succeeded = [];
+    const failed = [];
+    const skipped = [];
+    for (const { chatId } of await db.getFederationGroups(federationId)) {
+        try {
+            if (await action(chatId) === false) {
+                skipped.push(chatId);
+            } else {
+                succeeded.push(chatId);
+            }
+        } catch (error) {
+            logger.warn(`Federation ${federationId}: action failed in chat ${chatId}: ${error.response?.body?.description || error.message}`);
+            failed.push(chatId);
+        }
+    }
+    return { succeeded, failed, skipped };
+};
+
+/**
+ * Bans a user from every group of a federation and adds them to its ban list. Groups the
+ * user is an admin of are skipped, so a ban issued in one group cannot remove the admins
+ * of another.
+ *
+ * @param {object} federation - The federation row.
+ * @param {object} target - The user to ban (`id`, `first_name`, `username`).
+ * @param {object} options
+ * @param {string} options.reason - Why the user is banned.
+ * @param {object} options.admin - The admin who issued the ban.
+ * @param {string} options.sourceChatId - The ID of the group the ban was issued in.
+ * @returns {Promise<{bannedIn: string[], failedIn: string[], skippedIn: string[]}>} The groups the user was and could
+ * not be banned from, and the groups they are an admin of.
+ */
+export const federationBan = async (federation, target, { reason, admin, sourceChatId }) => {
+    const userId = target.id.toString();
+    await db.addFederationBan(federation.id, userId, { reason, bannedBy: admin.id.toString(), sourceChatId });
+
+    const targetUser = { id: target.id, first_name: target.first_name, username: target.username };
+    const adminInfo = { id: admin.id, first_name: admin.first_name, username: admin.username };
+    const { succeeded, failed, skipped } = await forEachMemberGroup(federation.id, async (chatId) => {
+        if ((await getChatAdmins(chatId)).includes(target.id)) {
+            return false;
+        }
+        await banUser(chatId, target.id);
+        await db.logManualAction(chatId, userId, {
+            type: 'MANUAL-FBAN',
+            admin: adminInfo,
+            targetUser,
+            reason,
+            federationId: federation.id,
+            federationName: federation.name,
+            sourceChatId
+        });
+    });
+
+    logger.info(`User ${userId} banned in federation ${federation.id} by admin ${admin.id} (${succeeded.length} groups, ${failed.length} failed, ${skipped.length} skipped as admin).`);
+    return { bannedIn: succeeded, failedIn: failed, skippedIn: skipped };
+};
+
+/**
+ * Removes a user from a federation's ban list and unbans them from every member group.
+ *
+ * @param {object} federation - The federation row.
+ * @param {object} target - The user to unban (`id`, `first_name`, `username`).
+ * @param {object} options
+ * @param {object} options.admin - The admin who lifted the ban.
+ * @param {string} options.sourceChatId - The ID of the group the unban was issued in.
+ * @returns {Promise<{unbannedIn: string[], failedIn: string[]}|null>} The groups the user was and could not be
+ * unbanned from, or null if they were not on the ban list.
+ */
+export const federationUnban = async (federation, target, { admin, sourceChatId }) => {
+    const userId = target.id.toString();
+    if (!(await db.removeFederationBan(federation.id, userId))) {
+        return null;
+    }
+
+    const targetUser = { id: target.id, first_name: target.first_name, username: target.username };
+    const adminInfo = { id: admin.id, first_name: admin.first_name, username: admin.username };
+    const { succeeded, failed } = await forEachMemberGroup(federation.id, async (chatId) => {
+        await unbanUser(chatId, target.id);
+        await db.logManualAction(chatId, userId, {
+            type: 'MANUAL-FUNBAN',
+            admin: adminInfo,
+            targetUser,
+            federationId: federation.id,
+            federationName: federation.name,
+            sourceChatId
+        });
+    });
+
+    logger.info(`User ${userId} unbanned in federation ${federation.id} by admin ${admin.id}.`);
+    return { unbannedIn: succeeded, failedIn: failed };
+};
+
+/**
+ * Bans a user who is on the ban list of the group's federation from the group.
+ * Called when users join or post, so bans reach groups that joined the federation later
+ * and users the original ban could not remove. In shadow mode the ban is only logged.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object} user - The Telegram user object.
+ * @param {object} [settings] - The settings object for the group.
+ * @returns {Promise<object|null>} The federation ban that was enforced, or null if the user is not banned
+ * or the group is in shadow mode.
+ */
+export const enforceFederationBan = async (chatId, user, settings = {}) => {
+    const ban = await db.getFederationBan(chatId, user.id.toString());
+    if (!ban) return null;
+
+    const logData = {
+        violationType: 'FEDERATION_BAN',
+        timestamp: new Date().toISOString(),
+        user: { id: user.id, first_name: user.first_name, username: user.username },
+        reason: `Banned in federation "${ban.federationName}": ${ban.reason}`,
+        federationId: ban.federationId
+    };
+    if (settings.shadowMode) {
+        await db.logManualAction(chatId, user.id.toString(), { type: 'SHADOW_PENALTY', shadowAction: 'user_banned', ...logData });
+        return null;
+    }
+
+    await banUser(chatId, user.id);
+    await db.logManualAction(chatId, user.id.toString(), { type: 'PENALTY', action: 'user_banned', ...logData });
+    logger.info(`Enforced federation ${ban.federationId} ban on user ${user.id} in chat ${chatId}.`);
+    return ban;
+};
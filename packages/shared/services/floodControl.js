@@ -0,0 +1,74 @@
+/**
+ * @fileoverview In-memory flood detection. Tracks recent message timestamps per user
+ * per chat and reports when a user sends more than the configured number of messages
+ * inside a sliding time window.
+ */
+
+// Recent activity keyed by `${chatId}:${userId}`: { messages: [{ messageId, time }], floodedUntil }
+const activity = new Map();
+// Sweep idle entries once the map grows past this size to keep memory bounded.
+const SWEEP_THRESHOLD = 5000;
+
+/**
+ * Removes entries that have had no activity within their window.
+ * @param {number} now - The current time in milliseconds.
+ * @param {number} windowMs - The flood window in milliseconds.
+ */
+const sweep = (now, windowMs) => {
+    for (const [key, entry] of activity) {
+        const lastMessage = entry.messages[entry.messages.length - 1];
+        if ((!lastMessage || lastMessage.time < now - windowMs) && entry.floodedUntil < now) {
+            activity.delete(key);
+        }
+    }
+};
+
+/**
+ * Records a message and checks whether it pushes the sender over the flood limit.
+ * When the limit is exceeded the whole burst is returned once; messages sent while
+ * the burst is still inside its window are returned individually as `continued`.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {string} userId - The ID of the sender.
+ * @param {number} messageId - The ID of the new message.
+ * @param {object} limits - The group's flood settings.
+ * @param {number} limits.limit - The maximum number of messages allowed in the window.
+ * @param {number} limits.windowSeconds - The length of the sliding window in seconds.
+ * @param {number} [now=Date.now()] - The current time, injectable for tests.
+ * @returns {{messageIds: number[], continued: boolean}|null} The messages to act on, or null if within limits.
+ */
+export const trackMessage = (chatId, userId, messageId, { limit, windowSeconds }, now = Date.now()) => {
+    const windowMs = windowSeconds * 1000;
+    const key = `${chatId}:${userId}`;
+    const entry = activity.get(key) || { messages: [], floodedUntil: 0 };
+
+    entry.messages = entry.messages.filter(message => message.time > now - windowMs);
+    entry.messages.push({ messageId, time: now });
+    activity.set(key, entry);
+
+    if (activity.size > SWEEP_THRESHOLD) {
+        sweep(now, windowMs);
+    }
+
+    if (entry.floodedUntil > now) {
+        entry.floodedUntil = now + windowMs;
+        entry.messages = [];
+        return { messageIds: [messageId], continued: true };
+    }
+
+    if (entry.messages.length > limit) {
+        const messageIds = entry.messages.map(message => message.messageId);
+        entry.floodedUntil = now + windowMs;
+        entry.messages = [];
+        return { messageIds, continued: false };
+    }
+
+    return null;
+};
+
+/**
+ * Clears all tracked activity, e.g. when caches are cleared or between tests.
+ */
+export const resetFloodTracking = () => {
+    activity.clear();
+};
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Exports, imports and copies a group's whole configuration.
+ * An export is a versioned JSON document with the group's settings, keyword whitelist,
+ * moderators and custom moderation rules. Imports are validated as a whole before anything
+ * is written, and a diff against the group's current configuration can be shown before an
+ * admin applies them. Copying settings from another group is an export applied to the target.
+ * Shared by the bot commands, the API and, through the API, the dashboard.
+ */
+
+import * as db from './database.js';
+import { getGroupSettings, updateSetting } from '../config/index.js';
+import { isValidPenaltyLadders } from './penaltyLadder.js';
+import { MAX_MUTE_SCHEDULE_STEPS, MAX_MUTE_MINUTES } from './muteSchedule.js';
+import { validateRulePattern } from './ruleEngine.js';
+import { SCRIPTS, LANGUAGES } from './languageDetector.js';
+import { MediaType, ContentPolicy, FloodAction, LanguageAction, CaptchaType, CaptchaDelivery, RuleScope, RuleAction, LogVerbosity } from '../utils/enums.js';
+import logger from './logger.js';
+
+// Bumped whenever the export format changes in a way older imports can't read.
+export const CONFIG_VERSION = 1;
+
+const MAX_KEYWORDS = 100;
+const MAX_MODERATORS = 100;
+const MAX_RULES = 200;
+const MAX_IMPERSONATION_KEYWORDS = 50;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+const int = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+const float = (min, max) => value => typeof value === 'number' && value >= min && value <= max;
+const bool = value => typeof value === 'boolean';
+const oneOf = (values) => value => Object.values(values).includes(value);
+const text = (max) => value => typeof value === 'string' && value.length <= max;
+const chatId = value => typeof value === 'string' && /^(-?\d+)?$/.test(value);
+const timezone = (value) => {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+const words = value => Array.isArray(value) && value.length <= MAX_IMPERSONATION_KEYWORDS
+    && value.every(word => typeof word === 'string' && word.trim().length > 0 && word.length <= 64);
+const domains = value => Array.isArray(value) && value.length <= 200
+    && value.every(domain => typeof domain === 'string' && DOMAIN_PATTERN.test(domain));
+
+/**
+ * The settings an export carries, each with the check an imported value must pass.
+ * The limits match the ones `PUT /groups/:groupId/settings` enforces. Runtime state such
+ * as `lockdownStartedAt` is left out, as are moderators and the keyword whitelist, which
+ * have their own sections.
+ */
+const SETTING_CHECKS = {
+    alertLevel: int(0, 10),
+    muteLevel: int(0, 10),
+    kickLevel: int(0, 10),
+    banLevel: int(0, 10),
+    penaltyLadders: value => isValidPenaltyLadders(value),
+    combinedStrikeCeiling: int(0, 100),
+    spamThreshold: float(0, 1),
+    reviewBandMin: float(0, 1),
+    profanityThreshold: float(0, 1),
+    profanityEnabled: bool,
+    muteDurationMinutes: int(1, 10080),
+    muteSchedule: value => Array.isArray(value) && value.length <= MAX_MUTE_SCHEDULE_STEPS
+        && value.every(int(1, MAX_MUTE_MINUTES)),
+    warningMessage: text(500),
+    profanityWarningMessage: text(500),
+    warningMessageDeleteSeconds: int(0, 300),
+    keywordWhitelistBypass: bool,
+    strikeExpirationDays: int(1, 365),
+    goodBehaviorDays: int(1, 365),
+    mediaPolicies: value => value && typeof value === 'object' && !Array.isArray(value)
+        && Object.entries(value).every(([type, policy]) => oneOf(MediaType)(type) && oneOf(ContentPolicy)(policy)),
+    strikeOnEditedViolation: bool,
+    allowedDomains: domains,
+    blockedDomains: domains,
+    telegramInvitePolicy: oneOf(ContentPolicy),
+    allowedScripts: value => Array.isArray(value) && value.every(script => SCRIPTS.includes(script)),
+    allowedLanguages: value => Array.isArray(value) && value.every(language => LANGUAGES.includes(language)),
+    languageAction: oneOf(LanguageAction),
+    languageMinLetters: int(0, 200),
+    floodMessageLimit: int(0, 100),
+    floodWindowSeconds: int(1, 3600),
+    floodAction: oneOf(FloodAction),
+    duplicateUserThreshold: value => int(0, 1000)(value) && value !== 1,
+    duplicateWindowMinutes: int(1, 1440),
+    captchaEnabled: bool,
+    captchaType: oneOf(CaptchaType),
+    captchaDelivery: oneOf(CaptchaDelivery),
+    captchaTimeoutSeconds: int(30, 3600),
+    captchaWelcomeMessage: text(500),
+    probationHours: int(0, 720),
+    probationMessages: int(0, 1000),
+    probationSpamThreshold: float(0, 1),
+    probationMuteOnViolation: bool,
+    raidJoinLimit: int(0, 10000),
+    raidJoinWindowSeconds: int(5, 3600),
+    lockdownSlowModeSeconds: int(0, 3600),
+    lockdownDurationMinutes: int(0, 10080),
+    impersonationEnabled: bool,
+    impersonationKeywords: words,
+    reportChatId: chatId,
+    logChatId: chatId,
+    logChatVerbosity: oneOf(LogVerbosity),
+    scheduleTimezone: timezone,
+    shadowMode: bool
+};
+
+/**
+ * Checks a single setting value against the same limits an import enforces.
+ *
+ * @param {string} key - The setting.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the setting is exported and the value is valid for it.
+ */
+export const isValidSettingValue = (key, value) => Boolean(SETTING_CHECKS[key]) && SETTING_CHECKS[key](value);
+
+/**
+ * Reduces a stored rule to the fields an export carries.
+ *
+ * @param {object} rule - The rule.
+ * @returns {object} The rule without its ID, group and creation time.
+ */
+const toPortableRule = ({ pattern, isRegex, scope, action, strikeWeight, enabled }) => ({
+    pattern, isRegex: Boolean(isRegex), scope, action, strikeWeight, enabled: Boolean(enabled)
+});
+
+/**
+ * Builds the export document for a group.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @returns {Promise<object>} The versioned configuration.
+ */
+export const exportGroupConfig = async (chatId) => {
+    const settings = await getGroupSettings(chatId);
+    const group = await db.getGroup(chatId);
+    const rules = await db.getModerationRules(chatId);
+
+    return {
+        version: CONFIG_VERSION,
+        exportedAt: new Date().toISOString(),
+        group: { chatId, title: group?.chatTitle || null },
+        settings: Object.fromEntries(Object.keys(SETTING_CHECKS).map(key => [key, settings[key]])),
+        whitelistedKeywords: settings.whitelistedKeywords,
+        moderatorIds: settings.moderatorIds.map(String),
+        rules: rules.map(toPortableRule)
+    };
+};
+
+/**
+ * Checks an imported configuration. Every section is optional; sections that are present
+ * must be valid as a whole.
+ *
+ * @param {object} config - The parsed configuration.
+ * @returns {string[]} What is wrong with it; empty if it can be imported.
+ */
+export const validateGroupConfig = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['The configuration must be a JSON object'];
+    }
+    const errors = [];
+    if (config.version !== CONFIG_VERSION) {
+        errors.push(`Unsupported configuration version ${config.version}; expected ${CONFIG_VERSION}`);
+    }
+
+    if (config.settings !== undefined) {
+        if (!config.settings || typeof config.settings !== 'object' || Array.isArray(config.settings)) {
+            errors.push('settings must be an object');
+        } else {
+            for (const [key, value] of Object.entries(config.settings)) {
+                if (!SETTING_CHECKS[key]) {
+                    errors.push(`Unknown setting: ${key}`);
+                } else if (!SETTING_CHECKS[key](value)) {
+                    errors.push(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+                }
+            }
+        }
+    }
+
+    if (config.whitelistedKeywords !== undefined && !(Array.isArray(config.whitelistedKeywords)
+        && config.whitelistedKeywords.length <= MAX_KEYWORDS
+        && config.whitelistedKeywords.every(keyword => typeof keyword === 'string' && keyword.trim()))) {
+        errors.push(`whitelistedKeywords must be a list of at most ${MAX_KEYWORDS} keywords`);
+    }
+
+    if (config.moderatorIds !== undefined && !(Array.isArray(config.moderatorIds)
+        && config.moderatorIds.length <= MAX_MODERATORS
+        && config.moderatorIds.every(id => /^\d+$/.test(String(id))))) {
+        errors.push(`moderatorIds must be a list of at most ${MAX_MODERATORS} user IDs`);
+    }
+
+    if (config.rules !== undefined) {
+        if (!Array.isArray(config.rules) || config.rules.length > MAX_RULES) {
+            errors.push(`rules must be a list of at most ${MAX_RULES} rules`);
+        } else {
+            config.rules.forEach((rule, index) => {
+                const valid = rule && typeof rule.pattern === 'string' && rule.pattern.length >= 1
+                    && oneOf(RuleScope)(rule.scope) && oneOf(RuleAction)(rule.action)
+                    && (rule.strikeWeight === undefined || int(1, 10)(rule.strikeWeight))
+                    && (rule.isRegex === undefined || bool(rule.isRegex))
+                    && (rule.enabled === undefined || bool(rule.enabled));
+                if (!valid) {
+                    errors.push(`Rule ${index + 1} needs a pattern, a known scope and action and a strike weight between 1 and 10`);
+                    return;
+                }
+                const patternError = validateRulePattern(rule.pattern, Boolean(rule.isRegex));
+                if (patternError) {
+                    errors.push(`Rule ${index + 1}: ${patternError}`);
+                }
+            });
+        }
+    }
+    return errors;
+};
+
+/**
+ * Lists what importing a configuration would change in a group. Sections and settings the
+ * configuration leaves out are not compared, as an import leaves them unchanged.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object} config - A valid configuration.
+ * @returns {Promise<Array<{key: string, from: *, to: *}>>} One entry per setting or section that would change.
+ */
+export const diffGroupConfig = async (chatId, config) => {
+    const current = await exportGroupConfig(chatId);
+    const incoming = {
+        ...Object.fromEntries(Object.entries(config.settings || {})),
+        ...(config.whitelistedKeywords !== undefined ? { whitelistedKeywords: config.whitelistedKeywords.map(keyword => keyword.trim()) } : {}),
+        ...(config.moderatorIds !== undefined ? { moderatorIds: config.moderatorIds.map(String) } : {}),
+        ...(config.rules !== undefined ? { rules: config.rules.map(rule => toPortableRule({ isRegex: false, strikeWeight: 1, enabled: true, ...rule })) } : {})
+    };
+    const before = { ...current.settings, whitelistedKeywords: current.whitelistedKeywords, moderatorIds: current.moderatorIds, rules: current.rules };
+
+    return Object.entries(incoming)
+        .filter(([key, value]) => JSON.stringify(before[key]) !== JSON.stringify(value))
+        .map(([key, value]) => ({ key, from: before[key], to: value }));
+};
+
+/**
+ * Validates a configuration and applies it to a group. Only the settings and sections it
+ * contains are changed; whitelist, moderators and rules are replaced as a whole.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object} config - The configuration to import.
+ * @param {object} options
+ * @param {object} options.admin - The admin importing it (`id`, `first_name`, `username`).
+ * @param {string} [options.sourceChatId] - The group it was copied from, if any.
+ * @param {string} [options.presetName] - The preset it comes from, if any.
+ * @returns {Promise<{errors: string[], changes: Array<{key: string, from: *, to: *}>}>} The validation errors
+ * (nothing is applied if there are any) or the changes that were made.
+ */
+export const applyGroupConfig = async (chatId, config, { admin, sourceChatId, presetName }) => {
+    const errors = validateGroupConfig(config);
+    if (errors.length > 0) {
+        return { errors, changes: [] };
+    }
+
+    const changes = await diffGroupConfig(chatId, config);
+    for (const { key, to } of changes) {
+        if (key === 'whitelistedKeywords') {
+            await db.setWhitelistKeywords(chatId, to);
+        } else if (key === 'rules') {
+            await db.replaceModerationRules(chatId, to);
+        } else {
+            await updateSetting(chatId, key, to);
+        }
+    }
+
+    const action = presetName ? 'preset_applied' : sourceChatId ? 'config_copied' : 'config_imported';
+    if (changes.length > 0) {
+        await db.logManualAction(chatId, admin.id.toString(), {
+            type: 'CONFIG',
+            action,
+            timestamp: new Date().toISOString(),
+            admin: { id: admin.id, first_name: admin.first_name, username: admin.username },
+            sourceChatId,
+            presetName,
+            changedKeys: changes.map(change => change.key)
+        });
+    }
+    logger.info(`Configuration ${action.replace('_', ' ')} in chat ${chatId} by ${admin.id}: ${changes.length} change(s).`);
+    return { errors: [], changes };
+};
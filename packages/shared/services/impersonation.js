@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Detects members who pose as a group's admins or as official staff, e.g.
+ * "Admin Support" or a copy of a real admin's name that then DMs members. Names are reduced
+ * to a skeleton first: accents and separators are dropped and lookalike characters (Cyrillic
+ * and Greek letters that look Latin, digits such as `0` and `1`, `rn` for `m`) are folded
+ * together, so "Аdmіn_Suрроrt" and "Admin Support" compare equal. Skeletons are then
+ * compared allowing a small edit distance. Protected words only match whole words of a name,
+ * so "Supporter" or "Badminton" are left alone. The check runs locally, without an API call.
+ */
+
+// Characters folded into the Latin letter they are mistaken for. `i`, `l`, `1` and `|`
+// all become `l`, as they can't be told apart in many fonts.
+const HOMOGLYPHS = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'l', 'ї': 'l', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+    'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ɡ': 'g', 'ı': 'l',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'l', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+    '@': 'a', '$': 's', '|': 'l', '!': 'l', 'i': 'l'
+};
+
+// Letter pairs that read as a single letter.
+const LOOKALIKE_PAIRS = [[/rn/g, 'm'], [/vv/g, 'w'], [/cl/g, 'd']];
+
+// Admin names shorter than this are too common to compare.
+const MIN_NAME_LENGTH = 3;
+
+// Admin names at least this long also match when they are part of a longer name, e.g. "John Smith Support".
+const MIN_CONTAINED_LENGTH = 8;
+
+// Most words of a name joined together when looking for a protected word, so "Ad Min" still reads as "admin".
+const MAX_JOINED_WORDS = 3;
+
+/**
+ * Reduces a name to the skeleton names are compared by.
+ *
+ * @param {string} [name] - The name, username or word.
+ * @returns {string} The lower case skeleton, without separators.
+ */
+export const toSkeleton = (name = '') => {
+    let skeleton = [...name.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()]
+        .map(char => HOMOGLYPHS[char] || char)
+        .join('')
+        .replace(/[^\p{L}\p{N}]/gu, '');
+    for (const [pair, letter] of LOOKALIKE_PAIRS) {
+        skeleton = skeleton.replace(pair, letter);
+    }
+    return skeleton;
+};
+
+/**
+ * Splits a name into the skeletons of its words. Words are separated by spaces and
+ * punctuation, and by a capital letter after a lower case one ("AdminSupport"); characters
+ * that fold into letters, such as `0` or `@`, stay part of the word. Trailing digits are
+ * dropped, so "Support24" is the word "support".
+ *
+ * @param {string} [name] - The name or username.
+ * @returns {string[]} The word skeletons, in order.
+ */
+const toWordSkeletons = (name = '') => name
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}\p{M}@$|!]+/u)
+    .map(word => toSkeleton(word.replace(/(?<=\D)\d+$/, '')))
+    .filter(Boolean);
+
+/**
+ * Tells whether a protected word makes up one or a few consecutive words of a name.
+ *
+ * @param {string[]} words - The word skeletons of the name, from `toWordSkeletons`.
+ * @param {string} skeleton - The skeleton of the protected word.
+ * @param {number} maxDistance - The edits allowed.
+ * @returns {boolean} True if some run of words is within `maxDistance` edits of the protected word.
+ */
+const containsWord = (words, skeleton, maxDistance) => words.some((_, start) => {
+    let joined = '';
+    for (const word of words.slice(start, start + MAX_JOINED_WORDS)) {
+        joined += word;
+        if (editDistance(joined, skeleton) <= maxDistance) return true;
+    }
+    return false;
+});
+
+/**
+ * How many edits a name of this length may differ by and still count as a copy.
+ *
+ * @param {number} length - The length of the skeleton being imitated.
+ * @returns {number} The edit distance allowed.
+ */
+const allowedDistance = (length) => (length < 5 ? 0 : length < 9 ? 1 : 2);
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single character insertions, deletions and substitutions between them.
+ */
+export const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Tells whether a word appears in a text with at most a few edits.
+ *
+ * @param {string} text - The text to search.
+ * @param {string} word - The word to look for.
+ * @param {number} maxDistance - The edits allowed.
+ * @returns {boolean} True if some part of the text is within `maxDistance` edits of the word.
+ */
+const containsApproximately = (text, word, maxDistance) => {
+    if (maxDistance === 0) return text.includes(word);
+    // Edit distance where the match may start and end anywhere in the text.
+    let previous = new Array(text.length + 1).fill(0);
+    for (let i = 1; i <= word.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= text.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (word[i - 1] === text[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return Math.min(...previous) <= maxDistance;
+};
+
+/**
+ * Lists the names a user shows to other members.
+ *
+ * @param {object} user - The Telegram user object.
+ * @returns {{field: string, value: string, skeleton: string, words: string[]}[]} The display name and username, where set.
+ */
+const namesOf = (user) => {
+    const displayName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+    return [
+        { field: 'name', value: displayName, skeleton: toSkeleton(displayName), words: toWordSkeletons(displayName) },
+        // The skeleton leaves out the `@`, which would otherwise be read as an `a`.
+        { field: 'username', value: user.username ? `@${user.username}` : '', skeleton: toSkeleton(user.username), words: toWordSkeletons(user.username) }
+    ].filter(name => name.skeleton);
+};
+
+/**
+ * Builds a key for a user's current names, so a decision about a user can be tied to the
+ * names they had at the time.
+ *
+ * @param {object} user - The Telegram user object.
+ * @returns {string} The skeletons of the user's display name and username.
+ */
+export const getNameKey = (user) => namesOf(user).map(name => `${name.field}:${name.skeleton}`).join('|');
+
+/**
+ * Checks whether a user's display name or username imitates one of the group's admins or
+ * contains one of the protected words.
+ *
+ * @param {object} user - The Telegram user object of the member being checked.
+ * @param {object[]} admins - The Telegram user objects of the group's admins.
+ * @param {string[]} [protectedWords=[]] - Words no member may use in their name, e.g. `support`.
+ * @returns {{field: string, value: string, admin?: object, word?: string}|null} What matched:
+ *   the member's name or username, and the admin or protected word it imitates; null if nothing did.
+ */
+export const findImpersonation = (user, admins, protectedWords = []) => {
+    const names = namesOf(user);
+
+    for (const admin of admins) {
+        if (admin.id === user.id) continue;
+        const adminSkeletons = namesOf(admin).map(name => name.skeleton).filter(skeleton => skeleton.length >= MIN_NAME_LENGTH);
+        for (const name of names) {
+            const imitated = adminSkeletons.some(skeleton => {
+                const maxDistance = allowedDistance(skeleton.length);
+                return editDistance(name.skeleton, skeleton) <= maxDistance
+                    || (skeleton.length >= MIN_CONTAINED_LENGTH && containsApproximately(name.skeleton, skeleton, maxDistance));
+            });
+            if (imitated) {
+                return { field: name.field, value: name.value, admin };
+            }
+        }
+    }
+
+    for (const word of protectedWords) {
+        const skeleton = toSkeleton(word);
+        if (!skeleton) continue;
+        // Short words must appear unchanged, as a single edit turns them into too many ordinary names.
+        const maxDistance = skeleton.length >= 7 ? 1 : 0;
+        const name = names.find(({ words }) => containsWord(words, skeleton, maxDistance));
+        if (name) {
+            return { field: name.field, value: name.value, word };
+        }
+    }
+    return null;
+};
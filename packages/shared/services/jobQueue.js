@@ -0,0 +1,184 @@
+/**
+ * @fileoverview A persistent queue for delayed actions, such as deleting a warning after a few
+ * seconds or kicking a new member whose CAPTCHA timed out. Jobs are stored in SQLite, so they
+ * survive a restart: jobs that fell due while the bot was down run as soon as the queue starts
+ * again. Execution is at least once. A job is claimed for a while before it runs and is only
+ * removed after its handler succeeded, so a job interrupted by a crash runs again; handlers
+ * must therefore be safe to repeat. A failing job is retried with a growing delay until it
+ * has used up its attempts. Only the bot process runs jobs, but any process may add them.
+ */
+
+import * as db from './database.js';
+import { JobType } from '../utils/enums.js';
+import logger from './logger.js';
+
+// How often the queue looks for due jobs.
+const POLL_INTERVAL_MS = 1000;
+
+// How long a claimed job is left to its handler before it is considered interrupted and run again.
+const CLAIM_MS = 60 * 1000;
+
+// The most jobs run per poll; the rest wait for the next one.
+const BATCH_SIZE = 50;
+
+// How often a job is tried by default, and the delay before the first retry. Each further retry waits twice as long.
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 30 * 1000;
+
+// Handlers keyed by `JobType`.
+const handlers = new Map();
+
+let pollTimer = null;
+let processing = false;
+
+/**
+ * Sets the function that runs the jobs of a type.
+ *
+ * @param {string} type - The `JobType`.
+ * @param {function(object, object): Promise<void>} handler - Called with the job's payload and the job itself.
+ *   Throwing makes the job be retried.
+ */
+export const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Adds a job to the queue.
+ *
+ * @param {string} type - What to do, a `JobType`.
+ * @param {object} payload - The data the handler needs. Stored as JSON.
+ * @param {object} [options]
+ * @param {number} [options.delayMs=0] - How long to wait before running the job.
+ * @param {Date} [options.runAt] - When to run the job, instead of `delayMs`.
+ * @param {string} [options.key] - Identifies the job for `cancelJobs`.
+ * @param {number} [options.maxAttempts=5] - How often the job is tried before it is dropped.
+ * @returns {Promise<number>} The ID of the job.
+ */
+export const enqueueJob = (type, payload, { delayMs = 0, runAt, key, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => db.addJob({
+    type,
+    payload,
+    runAt: (runAt || new Date(Date.now() + delayMs)).toISOString(),
+    maxAttempts,
+    jobKey: key
+});
+
+/**
+ * Removes the pending jobs of a type that were added with a key.
+ *
+ * @param {string} type - The `JobType`.
+ * @param {string} key - The key the jobs were added with.
+ * @returns {Promise<number>} The number of jobs removed.
+ */
+export const cancelJobs = (type, key) => db.cancelJobs(type, key);
+
+/**
+ * Deletes a message after a delay. Failures are only logged, as for the timers this replaces.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {number} messageId - The ID of the message.
+ * @param {number} delayMs - How long the message stays up.
+ */
+export const deleteMessageLater = async (chatId, messageId, delayMs) => {
+    try {
+        await enqueueJob(JobType.DELETE_MESSAGE, { chatId, messageId }, { delayMs });
+    } catch (error) {
+        logger.error(`Could not queue the deletion of message ${messageId} in chat ${chatId}: ${error.message}`);
+    }
+};
+
+/**
+ * Sends a message after a delay. Failures are only logged, as for the timers this replaces.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {string} text - The text of the message.
+ * @param {object} [options] - Telegram send options, e.g. `parse_mode`.
+ * @param {number} delayMs - How long to wait before sending.
+ */
+export const sendMessageLater = async (chatId, text, options, delayMs) => {
+    try {
+        await enqueueJob(JobType.SEND_MESSAGE, { chatId, text, options }, { delayMs });
+    } catch (error) {
+        logger.error(`Could not queue a message to chat ${chatId}: ${error.message}`);
+    }
+};
+
+/**
+ * Runs one claimed job, then removes it, or schedules a retry if it failed.
+ *
+ * @param {object} job - The job from `claimDueJobs`.
+ * @param {Date} now - The current time.
+ */
+const runJob = async (job, now) => {
+    try {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            throw new Error(`No handler for job type "${job.type}"`);
+        }
+        await handler(job.payload, job);
+        await db.completeJob(job.id);
+    } catch (error) {
+        if (job.attempts >= job.maxAttempts) {
+            await db.completeJob(job.id);
+            logger.error(`Dropped job ${job.id} (${job.type}) after ${job.attempts} failed attempt(s): ${error.message}`);
+            return;
+        }
+        const retryAt = new Date(now.getTime() + RETRY_DELAY_MS * 2 ** (job.attempts - 1));
+        await db.retryJob(job.id, retryAt.toISOString(), error.message);
+        logger.warn(`Job ${job.id} (${job.type}) failed, retrying at ${retryAt.toISOString()}: ${error.message}`);
+    }
+};
+
+/**
+ * Runs the jobs that are due.
+ *
+ * @param {Date} [now=new Date()] - The current time, injectable for tests.
+ * @returns {Promise<number>} The number of jobs run.
+ */
+export const processDueJobs = async (now = new Date()) => {
+    // A slow batch must not overlap the next poll.
+    if (processing) return 0;
+    processing = true;
+    try {
+        const jobs = await db.claimDueJobs(now.toISOString(), new Date(now.getTime() + CLAIM_MS).toISOString(), BATCH_SIZE);
+        for (const job of jobs) {
+            try {
+                await runJob(job, now);
+            } catch (error) {
+                // The job stays claimed and runs again once the claim runs out.
+                logger.error(`Error finishing job ${job.id} (${job.type}): ${error.message}`, { stack: error.stack });
+            }
+        }
+        return jobs.length;
+    } catch (error) {
+        logger.error(`Error loading due jobs: ${error.message}`, { stack: error.stack });
+        return 0;
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * Starts running due jobs every second. Jobs a previous run of the bot was in the middle of
+ * are released first, so they run right away rather than once their claim runs out.
+ */
+export const startJobQueue = async () => {
+    if (pollTimer) return;
+    await db.releaseJobClaims();
+    pollTimer = setInterval(() => processDueJobs(), POLL_INTERVAL_MS);
+    await processDueJobs();
+};
+
+/**
+ * Stops running jobs, e.g. between tests. Jobs stay stored.
+ */
+export const stopJobQueue = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+};
+
+/**
+ * Forgets the registered handlers, e.g. between tests.
+ */
+export const resetJobHandlers = () => {
+    handlers.clear();
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview In-memory join-rate tracking used to detect raids. Keeps recent join
+ * timestamps per chat and reports when more members joined inside the configured
+ * window than the group allows.
+ */
+
+// chatId -> array of join timestamps (milliseconds), oldest first.
+const joinsByChat = new Map();
+
+/**
+ * Records new members joining a chat and checks whether the join rate is a surge.
+ *
+ * @param {string} chatId - The ID of the chat.
+ * @param {number} count - How many members joined in this update.
+ * @param {object} limits - The group's raid detection settings.
+ * @param {number} limits.limit - The maximum number of joins allowed in the window.
+ * @param {number} limits.windowSeconds - The length of the sliding window in seconds.
+ * @param {number} [now=Date.now()] - The current time, injectable for tests.
+ * @returns {number|null} The number of joins inside the window when it exceeds the limit, otherwise null.
+ */
+export const recordJoins = (chatId, count, { limit, windowSeconds }, now = Date.now()) => {
+    const windowStart = now - windowSeconds * 1000;
+    const joins = (joinsByChat.get(chatId) || []).filter(time => time > windowStart);
+    for (let i = 0; i < count; i++) {
+        joins.push(now);
+    }
+    joinsByChat.set(chatId, joins);
+
+    return joins.length > limit ? joins.length : null;
+};
+
+/**
+ * Forgets the recorded joins for one chat, e.g. once a lockdown has been started for it.
+ *
+ * @param {string} chatId - The ID of the chat.
+ */
+export const clearJoins = (chatId) => {
+    joinsByChat.delete(chatId);
+};
+
+/**
+ * Clears all tracked joins, e.g. when caches are cleared or between tests.
+ */
+export const resetJoinTracking = () => {
+    joinsByChat.clear();
+};
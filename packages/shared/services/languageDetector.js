@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Local language and writing-system detection for the per-group language policy.
+ * The script of a message is found by counting its letters per Unicode script. Scripts used by
+ * a single language map straight to it; Latin, Cyrillic and Arabic text is told apart by its
+ * most common words and a few distinctive letters. No network calls are made, so the check
+ * can run on every message.
+ */
+
+/**
+ * The writing systems a group can allow, each with the pattern matching its letters.
+ * Hiragana and katakana are counted together as `kana`.
+ */
+const SCRIPT_PATTERNS = {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    armenian: /\p{Script=Armenian}/u,
+    georgian: /\p{Script=Georgian}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    arabic: /\p{Script=Arabic}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+    bengali: /\p{Script=Bengali}/u,
+    tamil: /\p{Script=Tamil}/u,
+    thai: /\p{Script=Thai}/u,
+    hangul: /\p{Script=Hangul}/u,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    han: /\p{Script=Han}/u,
+    ethiopic: /\p{Script=Ethiopic}/u
+};
+
+export const SCRIPTS = Object.keys(SCRIPT_PATTERNS);
+
+// Scripts written by only one of the supported languages.
+const SINGLE_LANGUAGE_SCRIPTS = {
+    greek: 'el', armenian: 'hy', georgian: 'ka', hebrew: 'he', devanagari: 'hi',
+    bengali: 'bn', tamil: 'ta', thai: 'th', hangul: 'ko', kana: 'ja', han: 'zh', ethiopic: 'am'
+};
+
+// The most frequent short words of each language, which rarely occur in the others.
+const STOPWORDS = {
+    latin: {
+        en: ['the', 'and', 'is', 'are', 'you', 'this', 'that', 'with', 'for', 'have', 'not', 'was', 'what', 'it', 'of', 'to', 'be', 'can', 'will', 'my', 'your', 'we', 'they', 'just', 'how'],
+        es: ['el', 'la', 'los', 'las', 'que', 'es', 'y', 'en', 'por', 'para', 'con', 'una', 'pero', 'muy', 'está', 'como', 'más', 'yo', 'tiene', 'hay', 'del', 'también', 'eso', 'qué', 'cómo'],
+        pt: ['o', 'os', 'as', 'que', 'é', 'não', 'um', 'uma', 'com', 'para', 'mas', 'muito', 'está', 'você', 'isso', 'também', 'eu', 'tem', 'do', 'da', 'no', 'na', 'como', 'mais', 'são'],
+        fr: ['le', 'la', 'les', 'est', 'et', 'un', 'une', 'des', 'je', 'vous', 'pas', 'que', 'qui', 'avec', 'pour', 'mais', 'dans', 'sur', 'ce', 'cette', 'sont', 'il', 'nous', 'très', 'du'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'ein', 'eine', 'mit', 'auf', 'für', 'aber', 'auch', 'wie', 'wir', 'sind', 'noch', 'was', 'den', 'dem', 'es', 'zu'],
+        it: ['il', 'lo', 'la', 'gli', 'che', 'è', 'e', 'non', 'un', 'una', 'con', 'per', 'ma', 'sono', 'anche', 'come', 'questo', 'della', 'del', 'io', 'tu', 'perché', 'molto', 'ci', 'di'],
+        nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'je', 'jij', 'dat', 'met', 'voor', 'maar', 'ook', 'wat', 'zijn', 'van', 'op', 'er', 'nog', 'wel', 'dit', 'naar', 'hoe', 'we'],
+        tr: ['ve', 'bir', 'bu', 'da', 'de', 'ne', 'için', 'ben', 'sen', 'çok', 'var', 'yok', 'ama', 'gibi', 'daha', 'mi', 'mı', 'şey', 'olarak', 'kadar', 'nasıl', 'değil', 'ile', 'her', 'biz'],
+        id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'saya', 'ada', 'ke', 'dari', 'akan', 'juga', 'kamu', 'bisa', 'sudah', 'apa', 'kita', 'mereka', 'atau', 'karena', 'belum', 'lagi', 'aku'],
+        pl: ['i', 'w', 'nie', 'to', 'jest', 'się', 'na', 'że', 'z', 'do', 'jak', 'ale', 'co', 'tak', 'już', 'od', 'czy', 'mnie', 'jestem', 'dla', 'tylko', 'ten', 'po', 'są', 'bardzo']
+    },
+    cyrillic: {
+        ru: ['и', 'в', 'не', 'на', 'что', 'я', 'он', 'это', 'как', 'с', 'но', 'все', 'так', 'его', 'только', 'мне', 'уже', 'вы', 'бы', 'меня', 'есть', 'был', 'когда', 'если', 'нет'],
+        uk: ['і', 'в', 'не', 'на', 'що', 'я', 'це', 'як', 'з', 'але', 'так', 'його', 'тільки', 'мені', 'вже', 'ви', 'б', 'мене', 'є', 'був', 'коли', 'якщо', 'немає', 'та', 'до'],
+        bg: ['и', 'в', 'не', 'на', 'че', 'аз', 'това', 'как', 'с', 'но', 'така', 'само', 'ми', 'вече', 'вие', 'бих', 'мен', 'е', 'беше', 'когато', 'ако', 'няма', 'за', 'да', 'се']
+    }
+};
+
+// Letters only one language of a script uses, each worth a few common words.
+const DISTINCTIVE_LETTERS = {
+    cyrillic: { uk: /[іїєґ]/g, ru: /[ыэё]/g },
+    arabic: { fa: /[پچژگ]/g, ur: /[ٹڈڑںے]/g }
+};
+const DISTINCTIVE_LETTER_WEIGHT = 2;
+
+// The language assumed for Arabic-script text without Persian or Urdu letters.
+const ARABIC_DEFAULT = 'ar';
+
+/**
+ * The English name of every language the detector can report, by ISO 639-1 code.
+ */
+export const LANGUAGE_NAMES = {
+    en: 'English', es: 'Spanish', pt: 'Portuguese', fr: 'French', de: 'German', it: 'Italian',
+    nl: 'Dutch', tr: 'Turkish', id: 'Indonesian', pl: 'Polish', ru: 'Russian', uk: 'Ukrainian',
+    bg: 'Bulgarian', ar: 'Arabic', fa: 'Persian', ur: 'Urdu', el: 'Greek', hy: 'Armenian',
+    ka: 'Georgian', he: 'Hebrew', hi: 'Hindi', bn: 'Bengali', ta: 'Tamil', th: 'Thai',
+    ko: 'Korean', ja: 'Japanese', zh: 'Chinese', am: 'Amharic'
+};
+
+export const LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+// Words and letters in these don't say anything about the language the sender writes in.
+const IGNORED_TOKENS = /(?:https?:\/\/|www\.)\S+|[@#/][\p{L}\p{N}_]+|`[^`]*`/giu;
+
+/**
+ * Finds the script of every letter in a text.
+ *
+ * @param {string} text - The text.
+ * @returns {{counts: object, letters: number}} Letters per script, and the number of letters in any script.
+ */
+const countScripts = (text) => {
+    const counts = {};
+    let letters = 0;
+    for (const char of text) {
+        if (!/\p{L}/u.test(char)) continue;
+        letters++;
+        const script = SCRIPTS.find(name => SCRIPT_PATTERNS[name].test(char));
+        if (script) counts[script] = (counts[script] || 0) + 1;
+    }
+    return { counts, letters };
+};
+
+/**
+ * Guesses the language of text in a script several languages share.
+ *
+ * @param {string} text - The lower-cased text.
+ * @param {string} script - Its dominant script.
+ * @returns {string|null} The language code, or null when the text doesn't say clearly enough.
+ */
+const guessLanguage = (text, script) => {
+    const scores = {};
+    const words = text.split(/[^\p{L}\p{M}']+/u).filter(Boolean);
+    for (const [language, stopwords] of Object.entries(STOPWORDS[script] || {})) {
+        const set = new Set(stopwords);
+        scores[language] = words.filter(word => set.has(word)).length;
+    }
+    for (const [language, pattern] of Object.entries(DISTINCTIVE_LETTERS[script] || {})) {
+        scores[language] = (scores[language] || 0) + (text.match(pattern) || []).length * DISTINCTIVE_LETTER_WEIGHT;
+    }
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (script === 'arabic' && (!best || best[1] === 0)) return ARABIC_DEFAULT;
+    if (!best || best[1] < 2 || (runnerUp && runnerUp[1] === best[1])) return null;
+    return best[0];
+};
+
+/**
+ * Detects the script and, where it can, the language of a message. Links, mentions,
+ * hashtags, commands and inline code are left out.
+ *
+ * @param {string} text - The message text or caption.
+ * @returns {{script: string|null, language: string|null, letters: number, scripts: object}}
+ * The dominant script (null without letters), the ISO 639-1 language code (null when unsure),
+ * the number of letters considered and the letters counted per script.
+ */
+export const detectLanguage = (text) => {
+    const cleaned = (typeof text === 'string' ? text : '').replace(IGNORED_TOKENS, ' ').toLowerCase();
+    const { counts, letters } = countScripts(cleaned);
+
+    const [dominant] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (!dominant) {
+        return { script: null, language: null, letters, scripts: counts };
+    }
+    const script = dominant[0];
+    // Japanese mixes kanji with kana, so any kana marks Han text as Japanese.
+    if (script === 'han' && counts.kana) {
+        return { script, language: 'ja', letters, scripts: counts };
+    }
+    const language = SINGLE_LANGUAGE_SCRIPTS[script] || guessLanguage(cleaned, script);
+    return { script, language, letters, scripts: counts };
+};
+
+/**
+ * Checks a message against a group's language policy. Messages with fewer letters than
+ * `languageMinLetters` are not judged. A message breaks the script policy when most of its
+ * letters are in scripts the group doesn't allow, and the language policy when its language
+ * is recognised and not allowed; text in an unrecognised language passes.
+ *
+ * @param {string} text - The message text or caption.
+ * @param {object} settings - The group's settings.
+ * @param {string[]} settings.allowedScripts - Allowed scripts; empty allows any.
+ * @param {string[]} settings.allowedLanguages - Allowed language codes; empty allows any.
+ * @param {number} settings.languageMinLetters - Shorter messages are exempt.
+ * @returns {{detection: object, violation: {reason: string}|null}} The detection, and the violation if any.
+ */
+export const checkLanguage = (text, { allowedScripts = [], allowedLanguages = [], languageMinLetters = 0 }) => {
+    const detection = detectLanguage(text);
+    const noPolicy = allowedScripts.length === 0 && allowedLanguages.length === 0;
+    if (noPolicy || !detection.script || detection.letters < languageMinLetters) {
+        return { detection, violation: null };
+    }
+
+    if (allowedScripts.length > 0) {
+        const allowedLetters = allowedScripts.reduce((sum, script) => sum + (detection.scripts[script] || 0), 0);
+        if (allowedLetters * 2 < detection.letters) {
+            return { detection, violation: { reason: `Written in ${detection.script} script, which is not allowed here` } };
+        }
+    }
+
+    if (allowedLanguages.length > 0 && detection.language && !allowedLanguages.includes(detection.language)) {
+        const name = LANGUAGE_NAMES[detection.language] || detection.language;
+        return { detection, violation: { reason: `Written in ${name}, which is not allowed here` } };
+    }
+
+    return { detection, violation: null };
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Deterministic link detection and per-group domain policy evaluation.
+ * Extracts URLs from message text, Telegram entities and common obfuscations
+ * ("hxxp", "www dot example dot com", "example[.]com") and checks them against a group's
+ * allowlist, denylist and Telegram invite link policy. No network calls are made.
+ */
+
+import { ContentPolicy } from '../utils/enums.js';
+
+// TLDs accepted for bare domains written without a scheme, "www." or a path. Keeping this
+// list short avoids treating prose and file names like "node.js", "ok.so" or "report.pdf"
+// as links; country codes that double as English words or file extensions are left out.
+const COMMON_TLDS = new Set([
+    'com', 'net', 'org', 'info', 'biz', 'xyz', 'app', 'dev', 'site', 'online', 'top',
+    'club', 'shop', 'store', 'live', 'link', 'click', 'finance', 'exchange', 'money',
+    'vip', 'pro', 'win', 'bet', 'casino', 'buzz', 'fun', 'space', 'tech', 'website',
+    'io', 'co', 'ly', 'gg', 'cc', 'tv', 'ai', 'ws', 'su', 'fm', 'tk', 'ml', 'ga', 'cf', 'pw',
+    'ru', 'cn', 'uk', 'de', 'fr', 'nl', 'ch', 'vc',
+]);
+
+const SCHEME_URL_PATTERN = /\b(?:https?:\/\/|tg:\/\/)[^\s<>"']+/gi;
+const BARE_DOMAIN_PATTERN = /\b(www\.)?(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,24})\b(\/[^\s<>"']*)?/gi;
+// A scheme or "www" shows the sender meant a link, so spelled-out dots are restored only then.
+const LINK_MARKER_PATTERN = /\b(?:https?|hxxps?|tg):\/\/|\bwww\b/i;
+const TELEGRAM_HOSTS = ['t.me', 'telegram.me', 'telegram.dog'];
+
+/**
+ * Rewrites common link obfuscations back into plain URLs so they can be matched.
+ * A plain " dot " is only read as a dot when the text also has a scheme or "www",
+ * as in "www dot example dot com"; otherwise it is ordinary prose.
+ *
+ * @param {string} text - The raw message text.
+ * @returns {string} The text with obfuscated schemes and dots restored.
+ */
+export const deobfuscate = (text) => {
+    if (typeof text !== 'string') return '';
+    const restored = text
+        .replace(/\bhxxp(s?)/gi, 'http$1')
+        .replace(/\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*/gi, '.')
+        .replace(/\s*[[({]\s*:\s*[\])}]\s*/g, ':');
+    return LINK_MARKER_PATTERN.test(restored)
+        ? restored.replace(/([a-z0-9-])\s+dot\s+(?=[a-z]{2,24}\b)/gi, '$1.')
+        : restored;
+};
+
+/**
+ * Extracts the hostname of a URL, without a leading "www.".
+ *
+ * @param {string} url - A URL with or without a scheme.
+ * @returns {string|null} The lower-cased hostname, or null if it cannot be parsed.
+ */
+export const getDomain = (url) => {
+    try {
+        const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`;
+        const { hostname } = new URL(withScheme);
+        return hostname ? hostname.toLowerCase().replace(/^www\./, '') : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Collects every URL in a message.
+ *
+ * @param {string} text - The message text or caption.
+ * @param {object[]} [entities=[]] - The Telegram `entities` or `caption_entities` array.
+ * @param {object} [options]
+ * @param {boolean} [options.explicitOnly=false] - Only collect links the sender clearly wrote as
+ *   links: `url`/`text_link` entities, URLs with a scheme and domains starting with "www.".
+ * @returns {string[]} A de-duplicated list of URLs.
+ */
+export const extractUrls = (text, entities = [], { explicitOnly = false } = {}) => {
+    const urls = new Set();
+    const source = typeof text === 'string' ? text : '';
+
+    for (const entity of entities || []) {
+        if (entity.type === 'text_link' && entity.url) {
+            urls.add(entity.url);
+        } else if (entity.type === 'url') {
+            urls.add(source.substring(entity.offset, entity.offset + entity.length));
+        }
+    }
+
+    const normalized = deobfuscate(source);
+    for (const match of normalized.matchAll(SCHEME_URL_PATTERN)) {
+        urls.add(match[0].replace(/[.,;:!?)]+$/, ''));
+    }
+    const withoutSchemeUrls = normalized.replace(SCHEME_URL_PATTERN, ' ');
+    for (const [url, www, tld, path] of withoutSchemeUrls.matchAll(BARE_DOMAIN_PATTERN)) {
+        // Without "www." or a path, only well-known TLDs make a bare domain a link.
+        if (www || (!explicitOnly && (path || COMMON_TLDS.has(tld.toLowerCase())))) {
+            urls.add(url.replace(/[.,;:!?)]+$/, ''));
+        }
+    }
+
+    return [...urls];
+};
+
+/**
+ * Checks whether a URL is a Telegram group/channel invite link.
+ *
+ * @param {string} url - The URL to check.
+ * @returns {boolean} True for `t.me/+...`, `t.me/joinchat/...` and `tg://join` links.
+ */
+export const isTelegramInvite = (url) => {
+    if (/^tg:\/\/join\b/i.test(url)) return true;
+    const domain = getDomain(url);
+    if (!domain || !TELEGRAM_HOSTS.includes(domain)) return false;
+    const path = url.replace(/^[a-z]+:\/\//i, '').split('/').slice(1).join('/');
+    return /^(\+|%2B|joinchat\/)/i.test(path);
+};
+
+/**
+ * Checks whether a domain equals, or is a subdomain of, any domain in a list.
+ *
+ * @param {string} domain - The domain to test.
+ * @param {string[]} list - Domains from a group's allowlist or denylist.
+ * @returns {boolean}
+ */
+const matchesDomain = (domain, list) => list.some(entry => {
+    const normalized = entry.toLowerCase().trim().replace(/^www\./, '');
+    return normalized && (domain === normalized || domain.endsWith(`.${normalized}`));
+});
+
+/**
+ * Evaluates the links in a message against a group's link policy.
+ * Invite links follow `telegramInvitePolicy`; any other link is a violation when its
+ * domain is on the denylist, or when an allowlist is configured and it is not on it.
+ *
+ * @param {string} text - The message text or caption.
+ * @param {object[]} entities - The Telegram entities for the text.
+ * @param {object} policy - The group's link settings.
+ * @param {string[]} [policy.allowedDomains=[]] - When non-empty, only these domains are allowed.
+ * @param {string[]} [policy.blockedDomains=[]] - Domains that are never allowed.
+ * @param {string} [policy.telegramInvitePolicy='allow'] - A `ContentPolicy` value for invite links.
+ * @returns {{urls: string[], violation: ({url: string, domain: string, reason: string, action: string}|null)}}
+ */
+export const checkLinks = (text, entities, { allowedDomains = [], blockedDomains = [], telegramInvitePolicy = ContentPolicy.ALLOW } = {}) => {
+    const urls = extractUrls(text, entities);
+
+    for (const url of urls) {
+        const domain = getDomain(url) || url;
+
+        if (isTelegramInvite(url)) {
+            if (telegramInvitePolicy !== ContentPolicy.ALLOW) {
+                return { urls, violation: { url, domain, reason: 'Telegram invite link', action: telegramInvitePolicy } };
+            }
+            continue;
+        }
+        if (matchesDomain(domain, blockedDomains)) {
+            return { urls, violation: { url, domain, reason: `Blocked domain: ${domain}`, action: ContentPolicy.STRIKE } };
+        }
+        if (allowedDomains.length > 0 && !matchesDomain(domain, allowedDomains)) {
+            return { urls, violation: { url, domain, reason: `Domain not on allowlist: ${domain}`, action: ContentPolicy.STRIKE } };
+        }
+    }
+
+    return { urls, violation: null };
+};
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Picks mute durations for repeat offenders.
+ * A group's `muteSchedule` lists durations in minutes, e.g. `[10, 60, 1440, 10080]`:
+ * a member's first automatic mute in a chat uses the first entry, the second mute the
+ * second entry, and so on, with the last entry repeating. Without a schedule every mute
+ * lasts `muteDurationMinutes`.
+ */
+
+export const MAX_MUTE_SCHEDULE_STEPS = 10;
+// Telegram treats restrictions longer than 366 days as permanent.
+export const MAX_MUTE_MINUTES = 525600;
+
+/**
+ * Returns how long the next mute should last.
+ *
+ * @param {object} settings - The settings object for the group.
+ * @param {number} previousMutes - How many times the member has been muted in this chat before.
+ * @returns {number} The mute duration in minutes.
+ */
+export const getScheduledMuteMinutes = (settings, previousMutes = 0) => {
+    const schedule = settings.muteSchedule;
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+        return settings.muteDurationMinutes;
+    }
+    return schedule[Math.min(previousMutes || 0, schedule.length - 1)];
+};
+
+/**
+ * Formats a mute duration for people, e.g. `90` → `90 minutes`, `1440` → `1 day`.
+ *
+ * @param {number} minutes - The duration in minutes.
+ * @param {object} [options]
+ * @param {boolean} [options.short=false] - Use compact units (`10m`, `1h`, `7d`) for button labels.
+ * @returns {string} The formatted duration.
+ */
+export const formatMuteDuration = (minutes, { short = false } = {}) => {
+    const [value, unit, shortUnit] = minutes % 1440 === 0 ? [minutes / 1440, 'day', 'd']
+        : minutes % 60 === 0 ? [minutes / 60, 'hour', 'h']
+        : [minutes, 'minute', 'm'];
+    return short ? `${value}${shortUnit}` : `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+/**
+ * Parses a schedule typed by an admin, e.g. `10, 60, 1440, 10080`.
+ *
+ * @param {string} input - Comma or space separated minutes.
+ * @returns {number[]|null} The schedule, or null if any entry is not a whole number of minutes in range.
+ */
+export const parseMuteSchedule = (input) => {
+    const parts = input.split(/[\s,]+/).filter(Boolean);
+    if (parts.length > MAX_MUTE_SCHEDULE_STEPS) return null;
+    const schedule = parts.map(part => (/^\d+$/.test(part) ? Number(part) : NaN));
+    return schedule.every(minutes => minutes >= 1 && minutes <= MAX_MUTE_MINUTES) ? schedule : null;
+};
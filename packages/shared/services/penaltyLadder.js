@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Resolves which penalty ladder applies to a strike.
+ * Every strike counts toward a member's combined total. Strikes that belong to a
+ * category with its own ladder in `penaltyLadders` are judged against the member's
+ * count in that category; all others use the group's default levels and the combined
+ * total, which is how every strike was judged before categories existed.
+ */
+
+import { StrikeCategory } from '../utils/enums.js';
+
+export const LADDER_LEVELS = ['alertLevel', 'muteLevel', 'kickLevel', 'banLevel'];
+
+// The audit log violation types that count toward a strike category.
+const VIOLATION_CATEGORIES = {
+    SPAM: StrikeCategory.SPAM,
+    PROFANITY: StrikeCategory.PROFANITY,
+    LINK: StrikeCategory.LINKS,
+    FLOOD: StrikeCategory.FLOOD,
+    RULE: StrikeCategory.RULES,
+};
+
+/**
+ * Returns the strike category for an audit log violation type.
+ *
+ * @param {string} violationType - The violation type, e.g. `SPAM` or `LINK`.
+ * @returns {string|null} The `StrikeCategory`, or null for violations that only count toward the combined total.
+ */
+export const getStrikeCategory = (violationType) => VIOLATION_CATEGORIES[violationType] || null;
+
+/**
+ * Returns the ladder a strike in `category` is judged against.
+ *
+ * @param {object} settings - The settings object for the group.
+ * @param {string|null} category - The strike category.
+ * @returns {{levels: object, category: string|null}} The alert/mute/kick/ban levels, and the category whose
+ * count they apply to (null when the default levels and the combined total apply).
+ */
+export const resolvePenaltyLadder = (settings, category) => {
+    const ladder = category ? settings.penaltyLadders?.[category] : null;
+    if (!ladder) {
+        return { levels: settings, category: null };
+    }
+    // Levels left out of a category ladder are disabled rather than inherited.
+    const levels = Object.fromEntries(LADDER_LEVELS.map(level => [level, Number(ladder[level]) || 0]));
+    return { levels, category };
+};
+
+/**
+ * Checks that a `penaltyLadders` value only configures known categories and levels.
+ *
+ * @param {object} ladders - The value to check.
+ * @param {number} [maxLevel=10] - The highest strike count a level may use.
+ * @returns {boolean} True if the value can be stored.
+ */
+export const isValidPenaltyLadders = (ladders, maxLevel = 10) => {
+    if (!ladders || typeof ladders !== 'object' || Array.isArray(ladders)) return false;
+    return Object.entries(ladders).every(([category, ladder]) =>
+        Object.values(StrikeCategory).includes(category)
+        && ladder && typeof ladder === 'object' && !Array.isArray(ladder)
+        && Object.entries(ladder).every(([level, value]) =>
+            LADDER_LEVELS.includes(level) && Number.isInteger(value) && value >= 0 && value <= maxLevel));
+};
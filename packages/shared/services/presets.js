@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Named settings presets. A preset sets a group's thresholds, penalty levels,
+ * profanity filter, strike expiration, message templates and join protection in one step.
+ * The built-in presets cover common kinds of group; admins can also save a group's current
+ * settings as their own preset and apply it to any group they manage. Presets are applied
+ * through the configuration import, so they are validated and audited the same way.
+ */
+
+import * as db from './database.js';
+import defaultConfig from '../config/index.js';
+import { CONFIG_VERSION, exportGroupConfig, applyGroupConfig } from './groupConfig.js';
+
+// Longest preset name, and most presets one admin can save.
+export const MAX_PRESET_NAME_LENGTH = 64;
+export const MAX_CUSTOM_PRESETS = 20;
+
+// Settings that only make sense for the group they were set in, so saved presets leave them out.
+const GROUP_SPECIFIC_SETTINGS = ['reportChatId', 'logChatId', 'scheduleTimezone'];
+
+const ALL_MEDIA = (policy) => ({
+    photo: policy, video: policy, document: policy, sticker: policy,
+    voice: policy, contact: policy, location: policy, poll: policy
+});
+
+// Settings every built-in preset sets, so switching from one to another leaves nothing behind.
+const PRESET_SETTINGS = [
+    'alertLevel', 'muteLevel', 'kickLevel', 'banLevel', 'penaltyLadders', 'combinedStrikeCeiling',
+    'spamThreshold', 'reviewBandMin', 'profanityEnabled', 'profanityThreshold',
+    'muteDurationMinutes', 'muteSchedule', 'warningMessage', 'profanityWarningMessage',
+    'warningMessageDeleteSeconds', 'keywordWhitelistBypass', 'strikeExpirationDays',
+    'goodBehaviorDays', 'mediaPolicies', 'telegramInvitePolicy', 'allowedScripts',
+    'allowedLanguages', 'languageAction', 'languageMinLetters', 'floodMessageLimit',
+    'floodWindowSeconds', 'floodAction', 'duplicateUserThreshold', 'duplicateWindowMinutes',
+    'captchaEnabled', 'captchaType', 'impersonationEnabled', 'probationHours', 'probationMessages',
+    'probationSpamThreshold', 'probationMuteOnViolation', 'raidJoinLimit', 'raidJoinWindowSeconds',
+    'lockdownSlowModeSeconds', 'lockdownDurationMinutes'
+];
+
+// The defaults of those settings, which each built-in preset starts from.
+const BASE = Object.fromEntries(PRESET_SETTINGS.map(key => [key, structuredClone(defaultConfig[key])]));
+
+/**
+ * The presets every admin can apply. IDs are stable and never numeric, which keeps them
+ * apart from saved presets.
+ */
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'strict_crypto',
+        name: 'Strict crypto project',
+        description: 'Low tolerance for spam, scam links and DM offers. New members solve a CAPTCHA and stay on probation for three days, members posing as admins are restricted and repeat offenders are banned quickly.',
+        settings: {
+            ...BASE,
+            muteLevel: 1,
+            kickLevel: 0,
+            banLevel: 3,
+            penaltyLadders: { spam: { alertLevel: 0, muteLevel: 1, kickLevel: 0, banLevel: 2 }, links: { alertLevel: 0, muteLevel: 1, kickLevel: 0, banLevel: 2 } },
+            spamThreshold: 0.6,
+            reviewBandMin: 0.45,
+            profanityThreshold: 0.6,
+            muteDurationMinutes: 1440,
+            muteSchedule: [60, 1440, 10080],
+            warningMessage: '⚠️ {user}, promotions, DM offers and unofficial links are not allowed. Admins will never message you first.',
+            keywordWhitelistBypass: false,
+            strikeExpirationDays: 90,
+            goodBehaviorDays: 30,
+            telegramInvitePolicy: 'strike',
+            floodMessageLimit: 5,
+            floodAction: 'mute',
+            duplicateUserThreshold: 3,
+            captchaEnabled: true,
+            captchaType: 'math',
+            impersonationEnabled: true,
+            probationHours: 72,
+            probationMessages: 20,
+            probationSpamThreshold: 0.4,
+            probationMuteOnViolation: true,
+            raidJoinLimit: 20,
+            lockdownSlowModeSeconds: 60
+        }
+    },
+    {
+        id: 'relaxed_community',
+        name: 'Relaxed community',
+        description: 'Only clear spam is removed and members get several chances before a mute. Strikes expire after two weeks.',
+        settings: {
+            ...BASE,
+            alertLevel: 2,
+            muteLevel: 4,
+            kickLevel: 0,
+            spamThreshold: 0.92,
+            profanityThreshold: 0.9,
+            muteDurationMinutes: 30,
+            warningMessage: '👋 {user}, that looked like an ad, so I removed it. Please keep things friendly and on topic.',
+            profanityWarningMessage: '👋 {user}, let\'s keep the language friendly.',
+            strikeExpirationDays: 14,
+            goodBehaviorDays: 3
+        }
+    },
+    {
+        id: 'announcement_only',
+        name: 'Announcement-only',
+        description: 'For channels\' discussion groups and announcement chats: media and invite links from members are removed and members can post only a couple of messages at a time.',
+        settings: {
+            ...BASE,
+            banLevel: 4,
+            spamThreshold: 0.5,
+            profanityThreshold: 0.5,
+            muteDurationMinutes: 1440,
+            warningMessage: '⚠️ {user}, this group is for announcements. Please keep replies short and on topic.',
+            warningMessageDeleteSeconds: 10,
+            keywordWhitelistBypass: false,
+            mediaPolicies: ALL_MEDIA('delete'),
+            telegramInvitePolicy: 'delete',
+            floodMessageLimit: 2,
+            floodWindowSeconds: 600,
+            duplicateUserThreshold: 2
+        }
+    },
+    {
+        id: 'large_public',
+        name: 'Large public group',
+        description: 'Balanced filtering with borderline messages held for review, flood and raid protection, a CAPTCHA for new members, impersonation checks and escalating mutes.',
+        settings: {
+            ...BASE,
+            kickLevel: 4,
+            banLevel: 6,
+            spamThreshold: 0.75,
+            reviewBandMin: 0.6,
+            muteSchedule: [10, 60, 1440],
+            warningMessageDeleteSeconds: 10,
+            telegramInvitePolicy: 'delete',
+            floodMessageLimit: 6,
+            floodAction: 'mute',
+            duplicateUserThreshold: 4,
+            captchaEnabled: true,
+            impersonationEnabled: true,
+            probationHours: 24,
+            probationMessages: 5,
+            raidJoinLimit: 30,
+            lockdownSlowModeSeconds: 30
+        }
+    }
+];
+
+/**
+ * Shapes a saved preset like a built-in one.
+ *
+ * @param {object} row - The preset as stored.
+ * @returns {object} The preset with a string ID.
+ */
+const toCustomPreset = ({ id, name, settings, createdAt }) => ({
+    id: String(id), name, description: null, settings, builtIn: false, createdAt
+});
+
+/**
+ * Lists the built-in presets followed by the ones an admin saved.
+ *
+ * @param {string} ownerId - The ID of the admin.
+ * @returns {Promise<object[]>} The presets (`id`, `name`, `description`, `settings`, `builtIn`).
+ */
+export const listPresets = async (ownerId) => {
+    const saved = await db.getSettingsPresets(ownerId);
+    return [
+        ...BUILT_IN_PRESETS.map(preset => ({ ...preset, builtIn: true })),
+        ...saved.map(toCustomPreset)
+    ];
+};
+
+/**
+ * Finds a built-in preset, or one the admin saved.
+ *
+ * @param {string} ownerId - The ID of the admin.
+ * @param {string} presetId - The ID of the preset.
+ * @returns {Promise<object|null>} The preset, or null if there is none the admin can use.
+ */
+export const getPreset = async (ownerId, presetId) => {
+    const builtIn = BUILT_IN_PRESETS.find(preset => preset.id === presetId);
+    if (builtIn) return { ...builtIn, builtIn: true };
+    if (!/^\d+$/.test(String(presetId))) return null;
+
+    const saved = await db.getSettingsPreset(ownerId, Number(presetId));
+    return saved ? toCustomPreset(saved) : null;
+};
+
+/**
+ * Saves a group's current settings as one of the admin's presets. Settings that only make
+ * sense in that group, such as its log chat, are left out.
+ *
+ * @param {string} ownerId - The ID of the admin.
+ * @param {string} name - The name of the preset.
+ * @param {string} chatId - The ID of the group whose settings are saved.
+ * @returns {Promise<object|null>} The new preset, or null if the admin already has `MAX_CUSTOM_PRESETS`.
+ */
+export const savePreset = async (ownerId, name, chatId) => {
+    if ((await db.getSettingsPresets(ownerId)).length >= MAX_CUSTOM_PRESETS) {
+        return null;
+    }
+    const { settings } = await exportGroupConfig(chatId);
+    GROUP_SPECIFIC_SETTINGS.forEach(key => delete settings[key]);
+
+    const saved = await db.addSettingsPreset(ownerId, name.trim().substring(0, MAX_PRESET_NAME_LENGTH), settings);
+    return toCustomPreset(saved);
+};
+
+/**
+ * The configuration import that applies a preset.
+ *
+ * @param {object} preset - The preset.
+ * @returns {object} A configuration with only the preset's settings.
+ */
+export const presetToConfig = (preset) => ({ version: CONFIG_VERSION, settings: preset.settings });
+
+/**
+ * Applies a preset to a group.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {object} preset - The preset.
+ * @param {object} options
+ * @param {object} options.admin - The admin applying it (`id`, `first_name`, `username`).
+ * @returns {Promise<{errors: string[], changes: Array<{key: string, from: *, to: *}>}>} As `applyGroupConfig`.
+ */
+export const applyPreset = (chatId, preset, { admin }) => {
+    return applyGroupConfig(chatId, presetToConfig(preset), { admin, presetName: preset.name });
+};
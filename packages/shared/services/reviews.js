@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Decides messages held for human review.
+ * Messages whose spam score falls in a group's review band stay in the chat and are queued
+ * for the admins. Shared by the bot (approve/remove buttons) and the API so both decide the
+ * same way. Approving marks the message clean; removing deletes it and gives its author a
+ * spam strike. Each decision is stored on the review as a label, so the queue doubles as
+ * labeled feedback for tuning the classifier, and is written to the audit log.
+ */
+
+import * as db from './database.js';
+import { deleteMessage } from './telegram.js';
+import { ReviewStatus, ReviewLabel } from '../utils/enums.js';
+import logger from './logger.js';
+
+/**
+ * Whether a spam score falls in the group's review band, from `reviewBandMin` up to
+ * (but not including) the spam threshold that deletes the message.
+ *
+ * @param {number} score - The message's spam score.
+ * @param {object} settings - The settings object for the group.
+ * @param {number} [threshold] - The spam threshold in force, e.g. the stricter one during probation.
+ * @returns {boolean} True if the message should be reviewed.
+ */
+export const isInReviewBand = (score, settings, threshold = settings.spamThreshold) => {
+    return settings.reviewBandMin > 0 && score >= settings.reviewBandMin && score < threshold;
+};
+
+/**
+ * Approves or removes a pending review.
+ *
+ * @param {string} chatId - The ID of the group.
+ * @param {number} reviewId - The ID of the review.
+ * @param {object} decision
+ * @param {boolean} decision.remove - True to delete the message and strike its author, false to mark it clean.
+ * @param {object} decision.admin - The deciding admin (`id`, `first_name`, `username`).
+ * @returns {Promise<object|null>} The decided review with the author's `strikeCount` after a removal,
+ * or null if the group has no such review or it was already decided.
+ */
+export const resolveReview = async (chatId, reviewId, { remove, admin }) => {
+    const review = await db.getReview(chatId, reviewId);
+    if (!review) return null;
+
+    const status = remove ? ReviewStatus.REMOVED : ReviewStatus.APPROVED;
+    const label = remove ? ReviewLabel.SPAM : ReviewLabel.CLEAN;
+    // Only the first decision counts when several admins press a button at once.
+    if (!(await db.decideReviewStatus(chatId, review.id, status, label, admin.id.toString()))) {
+        return null;
+    }
+
+    const adminInfo = { id: admin.id, first_name: admin.first_name, username: admin.username };
+    const user = await db.getUser(review.userId);
+    let strikeCount;
+    if (remove) {
+        await deleteMessage(chatId, review.messageId);
+        strikeCount = await db.recordStrike(chatId, review.userId, {
+            type: 'STRIKE',
+            violationType: 'SPAM',
+            timestamp: new Date().toISOString(),
+            user: { id: review.userId, first_name: user?.firstName || review.userId, username: user?.username },
+            messageExcerpt: review.messageExcerpt,
+            spamScore: review.spamScore,
+            profanityScore: review.profanityScore ?? undefined,
+            reason: `Removed after review #${review.id}`,
+            reviewId: review.id,
+            admin: adminInfo
+        });
+    }
+
+    await db.logManualAction(chatId, review.userId, {
+        type: 'REVIEW',
+        action: `review_${status}`,
+        timestamp: new Date().toISOString(),
+        reviewId: review.id,
+        label,
+        spamScore: review.spamScore,
+        messageExcerpt: review.messageExcerpt,
+        admin: adminInfo
+    });
+    logger.info(`Review #${review.id} in chat ${chatId} ${status} by admin ${admin.id}.`);
+
+    return { ...(await db.getReview(chatId, review.id)), strikeCount };
+};
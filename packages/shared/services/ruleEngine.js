@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Evaluates admin-defined moderation rules against messages.
+ * A rule matches a literal phrase or a regular expression against one part of a message
+ * (text, caption, sender name or links). Regular expressions are checked when a rule is
+ * saved: patterns with nested quantifiers, repeated alternatives or backreferences, the
+ * usual causes of catastrophic backtracking, are rejected, and matching only looks at the start of very
+ * long inputs so a single message cannot stall the bot.
+ */
+
+import { RuleScope } from '../utils/enums.js';
+import { extractUrls } from './linkFilter.js';
+
+export const MAX_PATTERN_LENGTH = 200;
+// Only this many characters of each scope are matched against rules.
+const MAX_INPUT_LENGTH = 4096;
+const MAX_CACHED_PATTERNS = 500;
+
+// Compiled matchers keyed by `${isRegex}:${pattern}`.
+const matcherCache = new Map();
+
+/**
+ * Reads a `{n}`, `{n,}` or `{n,m}` quantifier starting at `index`.
+ *
+ * @param {string} pattern - The regular expression source.
+ * @param {number} index - The position of the opening brace.
+ * @returns {{length: number, repeats: boolean}|null} The quantifier's length and whether it can repeat more than once, or null if the brace is a literal.
+ */
+const readBraceQuantifier = (pattern, index) => {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) return null;
+    const max = match[2] ? (match[3] === '' ? Infinity : Number(match[3])) : Number(match[1]);
+    return { length: match[0].length, repeats: max > 1 };
+};
+
+/**
+ * Looks for constructs that can make a regular expression backtrack exponentially:
+ * a repeated group that itself contains a repeated token (e.g. `(a+)+`, `(\w*)*`),
+ * a repeated group that contains an alternation, whose branches may match the same
+ * text (e.g. `(a|a)*`, `(a|ab)*`), and backreferences.
+ *
+ * @param {string} pattern - The regular expression source.
+ * @returns {string|null} A description of the problem, or null if none was found.
+ */
+const findUnsafeConstruct = (pattern) => {
+    // One frame per open group; `repeats` is true once the group contains a repeated token,
+    // `alternates` once it contains an alternation.
+    const groups = [{ repeats: false, alternates: false }];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            const next = pattern[i + 1];
+            if (!inClass && (/[1-9]/.test(next) || next === 'k')) {
+                return 'Backreferences are not allowed';
+            }
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+        if (char === '[') {
+            inClass = true;
+            continue;
+        }
+        if (char === '(') {
+            groups.push({ repeats: false, alternates: false });
+            continue;
+        }
+        if (char === '|') {
+            groups[groups.length - 1].alternates = true;
+            continue;
+        }
+
+        let quantifier = null;
+        if (char === '*' || char === '+') {
+            quantifier = { length: 1, repeats: true };
+        } else if (char === '{') {
+            quantifier = readBraceQuantifier(pattern, i);
+        }
+
+        if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { repeats: false, alternates: false };
+            const next = pattern[i + 1];
+            const after = next === '{' ? readBraceQuantifier(pattern, i + 1) : (next === '*' || next === '+') ? { repeats: true } : null;
+            if (after?.repeats && group.repeats) {
+                return 'Nested quantifiers such as (a+)+ are not allowed';
+            }
+            if (after?.repeats && group.alternates) {
+                return 'Repeated alternatives such as (a|ab)* are not allowed';
+            }
+            if (group.repeats || after?.repeats) {
+                groups[groups.length - 1].repeats = true;
+            }
+            if (group.alternates) {
+                groups[groups.length - 1].alternates = true;
+            }
+        } else if (quantifier?.repeats) {
+            groups[groups.length - 1].repeats = true;
+            i += quantifier.length - 1;
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks whether a rule pattern is safe to store and evaluate.
+ *
+ * @param {string} pattern - The literal phrase or regular expression source.
+ * @param {boolean} isRegex - Whether the pattern is a regular expression.
+ * @returns {string|null} An error message, or null if the pattern is valid.
+ */
+export const validateRulePattern = (pattern, isRegex) => {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+        return 'Pattern must not be empty';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `Pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (!isRegex) {
+        return null;
+    }
+
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+    }
+    return findUnsafeConstruct(pattern);
+};
+
+/**
+ * Returns a cached matcher function for a rule.
+ *
+ * @param {{pattern: string, isRegex: boolean}} rule - The rule to compile.
+ * @returns {(input: string) => string|null} Returns the matched text, or null.
+ */
+const getMatcher = ({ pattern, isRegex }) => {
+    const key = `${isRegex ? 1 : 0}:${pattern}`;
+    if (!matcherCache.has(key)) {
+        if (matcherCache.size >= MAX_CACHED_PATTERNS) {
+            matcherCache.clear();
+        }
+        let matcher;
+        if (isRegex && findUnsafeConstruct(pattern)) {
+            // Stored before the check caught this construct; never run it.
+            matcher = () => null;
+        } else if (isRegex) {
+            const regex = new RegExp(pattern, 'i');
+            matcher = (input) => regex.exec(input)?.[0] ?? null;
+        } else {
+            const needle = pattern.toLowerCase();
+            matcher = (input) => {
+                const index = input.toLowerCase().indexOf(needle);
+                return index === -1 ? null : input.substring(index, index + needle.length);
+            };
+        }
+        matcherCache.set(key, matcher);
+    }
+    return matcherCache.get(key);
+};
+
+/**
+ * Extracts the part of a message that a rule scope looks at.
+ *
+ * @param {object} msg - The Telegram message object.
+ * @param {string} scope - One of the `RuleScope` values.
+ * @returns {string} The text to match against (empty if the message has none).
+ */
+const getScopeInput = (msg, scope) => {
+    switch (scope) {
+        case RuleScope.TEXT:
+            return msg.text || '';
+        case RuleScope.CAPTION:
+            return msg.caption || '';
+        case RuleScope.USERNAME:
+            return [msg.from?.username, msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' ');
+        case RuleScope.LINK:
+            return extractUrls(msg.text || msg.caption || '', msg.entities || msg.caption_entities).join('\n');
+        default:
+            return '';
+    }
+};
+
+/**
+ * Finds the first enabled rule that matches a message. Rules are checked in the order given.
+ * Rules whose pattern no longer compiles or is no longer considered safe are skipped.
+ *
+ * @param {object[]} [rules=[]] - The group's rules, as returned by `getModerationRules`.
+ * @param {object} msg - The Telegram message object.
+ * @returns {{rule: object, match: string}|null} The matching rule and the matched text, or null.
+ */
+export const evaluateRules = (rules = [], msg) => {
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+        const input = getScopeInput(msg, rule.scope).substring(0, MAX_INPUT_LENGTH);
+        if (!input) continue;
+
+        let match;
+        try {
+            match = getMatcher(rule)(input);
+        } catch {
+            continue;
+        }
+        if (match !== null) {
+            return { rule, match };
+        }
+    }
+    return null;
+};
+
+/**
+ * Clears the compiled pattern cache, e.g. when caches are cleared or between tests.
+ */
+export const resetRuleCache = () => {
+    matcherCache.clear();
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Scheduled group restrictions, e.g. no media overnight, read-only during a
+ * maintenance window or a stricter spam threshold on weekends. Each entry has a time window
+ * on some days of the week, read in the group's `scheduleTimezone`, and either chat
+ * permissions or setting overrides that apply while the window is open. A window whose end
+ * is earlier than its start runs past midnight into the next day, and one whose start and
+ * end are equal lasts a whole day. The bot's scheduler
+ * applies and reverts the entries; this module only decides when they are active and
+ * checks them before they are saved.
+ */
+
+import { isValidSettingValue } from './groupConfig.js';
+import { ScheduleKind } from '../utils/enums.js';
+
+// Day names in the order of `Date#getDay`, as stored on schedule entries.
+export const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The chat permissions a schedule entry can turn on or off.
+export const CHAT_PERMISSIONS = [
+    'can_send_messages', 'can_send_audios', 'can_send_documents', 'can_send_photos',
+    'can_send_videos', 'can_send_video_notes', 'can_send_voice_notes', 'can_send_polls',
+    'can_send_other_messages', 'can_add_web_page_previews', 'can_invite_users', 'can_pin_messages'
+];
+
+export const MAX_SCHEDULES = 20;
+export const MAX_SCHEDULE_NAME_LENGTH = 64;
+
+// Settings a schedule entry may not override, as they decide when entries apply.
+const UNSCHEDULABLE_SETTINGS = ['scheduleTimezone'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Formatters that read the local day and time, keyed by time zone.
+const formatters = new Map();
+
+/**
+ * Converts an `HH:MM` time to minutes after midnight.
+ *
+ * @param {string} time - The time.
+ * @returns {number} The minutes.
+ */
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Reads the day of the week and the time of day at an instant in a time zone.
+ *
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone, e.g. `Europe/Berlin`.
+ * @returns {{day: string, minutes: number}} The day (`sun` to `sat`) and the minutes after midnight.
+ */
+export const getLocalTime = (date, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+    return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Tells whether a schedule entry's window is open. The days of an entry are the days its
+ * window starts on; an entry without days runs every day.
+ *
+ * @param {object} schedule - The entry (`days`, `startTime`, `endTime`).
+ * @param {string} timeZone - The group's time zone.
+ * @param {Date} [date=new Date()] - The instant to check.
+ * @returns {boolean} True if the window is open at that instant.
+ */
+export const isScheduleActive = (schedule, timeZone, date = new Date()) => {
+    const { day, minutes } = getLocalTime(date, timeZone);
+    const days = schedule.days?.length > 0 ? schedule.days : SCHEDULE_DAYS;
+    const start = toMinutes(schedule.startTime);
+    const end = toMinutes(schedule.endTime);
+
+    if (start < end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+    const previousDay = SCHEDULE_DAYS[(SCHEDULE_DAYS.indexOf(day) + SCHEDULE_DAYS.length - 1) % SCHEDULE_DAYS.length];
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+};
+
+/**
+ * Parses a list of days such as `mon-fri`, `sat, sun` or `daily`. Ranges may wrap
+ * around the week, e.g. `fri-mon`.
+ *
+ * @param {string} input - The admin's text.
+ * @returns {string[]|null} The days in week order (empty for every day), or null if the text isn't a list of days.
+ */
+export const parseDays = (input) => {
+    const text = input.trim().toLowerCase();
+    if (/^(daily|every ?day|all|\*)$/.test(text)) return [];
+
+    const days = new Set();
+    for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+        const [from, to = from] = part.split('-').map(name => SCHEDULE_DAYS.indexOf(name.substring(0, 3)));
+        if (from < 0 || to < 0) return null;
+        for (let day = from; ; day = (day + 1) % SCHEDULE_DAYS.length) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+    if (days.size === 0) return null;
+    return days.size === SCHEDULE_DAYS.length ? [] : [...days].sort((a, b) => a - b).map(day => SCHEDULE_DAYS[day]);
+};
+
+/**
+ * Checks a schedule entry before it is saved.
+ *
+ * @param {object} schedule - The entry (`name`, `days`, `startTime`, `endTime`, `kind`, `payload`).
+ * @returns {string|null} A description of the problem, or null if the entry is valid.
+ */
+export const validateSchedule = ({ name, days = [], startTime, endTime, kind, payload }) => {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_SCHEDULE_NAME_LENGTH) {
+        return `The name must be between 1 and ${MAX_SCHEDULE_NAME_LENGTH} characters`;
+    }
+    if (!Array.isArray(days) || !days.every(day => SCHEDULE_DAYS.includes(day))) {
+        return `Days must be a list of: ${SCHEDULE_DAYS.join(', ')}`;
+    }
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+        return 'Start and end times must be given as HH:MM';
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload) || Object.keys(payload).length === 0) {
+        return 'The entry must change at least one permission or setting';
+    }
+
+    if (kind === ScheduleKind.PERMISSIONS) {
+        const invalid = Object.entries(payload).find(([key, value]) => !CHAT_PERMISSIONS.includes(key) || typeof value !== 'boolean');
+        return invalid ? `Unknown permission or non-boolean value: ${invalid[0]}` : null;
+    }
+    if (kind === ScheduleKind.SETTINGS) {
+        const invalid = Object.entries(payload).find(([key, value]) => UNSCHEDULABLE_SETTINGS.includes(key) || !isValidSettingValue(key, value));
+        return invalid ? `Unknown setting or invalid value: ${invalid[0]}` : null;
+    }
+    return `The kind must be one of: ${Object.values(ScheduleKind).join(', ')}`;
+};
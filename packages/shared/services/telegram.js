@@ -42,38 +42,68 @@ const bot = new TelegramBot(config.telegram.token);
  */
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// A cache for storing chat administrator IDs to reduce API calls.
+// The bot's own user object, fetched on first use.
+let botUser;
+
+// A cache for storing chat administrators to reduce API calls.
 const adminCache = new Map();
 const CACHE_TTL_MS = 5 * 60 * 1000; // Cache admin lists for 5 minutes.
 
 /**
- * Gets the list of administrator IDs for a given chat.
- * Results are cached for a short period to avoid rate-limiting issues.
+ * Gets the cached administrators of a chat, refreshing them once the cache is stale.
  *
  * @param {string|number} chatId - The ID of the target chat.
- * @returns {Promise<number[]>} A promise that resolves to an array of admin user IDs.
+ * @returns {Promise<{ids: number[], users: object[]}>} The admins' IDs and Telegram user objects.
  */
-export const getChatAdmins = async (chatId) => {
+const loadChatAdmins = async (chatId) => {
     const cachedAdmins = adminCache.get(chatId);
     // Return cached data if it's recent.
     if (cachedAdmins && cachedAdmins.timestamp > Date.now() - CACHE_TTL_MS) {
-        return cachedAdmins.ids;
+        return cachedAdmins;
     }
     try {
         // Fetch the list of administrators from the Telegram API.
         const admins = await bot.getChatAdministrators(chatId);
-        const adminIds = admins.map(admin => admin.user.id);
+        const users = admins.map(admin => admin.user);
+        const entry = { ids: users.map(user => user.id), users, timestamp: Date.now() };
         // Store the new list and timestamp in the cache.
-        adminCache.set(chatId, { ids: adminIds, timestamp: Date.now() });
-        logger.info(`Refreshed admin cache for chat ${chatId}. Found ${adminIds.length} admins.`);
-        return adminIds;
+        adminCache.set(chatId, entry);
+        logger.info(`Refreshed admin cache for chat ${chatId}. Found ${users.length} admins.`);
+        return entry;
     } catch (error) {
         logger.error(`Failed to get chat admins for ${chatId}:`, error.response?.body || error.message);
-        // On failure, return the old cached data if available, otherwise an empty array.
-        return cachedAdmins ? cachedAdmins.ids : [];
+        // On failure, return the old cached data if available, otherwise an empty list.
+        return cachedAdmins || { ids: [], users: [] };
     }
 };
 
+/**
+ * Gets the list of administrator IDs for a given chat.
+ * Results are cached for a short period to avoid rate-limiting issues.
+ *
+ * @param {string|number} chatId - The ID of the target chat.
+ * @returns {Promise<number[]>} A promise that resolves to an array of admin user IDs.
+ */
+export const getChatAdmins = async (chatId) => (await loadChatAdmins(chatId)).ids;
+
+/**
+ * Gets the administrators of a given chat as Telegram user objects, from the same cache
+ * as `getChatAdmins`.
+ *
+ * @param {string|number} chatId - The ID of the target chat.
+ * @returns {Promise<object[]>} A promise that resolves to the admins' user objects (`id`, `first_name`, `last_name`, `username`, ...).
+ */
+export const getChatAdminUsers = async (chatId) => (await loadChatAdmins(chatId)).users;
+
+/**
+ * Gets the bot's own user object, e.g. for its username. It is fetched once and then reused.
+ * @returns {Promise<object>} A promise that resolves to the bot's Telegram user object.
+ */
+export const getBotUser = async () => {
+    botUser ??= await bot.getMe();
+    return botUser;
+};
+
 /**
  * Gets information about a specific member of a chat.
  * @param {string|number} chatId - The ID of the target chat.
@@ -100,16 +130,19 @@ export const getChatMember = async (chatId, userId) => {
  *
  * @param {string|number} chatId - The ID of the chat.
  * @param {number} messageId - The ID of the message to delete.
+ * @returns {Promise<boolean>} False if the message could not be deleted and is still there.
  */
 export const deleteMessage = async (chatId, messageId) => {
   try {
     await bot.deleteMessage(chatId, messageId);
+    return true;
   } catch(error) {
     // **FIX**: If the message is already deleted, just ignore the error and don't log it.
-    if (error.response && error.response.body.description.includes("message to delete not found")) {
-        return; // Silently fail
+    if (/message to delete not found|message_id_invalid/i.test(error.response?.body?.description || '')) {
+        return true; // Silently fail
     }
     logger.error(`Failed to delete message ${messageId} in chat ${chatId}`, error.response?.body || error.message)
+    return false;
   }
 };
 
@@ -137,16 +170,31 @@ export const kickUser = async (chatId, userId) => {
 };
 
 /**
- * Permanently bans a user from a chat.
+ * Bans a user from a chat, permanently unless a duration is given.
  *
  * @param {string|number} chatId - The ID of the chat.
  * @param {number} userId - The ID of the user to ban.
+ * @param {number} [durationMinutes] - How long the ban lasts; omitted or 0 bans for good.
  * @returns {Promise<boolean>} A promise that resolves on completion.
  */
-export const banUser = (chatId, userId) => {
+export const banUser = (chatId, userId, durationMinutes = 0) => {
+  if (durationMinutes > 0) {
+    return bot.banChatMember(chatId, userId, { until_date: Math.floor(Date.now() / 1000) + durationMinutes * 60 });
+  }
   return bot.banChatMember(chatId, userId);
 };
 
+/**
+ * Lifts a ban so the user can join the chat again. Members who are not banned are left alone.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user to unban.
+ * @returns {Promise<boolean>} A promise that resolves on completion.
+ */
+export const unbanUser = (chatId, userId) => {
+  return bot.unbanChatMember(chatId, userId, { only_if_banned: true });
+};
+
 /**
  * Mutes a user in a chat for a specified duration.
  *
@@ -164,6 +212,83 @@ export const muteUser = (chatId, userId, durationMinutes) => {
   });
 };
 
+/**
+ * Restricts a user from sending anything in a chat until the restriction is lifted.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user to restrict.
+ * @returns {Promise<boolean>} A promise that resolves on completion.
+ */
+export const restrictUser = (chatId, userId) => {
+  return bot.restrictChatMember(chatId, userId, {
+    permissions: JSON.stringify({ can_send_messages: false })
+  });
+};
+
+/**
+ * Lifts a restriction placed by `restrictUser` or `muteUser`, giving the user
+ * the normal member permissions again.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user to unrestrict.
+ * @returns {Promise<boolean>} A promise that resolves on completion.
+ */
+export const unrestrictUser = (chatId, userId) => {
+  return bot.restrictChatMember(chatId, userId, {
+    permissions: JSON.stringify({
+      can_send_messages: true,
+      can_send_audios: true,
+      can_send_documents: true,
+      can_send_photos: true,
+      can_send_videos: true,
+      can_send_video_notes: true,
+      can_send_voice_notes: true,
+      can_send_polls: true,
+      can_send_other_messages: true,
+      can_add_web_page_previews: true,
+      can_invite_users: true
+    })
+  });
+};
+
+/**
+ * Lifts a restriction by giving the user the chat's default member permissions, so
+ * permissions the group withholds from everyone (e.g. during a schedule) stay withheld.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user to unrestrict.
+ * @returns {Promise<boolean>} A promise that resolves on completion.
+ */
+export const restoreDefaultPermissions = async (chatId, userId) => {
+  const { permissions = {} } = await bot.getChat(chatId);
+  return bot.restrictChatMember(chatId, userId, {
+    permissions: JSON.stringify(permissions),
+    use_independent_chat_permissions: true
+  });
+};
+
+/**
+ * Gets up-to-date information about a chat, including its default member `permissions`.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @returns {Promise<object>} A promise that resolves to the Telegram chat object.
+ */
+export const getChat = (chatId) => {
+  return bot.getChat(chatId);
+};
+
+/**
+ * Sets the default permissions of all members of a chat. Each permission is set on its
+ * own, so e.g. turning off photos leaves other media alone.
+ *
+ * @param {string|number} chatId - The ID of the chat.
+ * @param {object} permissions - The Telegram ChatPermissions object.
+ * @returns {Promise<boolean>} A promise that resolves on completion.
+ */
+export const setChatPermissions = (chatId, permissions) => {
+  return bot.setChatPermissions(chatId, permissions, { use_independent_chat_permissions: true });
+};
+
 /**
  * Sends a message to a chat.
  *
@@ -188,6 +313,31 @@ export const sendDocument = (chatId, fileBuffer, options = {}, fileOptions = {})
     return bot.sendDocument(chatId, fileBuffer, options, fileOptions);
 };
 
+/**
+ * Downloads a file sent to the bot, such as a document.
+ * @param {string} fileId - The Telegram file ID.
+ * @returns {Promise<Buffer>} A promise that resolves to the file content.
+ */
+export const getFileContent = async (fileId) => {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Forwards a message to another chat.
+ *
+ * @param {string|number} chatId - The ID of the chat to forward to.
+ * @param {string|number} fromChatId - The ID of the chat the message is in.
+ * @param {number} messageId - The ID of the message to forward.
+ * @returns {Promise<object>} A promise that resolves to the forwarded message object.
+ */
+export const forwardMessage = (chatId, fromChatId, messageId) => {
+    return bot.forwardMessage(chatId, fromChatId, messageId);
+};
+
 /**
  * Edits the text of an existing message.
  *
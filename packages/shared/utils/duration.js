@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Parses the short durations admins type in commands, e.g. `30m`, `2h`, `7d` or `1w`.
+ */
+
+// Minutes in each unit an admin may use.
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 };
+
+/**
+ * Parses a duration such as `2h` into minutes.
+ *
+ * @param {string} text - A whole number followed by `m`, `h`, `d` or `w`.
+ * @returns {number|null} The duration in minutes, or null if `text` is not a duration.
+ */
+export const parseDuration = (text) => {
+    const match = /^(\d+)([mhdw])$/i.exec(text || '');
+    if (!match) return null;
+    const minutes = Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+    return minutes > 0 ? minutes : null;
+};
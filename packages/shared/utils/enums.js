@@ -15,4 +15,260 @@ export const PenaltyMode = {
     KICK: 'kick',
     /** The user is permanently banned from the chat. */
     BAN: 'ban',
-};
\ No newline at end of file
+};
+
+/**
+ * Defines the non-text message types that can be governed by a per-group media policy.
+ * The values match the property names Telegram uses on the message object.
+ * @readonly
+ * @enum {string}
+ */
+export const MediaType = {
+    PHOTO: 'photo',
+    VIDEO: 'video',
+    DOCUMENT: 'document',
+    STICKER: 'sticker',
+    VOICE: 'voice',
+    CONTACT: 'contact',
+    LOCATION: 'location',
+    POLL: 'poll',
+};
+
+/**
+ * Defines what the bot does with a message that matches a content policy,
+ * such as a restricted media type or a Telegram invite link.
+ * @readonly
+ * @enum {string}
+ */
+export const ContentPolicy = {
+    /** The message is allowed; any text or caption is still scanned by the NLP pipeline. */
+    ALLOW: 'allow',
+    /** The message is deleted without issuing a strike. */
+    DELETE: 'delete',
+    /** The message is deleted and the sender receives a strike. */
+    STRIKE: 'strike',
+};
+
+/**
+ * Defines what the bot does when a user exceeds the group's flood limit.
+ * Every action deletes the messages in the burst first.
+ * @readonly
+ * @enum {string}
+ */
+export const FloodAction = {
+    /** Only the messages in the burst are deleted. */
+    DELETE: 'delete',
+    /** The burst is deleted and the user is muted for the group's mute duration. */
+    MUTE: 'mute',
+    /** The burst is deleted and the user receives a strike. */
+    STRIKE: 'strike',
+};
+
+/**
+ * Defines what the bot does with a message written in a language or script the group
+ * doesn't allow. Every action deletes the message first.
+ * @readonly
+ * @enum {string}
+ */
+export const LanguageAction = {
+    /** The message is deleted silently. */
+    DELETE: 'delete',
+    /** The message is deleted and the sender is reminded which languages the group uses. */
+    WARN: 'warn',
+    /** The message is deleted and the sender receives a strike. */
+    STRIKE: 'strike',
+};
+
+/**
+ * Defines the kind of challenge new members must solve before they can post.
+ * @readonly
+ * @enum {string}
+ */
+export const CaptchaType = {
+    /** A single "I'm human" button. */
+    BUTTON: 'button',
+    /** A simple addition with several candidate answers. */
+    MATH: 'math',
+    /** The member must pick the named emoji from a set. */
+    EMOJI: 'emoji',
+};
+
+/**
+ * Defines where the verification challenge is shown to a new member.
+ * @readonly
+ * @enum {string}
+ */
+export const CaptchaDelivery = {
+    /** The challenge is posted in the group. */
+    CHAT: 'chat',
+    /** The group gets a link that opens the challenge in a private chat with the bot. */
+    DM: 'dm',
+};
+
+/**
+ * Defines which part of a message a custom moderation rule is matched against.
+ * @readonly
+ * @enum {string}
+ */
+export const RuleScope = {
+    /** The text of a plain message. */
+    TEXT: 'text',
+    /** The caption of a photo, video or document. */
+    CAPTION: 'caption',
+    /** The sender's @username, first name and last name. */
+    USERNAME: 'username',
+    /** Every URL found in the text or caption, one per line. */
+    LINK: 'link',
+};
+
+/**
+ * Defines what the bot does with a message that matches a custom moderation rule.
+ * @readonly
+ * @enum {string}
+ */
+export const RuleAction = {
+    /** The message is deleted without issuing a strike. */
+    DELETE: 'delete',
+    /** The message is deleted and the sender receives the rule's strike weight. */
+    STRIKE: 'strike',
+    /** The message is deleted and the sender is muted for the group's mute duration. */
+    MUTE: 'mute',
+    /** The message is deleted and the sender is banned. */
+    BAN: 'ban',
+    /** The match is only written to the audit log; the message is scanned as usual. */
+    LOG: 'log',
+};
+
+/**
+ * Defines what a scheduled group restriction changes while its time window is active.
+ * @readonly
+ * @enum {string}
+ */
+export const ScheduleKind = {
+    /** The group's chat permissions, e.g. no media overnight or read-only during maintenance. */
+    PERMISSIONS: 'permissions',
+    /** Some of the group's moderation settings, e.g. a stricter spam threshold on weekends. */
+    SETTINGS: 'settings',
+};
+
+/**
+ * Defines the categories strikes are counted under. Each category can have its own
+ * penalty ladder; every strike also counts toward the member's combined total.
+ * @readonly
+ * @enum {string}
+ */
+export const StrikeCategory = {
+    /** Messages the AI classified as spam. */
+    SPAM: 'spam',
+    /** Messages the profanity filter flagged. */
+    PROFANITY: 'profanity',
+    /** Blocked domains, disallowed domains and Telegram invite links. */
+    LINKS: 'links',
+    /** Exceeding the group's flood limit. */
+    FLOOD: 'flood',
+    /** Matching an admin-defined custom rule. */
+    RULES: 'rules',
+};
+
+/**
+ * Defines the states of a member's appeal against a strike.
+ * @readonly
+ * @enum {string}
+ */
+export const AppealStatus = {
+    /** Waiting for a group admin to decide. */
+    PENDING: 'pending',
+    /** An admin accepted the appeal; the strike and any mute were reversed. */
+    APPROVED: 'approved',
+    /** An admin turned the appeal down; the strike stands. */
+    REJECTED: 'rejected',
+};
+
+/**
+ * Defines the states of a message reported by a member with /report.
+ * @readonly
+ * @enum {string}
+ */
+export const ReportStatus = {
+    /** Waiting for a group admin to act on it. */
+    OPEN: 'open',
+    /** An admin deleted the message or penalised its author. */
+    RESOLVED: 'resolved',
+    /** An admin decided the message was fine. */
+    DISMISSED: 'dismissed',
+};
+
+/**
+ * Defines what an admin can do about a reported message.
+ * @readonly
+ * @enum {string}
+ */
+export const ReportAction = {
+    /** Delete the reported message. */
+    DELETE: 'delete',
+    /** Delete the message and add a strike to its author. */
+    STRIKE: 'strike',
+    /** Delete the message and mute its author for the group's mute duration. */
+    MUTE: 'mute',
+    /** Delete the message and ban its author. */
+    BAN: 'ban',
+    /** Leave the message alone and close the report. */
+    DISMISS: 'dismiss',
+};
+
+/**
+ * Defines how much of the audit log is mirrored to a group's moderation log chat.
+ * @readonly
+ * @enum {string}
+ */
+export const LogVerbosity = {
+    /** Strikes, penalties and admin actions. */
+    PENALTIES: 'penalties',
+    /** Also every deleted message, including deletions without a strike. */
+    ALL: 'all',
+};
+
+/**
+ * Defines the states of a message queued for human review because its spam score fell in
+ * the group's review band.
+ * @readonly
+ * @enum {string}
+ */
+export const ReviewStatus = {
+    /** Waiting for a group admin to decide. */
+    PENDING: 'pending',
+    /** An admin marked the message clean; it stays in the chat. */
+    APPROVED: 'approved',
+    /** An admin deleted the message and its author received a strike. */
+    REMOVED: 'removed',
+};
+
+/**
+ * Defines the label a review decision stores as classification feedback.
+ * @readonly
+ * @enum {string}
+ */
+export const ReviewLabel = {
+    /** The message was not spam. */
+    CLEAN: 'clean',
+    /** The message was spam. */
+    SPAM: 'spam',
+};
+
+/**
+ * Defines the delayed actions the persistent job queue can run.
+ * @readonly
+ * @enum {string}
+ */
+export const JobType = {
+    /** Delete a message, e.g. a warning or a command confirmation. */
+    DELETE_MESSAGE: 'delete_message',
+    /** Send a message later, e.g. the delayed reply of `/forceupdate`. */
+    SEND_MESSAGE: 'send_message',
+    /** Tell a member their automatic mute has ended, unless it was lifted or extended since. */
+    UNMUTE_REMINDER: 'unmute_reminder',
+    /** Kick a new member who did not answer their CAPTCHA in time. */
+    CAPTCHA_TIMEOUT: 'captcha_timeout',
+    /** End an automatic lockdown once its duration has elapsed. */
+    LOCKDOWN_END: 'lockdown_end',
+};